@@ -2,7 +2,8 @@
  * Funcionalidad: _app — raíz de la aplicación Next.js
  * Descripción: Árbol de providers globales para VentyLab. Incluye WarmupProvider para
  *              detección y notificación de cold starts del backend en Render free tier.
- * Versión: 2.0
+ *              Monta AvisosReserva para notificar turnos del ventilador en cualquier página.
+ * Versión: 2.1
  * Autor: Marcela Mazo Castro
  * Proyecto: VentyLab
  * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
@@ -25,6 +26,7 @@ import { useRouter } from 'next/router';
 import theme from '../src/theme/theme';
 import { PatientDataProvider } from '../src/features/simulador/simuladorPaciente/contexto/PatientDataContext';
 import { SocketProvider } from '../src/shared/contexts/SocketContext';
+import { AvisosReserva } from '../src/features/simulador/conexion/agenda/componentes/AvisosReserva';
 import { SidebarContext } from '../src/shared/contexts/SidebarContext';
 import '../src/App.css';
 // Importar y inicializar i18n
@@ -132,6 +134,7 @@ function MyApp({ Component, pageProps: { session, ...pageProps } }) {
                 <NotificationProvider>
                   <PatientDataProvider>
                     <CssBaseline />
+                    <AvisosReserva />
                     {/* Auth pages: render without sidebar */}
                     {/* Panel pages: render without student sidebar (PanelLayout provides its own) */}
                     {isAuthPage || isPanelPage ? (
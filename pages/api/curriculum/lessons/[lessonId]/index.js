@@ -1,13 +1,17 @@
 /**
  * PATCH /api/curriculum/lessons/[lessonId]
- * Actualiza el título de una lección.
+ * Actualiza el título de una lección y deja una revisión en el historial.
  * Requiere rol TEACHER o superior.
  *
  * Body: { moduleId: string, title: string }
  */
 import { requireTeacher } from '@/lib/apiAuth';
-import { resolveModule, resolveLesson, logChange } from '@/lib/curriculumResolver';
-import { prisma } from '@/lib/prisma';
+import {
+  resolveModule,
+  resolveLesson,
+  logChange,
+  withLessonRevision,
+} from '@/lib/curriculumResolver';
 
 export default async function handler(req, res) {
   if (req.method !== 'PATCH') {
@@ -31,23 +35,30 @@ export default async function handler(req, res) {
     const module  = await resolveModule(moduleId, user.id);
     const lesson  = await resolveLesson(lessonId, module.id, user.id);
 
-    const before = lesson.title;
-    const updated = await prisma.lesson.update({
-      where: { id: lesson.id },
-      data: {
-        title:          title.trim(),
-        lastModifiedBy: user.id,
-        lastModifiedAt: new Date(),
-      },
-    });
+    const { updated } = await withLessonRevision(lesson, user.id, async (tx) => {
+      const before = lesson.title;
+      const saved = await tx.lesson.update({
+        where: { id: lesson.id },
+        data: {
+          title:          title.trim(),
+          lastModifiedBy: user.id,
+          lastModifiedAt: new Date(),
+        },
+      });
+
+      const log = await logChange({
+        entityType: 'Lesson',
+        entityId:   lesson.id,
+        action:     'update',
+        changedBy:  user.id,
+        diff:       { title: { before, after: title.trim() } },
+        metadata:   { lessonJsonId: lessonId, moduleJsonId: moduleId, editorName: user.name },
+      }, tx);
 
-    await logChange({
-      entityType: 'Lesson',
-      entityId:   lesson.id,
-      action:     'update',
-      changedBy:  user.id,
-      diff:       { title: { before, after: title.trim() } },
-      metadata:   { lessonJsonId: lessonId, moduleJsonId: moduleId, editorName: user.name },
+      return {
+        updated: saved,
+        revision: { action: 'title', summary: `Cambió el título a «${title.trim()}»`, changeLogId: log.id },
+      };
     });
 
     return res.status(200).json({ success: true, lesson: { id: updated.id, title: updated.title } });
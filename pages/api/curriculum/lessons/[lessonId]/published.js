@@ -0,0 +1,56 @@
+/**
+ * GET /api/curriculum/lessons/[lessonId]/published
+ *   Versión publicada de la lección (la que ven los estudiantes), incluida la
+ *   aprobada cuya fecha programada ya pasó. Solo lectura: el registro de esa
+ *   publicación lo hacen las rutas de profesores.
+ *   `published: null` = nunca se publicó una edición: vale el contenido JSON.
+ *   Requiere sesión (cualquier rol).
+ *
+ * Query params: moduleId (requerido)
+ */
+import { requireUser } from '@/lib/apiAuth';
+import { resolvePublishedRevision } from '@/lib/curriculumResolver';
+import { prisma } from '@/lib/prisma';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Método no permitido' });
+  }
+
+  try {
+    await requireUser(req, res);
+  } catch {
+    return;
+  }
+
+  const { lessonId, moduleId } = req.query;
+
+  if (!moduleId?.trim()) return res.status(400).json({ error: 'moduleId es requerido' });
+
+  try {
+    const mod = await prisma.module.findUnique({ where: { slug: moduleId.trim() } });
+    if (!mod) return res.status(200).json({ published: null });
+
+    const lesson = await prisma.lesson.findFirst({
+      where:  { moduleId: mod.id, slug: lessonId },
+      select: { id: true },
+    });
+    if (!lesson) return res.status(200).json({ published: null });
+
+    const current = await resolvePublishedRevision(lesson.id);
+    if (!current) return res.status(200).json({ published: null });
+
+    const { revision, publishedAt } = current;
+    return res.status(200).json({
+      published: {
+        version:     revision.version,
+        title:       revision.title,
+        steps:       revision.stepsSnapshot ?? [],
+        publishedAt,
+      },
+    });
+  } catch (err) {
+    console.error('[GET /api/curriculum/lessons/:id/published]', err);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
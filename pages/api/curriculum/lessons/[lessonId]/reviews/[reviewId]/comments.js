@@ -0,0 +1,87 @@
+/**
+ * POST  /api/curriculum/lessons/[lessonId]/reviews/[reviewId]/comments
+ *   Agrega un comentario a la solicitud, general o anclado a una sección.
+ *   Body: { moduleId, body, sectionIndex?, stepId? }
+ *
+ * PATCH /api/curriculum/lessons/[lessonId]/reviews/[reviewId]/comments
+ *   Marca un comentario como resuelto (o lo reabre).
+ *   Body: { moduleId, commentId, resolved: boolean }
+ *
+ * Solo mientras la solicitud está abierta. Requiere rol TEACHER o superior.
+ */
+import { requireTeacher } from '@/lib/apiAuth';
+import { resolveModule, resolveLesson, OPEN_REVIEW_STATUSES } from '@/lib/curriculumResolver';
+import { prisma } from '@/lib/prisma';
+
+const AUTHOR_INCLUDE = { author: { select: { id: true, name: true, email: true } } };
+
+export default async function handler(req, res) {
+  if (!['POST', 'PATCH'].includes(req.method)) {
+    return res.status(405).json({ error: 'Método no permitido' });
+  }
+
+  let user;
+  try {
+    ({ user } = await requireTeacher(req, res));
+  } catch {
+    return;
+  }
+
+  const { lessonId, reviewId } = req.query;
+  const { moduleId, body, sectionIndex, stepId, commentId, resolved } = req.body ?? {};
+
+  if (!moduleId?.trim()) return res.status(400).json({ error: 'moduleId es requerido' });
+
+  try {
+    const mod = await resolveModule(moduleId, user.id);
+    const lesson = await resolveLesson(lessonId, mod.id, user.id);
+
+    const review = await prisma.lessonReview.findFirst({
+      where:  { id: reviewId, lessonId: lesson.id },
+      select: { id: true, status: true },
+    });
+    if (!review) return res.status(404).json({ error: 'Solicitud no encontrada' });
+    if (!OPEN_REVIEW_STATUSES.includes(review.status)) {
+      return res.status(409).json({ error: 'La solicitud ya está cerrada' });
+    }
+
+    // ── POST: nuevo comentario ──────────────────────────────────────────────
+    if (req.method === 'POST') {
+      if (!body?.trim()) return res.status(400).json({ error: 'body es requerido' });
+      if (sectionIndex != null && (!Number.isInteger(sectionIndex) || sectionIndex < 0)) {
+        return res.status(400).json({ error: 'sectionIndex inválido' });
+      }
+
+      const comment = await prisma.lessonReviewComment.create({
+        data: {
+          reviewId:     review.id,
+          sectionIndex: sectionIndex ?? null,
+          stepId:       stepId ?? null,
+          body:         body.trim(),
+          authorId:     user.id,
+        },
+        include: AUTHOR_INCLUDE,
+      });
+      return res.status(201).json({ comment });
+    }
+
+    // ── PATCH: resolver / reabrir ───────────────────────────────────────────
+    if (typeof resolved !== 'boolean') return res.status(400).json({ error: 'resolved debe ser booleano' });
+
+    const existing = await prisma.lessonReviewComment.findFirst({
+      where:  { id: commentId, reviewId: review.id },
+      select: { id: true },
+    });
+    if (!existing) return res.status(404).json({ error: 'Comentario no encontrado' });
+
+    const comment = await prisma.lessonReviewComment.update({
+      where:   { id: existing.id },
+      data:    { resolved },
+      include: AUTHOR_INCLUDE,
+    });
+    return res.status(200).json({ comment });
+  } catch (err) {
+    console.error(`[${req.method} /api/curriculum/lessons/:id/reviews/:reviewId/comments]`, err);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
@@ -0,0 +1,151 @@
+/**
+ * GET   /api/curriculum/lessons/[lessonId]/reviews/[reviewId]
+ *   Solicitud de revisión con la foto enviada y la versión publicada, para
+ *   comparar qué verán los estudiantes al publicarla.
+ *   Query params: moduleId (requerido)
+ *
+ * PATCH /api/curriculum/lessons/[lessonId]/reviews/[reviewId]
+ *   Decide sobre la solicitud.
+ *   Body: { moduleId, decision: 'approve'|'request_changes'|'cancel', note?, scheduledPublishAt? }
+ *   - approve: publica ya, o en scheduledPublishAt si es futura (queda APPROVED).
+ *     Sin scheduledPublishAt se respeta la fecha pedida por el autor.
+ *   - request_changes: vuelve al autor con la nota.
+ *   - cancel: el autor (o un admin) retira la solicitud.
+ *   Responde 409 si la solicitud cambió de estado desde que se leyó.
+ *
+ * Requiere rol TEACHER o superior.
+ */
+import { requireTeacher } from '@/lib/apiAuth';
+import {
+  resolveModule,
+  resolveLesson,
+  logChange,
+  lessonReviewPermissions,
+  publishLessonReview,
+  LESSON_REVIEW_INCLUDE,
+} from '@/lib/curriculumResolver';
+import { prisma } from '@/lib/prisma';
+
+const DECISIONS = {
+  approve:         { permission: 'canDecide', action: 'review_approve' },
+  request_changes: { permission: 'canDecide', action: 'review_request_changes' },
+  cancel:          { permission: 'canCancel', action: 'review_cancel' },
+};
+
+export default async function handler(req, res) {
+  if (!['GET', 'PATCH'].includes(req.method)) {
+    return res.status(405).json({ error: 'Método no permitido' });
+  }
+
+  let user;
+  try {
+    ({ user } = await requireTeacher(req, res));
+  } catch {
+    return;
+  }
+
+  const { lessonId, reviewId } = req.query;
+  const moduleId = req.method === 'GET' ? req.query.moduleId : req.body?.moduleId;
+
+  if (!moduleId?.trim()) return res.status(400).json({ error: 'moduleId es requerido' });
+
+  try {
+    const mod = await resolveModule(moduleId, user.id);
+    const lesson = await resolveLesson(lessonId, mod.id, user.id);
+
+    const review = await prisma.lessonReview.findFirst({
+      where:   { id: reviewId, lessonId: lesson.id },
+      include: LESSON_REVIEW_INCLUDE,
+    });
+    if (!review) return res.status(404).json({ error: 'Solicitud no encontrada' });
+
+    // ── GET: detalle + fotos para el diff ───────────────────────────────────
+    if (req.method === 'GET') {
+      const [revision, published] = await Promise.all([
+        prisma.lessonRevision.findUnique({
+          where:  { id: review.revisionId },
+          select: { version: true, title: true, stepsSnapshot: true },
+        }),
+        lesson.publishedRevisionId
+          ? prisma.lessonRevision.findUnique({
+              where:  { id: lesson.publishedRevisionId },
+              select: { version: true, title: true, stepsSnapshot: true },
+            })
+          : null,
+      ]);
+
+      return res.status(200).json({
+        review: { ...review, ...lessonReviewPermissions(review, user) },
+        revision,
+        published,
+      });
+    }
+
+    // ── PATCH: decisión ─────────────────────────────────────────────────────
+    const { decision, note, scheduledPublishAt } = req.body ?? {};
+    const rule = DECISIONS[decision];
+    if (!rule) return res.status(400).json({ error: 'decision inválida' });
+
+    if (!lessonReviewPermissions(review, user)[rule.permission]) {
+      return res.status(403).json({
+        error: rule.permission === 'canDecide'
+          ? 'No puedes decidir sobre esta solicitud'
+          : 'Solo el autor o un administrador puede retirar la solicitud',
+      });
+    }
+    if (decision === 'request_changes' && !note?.trim()) {
+      return res.status(400).json({ error: 'Indica qué cambios hacen falta' });
+    }
+
+    // Sin scheduledPublishAt vale la fecha pedida por el autor; null = publicar ya
+    const schedule = scheduledPublishAt === undefined
+      ? review.scheduledPublishAt
+      : scheduledPublishAt && new Date(scheduledPublishAt);
+    if (schedule && isNaN(schedule.getTime())) {
+      return res.status(400).json({ error: 'scheduledPublishAt inválido' });
+    }
+
+    const now = new Date();
+    const status = decision === 'cancel'
+      ? 'CANCELLED'
+      : decision === 'request_changes' ? 'CHANGES_REQUESTED' : 'APPROVED';
+
+    // Condicional sobre el estado leído: si otra petición decidió entretanto
+    // (o la solicitud se publicó o canceló) no se pisa su decisión
+    const { count } = await prisma.lessonReview.updateMany({
+      where: { id: review.id, status: review.status },
+      data: {
+        status,
+        ...(decision !== 'cancel' && { decidedBy: user.id, decidedAt: now }),
+        ...(note?.trim() && { decisionNote: note.trim() }),
+        ...(decision === 'approve' && { scheduledPublishAt: schedule ?? null }),
+      },
+    });
+    if (count === 0) {
+      return res.status(409).json({ error: 'La solicitud cambió mientras decidías; vuelve a cargarla' });
+    }
+
+    await logChange({
+      entityType: 'Lesson',
+      entityId:   lesson.id,
+      action:     rule.action,
+      changedBy:  user.id,
+      diff:       { status: { before: review.status, after: status } },
+      metadata:   { lessonJsonId: lessonId, moduleJsonId: moduleId, reviewId: review.id, editorName: user.name },
+    });
+
+    // Aprobada sin fecha futura: se publica en el acto
+    if (decision === 'approve' && (!schedule || schedule <= now)) {
+      await publishLessonReview({ ...review, status, scheduledPublishAt: schedule ?? null }, user.id);
+    }
+
+    const result = await prisma.lessonReview.findUnique({
+      where:   { id: review.id },
+      include: LESSON_REVIEW_INCLUDE,
+    });
+    return res.status(200).json({ review: { ...result, ...lessonReviewPermissions(result, user) } });
+  } catch (err) {
+    console.error(`[${req.method} /api/curriculum/lessons/:id/reviews/:reviewId]`, err);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
@@ -0,0 +1,160 @@
+/**
+ * GET  /api/curriculum/lessons/[lessonId]/reviews
+ *   Estado editorial de la lección: versión publicada, último borrador y
+ *   solicitudes de revisión (más recientes primero) con sus comentarios.
+ *   Query params: moduleId (requerido)
+ *
+ * POST /api/curriculum/lessons/[lessonId]/reviews
+ *   Envía el borrador actual (su última LessonRevision) a revisión. Las
+ *   solicitudes abiertas anteriores (también las aprobadas que esperan su
+ *   fecha de publicación) quedan CANCELLED.
+ *   Body: { moduleId, reviewerId?, message?, scheduledPublishAt? }
+ *
+ * Requiere rol TEACHER o superior.
+ */
+import { requireTeacher } from '@/lib/apiAuth';
+import {
+  resolveModule,
+  resolveLesson,
+  logChange,
+  lessonReviewPermissions,
+  publishDueLessonReviews,
+  withLessonRevision,
+  LESSON_REVIEW_INCLUDE,
+  OPEN_REVIEW_STATUSES,
+} from '@/lib/curriculumResolver';
+import { prisma } from '@/lib/prisma';
+
+export default async function handler(req, res) {
+  if (!['GET', 'POST'].includes(req.method)) {
+    return res.status(405).json({ error: 'Método no permitido' });
+  }
+
+  let user;
+  try {
+    ({ user } = await requireTeacher(req, res));
+  } catch {
+    return;
+  }
+
+  const { lessonId } = req.query;
+
+  try {
+    // ── GET: estado editorial ───────────────────────────────────────────────
+    if (req.method === 'GET') {
+      const { moduleId } = req.query;
+      if (!moduleId?.trim()) return res.status(400).json({ error: 'moduleId es requerido' });
+
+      const mod = await prisma.module.findUnique({ where: { slug: moduleId.trim() } });
+      const found = mod
+        ? await prisma.lesson.findFirst({ where: { moduleId: mod.id, slug: lessonId }, select: { id: true } })
+        : null;
+      if (!found) return res.status(200).json({ published: null, draft: null, reviews: [] });
+
+      await publishDueLessonReviews(found.id);
+
+      const [lesson, draft, reviews] = await Promise.all([
+        prisma.lesson.findUnique({
+          where:  { id: found.id },
+          select: {
+            publishedRevisionId: true,
+            publishedAt:         true,
+            publishedRevision:   { select: { version: true } },
+          },
+        }),
+        prisma.lessonRevision.findFirst({
+          where:   { lessonId: found.id },
+          orderBy: { version: 'desc' },
+          select:  { id: true, version: true, changedAt: true },
+        }),
+        prisma.lessonReview.findMany({
+          where:   { lessonId: found.id },
+          include: LESSON_REVIEW_INCLUDE,
+          orderBy: { createdAt: 'desc' },
+          take:    20,
+        }),
+      ]);
+
+      return res.status(200).json({
+        published: lesson.publishedRevision
+          ? { version: lesson.publishedRevision.version, publishedAt: lesson.publishedAt }
+          : null,
+        draft: draft
+          ? { ...draft, isPublished: draft.id === lesson.publishedRevisionId }
+          : null,
+        reviews: reviews.map((review) => ({ ...review, ...lessonReviewPermissions(review, user) })),
+      });
+    }
+
+    // ── POST: solicitar revisión ────────────────────────────────────────────
+    const { moduleId, reviewerId, message, scheduledPublishAt } = req.body ?? {};
+    if (!moduleId?.trim()) return res.status(400).json({ error: 'moduleId es requerido' });
+
+    const schedule = scheduledPublishAt ? new Date(scheduledPublishAt) : null;
+    if (schedule && isNaN(schedule.getTime())) {
+      return res.status(400).json({ error: 'scheduledPublishAt inválido' });
+    }
+    if (reviewerId === user.id) {
+      return res.status(400).json({ error: 'El revisor debe ser otra persona' });
+    }
+    if (reviewerId) {
+      const reviewer = await prisma.user.findFirst({
+        where: { id: reviewerId, role: { in: ['TEACHER', 'ADMIN', 'SUPERUSER'] } },
+        select: { id: true },
+      });
+      if (!reviewer) return res.status(400).json({ error: 'El revisor debe ser un profesor o administrador' });
+    }
+
+    const mod = await resolveModule(moduleId, user.id);
+    const lesson = await resolveLesson(lessonId, mod.id, user.id);
+
+    // Bajo el bloqueo de la lección: un guardado simultáneo no puede dejar un
+    // borrador más nuevo que el enviado ni dos solicitudes abiertas a la vez
+    const { error, draft, review } = await withLessonRevision(lesson, user.id, async (tx) => {
+      const draft = await tx.lessonRevision.findFirst({
+        where:   { lessonId: lesson.id },
+        orderBy: { version: 'desc' },
+        select:  { id: true, version: true, action: true },
+      });
+      // La revisión 0 es el JSON original: si es la última no hay cambios
+      if (!draft || draft.action === 'baseline') {
+        return { revision: null, error: 'La lección no tiene cambios para revisar' };
+      }
+      if (draft.id === lesson.publishedRevisionId) {
+        return { revision: null, error: 'El borrador ya está publicado' };
+      }
+
+      await tx.lessonReview.updateMany({
+        where: { lessonId: lesson.id, status: { in: OPEN_REVIEW_STATUSES } },
+        data:  { status: 'CANCELLED' },
+      });
+      const review = await tx.lessonReview.create({
+        data: {
+          lessonId:           lesson.id,
+          revisionId:         draft.id,
+          requestedBy:        user.id,
+          reviewerId:         reviewerId ?? null,
+          message:            message?.trim() || null,
+          scheduledPublishAt: schedule,
+        },
+        include: LESSON_REVIEW_INCLUDE,
+      });
+      return { revision: null, draft, review };
+    });
+    if (error) return res.status(400).json({ error });
+
+    await logChange({
+      entityType: 'Lesson',
+      entityId:   lesson.id,
+      action:     'review_request',
+      changedBy:  user.id,
+      diff:       { revisionVersion: draft.version },
+      metadata:   { lessonJsonId: lessonId, moduleJsonId: moduleId, reviewId: review.id, reviewerId: reviewerId ?? null, editorName: user.name },
+    });
+
+    return res.status(201).json({ review: { ...review, ...lessonReviewPermissions(review, user) } });
+  } catch (err) {
+    console.error(`[${req.method} /api/curriculum/lessons/:id/reviews]`, err);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * GET /api/curriculum/lessons/[lessonId]/revisions/[revisionId]
+ *   Devuelve una revisión con su foto de Steps, la revisión anterior (para
+ *   ver qué cambió en ella) y el estado actual de la lección (para ver qué
+ *   cambiaría al restaurarla).
+ *   Requiere rol TEACHER o superior.
+ *
+ * Query params: moduleId (requerido)
+ */
+import { requireTeacher } from '@/lib/apiAuth';
+import { snapshotLessonSteps } from '@/lib/curriculumResolver';
+import { prisma } from '@/lib/prisma';
+
+const REVISION_SELECT = {
+  id:            true,
+  version:       true,
+  title:         true,
+  action:        true,
+  summary:       true,
+  stepsSnapshot: true,
+  changedAt:     true,
+  changer:       { select: { name: true, email: true } },
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Método no permitido' });
+  }
+
+  try {
+    await requireTeacher(req, res);
+  } catch {
+    return;
+  }
+
+  const { lessonId, revisionId, moduleId } = req.query;
+
+  if (!moduleId?.trim()) return res.status(400).json({ error: 'moduleId es requerido' });
+
+  try {
+    const mod = await prisma.module.findUnique({ where: { slug: moduleId.trim() } });
+    const lesson = mod
+      ? await prisma.lesson.findFirst({ where: { moduleId: mod.id, slug: lessonId } })
+      : null;
+    if (!lesson) return res.status(404).json({ error: 'Lección no encontrada' });
+
+    const revision = await prisma.lessonRevision.findFirst({
+      where:  { id: revisionId, lessonId: lesson.id },
+      select: REVISION_SELECT,
+    });
+    if (!revision) return res.status(404).json({ error: 'Revisión no encontrada' });
+
+    const [previous, steps] = await Promise.all([
+      prisma.lessonRevision.findFirst({
+        where:   { lessonId: lesson.id, version: { lt: revision.version } },
+        orderBy: { version: 'desc' },
+        select:  REVISION_SELECT,
+      }),
+      snapshotLessonSteps(lesson.id),
+    ]);
+
+    return res.status(200).json({
+      revision,
+      previous,
+      current: { title: lesson.title, steps },
+    });
+  } catch (err) {
+    console.error('[GET /api/curriculum/lessons/:id/revisions/:revisionId]', err);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
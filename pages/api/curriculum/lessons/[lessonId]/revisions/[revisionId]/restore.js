@@ -0,0 +1,78 @@
+/**
+ * POST /api/curriculum/lessons/[lessonId]/revisions/[revisionId]/restore
+ *   Devuelve la lección al estado de una revisión anterior. La restauración
+ *   no borra historial: queda en ChangeLog y como una revisión nueva, así que
+ *   también se puede deshacer.
+ *   Requiere rol TEACHER o superior.
+ *
+ * Body: { moduleId }
+ */
+import { requireTeacher } from '@/lib/apiAuth';
+import {
+  resolveModule,
+  resolveLesson,
+  logChange,
+  applyLessonRevision,
+  withLessonRevision,
+} from '@/lib/curriculumResolver';
+import { prisma } from '@/lib/prisma';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Método no permitido' });
+  }
+
+  let user;
+  try {
+    ({ user } = await requireTeacher(req, res));
+  } catch {
+    return;
+  }
+
+  const { lessonId, revisionId } = req.query;
+  const { moduleId } = req.body ?? {};
+
+  if (!moduleId?.trim()) return res.status(400).json({ error: 'moduleId es requerido' });
+
+  try {
+    const mod = await resolveModule(moduleId, user.id);
+    const lesson = await resolveLesson(lessonId, mod.id, user.id);
+
+    const revision = await prisma.lessonRevision.findFirst({
+      where: { id: revisionId, lessonId: lesson.id },
+    });
+    if (!revision) return res.status(404).json({ error: 'Revisión no encontrada' });
+
+    const { counts, revision: restored } = await withLessonRevision(lesson, user.id, async (tx) => {
+      const applied = await applyLessonRevision(tx, lesson.id, revision, user.id);
+
+      const log = await logChange({
+        entityType: 'Lesson',
+        entityId:   lesson.id,
+        action:     'restore',
+        changedBy:  user.id,
+        diff: {
+          version: { restored: revision.version },
+          ...(revision.title !== lesson.title && { title: { before: lesson.title, after: revision.title } }),
+        },
+        metadata: {
+          lessonJsonId: lessonId,
+          moduleJsonId: moduleId,
+          revisionId:   revision.id,
+          editorName:   user.name,
+          ...applied,
+        },
+      }, tx);
+
+      return {
+        counts: applied,
+        revision: { action: 'restore', summary: `Restauró la versión ${revision.version}`, changeLogId: log.id },
+      };
+    });
+
+    return res.status(200).json({ success: true, version: restored.version, ...counts });
+  } catch (err) {
+    console.error('[POST /api/curriculum/lessons/:id/revisions/:revisionId/restore]', err);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
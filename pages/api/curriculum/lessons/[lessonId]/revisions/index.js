@@ -0,0 +1,56 @@
+/**
+ * GET /api/curriculum/lessons/[lessonId]/revisions
+ *   Lista el historial de revisiones de una lección, de la más reciente a la
+ *   más antigua (sin la foto de los Steps, que se pide por revisión).
+ *   Requiere rol TEACHER o superior.
+ *
+ * Query params: moduleId (requerido)
+ */
+import { requireTeacher } from '@/lib/apiAuth';
+import { prisma } from '@/lib/prisma';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Método no permitido' });
+  }
+
+  try {
+    await requireTeacher(req, res);
+  } catch {
+    return;
+  }
+
+  const { lessonId, moduleId } = req.query;
+
+  if (!moduleId?.trim()) return res.status(400).json({ error: 'moduleId es requerido' });
+
+  try {
+    // Una lección nunca editada no tiene historial (sin crear registro)
+    const mod = await prisma.module.findUnique({ where: { slug: moduleId.trim() } });
+    if (!mod) return res.status(200).json({ revisions: [] });
+
+    const lesson = await prisma.lesson.findFirst({
+      where: { moduleId: mod.id, slug: lessonId },
+    });
+    if (!lesson) return res.status(200).json({ revisions: [] });
+
+    const revisions = await prisma.lessonRevision.findMany({
+      where: { lessonId: lesson.id },
+      select: {
+        id:        true,
+        version:   true,
+        title:     true,
+        action:    true,
+        summary:   true,
+        changedAt: true,
+        changer:   { select: { name: true, email: true } },
+      },
+      orderBy: { version: 'desc' },
+    });
+
+    return res.status(200).json({ revisions });
+  } catch (err) {
+    console.error('[GET /api/curriculum/lessons/:id/revisions]', err);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
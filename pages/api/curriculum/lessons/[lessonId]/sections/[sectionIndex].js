@@ -1,17 +1,30 @@
 /**
  * PATCH  /api/curriculum/lessons/[lessonId]/sections/[sectionIndex]
  *   Guarda el contenido HTML editado de una sección como Step en BD.
- *   Body: { moduleId, htmlContent, title?, sectionSourceId? }
+ *   Body: { moduleId, htmlContent, title?, sectionSourceId?, baseUpdatedAt? }
+ *   baseUpdatedAt es el updatedAt del Step del que partió el editor (null si
+ *   partió del JSON): si otro profesor guardó entretanto responde 409 con el
+ *   contenido actual en vez de sobrescribirlo. Sin el campo no se comprueba.
  *
  * DELETE /api/curriculum/lessons/[lessonId]/sections/[sectionIndex]
  *   Marca la sección como inactiva (soft-delete).
  *   Body: { moduleId, sectionSourceId? }
  *
+ * sectionIndex es la posición de la página en la lección (pageData.index de
+ * useLessonPages): se guarda como Step.order y es con lo que se busca el Step
+ * cuando la sección no trae sectionSourceId.
+ *
+ * Cada escritura deja una LessonRevision (historial y restauración) en la
+ * misma transacción que el cambio.
  * Requiere rol TEACHER o superior.
  */
 import { requireTeacher } from '@/lib/apiAuth';
-import { resolveModule, resolveLesson, logChange } from '@/lib/curriculumResolver';
-import { prisma } from '@/lib/prisma';
+import {
+  resolveModule,
+  resolveLesson,
+  logChange,
+  withLessonRevision,
+} from '@/lib/curriculumResolver';
 
 export default async function handler(req, res) {
   if (!['PATCH', 'DELETE'].includes(req.method)) {
@@ -32,7 +45,7 @@ export default async function handler(req, res) {
     return res.status(400).json({ error: 'sectionIndex inválido' });
   }
 
-  const { moduleId, htmlContent, title, sectionSourceId } = req.body ?? {};
+  const { moduleId, htmlContent, title, sectionSourceId, baseUpdatedAt } = req.body ?? {};
 
   if (!moduleId?.trim()) return res.status(400).json({ error: 'moduleId es requerido' });
 
@@ -44,115 +57,137 @@ export default async function handler(req, res) {
     if (req.method === 'PATCH') {
       if (!htmlContent) return res.status(400).json({ error: 'htmlContent es requerido' });
 
-      // Buscar Step existente por lessonId + order (o sectionSourceId si se proveyó)
-      const whereClause = sectionSourceId
-        ? { lessonId: lesson.id, sectionSourceId }
-        : { lessonId_order: { lessonId: lesson.id, order: idx } };
-
-      // Intentar encontrar el step existente
-      let existing = null;
-      if (sectionSourceId) {
-        existing = await prisma.step.findFirst({
-          where: { lessonId: lesson.id, sectionSourceId },
-        });
-      } else {
-        existing = await prisma.step.findFirst({
-          where: { lessonId: lesson.id, order: idx },
-        });
-      }
-
-      const before = existing?.content ?? null;
-
-      let step;
-      if (existing) {
-        step = await prisma.step.update({
-          where: { id: existing.id },
-          data: {
-            content:         htmlContent,
-            title:           title ?? existing.title,
-            lastModifiedBy:  user.id,
-            lastModifiedAt:  new Date(),
+      // El Step se busca, se compara con baseUpdatedAt y se escribe con la
+      // lección bloqueada: otro guardado simultáneo espera a que este termine.
+      const { conflict, step } = await withLessonRevision(lesson, user.id, async (tx) => {
+        // Buscar Step existente por sectionSourceId si se proveyó, si no por orden
+        const existing = sectionSourceId
+          ? await tx.step.findFirst({ where: { lessonId: lesson.id, sectionSourceId } })
+          : await tx.step.findFirst({ where: { lessonId: lesson.id, order: idx } });
+
+        const currentUpdatedAt = existing?.updatedAt.toISOString() ?? null;
+        if (baseUpdatedAt !== undefined && baseUpdatedAt !== currentUpdatedAt) {
+          return {
+            conflict: { content: existing?.content ?? null, updatedAt: currentUpdatedAt },
+            revision: null,
+          };
+        }
+
+        const before = existing?.content ?? null;
+
+        let saved;
+        if (existing) {
+          saved = await tx.step.update({
+            where: { id: existing.id },
+            data: {
+              content:         htmlContent,
+              title:           title ?? existing.title,
+              lastModifiedBy:  user.id,
+              lastModifiedAt:  new Date(),
+            },
+          });
+        } else {
+          saved = await tx.step.create({
+            data: {
+              lessonId:        lesson.id,
+              order:           idx,
+              title:           title ?? null,
+              content:         htmlContent,
+              contentType:     'rich-text',
+              sectionSourceId: sectionSourceId ?? null,
+              lastModifiedBy:  user.id,
+              lastModifiedAt:  new Date(),
+            },
+          });
+        }
+
+        const log = await logChange({
+          entityType: 'Step',
+          entityId:   saved.id,
+          action:     existing ? 'update' : 'create',
+          changedBy:  user.id,
+          diff: {
+            content: { before: before?.slice(0, 300) ?? null, after: htmlContent.slice(0, 300) },
+            ...(title && { title: { before: existing?.title ?? null, after: title } }),
           },
-        });
-      } else {
-        step = await prisma.step.create({
-          data: {
-            lessonId:        lesson.id,
-            order:           idx,
-            title:           title ?? null,
-            content:         htmlContent,
-            contentType:     'rich-text',
+          metadata: {
+            lessonJsonId:    lessonId,
+            moduleJsonId:    moduleId,
+            sectionIndex:    idx,
             sectionSourceId: sectionSourceId ?? null,
-            lastModifiedBy:  user.id,
-            lastModifiedAt:  new Date(),
+            editorName:      user.name,
           },
+        }, tx);
+
+        // Actualizar auditoría de la lección
+        await tx.lesson.update({
+          where: { id: lesson.id },
+          data: { lastModifiedBy: user.id, lastModifiedAt: new Date() },
         });
-      }
 
-      await logChange({
-        entityType: 'Step',
-        entityId:   step.id,
-        action:     existing ? 'update' : 'create',
-        changedBy:  user.id,
-        diff: {
-          content: { before: before?.slice(0, 300) ?? null, after: htmlContent.slice(0, 300) },
-          ...(title && { title: { before: existing?.title ?? null, after: title } }),
-        },
-        metadata: {
-          lessonJsonId:    lessonId,
-          moduleJsonId:    moduleId,
-          sectionIndex:    idx,
-          sectionSourceId: sectionSourceId ?? null,
-          editorName:      user.name,
-        },
+        return {
+          step: saved,
+          revision: {
+            action:      existing ? 'update' : 'create',
+            summary:     `Editó la sección ${idx + 1}${title ? ` «${title}»` : ''}`,
+            changeLogId: log.id,
+          },
+        };
       });
 
-      // Actualizar auditoría de la lección
-      await prisma.lesson.update({
-        where: { id: lesson.id },
-        data: { lastModifiedBy: user.id, lastModifiedAt: new Date() },
-      });
+      if (conflict) {
+        return res.status(409).json({
+          error:   'Otro profesor guardó esta sección mientras la editabas',
+          current: conflict,
+        });
+      }
 
-      return res.status(200).json({ success: true, stepId: step.id });
+      return res.status(200).json({ success: true, stepId: step.id, updatedAt: step.updatedAt });
     }
 
     // ── DELETE: soft-delete ─────────────────────────────────────────────────
     if (req.method === 'DELETE') {
-      const existing = sectionSourceId
-        ? await prisma.step.findFirst({ where: { lessonId: lesson.id, sectionSourceId } })
-        : await prisma.step.findFirst({ where: { lessonId: lesson.id, order: idx } });
-
-      if (existing) {
-        await prisma.step.update({
-          where: { id: existing.id },
-          data: { isActive: false, lastModifiedBy: user.id, lastModifiedAt: new Date() },
-        });
-
-        await logChange({
-          entityType: 'Step',
-          entityId:   existing.id,
+      await withLessonRevision(lesson, user.id, async (tx) => {
+        const existing = sectionSourceId
+          ? await tx.step.findFirst({ where: { lessonId: lesson.id, sectionSourceId } })
+          : await tx.step.findFirst({ where: { lessonId: lesson.id, order: idx } });
+
+        if (existing) {
+          await tx.step.update({
+            where: { id: existing.id },
+            data: { isActive: false, lastModifiedBy: user.id, lastModifiedAt: new Date() },
+          });
+
+          await logChange({
+            entityType: 'Step',
+            entityId:   existing.id,
+            action:     'delete',
+            changedBy:  user.id,
+            metadata: {
+              lessonJsonId: lessonId,
+              moduleJsonId: moduleId,
+              sectionIndex: idx,
+              editorName:   user.name,
+            },
+          }, tx);
+        }
+
+        const log = await logChange({
+          entityType: 'Lesson',
+          entityId:   lesson.id,
           action:     'delete',
           changedBy:  user.id,
-          metadata: {
-            lessonJsonId: lessonId,
-            moduleJsonId: moduleId,
-            sectionIndex: idx,
-            editorName:   user.name,
-          },
-        });
-      }
+          metadata: { lessonJsonId: lessonId, moduleJsonId: moduleId, sectionIndex: idx, editorName: user.name },
+        }, tx);
 
-      await logChange({
-        entityType: 'Lesson',
-        entityId:   lesson.id,
-        action:     'delete',
-        changedBy:  user.id,
-        metadata: { lessonJsonId: lessonId, moduleJsonId: moduleId, sectionIndex: idx, editorName: user.name },
-      });
+        await tx.lesson.update({
+          where: { id: lesson.id },
+          data: { lastModifiedBy: user.id, lastModifiedAt: new Date() },
+        });
 
-      await prisma.lesson.update({
-        where: { id: lesson.id },
-        data: { lastModifiedBy: user.id, lastModifiedAt: new Date() },
+        return {
+          revision: { action: 'delete', summary: `Eliminó la sección ${idx + 1}`, changeLogId: log.id },
+        };
       });
 
       return res.status(200).json({ success: true });
@@ -47,6 +47,7 @@ export default async function handler(req, res) {
         contentType:     true,
         isActive:        true,
         lastModifiedAt:  true,
+        updatedAt:       true,
       },
       orderBy: { order: 'asc' },
     });
@@ -1,13 +1,17 @@
 /**
  * POST /api/curriculum/lessons/[lessonId]/sections/reorder
- * Registra el reordenamiento de secciones.
+ * Registra el reordenamiento de secciones (ChangeLog + LessonRevision).
  * Body: { moduleId, from: number, to: number }
  *
  * Requiere rol TEACHER o superior.
  */
 import { requireTeacher } from '@/lib/apiAuth';
-import { resolveModule, resolveLesson, logChange } from '@/lib/curriculumResolver';
-import prisma from '@/lib/prisma';
+import {
+  resolveModule,
+  resolveLesson,
+  logChange,
+  withLessonRevision,
+} from '@/lib/curriculumResolver';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -33,18 +37,28 @@ export default async function handler(req, res) {
     const module = await resolveModule(moduleId, user.id);
     const lesson = await resolveLesson(lessonId, module.id, user.id);
 
-    await logChange({
-      entityType: 'Lesson',
-      entityId:   lesson.id,
-      action:     'reorder',
-      changedBy:  user.id,
-      diff:       { sectionOrder: { from, to } },
-      metadata:   { lessonJsonId: lessonId, moduleJsonId: moduleId, editorName: user.name },
-    });
+    await withLessonRevision(lesson, user.id, async (tx) => {
+      const log = await logChange({
+        entityType: 'Lesson',
+        entityId:   lesson.id,
+        action:     'reorder',
+        changedBy:  user.id,
+        diff:       { sectionOrder: { from, to } },
+        metadata:   { lessonJsonId: lessonId, moduleJsonId: moduleId, editorName: user.name },
+      }, tx);
+
+      await tx.lesson.update({
+        where: { id: lesson.id },
+        data: { lastModifiedBy: user.id, lastModifiedAt: new Date() },
+      });
 
-    await prisma.lesson.update({
-      where: { id: lesson.id },
-      data: { lastModifiedBy: user.id, lastModifiedAt: new Date() },
+      return {
+        revision: {
+          action:      'reorder',
+          summary:     `Movió la sección ${from + 1} a la posición ${to + 1}`,
+          changeLogId: log.id,
+        },
+      };
     });
 
     return res.status(200).json({ success: true });
@@ -0,0 +1,37 @@
+/**
+ * GET /api/curriculum/reviewers
+ *   Profesores y administradores que pueden revisar un borrador de lección
+ *   (todos menos el usuario actual).
+ *   Requiere rol TEACHER o superior.
+ */
+import { requireTeacher } from '@/lib/apiAuth';
+import { prisma } from '@/lib/prisma';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Método no permitido' });
+  }
+
+  let user;
+  try {
+    ({ user } = await requireTeacher(req, res));
+  } catch {
+    return;
+  }
+
+  try {
+    const reviewers = await prisma.user.findMany({
+      where: {
+        id:   { not: user.id },
+        role: { in: ['TEACHER', 'ADMIN', 'SUPERUSER'] },
+      },
+      select:  { id: true, name: true, email: true, role: true },
+      orderBy: { name: 'asc' },
+    });
+
+    return res.status(200).json({ reviewers });
+  } catch (err) {
+    console.error('[GET /api/curriculum/reviewers]', err);
+    return res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
@@ -5,7 +5,9 @@
  *   compartida vía ConexionVentiladorProvider; su tab vive dentro del dashboard
  *   (tab "Conexión"). Aquí solo se renderiza VentilatorDashboardWrapper, que lee
  *   del contexto si la sesión está sobre un ventilador real.
- * Versión: 2.0
+ *   Un docente que observa la práctica de un estudiante ve el mismo dashboard
+ *   sin guardar la sesión como propia.
+ * Versión: 2.1
  * Autor: Marcela Mazo Castro
  * Proyecto: VentyLab
  * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
@@ -29,12 +31,15 @@ import styles from '@/features/simulador/ui/SimuladorPage.module.css';
 
 function SimuladorContent() {
   // El estado de reserva/conexión es la única fuente de verdad de la FSM.
-  const { tieneReserva } = useConexionVentiladorContext();
+  const { tieneReserva, observacion } = useConexionVentiladorContext();
 
   return (
     <div className={styles.layout}>
       <main className={styles.main}>
-        <VentilatorDashboardWrapper isRealVentilator={tieneReserva} />
+        <VentilatorDashboardWrapper
+          isRealVentilator={tieneReserva}
+          isObserving={observacion.observada !== null}
+        />
       </main>
     </div>
   );
@@ -0,0 +1,50 @@
+-- Registro de ventiladores físicos (VentilatorDevice) y reservas por equipo.
+--
+-- ventilator_reservations ya tiene filas con "deviceId" (por defecto
+-- 'ventilab-device-001'): antes de la clave foránea se registra ese equipo y
+-- cualquier otro deviceId que aparezca en las reservas, para que ninguna fila
+-- quede sin su VentilatorDevice. El seed hace el mismo upsert del equipo por
+-- defecto, así que correrlo después no duplica nada.
+--
+-- Es la primera migración versionada: en una base creada con `prisma db push`
+-- hay que aplicarla a mano (psql) y marcarla con
+-- `prisma migrate resolve --applied 20261018164500_ventilator_devices`.
+
+-- CreateTable
+CREATE TABLE "ventilator_devices" (
+    "id" TEXT NOT NULL,
+    "deviceId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "location" TEXT,
+    "capabilities" TEXT[],
+    "lastSeenAt" TIMESTAMP(3),
+    "retiredAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ventilator_devices_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ventilator_devices_deviceId_key" ON "ventilator_devices"("deviceId");
+
+-- CreateIndex
+CREATE INDEX "ventilator_devices_retiredAt_idx" ON "ventilator_devices"("retiredAt");
+
+-- CreateIndex
+CREATE INDEX "ventilator_reservations_deviceId_startTime_idx" ON "ventilator_reservations"("deviceId", "startTime");
+
+-- Backfill: equipo por defecto
+INSERT INTO "ventilator_devices" ("id", "deviceId", "name", "location", "capabilities", "updatedAt")
+VALUES (gen_random_uuid()::text, 'ventilab-device-001', 'Ventilador 1', 'Laboratorio de simulación',
+        ARRAY['VCV', 'PCV', 'HOLDS', 'MQTT'], CURRENT_TIMESTAMP)
+ON CONFLICT ("deviceId") DO NOTHING;
+
+-- Backfill: otros equipos que ya tengan reservas (se renombran desde el panel)
+INSERT INTO "ventilator_devices" ("id", "deviceId", "name", "capabilities", "updatedAt")
+SELECT gen_random_uuid()::text, r."deviceId", r."deviceId", ARRAY[]::TEXT[], CURRENT_TIMESTAMP
+FROM (SELECT DISTINCT "deviceId" FROM "ventilator_reservations") r
+ON CONFLICT ("deviceId") DO NOTHING;
+
+-- AddForeignKey
+ALTER TABLE "ventilator_reservations" ADD CONSTRAINT "ventilator_reservations_deviceId_fkey" FOREIGN KEY ("deviceId") REFERENCES "ventilator_devices"("deviceId") ON DELETE RESTRICT ON UPDATE CASCADE;
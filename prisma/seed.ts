@@ -604,6 +604,77 @@ async function main() {
 
   console.log('✅ Registros de progreso creados\n');
 
+  // Ventilador físico por defecto (deviceId por defecto de VentilatorReservation)
+  console.log('🫁 Registrando ventiladores...');
+  await prisma.ventilatorDevice.upsert({
+    where: { deviceId: 'ventilab-device-001' },
+    update: {},
+    create: {
+      deviceId: 'ventilab-device-001',
+      name: 'Ventilador 1',
+      location: 'Laboratorio de simulación',
+      capabilities: ['VCV', 'PCV', 'HOLDS', 'MQTT'],
+    },
+  });
+  console.log('✅ Ventiladores registrados\n');
+
+  // Cupos de reserva por rol: estudiantes 2 turnos/semana; docentes sin límite y
+  // con prioridad en la lista de espera cuando reservan para un grupo.
+  console.log('📅 Configurando cupos de reserva...');
+  const quotas = [
+    { role: UserRole.STUDENT, maxSlotsPerWeek: 2, maxSlotMinutes: 60, groupPriority: 0, canBookForGroup: false },
+    { role: UserRole.TEACHER, maxSlotsPerWeek: null, maxSlotMinutes: 120, groupPriority: 10, canBookForGroup: true },
+    { role: UserRole.ADMIN, maxSlotsPerWeek: null, maxSlotMinutes: 240, groupPriority: 10, canBookForGroup: true },
+  ];
+  for (const quota of quotas) {
+    await prisma.reservationQuota.upsert({
+      where: { role: quota.role },
+      update: {},
+      create: quota,
+    });
+  }
+  console.log('✅ Cupos de reserva configurados\n');
+
+  // Interlocks del ventilador físico. Estudiantes: rangos duros y sin relación
+  // I:E invertida. Docentes/admin: rangos amplios; los derivados sólo piden
+  // confirmación. Las presiones estimadas usan la compliance del pulmón de prueba
+  // (~20 mL/cmH₂O), por eso los topes de distensión son holgados.
+  console.log('🛡️  Configurando interlocks de seguridad...');
+  const studentLimits = [
+    { parameter: 'tidalVolume', min: 200, max: 800, action: 'BLOCK' },
+    { parameter: 'respiratoryRate', min: 8, max: 35, action: 'BLOCK' },
+    { parameter: 'peep', min: 3, max: 15, action: 'BLOCK' },
+    { parameter: 'fio2', min: 0.21, max: 0.8, action: 'CONFIRM' },
+    { parameter: 'pressureLimit', min: 10, max: 35, action: 'BLOCK' },
+    { parameter: 'inspiratoryTime', min: 0.3, max: 2, action: 'BLOCK' },
+    { parameter: 'drivingPressure', min: null, max: 25, action: 'BLOCK' },
+    { parameter: 'plateauPressure', min: null, max: 35, action: 'BLOCK' },
+    { parameter: 'ieRatio', min: null, max: 1, action: 'BLOCK' },
+  ] as const;
+  const staffLimits = [
+    { parameter: 'tidalVolume', min: 100, max: 1000, action: 'BLOCK' },
+    { parameter: 'respiratoryRate', min: 5, max: 40, action: 'BLOCK' },
+    { parameter: 'peep', min: 0, max: 20, action: 'BLOCK' },
+    { parameter: 'pressureLimit', min: 5, max: 45, action: 'BLOCK' },
+    { parameter: 'inspiratoryTime', min: 0.2, max: 3, action: 'BLOCK' },
+    { parameter: 'drivingPressure', min: null, max: 30, action: 'CONFIRM' },
+    { parameter: 'plateauPressure', min: null, max: 40, action: 'CONFIRM' },
+    { parameter: 'ieRatio', min: null, max: 2, action: 'CONFIRM' },
+  ] as const;
+  const safetyLimits = [
+    ...studentLimits.map((limit) => ({ ...limit, role: UserRole.STUDENT })),
+    ...staffLimits.map((limit) => ({ ...limit, role: UserRole.TEACHER })),
+    ...staffLimits.map((limit) => ({ ...limit, role: UserRole.ADMIN })),
+  ];
+  for (const limit of safetyLimits) {
+    await prisma.ventilatorSafetyLimit.upsert({
+      where: { role_parameter: { role: limit.role, parameter: limit.parameter } },
+      update: {},
+      create: limit,
+    });
+  }
+  console.log('✅ Interlocks de seguridad configurados\n');
+
   console.log('✨ Seed completado exitosamente!\n');
   console.log('📋 Resumen:');
   console.log(`   - ${3} usuarios creados`);
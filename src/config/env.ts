@@ -39,3 +39,14 @@ export function logEnvDiagnostics(context: string) {
   // These logs are safe to keep in production while debugging
 }
 
+// MQTT broker (WebSocket listener) used to reach the physical ventilator when
+// it publishes telemetry directly instead of through the backend socket.
+// e.g. Mosquitto with `listener 9001` + `protocol websockets`.
+export const MQTT_BROKER_URL = (process.env.NEXT_PUBLIC_MQTT_URL || 'ws://localhost:9001').replace(/\/+$/, '');
+
+// Device id the ESP controller uses as its topic level (ventylab/ventilators/<id>/…)
+export const MQTT_DEFAULT_DEVICE_ID = process.env.NEXT_PUBLIC_MQTT_DEVICE_ID || 'vent-01';
+
+// The direct MQTT channel normally requires the same reservation as the backend
+// channel; set to '0' to skip it when testing against a local broker.
+export const MQTT_REQUIRES_RESERVATION = process.env.NEXT_PUBLIC_MQTT_REQUIRE_RESERVATION !== '0';
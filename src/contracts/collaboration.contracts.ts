@@ -0,0 +1,77 @@
+/**
+ * Frontend collaboration contracts.
+ * Socket events of the curriculum editor's real-time editing rooms.
+ * Keep in sync with: ventylab-server/contracts/collaboration.contracts.ts
+ */
+
+// =============================================================================
+// Lesson editing rooms
+// =============================================================================
+//
+// Teachers editing the same lesson share one Yjs document per lesson. The server
+// is a plain relay: it never decodes the payloads, it only scopes them to the
+// room and stamps the sender's socket id. Client → server events:
+//   collab:join CollabJoinRequest (ack CollabJoinAck)   collab:leave { roomId }
+//   collab:sync CollabMessage                           collab:awareness CollabMessage
+// collab:sync goes to `to` when present, otherwise to the rest of the room;
+// collab:awareness always goes to the rest of the room. Both arrive with `from`.
+// Only TEACHER or above may join; the room id is `lesson:<moduleId>/<lessonId>`.
+
+/** `collab:join` — clientId is the Yjs clientID, echoed back in collab:left. */
+export interface CollabJoinRequest {
+  roomId: string;
+  clientId: number;
+}
+
+/** Ack of collab:join. */
+export interface CollabJoinAck {
+  success: boolean;
+  message?: string;
+  /** Other sockets already in the room; 0 means the local document is authoritative */
+  peers?: number;
+}
+
+/**
+ * `collab:sync` and `collab:awareness` — a y-protocols message as binary.
+ * sync carries sync step 1 / step 2 / update; awareness an awareness update.
+ */
+export interface CollabMessage {
+  roomId: string;
+  data: ArrayBuffer | Uint8Array;
+  /** Socket id of a single recipient (sync step 2 replies) */
+  to?: string;
+  /** Set by the server: socket id of the sender */
+  from?: string;
+}
+
+/** Emitted as `collab:left` to the room when a socket leaves or disconnects. */
+export interface CollabLeftEvent {
+  roomId: string;
+  clientId: number;
+}
+
+// =============================================================================
+// Awareness state
+// =============================================================================
+
+/** Identity shown on the carets and section badges. */
+export interface CollabUser {
+  id: string;
+  name: string;
+  color: string;
+}
+
+/** Local awareness state of each teacher in the room. */
+export interface CollabAwarenessState {
+  user: CollabUser;
+  /** Keys of the sections whose editor is open (soft locks) */
+  editing: string[];
+}
+
+/** Last persisted content of a section, shared through the document's `saved` map. */
+export interface CollabSavedSection {
+  html: string;
+  /** Step.updatedAt returned by the PATCH route (ISO) */
+  updatedAt: string;
+  by: string;
+}
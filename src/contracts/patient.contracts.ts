@@ -191,3 +191,155 @@ export interface ConfigurePatientResponse {
     message: string;
     timestamp: number;
 }
+
+// =============================================================================
+// Scenario scripts (guiones de deterioro)
+// =============================================================================
+
+/**
+ * Presets clínicos que el motor expande a acciones primitivas:
+ * broncoespasmo, secreciones, neumotórax, lucha con el ventilador y
+ * recuperación (vuelta a la mecánica basal, paciente pasivo).
+ */
+export type ScenarioPreset = 'bronchospasm' | 'secretions' | 'pneumothorax' | 'fighting' | 'recovery';
+
+/** Campos del comando enviado que pueden disparar un evento. */
+export type ScenarioParameter =
+    | 'peep'
+    | 'fio2'
+    | 'tidalVolume'
+    | 'respiratoryRate'
+    | 'pressureLimit'
+    | 'inspiratoryTime';
+
+export type ScenarioOperator = 'gt' | 'gte' | 'lt' | 'lte';
+
+/** Cuándo se dispara un evento. Cada evento se dispara una sola vez. */
+export type ScenarioTrigger =
+    /** A los `atSeconds` del inicio del guion */
+    | { type: 'time'; atSeconds: number }
+    /**
+     * Cuando el último comando enviado por el estudiante cumple la condición,
+     * no antes de `afterSeconds` (default 0)
+     */
+    | {
+          type: 'parameter';
+          parameter: ScenarioParameter;
+          operator: ScenarioOperator;
+          value: number;
+          afterSeconds?: number;
+      }
+    /** `delaySeconds` después de que se disparó otro evento */
+    | { type: 'after'; eventId: string; delaySeconds: number };
+
+/** Esfuerzo inspiratorio del paciente (Pmus), mismas unidades que el pulmón local. */
+export interface ScenarioEffort {
+    /** Esfuerzos por minuto */
+    rate: number;
+    /** Pmus pico en cmH2O */
+    amplitude: number;
+    /** Ti neural en s */
+    inspiratoryTime: number;
+    /** Variabilidad del periodo (0-1) */
+    variability?: number;
+}
+
+export type ScenarioAction =
+    /**
+     * Cambia la mecánica respecto de la basal del caso: los factores
+     * reemplazan (no acumulan) a los anteriores y se alcanzan linealmente en
+     * `rampSeconds` (default 0, inmediato).
+     */
+    | {
+          type: 'mechanics';
+          complianceFactor?: number;
+          resistanceFactor?: number;
+          /** Limitación al flujo espiratorio (1 = simétrica) */
+          expiratoryResistanceFactor?: number;
+          rampSeconds?: number;
+      }
+    /** Esfuerzo del paciente: un escenario de asincronías por id o uno propio; null = pasivo */
+    | { type: 'effort'; asynchrony?: string; effort?: ScenarioEffort | null }
+    | { type: 'preset'; preset: ScenarioPreset; rampSeconds?: number }
+    /** Aviso visible para el estudiante (p. ej. "El paciente desatura") */
+    | { type: 'message'; text: string; severity?: 'info' | 'warning' }
+    /** Termina el guion */
+    | { type: 'end' };
+
+export interface ScenarioEvent {
+    /** Único dentro del guion; lo referencian los triggers `after` */
+    id: string;
+    label: string;
+    trigger: ScenarioTrigger;
+    actions: ScenarioAction[];
+}
+
+/**
+ * Guion de un caso clínico (ClinicalCase.scenarioScript).
+ * GET/PUT /api/cases/:id/scenario → { success, data: ScenarioScript | null }
+ */
+export interface ScenarioScript {
+    version: 1;
+    title: string;
+    description?: string;
+    /** Duración máxima en s; al cumplirse el guion termina */
+    durationSeconds?: number;
+    events: ScenarioEvent[];
+}
+
+/**
+ * Entrada de SimulatorSession.scenarioLog. Con los instantes de los eventos y
+ * el parametersLog, el backend mide cuánto tardó el estudiante en reaccionar.
+ */
+export interface ScenarioLogEntry {
+    /** 'abg' = el estudiante pidió una gasometría con el guion en curso */
+    kind: 'start' | 'event' | 'end' | 'stop' | 'abg';
+    /** Id del evento (kind = 'event') */
+    eventId?: string;
+    label: string;
+    /** Segundos desde el inicio del guion */
+    elapsedSeconds: number;
+    /** Unix ms */
+    timestamp: number;
+    /** Tipo de trigger que lo disparó */
+    cause?: ScenarioTrigger['type'];
+}
+
+// =============================================================================
+// Gasometría simulada
+// =============================================================================
+
+/**
+ * Gases estimados por el modelo de intercambio gaseoso del simulador a partir
+ * de los ajustes del ventilador y la patología. Sin lactato: el modelo no
+ * simula la perfusión.
+ */
+export interface SimulatedBloodGas extends Omit<ArterialBloodGas, 'lactate'> {
+    /** Saturación de O2 (%) según la curva de disociación */
+    spo2: number;
+    /** Relación PaO2/FiO2 (mmHg) */
+    pfRatio: number;
+}
+
+/** Ajustes con los que se tomó la muestra. */
+export interface BloodGasSettings {
+    /** Fracción inspirada de O2 (0.21-1.0) */
+    fio2: number;
+    /** PEEP en cmH2O */
+    peep: number;
+    /** Volumen minuto entregado en L/min */
+    minuteVentilation: number;
+}
+
+/**
+ * Gasometría que el estudiante ordenó durante la práctica. Se guarda en
+ * SimulatorSession.bloodGases para revisar qué ajustes llevaron a qué gases.
+ */
+export interface BloodGasOrder extends SimulatedBloodGas {
+    id: string;
+    /** Unix ms de la toma */
+    timestamp: number;
+    settings: BloodGasSettings;
+    /** Segundos desde el inicio del guion, si había uno en curso */
+    scenarioElapsedSeconds?: number;
+}
@@ -4,6 +4,8 @@
  * Keep in sync with: ventylab-server/contracts/simulation.contracts.ts
  */
 
+import type { BloodGasOrder, ScenarioLogEntry } from './patient.contracts';
+
 // =============================================================================
 // Enums
 // =============================================================================
@@ -25,7 +27,22 @@ export type AlarmType =
   | 'APNEA'
   | 'DISCONNECTION'
   | 'POWER_FAILURE'
-  | 'TECHNICAL_FAULT';
+  | 'TECHNICAL_FAULT'
+  // Raised by the client-side alarm engine (per-breath evaluation)
+  | 'HIGH_RESPIRATORY_RATE'
+  | 'LOW_RESPIRATORY_RATE'
+  | 'HIGH_AUTO_PEEP';
+
+/**
+ * Respiratory event tagged on a reading by the client-side lung simulation
+ * (patient triggering and patient–ventilator asynchronies).
+ */
+export type VentilatorEventType =
+  | 'PATIENT_TRIGGER'
+  | 'INEFFECTIVE_EFFORT'
+  | 'DOUBLE_TRIGGER'
+  | 'AUTO_TRIGGER'
+  | 'FLOW_STARVATION';
 
 // =============================================================================
 // Data shapes (match backend broadcast payloads)
@@ -47,6 +64,10 @@ export interface VentilatorReading {
   timestamp: number;
   /** Device identifier */
   deviceId: string;
+  /** Patient muscular pressure in cmH₂O (simulation only) */
+  pmus?: number;
+  /** Event detected at this sample (simulation only) */
+  event?: VentilatorEventType;
 }
 
 /** Emitted as `ventilator:alarm` when a threshold is crossed. */
@@ -97,6 +118,27 @@ export interface VentilatorCommand {
   timestamp?: number;
 }
 
+/** Field-level difference between two consecutive commands. */
+export interface ParameterChange {
+  field: keyof VentilatorCommand;
+  before: VentilatorCommand[keyof VentilatorCommand] | null;
+  after: VentilatorCommand[keyof VentilatorCommand] | null;
+}
+
+/**
+ * Entry of SimulatorSession.parametersLog: the command issued plus what it
+ * changed and the student's free-text rationale. Older sessions store bare
+ * VentilatorCommand objects, so every extra field is optional.
+ */
+export interface ParameterLogEntry extends VentilatorCommand {
+  /** Client-side id, unique within the session. */
+  id?: string;
+  changes?: ParameterChange[];
+  rationale?: string;
+  /** Display name of whoever issued it when not the session owner (a teacher in control). */
+  author?: string;
+}
+
 /** Response from POST /api/simulation/command */
 export interface SendCommandResponse {
   success: boolean;
@@ -106,6 +148,81 @@ export interface SendCommandResponse {
   errors?: string[];
 }
 
+/** Extra fields of the POST /api/simulation/command body besides `command`. */
+export interface SendCommandOptions {
+  deviceId?: string;
+  /**
+   * From a passed preflight for this exact command. Required when the command
+   * reaches real hardware; the server then writes the ChangeLog audit record
+   * (entityType "VentilatorCommand", action "command", diff per field).
+   */
+  confirmationId?: string;
+}
+
+// =============================================================================
+// Safety interlocks (real hardware)
+// =============================================================================
+
+/** Command fields plus the values derived from them that carry a limit. */
+export type InterlockParameter =
+  | 'tidalVolume'
+  | 'respiratoryRate'
+  | 'peep'
+  | 'fio2'
+  | 'pressureLimit'
+  | 'inspiratoryTime'
+  | 'drivingPressure'
+  | 'plateauPressure'
+  | 'ieRatio';
+
+/** BLOCK rejects the command; CONFIRM needs an explicit acknowledgement. */
+export type InterlockAction = 'BLOCK' | 'CONFIRM';
+
+/**
+ * GET /api/simulation/safety-limits → { success, data: SafetyLimit[] } for the
+ * caller's role. Values use command units (fio2 as fraction, ieRatio as I/E).
+ */
+export interface SafetyLimit {
+  parameter: InterlockParameter;
+  min: number | null;
+  max: number | null;
+  action: InterlockAction;
+}
+
+export interface InterlockViolation {
+  parameter: InterlockParameter;
+  value: number;
+  min: number | null;
+  max: number | null;
+  action: InterlockAction;
+  message: string;
+}
+
+/** POST /api/simulation/command/preflight body */
+export interface CommandPreflightRequest {
+  command: VentilatorCommand;
+  deviceId?: string;
+  transport: 'websocket' | 'mqtt' | 'serial';
+  /** L/cmH₂O used to estimate plateau and driving pressure */
+  compliance: number;
+  /** CONFIRM violations the user acknowledged in the dialog */
+  acknowledged: InterlockParameter[];
+}
+
+/**
+ * → { success, data: CommandPreflight }. The server re-runs every check with
+ * the role's limits; allowed=false when a BLOCK limit is crossed or a CONFIRM
+ * one was not acknowledged.
+ */
+export interface CommandPreflight {
+  allowed: boolean;
+  violations: InterlockViolation[];
+  /** Single use; null when not allowed */
+  confirmationId: string | null;
+  /** Unix ms */
+  expiresAt: number | null;
+}
+
 // =============================================================================
 // REST API — request/response shapes
 // =============================================================================
@@ -129,6 +246,8 @@ export interface GetVentilatorStatusResponse {
 export interface ReserveVentilatorRequest {
   durationMinutes: number;
   purpose?: string;
+  /** Registered device to reserve; omitted → the backend's default device */
+  deviceId?: string;
 }
 
 /** POST /api/simulation/reserve response */
@@ -141,6 +260,237 @@ export interface ReserveVentilatorResponse {
   currentUser?: string;
 }
 
+// =============================================================================
+// Device registry
+// =============================================================================
+
+/** Modes and features a physical ventilator supports. */
+export type VentilatorCapability = 'VCV' | 'PCV' | 'FLOW' | 'HOLDS' | 'MQTT' | 'SERIAL';
+
+/** GET /api/simulation/devices → { success, data: VentilatorDevice[] } */
+export interface VentilatorDevice {
+  id: string;
+  /** Identifier used by the backend service and the MQTT topics */
+  deviceId: string;
+  name: string;
+  location: string | null;
+  capabilities: VentilatorCapability[];
+  /** Derived by the backend from lastSeenAt (telemetry or heartbeat) */
+  isOnline: boolean;
+  /** ISO timestamps */
+  lastSeenAt: string | null;
+  retiredAt: string | null;
+}
+
+/** SCHEDULED = future slot booked on the calendar, activated by the backend at startTime. */
+export type ReservationStatus = 'SCHEDULED' | 'ACTIVE' | 'COMPLETED' | 'CANCELLED' | 'EXPIRED';
+
+/**
+ * One entry of a device's reservation calendar.
+ * GET /api/simulation/devices/:deviceId/reservations?from&to → { success, data: DeviceReservationSlot[] }
+ */
+export interface DeviceReservationSlot {
+  id: string;
+  userId: string;
+  userName: string | null;
+  status: ReservationStatus;
+  /** Unix ms */
+  startTime: number;
+  endTime: number;
+  purpose: string | null;
+  /** Group session the slot was booked for */
+  groupId: string | null;
+  groupName: string | null;
+}
+
+/** POST /api/admin/ventilators body (PATCH /api/admin/ventilators/:deviceId takes a partial) */
+export interface UpsertVentilatorDeviceRequest {
+  deviceId: string;
+  name: string;
+  location?: string;
+  capabilities: VentilatorCapability[];
+}
+
+// =============================================================================
+// Advance booking & waitlist
+// =============================================================================
+
+/**
+ * POST /api/simulation/reservations body — books a future slot (status SCHEDULED).
+ * 409 when it overlaps another slot of the device, 403 when it exceeds the role quota.
+ */
+export interface ScheduleReservationRequest {
+  deviceId: string;
+  /** Unix ms; must be in the future */
+  startTime: number;
+  durationMinutes: number;
+  purpose?: string;
+  /** Book as a group session (roles with canBookForGroup only) */
+  groupId?: string;
+}
+
+/** GET /api/simulation/reservations/quota → { success, data: ReservationQuota } */
+export interface ReservationQuota {
+  role: 'STUDENT' | 'TEACHER' | 'ADMIN' | 'SUPERUSER';
+  /** null = unlimited */
+  maxSlotsPerWeek: number | null;
+  maxSlotMinutes: number;
+  /** Reservations (immediate or scheduled, not cancelled) in the current week */
+  usedThisWeek: number;
+  /** Monday 00:00 of the current week (Unix ms) */
+  weekStart: number;
+  /** Groups the user may book group sessions for (empty when not allowed) */
+  groups: { id: string; name: string }[];
+}
+
+export type WaitlistStatus = 'WAITING' | 'OFFERED' | 'ACCEPTED' | 'DECLINED' | 'EXPIRED' | 'CANCELLED';
+
+/** GET /api/simulation/waitlist → { success, data: WaitlistEntry[] } (the user's open entries) */
+export interface WaitlistEntry {
+  id: string;
+  deviceId: string;
+  status: WaitlistStatus;
+  /** 1-based place in the device's queue (0 once offered) */
+  position: number;
+  durationMinutes: number;
+  purpose: string | null;
+  groupId: string | null;
+  /** Unix ms — set while status is OFFERED */
+  offerExpiresAt: number | null;
+  createdAt: number;
+}
+
+/** POST /api/simulation/devices/:deviceId/waitlist body */
+export interface JoinWaitlistRequest {
+  durationMinutes: number;
+  purpose?: string;
+  groupId?: string;
+}
+
+/** Emitted as `reservation:starting` to the owner when a scheduled slot is activated. */
+export interface ReservationStartingEvent {
+  reservationId: string;
+  deviceId: string;
+  deviceName: string | null;
+  startTime: number;
+  endTime: number;
+}
+
+/** Emitted as `waitlist:offer` to the first user in the queue when the device frees up. */
+export interface WaitlistOfferEvent {
+  entryId: string;
+  deviceId: string;
+  deviceName: string | null;
+  expiresAt: number;
+}
+
+// =============================================================================
+// Live observation (supervised practice)
+// =============================================================================
+//
+// A teacher joins the room of a device held by one of their students. From then
+// on the socket receives that device's ventilator:data / ventilator:alarm /
+// ventilator:status like the owner does. Client → server events:
+//   observe:join { deviceId } (ack ObserveJoinAck)   observe:leave { deviceId }
+//   observe:hint { deviceId, text }                  observe:parameter ObservedParameterEvent
+//   observe:sync ParameterSyncEvent (owner only)     observe:control-request { deviceId }
+//   observe:control-response { deviceId, accepted }  observe:control-release { deviceId }
+// observe:parameter and observe:sync are relayed to the rest of the room.
+
+/** Who drives the ventilator during a supervised session. */
+export type SessionController = 'STUDENT' | 'TEACHER';
+
+/** GET /api/simulation/observe/sessions → { success, data: ObservableSession[] } (teachers only) */
+export interface ObservableSession {
+  deviceId: string;
+  deviceName: string | null;
+  reservationId: string;
+  studentId: string;
+  studentName: string;
+  /** Unix ms */
+  startTime: number;
+  endTime: number;
+  /** Teachers currently in the room */
+  observerCount: number;
+  controller: SessionController;
+}
+
+/** Ack of observe:join. 403 semantics (not the student's teacher) come back as success=false. */
+export interface ObserveJoinAck {
+  success: boolean;
+  message?: string;
+  session?: ObservableSession;
+  /** The caller's user id, to recognise its own control grants */
+  observerId?: string;
+}
+
+export interface SessionObserver {
+  userId: string;
+  name: string;
+}
+
+/** Emitted as `observe:observers` to the owner whenever the list changes. */
+export interface ObserversChangedEvent {
+  deviceId: string;
+  observers: SessionObserver[];
+}
+
+/** Emitted as `observe:sync-request` to the owner when an observer joins. */
+export interface SyncRequestEvent {
+  deviceId: string;
+}
+
+/** `observe:sync` — the owner's full parameter log, replacing the observers' copy. */
+export interface ParameterSyncEvent {
+  deviceId: string;
+  entries: ParameterLogEntry[];
+}
+
+/**
+ * `observe:parameter` — a new entry or an updated rationale. The server stamps
+ * `entry.author` when the sender is not the owner.
+ */
+export interface ObservedParameterEvent {
+  deviceId: string;
+  entry: ParameterLogEntry;
+}
+
+/** Emitted as `observe:hint` to the owner; text is capped at 280 characters. */
+export interface SupervisionHintEvent {
+  id: string;
+  deviceId: string;
+  from: string;
+  text: string;
+  timestamp: number;
+}
+
+/** Emitted as `observe:control-request` to the owner. */
+export interface ControlRequestEvent {
+  deviceId: string;
+  teacherId: string;
+  teacherName: string;
+}
+
+/**
+ * Emitted as `observe:control` to the whole room when control changes hands or
+ * a request is denied. While TEACHER, POST /api/simulation/command from that
+ * teacher is routed to the device and the owner's commands are rejected.
+ */
+export interface ControlChangedEvent {
+  deviceId: string;
+  controller: SessionController;
+  /** Teacher concerned: the grantee, the denied requester or the previous holder */
+  teacherId: string | null;
+  teacherName: string | null;
+  reason: 'granted' | 'denied' | 'released' | 'revoked';
+}
+
+/** Emitted as `observe:ended` to observers when the reservation is released or expires. */
+export interface ObservationEndedEvent {
+  deviceId: string;
+  reason: 'released' | 'expired';
+}
+
 /**
  * POST /api/simulation/session body — opens a new session record.
  * For simulated patients (isRealVentilator=false), patientData is required.
@@ -155,7 +505,7 @@ export interface CreateSimulatorSessionRequest {
     vitalSigns?: Record<string, number>;
     [key: string]: unknown;
   };
-  parametersLog?: VentilatorCommand[];
+  parametersLog?: ParameterLogEntry[];
   ventilatorData?: VentilatorReading[];
   notes?: string;
   clinicalCaseId?: string;
@@ -175,10 +525,14 @@ export interface CreateSimulatorSessionResponse {
  */
 export interface SaveSimulatorSessionRequest {
   isRealVentilator: boolean;
-  parametersLog: VentilatorCommand[];
+  parametersLog: ParameterLogEntry[];
   ventilatorData: VentilatorReading[];
   notes?: string;
   clinicalCaseId?: string;
+  /** Events of the scenario script that ran during the session, if any */
+  scenarioLog?: ScenarioLogEntry[];
+  /** Arterial blood gases the student ordered during the session */
+  bloodGases?: BloodGasOrder[];
 }
 
 /** POST /api/simulation/session/save response */
@@ -194,14 +548,106 @@ export interface SimulatorSession {
   id: string;
   userId: string;
   isRealVentilator: boolean;
-  parametersLog: VentilatorCommand[];
+  parametersLog: ParameterLogEntry[];
   ventilatorData: VentilatorReading[];
   notes: string | null;
   clinicalCaseId: string | null;
+  scenarioLog: ScenarioLogEntry[] | null;
+  bloodGases: BloodGasOrder[] | null;
   startedAt: string;
   completedAt: string | null;
 }
 
+// =============================================================================
+// Simulator grading (submit configuration against the case's ExpertConfiguration)
+// =============================================================================
+//
+// The student submits the simulator run for a clinical case; the backend scores
+// it against the case's ExpertConfiguration (the expected values never reach
+// the client before submission) and stores an EvaluationAttempt.
+//
+// Scoring rules (backend):
+//   - Each graded parameter weighs by its parameterPriorities entry:
+//     CRITICO = 3, IMPORTANTE = 2, OPCIONAL = 1 (IMPORTANTE when missing).
+//   - A value inside acceptableRanges scores 1 and falls linearly to 0 at one
+//     range width outside it. Without a range, ±10 % of the expert value is
+//     accepted. The mode scores 1 or 0.
+//   - Parameter score = 0.6 × final + 0.4 × time-weighted.
+//   - score = 100 × Σ weight × parameter score / Σ weight. The attempt is
+//     successful with score ≥ 70 and every CRITICO final value in range.
+
+/**
+ * Settings in the units of ExpertConfiguration — the same shape as the
+ * `configuration` of POST /cases/:id/evaluate. FiO2 is a percentage (21–100)
+ * and the mode is 'volume' | 'pressure' | 'simv' | 'psv'.
+ */
+export interface SimulationConfiguration {
+  ventilationMode: string;
+  tidalVolume?: number;
+  respiratoryRate?: number;
+  peep?: number;
+  fio2?: number;
+  maxPressure?: number;
+  iERatio?: string;
+}
+
+export type ParameterPriority = 'CRITICO' | 'IMPORTANTE' | 'OPCIONAL';
+
+export type GradedParameter = Exclude<keyof SimulationConfiguration, 'iERatio'>;
+
+/** One row of EvaluationAttempt.differences for a simulator attempt. */
+export interface ParameterDifference {
+  parameter: GradedParameter;
+  priority: ParameterPriority;
+  weight: number;
+  /** Expert value (null when the expert left it open) */
+  expected: number | string | null;
+  /** Acceptable range applied, null for the mode */
+  range: { min: number; max: number } | null;
+  final: number | string | null;
+  timeWeighted: number | string | null;
+  /** 0–1 */
+  finalScore: number;
+  /** 0–1 */
+  timeWeightedScore: number;
+  /** weight × parameter score */
+  points: number;
+}
+
+export interface SimulationGrade {
+  /** 0–100 */
+  score: number;
+  /** Score of the final settings alone (0–100) */
+  finalScore: number;
+  /** Score of the time-weighted settings alone (0–100) */
+  timeWeightedScore: number;
+  isSuccessful: boolean;
+  differences: ParameterDifference[];
+}
+
+/** POST /api/cases/:id/simulation-attempts body */
+export interface SubmitSimulationAttemptRequest {
+  /** Last command sent in the session */
+  finalConfiguration: SimulationConfiguration;
+  /** Every numeric setting averaged by how long it was applied; the mode held longest */
+  timeWeightedConfiguration: SimulationConfiguration;
+  /** Lets the backend recompute the time-weighted settings */
+  parametersLog: ParameterLogEntry[];
+  /** Seconds from the first command to the submission */
+  completionTime: number;
+  /** Ask the backend to add AI feedback to the attempt */
+  requestAiFeedback: boolean;
+}
+
+/** POST /api/cases/:id/simulation-attempts response */
+export interface SubmitSimulationAttemptResponse {
+  attemptId: string;
+  grade: SimulationGrade;
+  /** null when not requested or when the AI service is unavailable */
+  aiFeedback: string | null;
+  completedAt: string;
+}
+
 // =============================================================================
 // Hook contract
 // =============================================================================
@@ -5,6 +5,7 @@
  * Features:
  *  1. Teacher list: search, view assigned groups, demote to student.
  *  2. Promote students: search student accounts and grant TEACHER or ADMIN role.
+ *  3. Ventilators: registry of physical ventilators (add, edit, retire).
  */
 
 import React, { useState, useEffect, useCallback } from 'react';
@@ -18,11 +19,12 @@ import {
 import {
   Search as SearchIcon, Person as PersonIcon, Group as GroupIcon,
   AdminPanelSettings as AdminIcon, School as SchoolIcon,
-  Edit as EditIcon, ArrowUpward as PromoteIcon,
+  Edit as EditIcon, ArrowUpward as PromoteIcon, Air as VentilatorIcon,
 } from '@mui/icons-material';
 import { useAuth } from '@/shared/contexts/AuthContext';
 import { isAdminOrAbove, getRoleDisplayName } from '@/lib/roles';
 import adminService from '@/features/admin/services/adminService';
+import VentilatorDevicesTab from '@/features/admin/components/panel/ui/VentilatorDevicesTab';
 
 const useDebounce = (value, delay) => {
   const [debounced, setDebounced] = useState(value);
@@ -344,7 +346,7 @@ export default function PanelAdmin() {
       <Box sx={{ mb: 3 }}>
         <Typography variant="h4" fontWeight="bold">Administración de Usuarios</Typography>
         <Typography variant="body2" color="text.secondary">
-          Supervisa profesores, revisa sus grupos asignados y gestiona los roles de usuarios.
+          Supervisa profesores, revisa sus grupos asignados, gestiona los roles de usuarios y el registro de ventiladores.
         </Typography>
       </Box>
 
@@ -365,11 +367,17 @@ export default function PanelAdmin() {
             iconPosition="start"
             label="Gestión de Roles"
           />
+          <Tab
+            icon={<VentilatorIcon />}
+            iconPosition="start"
+            label="Ventiladores"
+          />
         </Tabs>
 
         <Box sx={{ p: 3 }}>
           {activeTab === 0 && <TeachersTab />}
           {activeTab === 1 && <PromoteStudentsTab />}
+          {activeTab === 2 && <VentilatorDevicesTab />}
         </Box>
       </Paper>
     </Box>
@@ -1,7 +1,8 @@
 /**
  * PanelStudentDetail - Detailed student view
  * Uses /api/admin/students/:id/progress for rich data.
- * Shows: profile, module progress, evaluations, simulator sessions, teacher scores.
+ * Shows: profile, module progress, evaluations, lesson exercise practice,
+ * simulator sessions, teacher scores.
  */
 
 import React, { useState, useEffect, useCallback } from 'react';
@@ -176,7 +177,7 @@ export default function PanelStudentDetail() {
 
   if (!data) return null;
 
-  const { user: student, moduleProgress = [], evaluationAttempts = [], simulatorSessions = [], quizAttempts = [], scores = [], statistics } = data;
+  const { user: student, moduleProgress = [], evaluationAttempts = [], simulatorSessions = [], quizAttempts = [], exercisePractice = [], scores = [], statistics } = data;
   const overallPct = statistics?.overallProgress ?? 0;
 
   return (
@@ -242,6 +243,7 @@ export default function PanelStudentDetail() {
           <Tab label="Evaluaciones" />
           <Tab label={`Calificaciones (${scores.length})`} />
           <Tab label="Simulador" />
+          <Tab label={`Ejercicios (${exercisePractice.length})`} />
         </Tabs>
 
         <Box sx={{ p: 3 }}>
@@ -376,6 +378,36 @@ export default function PanelStudentDetail() {
                   ))}
                 </List>
           )}
+
+          {/* Tab 4: Lesson exercise practice */}
+          {activeTab === 4 && (
+            exercisePractice.length === 0
+              ? <Box sx={{ textAlign: 'center', py: 4 }}><Typography sx={{ color: 'rgba(255,255,255,0.4)' }}>Sin ejercicios de práctica</Typography></Box>
+              : <List disablePadding>
+                  {exercisePractice.map((p, i) => (
+                    <React.Fragment key={p.lessonId}>
+                      {i > 0 && <Divider sx={{ borderColor: 'rgba(255,255,255,0.07)' }} />}
+                      <ListItem sx={{ py: 1.5, px: 0, gap: 2, flexWrap: 'wrap' }}>
+                        <ListItemText
+                          primary={p.lessonTitle || p.lessonId}
+                          primaryTypographyProps={{ sx: { color: '#e8eaf6' } }}
+                          secondary={`${p.exerciseAttempts} intento${p.exerciseAttempts === 1 ? '' : 's'}${p.lastAccessed ? ` · ${format(new Date(p.lastAccessed), "dd/MM/yyyy HH:mm")}` : ''}`}
+                          secondaryTypographyProps={{ sx: { color: 'rgba(255,255,255,0.45)' } }}
+                          sx={{ flex: '1 1 200px' }}
+                        />
+                        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                          {p.lastExerciseScore != null && (
+                            <Chip label={`Último ${Math.round(p.lastExerciseScore)}%`} size="small" variant="outlined" color={progressColor(p.lastExerciseScore)} />
+                          )}
+                          {p.bestExerciseScore != null && (
+                            <Chip label={`Mejor ${Math.round(p.bestExerciseScore)}%`} size="small" color={progressColor(p.bestExerciseScore)} />
+                          )}
+                        </Box>
+                      </ListItem>
+                    </React.Fragment>
+                  ))}
+                </List>
+          )}
         </Box>
       </Box>
 
@@ -0,0 +1,277 @@
+/**
+ * VentilatorDevicesTab - Registro de ventiladores físicos (solo admin).
+ * Lista los equipos con su ubicación, capacidades y estado en línea; permite
+ * agregar equipos, editarlos y darlos de baja o reactivarlos. Un equipo dado de
+ * baja deja de aceptar reservas pero conserva su historial.
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box, Typography, Paper, Table, TableBody, TableCell, TableContainer, TableHead,
+  TableRow, Chip, IconButton, Tooltip, Alert, CircularProgress, Button, Dialog,
+  DialogTitle, DialogContent, DialogActions, TextField, Skeleton, Stack,
+} from '@mui/material';
+import {
+  Add as AddIcon, Edit as EditIcon, Archive as RetireIcon,
+  Unarchive as RestoreIcon, Air as VentilatorIcon,
+} from '@mui/icons-material';
+import adminService from '@/features/admin/services/adminService';
+import { isValidDeviceId } from '@/features/simulador/conexion/mqtt/utils/mqttProtocol';
+import styles from './VentilatorDevicesTab.module.css';
+
+const CAPABILITIES = [
+  { value: 'VCV', label: 'Volumen control' },
+  { value: 'PCV', label: 'Presión control' },
+  { value: 'FLOW', label: 'Flujo control' },
+  { value: 'HOLDS', label: 'Pausas' },
+  { value: 'MQTT', label: 'MQTT' },
+  { value: 'SERIAL', label: 'Serial' },
+];
+
+const EMPTY_FORM = { deviceId: '', name: '', location: '', capabilities: ['VCV', 'PCV'] };
+
+const formatDate = (iso) => (iso ? new Date(iso).toLocaleString('es-CO') : '—');
+
+// ── Device Dialog ─────────────────────────────────────────────────────────────
+
+function DeviceDialog({ open, onClose, onSaved, target }) {
+  const isEdit = Boolean(target);
+  // El diálogo se monta por apertura, así que el formulario parte del equipo elegido.
+  const [form, setForm] = useState(() => (target
+    ? { deviceId: target.deviceId, name: target.name, location: target.location || '', capabilities: target.capabilities || [] }
+    : EMPTY_FORM));
+  const [saving, setSaving] = useState(false);
+  const [err, setErr] = useState('');
+
+  const toggleCapability = (value) => {
+    setForm((prev) => ({
+      ...prev,
+      capabilities: prev.capabilities.includes(value)
+        ? prev.capabilities.filter((c) => c !== value)
+        : [...prev.capabilities, value],
+    }));
+  };
+
+  const deviceIdError = form.deviceId && !isValidDeviceId(form.deviceId.trim())
+    ? 'Solo letras, números, "-" y "_" (se usa en los tópicos MQTT)'
+    : '';
+
+  const handleSave = async () => {
+    const payload = {
+      name: form.name.trim(),
+      location: form.location.trim(),
+      capabilities: form.capabilities,
+    };
+    setSaving(true);
+    setErr('');
+    const res = isEdit
+      ? await adminService.updateVentilatorDevice(target.deviceId, payload)
+      : await adminService.createVentilatorDevice({ ...payload, deviceId: form.deviceId.trim() });
+    setSaving(false);
+    if (res.success) { onSaved(); onClose(); }
+    else setErr(res.error?.message || 'Error al guardar el ventilador');
+  };
+
+  const canSave = form.name.trim() && (isEdit || (form.deviceId.trim() && !deviceIdError));
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth className={styles['device-dialog']}>
+      <DialogTitle>{isEdit ? 'Editar ventilador' : 'Agregar ventilador'}</DialogTitle>
+      <DialogContent>
+        {err && <Alert severity="error" className={styles['device-dialog__alert']}>{err}</Alert>}
+        <Stack spacing={2} className={styles['device-dialog__fields']}>
+          <TextField
+            label="Id del equipo"
+            size="small"
+            value={form.deviceId}
+            onChange={(e) => setForm((prev) => ({ ...prev, deviceId: e.target.value }))}
+            disabled={isEdit}
+            error={Boolean(deviceIdError)}
+            helperText={deviceIdError || 'Identificador del equipo en el servidor y en el broker MQTT'}
+          />
+          <TextField
+            label="Nombre"
+            size="small"
+            value={form.name}
+            onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))}
+            placeholder="Ej: Ventilador 2"
+          />
+          <TextField
+            label="Ubicación (opcional)"
+            size="small"
+            value={form.location}
+            onChange={(e) => setForm((prev) => ({ ...prev, location: e.target.value }))}
+            placeholder="Ej: Laboratorio de simulación, sala 2"
+          />
+          <Box>
+            <Typography variant="body2" color="text.secondary" className={styles['device-dialog__label']}>Capacidades</Typography>
+            <Box className={styles['device-dialog__chips']}>
+              {CAPABILITIES.map((c) => (
+                <Chip
+                  key={c.value}
+                  label={c.label}
+                  size="small"
+                  color={form.capabilities.includes(c.value) ? 'primary' : 'default'}
+                  variant={form.capabilities.includes(c.value) ? 'filled' : 'outlined'}
+                  onClick={() => toggleCapability(c.value)}
+                />
+              ))}
+            </Box>
+          </Box>
+        </Stack>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancelar</Button>
+        <Button variant="contained" onClick={handleSave} disabled={saving || !canSave}>
+          {saving ? <CircularProgress size={20} /> : 'Guardar'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+// ── Devices Tab ───────────────────────────────────────────────────────────────
+
+export default function VentilatorDevicesTab() {
+  const [devices, setDevices] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [dialog, setDialog] = useState(null); // { target } | null
+  const [busyId, setBusyId] = useState(null);
+
+  const applyResult = useCallback((res) => {
+    if (res.success) setDevices(res.data || []);
+    else setError(res.error?.message || 'Error al cargar los ventiladores');
+    setLoading(false);
+  }, []);
+
+  const fetchDevices = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    applyResult(await adminService.getVentilatorDevices());
+  }, [applyResult]);
+
+  useEffect(() => {
+    adminService.getVentilatorDevices().then(applyResult);
+  }, [applyResult]);
+
+  const handleRetire = async (device) => {
+    setBusyId(device.deviceId);
+    setError(null);
+    const res = device.retiredAt
+      ? await adminService.updateVentilatorDevice(device.deviceId, { retiredAt: null })
+      : await adminService.retireVentilatorDevice(device.deviceId);
+    setBusyId(null);
+    if (res.success) fetchDevices();
+    else setError(res.error?.message || 'No se pudo actualizar el ventilador');
+  };
+
+  return (
+    <Box className={styles['devices-tab']}>
+      <Box className={styles['devices-tab__toolbar']}>
+        <Typography variant="body2" color="text.secondary">
+          Equipos disponibles para reserva. Dar de baja un equipo conserva su historial de reservas.
+        </Typography>
+        <Button variant="contained" startIcon={<AddIcon />} onClick={() => setDialog({ target: null })}>
+          Agregar ventilador
+        </Button>
+      </Box>
+
+      {error && <Alert severity="error" className={styles['devices-tab__alert']}>{error}</Alert>}
+
+      <TableContainer component={Paper} elevation={0} className={styles['devices-tab__table']}>
+        <Table size="small">
+          <TableHead>
+            <TableRow className={styles['devices-tab__head']}>
+              <TableCell>Ventilador</TableCell>
+              <TableCell>Ubicación</TableCell>
+              <TableCell>Capacidades</TableCell>
+              <TableCell>Señal</TableCell>
+              <TableCell>Estado</TableCell>
+              <TableCell align="center">Acciones</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {loading
+              ? [1, 2].map((i) => (
+                  <TableRow key={i}>
+                    {[1, 2, 3, 4, 5, 6].map((j) => (
+                      <TableCell key={j}><Skeleton /></TableCell>
+                    ))}
+                  </TableRow>
+                ))
+              : devices.length === 0
+                ? (
+                  <TableRow>
+                    <TableCell colSpan={6} className={styles['devices-tab__empty']}>
+                      <VentilatorIcon className={styles['devices-tab__empty-icon']} />
+                      <Typography color="text.secondary">No hay ventiladores registrados</Typography>
+                    </TableCell>
+                  </TableRow>
+                )
+                : devices.map((d) => (
+                    <TableRow key={d.deviceId} hover className={d.retiredAt ? styles['devices-tab__row--retired'] : undefined}>
+                      <TableCell>
+                        <Typography variant="body2" fontWeight="medium">{d.name}</Typography>
+                        <Typography variant="caption" color="text.secondary">{d.deviceId}</Typography>
+                      </TableCell>
+                      <TableCell>
+                        <Typography variant="body2" color="text.secondary">{d.location || '—'}</Typography>
+                      </TableCell>
+                      <TableCell>
+                        <Box className={styles['devices-tab__chips']}>
+                          {(d.capabilities || []).map((c) => (
+                            <Chip key={c} label={c} size="small" variant="outlined" />
+                          ))}
+                        </Box>
+                      </TableCell>
+                      <TableCell>
+                        <Tooltip title={`Última señal: ${formatDate(d.lastSeenAt)}`}>
+                          <Chip
+                            label={d.isOnline ? 'En línea' : 'Sin señal'}
+                            size="small"
+                            color={d.isOnline ? 'success' : 'default'}
+                          />
+                        </Tooltip>
+                      </TableCell>
+                      <TableCell>
+                        {d.retiredAt
+                          ? <Chip label={`De baja · ${formatDate(d.retiredAt)}`} size="small" />
+                          : <Chip label="Activo" size="small" color="info" />}
+                      </TableCell>
+                      <TableCell align="center">
+                        <Tooltip title="Editar">
+                          <IconButton size="small" onClick={() => setDialog({ target: d })}>
+                            <EditIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                        <Tooltip title={d.retiredAt ? 'Reactivar' : 'Dar de baja'}>
+                          <span>
+                            <IconButton
+                              size="small"
+                              color={d.retiredAt ? 'primary' : 'warning'}
+                              onClick={() => handleRetire(d)}
+                              disabled={busyId === d.deviceId}
+                            >
+                              {d.retiredAt ? <RestoreIcon fontSize="small" /> : <RetireIcon fontSize="small" />}
+                            </IconButton>
+                          </span>
+                        </Tooltip>
+                      </TableCell>
+                    </TableRow>
+                  ))
+            }
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      {dialog && (
+        <DeviceDialog
+          open
+          onClose={() => setDialog(null)}
+          onSaved={fetchDevices}
+          target={dialog.target}
+        />
+      )}
+    </Box>
+  );
+}
@@ -6,7 +6,10 @@
  *              devuelve ese body completo, por lo que getPlatformStatistics y
  *              getStudents DESEMPAQUETAN un nivel para que el caller reciba el
  *              payload de dominio directo en `res.data` (sin doble-envelope).
- * Versión: 1.1
+ *              Incluye el registro de ventiladores físicos (/api/admin/ventilators).
+ *              getStudentProgress trae el detalle de un estudiante, con la
+ *              práctica de ejercicios de las lecciones.
+ * Versión: 1.3
  * Autor: Marcela Mazo Castro
  * Proyecto: VentyLab
  * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
@@ -154,6 +157,62 @@ export async function getStudents(options = {}) {
   };
 }
 
+/**
+ * Detalle de un estudiante para /panel/students/:id (TEACHER+).
+ * Backend: GET /api/admin/students/:id/progress → { success, data: detail }.
+ * `detail` trae moduleProgress, evaluationAttempts, simulatorSessions,
+ * scores y exercisePractice (una fila por lección con ejercicios intentados,
+ * desde LessonCompletion). No desempaqueta: PanelStudentDetail lee res.data.data.
+ */
+export async function getStudentProgress(studentId) {
+  return request(`/admin/students/${encodeURIComponent(studentId)}/progress`);
+}
+
+// =============================================================================
+// Ventilators (registro de equipos físicos)
+// =============================================================================
+
+/** Desempaqueta { success, data } del backend (ver getPlatformStatistics). */
+const unwrap = (res) => (res.success ? { ...res, data: res.data?.data ?? res.data } : res);
+
+/**
+ * Todos los equipos, incluidos los dados de baja (retiredAt != null).
+ * Backend: GET /api/admin/ventilators → { success, data: VentilatorDevice[] }.
+ */
+export async function getVentilatorDevices() {
+  return unwrap(await request('/admin/ventilators'));
+}
+
+/**
+ * @param {Object} device - { deviceId, name, location?, capabilities }
+ */
+export async function createVentilatorDevice(device) {
+  return unwrap(await request('/admin/ventilators', {
+    method: 'POST',
+    body: JSON.stringify(device),
+  }));
+}
+
+/**
+ * Edita nombre/ubicación/capacidades; { retiredAt: null } reactiva un equipo dado de baja.
+ */
+export async function updateVentilatorDevice(deviceId, updates) {
+  return unwrap(await request(`/admin/ventilators/${encodeURIComponent(deviceId)}`, {
+    method: 'PATCH',
+    body: JSON.stringify(updates),
+  }));
+}
+
+/**
+ * Da de baja el equipo: deja de aceptar reservas pero conserva su historial.
+ * El backend responde 409 si tiene una reserva activa.
+ */
+export async function retireVentilatorDevice(deviceId) {
+  return unwrap(await request(`/admin/ventilators/${encodeURIComponent(deviceId)}`, {
+    method: 'DELETE',
+  }));
+}
+
 const adminService = {
   getUsers,
   getUserById,
@@ -163,6 +222,11 @@ const adminService = {
   getAdminStats,
   getPlatformStatistics,
   getStudents,
+  getStudentProgress,
+  getVentilatorDevices,
+  createVentilatorDevice,
+  updateVentilatorDevice,
+  retireVentilatorDevice,
 };
 
 export default adminService;
@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import RichTextEditor from '../RichTextEditor/RichTextEditor';
+import { seedCollaborativeContent } from '../RichTextEditor/editorExtensions';
 import styles from './ui/EditableSectionWrapper.module.css';
 
 /** Mapeo de tipo de página a etiqueta legible */
@@ -12,6 +13,7 @@ const SECTION_LABELS = {
   'waveforms':        { label: 'Curvas',             icon: '📈' },
   'parameter-tables': { label: 'Parámetros',         icon: '📊' },
   'practical-case':   { label: 'Caso Práctico',      icon: '🏥' },
+  'exercise':         { label: 'Ejercicio',          icon: '🧮' },
   'key-points':       { label: 'Puntos Clave',       icon: '⭐' },
   'assessment':       { label: 'Evaluación',         icon: '❓' },
   'references':       { label: 'Referencias',        icon: '📚' },
@@ -27,6 +29,17 @@ const SECTION_LABELS = {
  *
  * - Modo EDITOR: reemplaza el contenido con RichTextEditor (Tiptap).
  *   Botones "Guardar sección" y "Cancelar". Al guardar notifica cambios al padre.
+ *
+ * - Revisión: si la lección tiene una solicitud de revisión abierta, los
+ *   comentarios de esta sección se muestran encima del contenido (los no
+ *   resueltos siempre visibles) y el botón 💬 permite agregar uno.
+ *
+ * - Edición compartida: con `collab` el editor trabaja sobre el documento de
+ *   la sala y `editingPeers` (quién más tiene la sección abierta) se muestra
+ *   como bloqueo blando: avisa, pero se puede entrar a editar con ellos. Quien
+ *   abre la sección sin nadie más dentro la carga desde lo guardado.
+ *   `onContentChange` puede devolver una promesa: false deja el editor abierto
+ *   con un error y { conflict } muestra el contenido que guardó otro profesor.
  */
 const EditableSectionWrapper = ({
   children,
@@ -38,33 +51,98 @@ const EditableSectionWrapper = ({
   onMoveUp,
   onMoveDown,
   onDelete,
+  reviewComments = [],
+  onAddReviewComment,
+  onResolveReviewComment,
+  baseUpdatedAt,
+  collab = null,
+  editingPeers = [],
+  onEditingChange,
 }) => {
   const [hovered, setHovered] = useState(false);
   const [editing, setEditing] = useState(false);
+  const [commentsOpen, setCommentsOpen] = useState(false);
+  const [commentText, setCommentText] = useState('');
   const [editorContent, setEditorContent] = useState(initialContent ?? '');
   const [savedContent, setSavedContent] = useState(initialContent ?? '');
+  const [prevInitialContent, setPrevInitialContent] = useState(initialContent);
+  const [editorCollab, setEditorCollab] = useState(null);
+  const [editBase, setEditBase] = useState(baseUpdatedAt);
+  const [saveState, setSaveState] = useState(null); // null | 'saving' | 'error'
+  const [conflict, setConflict] = useState(null);
+
+  // Lo guardado cambia fuera (otro profesor guardó, se recargaron los Steps)
+  if (initialContent !== prevInitialContent) {
+    setPrevInitialContent(initialContent);
+    setSavedContent(initialContent ?? '');
+  }
 
   const meta = SECTION_LABELS[pageType] ?? { label: pageType ?? 'Sección', icon: '📄' };
   const isFirst = sectionIndex === 0;
   const isLast = sectionIndex === totalSections - 1;
   const isDirty = editorContent !== savedContent;
+  const openComments = reviewComments.filter((c) => !c.resolved).length;
+  const showComments = commentsOpen || openComments > 0;
+  const peerNames = editingPeers.map((p) => p.name).join(', ');
 
   const handleAction = (e, fn) => { e.stopPropagation(); fn?.(); };
 
   const handleOpenEditor = () => {
-    setEditorContent(initialContent ?? savedContent ?? '');
+    if (collab && editingPeers.length === 0) seedCollaborativeContent(collab.doc, collab.field, savedContent);
+    setEditorCollab(collab);
+    setEditorContent(savedContent);
+    setEditBase(baseUpdatedAt);
     setEditing(true);
+    onEditingChange?.(true);
   };
 
-  const handleSave = () => {
-    setSavedContent(editorContent);
-    onContentChange?.(editorContent, sectionIndex);
+  const closeEditor = () => {
     setEditing(false);
+    setSaveState(null);
+    setConflict(null);
+    onEditingChange?.(false);
   };
 
+  // En edición compartida la base la mantiene el documento (lo último que
+  // guardó cualquiera); en solitario es la del momento de abrir
+  const handleSave = async (base = editorCollab ? baseUpdatedAt : editBase) => {
+    setSaveState('saving');
+    const result = await onContentChange?.(editorContent, sectionIndex, base);
+    if (result === false) {
+      setSaveState('error');
+      return;
+    }
+    if (result?.conflict) {
+      setSaveState(null);
+      setConflict(result.conflict);
+      return;
+    }
+    setSavedContent(editorContent);
+    closeEditor();
+  };
+
+  const handleLoadTheirs = () => {
+    setEditorContent(conflict.content ?? '');
+    setSavedContent(conflict.content ?? '');
+    setEditBase(conflict.updatedAt);
+    setConflict(null);
+  };
+
+  const handleKeepMine = () => {
+    setEditBase(conflict.updatedAt);
+    handleSave(conflict.updatedAt);
+  };
+
+  // Lo escrito en el documento compartido queda para quienes siguen dentro
   const handleCancel = () => {
-    setEditorContent(savedContent);
-    setEditing(false);
+    if (!editorCollab) setEditorContent(savedContent);
+    closeEditor();
+  };
+
+  const handleAddComment = async () => {
+    const body = commentText.trim();
+    if (!body) return;
+    if (await onAddReviewComment(body, sectionIndex)) setCommentText('');
   };
 
   return (
@@ -77,6 +155,21 @@ const EditableSectionWrapper = ({
       onMouseEnter={() => !editing && setHovered(true)}
       onMouseLeave={() => setHovered(false)}
     >
+      {/* ── Bloqueo blando: otros profesores con la sección abierta ── */}
+      {!editing && editingPeers.length > 0 && (
+        <div className={styles['editable-section__lock']} role="status">
+          {editingPeers.map((p) => (
+            <span
+              key={p.id}
+              className={styles['editable-section__lock-dot']}
+              style={{ backgroundColor: p.color }}
+              aria-hidden="true"
+            />
+          ))}
+          {peerNames} {editingPeers.length === 1 ? 'está editando' : 'están editando'} esta sección
+        </div>
+      )}
+
       {/* ── Barra de controles (hover, solo en modo VISTA) ── */}
       {!editing && (
         <div
@@ -90,16 +183,29 @@ const EditableSectionWrapper = ({
           </span>
 
           <div className={styles['editable-section__actions']}>
+            {(onAddReviewComment || reviewComments.length > 0) && (
+              <button
+                type="button"
+                className={`${styles['editable-section__action-btn']} ${styles['editable-section__action-btn--comment']}`}
+                onClick={(e) => handleAction(e, () => setCommentsOpen((v) => !v))}
+                title="Comentarios de revisión de esta sección"
+                aria-label="Comentarios de revisión"
+                tabIndex={hovered ? 0 : -1}
+              >
+                💬{reviewComments.length > 0 && ` ${openComments}/${reviewComments.length}`}
+              </button>
+            )}
+
             {/* Botón Editar */}
             <button
               type="button"
               className={`${styles['editable-section__action-btn']} ${styles['editable-section__action-btn--edit']}`}
               onClick={(e) => handleAction(e, handleOpenEditor)}
-              title="Editar contenido de esta sección"
+              title={editingPeers.length ? `Editar junto a ${peerNames}` : 'Editar contenido de esta sección'}
               aria-label="Editar sección"
               tabIndex={hovered ? 0 : -1}
             >
-              ✏️ Editar
+              ✏️ {editingPeers.length ? 'Editar con ellos' : 'Editar'}
             </button>
 
             {!isFirst && (
@@ -143,39 +249,113 @@ const EditableSectionWrapper = ({
               <span aria-hidden="true">{meta.icon}</span>
               Editando: {meta.label}
             </span>
+            {editorCollab && editingPeers.length > 0 && (
+              <span className={styles['editable-section__peers']}>
+                {editingPeers.map((p) => (
+                  <span key={p.id} className={styles['editable-section__peer']} style={{ borderColor: p.color }}>
+                    {p.name}
+                  </span>
+                ))}
+              </span>
+            )}
             <div className={styles['editable-section__editor-actions']}>
               <button
                 type="button"
                 className={`${styles['editable-section__ctrl-btn']} ${styles['editable-section__ctrl-btn--save']} ${!isDirty ? styles['editable-section__ctrl-btn--disabled'] : ''}`}
-                onClick={handleSave}
-                disabled={!isDirty}
+                onClick={() => handleSave()}
+                disabled={!isDirty || saveState === 'saving'}
                 title={isDirty ? 'Guardar esta sección' : 'Sin cambios'}
               >
                 <span aria-hidden="true">💾</span>
-                {isDirty ? 'Guardar sección' : 'Sin cambios'}
+                {saveState === 'saving' ? 'Guardando…' : isDirty ? 'Guardar sección' : 'Sin cambios'}
               </button>
               <button
                 type="button"
                 className={`${styles['editable-section__ctrl-btn']} ${styles['editable-section__ctrl-btn--cancel']}`}
                 onClick={handleCancel}
-                title="Cancelar y volver a la vista"
+                title={editorCollab && editingPeers.length
+                  ? 'Salir; lo escrito sigue en la edición compartida'
+                  : 'Cancelar y volver a la vista'}
               >
-                Cancelar
+                {editorCollab && editingPeers.length ? 'Salir' : 'Cancelar'}
               </button>
             </div>
           </div>
 
-          {/* Editor Tiptap */}
+          {saveState === 'error' && (
+            <div className={styles['editable-section__notice']} role="alert">
+              No se pudo guardar la sección. Intenta de nuevo.
+            </div>
+          )}
+          {conflict && (
+            <div className={styles['editable-section__notice']} role="alert">
+              Otro profesor guardó esta sección mientras la editabas.
+              <button type="button" className={styles['editable-section__notice-btn']} onClick={handleLoadTheirs}>
+                Cargar su versión
+              </button>
+              <button type="button" className={styles['editable-section__notice-btn']} onClick={handleKeepMine}>
+                Guardar la mía igualmente
+              </button>
+            </div>
+          )}
+
+          {/* Editor Tiptap (compartido si hay sala) */}
           <RichTextEditor
+            key={editorCollab ? editorCollab.field : 'local'}
             content={editorContent}
             onChange={setEditorContent}
             placeholder={`Contenido de "${meta.label}"… escribe o usa / para insertar un bloque`}
             autoFocus
+            collab={editorCollab}
           />
         </div>
       ) : (
         /* ── Modo VISTA ── */
         <div className={styles['editable-section__content']}>
+          {showComments && (
+            <div className={styles['editable-section__review']}>
+              {reviewComments.map((c) => (
+                <div
+                  key={c.id}
+                  className={`${styles['editable-section__review-comment']} ${c.resolved ? styles['editable-section__review-comment--resolved'] : ''}`}
+                >
+                  <span className={styles['editable-section__review-author']}>
+                    {c.author?.name || c.author?.email}
+                  </span>
+                  <span className={styles['editable-section__review-body']}>{c.body}</span>
+                  {onResolveReviewComment && (
+                    <button
+                      type="button"
+                      className={styles['editable-section__review-resolve']}
+                      onClick={() => onResolveReviewComment(c.id, !c.resolved)}
+                    >
+                      {c.resolved ? 'Reabrir' : 'Resolver'}
+                    </button>
+                  )}
+                </div>
+              ))}
+              {onAddReviewComment && (
+                <div className={styles['editable-section__review-form']}>
+                  <textarea
+                    className={styles['editable-section__review-input']}
+                    value={commentText}
+                    onChange={(e) => setCommentText(e.target.value)}
+                    placeholder="Comentar esta sección…"
+                    rows={2}
+                    aria-label="Comentario de revisión para esta sección"
+                  />
+                  <button
+                    type="button"
+                    className={`${styles['editable-section__ctrl-btn']} ${styles['editable-section__ctrl-btn--save']}`}
+                    onClick={handleAddComment}
+                    disabled={!commentText.trim()}
+                  >
+                    Comentar
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
           {children}
         </div>
       )}
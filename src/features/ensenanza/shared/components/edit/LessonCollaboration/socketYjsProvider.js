@@ -0,0 +1,127 @@
+/*
+ * Funcionalidad: socketYjsProvider — proveedor Yjs sobre el socket del backend
+ * Descripción: Sincroniza un Y.Doc y su awareness a través del socket del backend
+ *              (eventos collab:*, ver src/contracts/collaboration.contracts.ts). El
+ *              servidor solo reenvía: al entrar se difunde el paso 1 de
+ *              sincronización y cada par responde en privado con lo que falta
+ *              (paso 2) más su propio paso 1, de modo que ambos lados quedan con la
+ *              unión de los cambios. Después cada actualización local sale como un
+ *              mensaje de update.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import * as encoding from 'lib0/encoding';
+import * as decoding from 'lib0/decoding';
+import * as syncProtocol from 'y-protocols/sync';
+import {
+  applyAwarenessUpdate,
+  encodeAwarenessUpdate,
+  removeAwarenessStates,
+} from 'y-protocols/awareness';
+
+// Si hay pares pero ninguno responde, se da el documento por sincronizado igual
+const SYNC_TIMEOUT_MS = 5000;
+
+const toBytes = (data) => (data instanceof Uint8Array ? data : new Uint8Array(data));
+
+/**
+ * Entra a la sala `roomId` y devuelve la función que la abandona.
+ * onSynced se llama una vez, cuando el documento local ya tiene lo de la sala;
+ * onError con el mensaje del ack si el servidor rechaza la entrada.
+ */
+export function connectYjsRoom({ socket, roomId, doc, awareness, onSynced, onError }) {
+  const origin = { roomId };
+  let synced = false;
+  let timeout = null;
+
+  const markSynced = () => {
+    clearTimeout(timeout);
+    if (synced) return;
+    synced = true;
+    onSynced?.();
+  };
+
+  const sendSync = (write, to) => {
+    const encoder = encoding.createEncoder();
+    write(encoder);
+    socket.emit('collab:sync', { roomId, data: encoding.toUint8Array(encoder), ...(to && { to }) });
+  };
+
+  const sendAwareness = (clients) => {
+    socket.emit('collab:awareness', { roomId, data: encodeAwarenessUpdate(awareness, clients) });
+  };
+
+  const handleSync = (message) => {
+    if (message.roomId !== roomId) return;
+    const reply = encoding.createEncoder();
+    const type = syncProtocol.readSyncMessage(decoding.createDecoder(toBytes(message.data)), reply, doc, origin);
+
+    if (type === syncProtocol.messageYjsSyncStep1) {
+      socket.emit('collab:sync', { roomId, data: encoding.toUint8Array(reply), to: message.from });
+      // Solo un paso 1 difundido es de alguien que acaba de entrar: se le pide
+      // lo suyo y se le presenta el estado local (responder a uno dirigido
+      // haría rebotar los pasos 1 indefinidamente)
+      if (!message.to) {
+        sendSync((encoder) => syncProtocol.writeSyncStep1(encoder, doc), message.from);
+        sendAwareness([doc.clientID]);
+      }
+    } else if (type === syncProtocol.messageYjsSyncStep2) {
+      markSynced();
+    }
+  };
+
+  const handleAwareness = (message) => {
+    if (message.roomId !== roomId) return;
+    applyAwarenessUpdate(awareness, toBytes(message.data), origin);
+  };
+
+  const handleLeft = (event) => {
+    if (event.roomId !== roomId) return;
+    removeAwarenessStates(awareness, [event.clientId], origin);
+  };
+
+  const handleDocUpdate = (update, updateOrigin) => {
+    if (updateOrigin === origin) return;
+    sendSync((encoder) => syncProtocol.writeUpdate(encoder, update));
+  };
+
+  const handleAwarenessUpdate = ({ added, updated, removed }, updateOrigin) => {
+    if (updateOrigin === origin) return;
+    sendAwareness([...added, ...updated, ...removed]);
+  };
+
+  socket.on('collab:sync', handleSync);
+  socket.on('collab:awareness', handleAwareness);
+  socket.on('collab:left', handleLeft);
+  doc.on('update', handleDocUpdate);
+  awareness.on('update', handleAwarenessUpdate);
+
+  socket.emit('collab:join', { roomId, clientId: doc.clientID }, (ack) => {
+    if (!ack?.success) {
+      onError?.(ack?.message ?? 'No se pudo entrar a la edición compartida');
+      return;
+    }
+    sendSync((encoder) => syncProtocol.writeSyncStep1(encoder, doc));
+    sendAwareness([doc.clientID]);
+    if (!ack.peers) markSynced();
+    else timeout = setTimeout(markSynced, SYNC_TIMEOUT_MS);
+  });
+
+  return () => {
+    clearTimeout(timeout);
+    // Antes de soltar los listeners: los demás deben ver que el cursor se fue
+    removeAwarenessStates(awareness, [doc.clientID], 'disconnect');
+    socket.emit('collab:leave', { roomId });
+    socket.off('collab:sync', handleSync);
+    socket.off('collab:awareness', handleAwareness);
+    socket.off('collab:left', handleLeft);
+    doc.off('update', handleDocUpdate);
+    awareness.off('update', handleAwarenessUpdate);
+  };
+}
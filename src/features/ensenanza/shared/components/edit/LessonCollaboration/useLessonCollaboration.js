@@ -0,0 +1,174 @@
+/*
+ * Funcionalidad: useLessonCollaboration — edición compartida de la lección
+ * Descripción: Edición compartida de una lección en modo edición. Los profesores
+ *              que tienen abierta la misma lección comparten un Y.Doc con un
+ *              fragmento por sección (`section:<clave>`) y un mapa `saved` con lo
+ *              último que se guardó de cada una. La awareness lleva quién es cada
+ *              uno y qué secciones tiene abiertas: con eso se pintan los cursores y
+ *              los bloqueos blandos. Sin socket (o sin backend) el estado queda en
+ *              'offline' y el editor vuelve al modo de un solo usuario; el PATCH de
+ *              la sección sigue protegido por baseUpdatedAt. Si el servidor rechaza
+ *              la entrada a la sala el estado pasa a 'error' y `error` trae el
+ *              mensaje para mostrarlo al profesor.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import * as Y from 'yjs';
+import { Awareness } from 'y-protocols/awareness';
+import { useSocket } from '@/shared/hooks/useSocket';
+import { useAuth } from '@/shared/contexts/AuthContext';
+import { connectYjsRoom } from './socketYjsProvider';
+
+const CARET_COLORS = ['#f6c177', '#9ccfd8', '#eb6f92', '#a6e3a1', '#c4a7e7', '#fab387', '#89b4fa', '#f5c2e7'];
+
+const colorFor = (id) => {
+  let hash = 0;
+  for (const ch of String(id)) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+  return CARET_COLORS[hash % CARET_COLORS.length];
+};
+
+/** Clave estable de una sección: su id en el JSON o, si no tiene, su posición. */
+export const sectionKey = (pageData, idx) => pageData?.section?.id ?? `order-${idx}`;
+
+// Salas abiertas por roomId. Se liberan en diferido para que un desmontaje y
+// montaje inmediatos (StrictMode, cambio de vista) conserven el documento.
+const rooms = new Map();
+const NO_PEERS = [];
+const NOTHING_SAVED = {};
+
+function openRoom(roomId) {
+  if (!rooms.has(roomId)) {
+    const doc = new Y.Doc();
+    rooms.set(roomId, { roomId, doc, awareness: new Awareness(doc), editing: new Set(), refs: 0 });
+  }
+  return rooms.get(roomId);
+}
+
+function retainRoom(room) {
+  room.refs += 1;
+}
+
+function releaseRoom(room) {
+  room.refs -= 1;
+  setTimeout(() => {
+    if (room.refs > 0 || rooms.get(room.roomId) !== room) return;
+    rooms.delete(room.roomId);
+    room.awareness.destroy();
+    room.doc.destroy();
+  }, 0);
+}
+
+export default function useLessonCollaboration({ moduleId, lessonId, enabled }) {
+  const { socket, isAuthenticated } = useSocket();
+  const { user } = useAuth();
+  const roomId = enabled && moduleId && lessonId ? `lesson:${moduleId}/${lessonId}` : null;
+  const room = useMemo(() => (roomId ? openRoom(roomId) : null), [roomId]);
+
+  const [syncedRoom, setSyncedRoom] = useState(null);
+  const [failure, setFailure] = useState({ room: null, message: null });
+  const [peerState, setPeerState] = useState({ room: null, peers: [] });
+  const [savedState, setSavedState] = useState({ room: null, saved: {} });
+
+  const userId = user?.id ?? user?.email;
+  const userName = user?.name || user?.email;
+  const collabUser = useMemo(
+    () => (userId ? { id: String(userId), name: userName, color: colorFor(userId) } : null),
+    [userId, userName]
+  );
+
+  // Presencia y guardados de la sala
+  useEffect(() => {
+    if (!room) return undefined;
+    retainRoom(room);
+    const { doc, awareness } = room;
+    const savedMap = doc.getMap('saved');
+
+    const handleChange = () => {
+      const peers = [];
+      awareness.getStates().forEach((state, clientId) => {
+        if (clientId !== doc.clientID && state.user) peers.push({ clientId, ...state });
+      });
+      setPeerState({ room, peers });
+    };
+    const handleSaved = () => setSavedState({ room, saved: savedMap.toJSON() });
+
+    awareness.on('change', handleChange);
+    savedMap.observe(handleSaved);
+    return () => {
+      awareness.off('change', handleChange);
+      savedMap.unobserve(handleSaved);
+      releaseRoom(room);
+    };
+  }, [room]);
+
+  // Conexión: se rehace con cada (re)autenticación del socket
+  useEffect(() => {
+    if (!room || !socket || !isAuthenticated || !collabUser) return undefined;
+    room.awareness.setLocalState({ user: collabUser, editing: [...room.editing] });
+    return connectYjsRoom({
+      socket,
+      roomId: room.roomId,
+      doc: room.doc,
+      awareness: room.awareness,
+      onSynced: () => {
+        setSyncedRoom(room);
+        setFailure({ room: null, message: null });
+      },
+      onError: (message) => {
+        setSyncedRoom(null);
+        setFailure({ room, message });
+      },
+    });
+  }, [room, socket, isAuthenticated, collabUser]);
+
+  const error = room && failure.room === room ? failure.message : null;
+  const status = !room
+    ? 'off'
+    : !socket || !isAuthenticated
+      ? 'offline'
+      : error
+        ? 'error'
+        : syncedRoom === room ? 'synced' : 'connecting';
+  const peers = peerState.room === room ? peerState.peers : NO_PEERS;
+  const saved = savedState.room === room ? savedState.saved : NOTHING_SAVED;
+
+  // Quién más tiene abierta cada sección (una vez por profesor aunque use varias pestañas)
+  const editorsBySection = useMemo(() => {
+    const map = new Map();
+    peers.forEach(({ user: peer, editing = [] }) => {
+      editing.forEach((key) => {
+        const list = map.get(key) ?? [];
+        if (!list.some((p) => p.id === peer.id)) map.set(key, [...list, peer]);
+      });
+    });
+    return map;
+  }, [peers]);
+
+  /** Datos para el RichTextEditor de una sección; null si no hay sala sincronizada. */
+  const sectionCollab = useCallback(
+    (key) => (status === 'synced'
+      ? { doc: room.doc, awareness: room.awareness, user: collabUser, field: `section:${key}` }
+      : null),
+    [status, room, collabUser]
+  );
+
+  const setEditing = useCallback((key, editing) => {
+    if (!room) return;
+    if (editing) room.editing.add(key);
+    else room.editing.delete(key);
+    if (room.awareness.getLocalState()) room.awareness.setLocalStateField('editing', [...room.editing]);
+  }, [room]);
+
+  const markSaved = useCallback((key, { html, updatedAt }) => {
+    room?.doc.getMap('saved').set(key, { html, updatedAt, by: collabUser?.name ?? null });
+  }, [room, collabUser]);
+
+  return { status, error, peers, editorsBySection, saved, sectionCollab, setEditing, markSaved };
+}
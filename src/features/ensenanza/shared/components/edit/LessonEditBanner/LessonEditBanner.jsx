@@ -9,10 +9,22 @@ import styles from './ui/LessonEditBanner.module.css';
  *  - Título de la lección editable inline (click para editar)
  *  - Hint sobre el BlockInjector (separadores "+" entre secciones)
  *  - Botón "+ Sección" que hace scroll al primer BlockInjector o llama a onAddSection
+ *  - Botón "Historial" (si se pasa onOpenHistory) que abre el historial de versiones
+ *  - Botón "Revisión" (si se pasa onOpenReview) con el estado editorial (reviewLabel):
+ *    lo editado es borrador hasta que se publica tras la revisión
  *
  * Solo debe renderizarse cuando isEditMode === true.
  */
-const LessonEditBanner = ({ lessonTitle, lessonType, totalSections, onTitleChange, onAddSection }) => {
+const LessonEditBanner = ({
+  lessonTitle,
+  lessonType,
+  totalSections,
+  onTitleChange,
+  onAddSection,
+  onOpenHistory,
+  onOpenReview,
+  reviewLabel,
+}) => {
   const [editing, setEditing] = useState(false);
   const [title, setTitle] = useState(lessonTitle || '');
   const inputRef = useRef(null);
@@ -77,6 +89,33 @@ const LessonEditBanner = ({ lessonTitle, lessonType, totalSections, onTitleChang
           <span aria-hidden="true">+</span>
           Sección
         </button>
+
+        {onOpenHistory && (
+          <button
+            type="button"
+            className={styles['lesson-banner__tool-btn']}
+            onClick={onOpenHistory}
+            title="Ver versiones anteriores y restaurar"
+            aria-label="Abrir historial de versiones de la lección"
+          >
+            <span aria-hidden="true">🕘</span>
+            Historial
+          </button>
+        )}
+
+        {onOpenReview && (
+          <button
+            type="button"
+            className={styles['lesson-banner__tool-btn']}
+            onClick={onOpenReview}
+            title="Solicitar revisión, comentar y publicar"
+            aria-label="Abrir revisión y publicación de la lección"
+          >
+            <span aria-hidden="true">📝</span>
+            Revisión
+            {reviewLabel && <span className={styles['lesson-banner__review-status']}>{reviewLabel}</span>}
+          </button>
+        )}
       </div>
 
       {/* Título editable */}
@@ -0,0 +1,282 @@
+/*
+ * Funcionalidad: LessonHistoryDrawer — historial de revisiones de la lección
+ * Descripción: Panel lateral del editor con el historial de revisiones de una
+ *              lección: lista de versiones, diff de la elegida contra la anterior o
+ *              contra el estado actual, y restauración con confirmación.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import React, { useMemo, useState } from 'react';
+import {
+  Alert,
+  Button,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  Divider,
+  Drawer,
+  IconButton,
+  List,
+  ListItemButton,
+  ListItemText,
+  ToggleButton,
+  ToggleButtonGroup,
+} from '@mui/material';
+import {
+  Close as CloseIcon,
+  History as HistoryIcon,
+  Restore as RestoreIcon,
+} from '@mui/icons-material';
+import { format } from 'date-fns';
+import useLessonHistory from './useLessonHistory';
+import SectionDiff from './SectionDiff';
+import { compareSnapshots, isSnapshotUnchanged } from './lessonDiff';
+import styles from './ui/LessonHistoryDrawer.module.css';
+
+const ACTION_LABELS = {
+  baseline: 'Original',
+  update:   'Edición',
+  create:   'Nueva sección',
+  delete:   'Eliminación',
+  reorder:  'Reordenación',
+  title:    'Título',
+  restore:  'Restauración',
+};
+
+const formatDate = (value) => format(new Date(value), 'dd/MM/yyyy HH:mm');
+
+/**
+ * LessonHistoryDrawer - Historial de revisiones de una lección en el editor.
+ *
+ * A la izquierda la lista de versiones; a la derecha el diff de la versión
+ * elegida, contra la anterior ("qué cambió aquí") o contra el estado actual
+ * ("qué cambiaría al restaurar"). Restaurar pide confirmación y queda como
+ * una versión nueva.
+ *
+ * BEM root: history-drawer
+ * Estilos : ui/LessonHistoryDrawer.module.css
+ */
+const LessonHistoryDrawer = ({ open, onClose, lessonId, moduleId, lessonTitle, onRestored }) => {
+  const [selectedId, setSelectedId] = useState(null);
+  const [compareWith, setCompareWith] = useState('previous');
+  const [showUnchanged, setShowUnchanged] = useState(false);
+  const [confirmOpen, setConfirmOpen] = useState(false);
+  const [notice, setNotice] = useState(null);
+
+  const {
+    revisions, activeId, latestId, isLoading, error,
+    detail, isDetailLoading, detailError,
+    restore, restoring,
+  } = useLessonHistory({ lessonId, moduleId, revisionId: selectedId, enabled: open });
+
+  const comparison = useMemo(() => {
+    if (!detail?.revision) return null;
+    const { revision, previous } = detail;
+    const target = { title: revision.title, steps: revision.stepsSnapshot ?? [] };
+
+    const base = compareWith === 'current'
+      ? { title: detail.current.title, steps: detail.current.steps, label: 'Actual' }
+      : {
+          title: previous?.title ?? revision.title,
+          steps: previous?.stepsSnapshot ?? [],
+          label: previous ? `Versión ${previous.version}` : 'Sin versión anterior',
+        };
+
+    const entries = compareSnapshots(base.steps, target.steps);
+    return {
+      entries,
+      beforeLabel: base.label,
+      afterLabel: `Versión ${revision.version}`,
+      titleChange: base.title !== target.title ? { before: base.title, after: target.title } : null,
+      unchanged: isSnapshotUnchanged(entries, base.title, target.title),
+    };
+  }, [detail, compareWith]);
+
+  const handleRestore = async () => {
+    const version = detail?.revision?.version;
+    try {
+      const result = await restore(activeId);
+      setNotice({ severity: 'success', text: `Versión ${version} restaurada (ahora es la versión ${result.version}).` });
+      setSelectedId(null);
+      onRestored?.(result);
+    } catch (err) {
+      setNotice({ severity: 'error', text: err.message || 'No se pudo restaurar la versión.' });
+    } finally {
+      setConfirmOpen(false);
+    }
+  };
+
+  const visibleEntries = comparison
+    ? comparison.entries.filter((e) => showUnchanged || e.status !== 'unchanged' || e.moved)
+    : [];
+
+  return (
+    <Drawer
+      anchor="right"
+      open={open}
+      onClose={onClose}
+      className={styles['history-drawer']}
+      slotProps={{ paper: { className: styles['history-drawer__paper'] } }}
+    >
+      <div className={styles['history-drawer__header']}>
+        <HistoryIcon className={styles['history-drawer__icon']} />
+        <div className={styles['history-drawer__heading']}>
+          <h2 className={styles['history-drawer__title']}>Historial de versiones</h2>
+          {lessonTitle && <p className={styles['history-drawer__subtitle']}>{lessonTitle}</p>}
+        </div>
+        <IconButton onClick={onClose} aria-label="Cerrar historial" className={styles['history-drawer__close']}>
+          <CloseIcon />
+        </IconButton>
+      </div>
+      <Divider className={styles['history-drawer__divider']} />
+
+      {notice && (
+        <Alert severity={notice.severity} onClose={() => setNotice(null)} className={styles['history-drawer__notice']}>
+          {notice.text}
+        </Alert>
+      )}
+
+      <div className={styles['history-drawer__body']}>
+        {/* Lista de versiones */}
+        <div className={styles['history-drawer__list']}>
+          {isLoading && (
+            <div className={styles['history-drawer__loading']}>
+              <CircularProgress size={24} />
+            </div>
+          )}
+          {error && <Alert severity="error" className={styles['history-drawer__list-alert']}>No se pudo cargar el historial.</Alert>}
+          {!isLoading && !error && revisions.length === 0 && (
+            <p className={styles['history-drawer__empty']}>Esta lección aún no tiene ediciones guardadas.</p>
+          )}
+          <List dense disablePadding>
+            {revisions.map((rev) => (
+              <ListItemButton
+                key={rev.id}
+                selected={rev.id === activeId}
+                onClick={() => setSelectedId(rev.id)}
+                className={styles['history-drawer__item']}
+              >
+                <ListItemText
+                  primary={
+                    <span className={styles['history-drawer__item-head']}>
+                      <strong className={styles['history-drawer__version']}>v{rev.version}</strong>
+                      <Chip
+                        label={ACTION_LABELS[rev.action] ?? rev.action}
+                        size="small"
+                        className={styles['history-drawer__chip']}
+                      />
+                      {rev.id === latestId && <span className={styles['history-drawer__latest']}>actual</span>}
+                    </span>
+                  }
+                  secondary={
+                    <>
+                      {rev.summary && <span className={styles['history-drawer__summary']}>{rev.summary}</span>}
+                      {formatDate(rev.changedAt)} · {rev.changer?.name || rev.changer?.email || 'Desconocido'}
+                    </>
+                  }
+                  slotProps={{ secondary: { className: styles['history-drawer__meta'] } }}
+                />
+              </ListItemButton>
+            ))}
+          </List>
+        </div>
+
+        {/* Diff de la versión elegida */}
+        <div className={styles['history-drawer__detail']}>
+          {activeId && (
+            <div className={styles['history-drawer__toolbar']}>
+              <ToggleButtonGroup
+                size="small"
+                exclusive
+                value={compareWith}
+                onChange={(_, value) => value && setCompareWith(value)}
+              >
+                <ToggleButton value="previous">Qué cambió</ToggleButton>
+                <ToggleButton value="current">Contra la actual</ToggleButton>
+              </ToggleButtonGroup>
+              <Button size="small" color="inherit" onClick={() => setShowUnchanged((v) => !v)}>
+                {showUnchanged ? 'Ocultar secciones sin cambios' : 'Ver secciones sin cambios'}
+              </Button>
+              <span className={styles['history-drawer__spacer']} />
+              <Button
+                variant="contained"
+                size="small"
+                startIcon={<RestoreIcon />}
+                disabled={activeId === latestId || restoring || !detail}
+                onClick={() => setConfirmOpen(true)}
+              >
+                Restaurar esta versión
+              </Button>
+            </div>
+          )}
+
+          {isDetailLoading && (
+            <div className={styles['history-drawer__loading']}>
+              <CircularProgress size={24} />
+            </div>
+          )}
+          {detailError && <Alert severity="error">No se pudo cargar la versión.</Alert>}
+
+          {comparison && !isDetailLoading && (
+            <>
+              {comparison.titleChange && (
+                <p className={styles['history-drawer__title-change']}>
+                  Título de la lección: «{comparison.titleChange.before}» → «{comparison.titleChange.after}»
+                </p>
+              )}
+              {comparison.unchanged && (
+                <Alert severity="info" className={styles['history-drawer__info']}>
+                  {compareWith === 'current'
+                    ? 'Esta versión coincide con el contenido actual.'
+                    : 'Esta versión no cambió el contenido de las secciones.'}
+                </Alert>
+              )}
+              {visibleEntries.map((entry) => (
+                <SectionDiff
+                  key={entry.id}
+                  entry={entry}
+                  index={(entry.after ?? entry.before).order}
+                  beforeLabel={comparison.beforeLabel}
+                  afterLabel={comparison.afterLabel}
+                />
+              ))}
+            </>
+          )}
+        </div>
+      </div>
+
+      <Dialog open={confirmOpen} onClose={() => !restoring && setConfirmOpen(false)}>
+        <DialogTitle>¿Restaurar la versión {detail?.revision?.version}?</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            Las secciones y el título de la lección volverán a como estaban en esa versión.
+            El cambio queda registrado en el historial y se puede deshacer restaurando la versión actual.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setConfirmOpen(false)} disabled={restoring}>Cancelar</Button>
+          <Button
+            variant="contained"
+            onClick={handleRestore}
+            disabled={restoring}
+            startIcon={restoring ? <CircularProgress size={16} /> : <RestoreIcon />}
+          >
+            Restaurar
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Drawer>
+  );
+};
+
+export default LessonHistoryDrawer;
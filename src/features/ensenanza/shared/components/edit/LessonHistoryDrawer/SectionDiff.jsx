@@ -0,0 +1,144 @@
+/*
+ * Funcionalidad: SectionDiff — diff de una sección de la lección
+ * Descripción: Comparación lado a lado de una sección entre dos revisiones: bloques
+ *              quitados, agregados y reescritos, estos con diff por palabras.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import React, { useMemo } from 'react';
+import DOMPurify from 'dompurify';
+import { Chip } from '@mui/material';
+import { buildSectionRows } from './lessonDiff';
+import styles from './ui/LessonHistoryDrawer.module.css';
+
+// tone = modificador de color del chip (history-diff__status--<tone>)
+export const STATUS_META = {
+  added:       { label: 'Nueva',       tone: 'added' },
+  removed:     { label: 'Quitada',     tone: 'removed' },
+  deleted:     { label: 'Eliminada',   tone: 'removed' },
+  reactivated: { label: 'Restituida',  tone: 'added' },
+  modified:    { label: 'Modificada',  tone: 'modified' },
+  unchanged:   { label: 'Sin cambios', tone: 'muted' },
+};
+
+const cx = (...names) => names.filter(Boolean).map((n) => styles[n]).join(' ');
+
+const Html = ({ html }) => (
+  <div dangerouslySetInnerHTML={{ __html: DOMPurify.sanitize(html) }} />
+);
+
+const Words = ({ words, side }) => (
+  <p>
+    {words.map((w, i) => {
+      if (w.type === 'equal') return <React.Fragment key={i}>{w.text}</React.Fragment>;
+      if (side === 'before' && w.type === 'removed') return <del key={i} className={styles['history-diff__del']}>{w.text}</del>;
+      if (side === 'after' && w.type === 'added') return <ins key={i} className={styles['history-diff__ins']}>{w.text}</ins>;
+      return null;
+    })}
+  </p>
+);
+
+/**
+ * SectionDiff - Una sección de la lección comparada lado a lado. Los bloques
+ * quitados se marcan en rojo a la izquierda, los agregados en verde a la
+ * derecha y un bloque reescrito muestra el cambio palabra por palabra.
+ */
+const SectionDiff = ({ entry, index, beforeLabel, afterLabel }) => {
+  const { status, before, after, moved } = entry;
+  const meta = STATUS_META[status];
+
+  // Una sección eliminada conserva su contenido: se compara contra vacío
+  const beforeHtml = before && before.isActive !== false ? before.content : '';
+  const afterHtml = after && after.isActive !== false ? after.content : '';
+  const rows = useMemo(() => buildSectionRows(beforeHtml, afterHtml), [beforeHtml, afterHtml]);
+
+  const title = after?.title ?? before?.title;
+  const titleChanged = before && after && (before.title ?? null) !== (after.title ?? null);
+
+  return (
+    <section className={styles['history-diff__section']}>
+      <div className={styles['history-diff__section-head']}>
+        <span className={styles['history-diff__section-title']}>
+          Sección {index + 1}{title ? ` · ${title}` : ''}
+        </span>
+        <Chip
+          label={meta.label}
+          size="small"
+          className={cx('history-diff__status', `history-diff__status--${meta.tone}`)}
+        />
+        {moved && (
+          <Chip
+            label={`Posición ${before.order + 1} → ${after.order + 1}`}
+            size="small"
+            className={cx('history-diff__status', 'history-diff__status--moved')}
+          />
+        )}
+      </div>
+      {titleChanged && (
+        <p className={styles['history-diff__title-change']}>
+          Título: <del className={styles['history-diff__del']}>{before.title || 'sin título'}</del>{' '}
+          <ins className={styles['history-diff__ins']}>{after.title || 'sin título'}</ins>
+        </p>
+      )}
+
+      <div className={styles['history-diff']}>
+        <div className={styles['history-diff__heading']}>{beforeLabel}</div>
+        <div className={styles['history-diff__heading']}>{afterLabel}</div>
+
+        {rows.length === 0 && (
+          <>
+            <div className={cx('history-diff__cell', 'history-diff__cell--empty')} />
+            <div className={cx('history-diff__cell', 'history-diff__cell--empty')} />
+          </>
+        )}
+
+        {rows.map((row, i) => {
+          if (row.type === 'changed') {
+            return (
+              <React.Fragment key={i}>
+                <div className={cx('history-diff__cell', 'history-diff__cell--removed')}>
+                  <Words words={row.words} side="before" />
+                </div>
+                <div className={cx('history-diff__cell', 'history-diff__cell--added')}>
+                  <Words words={row.words} side="after" />
+                </div>
+              </React.Fragment>
+            );
+          }
+          return (
+            <React.Fragment key={i}>
+              <div
+                className={cx(
+                  'history-diff__cell',
+                  row.type === 'removed' && 'history-diff__cell--removed',
+                  row.type === 'added' && 'history-diff__cell--empty',
+                  row.type === 'equal' && 'history-diff__cell--muted',
+                )}
+              >
+                {row.before && <Html html={row.before.html} />}
+              </div>
+              <div
+                className={cx(
+                  'history-diff__cell',
+                  row.type === 'added' && 'history-diff__cell--added',
+                  row.type === 'removed' && 'history-diff__cell--empty',
+                  row.type === 'equal' && 'history-diff__cell--muted',
+                )}
+              >
+                {row.after && <Html html={row.after.html} />}
+              </div>
+            </React.Fragment>
+          );
+        })}
+      </div>
+    </section>
+  );
+};
+
+export default SectionDiff;
@@ -0,0 +1,178 @@
+/*
+ * Funcionalidad: lessonDiff — comparación de revisiones de la lección
+ * Descripción: Comparación de revisiones de una lección para el historial, en dos
+ *              niveles:
+ *               - compareSnapshots: qué secciones (Steps) cambiaron entre dos fotos.
+ *               - buildSectionRows: diff por bloques HTML de una sección, con diff
+ *                 por palabras cuando un bloque se reemplazó por otro, en filas
+ *                 alineadas para la vista lado a lado.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+// Por encima de esto el LCS (O(n·m)) deja de ser instantáneo; se muestra
+// el bloque entero como quitado/agregado.
+const MAX_LCS_CELLS = 250_000;
+
+/**
+ * Diff de dos secuencias por subsecuencia común más larga.
+ * @returns {{ type: 'equal'|'removed'|'added', before?: any, after?: any }[]}
+ */
+export function diffSequence(before, after, equals = (a, b) => a === b) {
+  const n = before.length;
+  const m = after.length;
+
+  if (n * m > MAX_LCS_CELLS) {
+    return [
+      ...before.map((item) => ({ type: 'removed', before: item })),
+      ...after.map((item) => ({ type: 'added', after: item })),
+    ];
+  }
+
+  // lcs[i][j] = longitud de la LCS de before[i..] y after[j..]
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = equals(before[i], after[j])
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (equals(before[i], after[j])) {
+      ops.push({ type: 'equal', before: before[i++], after: after[j++] });
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      ops.push({ type: 'removed', before: before[i++] });
+    } else {
+      ops.push({ type: 'added', after: after[j++] });
+    }
+  }
+  while (i < n) ops.push({ type: 'removed', before: before[i++] });
+  while (j < m) ops.push({ type: 'added', after: after[j++] });
+  return ops;
+}
+
+/**
+ * Diff por palabras (conserva los espacios como tokens).
+ * @returns {{ type: 'equal'|'removed'|'added', text: string }[]}
+ */
+export function wordDiff(beforeText = '', afterText = '') {
+  const tokenize = (text) => text.split(/(\s+)/).filter(Boolean);
+  return diffSequence(tokenize(beforeText), tokenize(afterText)).map((op) => ({
+    type: op.type,
+    text: op.type === 'added' ? op.after : op.before,
+  }));
+}
+
+/**
+ * Bloques de primer nivel de un fragmento HTML, con su texto plano.
+ * El texto suelto se envuelve en <p> para que todo sea comparable.
+ */
+export function htmlBlocks(html) {
+  if (!html) return [];
+  if (typeof DOMParser === 'undefined') return [{ html, text: html }];
+
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const blocks = [];
+  doc.body.childNodes.forEach((node) => {
+    if (node.nodeType === Node.ELEMENT_NODE) {
+      blocks.push({ html: node.outerHTML, text: node.textContent ?? '' });
+    } else if (node.nodeType === Node.TEXT_NODE && node.textContent.trim()) {
+      const p = doc.createElement('p');
+      p.textContent = node.textContent;
+      blocks.push({ html: p.outerHTML, text: node.textContent });
+    }
+  });
+  return blocks;
+}
+
+const sameBlock = (a, b) => a.html.replace(/\s+/g, ' ') === b.html.replace(/\s+/g, ' ');
+
+/**
+ * Filas alineadas para el diff lado a lado de una sección.
+ *  - 'equal':    mismo bloque en ambos lados.
+ *  - 'changed':  un bloque reemplazado por otro; lleva `words` (wordDiff).
+ *  - 'removed' / 'added': bloque solo a un lado.
+ */
+export function buildSectionRows(beforeHtml, afterHtml) {
+  const ops = diffSequence(htmlBlocks(beforeHtml), htmlBlocks(afterHtml), sameBlock);
+  const rows = [];
+
+  for (let k = 0; k < ops.length; k++) {
+    const op = ops[k];
+    if (op.type === 'equal') {
+      rows.push({ type: 'equal', before: op.before, after: op.after });
+      continue;
+    }
+
+    // Agrupar el tramo de cambios y emparejar quitados con agregados en orden
+    const removed = [];
+    const added = [];
+    while (k < ops.length && ops[k].type !== 'equal') {
+      if (ops[k].type === 'removed') removed.push(ops[k].before);
+      else added.push(ops[k].after);
+      k++;
+    }
+    k--;
+
+    const pairs = Math.max(removed.length, added.length);
+    for (let p = 0; p < pairs; p++) {
+      const before = removed[p];
+      const after = added[p];
+      if (before && after) {
+        rows.push({ type: 'changed', before, after, words: wordDiff(before.text, after.text) });
+      } else if (before) {
+        rows.push({ type: 'removed', before });
+      } else {
+        rows.push({ type: 'added', after });
+      }
+    }
+  }
+  return rows;
+}
+
+/**
+ * Compara dos fotos de Steps (stepsSnapshot) emparejando por id.
+ *
+ * Estados: 'added' | 'removed' (el Step dejó de existir en BD) |
+ * 'deleted' (isActive pasó a false) | 'reactivated' | 'modified' | 'unchanged'.
+ * `moved` indica cambio de posición.
+ */
+export function compareSnapshots(beforeSteps = [], afterSteps = []) {
+  const beforeById = new Map(beforeSteps.map((s) => [s.id, s]));
+  const afterIds = new Set(afterSteps.map((s) => s.id));
+
+  const entries = afterSteps.map((after) => {
+    const before = beforeById.get(after.id) ?? null;
+    if (!before) return { id: after.id, status: 'added', before: null, after, moved: false };
+
+    const moved = before.order !== after.order;
+    let status = 'unchanged';
+    if (before.isActive && !after.isActive) status = 'deleted';
+    else if (!before.isActive && after.isActive) status = 'reactivated';
+    else if (before.content !== after.content || (before.title ?? null) !== (after.title ?? null)) status = 'modified';
+
+    return { id: after.id, status, before, after, moved };
+  });
+
+  beforeSteps
+    .filter((s) => !afterIds.has(s.id))
+    .forEach((before) => entries.push({ id: before.id, status: 'removed', before, after: null, moved: false }));
+
+  const position = (entry) => (entry.after ?? entry.before).order;
+  return entries.sort((a, b) => position(a) - position(b));
+}
+
+/** true si la comparación no tiene ningún cambio visible. */
+export function isSnapshotUnchanged(entries, beforeTitle, afterTitle) {
+  return beforeTitle === afterTitle && entries.every((e) => e.status === 'unchanged' && !e.moved);
+}
@@ -0,0 +1,72 @@
+/*
+ * Funcionalidad: useLessonHistory — historial de revisiones de la lección
+ * Descripción: Hook SWR del historial de revisiones de una lección: lista, detalle
+ *              de una versión y restauración sobre la API de curriculum.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import { useCallback, useState } from 'react';
+import useSWR from 'swr';
+import { fetchJson, sendJson } from '../curriculumFetch';
+
+const revisionsPath = (lessonId) => `/api/curriculum/lessons/${lessonId}/revisions`;
+
+/**
+ * useLessonHistory - Historial de revisiones de una lección (API de
+ * curriculum). Lista y detalle se piden solo mientras el historial está
+ * abierto; sin `revisionId` el detalle es el de la versión más reciente.
+ * `restore` revalida ambos al terminar.
+ *
+ * @param {{ lessonId?: string, moduleId?: string, revisionId?: string|null, enabled?: boolean }} params
+ */
+export default function useLessonHistory({ lessonId, moduleId, revisionId = null, enabled = true }) {
+  const [restoring, setRestoring] = useState(false);
+  const query = `moduleId=${encodeURIComponent(moduleId ?? '')}`;
+  const ready = enabled && !!lessonId && !!moduleId;
+
+  const list = useSWR(ready ? `${revisionsPath(lessonId)}?${query}` : null, fetchJson, {
+    revalidateOnFocus: false,
+  });
+
+  const revisions = list.data?.revisions ?? [];
+  const activeId = revisionId ?? revisions[0]?.id ?? null;
+
+  const detail = useSWR(
+    ready && activeId ? `${revisionsPath(lessonId)}/${activeId}?${query}` : null,
+    fetchJson,
+    { revalidateOnFocus: false },
+  );
+
+  const { mutate: mutateList } = list;
+  const { mutate: mutateDetail } = detail;
+
+  const restore = useCallback(async (id) => {
+    setRestoring(true);
+    try {
+      const json = await sendJson('POST', `${revisionsPath(lessonId)}/${id}/restore`, { moduleId });
+      await Promise.all([mutateList(), mutateDetail()]);
+      return json;
+    } finally {
+      setRestoring(false);
+    }
+  }, [lessonId, moduleId, mutateList, mutateDetail]);
+
+  return {
+    revisions,
+    activeId,
+    latestId: revisions[0]?.id ?? null,
+    isLoading: list.isLoading,
+    error: list.error ?? null,
+    detail: detail.data ?? null,
+    isDetailLoading: detail.isLoading,
+    detailError: detail.error ?? null,
+    restore,
+    restoring,
+  };
+}
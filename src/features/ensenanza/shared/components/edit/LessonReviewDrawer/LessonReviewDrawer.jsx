@@ -0,0 +1,470 @@
+/*
+ * Funcionalidad: LessonReviewDrawer — revisión y publicación de la lección
+ * Descripción: Panel lateral del flujo borrador → revisión → publicación de una
+ *              lección: estado publicado y borrador, envío a revisión, diff contra
+ *              lo publicado, comentarios por sección y decisión del revisor
+ *              (aprobar ahora o programada, o pedir cambios).
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import React, { useState } from 'react';
+import {
+  Alert,
+  Button,
+  Chip,
+  CircularProgress,
+  Divider,
+  Drawer,
+  IconButton,
+  MenuItem,
+  TextField,
+} from '@mui/material';
+import {
+  Close as CloseIcon,
+  RateReview as ReviewIcon,
+  CheckCircleOutline as ResolveIcon,
+  Undo as ReopenIcon,
+} from '@mui/icons-material';
+import { format } from 'date-fns';
+import useLessonReview, { useReviewers, useLessonReviewDetail, REVIEW_STATUS_META } from './useLessonReview';
+import SectionDiff from '../LessonHistoryDrawer/SectionDiff';
+import { compareSnapshots } from '../LessonHistoryDrawer/lessonDiff';
+import styles from './ui/LessonReviewDrawer.module.css';
+
+const formatDate = (value) => format(new Date(value), 'dd/MM/yyyy HH:mm');
+const personName = (person) => person?.name || person?.email || 'Desconocido';
+// <input type="datetime-local"> trabaja en hora local sin zona
+const localToIso = (value) => (value ? new Date(value).toISOString() : null);
+
+const cx = (...names) => names.filter(Boolean).map((n) => styles[n]).join(' ');
+
+const StatusChip = ({ status }) => {
+  const meta = REVIEW_STATUS_META[status];
+  return (
+    <Chip
+      label={meta.label}
+      size="small"
+      className={cx('review-drawer__status', `review-drawer__status--${meta.tone}`)}
+    />
+  );
+};
+
+/** Comentarios de la solicitud agrupados por sección, con resolver/reabrir. */
+const ReviewComments = ({ review, onResolve, onAdd }) => {
+  const [text, setText] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const groups = new Map();
+  review.comments.forEach((c) => {
+    const list = groups.get(c.sectionIndex) ?? [];
+    list.push(c);
+    groups.set(c.sectionIndex, list);
+  });
+  const keys = [...groups.keys()].sort((a, b) => (a ?? -1) - (b ?? -1));
+
+  const handleAdd = async () => {
+    setSaving(true);
+    try {
+      if (await onAdd(text.trim())) setText('');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className={styles['review-drawer__comments']}>
+      <h3 className={styles['review-drawer__subtitle']}>Comentarios ({review.comments.length})</h3>
+      {keys.length === 0 && (
+        <p className={styles['review-drawer__hint']}>
+          Sin comentarios. Los de cada sección también se ven junto a ella en el lienzo.
+        </p>
+      )}
+      {keys.map((key) => (
+        <div key={key ?? 'general'} className={styles['review-drawer__comment-group']}>
+          <span className={styles['review-drawer__comment-section']}>
+            {key == null ? 'General' : `Sección ${key + 1}`}
+          </span>
+          {groups.get(key).map((c) => (
+            <div
+              key={c.id}
+              className={cx('review-drawer__comment', c.resolved && 'review-drawer__comment--resolved')}
+            >
+              <div className={styles['review-drawer__comment-main']}>
+                <p className={styles['review-drawer__comment-body']}>{c.body}</p>
+                <span className={styles['review-drawer__meta']}>
+                  {personName(c.author)} · {formatDate(c.createdAt)}
+                </span>
+              </div>
+              {review.canComment && (
+                <IconButton
+                  size="small"
+                  onClick={() => onResolve(c.id, !c.resolved)}
+                  aria-label={c.resolved ? 'Reabrir comentario' : 'Marcar como resuelto'}
+                  className={styles['review-drawer__comment-toggle']}
+                >
+                  {c.resolved ? <ReopenIcon fontSize="small" /> : <ResolveIcon fontSize="small" />}
+                </IconButton>
+              )}
+            </div>
+          ))}
+        </div>
+      ))}
+      {review.canComment && (
+        <div className={styles['review-drawer__comment-form']}>
+          <TextField
+            size="small"
+            fullWidth
+            multiline
+            maxRows={4}
+            placeholder="Comentario general…"
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+          />
+          <Button variant="outlined" onClick={handleAdd} disabled={!text.trim() || saving}>
+            Comentar
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+/** Diff entre lo publicado y la foto enviada a revisión. */
+const ReviewChanges = ({ lessonId, moduleId, reviewId }) => {
+  const { detail, isLoading, error } = useLessonReviewDetail({ lessonId, moduleId, reviewId });
+
+  if (isLoading) return <CircularProgress size={20} className={styles['review-drawer__changes-loading']} />;
+  if (error || !detail) return <Alert severity="error">No se pudieron cargar los cambios.</Alert>;
+
+  const { revision, published } = detail;
+  const entries = compareSnapshots(published?.stepsSnapshot ?? [], revision.stepsSnapshot ?? [])
+    .filter((e) => e.status !== 'unchanged' || e.moved);
+
+  return (
+    <div className={styles['review-drawer__changes']}>
+      {published && published.title !== revision.title && (
+        <p className={styles['review-drawer__title-change']}>
+          Título: «{published.title}» → «{revision.title}»
+        </p>
+      )}
+      {entries.length === 0 && <Alert severity="info">Sin diferencias con la versión publicada.</Alert>}
+      {entries.map((entry) => (
+        <SectionDiff
+          key={entry.id}
+          entry={entry}
+          index={(entry.after ?? entry.before).order}
+          beforeLabel={published ? `Publicada v${published.version}` : 'Original'}
+          afterLabel={`Enviada v${revision.version}`}
+        />
+      ))}
+    </div>
+  );
+};
+
+/** Aprobar (ahora o programada) o pedir cambios. */
+const DecisionPanel = ({ review, onDecide }) => {
+  const [note, setNote] = useState('');
+  const [schedule, setSchedule] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const submit = async (decision) => {
+    setBusy(true);
+    try {
+      await onDecide(decision, {
+        note: note.trim() || undefined,
+        ...(decision === 'approve' && schedule && { scheduledPublishAt: localToIso(schedule) }),
+      });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className={cx('review-drawer__form', 'review-drawer__form--decision')}>
+      <TextField
+        size="small"
+        multiline
+        minRows={2}
+        label="Nota para el autor"
+        placeholder="Obligatoria si pides cambios"
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+      />
+      <TextField
+        size="small"
+        type="datetime-local"
+        label="Publicar el (opcional)"
+        value={schedule}
+        onChange={(e) => setSchedule(e.target.value)}
+        helperText={review.scheduledPublishAt && !schedule
+          ? `El autor pidió publicarla el ${formatDate(review.scheduledPublishAt)}`
+          : 'Vacío = publicar al aprobar'}
+        slotProps={{ inputLabel: { shrink: true } }}
+      />
+      <div className={styles['review-drawer__actions']}>
+        <Button color="warning" onClick={() => submit('request_changes')} disabled={busy || !note.trim()}>
+          Pedir cambios
+        </Button>
+        <Button variant="contained" color="success" onClick={() => submit('approve')} disabled={busy}>
+          {schedule || review.scheduledPublishAt ? 'Aprobar y programar' : 'Aprobar y publicar'}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+/** Formulario para enviar el borrador actual a revisión. */
+const RequestForm = ({ reviewers, onSubmit, disabledReason }) => {
+  const [reviewerId, setReviewerId] = useState('');
+  const [message, setMessage] = useState('');
+  const [schedule, setSchedule] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const handleSubmit = async () => {
+    setBusy(true);
+    try {
+      const sent = await onSubmit({ reviewerId, message: message.trim(), scheduledPublishAt: localToIso(schedule) });
+      if (sent) {
+        setMessage('');
+        setSchedule('');
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className={styles['review-drawer__card']}>
+      <h3 className={styles['review-drawer__subtitle']}>Solicitar revisión</h3>
+      {disabledReason ? (
+        <p className={styles['review-drawer__muted']}>{disabledReason}</p>
+      ) : (
+        <div className={styles['review-drawer__form']}>
+          <TextField
+            select
+            size="small"
+            label="Revisor"
+            value={reviewerId}
+            onChange={(e) => setReviewerId(e.target.value)}
+          >
+            <MenuItem value="">Cualquier profesor o administrador</MenuItem>
+            {reviewers.map((r) => (
+              <MenuItem key={r.id} value={r.id}>{personName(r)}</MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            size="small"
+            multiline
+            minRows={2}
+            label="Mensaje para el revisor"
+            value={message}
+            onChange={(e) => setMessage(e.target.value)}
+          />
+          <TextField
+            size="small"
+            type="datetime-local"
+            label="Publicar el (opcional)"
+            value={schedule}
+            onChange={(e) => setSchedule(e.target.value)}
+            helperText="Vacío = publicar apenas se apruebe"
+            slotProps={{ inputLabel: { shrink: true } }}
+          />
+          <div className={styles['review-drawer__actions']}>
+            <Button variant="contained" startIcon={<ReviewIcon />} onClick={handleSubmit} disabled={busy}>
+              Enviar a revisión
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * LessonReviewDrawer - Flujo borrador → revisión → publicación de una lección.
+ *
+ * Lo que se edita en el lienzo es un borrador privado; los estudiantes siguen
+ * viendo la última versión publicada. Desde aquí el autor envía el borrador a
+ * revisión, el revisor compara contra lo publicado, comenta y aprueba (ahora
+ * o en una fecha) o pide cambios.
+ *
+ * BEM root: review-drawer
+ * Estilos : ui/LessonReviewDrawer.module.css
+ */
+const LessonReviewDrawer = ({ open, onClose, lessonId, moduleId, lessonTitle, onPublished }) => {
+  const [showChanges, setShowChanges] = useState(false);
+  const [notice, setNotice] = useState(null);
+  const {
+    published, draft, reviews, activeReview, isLoading, error,
+    requestReview, decide, addComment, setCommentResolved,
+  } = useLessonReview({ lessonId, moduleId, enabled: open });
+  const reviewers = useReviewers(open);
+
+  const pastReviews = reviews.filter((r) => r !== activeReview);
+  const staleReview = activeReview && draft && activeReview.revision.version < draft.version;
+
+  // Con la solicitud en PENDING/APPROVED no se envía otra; tras "pedir cambios" sí
+  const requestDisabledReason = !draft
+    ? 'Aún no hay ediciones en esta lección.'
+    : draft.isPublished
+      ? 'El borrador coincide con la versión publicada.'
+      : activeReview && activeReview.status !== 'CHANGES_REQUESTED'
+        ? 'Ya hay una solicitud abierta para esta lección.'
+        : null;
+
+  const withNotice = (promise, success) =>
+    promise
+      .then((result) => {
+        if (success) setNotice({ severity: 'success', text: success(result) });
+        return result;
+      })
+      .catch((err) => setNotice({ severity: 'error', text: err.message }));
+
+  const handleDecide = (decision, options) =>
+    withNotice(decide(activeReview.id, decision, options), ({ review }) => {
+      if (review.status === 'PUBLISHED') {
+        onPublished?.();
+        return `Publicada la versión ${review.revision.version}.`;
+      }
+      if (review.status === 'APPROVED') return `Aprobada; se publicará el ${formatDate(review.scheduledPublishAt)}.`;
+      if (review.status === 'CHANGES_REQUESTED') return 'Se pidieron cambios al autor.';
+      return 'Solicitud retirada.';
+    });
+
+  return (
+    <Drawer
+      anchor="right"
+      open={open}
+      onClose={onClose}
+      className={styles['review-drawer']}
+      slotProps={{ paper: { className: cx('review-drawer__paper', showChanges && 'review-drawer__paper--wide') } }}
+    >
+      <div className={styles['review-drawer__header']}>
+        <ReviewIcon className={styles['review-drawer__icon']} />
+        <div className={styles['review-drawer__heading']}>
+          <h2 className={styles['review-drawer__title']}>Revisión y publicación</h2>
+          {lessonTitle && <p className={styles['review-drawer__lesson']}>{lessonTitle}</p>}
+        </div>
+        <IconButton onClick={onClose} aria-label="Cerrar revisión" className={styles['review-drawer__close']}>
+          <CloseIcon />
+        </IconButton>
+      </div>
+      <Divider className={styles['review-drawer__divider']} />
+
+      <div className={styles['review-drawer__body']}>
+        {notice && (
+          <Alert severity={notice.severity} onClose={() => setNotice(null)}>{notice.text}</Alert>
+        )}
+        {isLoading && <CircularProgress size={24} className={styles['review-drawer__loading']} />}
+        {error && <Alert severity="error">No se pudo cargar el estado de revisión.</Alert>}
+
+        {/* Qué ven los estudiantes y qué hay en borrador */}
+        {!isLoading && !error && (
+          <div className={styles['review-drawer__row']}>
+            <Chip
+              size="small"
+              label={published
+                ? `Estudiantes ven v${published.version} · ${formatDate(published.publishedAt)}`
+                : 'Estudiantes ven el contenido original'}
+              className={cx('review-drawer__badge', 'review-drawer__badge--published')}
+            />
+            {draft && !draft.isPublished && (
+              <Chip
+                size="small"
+                label={`Borrador v${draft.version} sin publicar`}
+                className={cx('review-drawer__badge', 'review-drawer__badge--draft')}
+              />
+            )}
+          </div>
+        )}
+
+        {activeReview && (
+          <div className={styles['review-drawer__card']}>
+            <div className={styles['review-drawer__row']}>
+              <StatusChip status={activeReview.status} />
+              <strong className={styles['review-drawer__version']}>Versión {activeReview.revision.version}</strong>
+              <span className={styles['review-drawer__spacer']} />
+              <Button size="small" color="inherit" onClick={() => setShowChanges((v) => !v)}>
+                {showChanges ? 'Ocultar cambios' : 'Ver cambios'}
+              </Button>
+            </div>
+            <p className={styles['review-drawer__byline']}>
+              Enviada por {personName(activeReview.requester)} el {formatDate(activeReview.createdAt)}
+              {' · '}Revisor: {activeReview.reviewer ? personName(activeReview.reviewer) : 'cualquier profesor o admin'}
+            </p>
+            {activeReview.message && (
+              <p className={styles['review-drawer__message']}>{activeReview.message}</p>
+            )}
+            {activeReview.decisionNote && (
+              <Alert
+                severity={activeReview.status === 'CHANGES_REQUESTED' ? 'warning' : 'info'}
+                className={styles['review-drawer__alert']}
+              >
+                {personName(activeReview.decider)}: {activeReview.decisionNote}
+              </Alert>
+            )}
+            {activeReview.status === 'APPROVED' && activeReview.scheduledPublishAt && (
+              <Alert severity="success" className={styles['review-drawer__alert']}>
+                Se publicará el {formatDate(activeReview.scheduledPublishAt)}.
+              </Alert>
+            )}
+            {staleReview && (
+              <Alert severity="info" className={styles['review-drawer__alert']}>
+                El borrador cambió desde el envío (v{activeReview.revision.version} → v{draft.version}).
+                Lo que se publica es lo enviado; vuelve a solicitar revisión para incluir lo nuevo.
+              </Alert>
+            )}
+
+            {showChanges && <ReviewChanges lessonId={lessonId} moduleId={moduleId} reviewId={activeReview.id} />}
+
+            {activeReview.canDecide && <DecisionPanel review={activeReview} onDecide={handleDecide} />}
+            {activeReview.canCancel && (
+              <div className={cx('review-drawer__actions', 'review-drawer__actions--cancel')}>
+                <Button size="small" color="inherit" onClick={() => handleDecide('cancel')}>
+                  Retirar solicitud
+                </Button>
+              </div>
+            )}
+
+            <ReviewComments
+              review={activeReview}
+              onAdd={(body) => withNotice(addComment(body))}
+              onResolve={(id, resolved) => withNotice(setCommentResolved(id, resolved))}
+            />
+          </div>
+        )}
+
+        {!isLoading && !error && (
+          <RequestForm
+            reviewers={reviewers}
+            disabledReason={requestDisabledReason}
+            onSubmit={(form) => withNotice(requestReview(form), () => 'Borrador enviado a revisión.')}
+          />
+        )}
+
+        {pastReviews.length > 0 && (
+          <div>
+            <h3 className={cx('review-drawer__subtitle', 'review-drawer__subtitle--muted')}>Solicitudes anteriores</h3>
+            {pastReviews.map((r) => (
+              <div key={r.id} className={styles['review-drawer__past']}>
+                <StatusChip status={r.status} />
+                <span className={styles['review-drawer__past-version']}>v{r.revision.version}</span>
+                <span className={styles['review-drawer__meta']}>
+                  {personName(r.requester)} · {formatDate(r.publishedAt ?? r.decidedAt ?? r.createdAt)}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </Drawer>
+  );
+};
+
+export default LessonReviewDrawer;
@@ -0,0 +1,122 @@
+/*
+ * Funcionalidad: useLessonReview — estado editorial de la lección
+ * Descripción: Hooks SWR del estado editorial de una lección (publicada, borrador y
+ *              solicitudes de revisión) con sus acciones, los revisores posibles y
+ *              el detalle de una solicitud para compararla con lo publicado.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import { useCallback, useMemo } from 'react';
+import useSWR from 'swr';
+import { fetchJson, sendJson } from '../curriculumFetch';
+
+export const OPEN_REVIEW_STATUSES = ['PENDING', 'CHANGES_REQUESTED', 'APPROVED'];
+
+// tone = modificador de color del chip (review-drawer__status--<tone>)
+export const REVIEW_STATUS_META = {
+  PENDING:           { label: 'En revisión',     tone: 'pending' },
+  CHANGES_REQUESTED: { label: 'Cambios pedidos', tone: 'changes' },
+  APPROVED:          { label: 'Aprobada',        tone: 'approved' },
+  PUBLISHED:         { label: 'Publicada',       tone: 'published' },
+  CANCELLED:         { label: 'Retirada',        tone: 'cancelled' },
+};
+
+const reviewsPath = (lessonId) => `/api/curriculum/lessons/${lessonId}/reviews`;
+
+/**
+ * useLessonReview - Estado editorial de una lección (publicada, borrador y
+ * solicitudes de revisión) y sus acciones. El banner, el drawer y los
+ * comentarios en línea usan la misma clave SWR, así que comparten caché y
+ * cualquier acción los revalida a todos.
+ *
+ * @param {{ lessonId?: string, moduleId?: string, enabled?: boolean }} params
+ */
+export default function useLessonReview({ lessonId, moduleId, enabled = true }) {
+  const ready = enabled && !!lessonId && !!moduleId;
+  const key = ready ? `${reviewsPath(lessonId)}?moduleId=${encodeURIComponent(moduleId)}` : null;
+
+  const { data, error, isLoading, mutate } = useSWR(key, fetchJson, { revalidateOnFocus: false });
+
+  const reviews = useMemo(() => data?.reviews ?? [], [data]);
+  const activeReview = reviews.find((r) => OPEN_REVIEW_STATUSES.includes(r.status)) ?? null;
+
+  /** Comentarios de la solicitud abierta por índice de sección (null = generales). */
+  const commentsBySection = useMemo(() => {
+    const map = new Map();
+    (activeReview?.comments ?? []).forEach((c) => {
+      const list = map.get(c.sectionIndex) ?? [];
+      list.push(c);
+      map.set(c.sectionIndex, list);
+    });
+    return map;
+  }, [activeReview]);
+
+  const run = useCallback(async (method, path, body) => {
+    const json = await sendJson(method, `${reviewsPath(lessonId)}${path}`, { moduleId, ...body });
+    await mutate();
+    return json;
+  }, [lessonId, moduleId, mutate]);
+
+  const requestReview = useCallback(
+    ({ reviewerId, message, scheduledPublishAt }) =>
+      run('POST', '', { reviewerId: reviewerId || undefined, message, scheduledPublishAt }),
+    [run],
+  );
+
+  const decide = useCallback(
+    (reviewId, decision, { note, scheduledPublishAt } = {}) =>
+      run('PATCH', `/${reviewId}`, { decision, note, scheduledPublishAt }),
+    [run],
+  );
+
+  const addComment = useCallback(
+    (body, { sectionIndex = null, stepId = null } = {}) => {
+      if (!activeReview) return Promise.reject(new Error('No hay una solicitud de revisión abierta'));
+      return run('POST', `/${activeReview.id}/comments`, { body, sectionIndex, stepId });
+    },
+    [run, activeReview],
+  );
+
+  const setCommentResolved = useCallback(
+    (commentId, resolved) => run('PATCH', `/${activeReview?.id}/comments`, { commentId, resolved }),
+    [run, activeReview],
+  );
+
+  return {
+    published: data?.published ?? null,
+    draft: data?.draft ?? null,
+    reviews,
+    activeReview,
+    commentsBySection,
+    isLoading,
+    error: error ?? null,
+    refresh: mutate,
+    requestReview,
+    decide,
+    addComment,
+    setCommentResolved,
+  };
+}
+
+/** Revisores posibles (profesores y admins salvo el usuario actual). */
+export function useReviewers(enabled) {
+  const { data } = useSWR(enabled ? '/api/curriculum/reviewers' : null, fetchJson, {
+    revalidateOnFocus: false,
+  });
+  return data?.reviewers ?? [];
+}
+
+/** Detalle de una solicitud con las fotos para comparar contra lo publicado. */
+export function useLessonReviewDetail({ lessonId, moduleId, reviewId }) {
+  const key = lessonId && moduleId && reviewId
+    ? `${reviewsPath(lessonId)}/${reviewId}?moduleId=${encodeURIComponent(moduleId)}`
+    : null;
+  const { data, error, isLoading } = useSWR(key, fetchJson, { revalidateOnFocus: false });
+  return { detail: data ?? null, error: error ?? null, isLoading };
+}
@@ -14,12 +14,15 @@
  * DragHandle:
  *  - Grip de 6 puntos, solo visible con isEditMode activo.
  *  - Se aplica a niveles, módulos y lecciones.
+ *
+ * Historial:
+ *  - Cada lección abre LessonHistoryDrawer (versiones, diff y restauración).
  */
 import React, { useState, useEffect, useCallback } from 'react';
 import { DragDropContext, Droppable, Draggable } from '@hello-pangea/dnd';
 import {
   Box, Typography, Accordion, AccordionSummary, AccordionDetails,
-  Chip, Divider, Collapse, Alert,
+  Chip, Divider, Collapse, Alert, IconButton, Tooltip,
 } from '@mui/material';
 import {
   ExpandMore as ExpandMoreIcon,
@@ -27,11 +30,13 @@ import {
   Folder as ModuleIcon,
   Article as LessonIcon,
   Construction as ConstructionIcon,
+  History as HistoryIcon,
 } from '@mui/icons-material';
 import { useEditMode } from './EditModeContext';
 import GhostCard from './GhostCard/GhostCard';
 import GhostAccordion from './GhostAccordion/GhostAccordion';
 import DragHandle from './DragHandle/DragHandle';
+import LessonHistoryDrawer from './LessonHistoryDrawer/LessonHistoryDrawer';
 
 // ─── Utilidades ──────────────────────────────────────────────────────────────
 
@@ -52,7 +57,7 @@ const LEVEL_COLORS = {
 
 // ─── LessonRow ────────────────────────────────────────────────────────────────
 
-function LessonRow({ lesson, dragHandleProps, isDragging }) {
+function LessonRow({ lesson, dragHandleProps, isDragging, onOpenHistory }) {
   return (
     <Box
       sx={{
@@ -87,13 +92,23 @@ function LessonRow({ lesson, dragHandleProps, isDragging }) {
           '&:hover': { bgcolor: 'rgba(16,174,222,0.22)' },
         }}
       />
+      <Tooltip title="Historial de versiones">
+        <IconButton
+          size="small"
+          onClick={() => onOpenHistory?.(lesson)}
+          aria-label={`Historial de ${lesson.title || lesson.id}`}
+          sx={{ p: 0.25, color: 'rgba(255,255,255,0.4)', '&:hover': { color: '#7dd3fc' } }}
+        >
+          <HistoryIcon sx={{ fontSize: 14 }} />
+        </IconButton>
+      </Tooltip>
     </Box>
   );
 }
 
 // ─── ModuleSection ────────────────────────────────────────────────────────────
 
-function ModuleSection({ mod, colorScheme, dragHandleProps, isDragging, lessons }) {
+function ModuleSection({ mod, colorScheme, dragHandleProps, isDragging, lessons, onOpenHistory }) {
   const [expanded, setExpanded] = useState(false);
 
   return (
@@ -170,6 +185,7 @@ function ModuleSection({ mod, colorScheme, dragHandleProps, isDragging, lessons
                           lesson={lesson}
                           dragHandleProps={dragProvided.dragHandleProps}
                           isDragging={dragSnapshot.isDragging}
+                          onOpenHistory={(l) => onOpenHistory?.(l, mod)}
                         />
                       </div>
                     )}
@@ -222,6 +238,10 @@ export default function NotionCurriculumEditor({ levels = [], getModulesByLevel
     setLocalLessonsMap(buildLessonsMap(modsMap));
   }, [levels, buildModulesMap, buildLessonsMap]);
 
+  // ── Historial de la lección seleccionada ({ lesson, mod } | null) ──
+  const [historyTarget, setHistoryTarget] = useState(null);
+  const handleOpenHistory = useCallback((lesson, mod) => setHistoryTarget({ lesson, mod }), []);
+
   // ── Handler único de DnD ──
   const handleDragEnd = useCallback(({ source, destination, type }) => {
     if (!destination) return;
@@ -387,6 +407,7 @@ export default function NotionCurriculumEditor({ levels = [], getModulesByLevel
                                               dragHandleProps={modDragProvided.dragHandleProps}
                                               isDragging={modDragSnapshot.isDragging}
                                               lessons={localLessonsMap[mod.id] || mod.lessons || []}
+                                              onOpenHistory={handleOpenHistory}
                                             />
                                           </div>
                                         )}
@@ -417,6 +438,14 @@ export default function NotionCurriculumEditor({ levels = [], getModulesByLevel
           <GhostAccordion label="Agregar nivel" depth={0} />
         </Box>
       </DragDropContext>
+
+      <LessonHistoryDrawer
+        open={!!historyTarget}
+        onClose={() => setHistoryTarget(null)}
+        lessonId={historyTarget?.lesson.id}
+        moduleId={historyTarget?.mod.id}
+        lessonTitle={historyTarget?.lesson.title}
+      />
     </Box>
   );
 }
@@ -1,14 +1,6 @@
 import React, { useEffect, useRef, useState, useCallback } from 'react';
 import { useEditor, EditorContent } from '@tiptap/react';
-import StarterKit from '@tiptap/starter-kit';
-import Underline from '@tiptap/extension-underline';
-import TaskList from '@tiptap/extension-task-list';
-import TaskItem from '@tiptap/extension-task-item';
-import Highlight from '@tiptap/extension-highlight';
-import Link from '@tiptap/extension-link';
-import Placeholder from '@tiptap/extension-placeholder';
-import { TextStyle } from '@tiptap/extension-text-style';
-import Color from '@tiptap/extension-color';
+import { buildEditorExtensions } from './editorExtensions';
 import SlashMenu from './SlashMenu';
 import styles from './ui/RichTextEditor.module.css';
 
@@ -38,11 +30,15 @@ const Sep = () => <span className={styles['rte__sep']} aria-hidden="true" />;
  *  - Toolbar fija con todos los formatos (Bold, Italic, Underline, Strike,
  *    Highlight, Code, H1–H3, Listas, Checklist, Blockquote, Divider, Link)
  *  - BubbleMenu flotante sobre la selección de texto
- *  - SlashMenu: escribe `/` para abrir el menú de bloques
+ *  - SlashMenu: escribe `/` para abrir el menú de bloques, incluidos los
+ *    bloques de dominio (ecuación, tabla de parámetros, callouts, curva, quiz)
  *  - Placeholder configurable
  *  - onChange(html) cuando el contenido cambia
+ *  - collab ({ doc, field, awareness, user }): edición en tiempo real sobre un
+ *    Y.Doc compartido, con cursores de presencia. El contenido sale del
+ *    documento; `content` solo se usa sin `collab`.
  */
-const RichTextEditor = ({ content = '', onChange, placeholder = 'Escribe aquí… o usa / para insertar un bloque', autoFocus = false }) => {
+const RichTextEditor = ({ content = '', onChange, placeholder = 'Escribe aquí… o usa / para insertar un bloque', autoFocus = false, collab = null }) => {
   const [slashMenuOpen, setSlashMenuOpen] = useState(false);
   const [slashPos, setSlashPos] = useState({ top: 0, left: 0 });
   const [slashQuery, setSlashQuery] = useState('');
@@ -50,22 +46,8 @@ const RichTextEditor = ({ content = '', onChange, placeholder = 'Escribe aquí
 
   const editor = useEditor({
     immediatelyRender: false,
-    extensions: [
-      StarterKit.configure({
-        heading: { levels: [1, 2, 3] },
-        code: { HTMLAttributes: { class: 'rte-inline-code' } },
-        codeBlock: { HTMLAttributes: { class: 'rte-code-block' } },
-      }),
-      Underline,
-      TaskList.configure({ HTMLAttributes: { class: 'rte-task-list' } }),
-      TaskItem.configure({ nested: true }),
-      Highlight.configure({ multicolor: false }),
-      Link.configure({ openOnClick: false, HTMLAttributes: { class: 'rte-link' } }),
-      Placeholder.configure({ placeholder }),
-      TextStyle,
-      Color,
-    ],
-    content,
+    extensions: buildEditorExtensions({ placeholder, collab }),
+    content: collab ? undefined : content,
     autofocus: autoFocus,
     onUpdate({ editor: ed }) {
       onChange?.(ed.getHTML());
@@ -98,12 +80,12 @@ const RichTextEditor = ({ content = '', onChange, placeholder = 'Escribe aquí
 
   // Sync content cuando cambia externamente (ej. cuando se abre el editor por primera vez)
   useEffect(() => {
-    if (!editor) return;
+    if (!editor || collab) return;
     const current = editor.getHTML();
     if (content && content !== current) {
       editor.commands.setContent(content, false);
     }
-  }, [content, editor]);
+  }, [content, editor, collab]);
 
   const handleSlashSelect = useCallback((command) => {
     if (!editor) return;
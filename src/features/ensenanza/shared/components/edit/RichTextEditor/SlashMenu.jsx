@@ -1,4 +1,5 @@
 import React, { useState, useEffect, useRef } from 'react';
+import { insertLessonBlock } from './blocks/lessonBlockNodes';
 import styles from './ui/SlashMenu.module.css';
 
 /** Catálogo completo de comandos disponibles con el / */
@@ -29,6 +30,19 @@ const ALL_COMMANDS = [
     cmd: (ed) => ed.chain().focus().setHorizontalRule().run() },
   { id: 'highlight', icon: '🖊', label: 'Resaltar',          desc: 'Resaltar texto',              keywords: ['resaltar', 'highlight', 'marcador'],
     cmd: (ed) => ed.chain().focus().toggleHighlight().run() },
+  // Bloques de dominio: se guardan como el objeto del JSON de la sección
+  { id: 'equation',  icon: '∑',  label: 'Ecuación',          desc: 'Fórmula LaTeX (KaTeX)',       keywords: ['ecuacion', 'formula', 'latex', 'katex', 'math'],
+    cmd: (ed) => insertLessonBlock(ed, 'equation') },
+  { id: 'params',    icon: '📊', label: 'Tabla de parámetros', desc: 'Parámetros del ventilador', keywords: ['tabla', 'parametros', 'table', 'ventilador'],
+    cmd: (ed) => insertLessonBlock(ed, 'parameter-table') },
+  { id: 'pearl',     icon: '💎', label: 'Perla clínica',     desc: 'Callout destacado',           keywords: ['perla', 'callout', 'clinica', 'tip'],
+    cmd: (ed) => insertLessonBlock(ed, 'callout', 'pearl') },
+  { id: 'warning',   icon: '⚠️', label: 'Advertencia',       desc: 'Callout de precaución',       keywords: ['advertencia', 'warning', 'callout', 'precaucion'],
+    cmd: (ed) => insertLessonBlock(ed, 'callout', 'warning') },
+  { id: 'waveform',  icon: '📈', label: 'Curva ventilatoria', desc: 'Curvas en vivo por modalidad', keywords: ['curva', 'waveform', 'onda', 'modalidad'],
+    cmd: (ed) => insertLessonBlock(ed, 'waveforms') },
+  { id: 'quiz',      icon: '❓', label: 'Pregunta de quiz',  desc: 'Opción única o múltiple',     keywords: ['quiz', 'pregunta', 'evaluacion'],
+    cmd: (ed) => insertLessonBlock(ed, 'quiz') },
 ];
 
 const SlashMenu = ({ query, position, onSelect, onClose }) => {
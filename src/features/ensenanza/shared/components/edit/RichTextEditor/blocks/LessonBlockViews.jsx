@@ -0,0 +1,374 @@
+/*
+ * Funcionalidad: LessonBlockViews — vistas de los bloques de dominio
+ * Descripción: Vistas React (NodeView de TipTap) de los bloques de ecuación, tabla
+ *              de parámetros, callout, curva y pregunta de quiz dentro del editor:
+ *              cabecera con el tipo, formulario de edición y vista previa con
+ *              LessonBlock, la misma que ve el estudiante.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import React, { useState } from 'react';
+import { NodeViewWrapper } from '@tiptap/react';
+import LessonBlock, { CALLOUT_VARIANTS } from '@/features/ensenanza/shared/components/leccion/content/LessonBlock';
+import {
+  LESSON_BLOCKS,
+  PARAMETER_CRITICALITY,
+  WAVEFORM_MODALITIES,
+  emptyParameter,
+} from './lessonBlocks';
+import styles from '../ui/LessonBlocks.module.css';
+
+const toNumber = (value) => (value === '' ? '' : Number(value));
+
+/** Estado común de las vistas: bloque actual, parche de campos y modo formulario. */
+const useBlockView = ({ node, updateAttributes, editor }, type) => {
+  const block = node.attrs.block ?? LESSON_BLOCKS[type].template();
+  const [editing, setEditing] = useState(false);
+  return {
+    block,
+    editing: editing && editor.isEditable,
+    update: (patch) => updateAttributes({ block: { ...block, ...patch } }),
+    toggle: () => setEditing((v) => !v),
+  };
+};
+
+/* ─── Marco común: cabecera con tipo y botón Editar/Listo ──────────────── */
+const BlockFrame = ({ type, selected, editable, editing, onToggle, form, children }) => {
+  const meta = LESSON_BLOCKS[type];
+  return (
+    <NodeViewWrapper
+      className={`${styles['lesson-block']} ${selected ? styles['lesson-block--selected'] : ''}`}
+      data-drag-handle
+    >
+      <div className={styles['lesson-block__header']} contentEditable={false}>
+        <span className={styles['lesson-block__type']}>
+          <span aria-hidden="true">{meta.icon}</span>
+          {meta.label}
+        </span>
+        {editable && (
+          <button type="button" className={styles['lesson-block__toggle']} onClick={onToggle}>
+            {editing ? 'Listo' : 'Editar'}
+          </button>
+        )}
+      </div>
+      {editing && (
+        <div className={styles['lesson-block__form']} contentEditable={false}>
+          {form}
+        </div>
+      )}
+      <div className={styles['lesson-block__preview']} contentEditable={false}>
+        {children}
+      </div>
+    </NodeViewWrapper>
+  );
+};
+
+const Field = ({ label, children, wide }) => (
+  <label className={`${styles['lesson-block__field']} ${wide ? styles['lesson-block__field--wide'] : ''}`}>
+    <span className={styles['lesson-block__label']}>{label}</span>
+    {children}
+  </label>
+);
+
+/* ─── Ecuación (KaTeX) ───────────────────────────────────────────────────── */
+export const EquationView = (props) => {
+  const { block, editing, update, toggle } = useBlockView(props, 'equation');
+  return (
+    <BlockFrame
+      type="equation"
+      selected={props.selected}
+      editable={props.editor.isEditable}
+      editing={editing}
+      onToggle={toggle}
+      form={(
+        <Field label="LaTeX" wide>
+          <textarea
+            className={`${styles['lesson-block__input']} ${styles['lesson-block__input--code']}`}
+            value={block.latex}
+            onChange={(e) => update({ latex: e.target.value })}
+            rows={3}
+            spellCheck={false}
+          />
+        </Field>
+      )}
+    >
+      <LessonBlock block={block} />
+    </BlockFrame>
+  );
+};
+
+/* ─── Tabla de parámetros ────────────────────────────────────────────────── */
+export const ParameterTableView = (props) => {
+  const { block, editing, update, toggle } = useBlockView(props, 'parameter-table');
+  const parameters = block.parameters || [];
+
+  const updateRow = (index, patch) =>
+    update({ parameters: parameters.map((p, i) => (i === index ? { ...p, ...patch } : p)) });
+  const updateRange = (index, key, value) =>
+    updateRow(index, { acceptableRange: { ...parameters[index].acceptableRange, [key]: toNumber(value) } });
+
+  return (
+    <BlockFrame
+      type="parameter-table"
+      selected={props.selected}
+      editable={props.editor.isEditable}
+      editing={editing}
+      onToggle={toggle}
+      form={(
+        <>
+          <Field label="Título" wide>
+            <input
+              className={styles['lesson-block__input']}
+              value={block.title || ''}
+              onChange={(e) => update({ title: e.target.value })}
+            />
+          </Field>
+          <table className={styles['lesson-block__table']}>
+            <thead>
+              <tr>
+                <th>Parámetro</th><th>Unidad</th><th>Inicial</th><th>Mín</th><th>Máx</th>
+                <th>Objetivo</th><th>Criticidad</th><th aria-label="Quitar" />
+              </tr>
+            </thead>
+            <tbody>
+              {parameters.map((p, i) => (
+                <tr key={i}>
+                  <td><input className={styles['lesson-block__input']} value={p.name} onChange={(e) => updateRow(i, { name: e.target.value })} /></td>
+                  <td><input className={styles['lesson-block__input']} value={p.unit} onChange={(e) => updateRow(i, { unit: e.target.value })} /></td>
+                  <td><input className={styles['lesson-block__input']} type="number" value={p.initialValue} onChange={(e) => updateRow(i, { initialValue: toNumber(e.target.value) })} /></td>
+                  <td><input className={styles['lesson-block__input']} type="number" value={p.acceptableRange?.min ?? ''} onChange={(e) => updateRange(i, 'min', e.target.value)} /></td>
+                  <td><input className={styles['lesson-block__input']} type="number" value={p.acceptableRange?.max ?? ''} onChange={(e) => updateRange(i, 'max', e.target.value)} /></td>
+                  <td><input className={styles['lesson-block__input']} value={p.objective || ''} onChange={(e) => updateRow(i, { objective: e.target.value })} /></td>
+                  <td>
+                    <select className={styles['lesson-block__input']} value={p.criticality || 'standard'} onChange={(e) => updateRow(i, { criticality: e.target.value })}>
+                      {Object.entries(PARAMETER_CRITICALITY).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td>
+                    <button
+                      type="button"
+                      className={styles['lesson-block__remove']}
+                      onClick={() => update({ parameters: parameters.filter((_, j) => j !== i) })}
+                      disabled={parameters.length === 1}
+                      aria-label="Quitar parámetro"
+                    >✕</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button type="button" className={styles['lesson-block__add']} onClick={() => update({ parameters: [...parameters, emptyParameter()] })}>
+            + Parámetro
+          </button>
+        </>
+      )}
+    >
+      <LessonBlock block={block} />
+    </BlockFrame>
+  );
+};
+
+/* ─── Callout: perla clínica / advertencia ───────────────────────────────── */
+export const CalloutView = (props) => {
+  const { block, editing, update, toggle } = useBlockView(props, 'callout');
+  return (
+    <BlockFrame
+      type="callout"
+      selected={props.selected}
+      editable={props.editor.isEditable}
+      editing={editing}
+      onToggle={toggle}
+      form={(
+        <>
+          <Field label="Tipo">
+            <select className={styles['lesson-block__input']} value={block.variant} onChange={(e) => update({ variant: e.target.value })}>
+              {Object.entries(CALLOUT_VARIANTS).map(([value, v]) => (
+                <option key={value} value={value}>{v.icon} {v.label}</option>
+              ))}
+            </select>
+          </Field>
+          <Field label="Título">
+            <input
+              className={styles['lesson-block__input']}
+              value={block.title || ''}
+              onChange={(e) => update({ title: e.target.value })}
+              placeholder={CALLOUT_VARIANTS[block.variant]?.label}
+            />
+          </Field>
+          <Field label="Texto (Markdown)" wide>
+            <textarea
+              className={styles['lesson-block__input']}
+              value={block.text || ''}
+              onChange={(e) => update({ text: e.target.value })}
+              rows={3}
+            />
+          </Field>
+        </>
+      )}
+    >
+      <LessonBlock block={block} />
+    </BlockFrame>
+  );
+};
+
+/* ─── Curva ventilatoria en vivo ─────────────────────────────────────────── */
+const WAVEFORM_PARAMS = [
+  { key: 'vt',    label: 'VT (mL)',      min: 200, max: 700, step: 10 },
+  { key: 'f',     label: 'f (rpm)',      min: 8,   max: 30,  step: 1 },
+  { key: 'peep',  label: 'PEEP (cmH₂O)', min: 0,   max: 15,  step: 1 },
+  { key: 'pinsp', label: 'Pinsp (cmH₂O)', min: 8,  max: 30,  step: 1 },
+];
+
+export const WaveformView = (props) => {
+  const { block, editing, update, toggle } = useBlockView(props, 'waveforms');
+  const waveformData = block.waveformData || {};
+  const updateData = (patch) => update({ waveformData: { ...waveformData, ...patch } });
+
+  return (
+    <BlockFrame
+      type="waveforms"
+      selected={props.selected}
+      editable={props.editor.isEditable}
+      editing={editing}
+      onToggle={toggle}
+      form={(
+        <>
+          <Field label="Modalidad">
+            <select className={styles['lesson-block__input']} value={waveformData.modality || 'VCV'} onChange={(e) => updateData({ modality: e.target.value })}>
+              {WAVEFORM_MODALITIES.map((m) => <option key={m} value={m}>{m}</option>)}
+            </select>
+          </Field>
+          {WAVEFORM_PARAMS.map(({ key, label, min, max, step }) => (
+            <Field key={key} label={label}>
+              <input
+                className={styles['lesson-block__input']}
+                type="number"
+                min={min}
+                max={max}
+                step={step}
+                value={waveformData.params?.[key] ?? ''}
+                onChange={(e) => updateData({ params: { ...waveformData.params, [key]: toNumber(e.target.value) } })}
+              />
+            </Field>
+          ))}
+        </>
+      )}
+    >
+      {/* La curva toma modalidad y parámetros solo al montarse */}
+      <LessonBlock key={JSON.stringify(waveformData)} block={block} />
+    </BlockFrame>
+  );
+};
+
+/* ─── Pregunta de quiz ───────────────────────────────────────────────────── */
+export const QuizView = (props) => {
+  const { block, editing, update, toggle } = useBlockView(props, 'quiz');
+  const quiz = block.quiz || {};
+  const options = quiz.options || [];
+  const isMultiple = quiz.type === 'multiple-choice';
+  const correct = [].concat(quiz.correctAnswer ?? []);
+  const updateQuiz = (patch) => update({ quiz: { ...quiz, ...patch } });
+
+  const setOption = (index, value) => {
+    const previous = options[index];
+    updateQuiz({
+      options: options.map((o, i) => (i === index ? value : o)),
+      correctAnswer: isMultiple
+        ? correct.map((c) => (c === previous ? value : c))
+        : quiz.correctAnswer === previous ? value : quiz.correctAnswer,
+    });
+  };
+
+  const toggleCorrect = (option) => {
+    if (!isMultiple) return updateQuiz({ correctAnswer: option });
+    return updateQuiz({
+      correctAnswer: correct.includes(option) ? correct.filter((c) => c !== option) : [...correct, option],
+    });
+  };
+
+  const setType = (type) => updateQuiz({
+    type,
+    correctAnswer: type === 'multiple-choice' ? correct : correct[0] ?? '',
+  });
+
+  return (
+    <BlockFrame
+      type="quiz"
+      selected={props.selected}
+      editable={props.editor.isEditable}
+      editing={editing}
+      onToggle={toggle}
+      form={(
+        <>
+          <Field label="Tipo">
+            <select className={styles['lesson-block__input']} value={quiz.type} onChange={(e) => setType(e.target.value)}>
+              <option value="single-choice">Una respuesta</option>
+              <option value="multiple-choice">Varias respuestas</option>
+            </select>
+          </Field>
+          <Field label="Pregunta" wide>
+            <textarea
+              className={styles['lesson-block__input']}
+              value={quiz.question || ''}
+              onChange={(e) => updateQuiz({ question: e.target.value })}
+              rows={2}
+            />
+          </Field>
+          <div className={styles['lesson-block__options']}>
+            <span className={styles['lesson-block__label']}>Opciones (marca las correctas)</span>
+            {options.map((option, i) => (
+              <div key={i} className={styles['lesson-block__option']}>
+                <input
+                  type={isMultiple ? 'checkbox' : 'radio'}
+                  checked={correct.includes(option) && option !== ''}
+                  onChange={() => toggleCorrect(option)}
+                  disabled={option === ''}
+                  aria-label={`Opción ${i + 1} correcta`}
+                />
+                <input
+                  className={styles['lesson-block__input']}
+                  value={option}
+                  onChange={(e) => setOption(i, e.target.value)}
+                  placeholder={`Opción ${i + 1}`}
+                />
+                <button
+                  type="button"
+                  className={styles['lesson-block__remove']}
+                  onClick={() => updateQuiz({
+                    options: options.filter((_, j) => j !== i),
+                    correctAnswer: isMultiple ? correct.filter((c) => c !== option) : quiz.correctAnswer === option ? '' : quiz.correctAnswer,
+                  })}
+                  disabled={options.length <= 2}
+                  aria-label="Quitar opción"
+                >✕</button>
+              </div>
+            ))}
+            <button type="button" className={styles['lesson-block__add']} onClick={() => updateQuiz({ options: [...options, ''] })}>
+              + Opción
+            </button>
+          </div>
+          <Field label="Explicación" wide>
+            <textarea
+              className={styles['lesson-block__input']}
+              value={quiz.explanation || ''}
+              onChange={(e) => updateQuiz({ explanation: e.target.value })}
+              rows={2}
+            />
+          </Field>
+        </>
+      )}
+    >
+      {quiz.question
+        ? <LessonBlock key={JSON.stringify(quiz)} block={block} />
+        : <p className={styles['lesson-block__empty']}>Escribe la pregunta y sus opciones en Editar.</p>}
+    </BlockFrame>
+  );
+};
@@ -0,0 +1,76 @@
+/*
+ * Funcionalidad: lessonBlockNodes — nodos de bloques de dominio del editor
+ * Descripción: Nodos atómicos de TipTap, uno por tipo de bloque de dominio. El
+ *              bloque viaja entero en el atributo `block` y se serializa como
+ *              <div data-lesson-block> con un resumen legible; insertLessonBlock
+ *              agrega un bloque nuevo desde el menú de barra (SlashMenu).
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import { Node, ReactNodeViewRenderer } from '@tiptap/react';
+import { LESSON_BLOCKS, readBlockElement } from './lessonBlocks';
+import {
+  CalloutView,
+  EquationView,
+  ParameterTableView,
+  QuizView,
+  WaveformView,
+} from './LessonBlockViews';
+
+/**
+ * Nodo atómico de bloque: todo el contenido está en el atributo `block` (el
+ * objeto del JSON de la sección) y se edita desde la vista React del nodo.
+ */
+const createLessonBlockNode = (type, view) => {
+  const { node, summary } = LESSON_BLOCKS[type];
+  return Node.create({
+    name: node,
+    group: 'block',
+    atom: true,
+    draggable: true,
+    selectable: true,
+
+    addAttributes() {
+      return {
+        block: {
+          default: null,
+          parseHTML: readBlockElement,
+          rendered: false,
+        },
+      };
+    },
+
+    parseHTML() {
+      return [{ tag: `div[data-lesson-block="${type}"]` }];
+    },
+
+    renderHTML({ node: { attrs } }) {
+      const block = attrs.block ?? LESSON_BLOCKS[type].template();
+      return ['div', { 'data-lesson-block': type, 'data-block': JSON.stringify(block) }, summary(block)];
+    },
+
+    addNodeView() {
+      return ReactNodeViewRenderer(view);
+    },
+  });
+};
+
+export const lessonBlockNodes = [
+  createLessonBlockNode('equation', EquationView),
+  createLessonBlockNode('parameter-table', ParameterTableView),
+  createLessonBlockNode('callout', CalloutView),
+  createLessonBlockNode('waveforms', WaveformView),
+  createLessonBlockNode('quiz', QuizView),
+];
+
+/** Inserta un bloque nuevo del tipo dado en la posición del cursor. */
+export const insertLessonBlock = (editor, type, ...templateArgs) =>
+  editor.chain().focus()
+    .insertContent({ type: LESSON_BLOCKS[type].node, attrs: { block: LESSON_BLOCKS[type].template(...templateArgs) } })
+    .run();
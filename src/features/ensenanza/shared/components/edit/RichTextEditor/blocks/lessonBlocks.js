@@ -0,0 +1,159 @@
+/*
+ * Funcionalidad: lessonBlocks — bloques de dominio del editor
+ * Descripción: Bloques de dominio del editor (ecuación, tabla de parámetros,
+ *              callout, curva, pregunta de quiz). El bloque es el mismo objeto que
+ *              va en el arreglo `content` de la sección y que renderiza LessonBlock.
+ *              En HTML viaja entero en el atributo `data-block` de un
+ *              <div data-lesson-block>, con un resumen legible como texto (lo que se
+ *              ve en el historial y en los diffs de revisión). blockToHtml lleva el
+ *              JSON al editor y htmlToBlocks devuelve el HTML guardado al arreglo
+ *              `content`, con el mismo objeto por cada bloque; el texto que hay
+ *              entre bloques queda en elementos { type: 'html', html }.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import {
+  CALLOUT_VARIANTS,
+  LESSON_BLOCK_TYPES,
+} from '@/features/ensenanza/shared/components/leccion/content/LessonBlock';
+
+export const WAVEFORM_MODALITIES = ['VCV', 'PCV', 'PSV', 'SIMV-VC', 'SIMV-PC', 'CPAP', 'BiPAP'];
+
+export const PARAMETER_CRITICALITY = {
+  standard:  'Estándar',
+  important: 'Importante',
+  critical:  'Crítico',
+};
+
+export const emptyParameter = () => ({
+  name: '',
+  unit: '',
+  initialValue: '',
+  acceptableRange: { min: '', max: '' },
+  objective: '',
+  criticality: 'standard',
+});
+
+/**
+ * Catálogo por tipo de bloque: nombre del nodo Tiptap, bloque inicial al
+ * insertarlo y resumen en texto plano.
+ */
+export const LESSON_BLOCKS = {
+  equation: {
+    node: 'lessonEquation',
+    label: 'Ecuación',
+    icon: '∑',
+    template: () => ({ type: 'equation', latex: 'C_{st} = \\frac{V_T}{P_{plat} - PEEP}', display: true }),
+    summary: (block) => block.latex || '',
+  },
+  'parameter-table': {
+    node: 'lessonParameterTable',
+    label: 'Tabla de parámetros',
+    icon: '📊',
+    template: () => ({ type: 'parameter-table', title: '', parameters: [emptyParameter()] }),
+    summary: (block) => [
+      block.title || 'Tabla de parámetros',
+      ...(block.parameters || []).map((p) => [p.name, p.initialValue, p.unit].filter((v) => v !== '' && v != null).join(' ')),
+    ].join(' · '),
+  },
+  callout: {
+    node: 'lessonCallout',
+    label: 'Callout',
+    icon: '💎',
+    template: (variant = 'pearl') => ({ type: 'callout', variant, title: '', text: '' }),
+    summary: (block) => {
+      const variant = CALLOUT_VARIANTS[block.variant] ?? CALLOUT_VARIANTS.pearl;
+      return `${block.title || variant.label}: ${block.text || ''}`;
+    },
+  },
+  waveforms: {
+    node: 'lessonWaveform',
+    label: 'Curva ventilatoria',
+    icon: '📈',
+    template: () => ({
+      type: 'waveforms',
+      waveformData: { modality: 'VCV', params: { vt: 500, f: 15, peep: 5, pinsp: 18 } },
+    }),
+    summary: ({ waveformData = {} }) => {
+      const { vt, f, peep, pinsp } = waveformData.params || {};
+      return `Curva ${waveformData.modality || 'VCV'} — VT ${vt} mL, f ${f} rpm, PEEP ${peep}, Pinsp ${pinsp}`;
+    },
+  },
+  quiz: {
+    node: 'lessonQuiz',
+    label: 'Pregunta de quiz',
+    icon: '❓',
+    template: () => ({
+      type: 'quiz',
+      quiz: { type: 'single-choice', question: '', options: ['', ''], correctAnswer: '', explanation: '' },
+    }),
+    summary: ({ quiz = {} }) => [quiz.question, ...(quiz.options || []).map((o) => `○ ${o}`)].join(' '),
+  },
+};
+
+/** true si el elemento del arreglo `content` es un bloque de dominio. */
+export const isLessonBlock = (block) =>
+  !!block && typeof block === 'object' && LESSON_BLOCK_TYPES.includes(block.type);
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/** Bloque del JSON de la sección → HTML que el editor reconoce como su nodo. */
+export function blockToHtml(block) {
+  const summary = LESSON_BLOCKS[block.type].summary(block);
+  return `<div data-lesson-block="${block.type}" data-block="${escapeHtml(JSON.stringify(block))}">${escapeHtml(summary)}</div>`;
+}
+
+/**
+ * Elemento <div data-lesson-block> → bloque. Un data-block ilegible o de otro
+ * tipo deja el bloque inicial del tipo en vez de romper la carga del editor.
+ */
+export function readBlockElement(element) {
+  const type = element.getAttribute('data-lesson-block');
+  try {
+    const block = JSON.parse(element.getAttribute('data-block'));
+    if (block?.type === type) return block;
+  } catch {
+    // se usa el bloque inicial
+  }
+  return LESSON_BLOCKS[type].template();
+}
+
+/**
+ * HTML guardado de una sección (Step.content) → arreglo `content`. El HTML
+ * de los elementos { type: 'html' } sale tal cual: se sanea al renderizarlo.
+ */
+export function htmlToBlocks(html) {
+  if (!html) return [];
+  if (typeof DOMParser === 'undefined') return [{ type: 'html', html }];
+
+  const { body } = new DOMParser().parseFromString(html, 'text/html');
+  const blocks = [];
+  let pending = '';
+  const flush = () => {
+    if (pending.trim()) blocks.push({ type: 'html', html: pending });
+    pending = '';
+  };
+
+  body.childNodes.forEach((node) => {
+    if (node.nodeType === Node.ELEMENT_NODE && LESSON_BLOCKS[node.getAttribute('data-lesson-block')]) {
+      flush();
+      blocks.push(readBlockElement(node));
+    } else if (node.nodeType === Node.ELEMENT_NODE) {
+      pending += node.outerHTML;
+    } else if (node.nodeType === Node.TEXT_NODE) {
+      pending += escapeHtml(node.textContent);
+    }
+  });
+  flush();
+  return blocks;
+}
@@ -0,0 +1,74 @@
+/*
+ * Funcionalidad: editorExtensions — extensiones del editor de lecciones
+ * Descripción: Extensiones TipTap del RichTextEditor, con los bloques de dominio de
+ *              la lección y, en edición compartida, Collaboration y
+ *              CollaborationCaret sobre el Y.Doc de la lección. seedCollaborativeContent
+ *              carga el HTML guardado de una sección en su fragmento compartido.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import { generateJSON, getSchema } from '@tiptap/react';
+import StarterKit from '@tiptap/starter-kit';
+import Underline from '@tiptap/extension-underline';
+import TaskList from '@tiptap/extension-task-list';
+import TaskItem from '@tiptap/extension-task-item';
+import Highlight from '@tiptap/extension-highlight';
+import Link from '@tiptap/extension-link';
+import Placeholder from '@tiptap/extension-placeholder';
+import { TextStyle } from '@tiptap/extension-text-style';
+import Color from '@tiptap/extension-color';
+import Collaboration from '@tiptap/extension-collaboration';
+import CollaborationCaret from '@tiptap/extension-collaboration-caret';
+import { prosemirrorJSONToYXmlFragment } from '@tiptap/y-tiptap';
+import { lessonBlockNodes } from './blocks/lessonBlockNodes';
+
+/**
+ * Extensiones del RichTextEditor, incluidos los bloques de dominio de la
+ * lección (ecuación, tabla de parámetros, callout, curva, quiz). Con `collab`
+ * ({ doc, field, awareness, user }) el contenido vive en el fragmento `field`
+ * del Y.Doc compartido: el historial pasa a ser el de Yjs (solo deshace lo
+ * propio) y los cursores de los demás profesores se pintan con su nombre y
+ * color.
+ */
+export function buildEditorExtensions({ placeholder, collab } = {}) {
+  return [
+    StarterKit.configure({
+      heading: { levels: [1, 2, 3] },
+      code: { HTMLAttributes: { class: 'rte-inline-code' } },
+      codeBlock: { HTMLAttributes: { class: 'rte-code-block' } },
+      ...(collab && { undoRedo: false }),
+    }),
+    Underline,
+    TaskList.configure({ HTMLAttributes: { class: 'rte-task-list' } }),
+    TaskItem.configure({ nested: true }),
+    Highlight.configure({ multicolor: false }),
+    Link.configure({ openOnClick: false, HTMLAttributes: { class: 'rte-link' } }),
+    Placeholder.configure({ placeholder }),
+    TextStyle,
+    Color,
+    ...lessonBlockNodes,
+    ...(collab
+      ? [
+          Collaboration.configure({ document: collab.doc, field: collab.field }),
+          CollaborationCaret.configure({ provider: { awareness: collab.awareness }, user: collab.user }),
+        ]
+      : []),
+  ];
+}
+
+/**
+ * Carga `html` en el fragmento compartido de una sección. Se aplica como
+ * diferencia sobre lo que ya tenga el fragmento, así que repetirlo con el
+ * mismo contenido no genera cambios.
+ */
+export function seedCollaborativeContent(doc, field, html) {
+  const extensions = buildEditorExtensions();
+  const json = generateJSON(html || '<p></p>', extensions);
+  prosemirrorJSONToYXmlFragment(getSchema(extensions), json, doc.getXmlFragment(field));
+}
@@ -0,0 +1,33 @@
+/*
+ * Funcionalidad: curriculumFetch — cliente JSON de la API de curriculum
+ * Descripción: Llamadas JSON a las API routes de curriculum (/api/curriculum/...),
+ *              que usan la sesión de NextAuth por cookie. Los errores se lanzan con
+ *              el mensaje `error` que devuelve la ruta; llevan además `status` y el
+ *              cuerpo completo en `body` (p. ej. el 409 de una sección).
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+async function parse(res) {
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw Object.assign(new Error(json.error || `HTTP ${res.status}`), { status: res.status, body: json });
+  }
+  return json;
+}
+
+/** GET; sirve también como fetcher de SWR. */
+export const fetchJson = (url) => fetch(url).then(parse);
+
+/** POST / PATCH / DELETE con cuerpo JSON. */
+export const sendJson = (method, url, body) =>
+  fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  }).then(parse);
@@ -107,6 +107,7 @@ const LessonIndexNavigator = ({
         'waveforms': 'Ondas',
         'parameter-tables': 'Tablas de Parámetros',
         'practical-case': `Caso Práctico ${page.caseIndex + 1 || index + 1}`,
+        'exercise': page.exercise?.title || `Ejercicio ${page.exerciseIndex + 1 || index + 1}`,
         'key-points': 'Puntos Clave',
         'assessment': 'Autoevaluación',
         'references': 'Referencias',
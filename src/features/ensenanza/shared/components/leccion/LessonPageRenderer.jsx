@@ -16,6 +16,7 @@ import {
   AssessmentSection,
   ReferencesSection,
   PracticalCaseSection,
+  ExerciseSection,
   CompletionPage,
 } from './sections';
 
@@ -49,43 +50,38 @@ const LessonPageRenderer = ({
 }) => {
   if (!currentPageData || !data) return null;
 
+  // Puntos clave, referencias, analogías y la introducción legacy no traen
+  // sección propia: si la hay es la versión publicada que puso LessonViewer y
+  // se muestra en lugar de su vista del JSON
+  const sectionView = currentPageData.section && (
+    <TheorySection
+      section={currentPageData.section}
+      sectionIndex={currentPageData.sectionIndex}
+      theory={data.content?.theory}
+      moduleId={moduleId}
+      lessonId={lessonId}
+      lessonData={data}
+      currentPageType={currentPageData.type}
+    />
+  );
+
   switch (currentPageData.type) {
     case 'header-intro':
-      const hasLegacyIntro = !!data.content?.introduction;
+      const hasLegacyIntro = !currentPageData.section && !!data.content?.introduction;
       return (
         <Box>
           <LessonHeader data={data} currentPage={currentPage} totalPages={totalPages} />
           {hasLegacyIntro ? (
             <IntroductionSection introduction={data.content.introduction} />
           ) : (
-            currentPageData.section && (
-              <TheorySection
-                section={currentPageData.section}
-                sectionIndex={currentPageData.sectionIndex}
-                theory={data.content?.theory}
-                moduleId={moduleId}
-                lessonId={lessonId}
-                lessonData={data}
-                currentPageType={currentPageData.type}
-              />
-            )
+            sectionView
           )}
         </Box>
       );
     case 'theory':
-      return (
-        <TheorySection
-          section={currentPageData.section}
-          sectionIndex={currentPageData.sectionIndex}
-          theory={data.content?.theory}
-          moduleId={moduleId}
-          lessonId={lessonId}
-          lessonData={data}
-          currentPageType={currentPageData.type}
-        />
-      );
+      return sectionView;
     case 'analogies':
-      return <AnalogiesSection analogies={data.content?.theory?.analogies} />;
+      return sectionView || <AnalogiesSection analogies={data.content?.theory?.analogies} />;
     case 'analogy':
       return <AnalogiesSection singleAnalogy={currentPageData.analogy} />;
     case 'visual-elements':
@@ -105,8 +101,17 @@ const LessonPageRenderer = ({
           onToggleAnswers={handleShowCaseAnswers}
         />
       );
+    case 'exercise':
+      return (
+        <ExerciseSection
+          key={currentPageData.exercise.id}
+          exercise={currentPageData.exercise}
+          lessonId={lessonId}
+          moduleId={moduleId}
+        />
+      );
     case 'key-points':
-      return <KeyPointsSection keyPoints={data.content?.keyPoints} />;
+      return sectionView || <KeyPointsSection keyPoints={data.content?.keyPoints} />;
     case 'assessment':
       return (
         <AssessmentSection
@@ -124,7 +129,7 @@ const LessonPageRenderer = ({
         />
       );
     case 'references':
-      return (
+      return sectionView || (
         <ReferencesSection references={data.content?.references || data.resources?.references} />
       );
     case 'completion':
@@ -38,6 +38,7 @@ import { useLessonViewerState } from './useLessonViewerState';
 
 import React, { useState, useEffect, useCallback, useRef, memo, Suspense, lazy, useMemo } from 'react';
 import dynamic from 'next/dynamic';
+import useSWR from 'swr';
 import {
   Container,
   Grid,
@@ -75,6 +76,10 @@ import LessonIndexNavigator from './LessonIndexNavigator';
 import TutorAIPopup from '@/features/ensenanza/shared/components/ai/TutorAIPopup';
 import BlockInjector from '@/features/ensenanza/shared/components/edit/BlockInjector/BlockInjector';
 import LessonEditBanner from '@/features/ensenanza/shared/components/edit/LessonEditBanner/LessonEditBanner';
+import useLessonReview, { REVIEW_STATUS_META } from '@/features/ensenanza/shared/components/edit/LessonReviewDrawer/useLessonReview';
+import { fetchJson, sendJson } from '@/features/ensenanza/shared/components/edit/curriculumFetch';
+import { blockToHtml, htmlToBlocks, isLessonBlock } from '@/features/ensenanza/shared/components/edit/RichTextEditor/blocks/lessonBlocks';
+import useLessonCollaboration, { sectionKey } from '@/features/ensenanza/shared/components/edit/LessonCollaboration/useLessonCollaboration';
 // EditableSectionWrapper arrastra RichTextEditor (Tiptap): se difiere con next/dynamic
 // para que el modo lectura no descargue el editor — solo se pide el chunk al renderizarse
 // en modo edición (isScrollMode).
@@ -83,6 +88,14 @@ const EditableSectionWrapper = dynamic(
   { ssr: false }
 );
 import UnsavedChangesAlert from '@/features/ensenanza/shared/components/edit/UnsavedChangesAlert/UnsavedChangesAlert';
+const LessonReviewDrawer = dynamic(
+  () => retryImport(() => import('@/features/ensenanza/shared/components/edit/LessonReviewDrawer/LessonReviewDrawer')),
+  { ssr: false }
+);
+const LessonHistoryDrawer = dynamic(
+  () => retryImport(() => import('@/features/ensenanza/shared/components/edit/LessonHistoryDrawer/LessonHistoryDrawer')),
+  { ssr: false }
+);
 import SaveProgressButton from './SaveProgressButton/SaveProgressButton';
 import { useTopicContext } from '@/features/ensenanza/shared/hooks/useTopicContext';
 import useScrollCompletion from '@/shared/hooks/useScrollCompletion';
@@ -122,7 +135,7 @@ function getPageInitialHtml(pageData, data) {
     'header-intro': 'Introducción', 'theory': 'Teoría', 'analogies': 'Analogías',
     'visual-elements': 'Elementos Visuales', 'waveforms': 'Curvas',
     'parameter-tables': 'Parámetros', 'practical-case': 'Caso Práctico',
-    'key-points': 'Puntos Clave', 'assessment': 'Evaluación',
+    'exercise': 'Ejercicio', 'key-points': 'Puntos Clave', 'assessment': 'Evaluación',
     'references': 'Referencias', 'completion': 'Completado',
     'clinical-case': 'Caso Clínico',
   };
@@ -142,6 +155,8 @@ function getPageInitialHtml(pageData, data) {
     if (Array.isArray(c)) {
       return c.map(block => {
         if (typeof block === 'string') return `<p>${block}</p>`;
+        if (isLessonBlock(block)) return blockToHtml(block);
+        if (block?.type === 'html') return block.html;
         if (block.type === 'list') return `<ul>${(block.items || []).map(i => `<li>${i}</li>`).join('')}</ul>`;
         return `<p>${block.text || block.content || ''}</p>`;
       }).join('');
@@ -207,6 +222,74 @@ function getPageInitialHtml(pageData, data) {
   return `<h2>${LABELS[t] ?? t ?? 'Sección'}</h2><p>Contenido de esta sección.</p>`;
 }
 
+/* ─── Utilidad: Step en BD de una página ─────────────────────────────────────
+   Por sectionSourceId si la página viene de una sección con id; si no, por
+   order = pageData.index (posición de la página en la lección, estable al
+   reordenar o eliminar en modo edición). El PATCH/DELETE de secciones usa el
+   mismo índice en la URL. */
+function findSectionStep(steps, pageData) {
+  const sourceId = pageData?.section?.id;
+  return steps?.find((s) => (sourceId ? s.sectionSourceId === sourceId : s.order === pageData?.index));
+}
+
+/* ─── Utilidad: último contenido guardado de una sección y su updatedAt ──────
+   El más reciente entre lo guardado en la sala compartida y el Step en BD;
+   sin ninguno, el JSON de la lección (updatedAt null). */
+function getPersistedSection(pageData, idx, data, dbSteps, saved) {
+  const shared = saved[sectionKey(pageData, idx)];
+  const step = findSectionStep(dbSteps, pageData);
+  if (shared && !(step?.updatedAt > shared.updatedAt)) return { html: shared.html, updatedAt: shared.updatedAt };
+  if (step) return { html: step.content, updatedAt: step.updatedAt };
+  return { html: getPageInitialHtml(pageData, data), updatedAt: null };
+}
+
+// Páginas cuyo HTML inicial (getPageInitialHtml) es el contenido completo: solo
+// en estas el Step publicado reemplaza lo que se muestra del JSON
+const PUBLISHABLE_PAGE_TYPES = ['header-intro', 'theory', 'key-points', 'references', 'analogies'];
+
+/* ─── Utilidad: separa el encabezado que getPageInitialHtml pone al inicio ───
+   En la introducción es el <h1> con el título de la lección (ya lo muestra
+   LessonHeader) seguido de la descripción; en el resto, el <h2> con el título
+   de la sección. Devuelve el texto del <h2> como título y el resto del HTML
+   como arreglo `content`. */
+function splitPublishedHtml(html, pageType, description) {
+  if (typeof DOMParser === 'undefined') return { title: null, content: htmlToBlocks(html) };
+  const { body } = new DOMParser().parseFromString(html, 'text/html');
+  const first = body.firstElementChild;
+  let title = null;
+  if (pageType === 'header-intro' && first?.tagName === 'H1') {
+    first.remove();
+    const next = body.firstElementChild;
+    if (description && next?.tagName === 'P' && next.textContent.trim() === description.trim()) next.remove();
+  } else if (pageType !== 'header-intro' && first?.tagName === 'H2') {
+    title = first.textContent.trim() || null;
+    first.remove();
+  }
+  return { title, content: htmlToBlocks(body.innerHTML) };
+}
+
+/* ─── Utilidad: página con la sección tal como está publicada ───────────────
+   El Step publicado de la página reemplaza título y contenido del JSON; su
+   HTML vuelve a ser el arreglo `content` (bloques de dominio incluidos). Las
+   páginas sin sección (puntos clave, referencias, introducción legacy) reciben
+   una con lo publicado y LessonPageRenderer la muestra en lugar de su vista
+   del JSON. Sin Step, la página del JSON. */
+function withPublishedSection(pageData, steps, data) {
+  if (!PUBLISHABLE_PAGE_TYPES.includes(pageData?.type) || !steps?.length) return pageData;
+  const step = findSectionStep(steps, pageData);
+  if (!step || step.isActive === false || !step.content) return pageData;
+  const { title, content } = splitPublishedHtml(step.content, pageData.type, data?.description);
+  const fallbackTitle = pageData.type === 'header-intro' ? 'Introducción' : null;
+  return {
+    ...pageData,
+    section: {
+      ...pageData.section,
+      title: title ?? pageData.section?.title ?? step.title ?? fallbackTitle,
+      content,
+    },
+  };
+}
+
 /**
  * LessonViewer - Main component for displaying lesson content
  */
@@ -261,14 +344,32 @@ const LessonViewer = memo(({ lessonId, moduleId, onComplete, onNavigate, default
     if (isEditMode) fetchDbSteps();
   }, [isEditMode, fetchDbSteps]);
 
+  // Fuera de modo edición los Steps en BD son un borrador: el estudiante ve la
+  // versión publicada (published: null = nunca se publicó, vale el JSON)
+  const { data: publishedData } = useSWR(
+    !isEditMode && lessonId && moduleId
+      ? `/api/curriculum/lessons/${lessonId}/published?moduleId=${encodeURIComponent(moduleId)}`
+      : null,
+    fetchJson,
+    { revalidateOnFocus: false, shouldRetryOnError: false },
+  );
+  const publishedSteps = publishedData?.published?.steps;
+  const visibleSteps = isEditMode ? dbSteps : publishedSteps;
+
+  // Página actual del modo paginado con la sección publicada
+  const publishedPageData = useMemo(
+    () => withPublishedSection(currentPageData, publishedSteps, data),
+    [currentPageData, publishedSteps, data],
+  );
+
   // Filtra calculatePages respetando el estado de BD (isActive=false = eliminado)
   const filteredCalculatePages = useMemo(() => {
     if (!calculatePages?.length) return calculatePages ?? [];
-    if (!dbSteps?.length) return calculatePages;
+    if (!visibleSteps?.length) return calculatePages;
     // Construir mapa de overrides por sectionSourceId y por order
     const deletedBySourceId = new Set();
     const deletedByOrder = new Set();
-    dbSteps.forEach(s => {
+    visibleSteps.forEach(s => {
       if (!s.isActive) {
         if (s.sectionSourceId) deletedBySourceId.add(s.sectionSourceId);
         else deletedByOrder.add(s.order);
@@ -277,10 +378,10 @@ const LessonViewer = memo(({ lessonId, moduleId, onComplete, onNavigate, default
     if (!deletedBySourceId.size && !deletedByOrder.size) return calculatePages;
     return calculatePages.filter((p) => {
       if (p.section?.id && deletedBySourceId.has(p.section.id)) return false;
-      if (deletedByOrder.has(p.sectionIndex)) return false;
+      if (deletedByOrder.has(p.index)) return false;
       return true;
     });
-  }, [calculatePages, dbSteps]);
+  }, [calculatePages, visibleSteps]);
 
   useEffect(() => {
     if (filteredCalculatePages?.length) setLocalPages(filteredCalculatePages);
@@ -361,14 +462,17 @@ const LessonViewer = memo(({ lessonId, moduleId, onComplete, onNavigate, default
   }, [lessonId, moduleId, data, apiPost]);
 
   const handleDeleteSection = useCallback(async (idx) => {
+    const pageData = localPages[idx] ?? scrollPages[idx];
+    if (!pageData) return;
     // Optimistic: quitar del estado local inmediatamente
     setLocalPages(prev => prev.filter((_, i) => i !== idx));
-    const ok = await apiDelete(`/api/curriculum/lessons/${lessonId}/sections/${idx}`, {
-      moduleId: data?.moduleId || moduleId,
+    const ok = await apiDelete(`/api/curriculum/lessons/${lessonId}/sections/${pageData.index}`, {
+      moduleId:        data?.moduleId || moduleId,
+      sectionSourceId: pageData.section?.id ?? null,
     });
     // Refrescar estado de BD para sincronizar filteredCalculatePages
     if (ok) fetchDbSteps();
-  }, [lessonId, moduleId, data, apiDelete, fetchDbSteps]);
+  }, [lessonId, moduleId, data, localPages, scrollPages, apiDelete, fetchDbSteps]);
 
   const handleAddSection = useCallback(() => {
     const injectors = document.querySelectorAll('[data-block-injector]');
@@ -387,21 +491,78 @@ const LessonViewer = memo(({ lessonId, moduleId, onComplete, onNavigate, default
   // ── Dirty state: rastrear cambios sin guardar en el editor ──
   const [dirtyMap, setDirtyMap] = useState({});     // { [sectionIdx]: htmlContent }
   const [unsavedAlertOpen, setUnsavedAlertOpen] = useState(false);
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [reviewOpen, setReviewOpen] = useState(false);
+
+  // Revisión: solicitud abierta y sus comentarios por sección (solo modo edición)
+  const review = useLessonReview({ lessonId, moduleId: data?.moduleId || moduleId, enabled: isEditMode });
+  const reviewLabel = review.activeReview
+    ? REVIEW_STATUS_META[review.activeReview.status].label
+    : review.draft && !review.draft.isPublished
+      ? 'Borrador sin publicar'
+      : review.published ? `Publicada v${review.published.version}` : null;
+
+  const { addComment: addReviewComment, setCommentResolved, refresh: refreshReview } = review;
+  const handleAddReviewComment = useCallback(
+    (body, idx) => addReviewComment(body, {
+      sectionIndex: idx,
+      stepId: findSectionStep(dbSteps, localPages[idx] ?? scrollPages[idx])?.id ?? null,
+    }).then(() => true, () => false),
+    [addReviewComment, dbSteps, localPages, scrollPages]
+  );
+  const canCommentReview = !!review.activeReview?.canComment;
+
+  // Tras restaurar una versión los cambios sin guardar quedan obsoletos
+  const handleRevisionRestored = useCallback(() => {
+    setDirtyMap({});
+    fetchDbSteps();
+    refetch?.();
+    refreshReview();
+  }, [fetchDbSteps, refetch, refreshReview]);
   const pendingNavRef = useRef(null);
   const hasDirtyChanges = Object.keys(dirtyMap).length > 0;
 
-  // Llamado cuando el usuario hace click en "Guardar sección"
-  const handleSectionContentChange = useCallback((html, idx) => {
+  // Edición compartida con los demás profesores que tienen abierta la lección
+  const collaboration = useLessonCollaboration({
+    moduleId: data?.moduleId || moduleId,
+    lessonId,
+    enabled: isEditMode,
+  });
+  const { status: collabStatus, markSaved } = collaboration;
+
+  // Llamado cuando el usuario hace click en "Guardar sección". Devuelve true,
+  // false (error) o { conflict } si otro profesor guardó desde baseUpdatedAt.
+  const handleSectionContentChange = useCallback(async (html, idx, baseUpdatedAt) => {
     setDirtyMap(prev => ({ ...prev, [idx]: html }));
     // Guardar inmediatamente en BD
     const pageData = localPages[idx] ?? scrollPages[idx];
-    apiPatch(`/api/curriculum/lessons/${lessonId}/sections/${idx}`, {
+    const url = `/api/curriculum/lessons/${lessonId}/sections/${pageData?.index ?? idx}`;
+    const save = (base) => sendJson('PATCH', url, {
       moduleId:        data?.moduleId || moduleId,
       htmlContent:     html,
       title:           pageData?.section?.title ?? null,
       sectionSourceId: pageData?.section?.id ?? null,
+      baseUpdatedAt:   base,
     });
-  }, [lessonId, moduleId, data, localPages, scrollPages, apiPatch]);
+    try {
+      let result;
+      try {
+        result = await save(baseUpdatedAt);
+      } catch (err) {
+        // En la sala, lo que guardó el otro profesor ya está fusionado en el
+        // documento: se guarda encima de su versión sin preguntar
+        if (err.status !== 409 || collabStatus !== 'synced') throw err;
+        result = await save(err.body.current.updatedAt);
+      }
+      markSaved(sectionKey(pageData, idx), { html, updatedAt: result.updatedAt });
+      fetchDbSteps();
+      return true;
+    } catch (err) {
+      if (err.status === 409 && collabStatus !== 'synced') return { conflict: err.body.current };
+      console.error(`[LessonViewer] API error ${url}:`, err);
+      return false;
+    }
+  }, [lessonId, moduleId, data, localPages, scrollPages, collabStatus, markSaved, fetchDbSteps]);
 
   // Interceptar navegación si hay cambios pendientes
   const guardedNavigate = useCallback((navigateFn) => {
@@ -417,7 +578,7 @@ const LessonViewer = memo(({ lessonId, moduleId, onComplete, onNavigate, default
   const saveAllChanges = useCallback(() => {
     Object.entries(dirtyMap).forEach(([idx, html]) => {
       const pageData = localPages[idx] ?? scrollPages[idx];
-      apiPatch(`/api/curriculum/lessons/${lessonId}/sections/${idx}`, {
+      apiPatch(`/api/curriculum/lessons/${lessonId}/sections/${pageData?.index ?? idx}`, {
         moduleId:        data?.moduleId || moduleId,
         htmlContent:     html,
         title:           pageData?.section?.title ?? null,
@@ -588,71 +749,110 @@ const LessonViewer = memo(({ lessonId, moduleId, onComplete, onNavigate, default
                       totalSections={scrollPages.length}
                       onTitleChange={handleLessonTitleChange}
                       onAddSection={handleAddSection}
+                      onOpenHistory={() => setHistoryOpen(true)}
+                      onOpenReview={() => setReviewOpen(true)}
+                      reviewLabel={reviewLabel}
                     />
+                    {collaboration.error && (
+                      <Alert severity="warning" sx={{ mb: 2 }}>
+                        Edición compartida no disponible: {collaboration.error}. Puedes seguir
+                        editando; al guardar se avisará si otro profesor cambió la sección.
+                      </Alert>
+                    )}
+                    {reviewOpen && (
+                      <LessonReviewDrawer
+                        open={reviewOpen}
+                        onClose={() => setReviewOpen(false)}
+                        lessonId={lessonId}
+                        moduleId={data?.moduleId || moduleId}
+                        lessonTitle={data?.title}
+                      />
+                    )}
+                    {historyOpen && (
+                      <LessonHistoryDrawer
+                        open={historyOpen}
+                        onClose={() => setHistoryOpen(false)}
+                        lessonId={lessonId}
+                        moduleId={data?.moduleId || moduleId}
+                        lessonTitle={data?.title}
+                        onRestored={handleRevisionRestored}
+                      />
+                    )}
 
-                    {scrollPages.map((pageData, idx) => (
-                      <React.Fragment key={`${pageData.type ?? 'page'}-${idx}`}>
-                        {/* Wrapper con overlay de controles por sección */}
-                        <EditableSectionWrapper
-                          pageType={pageData.type}
-                          sectionIndex={idx}
-                          totalSections={scrollPages.length}
-                          initialContent={getPageInitialHtml(pageData, data)}
-                          onContentChange={handleSectionContentChange}
-                          onMoveUp={idx > 0 ? () => handleMoveSection(idx, idx - 1) : undefined}
-                          onMoveDown={idx < scrollPages.length - 1 ? () => handleMoveSection(idx, idx + 1) : undefined}
-                          onDelete={() => handleDeleteSection(idx)}
-                        >
-                          <Box
-                            sx={{
-                              pb: 4,
-                              ...(idx < scrollPages.length - 1 && {
-                                borderBottom: '1px solid rgba(255,255,255,0.06)',
-                              }),
-                            }}
+                    {scrollPages.map((pageData, idx) => {
+                      const key = sectionKey(pageData, idx);
+                      const persisted = getPersistedSection(pageData, idx, data, dbSteps, collaboration.saved);
+                      return (
+                        <React.Fragment key={`${pageData.type ?? 'page'}-${idx}`}>
+                          {/* Wrapper con overlay de controles por sección */}
+                          <EditableSectionWrapper
+                            pageType={pageData.type}
+                            sectionIndex={idx}
+                            totalSections={scrollPages.length}
+                            initialContent={persisted.html}
+                            baseUpdatedAt={persisted.updatedAt}
+                            onContentChange={handleSectionContentChange}
+                            collab={collaboration.sectionCollab(key)}
+                            editingPeers={collaboration.editorsBySection.get(key)}
+                            onEditingChange={(editing) => collaboration.setEditing(key, editing)}
+                            reviewComments={review.commentsBySection.get(idx)}
+                            onAddReviewComment={canCommentReview ? handleAddReviewComment : undefined}
+                            onResolveReviewComment={canCommentReview ? setCommentResolved : undefined}
+                            onMoveUp={idx > 0 ? () => handleMoveSection(idx, idx - 1) : undefined}
+                            onMoveDown={idx < scrollPages.length - 1 ? () => handleMoveSection(idx, idx + 1) : undefined}
+                            onDelete={() => handleDeleteSection(idx)}
                           >
-                            <LessonPageRenderer
-                              data={data}
-                              currentPageData={pageData}
-                              currentPage={idx}
-                              totalPages={scrollPages.length}
-                              moduleId={moduleId}
-                              lessonId={lessonId}
-                              caseAnswers={caseAnswers}
-                              showCaseAnswers={showCaseAnswers}
-                              handleCaseAnswerChange={handleCaseAnswerChange}
-                              handleShowCaseAnswers={handleShowCaseAnswers}
-                              assessmentAnswers={assessmentAnswers}
-                              showAssessmentResults={showAssessmentResults}
-                              assessmentScore={assessmentScore}
-                              handleAssessmentAnswerChange={handleAssessmentAnswerChange}
-                              handleSubmitAssessment={handleSubmitAssessment}
-                              setShowAssessmentResults={setShowAssessmentResults}
-                              setAssessmentAnswers={setAssessmentAnswers}
-                              handleNavigateToLesson={handleNavigateToLesson}
-                              moduleCompletion={moduleCompletion}
-                              triggerAutoCompletion={triggerAutoCompletion}
-                              calculatePages={scrollPages}
-                              setCurrentPage={setCurrentPage}
-                              completedLessonsCount={completedLessonsCount}
-                              totalLessons={totalLessons}
-                            />
-                          </Box>
-                        </EditableSectionWrapper>
-
-                        {/* BlockInjector: separador + entre secciones */}
-                        <div data-block-injector="true">
-                          <BlockInjector afterPageIndex={idx} />
-                        </div>
-                      </React.Fragment>
-                    ))}
+                            <Box
+                              sx={{
+                                pb: 4,
+                                ...(idx < scrollPages.length - 1 && {
+                                  borderBottom: '1px solid rgba(255,255,255,0.06)',
+                                }),
+                              }}
+                            >
+                              <LessonPageRenderer
+                                data={data}
+                                currentPageData={pageData}
+                                currentPage={idx}
+                                totalPages={scrollPages.length}
+                                moduleId={moduleId}
+                                lessonId={lessonId}
+                                caseAnswers={caseAnswers}
+                                showCaseAnswers={showCaseAnswers}
+                                handleCaseAnswerChange={handleCaseAnswerChange}
+                                handleShowCaseAnswers={handleShowCaseAnswers}
+                                assessmentAnswers={assessmentAnswers}
+                                showAssessmentResults={showAssessmentResults}
+                                assessmentScore={assessmentScore}
+                                handleAssessmentAnswerChange={handleAssessmentAnswerChange}
+                                handleSubmitAssessment={handleSubmitAssessment}
+                                setShowAssessmentResults={setShowAssessmentResults}
+                                setAssessmentAnswers={setAssessmentAnswers}
+                                handleNavigateToLesson={handleNavigateToLesson}
+                                moduleCompletion={moduleCompletion}
+                                triggerAutoCompletion={triggerAutoCompletion}
+                                calculatePages={scrollPages}
+                                setCurrentPage={setCurrentPage}
+                                completedLessonsCount={completedLessonsCount}
+                                totalLessons={totalLessons}
+                              />
+                            </Box>
+                          </EditableSectionWrapper>
+
+                          {/* BlockInjector: separador + entre secciones */}
+                          <div data-block-injector="true">
+                            <BlockInjector afterPageIndex={idx} />
+                          </div>
+                        </React.Fragment>
+                      );
+                    })}
                   </>
                 ) : (
                   /* ── Modo Paginado (STUDENT) ─────────────────────────────── */
                   <>
                     <LessonPageRenderer
                       data={data}
-                      currentPageData={currentPageData}
+                      currentPageData={publishedPageData}
                       currentPage={currentPage}
                       totalPages={totalPages}
                       moduleId={moduleId}
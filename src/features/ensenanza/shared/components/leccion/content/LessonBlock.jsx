@@ -0,0 +1,75 @@
+/*
+ * Funcionalidad: LessonBlock — bloques de dominio de la lección
+ * Descripción: Renderiza un bloque de dominio del JSON de la sección (ecuación,
+ *              tabla de parámetros, callout, curva, quiz) con el componente de
+ *              lección que le corresponde. Lo comparten la vista de la lección y la
+ *              vista previa del editor.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import React from 'react';
+import { Alert, AlertTitle, Box, Typography } from '@mui/material';
+import MarkdownRenderer from './MarkdownRenderer';
+import ParameterTable from './ParameterTable';
+import { LazyInteractiveQuiz, LazyWaveformVisualization } from './lazyMediaComponents';
+import styles from './ui/LessonBlock.module.css';
+
+/** Tipos de bloque de dominio que admite el arreglo `content` de una sección. */
+export const LESSON_BLOCK_TYPES = ['equation', 'parameter-table', 'callout', 'waveforms', 'quiz'];
+
+export const CALLOUT_VARIANTS = {
+  pearl:   { label: 'Perla clínica', icon: '💎', severity: 'info' },
+  warning: { label: 'Advertencia',   icon: '⚠️', severity: 'warning' },
+};
+
+/**
+ * LessonBlock - Renderiza un bloque de dominio del JSON de la sección con el
+ * componente de lección que le corresponde (KaTeX, ParameterTable, curva en
+ * vivo, InteractiveQuiz). Lo usan la vista de la lección y la vista previa del
+ * editor, así el profesor ve lo mismo que el estudiante.
+ */
+const LessonBlock = ({ block }) => {
+  switch (block?.type) {
+    case 'equation':
+      return <MarkdownRenderer content={`$$\n${block.latex || ''}\n$$`} />;
+
+    case 'parameter-table':
+      return (
+        <Box className={styles['content-block']}>
+          {block.title && (
+            <Typography variant="h6" className={styles['content-block__title']}>
+              {block.title}
+            </Typography>
+          )}
+          <ParameterTable parameters={block.parameters || []} />
+        </Box>
+      );
+
+    case 'callout': {
+      const variant = CALLOUT_VARIANTS[block.variant] ?? CALLOUT_VARIANTS.pearl;
+      return (
+        <Alert severity={variant.severity} icon={<span aria-hidden="true">{variant.icon}</span>}>
+          <AlertTitle>{block.title || variant.label}</AlertTitle>
+          <MarkdownRenderer content={block.text || ''} />
+        </Alert>
+      );
+    }
+
+    case 'waveforms':
+      return <LazyWaveformVisualization waveformData={block.waveformData || {}} />;
+
+    case 'quiz':
+      return block.quiz?.question ? <LazyInteractiveQuiz quiz={block.quiz} /> : null;
+
+    default:
+      return null;
+  }
+};
+
+export default LessonBlock;
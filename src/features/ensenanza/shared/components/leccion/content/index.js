@@ -28,6 +28,7 @@ export { default as ModalityComparisonTable } from './ModalityComparisonTable';
 export { default as WaveformVisualization } from './WaveformVisualization';
 export { default as ClinicalCase } from './ClinicalCase';
 export { default as ParameterTable } from './ParameterTable';
+export { default as LessonBlock } from './LessonBlock';
 
 // Componentes reutilizables de media
 export { default as MediaSkeleton } from './MediaSkeleton';
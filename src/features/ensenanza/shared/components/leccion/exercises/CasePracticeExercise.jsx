@@ -0,0 +1,120 @@
+/*
+ * Funcionalidad: CasePracticeExercise — casos clínicos de práctica
+ * Descripción: Casos cortos de elección única que se comprueban de uno en uno con
+ *              su retroalimentación. Estilos en ui/Exercise.module.css.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import React, { useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  FormControl,
+  FormControlLabel,
+  Paper,
+  Radio,
+  RadioGroup,
+  Typography,
+} from '@mui/material';
+import ExerciseHints from './ExerciseHints';
+import { gradeCasePractice, percentScore } from './exerciseGrading';
+import styles from './ui/Exercise.module.css';
+
+const cx = (...names) => names.filter(Boolean).map((n) => styles[n]).join(' ');
+
+const caseKey = (practiceCase, index) => String(practiceCase.id ?? `case-${index}`);
+
+/**
+ * CasePracticeExercise - Casos clínicos cortos de elección única. Cada caso
+ * se comprueba por separado y queda bloqueado con su retroalimentación; el
+ * ejercicio termina cuando todos están respondidos.
+ */
+const CasePracticeExercise = ({ exercise, onComplete }) => {
+  const cases = exercise.content?.cases || [];
+  const [answers, setAnswers] = useState({});
+  const [checkedCases, setCheckedCases] = useState({});
+  const [hintsShown, setHintsShown] = useState(0);
+
+  const allChecked = cases.length > 0 && cases.every((c, i) => checkedCases[caseKey(c, i)]);
+
+  const handleCheck = (key) => {
+    const nextChecked = { ...checkedCases, [key]: true };
+    setCheckedCases(nextChecked);
+    if (cases.every((c, i) => nextChecked[caseKey(c, i)])) {
+      const result = gradeCasePractice(cases, answers);
+      onComplete({
+        score: percentScore(result.details.map((d) => (d.correct ? 1 : 0))),
+        hintsUsed: hintsShown,
+        details: result.details,
+      });
+    }
+  };
+
+  return (
+    <Box className={styles.exercise}>
+      {cases.map((practiceCase, index) => {
+        const key = caseKey(practiceCase, index);
+        const answer = answers[key];
+        const isChecked = !!checkedCases[key];
+        const isCorrect = answer === practiceCase.correct_answer;
+
+        return (
+          <Paper key={key} className={styles.exercise__case}>
+            <Typography variant="subtitle1" className={styles.exercise__subtitle}>
+              Caso {index + 1}
+            </Typography>
+            <Typography variant="body1" className={styles['exercise__case-text']}>
+              {practiceCase.scenario}
+            </Typography>
+            {practiceCase.question && (
+              <Typography variant="body1" className={cx('exercise__case-text', 'exercise__case-text--question')}>
+                {practiceCase.question}
+              </Typography>
+            )}
+
+            <FormControl component="fieldset" className={styles.exercise__options} disabled={isChecked}>
+              <RadioGroup
+                value={answer || ''}
+                onChange={(e) => setAnswers((prev) => ({ ...prev, [key]: e.target.value }))}
+              >
+                {(practiceCase.options || []).map((option) => (
+                  <FormControlLabel key={option} value={option} control={<Radio />} label={option} />
+                ))}
+              </RadioGroup>
+            </FormControl>
+
+            {isChecked ? (
+              <Alert severity={isCorrect ? 'success' : 'error'} className={styles['exercise__case-feedback']}>
+                {isCorrect ? practiceCase.feedback_correct : practiceCase.feedback_incorrect}
+                {!isCorrect && (
+                  <Box component="span" className={styles.exercise__expected}>
+                    Respuesta esperada: {practiceCase.correct_answer}
+                  </Box>
+                )}
+              </Alert>
+            ) : (
+              <Box className={cx('exercise__actions', 'exercise__actions--tight')}>
+                <Button variant="outlined" onClick={() => handleCheck(key)} disabled={!answer}>
+                  Comprobar
+                </Button>
+              </Box>
+            )}
+          </Paper>
+        );
+      })}
+
+      {!allChecked && (
+        <ExerciseHints hints={exercise.hints} shown={hintsShown} onReveal={() => setHintsShown(hintsShown + 1)} />
+      )}
+    </Box>
+  );
+};
+
+export default CasePracticeExercise;
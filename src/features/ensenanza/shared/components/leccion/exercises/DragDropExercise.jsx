@@ -0,0 +1,137 @@
+/*
+ * Funcionalidad: DragDropExercise — clasificación por categorías
+ * Descripción: Ejercicio de práctica de arrastrar cada ítem a su categoría (o
+ *              seleccionar ítem y categoría sin ratón). Estilos en
+ *              ui/Exercise.module.css.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import React, { useState } from 'react';
+import { Alert, Box, Button, Chip, Paper, Typography } from '@mui/material';
+import ExerciseHints from './ExerciseHints';
+import { gradeDragDrop, percentScore } from './exerciseGrading';
+import styles from './ui/Exercise.module.css';
+
+const cx = (...names) => names.filter(Boolean).map((n) => styles[n]).join(' ');
+
+/**
+ * DragDropExercise - Clasificar ítems en categorías. Se arrastran a la
+ * categoría o, sin ratón, se selecciona el ítem y luego la categoría. Al
+ * comprobar se marca cada ítem y se bloquea la clasificación.
+ */
+const DragDropExercise = ({ exercise, onComplete }) => {
+  const categories = exercise.content?.categories || [];
+  const items = exercise.content?.items || [];
+  const [placements, setPlacements] = useState({});
+  const [selectedItem, setSelectedItem] = useState(null);
+  const [hintsShown, setHintsShown] = useState(0);
+  const [grade, setGrade] = useState(null);
+
+  const checked = grade !== null;
+  const pool = items.filter((item) => !placements[item.id]);
+  const correctById = Object.fromEntries((grade?.details || []).map((d) => [d.id, d.correct]));
+
+  const place = (itemId, categoryId) => {
+    if (checked || !itemId) return;
+    setPlacements((prev) => ({ ...prev, [itemId]: categoryId }));
+    setSelectedItem(null);
+  };
+
+  const unplace = (itemId) => {
+    if (checked) return;
+    setPlacements((prev) => {
+      const next = { ...prev };
+      delete next[itemId];
+      return next;
+    });
+  };
+
+  const handleCheck = () => {
+    const result = gradeDragDrop(items, placements);
+    setGrade(result);
+    onComplete({
+      score: percentScore(result.details.map((d) => (d.correct ? 1 : 0))),
+      hintsUsed: hintsShown,
+      details: result.details,
+    });
+  };
+
+  const itemChip = (item) => {
+    const isCorrect = correctById[String(item.id)];
+    return (
+      <Chip
+        key={item.id}
+        label={item.text}
+        draggable={!checked}
+        onDragStart={(e) => e.dataTransfer.setData('text/plain', String(item.id))}
+        onClick={checked ? undefined : (e) => {
+          e.stopPropagation();
+          setSelectedItem(selectedItem === item.id ? null : item.id);
+        }}
+        {...(placements[item.id] && !checked ? { onDelete: () => unplace(item.id) } : {})}
+        color={checked ? (isCorrect ? 'success' : 'error') : selectedItem === item.id ? 'primary' : 'default'}
+        variant={checked || selectedItem === item.id ? 'filled' : 'outlined'}
+        className={cx('exercise__chip', checked && 'exercise__chip--locked')}
+      />
+    );
+  };
+
+  return (
+    <Box className={styles.exercise}>
+      <Paper
+        className={styles.exercise__pool}
+        onDragOver={(e) => e.preventDefault()}
+        onDrop={(e) => unplace(e.dataTransfer.getData('text/plain'))}
+      >
+        <Typography variant="caption" className={styles['exercise__pool-hint']}>
+          {pool.length > 0
+            ? 'Arrastra cada elemento a una categoría, o selecciónalo y luego pulsa la categoría.'
+            : 'Todos los elementos están clasificados.'}
+        </Typography>
+        <Box className={cx('exercise__chips', 'exercise__chips--pool')}>{pool.map(itemChip)}</Box>
+      </Paper>
+
+      <Box className={styles.exercise__categories}>
+        {categories.map((category) => (
+          <Paper
+            key={category.id}
+            onDragOver={(e) => e.preventDefault()}
+            onDrop={(e) => place(e.dataTransfer.getData('text/plain'), category.id)}
+            onClick={() => selectedItem && place(selectedItem, category.id)}
+            className={cx('exercise__category', selectedItem && 'exercise__category--target')}
+          >
+            <Typography variant="subtitle1" className={styles.exercise__subtitle}>
+              {category.label}
+            </Typography>
+            <Box className={styles.exercise__chips}>
+              {items.filter((item) => placements[item.id] === category.id).map(itemChip)}
+            </Box>
+          </Paper>
+        ))}
+      </Box>
+
+      {checked ? (
+        <Alert severity={grade.correct === grade.total ? 'success' : 'warning'} className={styles.exercise__feedback}>
+          {grade.correct} de {grade.total} elementos bien clasificados.
+        </Alert>
+      ) : (
+        <>
+          <ExerciseHints hints={exercise.hints} shown={hintsShown} onReveal={() => setHintsShown(hintsShown + 1)} />
+          <Box className={styles.exercise__actions}>
+            <Button variant="contained" onClick={handleCheck} disabled={pool.length > 0}>
+              Comprobar clasificación
+            </Button>
+          </Box>
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default DragDropExercise;
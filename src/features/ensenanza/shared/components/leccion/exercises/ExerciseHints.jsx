@@ -0,0 +1,50 @@
+/*
+ * Funcionalidad: ExerciseHints — pistas de los ejercicios de práctica
+ * Descripción: Muestra las pistas ya reveladas y el botón para pedir la
+ *              siguiente. Estilos en ui/Exercise.module.css.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import React from 'react';
+import { Box, Button, Paper, Typography } from '@mui/material';
+import LightbulbOutlinedIcon from '@mui/icons-material/LightbulbOutlined';
+import styles from './ui/Exercise.module.css';
+
+/**
+ * ExerciseHints - Pistas que se revelan de una en una. El padre lleva la
+ * cuenta (`shown`) porque cada pista vista cuenta en el intento.
+ */
+const ExerciseHints = ({ hints, shown, onReveal, disabled = false }) => {
+  if (!hints || hints.length === 0) return null;
+
+  return (
+    <Box className={styles['exercise-hints']}>
+      {hints.slice(0, shown).map((hint, index) => (
+        <Paper key={index} className={styles['exercise-hints__hint']}>
+          <Typography variant="body2" className={styles['exercise-hints__text']}>
+            <strong className={styles['exercise-hints__label']}>Pista {index + 1}:</strong> {hint}
+          </Typography>
+        </Paper>
+      ))}
+      {shown < hints.length && (
+        <Button
+          size="small"
+          startIcon={<LightbulbOutlinedIcon />}
+          onClick={onReveal}
+          disabled={disabled}
+          className={styles['exercise-hints__reveal']}
+        >
+          {shown === 0 ? 'Ver pista' : 'Otra pista'} ({shown}/{hints.length})
+        </Button>
+      )}
+    </Box>
+  );
+};
+
+export default ExerciseHints;
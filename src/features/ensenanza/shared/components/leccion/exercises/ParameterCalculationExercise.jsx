@@ -0,0 +1,176 @@
+/*
+ * Funcionalidad: ParameterCalculationExercise — cálculo guiado de parámetros
+ * Descripción: Ejercicio de práctica por pasos: cada respuesta numérica se
+ *              comprueba con tolerancia y unidades (exerciseGrading), con pistas
+ *              y solución que restan puntos. Estilos en ui/Exercise.module.css.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import React, { useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  InputAdornment,
+  Paper,
+  TextField,
+  Typography,
+} from '@mui/material';
+import CheckCircleIcon from '@mui/icons-material/CheckCircle';
+import VisibilityIcon from '@mui/icons-material/Visibility';
+import ExerciseHints from './ExerciseHints';
+import { checkNumericAnswer, percentScore, stepHints, stepScore } from './exerciseGrading';
+import styles from './ui/Exercise.module.css';
+
+const cx = (...names) => names.filter(Boolean).map((n) => styles[n]).join(' ');
+
+const EMPTY_RECORD = { tries: 0, hintsShown: 0, revealed: false, correct: false };
+
+/**
+ * ParameterCalculationExercise - Cálculo guiado paso a paso. Cada paso se
+ * comprueba con tolerancia y unidades; las pistas (fórmula primero) y la
+ * solución quedan disponibles pero restan puntos.
+ */
+const ParameterCalculationExercise = ({ exercise, onComplete }) => {
+  const steps = exercise.content?.steps || [];
+  const [stepIndex, setStepIndex] = useState(0);
+  const [records, setRecords] = useState(() => steps.map(() => EMPTY_RECORD));
+  const [input, setInput] = useState('');
+  const [feedback, setFeedback] = useState(null);
+
+  const step = steps[stepIndex];
+  const record = records[stepIndex] || EMPTY_RECORD;
+  const resolved = record.correct || record.revealed;
+  const hints = step ? stepHints(exercise, step) : [];
+
+  const updateRecord = (patch) => {
+    setRecords((prev) => prev.map((r, i) => (i === stepIndex ? { ...r, ...patch } : r)));
+  };
+
+  const handleCheck = () => {
+    const result = checkNumericAnswer(step, input);
+    setFeedback(result);
+    if (result.status === 'correct') updateRecord({ tries: record.tries + 1, correct: true });
+    else if (result.status === 'incorrect' || result.status === 'unit') updateRecord({ tries: record.tries + 1 });
+  };
+
+  const handleReveal = () => {
+    updateRecord({ revealed: true });
+    setFeedback(null);
+  };
+
+  const handleNext = () => {
+    if (stepIndex < steps.length - 1) {
+      setStepIndex(stepIndex + 1);
+      setInput('');
+      setFeedback(null);
+      return;
+    }
+    onComplete({
+      score: percentScore(records.map(stepScore)),
+      hintsUsed: records.reduce((sum, r) => sum + r.hintsShown, 0),
+      details: records.map((r, i) => ({ id: String(steps[i].step ?? i + 1), correct: r.correct, tries: r.tries })),
+    });
+  };
+
+  if (!step) return null;
+
+  return (
+    <Box className={styles.exercise}>
+      {exercise.content?.scenario && (
+        <Paper className={styles.exercise__scenario}>
+          <Typography variant="body1" className={styles.exercise__text}>
+            <strong className={styles.exercise__label}>Escenario:</strong> {exercise.content.scenario}
+          </Typography>
+        </Paper>
+      )}
+
+      {steps.slice(0, stepIndex).map((done, i) => (
+        <Box key={i} className={styles.exercise__done}>
+          <CheckCircleIcon
+            fontSize="small"
+            className={cx('exercise__done-icon', records[i].correct && 'exercise__done-icon--correct')}
+          />
+          <Typography variant="body2" className={styles['exercise__done-text']}>
+            {i + 1}. {done.question}
+          </Typography>
+          <Chip size="small" label={`${done.answer} ${done.unit || ''}`.trim()} variant="outlined" />
+        </Box>
+      ))}
+
+      <Typography variant="h6" className={styles['exercise__step-title']}>
+        Paso {stepIndex + 1} de {steps.length}: {step.question}
+      </Typography>
+
+      {!resolved && (
+        <Box className={styles.exercise__answer}>
+          <TextField
+            size="small"
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            onKeyDown={(e) => { if (e.key === 'Enter') handleCheck(); }}
+            placeholder="Tu respuesta"
+            slotProps={step.unit ? { input: { endAdornment: <InputAdornment position="end">{step.unit}</InputAdornment> } } : {}}
+            className={styles.exercise__input}
+          />
+          <Button variant="contained" onClick={handleCheck}>
+            Comprobar
+          </Button>
+          {record.tries > 0 && (
+            <Button startIcon={<VisibilityIcon />} onClick={handleReveal} color="inherit">
+              Ver solución
+            </Button>
+          )}
+        </Box>
+      )}
+
+      {feedback && !record.revealed && (
+        <Alert severity={feedback.status === 'correct' ? 'success' : feedback.status === 'incorrect' ? 'error' : 'warning'} className={styles.exercise__feedback}>
+          {feedback.message}
+        </Alert>
+      )}
+
+      {!resolved && (
+        <ExerciseHints
+          hints={hints}
+          shown={record.hintsShown}
+          onReveal={() => updateRecord({ hintsShown: record.hintsShown + 1 })}
+        />
+      )}
+
+      {resolved && (
+        <Box className={styles.exercise__solution}>
+          {record.revealed && (
+            <Alert severity="info" className={styles['exercise__solution-answer']}>
+              Respuesta: {step.answer} {step.unit}
+            </Alert>
+          )}
+          <Paper className={styles.exercise__explanation}>
+            {step.formula && (
+              <Typography variant="body2" className={styles.exercise__formula}>
+                {step.formula}
+              </Typography>
+            )}
+            <Typography variant="body2" className={styles.exercise__text}>
+              <strong className={styles.exercise__label}>Explicación:</strong> {step.explanation}
+            </Typography>
+          </Paper>
+          <Box className={styles.exercise__actions}>
+            <Button variant="contained" onClick={handleNext}>
+              {stepIndex < steps.length - 1 ? 'Siguiente paso' : 'Terminar ejercicio'}
+            </Button>
+          </Box>
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default ParameterCalculationExercise;
@@ -0,0 +1,204 @@
+/*
+ * Funcionalidad: exerciseGrading — calificación de los ejercicios de práctica
+ * Descripción: Califica el bloque `exercises` del JSON de la lección. Funciones
+ *              puras: respuestas numéricas con tolerancia y conversión de
+ *              unidades, clasificación por categorías y casos de elección
+ *              única. Los componentes de `exercises/` solo guardan el estado
+ *              de la interacción y delegan aquí el juicio.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+export const SUPPORTED_EXERCISE_TYPES = ['parameter_calculation', 'drag_drop', 'case_practice'];
+
+export const EXERCISE_TYPE_LABELS = {
+  parameter_calculation: 'Cálculo de parámetros',
+  drag_drop: 'Clasificación',
+  case_practice: 'Casos de práctica',
+};
+
+/**
+ * Tolerancia relativa cuando el paso no trae `tolerance` (absoluta, en su
+ * unidad) ni `tolerance_percent`. Un 2 % deja pasar el redondeo de los pasos
+ * intermedios (500 / 18 → 27,8) sin aceptar un cálculo equivocado.
+ */
+export const DEFAULT_RELATIVE_TOLERANCE = 0.02;
+
+/** Puntos que resta cada intento fallido o pista revelada en un paso de cálculo. */
+export const STEP_PENALTY = 0.25;
+
+/**
+ * Unidades reconocidas por dimensión (V volumen, P presión, T tiempo) y su
+ * factor a la unidad base (mL, cmH₂O, s). Permite aceptar "0,5 L" cuando se
+ * espera mL o "15 mbar" cuando se espera cmH₂O.
+ */
+const UNIT_TOKENS = {
+  ml: { dim: 'V', factor: 1 },
+  cc: { dim: 'V', factor: 1 },
+  l: { dim: 'V', factor: 1000 },
+  cmh2o: { dim: 'P', factor: 1 },
+  mbar: { dim: 'P', factor: 1 },
+  hpa: { dim: 'P', factor: 1 },
+  mmhg: { dim: 'P', factor: 1.36 },
+  s: { dim: 'T', factor: 1 },
+  seg: { dim: 'T', factor: 1 },
+  min: { dim: 'T', factor: 60 },
+};
+
+const SUBSCRIPT_DIGITS = { '₀': '0', '₁': '1', '₂': '2', '₃': '3' };
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+export const isSupportedExercise = (exercise) =>
+  !!exercise && SUPPORTED_EXERCISE_TYPES.includes(exercise.type) && !!exercise.content;
+
+const normalizeUnitText = (unit) =>
+  String(unit || '')
+    .toLowerCase()
+    .replace(/[₀-₃]/g, (d) => SUBSCRIPT_DIGITS[d])
+    .replace(/\s+/g, '');
+
+/**
+ * Descompone una unidad compuesta ("mL/cmH₂O", "cmH₂O/L/s") en dimensiones y
+ * factor. `dims` es null si alguna parte no es reconocida; en ese caso solo se
+ * compara el texto.
+ */
+export function parseUnit(unit) {
+  const key = normalizeUnitText(unit);
+  if (!key) return { key, dims: {}, factor: 1 };
+
+  const dims = {};
+  let factor = 1;
+  for (const [index, token] of key.split('/').entries()) {
+    const known = UNIT_TOKENS[token];
+    if (!known) return { key, dims: null, factor: 1 };
+    const sign = index === 0 ? 1 : -1;
+    dims[known.dim] = (dims[known.dim] || 0) + sign;
+    factor = sign > 0 ? factor * known.factor : factor / known.factor;
+  }
+  return { key, dims, factor };
+}
+
+const sameDimensions = (a, b) => {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].every((k) => (a[k] || 0) === (b[k] || 0));
+};
+
+/** "27,8 mL/cmH2O" → { value: 27.8, unit: 'mL/cmH2O' }; null si no empieza por un número. */
+export function parseNumericInput(raw) {
+  const match = String(raw || '').trim().match(/^([-+]?\d+(?:[.,]\d+)?)\s*(.*)$/);
+  if (!match) return null;
+  return { value: Number(match[1].replace(',', '.')), unit: match[2].trim() };
+}
+
+/** Tolerancia absoluta de un paso en su propia unidad. */
+export function stepTolerance(step, expected) {
+  if (typeof step.tolerance === 'number') return Math.abs(step.tolerance);
+  if (typeof step.tolerance_percent === 'number') return Math.abs(expected) * step.tolerance_percent / 100;
+  return Math.abs(expected) * DEFAULT_RELATIVE_TOLERANCE;
+}
+
+// =============================================================================
+// Parameter calculation
+// =============================================================================
+
+/**
+ * Compara la respuesta escrita con `step.answer` en la unidad `step.unit`.
+ * Sin unidad se asume la esperada; con otra unidad de la misma dimensión se
+ * convierte antes de comparar.
+ *
+ * @returns {{ status: 'empty'|'invalid'|'unit'|'correct'|'incorrect', message: string }}
+ */
+export function checkNumericAnswer(step, raw) {
+  if (!String(raw || '').trim()) return { status: 'empty', message: 'Escribe un valor.' };
+
+  const parsed = parseNumericInput(raw);
+  if (!parsed) return { status: 'invalid', message: 'La respuesta debe empezar por un número, p. ej. "25" o "25 mL".' };
+
+  const expected = Number(String(step.answer).replace(',', '.'));
+  let { value } = parsed;
+
+  if (parsed.unit && step.unit) {
+    const given = parseUnit(parsed.unit);
+    const target = parseUnit(step.unit);
+    if (given.key !== target.key) {
+      if (!given.dims || !target.dims || !sameDimensions(given.dims, target.dims)) {
+        return { status: 'unit', message: `La unidad no corresponde: se espera ${step.unit}.` };
+      }
+      value = value * given.factor / target.factor;
+    }
+  }
+
+  if (!Number.isFinite(expected)) {
+    // Respuesta no numérica en el JSON: comparación literal.
+    const correct = String(raw).trim().toLowerCase() === String(step.answer).trim().toLowerCase();
+    return correct
+      ? { status: 'correct', message: '¡Correcto!' }
+      : { status: 'incorrect', message: 'No es correcto, revisa el cálculo.' };
+  }
+
+  if (Math.abs(value - expected) <= stepTolerance(step, expected) + 1e-9) {
+    return { status: 'correct', message: '¡Correcto!' };
+  }
+  return {
+    status: 'incorrect',
+    message: value > expected ? 'El valor es demasiado alto, revisa el cálculo.' : 'El valor es demasiado bajo, revisa el cálculo.',
+  };
+}
+
+/**
+ * Pistas de un paso, en el orden en que se revelan: primero su fórmula y
+ * luego las pistas generales del ejercicio.
+ */
+export const stepHints = (exercise, step) => [
+  ...(step.formula ? [`Fórmula: ${step.formula}`] : []),
+  ...(exercise.hints || []),
+];
+
+/**
+ * Puntaje de un paso (0..1). Resolverlo al primer intento sin pistas vale 1;
+ * cada intento fallido o pista resta STEP_PENALTY hasta un mínimo de
+ * STEP_PENALTY si el estudiante llega por su cuenta. Ver la solución vale 0.
+ */
+export function stepScore({ tries, hintsShown, revealed, correct }) {
+  if (revealed || !correct) return 0;
+  return Math.max(STEP_PENALTY, 1 - STEP_PENALTY * (tries - 1 + hintsShown));
+}
+
+// =============================================================================
+// Drag & drop / case practice
+// =============================================================================
+
+/** Clasificación: cada ítem vale lo mismo. `placements` es { itemId: categoryId }. */
+export function gradeDragDrop(items, placements) {
+  const details = items.map((item) => ({
+    id: String(item.id),
+    correct: placements[item.id] === item.correct_category,
+    tries: 1,
+  }));
+  return { details, correct: details.filter((d) => d.correct).length, total: details.length };
+}
+
+/** Casos de práctica: cuenta la primera respuesta de cada caso. `answers` es { caseId: opción }. */
+export function gradeCasePractice(cases, answers) {
+  const details = cases.map((c, index) => {
+    const id = String(c.id ?? `case-${index}`);
+    return { id, correct: answers[id] === c.correct_answer, tries: 1 };
+  });
+  return { details, correct: details.filter((d) => d.correct).length, total: details.length };
+}
+
+/** Promedio 0..100 de una lista de puntajes 0..1. */
+export const percentScore = (scores) =>
+  scores.length === 0 ? 0 : Math.round((scores.reduce((sum, s) => sum + s, 0) / scores.length) * 100);
@@ -0,0 +1,30 @@
+/*
+ * Funcionalidad: Exercises Module — ejercicios de práctica de la lección
+ * Descripción: Runtime de los ejercicios del bloque `exercises` de las
+ *              lecciones: cálculo de parámetros, clasificación y casos de
+ *              práctica, con su calificación y el registro de intentos.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+export { default as ParameterCalculationExercise } from './ParameterCalculationExercise';
+export { default as DragDropExercise } from './DragDropExercise';
+export { default as CasePracticeExercise } from './CasePracticeExercise';
+export { default as ExerciseHints } from './ExerciseHints';
+export { default as useExerciseAttempt } from './useExerciseAttempt';
+export {
+  SUPPORTED_EXERCISE_TYPES,
+  EXERCISE_TYPE_LABELS,
+  isSupportedExercise,
+  checkNumericAnswer,
+  stepHints,
+  stepScore,
+  gradeDragDrop,
+  gradeCasePractice,
+  percentScore,
+} from './exerciseGrading';
@@ -0,0 +1,54 @@
+/*
+ * Funcionalidad: useExerciseAttempt — registro de intentos de ejercicio
+ * Descripción: Hook que envía a LessonCompletion cada intento calificado de un
+ *              ejercicio de práctica y expone el estado del guardado.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import { useCallback, useState } from 'react';
+import { recordExerciseAttempt } from '@/features/ensenanza/shared/progreso';
+
+/**
+ * useExerciseAttempt - Registra en LessonCompletion cada intento calificado de
+ * un ejercicio de la lección. Un fallo al guardar no bloquea la práctica: se
+ * informa y el estudiante puede seguir.
+ *
+ * @param {string} lessonId
+ * @param {string} moduleId
+ * @returns {{ status: 'idle'|'saving'|'saved'|'error', summary: Object|null, record: Function }}
+ */
+const useExerciseAttempt = (lessonId, moduleId) => {
+  const [status, setStatus] = useState('idle');
+  const [summary, setSummary] = useState(null);
+
+  const record = useCallback(async (exercise, result) => {
+    if (!lessonId || !moduleId) return;
+    setStatus('saving');
+    try {
+      const saved = await recordExerciseAttempt({
+        lessonId,
+        moduleId,
+        exerciseId: exercise.id,
+        exerciseType: exercise.type,
+        score: result.score,
+        hintsUsed: result.hintsUsed,
+        details: result.details,
+      });
+      setSummary(saved);
+      setStatus('saved');
+    } catch (err) {
+      console.warn('[useExerciseAttempt] No se pudo registrar el intento:', err);
+      setStatus('error');
+    }
+  }, [lessonId, moduleId]);
+
+  return { status, summary, record };
+};
+
+export default useExerciseAttempt;
@@ -0,0 +1,140 @@
+/*
+ * Funcionalidad: ExerciseSection — página de ejercicio de la lección
+ * Descripción: Enunciado del ejercicio de práctica, el componente de su tipo y
+ *              el resultado del intento registrado en LessonCompletion. Estilos
+ *              en exercises/ui/ExerciseSection.module.css.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import React, { useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  Paper,
+  Typography,
+} from '@mui/material';
+import {
+  FitnessCenter as PracticeIcon,
+  Replay as ReplayIcon,
+  CheckCircleOutline as CheckIcon,
+} from '@mui/icons-material';
+import {
+  ParameterCalculationExercise,
+  DragDropExercise,
+  CasePracticeExercise,
+  EXERCISE_TYPE_LABELS,
+  useExerciseAttempt,
+} from '../exercises';
+import styles from '../exercises/ui/ExerciseSection.module.css';
+
+const EXERCISE_COMPONENTS = {
+  parameter_calculation: ParameterCalculationExercise,
+  drag_drop: DragDropExercise,
+  case_practice: CasePracticeExercise,
+};
+
+const cx = (...names) => names.filter(Boolean).map((n) => styles[n]).join(' ');
+
+const scoreSeverity = (score) => (score >= 80 ? 'success' : score >= 50 ? 'warning' : 'error');
+
+/**
+ * ExerciseSection - Página de un ejercicio de práctica de la lección. Muestra
+ * el enunciado, delega la interacción al componente de su tipo y, al terminar,
+ * el puntaje, la retroalimentación y los puntos de aprendizaje. Cada intento
+ * se registra en LessonCompletion; "Intentar de nuevo" monta el ejercicio
+ * desde cero.
+ */
+const ExerciseSection = ({ exercise, lessonId, moduleId }) => {
+  const [attempt, setAttempt] = useState(0);
+  const [result, setResult] = useState(null);
+  const { status, summary, record } = useExerciseAttempt(lessonId, moduleId);
+
+  const ExerciseComponent = exercise ? EXERCISE_COMPONENTS[exercise.type] : null;
+  if (!ExerciseComponent) return null;
+
+  const handleComplete = (attemptResult) => {
+    setResult(attemptResult);
+    record(exercise, attemptResult);
+  };
+
+  const handleRetry = () => {
+    setResult(null);
+    setAttempt(attempt + 1);
+  };
+
+  return (
+    <Box className={styles['exercise-section']}>
+      <Box className={styles['exercise-section__header']}>
+        <PracticeIcon className={styles['exercise-section__icon']} />
+        <Typography variant="h5" component="h2" className={styles['exercise-section__title']}>
+          {exercise.title}
+        </Typography>
+        <Chip size="small" label={EXERCISE_TYPE_LABELS[exercise.type]} variant="outlined" className={styles['exercise-section__chip']} />
+        {exercise.estimated_time && (
+          <Chip size="small" label={`~${exercise.estimated_time} min`} variant="outlined" className={styles['exercise-section__chip']} />
+        )}
+        {exercise.is_evaluation && <Chip size="small" label="Evaluativo" color="warning" />}
+      </Box>
+      {exercise.instructions && (
+        <Typography variant="body1" className={styles['exercise-section__instructions']}>
+          {exercise.instructions}
+        </Typography>
+      )}
+
+      <Paper elevation={2} className={styles['exercise-section__panel']}>
+        <ExerciseComponent key={attempt} exercise={exercise} onComplete={handleComplete} />
+      </Paper>
+
+      {result && (
+        <Paper elevation={2} className={cx('exercise-section__panel', 'exercise-section__panel--result')}>
+          <Alert severity={scoreSeverity(result.score)} className={styles['exercise-section__score']}>
+            Puntaje del intento: <strong>{result.score}/100</strong>
+            {result.hintsUsed > 0 && ` · ${result.hintsUsed} pista${result.hintsUsed === 1 ? '' : 's'} usada${result.hintsUsed === 1 ? '' : 's'}`}
+          </Alert>
+          {exercise.feedback_on_complete && (
+            <Typography variant="body1" className={styles['exercise-section__feedback']}>
+              {exercise.feedback_on_complete}
+            </Typography>
+          )}
+          {exercise.learning_points?.length > 0 && (
+            <List dense>
+              {exercise.learning_points.map((point, index) => (
+                <ListItem key={index} className={styles['exercise-section__point']}>
+                  <ListItemIcon className={styles['exercise-section__point-icon']}>
+                    <CheckIcon fontSize="small" />
+                  </ListItemIcon>
+                  <ListItemText primary={point} />
+                </ListItem>
+              ))}
+            </List>
+          )}
+
+          <Box className={styles['exercise-section__footer']}>
+            <Typography variant="caption" className={styles['exercise-section__status']}>
+              {status === 'saving' && 'Registrando intento…'}
+              {status === 'saved' && summary && `Intento registrado · ${summary.exerciseAttempts} intentos en la lección · mejor puntaje ${Math.round(summary.bestExerciseScore ?? result.score)}`}
+              {status === 'error' && 'No se pudo registrar el intento. Puedes seguir practicando.'}
+            </Typography>
+            <Button variant="outlined" startIcon={<ReplayIcon />} onClick={handleRetry}>
+              Intentar de nuevo
+            </Button>
+          </Box>
+        </Paper>
+      )}
+    </Box>
+  );
+};
+
+export default ExerciseSection;
@@ -5,12 +5,26 @@ import {
   Box,
 } from '@mui/material';
 import { useTheme, alpha } from '@mui/material/styles';
+import DOMPurify from 'dompurify';
 import MarkdownRenderer from '@/features/ensenanza/shared/components/leccion/content/MarkdownRenderer';
+import LessonBlock, { LESSON_BLOCK_TYPES } from '@/features/ensenanza/shared/components/leccion/content/LessonBlock';
 import { retryImport } from '@/shared/components/ChunkErrorBoundary';
 
 // Lazy load AITopicExpander (con reintentos ante fallos de red/chunk)
 const AITopicExpander = lazy(() => retryImport(() => import('@/features/ensenanza/shared/components/ai/AITopicExpander')));
 
+/**
+ * Texto en Markdown de un elemento del arreglo `content` (los bloques de
+ * dominio se renderizan aparte con LessonBlock; del HTML guardado por el
+ * editor solo se toma el texto).
+ */
+const blockMarkdown = (block) => {
+  if (typeof block === 'string') return block;
+  if (block?.type === 'html') return block.html.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+  if (block?.type === 'list') return (block.items || []).map((item) => `- ${item}`).join('\n');
+  return block?.text || block?.content || '';
+};
+
 /**
  * TheorySection - Componente para renderizar una sección de teoría
  */
@@ -32,10 +46,14 @@ const TheorySection = ({
   const aiExpanderEnabled = section.metadata?.aiExpanderEnabled !== false;
   const aiExpanderMode = section.metadata?.aiExpanderMode || 'button'; // 'button' | 'accordion'
 
-  // Build raw markdown content for this section.
-  const rawMarkdown = typeof section?.content === 'string'
-    ? section.content
-    : section?.content?.markdown || section?.content?.text || '';
+  // Build raw markdown content for this section. An array of blocks is
+  // flattened to its text parts; domain blocks are rendered separately below.
+  const contentBlocks = Array.isArray(section.content) ? section.content : null;
+  const rawMarkdown = contentBlocks
+    ? contentBlocks.filter((b) => !LESSON_BLOCK_TYPES.includes(b?.type)).map(blockMarkdown).join('\n\n')
+    : typeof section?.content === 'string'
+      ? section.content
+      : section?.content?.markdown || section?.content?.text || '';
 
   // If the markdown starts with a heading that matches the section title, strip it
   // to avoid rendering the title twice (Typography above + heading in markdown).
@@ -91,7 +109,29 @@ const TheorySection = ({
           }}
         >
           <Box sx={{ lineHeight: 1.8, color: '#ffffff' }}>
-            <MarkdownRenderer content={sectionTextContent} />
+            {contentBlocks ? (
+              contentBlocks.map((block, i) => (
+                LESSON_BLOCK_TYPES.includes(block?.type)
+                  ? <Box key={i} sx={{ my: 2 }}><LessonBlock block={block} /></Box>
+                  : block?.type === 'html'
+                    ? (
+                      <Box
+                        key={i}
+                        sx={{
+                          '& a': { color: '#0BBAF4' },
+                          '& blockquote': { borderLeft: '4px solid #0BBAF4', pl: 2, ml: 0, color: 'rgba(255,255,255,0.8)' },
+                          '& pre, & code': { fontFamily: 'monospace', backgroundColor: 'rgba(255,255,255,0.08)', borderRadius: 1 },
+                          '& pre': { p: 2, overflowX: 'auto' },
+                          '& mark': { backgroundColor: 'rgba(255,235,59,0.35)', color: 'inherit' },
+                        }}
+                        dangerouslySetInnerHTML={{ __html: DOMPurify.sanitize(block.html) }}
+                      />
+                    )
+                    : <MarkdownRenderer key={i} content={blockMarkdown(block)} />
+              ))
+            ) : (
+              <MarkdownRenderer content={sectionTextContent} />
+            )}
           </Box>
           
           {/* AI Topic Expander - Modo botón (no intrusivo) */}
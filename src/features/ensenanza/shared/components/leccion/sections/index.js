@@ -8,6 +8,7 @@ export { default as KeyPointsSection } from './KeyPointsSection';
 export { default as AssessmentSection } from './AssessmentSection';
 export { default as ReferencesSection } from './ReferencesSection';
 export { default as PracticalCaseSection } from './PracticalCaseSection';
+export { default as ExerciseSection } from './ExerciseSection';
 export { default as CompletionPage } from './CompletionPage';
 export { default as LessonHeader } from './LessonHeader';
 
@@ -20,6 +20,7 @@
 
 import { get as apiGet } from '@/shared/services/api/http';
 import { BACKEND_API_URL, logEnvDiagnostics } from '@/config/env';
+import { isSupportedExercise } from '@/features/ensenanza/shared/components/leccion/exercises/exerciseGrading';
 // =============================================================================
 // Constants
 // =============================================================================
@@ -110,7 +111,8 @@ export function clearCache() {
  *
  * Page sections (INTRODUCTION, THEORY, CASE_STUDY, etc.) are mapped to the
  * content structure: { introduction, theory, visualElements, practicalCases,
- * keyPoints, assessment, references }.
+ * keyPoints, assessment, references }. EXERCISE sections whose content is a
+ * lesson-JSON exercise are lifted to `exercises` for the exercise runtime.
  *
  * @param {Object} page - Page object with sections from GET /api/pages/:id
  * @returns {Object} Normalized lesson data
@@ -174,6 +176,11 @@ function transformPageToLessonData(page) {
       }
     });
 
+  // --- Practice exercises (EXERCISE sections holding a lesson-JSON exercise) ---
+  const exercises = sections
+    .filter(s => s.type === 'EXERCISE' && isSupportedExercise(s.content))
+    .map(s => ({ ...s.content, id: s.content.id || s.sectionId || s.id }));
+
   // --- References ---
   const references = [];
   sections
@@ -216,6 +223,7 @@ function transformPageToLessonData(page) {
       title: s.title || '',
       content: s.content || {},
     })),
+    exercises,
     content: {
       introduction: {
         text: introText,
@@ -576,6 +584,8 @@ function normalizeSectionsFormat(rawData) {
     // assessment and references pages from the unified-format branches.
     quiz: rawData.quiz || null,
     resources: rawData.resources || null,
+    // Practice exercises are rendered as their own pages by the exercise runtime.
+    exercises: rawData.exercises || [],
     content: {
       introduction: {
         text: introductionText,
@@ -1,4 +1,5 @@
 import { useMemo } from 'react';
+import { isSupportedExercise } from '@/features/ensenanza/shared/components/leccion/exercises/exerciseGrading';
 
 /**
  * Hook para calcular las páginas de una lección
@@ -22,6 +23,8 @@ const useLessonPages = (data, moduleId = null, moduleCompletion = 0) => {
         // Skip 'case' and 'clinical-case' type sections — the interactive clinical
         // case UI is not implemented, so these would render as blank pages.
         if (section.type === 'case' || section.type === 'clinical-case') return;
+        // Exercise sections coming from the DB are rendered as 'exercise' pages below.
+        if (section.type === 'exercise' && isSupportedExercise(section.content)) return;
 
         // We map the first section (often introduction) to header-intro to get the big header
         if (idx === 0 || section.type === 'introduction') {
@@ -41,6 +44,11 @@ const useLessonPages = (data, moduleId = null, moduleCompletion = 0) => {
           });
         }
       });
+
+      // Practice exercises (lesson JSON `exercises`), one page each, before the quiz
+      (data.exercises || []).filter(isSupportedExercise).forEach((exercise, idx) => {
+        pages.push({ type: 'exercise', index: pageIndex++, exerciseIndex: idx, exercise });
+      });
       
       if (data.quiz && data.quiz.questions && data.quiz.questions.length > 0) {
         pages.push({ type: 'assessment', index: pageIndex++ });
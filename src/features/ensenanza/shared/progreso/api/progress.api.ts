@@ -10,6 +10,9 @@
  *                                                          Prisma upsert chain
  *                                                          (LessonCompletion +
  *                                                           UserProgress).
+ *   POST /api/progress/lesson/:lessonId/exercise-attempts → upserts the
+ *                                                          exercise counters
+ *                                                          of LessonCompletion.
  *
  * This module has ZERO knowledge of localStorage / sessionStorage. The DB is
  * the only source of truth — when the response arrives, the caller (the
@@ -23,6 +26,8 @@ import { BACKEND_API_URL } from '@/config/env';
 import { getAuthToken } from '@/shared/services/authService';
 import type {
   CompleteLessonInput,
+  ExerciseAttemptInput,
+  ExerciseAttemptResultDTO,
   ProgressOverviewDTO,
   ProgressOverviewModuleDTO,
 } from '../types/progress.types';
@@ -125,5 +130,49 @@ export async function markLessonComplete(
   }
 }
 
+/**
+ * Records one graded attempt of a lesson exercise. The server bumps
+ * `exerciseAttempts`, keeps the best/last score and stores the per-exercise
+ * breakdown in `exerciseResults`, which is what teachers see in the student
+ * detail panel. Throws on non-2xx; the runtime shows it without blocking.
+ */
+export async function recordExerciseAttempt(
+  input: ExerciseAttemptInput,
+): Promise<ExerciseAttemptResultDTO> {
+  const { lessonId, moduleId, exerciseId, exerciseType, score, hintsUsed, details } = input;
+
+  if (!lessonId || !moduleId || !exerciseId || !Number.isFinite(score)) {
+    throw new Error('recordExerciseAttempt: invalid payload');
+  }
+
+  const res = await fetch(
+    `${BACKEND_API_URL}/progress/lesson/${encodeURIComponent(lessonId)}/exercise-attempts`,
+    {
+      method: 'POST',
+      headers: authHeaders({ 'Content-Type': 'application/json' }),
+      credentials: 'include',
+      body: JSON.stringify({
+        moduleId,
+        exerciseId,
+        exerciseType,
+        score: Math.max(0, Math.min(100, Math.round(score))),
+        hintsUsed,
+        details,
+      }),
+    },
+  );
+
+  if (!res.ok) {
+    throw new Error(`recordExerciseAttempt failed (${res.status})`);
+  }
+
+  const json = (await res.json()) as Partial<ExerciseAttemptResultDTO>;
+  return {
+    exerciseAttempts: json.exerciseAttempts ?? 0,
+    bestExerciseScore: json.bestExerciseScore ?? null,
+    lastExerciseScore: json.lastExerciseScore ?? null,
+  };
+}
+
 /** SWR cache key for the dashboard overview. Stable — share across hooks. */
 export const PROGRESS_OVERVIEW_KEY = '/api/progress/overview';
@@ -16,10 +16,14 @@ export type { UseProgressReturn } from './hooks/useProgress';
 export {
   fetchProgressOverview,
   markLessonComplete,
+  recordExerciseAttempt,
   PROGRESS_OVERVIEW_KEY,
 } from './api/progress.api';
 export type {
   CompleteLessonInput,
+  ExerciseAttemptInput,
+  ExerciseAttemptResultDTO,
+  LessonExerciseType,
   ProgressOverviewDTO,
   ProgressOverviewModuleDTO,
 } from './types/progress.types';
@@ -36,3 +36,26 @@ export interface CompleteLessonInput {
   quizScore?: number;
   caseScore?: number;
 }
+
+/** Exercise types from the lesson JSON `exercises` block that the runtime grades. */
+export type LessonExerciseType = 'parameter_calculation' | 'drag_drop' | 'case_practice';
+
+/** Payload accepted by `recordExerciseAttempt()` on the API client. */
+export interface ExerciseAttemptInput {
+  lessonId: string;
+  moduleId: string;
+  exerciseId: string;
+  exerciseType: LessonExerciseType;
+  /** 0..100, already penalised for hints and wrong tries. */
+  score: number;
+  hintsUsed: number;
+  /** Per-step / per-item / per-case outcome, kept as-is for the teacher view. */
+  details: Array<{ id: string; correct: boolean; tries: number }>;
+}
+
+/** Exercise counters of the `LessonCompletion` row after the upsert. */
+export interface ExerciseAttemptResultDTO {
+  exerciseAttempts: number;
+  bestExerciseScore: number | null;
+  lastExerciseScore: number | null;
+}
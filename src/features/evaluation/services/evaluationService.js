@@ -15,7 +15,14 @@
  *                 Todas las funciones devuelven una forma uniforme:
  *                   { success: boolean, data?: T, error?: string }
  *
- * Versión       : 2.0
+ *                 Los casos clínicos exponen además su guion de deterioro
+ *                 para el simulador de paciente (/cases/:id/scenario).
+ *
+ *                 Una corrida del simulador se envía para calificar contra
+ *                 la configuración experta del caso
+ *                 (/cases/:id/simulation-attempts).
+ *
+ * Versión       : 2.2
  * Autor         : Marcela Mazo Castro
  * Proyecto      : VentyLab
  * Tesis         : Desarrollo de una aplicación web para la enseñanza de
@@ -192,6 +199,73 @@ export async function getCaseAttempts(caseId) {
   }
 }
 
+/**
+ * Obtener el guion de deterioro de un caso clínico (null si no tiene).
+ * @param {string} caseId
+ * @returns {Promise<{ success: boolean, data: import('@/contracts/patient.contracts').ScenarioScript | null, error?: string }>}
+ */
+export async function getCaseScenario(caseId) {
+  try {
+    if (!caseId) throw new Error('ID del caso es requerido');
+
+    const { data } = await http.get(`/cases/${encodeURIComponent(caseId)}/scenario`);
+    return { success: true, data: data.data ?? null };
+  } catch (error) {
+    console.error('Error al obtener guion del caso:', error);
+    return {
+      success: false,
+      error: toErrorMessage(error, 'Error al obtener guion del caso'),
+      data: null,
+    };
+  }
+}
+
+/**
+ * Guardar (o quitar, con null) el guion de deterioro de un caso clínico.
+ * Sólo docentes y administradores; el backend vuelve a validar el guion.
+ * @param {string} caseId
+ * @param {import('@/contracts/patient.contracts').ScenarioScript | null} script
+ */
+export async function saveCaseScenario(caseId, script) {
+  try {
+    if (!caseId) throw new Error('ID del caso es requerido');
+
+    const { data } = await http.put(`/cases/${encodeURIComponent(caseId)}/scenario`, { script });
+    return { success: true, data: data.data ?? null };
+  } catch (error) {
+    console.error('Error al guardar guion del caso:', error);
+    return {
+      success: false,
+      error: toErrorMessage(error, 'Error al guardar guion del caso'),
+      data: null,
+    };
+  }
+}
+
+/**
+ * Enviar la corrida del simulador para calificarla contra la configuración
+ * experta del caso. El backend calcula el puntaje y guarda el EvaluationAttempt.
+ * @param {string} caseId
+ * @param {import('@/contracts/simulator.contracts').SubmitSimulationAttemptRequest} submission
+ * @returns {Promise<{ success: boolean, data: import('@/contracts/simulator.contracts').SubmitSimulationAttemptResponse | null, error?: string }>}
+ */
+export async function submitSimulationAttempt(caseId, submission) {
+  try {
+    if (!caseId) throw new Error('ID del caso es requerido');
+    if (!submission?.finalConfiguration) throw new Error('La configuración final es requerida');
+
+    const { data } = await http.post(`/cases/${encodeURIComponent(caseId)}/simulation-attempts`, submission);
+    return { success: true, data: data.data ?? null };
+  } catch (error) {
+    console.error('Error al enviar la configuración del simulador:', error);
+    return {
+      success: false,
+      error: toErrorMessage(error, 'Error al enviar la configuración del simulador'),
+      data: null,
+    };
+  }
+}
+
 // =============================================================================
 // QUIZZES — /api/evaluation/quizzes
 // =============================================================================
@@ -418,6 +492,9 @@ export default {
   getCaseById,
   evaluateCase,
   getCaseAttempts,
+  getCaseScenario,
+  saveCaseScenario,
+  submitSimulationAttempt,
   // Quizzes
   getQuizzes,
   getQuizById,
@@ -11,6 +11,16 @@ import type {
   SaveSimulatorSessionResponse,
   SimulatorSession,
   VentilatorCommand,
+  VentilatorDevice,
+  DeviceReservationSlot,
+  ScheduleReservationRequest,
+  ReservationQuota,
+  WaitlistEntry,
+  JoinWaitlistRequest,
+  ObservableSession,
+  SafetyLimit,
+  CommandPreflightRequest,
+  CommandPreflight,
 } from '@/contracts/simulator.contracts';
 import type { PatientModel } from '@/contracts/patient.contracts';
 
@@ -69,8 +79,8 @@ export const simulatorApi = {
 
   /**
    * POST /api/simulation/reserve
-   * Body: { durationMinutes, purpose? } — userId comes from JWT
-   * Returns 409 when already reserved (backend sets success:false).
+   * Body: { durationMinutes, purpose?, deviceId? } — userId comes from JWT
+   * Returns 409 when the device is already reserved (backend sets success:false).
    */
   reserve: async (request: ReserveVentilatorRequest): Promise<ReserveVentilatorResponse> => {
     return fetchApi<ReserveVentilatorResponse>('/simulation/reserve', {
@@ -80,11 +90,162 @@ export const simulatorApi = {
   },
 
   /**
-   * DELETE /api/simulation/reserve
+   * DELETE /api/simulation/reserve?deviceId=
    * Returns { success, message }.
    */
-  release: async (): Promise<{ success: boolean; message: string }> => {
-    return fetchApi('/simulation/reserve', { method: 'DELETE' });
+  release: async (deviceId?: string): Promise<{ success: boolean; message: string }> => {
+    const qs = deviceId ? `?deviceId=${encodeURIComponent(deviceId)}` : '';
+    return fetchApi(`/simulation/reserve${qs}`, { method: 'DELETE' });
+  },
+
+  // ---------------------------------------------------------------------------
+  // Device registry
+  // ---------------------------------------------------------------------------
+
+  /**
+   * GET /api/simulation/devices
+   * Registered ventilators that accept reservations (retired ones are omitted).
+   * Controller wraps result: { success, data: VentilatorDevice[] }
+   */
+  getDevices: async (): Promise<VentilatorDevice[]> => {
+    const envelope = await fetchApi<{ success: boolean; data: VentilatorDevice[] }>(
+      '/simulation/devices'
+    );
+    return envelope.data;
+  },
+
+  /**
+   * GET /api/simulation/devices/:deviceId/reservations?from&to
+   * Reservations of one device overlapping [from, to) (Unix ms), oldest first.
+   */
+  getDeviceReservations: async (
+    deviceId: string,
+    from: number,
+    to: number
+  ): Promise<DeviceReservationSlot[]> => {
+    const envelope = await fetchApi<{ success: boolean; data: DeviceReservationSlot[] }>(
+      `/simulation/devices/${encodeURIComponent(deviceId)}/reservations?from=${from}&to=${to}`
+    );
+    return envelope.data;
+  },
+
+  // ---------------------------------------------------------------------------
+  // Advance booking & waitlist
+  // ---------------------------------------------------------------------------
+
+  /**
+   * POST /api/simulation/reservations
+   * Books a future slot. Throws with the backend message on overlap (409) or
+   * when the role's weekly quota is exhausted (403).
+   */
+  scheduleReservation: async (
+    request: ScheduleReservationRequest
+  ): Promise<ReserveVentilatorResponse> => {
+    return fetchApi<ReserveVentilatorResponse>('/simulation/reservations', {
+      method: 'POST',
+      body: JSON.stringify(request),
+    });
+  },
+
+  /**
+   * DELETE /api/simulation/reservations/:reservationId
+   * Cancels one of the user's SCHEDULED slots (frees its quota).
+   */
+  cancelScheduledReservation: async (
+    reservationId: string
+  ): Promise<{ success: boolean; message: string }> => {
+    return fetchApi(`/simulation/reservations/${encodeURIComponent(reservationId)}`, {
+      method: 'DELETE',
+    });
+  },
+
+  /**
+   * GET /api/simulation/reservations/quota
+   * The caller's role quota and how much of it this week already uses.
+   */
+  getReservationQuota: async (): Promise<ReservationQuota> => {
+    const envelope = await fetchApi<{ success: boolean; data: ReservationQuota }>(
+      '/simulation/reservations/quota'
+    );
+    return envelope.data;
+  },
+
+  /**
+   * GET /api/simulation/waitlist
+   * The caller's WAITING and OFFERED entries across devices.
+   */
+  getWaitlist: async (): Promise<WaitlistEntry[]> => {
+    const envelope = await fetchApi<{ success: boolean; data: WaitlistEntry[] }>(
+      '/simulation/waitlist'
+    );
+    return envelope.data;
+  },
+
+  /**
+   * POST /api/simulation/devices/:deviceId/waitlist
+   * Queues the caller for a busy device. 409 when already queued for it.
+   */
+  joinWaitlist: async (deviceId: string, request: JoinWaitlistRequest): Promise<WaitlistEntry> => {
+    const envelope = await fetchApi<{ success: boolean; data: WaitlistEntry }>(
+      `/simulation/devices/${encodeURIComponent(deviceId)}/waitlist`,
+      { method: 'POST', body: JSON.stringify(request) }
+    );
+    return envelope.data;
+  },
+
+  /**
+   * DELETE /api/simulation/waitlist/:entryId
+   * Leaves the queue; on an OFFERED entry this declines the offer.
+   */
+  leaveWaitlist: async (entryId: string): Promise<{ success: boolean; message: string }> => {
+    return fetchApi(`/simulation/waitlist/${encodeURIComponent(entryId)}`, { method: 'DELETE' });
+  },
+
+  /**
+   * POST /api/simulation/waitlist/:entryId/accept
+   * Takes an OFFERED device: the backend creates the reservation and broadcasts
+   * `ventilator:reserved`. 410 when the offer already lapsed.
+   */
+  acceptWaitlistOffer: async (entryId: string): Promise<ReserveVentilatorResponse> => {
+    return fetchApi<ReserveVentilatorResponse>(
+      `/simulation/waitlist/${encodeURIComponent(entryId)}/accept`,
+      { method: 'POST' }
+    );
+  },
+
+  /**
+   * GET /api/simulation/observe/sessions
+   * Live reservations of the caller's students (teachers only; 403 otherwise).
+   */
+  getObservableSessions: async (): Promise<ObservableSession[]> => {
+    const envelope = await fetchApi<{ success: boolean; data: ObservableSession[] }>(
+      '/simulation/observe/sessions'
+    );
+    return envelope.data;
+  },
+
+  /**
+   * GET /api/simulation/safety-limits
+   * Interlock limits of the caller's role for commands to real hardware.
+   */
+  getSafetyLimits: async (): Promise<SafetyLimit[]> => {
+    const envelope = await fetchApi<{ success: boolean; data: SafetyLimit[] }>(
+      '/simulation/safety-limits'
+    );
+    return envelope.data;
+  },
+
+  /**
+   * POST /api/simulation/command/preflight
+   * Server-side interlock check; a passed preflight returns the confirmationId
+   * that POST /simulation/command requires for real hardware.
+   */
+  preflightCommand: async (request: CommandPreflightRequest): Promise<CommandPreflight> => {
+    const envelope = await fetchApi<{ success: boolean; data: CommandPreflight }>(
+      '/simulation/command/preflight',
+      { method: 'POST', body: JSON.stringify(request) }
+    );
+    return envelope.data;
   },
 
   /**
@@ -117,6 +278,18 @@ export const simulatorApi = {
     return { sessions: envelope.data, total: envelope.count };
   },
 
+  /**
+   * GET /api/simulation/sessions/:sessionId
+   * Controller wraps result: { success, data: SimulatorSession }
+   * Teachers and admins may read other users' sessions (session replay).
+   */
+  getSession: async (sessionId: string): Promise<SimulatorSession> => {
+    const envelope = await fetchApi<{ success: boolean; data: SimulatorSession }>(
+      `/simulation/sessions/${encodeURIComponent(sessionId)}`
+    );
+    return envelope.data;
+  },
+
   // ---------------------------------------------------------------------------
   // Patient simulation endpoints
   // ---------------------------------------------------------------------------
@@ -18,17 +18,42 @@ import {
 interface ReservationDialogProps {
   open: boolean;
   onClose: () => void;
-  onConfirm: (minutes: number, purpose?: string) => Promise<boolean>;
+  onConfirm: (minutes: number, purpose?: string, groupId?: string) => Promise<boolean>;
+  /** Name of the registered device being reserved (omitted with a single device) */
+  deviceName?: string;
+  /** 'waitlist' asks for the same data to queue for a busy device */
+  variant?: 'reserve' | 'waitlist';
+  /** Longest duration the user's role may book */
+  maxMinutes?: number;
+  /** Groups the user may book for; shows a session selector when not empty */
+  groups?: { id: string; name: string }[];
 }
 
-export function ReservationDialog({ open, onClose, onConfirm }: ReservationDialogProps) {
+const DURATIONS = [
+  { value: 15, label: '15 minutos' },
+  { value: 30, label: '30 minutos' },
+  { value: 45, label: '45 minutos' },
+  { value: 60, label: '1 hora' },
+];
+
+export function ReservationDialog({
+  open,
+  onClose,
+  onConfirm,
+  deviceName,
+  variant = 'reserve',
+  maxMinutes,
+  groups = [],
+}: ReservationDialogProps) {
+  const durations = DURATIONS.filter((d) => maxMinutes === undefined || d.value <= maxMinutes);
   const [duration, setDuration] = useState(30);
   const [purpose, setPurpose] = useState('');
+  const [groupId, setGroupId] = useState('');
   const [isRequesting, setIsRequesting] = useState(false);
 
   const handleConfirm = async () => {
     setIsRequesting(true);
-    const success = await onConfirm(duration, purpose || undefined);
+    const success = await onConfirm(duration, purpose || undefined, groupId || undefined);
     setIsRequesting(false);
     if (success) {
       setPurpose('');
@@ -38,7 +63,13 @@ export function ReservationDialog({ open, onClose, onConfirm }: ReservationDialo
 
   return (
     <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
-      <DialogTitle>Solicitar Reserva del Ventilador</DialogTitle>
+      <DialogTitle>
+        {variant === 'waitlist'
+          ? `Lista de espera${deviceName ? ` · ${deviceName}` : ''}`
+          : deviceName
+            ? `Solicitar Reserva · ${deviceName}`
+            : 'Solicitar Reserva del Ventilador'}
+      </DialogTitle>
 
       <DialogContent>
         <Box sx={{ pt: 2, display: 'flex', flexDirection: 'column', gap: 3 }}>
@@ -49,13 +80,28 @@ export function ReservationDialog({ open, onClose, onConfirm }: ReservationDialo
               label="Duración"
               onChange={(e) => setDuration(Number(e.target.value))}
             >
-              <MenuItem value={15}>15 minutos</MenuItem>
-              <MenuItem value={30}>30 minutos</MenuItem>
-              <MenuItem value={45}>45 minutos</MenuItem>
-              <MenuItem value={60}>1 hora</MenuItem>
+              {durations.map((d) => (
+                <MenuItem key={d.value} value={d.value}>
+                  {d.label}
+                </MenuItem>
+              ))}
             </Select>
           </FormControl>
 
+          {groups.length > 0 && (
+            <FormControl fullWidth>
+              <InputLabel>Sesión</InputLabel>
+              <Select value={groupId} label="Sesión" onChange={(e) => setGroupId(e.target.value)}>
+                <MenuItem value="">Personal</MenuItem>
+                {groups.map((g) => (
+                  <MenuItem key={g.id} value={g.id}>
+                    Grupo {g.name}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          )}
+
           <TextField
             label="Propósito (opcional)"
             multiline
@@ -66,10 +112,17 @@ export function ReservationDialog({ open, onClose, onConfirm }: ReservationDialo
             fullWidth
           />
 
-          <Alert severity="warning">
-            Recuerda liberar la reserva cuando termines para que otros
-            estudiantes puedan usar el equipo.
-          </Alert>
+          {variant === 'waitlist' ? (
+            <Alert severity="info">
+              Cuando el equipo quede libre te avisaremos y tendrás unos minutos
+              para aceptar el turno antes de que pase al siguiente en la lista.
+            </Alert>
+          ) : (
+            <Alert severity="warning">
+              Recuerda liberar la reserva cuando termines para que otros
+              estudiantes puedan usar el equipo.
+            </Alert>
+          )}
         </Box>
       </DialogContent>
 
@@ -78,7 +131,13 @@ export function ReservationDialog({ open, onClose, onConfirm }: ReservationDialo
           Cancelar
         </Button>
         <Button onClick={handleConfirm} variant="contained" disabled={isRequesting}>
-          {isRequesting ? <CircularProgress size={20} /> : 'Solicitar'}
+          {isRequesting ? (
+            <CircularProgress size={20} />
+          ) : variant === 'waitlist' ? (
+            'Unirme a la lista'
+          ) : (
+            'Solicitar'
+          )}
         </Button>
       </DialogActions>
     </Dialog>
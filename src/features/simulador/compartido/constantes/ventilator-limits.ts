@@ -41,6 +41,11 @@ export const VALUE_COLOR_RANGES: Record<string, ParameterRange> = {
   volumenIntegrado: { normal: [0, 1000], warning: [1000, 1500], danger: [1500, Infinity] },
   compliance: { normal: [0.02, 0.1], warning: [0.01, 0.02], danger: [0, 0.01] },
   presionMeseta: { normal: [10, 25], warning: [25, 35], danger: [35, Infinity] },
+  // Per-breath mechanics (lung-protective thresholds)
+  presionPlaton: { normal: [10, 27], warning: [27, 30], danger: [30, Infinity] },
+  presionDistension: { normal: [0, 13], warning: [13, 15], danger: [15, Infinity] },
+  peepIntrinseca: { normal: [0, 2], warning: [2, 5], danger: [5, Infinity] },
+  potenciaMecanica: { normal: [0, 12], warning: [12, 17], danger: [17, Infinity] },
 };
 
 // --- Parameter trend ranges ---
@@ -75,6 +80,48 @@ export const ADJUSTMENT_LIMITS = {
   flow: { min: 10, max: 150 },
 } as const;
 
+// --- Alarm limits (client-side alarm engine) ---
+export interface AlarmLimits {
+  /** cmH2O — evaluated on every sample */
+  highPeakPressure: number;
+  /** cmH2O — per breath */
+  lowPeakPressure: number;
+  /** ml — exhaled tidal volume, per breath */
+  lowExpiredVolume: number;
+  /** resp/min */
+  highRespiratoryRate: number;
+  /** resp/min */
+  lowRespiratoryRate: number;
+  /** s without a breath */
+  apneaTime: number;
+  /** s without airway pressure (or without samples) */
+  disconnectionTime: number;
+  /** cmH2O above set PEEP, measured at end expiration */
+  highAutoPeep: number;
+}
+
+export const DEFAULT_ALARM_LIMITS: AlarmLimits = {
+  highPeakPressure: 40,
+  lowPeakPressure: 8,
+  lowExpiredVolume: 250,
+  highRespiratoryRate: 35,
+  lowRespiratoryRate: 6,
+  apneaTime: 20,
+  disconnectionTime: 5,
+  highAutoPeep: 5,
+};
+
+export const ALARM_LIMIT_RANGES: Record<keyof AlarmLimits, { label: string; min: number; max: number; step: number; unit: string }> = {
+  highPeakPressure: { label: 'Presión pico alta', min: 15, max: 70, step: 1, unit: 'cmH2O' },
+  lowPeakPressure: { label: 'Presión pico baja', min: 2, max: 40, step: 1, unit: 'cmH2O' },
+  lowExpiredVolume: { label: 'Vte bajo', min: 50, max: 1500, step: 10, unit: 'mL' },
+  highRespiratoryRate: { label: 'Frecuencia alta', min: 10, max: 80, step: 1, unit: 'resp/min' },
+  lowRespiratoryRate: { label: 'Frecuencia baja', min: 2, max: 30, step: 1, unit: 'resp/min' },
+  apneaTime: { label: 'Tiempo de apnea', min: 10, max: 60, step: 1, unit: 's' },
+  disconnectionTime: { label: 'Tiempo de desconexión', min: 2, max: 30, step: 1, unit: 's' },
+  highAutoPeep: { label: 'Auto-PEEP alta', min: 1, max: 20, step: 0.5, unit: 'cmH2O' },
+};
+
 // --- Default card configuration ---
 export const DEFAULT_CARD_CONFIG = [
   { id: 'presionPico', label: 'Presión Pico', visible: true, order: 0 },
@@ -89,6 +136,16 @@ export const DEFAULT_CARD_CONFIG = [
   { id: 'compliance', label: 'Compliance', visible: false, order: 9 },
   { id: 'presionMeseta', label: 'Presión Meseta', visible: false, order: 10 },
   { id: 'presionPlaton', label: 'Presión Platón', visible: false, order: 11 },
+  // Per-breath mechanics (BreathDetector + computeBreathMechanics)
+  { id: 'vti', label: 'Vti', visible: false, order: 12 },
+  { id: 'vte', label: 'Vte', visible: false, order: 13 },
+  { id: 'presionDistension', label: 'Presión Distensión', visible: false, order: 14 },
+  { id: 'complianceEstatica', label: 'Cest', visible: false, order: 15 },
+  { id: 'complianceDinamica', label: 'Cdin', visible: false, order: 16 },
+  { id: 'resistencia', label: 'Raw', visible: false, order: 17 },
+  { id: 'constanteTiempo', label: 'Constante τ', visible: false, order: 18 },
+  { id: 'potenciaMecanica', label: 'Potencia Mecánica', visible: false, order: 19 },
+  { id: 'peepIntrinseca', label: 'PEEPi', visible: false, order: 20 },
 ] as const;
 
 // --- Unit labels for parameter export ---
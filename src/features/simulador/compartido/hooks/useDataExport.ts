@@ -1,6 +1,16 @@
 import { useState, useCallback } from 'react';
 import { PARAMETER_UNITS } from '@/features/simulador/compartido/constantes/ventilator-limits';
 import type { VentilatorData, VentilationMode } from '@/features/simulador/compartido/tipos/simulator.types';
+import type { VentilatorReading } from '@/contracts/simulator.contracts';
+import type { BreathMechanics } from '@/features/simulador/compartido/utils/respiratoryMechanics';
+import {
+  buildRecordingBundle,
+  recordingToCsv,
+  recordingToEdf,
+  recordingToJson,
+  type RecordedAlarmEvent,
+  type RecordedParameterChange,
+} from '@/features/simulador/compartido/utils/recordingExport';
 
 interface SentConfigData {
   mode: VentilationMode;
@@ -18,12 +28,45 @@ interface DataRecordingHook {
   addSentData: (mode: VentilationMode, data: VentilatorData, frame: string) => void;
   downloadAsTxt: () => void;
   downloadAsPdf: () => void;
+  alarmLog: RecordedAlarmEvent[];
+  breathLog: BreathMechanics[];
+  getRecordedReadings: () => VentilatorReading[];
+}
+
+/** Contexto del dashboard que acompaña a las lecturas en el paquete exportado. */
+export interface DataExportContext {
+  ventilationMode: VentilationMode;
+  ventilatorData: VentilatorData;
+  patientData: object | null;
+}
+
+type RecordingFormat = 'csv' | 'edf' | 'json';
+
+const RECORDING_FORMATS: Record<RecordingFormat, { mime: string; label: string }> = {
+  csv: { mime: 'text/csv', label: 'CSV' },
+  edf: { mime: 'application/octet-stream', label: 'EDF' },
+  json: { mime: 'application/json', label: 'JSON' },
+};
+
+function downloadBlob(content: BlobPart, filename: string, mimeType: string): void {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
 }
 
 /**
- * Hook for managing data export: download menu, recording controls, config downloads.
+ * Hook for managing data export: download menu, recording controls, config downloads
+ * and the standard recording formats (CSV, EDF, JSON bundle — see recordingExport).
  */
-export const useDataExport = (dataRecording: DataRecordingHook, notify: (type: 'success' | 'warning' | 'error', msg: string) => void) => {
+export const useDataExport = (
+  dataRecording: DataRecordingHook,
+  notify: (type: 'success' | 'warning' | 'error', msg: string) => void,
+  context: DataExportContext,
+) => {
   const [downloadMenuAnchor, setDownloadMenuAnchor] = useState<HTMLElement | null>(null);
   const [lastSentConfigData, setLastSentConfigData] = useState<SentConfigData | null>(null);
 
@@ -47,6 +90,39 @@ export const useDataExport = (dataRecording: DataRecordingHook, notify: (type: '
     handleDownloadMenuClose();
   }, [dataRecording, notify, handleDownloadMenuClose]);
 
+  const downloadRecording = useCallback((format: RecordingFormat) => {
+    handleDownloadMenuClose();
+    const readings = dataRecording.getRecordedReadings();
+    if (readings.length === 0) {
+      notify('warning', 'No hay lecturas grabadas: inicie una grabación con las curvas activas');
+      return;
+    }
+    const bundle = buildRecordingBundle({
+      readings,
+      mode: context.ventilationMode,
+      ventilatorSettings: { ...context.ventilatorData },
+      patient: context.patientData,
+      parametersLog: dataRecording.recordedData.filter(
+        (entry): entry is RecordedParameterChange => !!entry && typeof entry === 'object' && 'parameters' in entry,
+      ),
+      alarms: dataRecording.alarmLog,
+      breaths: dataRecording.breathLog,
+    });
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const filename = `ventilador_grabacion_${timestamp}.${format}`;
+    const content = format === 'csv'
+      ? recordingToCsv(bundle)
+      : format === 'edf'
+        ? recordingToEdf(bundle)
+        : recordingToJson(bundle);
+    downloadBlob(content as BlobPart, filename, RECORDING_FORMATS[format].mime);
+    notify('success', `Grabación descargada como ${RECORDING_FORMATS[format].label}`);
+  }, [dataRecording, context, notify, handleDownloadMenuClose]);
+
+  const handleDownloadCsv = useCallback(() => downloadRecording('csv'), [downloadRecording]);
+  const handleDownloadEdf = useCallback(() => downloadRecording('edf'), [downloadRecording]);
+  const handleDownloadJson = useCallback(() => downloadRecording('json'), [downloadRecording]);
+
   const handleToggleRecording = useCallback(() => {
     if (dataRecording.isRecording) {
       dataRecording.stopRecording();
@@ -76,13 +152,7 @@ export const useDataExport = (dataRecording: DataRecordingHook, notify: (type: '
       content += `  ${key}: ${value} ${unit}\n`;
     });
 
-    const blob = new Blob([content], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename;
-    a.click();
-    URL.revokeObjectURL(url);
+    downloadBlob(content, filename, 'text/plain');
   }, [lastSentConfigData]);
 
   const recordSentConfig = useCallback(
@@ -100,6 +170,9 @@ export const useDataExport = (dataRecording: DataRecordingHook, notify: (type: '
     handleDownloadMenuClose,
     handleDownloadTxt,
     handleDownloadPdf,
+    handleDownloadCsv,
+    handleDownloadEdf,
+    handleDownloadJson,
     handleToggleRecording,
     downloadSentConfigData,
     recordSentConfig,
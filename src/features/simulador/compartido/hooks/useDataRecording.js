@@ -1,4 +1,8 @@
-import { useState, useRef, useCallback } from 'react';
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { subscribeReadings } from '@/features/simulador/conexion/websocket/stream/ventilatorStreamStore';
+
+// Lecturas del stream que se conservan por grabación (~30 min a 50 Hz)
+const MAX_RECORDED_READINGS = 90000;
 
 export const useDataRecording = () => {
   const [isRecording, setIsRecording] = useState(false);
@@ -6,14 +10,37 @@ export const useDataRecording = () => {
   const [sensorDataBuffer, setSensorDataBuffer] = useState([]); // Buffer para datos de sensores
   const recordingStartTime = useRef(null);
   const [autoSaveBuffer, setAutoSaveBuffer] = useState([]);
+  const [alarmLog, setAlarmLog] = useState([]); // Eventos del motor de alarmas durante la grabación
+  const [breathLog, setBreathLog] = useState([]); // Mecánica respiratoria por respiración durante la grabación
+  // Lecturas del ventilatorStreamStore durante la grabación. En ref: llegan a
+  // 50 Hz y sólo se leen al exportar; el estado sólo marca que hay alguna.
+  const readingLogRef = useRef([]);
+  const [hasReadings, setHasReadings] = useState(false);
 
   // Iniciar grabación
   const startRecording = useCallback(() => {
     setIsRecording(true);
     setRecordedData([]);
+    setAlarmLog([]);
+    setBreathLog([]);
+    readingLogRef.current = [];
+    setHasReadings(false);
     recordingStartTime.current = Date.now();
   }, []);
 
+  useEffect(() => {
+    if (!isRecording) return;
+    return subscribeReadings((reading) => {
+      const log = readingLogRef.current;
+      log.push(reading);
+      if (log.length > MAX_RECORDED_READINGS) log.splice(0, log.length - MAX_RECORDED_READINGS);
+      if (log.length === 1) setHasReadings(true);
+    });
+  }, [isRecording]);
+
+  // Copia de las lecturas grabadas (exportación CSV/EDF/JSON)
+  const getRecordedReadings = useCallback(() => readingLogRef.current.slice(), []);
+
   // Detener grabación
   const stopRecording = useCallback(() => {
     setIsRecording(false);
@@ -50,6 +77,28 @@ export const useDataRecording = () => {
     }
   }, [isRecording]);
 
+  // Agregar un evento del registro de alarmas (AlarmLogEntry) a la grabación
+  const addAlarmEvent = useCallback((entry) => {
+    if (isRecording) {
+      setAlarmLog(prev => [...prev, {
+        ...entry,
+        relativeTime: recordingStartTime.current ? ((entry.timestamp - recordingStartTime.current) / 1000).toFixed(3) : '0.000',
+      }]);
+    }
+  }, [isRecording]);
+
+  // Agregar la mecánica de una respiración (BreathMechanics) a la grabación
+  const addBreathMechanics = useCallback((mechanics) => {
+    if (isRecording) {
+      const timestamp = Date.now();
+      setBreathLog(prev => [...prev, {
+        ...mechanics,
+        timestamp,
+        relativeTime: recordingStartTime.current ? ((timestamp - recordingStartTime.current) / 1000).toFixed(3) : '0.000',
+      }]);
+    }
+  }, [isRecording]);
+
   const addSensorData = useCallback((pressure, flow, volume) => {
     const timestamp = Date.now();
     const sensorPoint = {
@@ -113,7 +162,7 @@ export const useDataRecording = () => {
 
   // Generar archivo TXT
   const generateTxtFile = useCallback(() => {
-    if (recordedData.length === 0) {
+    if (recordedData.length === 0 && alarmLog.length === 0 && breathLog.length === 0) {
       console.warn('No hay datos enviados grabados para exportar');
       return null;
     }
@@ -175,12 +224,40 @@ export const useDataRecording = () => {
       content += `  Presión Control: ${pressureModeCount} configuraciones\n`;
     }
 
+    // Registro de alarmas
+    if (alarmLog.length > 0) {
+      content += `\n==========================================\n`;
+      content += `REGISTRO DE ALARMAS (${alarmLog.length} eventos)\n`;
+      content += `==========================================\n`;
+      content += `Formato: Tiempo(s)|Evento|Alarma|Prioridad|Valor|Límite|Mensaje\n`;
+      alarmLog.forEach((entry) => {
+        content += `${entry.relativeTime}|${entry.event}|${entry.type ?? '-'}|${entry.severity ?? '-'}|${entry.currentValue ?? '-'}|${entry.thresholdValue ?? '-'}|${entry.message}\n`;
+      });
+    }
+
+    // Mecánica respiratoria por respiración
+    if (breathLog.length > 0) {
+      content += `\n==========================================\n`;
+      content += `MECÁNICA RESPIRATORIA (${breathLog.length} respiraciones)\n`;
+      content += `==========================================\n`;
+      content += `Formato: Tiempo(s)|FR|Vti(mL)|Vte(mL)|Ppico|Pmeseta|PEEP|PEEPtotal|PEEPi|DP|Cest(mL/cmH2O)|Cdin(mL/cmH2O)|Raw(cmH2O/L/s)|Tau(s)|PM(J/min)\n`;
+      content += `(- = no medible: meseta requiere pausa inspiratoria y PEEP total pausa espiratoria)\n`;
+      breathLog.forEach((b) => {
+        const fields = [
+          b.respiratoryRate, b.vti, b.vte, b.peakPressure, b.plateauPressure, b.peep, b.totalPeep,
+          b.intrinsicPeep, b.drivingPressure, b.staticCompliance, b.dynamicCompliance,
+          b.resistance, b.timeConstant, b.mechanicalPower,
+        ];
+        content += `${b.relativeTime}|${fields.map(v => v ?? '-').join('|')}\n`;
+      });
+    }
+
     return { content, filename };
-  }, [recordedData]);
+  }, [recordedData, alarmLog, breathLog]);
 
   // Generar archivo PDF (versión simplificada)
   const generatePdfFile = useCallback(() => {
-    if (recordedData.length === 0) {
+    if (recordedData.length === 0 && alarmLog.length === 0 && breathLog.length === 0) {
       console.warn('No hay datos enviados grabados para exportar');
       return null;
     }
@@ -216,7 +293,7 @@ export const useDataRecording = () => {
 
         <div class="stats">
           <h2>Estadísticas de Configuraciones Enviadas</h2>
-          ${(() => {
+          ${recordedData.length === 0 ? '<p>Sin configuraciones enviadas</p>' : (() => {
             const volumes = recordedData.map(d => d.parameters.volumen);
             const pressures = recordedData.map(d => d.parameters.presionMax);
             const flows = recordedData.map(d => d.parameters.qMax);
@@ -281,6 +358,66 @@ export const useDataRecording = () => {
         
         ${recordedData.length > 20 ? `<p><em>Mostrando las primeras 20 configuraciones de ${recordedData.length} totales</em></p>` : ''}
 
+        ${alarmLog.length > 0 ? `
+          <h2>Registro de Alarmas (${alarmLog.length} eventos)</h2>
+          <table class="data-table">
+            <thead>
+              <tr>
+                <th>Tiempo (s)</th>
+                <th>Evento</th>
+                <th>Prioridad</th>
+                <th>Detalle</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${alarmLog.map(entry => `
+                <tr>
+                  <td>${entry.relativeTime}</td>
+                  <td>${entry.event}</td>
+                  <td>${entry.severity ?? '-'}</td>
+                  <td>${entry.message}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        ` : ''}
+
+        ${breathLog.length > 0 ? `
+          <h2>Mecánica Respiratoria (${breathLog.length} respiraciones)</h2>
+          <table class="data-table">
+            <thead>
+              <tr>
+                <th>Tiempo (s)</th>
+                <th>Vti / Vte (mL)</th>
+                <th>Ppico</th>
+                <th>Pmeseta</th>
+                <th>ΔP</th>
+                <th>Cest / Cdin (mL/cmH₂O)</th>
+                <th>Raw (cmH₂O/L/s)</th>
+                <th>τ (s)</th>
+                <th>PM (J/min)</th>
+                <th>PEEPi</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${breathLog.map(b => `
+                <tr>
+                  <td>${b.relativeTime}</td>
+                  <td>${b.vti} / ${b.vte}</td>
+                  <td>${b.peakPressure}</td>
+                  <td>${b.plateauPressure ?? '-'}</td>
+                  <td>${b.drivingPressure ?? '-'}</td>
+                  <td>${b.staticCompliance ?? '-'} / ${b.dynamicCompliance ?? '-'}</td>
+                  <td>${b.resistance ?? '-'}</td>
+                  <td>${b.timeConstant ?? '-'}</td>
+                  <td>${b.mechanicalPower}</td>
+                  <td>${b.intrinsicPeep ?? '-'}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        ` : ''}
+
         <div class="footer">
           <p>Generado por VentyLab - Sistema de Monitoreo de Ventilador</p>
           <p>Universidad del Valle</p>
@@ -290,7 +427,7 @@ export const useDataRecording = () => {
     `;
 
     return { content: htmlContent, filename };
-  }, [recordedData]);
+  }, [recordedData, alarmLog, breathLog]);
 
   const generateSensorDataFile = useCallback(() => {
     if (sensorDataBuffer.length === 0) {
@@ -366,17 +503,23 @@ export const useDataRecording = () => {
   return {
     isRecording,
     recordedData,
+    alarmLog,
+    breathLog,
+    hasReadings,
+    getRecordedReadings,
     sensorDataBuffer,
     hasSensorData: sensorDataBuffer.length > 0,
     startRecording,
     stopRecording,
     addSentData,
     addSensorData,
+    addAlarmEvent,
+    addBreathMechanics,
     generateSensorDataFile,
     clearSensorBuffer,
     downloadAsTxt,
     downloadAsPdf,
-    hasData: recordedData.length > 0,
+    hasData: recordedData.length > 0 || alarmLog.length > 0 || breathLog.length > 0 || hasReadings,
     downloadSensorData: useCallback(() => {
       const fileData = generateSensorDataFile();
       if (fileData) {
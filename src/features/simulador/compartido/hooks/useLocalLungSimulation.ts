@@ -0,0 +1,57 @@
+/*
+ * Funcionalidad: useLocalLungSimulation
+ * Descripción: Conecta el pulmón simulado local (localLungEmitter) al
+ *   ventilatorStreamStore mientras `enabled` sea true. Mantiene el comando y la
+ *   mecánica del modelo sincronizados con el panel de control y el paciente, de
+ *   modo que las curvas del tab Monitoreo respondan a cada cambio de parámetros,
+ *   y aplica el escenario de asincronías elegido.
+ * Versión: 1.1
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import { useEffect } from 'react';
+
+import type { LungMechanics, SimulatedCommand } from '@/features/simulador/compartido/simulacion/lungModel';
+import type { AsynchronyScenario } from '@/features/simulador/compartido/simulacion/asynchronyScenarios';
+import {
+  configureLocalLung,
+  setLocalLungScenario,
+  subscribeLocalLung,
+} from '@/features/simulador/compartido/simulacion/localLungEmitter';
+import { ingestLocalReading } from '@/features/simulador/conexion/websocket/stream/ventilatorStreamStore';
+
+interface UseLocalLungSimulationProps {
+  /** Activa la fuente local (p. ej. "Simular Gráficas" sin ventilador físico). */
+  enabled: boolean;
+  /** Comando vigente; memoizar para no reprogramar el modelo en cada render. */
+  command: SimulatedCommand;
+  /** Mecánica del paciente; memoizar por la misma razón. */
+  mechanics: LungMechanics;
+  /** Escenario de asincronías (null = paciente pasivo). */
+  scenario?: AsynchronyScenario | null;
+}
+
+export function useLocalLungSimulation({
+  enabled,
+  command,
+  mechanics,
+  scenario = null,
+}: UseLocalLungSimulationProps): void {
+  useEffect(() => {
+    configureLocalLung(command, mechanics);
+  }, [command, mechanics]);
+
+  useEffect(() => {
+    setLocalLungScenario(scenario);
+  }, [scenario]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    return subscribeLocalLung(ingestLocalReading);
+  }, [enabled]);
+}
@@ -1,187 +1,97 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo, useRef } from 'react';
 
-const useMockData = (isConnected = true, interval = 1000) => {
-  const [mockData, setMockData] = useState({
-    pressure: [],
-    flow: [],
-    volume: [],
-    time: [],
-  });
+import { LungModel, BASELINE_MECHANICS } from '@/features/simulador/compartido/simulacion/lungModel';
+import { commandFromSerialConfig } from '@/features/simulador/compartido/simulacion/serialModes';
 
-  // Generar datos de prueba realistas para un ventilador
-  const generateMockData = () => {
-    const now = Date.now();
-    
-    // Simular ciclo respiratorio (inspiración y espiración)
-    const cycleTime = 4000; // 4 segundos por ciclo
-    const cycleProgress = (now % cycleTime) / cycleTime;
-    
-    // Presión: pico durante inspiración, PEEP durante espiración
-    let pressure;
-    if (cycleProgress < 0.3) {
-      // Inspiración: subida rápida
-      const inspProgress = cycleProgress / 0.3;
-      pressure = 5 + (25 - 5) * Math.sin(inspProgress * Math.PI / 2);
-    } else if (cycleProgress < 0.4) {
-      // Meseta: presión constante
-      pressure = 25;
-    } else {
-      // Espiración: bajada a PEEP
-      const expProgress = (cycleProgress - 0.4) / 0.6;
-      pressure = 25 - (25 - 5) * Math.sin(expProgress * Math.PI / 2);
-    }
-    
-    // Agregar ruido aleatorio
-    pressure += (Math.random() - 0.5) * 2;
-    
-    // Flujo: positivo durante inspiración, negativo durante espiración
-    let flow;
-    if (cycleProgress < 0.3) {
-      // Inspiración: flujo inspiratorio
-      const inspProgress = cycleProgress / 0.3;
-      flow = 60 * Math.sin(inspProgress * Math.PI);
-    } else if (cycleProgress < 0.4) {
-      // Meseta: flujo cero
-      flow = 0;
-    } else {
-      // Espiración: flujo espiratorio
-      const expProgress = (cycleProgress - 0.4) / 0.6;
-      flow = -40 * Math.sin(expProgress * Math.PI);
-    }
-    
-    // Agregar ruido aleatorio
-    flow += (Math.random() - 0.5) * 5;
-    
-    // Volumen: acumulación durante inspiración, descarga durante espiración
-    let volume;
-    if (cycleProgress < 0.3) {
-      // Inspiración: acumulación de volumen
-      const inspProgress = cycleProgress / 0.3;
-      volume = 500 * Math.sin(inspProgress * Math.PI / 2);
-    } else if (cycleProgress < 0.4) {
-      // Meseta: volumen máximo
-      volume = 500;
-    } else {
-      // Espiración: descarga de volumen
-      const expProgress = (cycleProgress - 0.4) / 0.6;
-      volume = 500 * Math.cos(expProgress * Math.PI / 2);
-    }
-    
-    // Agregar ruido aleatorio
-    volume += (Math.random() - 0.5) * 20;
-    
-    return {
-      pressure: Math.max(0, pressure),
-      flow: flow,
-      volume: Math.max(0, volume),
-      time: now,
-    };
+// Frecuencia de muestreo de las curvas de prueba y ventana visible
+const MOCK_SAMPLE_RATE_HZ = 25;
+const MOCK_WINDOW_S = 10;
+const MAX_POINTS = MOCK_SAMPLE_RATE_HZ * MOCK_WINDOW_S;
+
+const EMPTY_DATA = { pressure: [], flow: [], volume: [], time: [] };
+
+const appendReadings = (prevData, readings) => {
+  if (readings.length === 0) return prevData;
+  return {
+    pressure: [...prevData.pressure, ...readings.map((r) => r.pressure)].slice(-MAX_POINTS),
+    flow: [...prevData.flow, ...readings.map((r) => r.flow)].slice(-MAX_POINTS),
+    volume: [...prevData.volume, ...readings.map((r) => r.volume)].slice(-MAX_POINTS),
+    time: [...prevData.time, ...readings.map((r) => r.timestamp)].slice(-MAX_POINTS),
   };
+};
 
-  useEffect(() => {
-    if (!isConnected) return;
+/**
+ * Datos de prueba sin ventilador físico. Las curvas salen del pulmón simulado
+ * configurado como lo haría la trama serial: `mode` ('Volumen control' |
+ * 'Presion control' | 'Flujo control' o 'volume' | 'pressure' | 'flow'),
+ * `waveType` ('Escalon' | 'Rampa Descendente') y los parámetros del panel
+ * (incluidas pausaInspiratoria/pausaEspiratoria).
+ *
+ * @param {boolean} [isConnected=true] - Genera datos mientras sea true
+ * @param {number} [interval=1000] - Periodo de refresco de la UI en ms
+ * @param {Object} [config]
+ * @param {string} [config.mode='Volumen control']
+ * @param {string} [config.waveType='Escalon']
+ * @param {Object} [config.parameters] - Parámetros del ventilador (memoizar)
+ * @param {Object} [config.mechanics] - Mecánica del pulmón (memoizar)
+ */
+const useMockData = (isConnected = true, interval = 1000, config = {}) => {
+  const {
+    mode = 'Volumen control',
+    waveType = 'Escalon',
+    parameters,
+    mechanics = BASELINE_MECHANICS,
+  } = config;
 
-    const intervalId = setInterval(() => {
-      const newDataPoint = generateMockData();
-      
-      setMockData(prevData => {
-        const updatedData = {
-          pressure: [...prevData.pressure, newDataPoint.pressure],
-          flow: [...prevData.flow, newDataPoint.flow],
-          volume: [...prevData.volume, newDataPoint.volume],
-          time: [...prevData.time, newDataPoint.time],
-        };
+  const [mockData, setMockData] = useState(EMPTY_DATA);
+  const modelRef = useRef(null);
 
-        // Mantener solo los últimos 200 puntos para evitar problemas de memoria
-        const maxPoints = 200;
-        if (updatedData.pressure.length > maxPoints) {
-          updatedData.pressure = updatedData.pressure.slice(-maxPoints);
-          updatedData.flow = updatedData.flow.slice(-maxPoints);
-          updatedData.volume = updatedData.volume.slice(-maxPoints);
-          updatedData.time = updatedData.time.slice(-maxPoints);
-        }
+  const command = useMemo(
+    () => commandFromSerialConfig(mode, waveType, parameters),
+    [mode, waveType, parameters],
+  );
 
-        return updatedData;
-      });
-    }, interval);
+  // Los cambios de modo/onda/parámetros entran en el próximo ciclo y los de
+  // mecánica de inmediato, igual que en un ventilador real
+  useEffect(() => {
+    modelRef.current?.setCommand(command);
+  }, [command]);
 
-    return () => clearInterval(intervalId);
-  }, [isConnected, interval]);
+  useEffect(() => {
+    modelRef.current?.setMechanics(mechanics);
+  }, [mechanics]);
 
-  // Función para generar datos históricos iniciales
-  const generateHistoricalData = (points = 50) => {
-    const historicalData = {
-      pressure: [],
-      flow: [],
-      volume: [],
-      time: [],
-    };
+  useEffect(() => {
+    if (!isConnected) return;
 
+    // Inicializar con la última ventana ya "ventilada" para no arrancar vacío
     const now = Date.now();
-    const timeStep = 1000; // 1 segundo entre puntos
-
-    for (let i = points; i > 0; i--) {
-      const time = now - (i * timeStep);
-      const cycleTime = 4000;
-      const cycleProgress = (time % cycleTime) / cycleTime;
-      
-      // Presión
-      let pressure;
-      if (cycleProgress < 0.3) {
-        const inspProgress = cycleProgress / 0.3;
-        pressure = 5 + (25 - 5) * Math.sin(inspProgress * Math.PI / 2);
-      } else if (cycleProgress < 0.4) {
-        pressure = 25;
-      } else {
-        const expProgress = (cycleProgress - 0.4) / 0.6;
-        pressure = 25 - (25 - 5) * Math.sin(expProgress * Math.PI / 2);
-      }
-      pressure += (Math.random() - 0.5) * 2;
-      
-      // Flujo
-      let flow;
-      if (cycleProgress < 0.3) {
-        const inspProgress = cycleProgress / 0.3;
-        flow = 60 * Math.sin(inspProgress * Math.PI);
-      } else if (cycleProgress < 0.4) {
-        flow = 0;
-      } else {
-        const expProgress = (cycleProgress - 0.4) / 0.6;
-        flow = -40 * Math.sin(expProgress * Math.PI);
-      }
-      flow += (Math.random() - 0.5) * 5;
-      
-      // Volumen
-      let volume;
-      if (cycleProgress < 0.3) {
-        const inspProgress = cycleProgress / 0.3;
-        volume = 500 * Math.sin(inspProgress * Math.PI / 2);
-      } else if (cycleProgress < 0.4) {
-        volume = 500;
-      } else {
-        const expProgress = (cycleProgress - 0.4) / 0.6;
-        volume = 500 * Math.cos(expProgress * Math.PI / 2);
-      }
-      volume += (Math.random() - 0.5) * 20;
-      
-      historicalData.pressure.push(Math.max(0, pressure));
-      historicalData.flow.push(flow);
-      historicalData.volume.push(Math.max(0, volume));
-      historicalData.time.push(time);
-    }
+    const model = new LungModel(command, mechanics, {
+      sampleRateHz: MOCK_SAMPLE_RATE_HZ,
+      deviceId: 'mock',
+      startTimestamp: now - MOCK_WINDOW_S * 1000,
+    });
+    modelRef.current = model;
 
-    return historicalData;
-  };
+    // El primer tick descarta lo acumulado por una sesión anterior
+    let firstTick = true;
+    const tick = () => {
+      const readings = model.advanceTo(Date.now());
+      const reset = firstTick;
+      firstTick = false;
+      setMockData((prevData) => appendReadings(reset ? EMPTY_DATA : prevData, readings));
+    };
+    const timeoutId = setTimeout(tick, 0);
+    const intervalId = setInterval(tick, interval);
 
-  // Inicializar con datos históricos
-  useEffect(() => {
-    if (isConnected && mockData.pressure.length === 0) {
-      const historicalData = generateHistoricalData(50);
-      setMockData(historicalData);
-    }
-  }, [isConnected]);
+    return () => {
+      clearTimeout(timeoutId);
+      clearInterval(intervalId);
+      modelRef.current = null;
+    };
+  }, [isConnected, interval]); // eslint-disable-line react-hooks/exhaustive-deps
 
   return mockData;
 };
 
-export default useMockData; 
\ No newline at end of file
+export default useMockData;
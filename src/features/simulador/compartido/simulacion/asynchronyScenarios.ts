@@ -0,0 +1,131 @@
+/*
+ * Funcionalidad: asynchronyScenarios
+ * Descripción: Escenarios de interacción paciente-ventilador para practicar el
+ *   reconocimiento de asincronías (Módulo 03, nivel avanzado). Cada escenario
+ *   combina un esfuerzo del paciente (Pmus), un artefacto sobre el flujo y los
+ *   ajustes del trigger/ciclado que lo provocan; las asincronías no se dibujan
+ *   a mano, emergen del pulmón simulado y éste las etiqueta en las lecturas.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import type { VentilatorEventType } from '@/contracts/simulator.contracts';
+import type { SimulatedCommand } from '@/features/simulador/compartido/simulacion/lungModel';
+import {
+  CardiogenicOscillation,
+  PatientEffort,
+  type CardiogenicOscillationConfig,
+  type PatientEffortConfig,
+  type PatientEffortSource,
+} from '@/features/simulador/compartido/simulacion/patientEffort';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+export type AsynchronyScenarioId =
+  | 'pasivo'
+  | 'disparoPaciente'
+  | 'esfuerzosIneficaces'
+  | 'dobleDisparo'
+  | 'autodisparo'
+  | 'hambreDeFlujo';
+
+export interface AsynchronyScenario {
+  id: AsynchronyScenarioId;
+  label: string;
+  description: string;
+  effort?: PatientEffortConfig;
+  cardiogenic?: CardiogenicOscillationConfig;
+  /** Ajustes que el escenario impone sobre el comando del panel. */
+  commandOverrides?: Partial<SimulatedCommand>;
+}
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+export const ASYNCHRONY_SCENARIOS: Record<AsynchronyScenarioId, AsynchronyScenario> = {
+  pasivo: {
+    id: 'pasivo',
+    label: 'Paciente pasivo',
+    description: 'Sin esfuerzo del paciente: todos los ciclos se disparan por tiempo.',
+  },
+  disparoPaciente: {
+    id: 'disparoPaciente',
+    label: 'Disparo por el paciente',
+    description:
+      'Esfuerzos moderados a 18 rpm con trigger de flujo de 2 L/min: cada esfuerzo dispara un ciclo asistido.',
+    effort: { rate: 18, amplitude: 4, inspiratoryTime: 0.9 },
+    commandOverrides: { sensitivity: 2 },
+  },
+  esfuerzosIneficaces: {
+    id: 'esfuerzosIneficaces',
+    label: 'Esfuerzos ineficaces',
+    description:
+      'Esfuerzos débiles y frecuentes con un trigger poco sensible (6 L/min): los que caen al inicio de la espiración no alcanzan a disparar y sólo deforman el flujo espiratorio.',
+    effort: { rate: 26, amplitude: 3, inspiratoryTime: 0.7, variability: 0.2 },
+    commandOverrides: { sensitivity: 6 },
+  },
+  dobleDisparo: {
+    id: 'dobleDisparo',
+    label: 'Doble disparo',
+    description:
+      'Ti neural (1.6 s) más largo que el Ti del ventilador (acortado a 0.7 s): el esfuerzo persiste tras el ciclado y dispara un segundo ciclo seguido.',
+    effort: { rate: 14, amplitude: 14, inspiratoryTime: 1.6 },
+    commandOverrides: { sensitivity: 2, inspiratoryTime: 0.7 },
+  },
+  autodisparo: {
+    id: 'autodisparo',
+    label: 'Autodisparo',
+    description:
+      'Paciente sin esfuerzo con oscilaciones cardiogénicas sobre el flujo y un trigger demasiado sensible (1 L/min): el ventilador cicla sin demanda.',
+    cardiogenic: { heartRate: 95, amplitude: 4 },
+    commandOverrides: { sensitivity: 1 },
+  },
+  hambreDeFlujo: {
+    id: 'hambreDeFlujo',
+    label: 'Hambre de flujo',
+    description:
+      'Volumen control con flujo en escalón y esfuerzo intenso sostenido: la demanda supera el flujo programado y la curva de presión se hunde durante la inspiración.',
+    effort: { rate: 20, amplitude: 12, inspiratoryTime: 1.1 },
+    commandOverrides: { sensitivity: 2, control: 'volume', flowPattern: 'square' },
+  },
+};
+
+export const ASYNCHRONY_SCENARIO_LIST: AsynchronyScenario[] = Object.values(ASYNCHRONY_SCENARIOS);
+
+/** Etiquetas de los eventos para gráficas y exportaciones. */
+export const VENTILATOR_EVENT_LABELS: Record<VentilatorEventType, string> = {
+  PATIENT_TRIGGER: 'Disparo del paciente',
+  INEFFECTIVE_EFFORT: 'Esfuerzo ineficaz',
+  DOUBLE_TRIGGER: 'Doble disparo',
+  AUTO_TRIGGER: 'Autodisparo',
+  FLOW_STARVATION: 'Hambre de flujo',
+};
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/** Comando del panel con los ajustes del escenario aplicados. */
+export function applyScenarioToCommand(
+  command: SimulatedCommand,
+  scenario: AsynchronyScenario | null | undefined,
+): SimulatedCommand {
+  return scenario?.commandOverrides ? { ...command, ...scenario.commandOverrides } : command;
+}
+
+/** Fuente de esfuerzo del escenario, o null si el paciente es pasivo. */
+export function createEffortSource(
+  scenario: AsynchronyScenario | null | undefined,
+): PatientEffortSource | null {
+  if (scenario?.effort) return new PatientEffort(scenario.effort, scenario.cardiogenic ?? null);
+  if (scenario?.cardiogenic) return new CardiogenicOscillation(scenario.cardiogenic);
+  return null;
+}
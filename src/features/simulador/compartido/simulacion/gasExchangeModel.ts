@@ -0,0 +1,313 @@
+/*
+ * Funcionalidad: gasExchangeModel
+ * Descripción: Modelo simplificado de intercambio gaseoso para la enseñanza.
+ *   Estima PaCO2 por la ventilación alveolar (volumen minuto menos espacio
+ *   muerto), PaO2 por la ecuación del gas alveolar con un shunt que depende de
+ *   la patología y se recluta con PEEP, SpO2 por la curva de disociación de
+ *   Severinghaus y el pH por Henderson-Hasselbalch. Los gases se acercan al
+ *   estado estable con constantes de tiempo de primer orden (el O2 en un par de
+ *   minutos, el CO2 más lento), así que el estudiante ve el efecto de un ajuste
+ *   al ordenar la gasometría unos minutos después. Es puro: el llamador le pasa
+ *   los segundos transcurridos.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import type { ArterialBloodGas, SimulatedBloodGas } from '@/contracts/patient.contracts';
+import type { RespiratoryConditionFlags, SimulatedCommand } from '@/features/simulador/compartido/simulacion/lungModel';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+/** Rasgos de intercambio gaseoso de una patología (valores docentes). */
+export interface GasExchangeProfile {
+  /** Fracción de shunt con PEEP 5 cmH₂O (0–1). */
+  shunt: number;
+  /** Parte del shunt que se recluta al subir la PEEP (0–1). */
+  recruitability: number;
+  /** Gradiente alvéolo-capilar por desequilibrio V/Q, además del shunt (mmHg). */
+  vqGradient: number;
+  /** Espacio muerto fisiológico como fracción de un Vt de 7 ml/kg. */
+  deadSpaceFraction: number;
+  /** HCO₃⁻ basal (mEq/L); por encima de 24, retención crónica compensada. */
+  hco3: number;
+}
+
+/** Lo que determina los gases en un instante. */
+export interface GasExchangeInputs {
+  /** Fracción inspirada de O₂ (0.21–1.0). */
+  fio2: number;
+  /** cmH₂O */
+  peep: number;
+  /** Volumen corriente entregado (ml). */
+  tidalVolume: number;
+  /** Frecuencia total, incluidos los disparos del paciente (rpm). */
+  respiratoryRate: number;
+  profile: GasExchangeProfile;
+  /** Peso del paciente (kg); 70 si no se conoce. */
+  weightKg?: number;
+  /** Factor de compliance del guion de deterioro: por debajo de 1 colapsa alvéolos. */
+  complianceFactor?: number;
+}
+
+/** Estado del modelo entre pasos. */
+export interface GasExchangeState {
+  pao2: number;
+  paco2: number;
+  /** HCO₃⁻ sin el tamponamiento agudo del CO₂ (componente metabólico). */
+  metabolicHco3: number;
+}
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const BAROMETRIC_PRESSURE = 760;
+const WATER_VAPOR_PRESSURE = 47;
+const RESPIRATORY_QUOTIENT = 0.8;
+/** Hemoglobina (g/dL) */
+const HEMOGLOBIN = 14;
+/** Diferencia arteriovenosa de contenido de O₂ (ml/dL) */
+const AV_CONTENT_DIFFERENCE = 5;
+/** Producción de CO₂ por kg (ml/min/kg) */
+const VCO2_PER_KG = 3;
+const DEFAULT_WEIGHT_KG = 70;
+
+/** Constantes de tiempo hacia el estado estable (s). */
+const TAU_O2_S = 60;
+const TAU_CO2_S = 150;
+
+/** Ventilación alveolar mínima, para no dividir por cero en apnea (L/min). */
+const MIN_ALVEOLAR_VENTILATION = 0.3;
+const MAX_SHUNT = 0.6;
+
+export const GAS_EXCHANGE_PROFILES = {
+  healthy: { shunt: 0.03, recruitability: 0.2, vqGradient: 5, deadSpaceFraction: 0.3, hco3: 24 },
+  ards: { shunt: 0.3, recruitability: 0.45, vqGradient: 10, deadSpaceFraction: 0.55, hco3: 24 },
+  neumonia: { shunt: 0.2, recruitability: 0.3, vqGradient: 15, deadSpaceFraction: 0.4, hco3: 24 },
+  covid19: { shunt: 0.22, recruitability: 0.4, vqGradient: 15, deadSpaceFraction: 0.45, hco3: 24 },
+  edema: { shunt: 0.25, recruitability: 0.6, vqGradient: 10, deadSpaceFraction: 0.4, hco3: 24 },
+  fibrosis: { shunt: 0.15, recruitability: 0.05, vqGradient: 20, deadSpaceFraction: 0.45, hco3: 24 },
+  epoc: { shunt: 0.05, recruitability: 0, vqGradient: 25, deadSpaceFraction: 0.5, hco3: 30 },
+  asma: { shunt: 0.05, recruitability: 0.1, vqGradient: 20, deadSpaceFraction: 0.45, hco3: 24 },
+  tep: { shunt: 0.08, recruitability: 0, vqGradient: 20, deadSpaceFraction: 0.6, hco3: 24 },
+} satisfies Record<string, GasExchangeProfile>;
+
+export type GasExchangeProfileId = keyof typeof GAS_EXCHANGE_PROFILES;
+
+/** Pathology del ClinicalCase → perfil de intercambio gaseoso. */
+const PATHOLOGY_PROFILES: Record<string, GasExchangeProfileId> = {
+  EPOC: 'epoc',
+  SDRA: 'ards',
+  SINDROME_DE_DISTRES_RESPIRATORIO: 'ards',
+  NEUMONIA: 'neumonia',
+  ASMA: 'asma',
+  BRONQUIOLITIS: 'asma',
+  FIBROSIS_PULMONAR: 'fibrosis',
+  EDEMA_PULMONAR: 'edema',
+  EMBOLIA_PULMONAR: 'tep',
+  TEP: 'tep',
+};
+
+// =============================================================================
+// Perfil del paciente
+// =============================================================================
+
+/**
+ * Combina perfiles con el peor caso de cada rasgo. La reclutabilidad es la del
+ * perfil con más shunt, que es el que domina la oxigenación.
+ */
+function combineProfiles(ids: GasExchangeProfileId[]): GasExchangeProfile {
+  const profiles = ids.map((id) => GAS_EXCHANGE_PROFILES[id]);
+  if (profiles.length === 0) return GAS_EXCHANGE_PROFILES.healthy;
+  const dominant = profiles.reduce((a, b) => (b.shunt > a.shunt ? b : a));
+  return {
+    shunt: dominant.shunt,
+    recruitability: dominant.recruitability,
+    vqGradient: Math.max(...profiles.map((p) => p.vqGradient)),
+    deadSpaceFraction: Math.max(...profiles.map((p) => p.deadSpaceFraction)),
+    hco3: Math.max(...profiles.map((p) => p.hco3)),
+  };
+}
+
+/** Perfil a partir de las condiciones respiratorias de PatientDataContext. */
+export function gasProfileFromConditions(
+  conditions: RespiratoryConditionFlags | null | undefined,
+): GasExchangeProfile {
+  const keys = (['ards', 'neumonia', 'covid19', 'epoc', 'asma'] as const).filter((key) => conditions?.[key]);
+  return combineProfiles(keys);
+}
+
+/** Perfil a partir de la patología de un ClinicalCase (OTRAS o desconocida = sano). */
+export function gasProfileFromPathology(pathology: string | null | undefined): GasExchangeProfile {
+  const id = pathology ? PATHOLOGY_PROFILES[pathology] : undefined;
+  return combineProfiles(id ? [id] : []);
+}
+
+/**
+ * Gasometría de ingreso guardada en ClinicalCase.labData. El JSON es libre:
+ * se aceptan los campos en la raíz o bajo `arterialBloodGas` / `gasometria`.
+ */
+export function bloodGasFromLabData(labData: unknown): Partial<ArterialBloodGas> | null {
+  if (!labData || typeof labData !== 'object') return null;
+  const root = labData as Record<string, unknown>;
+  const source = [root.arterialBloodGas, root.gasometria, root].find(
+    (candidate): candidate is Record<string, unknown> => Boolean(candidate) && typeof candidate === 'object',
+  );
+  if (!source) return null;
+  const out: Partial<ArterialBloodGas> = {};
+  for (const key of ['ph', 'pao2', 'paco2', 'hco3', 'baseExcess', 'lactate'] as const) {
+    const value = Number(source[key]);
+    if (source[key] !== undefined && source[key] !== null && Number.isFinite(value)) out[key] = value;
+  }
+  return Object.keys(out).length > 0 ? out : null;
+}
+
+/**
+ * Vt que llega al paciente cuando no hay respiración medida: el programado en
+ * volumen control y compliance × (Pinsp − PEEP) en presión control.
+ */
+export function deliveredTidalVolume(command: SimulatedCommand, compliance: number): number {
+  if (command.control !== 'pressure') return command.tidalVolume;
+  const drivingPressure = Math.max((command.pressureLimit ?? 20) - command.peep, 0);
+  return compliance * drivingPressure;
+}
+
+// =============================================================================
+// Fisiología
+// =============================================================================
+
+/** Saturación de la hemoglobina (0–1), aproximación de Severinghaus. */
+export function saturationFromPo2(po2: number): number {
+  if (po2 <= 0) return 0;
+  return 1 / (23400 / (po2 ** 3 + 150 * po2) + 1);
+}
+
+/** Contenido arterial de O₂ (ml/dL). */
+function oxygenContent(po2: number): number {
+  return 1.34 * HEMOGLOBIN * saturationFromPo2(po2) + 0.003 * po2;
+}
+
+/** PO₂ con ese contenido de O₂ (bisección; el contenido crece con la PO₂). */
+function po2FromContent(content: number, upper: number): number {
+  let lo = 15;
+  let hi = Math.max(upper, lo);
+  for (let i = 0; i < 40; i++) {
+    const mid = (lo + hi) / 2;
+    if (oxygenContent(mid) < content) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+/**
+ * Shunt efectivo: el de la patología, más el colapso que produce una caída de
+ * compliance del guion, menos lo que recluta la PEEP por encima de 5 cmH₂O (o
+ * más lo que se desrecluta por debajo).
+ */
+export function effectiveShunt(inputs: GasExchangeInputs): number {
+  const { profile, peep } = inputs;
+  const collapse = Math.max(0, 1 - (inputs.complianceFactor ?? 1)) * 0.4;
+  const recruited = profile.recruitability * (1 - Math.exp(-Math.max(0, peep - 5) / 8));
+  const derecruited = 1 + profile.recruitability * 0.1 * Math.max(0, 5 - peep);
+  const shunt = (profile.shunt + collapse) * (1 - recruited) * derecruited;
+  return Math.min(Math.max(shunt, 0), MAX_SHUNT);
+}
+
+/** Ventilación alveolar (L/min): frecuencia × (Vt − espacio muerto). */
+export function alveolarVentilation(inputs: GasExchangeInputs): number {
+  const weight = inputs.weightKg ?? DEFAULT_WEIGHT_KG;
+  const deadSpace = inputs.profile.deadSpaceFraction * 7 * weight;
+  const va = (inputs.respiratoryRate * Math.max(inputs.tidalVolume - deadSpace, 0)) / 1000;
+  return Math.max(va, MIN_ALVEOLAR_VENTILATION);
+}
+
+/** PaCO₂ y PaO₂ de equilibrio para esos ajustes. */
+export function steadyStateGases(inputs: GasExchangeInputs): { pao2: number; paco2: number } {
+  const vco2 = VCO2_PER_KG * (inputs.weightKg ?? DEFAULT_WEIGHT_KG);
+  const paco2 = Math.min(Math.max((0.863 * vco2) / alveolarVentilation(inputs), 15), 150);
+
+  const fio2 = Math.min(Math.max(inputs.fio2, 0.21), 1);
+  const alveolarPo2 = fio2 * (BAROMETRIC_PRESSURE - WATER_VAPOR_PRESSURE) - paco2 / RESPIRATORY_QUOTIENT;
+  const capillaryPo2 = Math.max(alveolarPo2 - inputs.profile.vqGradient, 20);
+
+  // Mezcla de sangre capilar con la venosa del shunt (ecuación del shunt
+  // despejada con una diferencia arteriovenosa fija).
+  const shunt = effectiveShunt(inputs);
+  const arterialContent = oxygenContent(capillaryPo2) - (shunt * AV_CONTENT_DIFFERENCE) / (1 - shunt);
+  const pao2 = po2FromContent(arterialContent, capillaryPo2);
+  return { pao2, paco2 };
+}
+
+/** Gasometría completa a partir de PaO₂, PaCO₂ y el componente metabólico. */
+export function bloodGasFromState(state: GasExchangeState, fio2: number): SimulatedBloodGas {
+  // Tamponamiento agudo: +0.1 mEq/L de HCO₃⁻ por mmHg de PaCO₂ sobre 40.
+  const hco3 = state.metabolicHco3 + 0.1 * (state.paco2 - 40);
+  const ph = 6.1 + Math.log10(hco3 / (0.03 * state.paco2));
+  return {
+    ph,
+    pao2: state.pao2,
+    paco2: state.paco2,
+    hco3,
+    // El exceso de base refleja sólo el componente metabólico.
+    baseExcess: state.metabolicHco3 - 24,
+    spo2: saturationFromPo2(state.pao2) * 100,
+    pfRatio: state.pao2 / Math.min(Math.max(fio2, 0.21), 1),
+  };
+}
+
+// =============================================================================
+// Modelo en el tiempo
+// =============================================================================
+
+export class GasExchangeModel {
+  private state: GasExchangeState;
+
+  constructor(initial: GasExchangeState) {
+    this.state = { ...initial };
+  }
+
+  /** Paciente ya equilibrado con estos ajustes. */
+  static atSteadyState(inputs: GasExchangeInputs): GasExchangeModel {
+    return new GasExchangeModel({ ...steadyStateGases(inputs), metabolicHco3: inputs.profile.hco3 });
+  }
+
+  /**
+   * Paciente que parte de su gasometría de ingreso; lo que falte se toma del
+   * estado estable de los ajustes actuales.
+   */
+  static fromBloodGas(baseline: Partial<ArterialBloodGas>, inputs: GasExchangeInputs): GasExchangeModel {
+    const steady = steadyStateGases(inputs);
+    const paco2 = baseline.paco2 ?? steady.paco2;
+    return new GasExchangeModel({
+      pao2: baseline.pao2 ?? steady.pao2,
+      paco2,
+      metabolicHco3: baseline.hco3 !== undefined ? baseline.hco3 - 0.1 * (paco2 - 40) : inputs.profile.hco3,
+    });
+  }
+
+  /** Avanza `dtSeconds` hacia el equilibrio de los ajustes dados. */
+  advance(dtSeconds: number, inputs: GasExchangeInputs): SimulatedBloodGas {
+    if (dtSeconds > 0) {
+      const target = steadyStateGases(inputs);
+      const kO2 = 1 - Math.exp(-dtSeconds / TAU_O2_S);
+      const kCo2 = 1 - Math.exp(-dtSeconds / TAU_CO2_S);
+      this.state = {
+        ...this.state,
+        pao2: this.state.pao2 + (target.pao2 - this.state.pao2) * kO2,
+        paco2: this.state.paco2 + (target.paco2 - this.state.paco2) * kCo2,
+      };
+    }
+    return bloodGasFromState(this.state, inputs.fio2);
+  }
+
+  get snapshot(): GasExchangeState {
+    return { ...this.state };
+  }
+}
@@ -0,0 +1,139 @@
+/*
+ * Funcionalidad: localLungEmitter
+ * Descripción: Fuente local de telemetría basada en el pulmón simulado
+ *   (lungModel). SINGLETON ref-contado, igual que el emisor sintético de dev: un
+ *   único temporizador avanza el modelo hasta el reloj de pared y reparte las
+ *   muestras (fan-out) a los suscriptores. Permite ver curvas fisiológicamente
+ *   coherentes en el simulador sin backend ni dispositivo físico. Un escenario
+ *   de asincronías opcional añade el esfuerzo del paciente y ajusta el trigger.
+ *   Expone las maniobras de pausa inspiratoria/espiratoria del modelo.
+ * Versión: 1.2
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import type { VentilatorReading } from '@/contracts/simulator.contracts';
+import {
+  LungModel,
+  BASELINE_MECHANICS,
+  type HoldKind,
+  type LungMechanics,
+  type SimulatedCommand,
+} from '@/features/simulador/compartido/simulacion/lungModel';
+import {
+  applyScenarioToCommand,
+  createEffortSource,
+  type AsynchronyScenario,
+} from '@/features/simulador/compartido/simulacion/asynchronyScenarios';
+
+type Listener = (reading: VentilatorReading) => void;
+
+/** Frecuencia de muestreo del pulmón local (Hz). */
+const LOCAL_LUNG_HZ = 50;
+/** Periodo del temporizador; cada tick emite las muestras vencidas. */
+const TICK_MS = 40;
+
+const DEFAULT_COMMAND: SimulatedCommand = {
+  mode: 'VCV',
+  tidalVolume: 500,
+  respiratoryRate: 12,
+  peep: 5,
+  fio2: 0.21,
+};
+
+const listeners = new Set<Listener>();
+let timer: ReturnType<typeof setInterval> | null = null;
+let model: LungModel | null = null;
+
+let command: SimulatedCommand = DEFAULT_COMMAND;
+let mechanics: LungMechanics = BASELINE_MECHANICS;
+let scenario: AsynchronyScenario | null = null;
+
+function tick(): void {
+  if (!model) return;
+  const readings = model.advanceTo(Date.now());
+  readings.forEach((reading) => listeners.forEach((fn) => fn(reading)));
+}
+
+function start(): void {
+  if (timer) return;
+  model = new LungModel(applyScenarioToCommand(command, scenario), mechanics, {
+    sampleRateHz: LOCAL_LUNG_HZ,
+    startTimestamp: Date.now(),
+  });
+  model.setPatientEffort(createEffortSource(scenario));
+  timer = setInterval(tick, TICK_MS);
+}
+
+function stop(): void {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+  model = null;
+}
+
+/**
+ * Actualiza el comando y la mecánica del pulmón local. Si está corriendo, el
+ * comando entra en vigor en el próximo ciclo y la mecánica de inmediato.
+ */
+export function configureLocalLung(nextCommand: SimulatedCommand, nextMechanics: LungMechanics): void {
+  if (nextCommand !== command) {
+    command = nextCommand;
+    model?.setCommand(applyScenarioToCommand(nextCommand, scenario));
+  }
+  if (nextMechanics !== mechanics) {
+    mechanics = nextMechanics;
+    model?.setMechanics(nextMechanics);
+  }
+}
+
+/**
+ * Activa (o retira con null) un escenario de asincronías. El esfuerzo del
+ * paciente cambia de inmediato; los ajustes de trigger/ciclado, en el próximo
+ * ciclo.
+ */
+export function setLocalLungScenario(nextScenario: AsynchronyScenario | null): void {
+  if (nextScenario === scenario) return;
+  scenario = nextScenario;
+  model?.setCommand(applyScenarioToCommand(command, scenario));
+  model?.setPatientEffort(createEffortSource(scenario));
+}
+
+/** PEEP intrínseca actual del pulmón local (0 si no está corriendo). */
+export function getLocalLungIntrinsicPeep(): number {
+  return model?.intrinsicPeep ?? 0;
+}
+
+/**
+ * Pide una maniobra de pausa al pulmón local. Devuelve false si no está
+ * corriendo (no hay a quién pedírsela).
+ */
+export function requestLocalLungHold(kind: HoldKind, durationS: number): boolean {
+  if (!model) return false;
+  model.requestHold(kind, durationS);
+  return true;
+}
+
+/** Cancela la pausa pedida o en curso del pulmón local. */
+export function cancelLocalLungHold(): void {
+  model?.cancelHold();
+}
+
+/**
+ * Suscribe un listener al pulmón local. Ref-contado: el modelo se crea con el
+ * primer suscriptor y se descarta al quedar sin suscriptores.
+ */
+export function subscribeLocalLung(listener: Listener): () => void {
+  listeners.add(listener);
+  start();
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) stop();
+  };
+}
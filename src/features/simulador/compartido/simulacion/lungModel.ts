@@ -0,0 +1,709 @@
+/*
+ * Funcionalidad: lungModel
+ * Descripción: Motor local y determinista del pulmón simulado. Integra la
+ *   ecuación de movimiento del sistema respiratorio
+ *       Paw = V/C + R·Q + PEEP
+ *   a partir del VentilatorCommand vigente y de la mecánica del paciente
+ *   (compliance/resistencia), y produce muestras con la MISMA forma
+ *   VentilatorReading que ingiere ventilatorStreamStore. Soporta un modelo
+ *   bicompartimental opcional (dos unidades en paralelo con constantes de tiempo
+ *   distintas) y PEEP intrínseca: si el tiempo espiratorio no alcanza para vaciar
+ *   el pulmón, el volumen atrapado eleva la presión alveolar de fin de espiración.
+ *   Sin ruido ni aleatoriedad: las mismas entradas producen siempre las mismas
+ *   curvas, de modo que el estudiante ve causa-efecto al cambiar Vt, PEEP o Ti.
+ *   La inspiración sigue la variable de control de las tramas V?/P?/F? del
+ *   SerialProtocol (volumen, presión o flujo), con flujo en escalón o rampa
+ *   descendente y pausas inspiratoria/espiratoria a circuito cerrado.
+ *   Admite un esfuerzo del paciente (Pmus) con disparo por flujo y etiqueta en
+ *   las lecturas los disparos del paciente y las asincronías resultantes.
+ *   Opcionalmente la compliance cae por encima de un volumen de sobredistensión,
+ *   lo que produce el "pico de pato" en el bucle P–V.
+ *   Admite maniobras de pausa inspiratoria y espiratoria a demanda: las
+ *   válvulas se cierran al terminar la siguiente inspiración (o espiración)
+ *   durante el tiempo pedido, con el reloj del ciclo detenido y sin disparos.
+ * Versión: 1.4
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import type {
+  VentilatorCommand,
+  VentilatorEventType,
+  VentilatorReading,
+} from '@/contracts/simulator.contracts';
+import type { PatientEffortSource } from '@/features/simulador/compartido/simulacion/patientEffort';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+/** Unidad pulmonar elástica-resistiva. */
+export interface LungCompartment {
+  /** Compliance en ml/cmH₂O */
+  compliance: number;
+  /** Resistencia de la vía aérea en cmH₂O/L/s */
+  resistance: number;
+}
+
+/**
+ * Mecánica del paciente. Los campos de primer nivel describen la (primera)
+ * unidad pulmonar; `secondCompartment` activa el modelo bicompartimental.
+ */
+export interface LungMechanics extends LungCompartment {
+  /**
+   * Multiplicador de la resistencia durante la espiración (limitación al flujo
+   * espiratorio, p. ej. EPOC/asma). 1 = simétrica.
+   */
+  expiratoryResistanceFactor?: number;
+  /** Segunda unidad en paralelo (pulmón heterogéneo). */
+  secondCompartment?: LungCompartment;
+  /**
+   * Volumen (ml sobre la FRC) a partir del cual cada unidad se sobredistiende:
+   * la elastancia crece con el volumen excedente (punto de inflexión superior).
+   */
+  overdistensionVolume?: number;
+}
+
+/** Variable controlada en inspiración (V? / P? / F? del SerialProtocol). */
+export type ControlVariable = 'volume' | 'pressure' | 'flow';
+
+/** Forma del flujo inspiratorio (E? = escalón, R? = rampa descendente). */
+export type FlowPattern = 'square' | 'decelerating';
+
+/**
+ * Comando del pulmón local. Extiende el contrato REST con los campos que sólo
+ * existen en la trama serial; todos son opcionales y, sin ellos, el modelo
+ * deduce la variable de control del `mode` y usa flujo en escalón sin pausas.
+ * `sensitivity` (heredado del contrato) es el umbral del disparo por flujo en
+ * L/min; sin él, los ciclos sólo se disparan por tiempo.
+ */
+export interface SimulatedCommand extends VentilatorCommand {
+  control?: ControlVariable;
+  flowPattern?: FlowPattern;
+  /** Pausa inspiratoria (plateau) en s, tras el tiempo inspiratorio. */
+  inspiratoryPause?: number;
+  /** Pausa espiratoria en s, al final de la espiración. */
+  expiratoryPause?: number;
+}
+
+export interface LungModelOptions {
+  /** Frecuencia de muestreo de salida en Hz (default 50). */
+  sampleRateHz?: number;
+  /** deviceId de las lecturas emitidas (default 'local-lung'). */
+  deviceId?: string;
+  /**
+   * Si es false, el pulmón se vacía por completo al inicio de cada ciclo
+   * (sin atrapamiento aéreo). Default true.
+   */
+  modelIntrinsicPeep?: boolean;
+  /** Timestamp (ms) de la primera muestra. Default 0. */
+  startTimestamp?: number;
+}
+
+export interface BreathTiming {
+  /** Duración total del ciclo en s (60 / FR) */
+  cycleTime: number;
+  /** Tiempo inspiratorio en s */
+  inspiratoryTime: number;
+  /** Pausa inspiratoria en s */
+  inspiratoryPause: number;
+  /** Tiempo espiratorio activo en s (sin la pausa espiratoria) */
+  expiratoryTime: number;
+  /** Pausa espiratoria en s */
+  expiratoryPause: number;
+}
+
+export type BreathPhase = 'inspiration' | 'inspiratoryPause' | 'expiration' | 'expiratoryPause';
+
+/** Maniobra de pausa a demanda (hold) del operador. */
+export type HoldKind = 'inspiratory' | 'expiratory';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** Mecánica de referencia de un adulto intubado sin patología pulmonar. */
+export const BASELINE_MECHANICS: LungMechanics = {
+  compliance: 50,
+  resistance: 10,
+};
+
+const DEFAULT_SAMPLE_RATE_HZ = 50;
+const DEFAULT_DEVICE_ID = 'local-lung';
+/** Paso interno de integración (s). Muy inferior a cualquier τ = R·C realista. */
+const INTEGRATION_STEP_S = 0.001;
+/**
+ * Atraso máximo (ms) que advanceTo recupera de una vez. Con la pestaña en
+ * segundo plano los timers se frenan durante minutos; más allá de este tramo
+ * el reloj salta hacia adelante en lugar de emitir todas las muestras juntas.
+ */
+const MAX_CATCH_UP_MS = 2000;
+/** Presión de distensión usada en modos presión cuando no llega pressureLimit. */
+const DEFAULT_DRIVING_PRESSURE = 15;
+const DEFAULT_IE_RATIO = { inspiration: 1, expiration: 2 };
+/** Flujo de control de flujo (L/min) cuando el comando no trae flowRate. */
+const DEFAULT_FLOW_RATE = 60;
+/** Fracción máxima del ciclo que pueden ocupar las dos pausas juntas. */
+const MAX_PAUSE_FRACTION = 0.5;
+/** Tiempo tras el ciclado en el que el trigger está bloqueado (s). */
+const TRIGGER_REFRACTORY_S = 0.15;
+/** Caída de Paw bajo PEEP que dispara durante la pausa espiratoria (cmH₂O). */
+const TRIGGER_PRESSURE_DROP = 1;
+/** Pmus a partir de la cual se considera que hay un esfuerzo en curso (cmH₂O). */
+const EFFORT_THRESHOLD = 0.1;
+/** Volumen sobre el punto de inflexión superior que duplica la elastancia (ml). */
+const OVERDISTENSION_DOUBLING_ML = 100;
+/**
+ * Pmus sostenida durante una inspiración a flujo impuesto que indica que la
+ * demanda del paciente supera el flujo entregado (cmH₂O).
+ */
+const FLOW_STARVATION_PMUS = 5;
+/** Margen desde el inicio de la inspiración antes de evaluar hambre de flujo (s). */
+const FLOW_STARVATION_DELAY_S = 0.2;
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+function parseIeRatio(ieRatio: string | undefined): { inspiration: number; expiration: number } {
+  if (!ieRatio) return DEFAULT_IE_RATIO;
+  const [i, e] = ieRatio.split(':').map(Number);
+  if (!i || !e || !Number.isFinite(i) || !Number.isFinite(e)) return DEFAULT_IE_RATIO;
+  return { inspiration: i, expiration: e };
+}
+
+/**
+ * Resuelve los tiempos del ciclo a partir del comando. Igual que el dashboard
+ * (tciclo = 60/FR − pausas), las pausas se descuentan del ciclo y el resto se
+ * reparte entre Ti y Te: usa inspiratoryTime si viene (acotado) y, si no, la
+ * relación I:E (default 1:2).
+ */
+export function resolveBreathTiming(command: SimulatedCommand): BreathTiming {
+  const rate = command.respiratoryRate > 0 ? command.respiratoryRate : 12;
+  const cycleTime = 60 / rate;
+
+  let inspiratoryPause = Math.max(0, command.inspiratoryPause ?? 0);
+  let expiratoryPause = Math.max(0, command.expiratoryPause ?? 0);
+  const maxPauses = cycleTime * MAX_PAUSE_FRACTION;
+  if (inspiratoryPause + expiratoryPause > maxPauses) {
+    const scale = maxPauses / (inspiratoryPause + expiratoryPause);
+    inspiratoryPause *= scale;
+    expiratoryPause *= scale;
+  }
+  const activeTime = cycleTime - inspiratoryPause - expiratoryPause;
+
+  let inspiratoryTime: number;
+  if (command.inspiratoryTime && command.inspiratoryTime > 0) {
+    inspiratoryTime = Math.min(command.inspiratoryTime, activeTime * 0.9);
+  } else {
+    const { inspiration, expiration } = parseIeRatio(command.ieRatio);
+    inspiratoryTime = activeTime * (inspiration / (inspiration + expiration));
+  }
+
+  return {
+    cycleTime,
+    inspiratoryTime,
+    inspiratoryPause,
+    expiratoryTime: activeTime - inspiratoryTime,
+    expiratoryPause,
+  };
+}
+
+/**
+ * Variable de control efectiva: la explícita del comando o, si no viene, la
+ * del modo del contrato (VCV/SIMV → volumen, PCV/PSV → presión).
+ */
+export function controlOf(command: SimulatedCommand): ControlVariable {
+  if (command.control) return command.control;
+  return command.mode === 'VCV' || command.mode === 'SIMV' ? 'volume' : 'pressure';
+}
+
+/**
+ * Presión elástica de una unidad (cmH₂O): V/C y, por encima del volumen de
+ * sobredistensión, un término cuadrático cuya pendiente duplica la elastancia
+ * cada OVERDISTENSION_DOUBLING_ML.
+ */
+function elasticPressure(unit: LungCompartment, volume: number, overdistensionVolume?: number): number {
+  const linear = volume / unit.compliance;
+  if (overdistensionVolume === undefined || volume <= overdistensionVolume) return linear;
+  const excess = volume - overdistensionVolume;
+  return linear + (excess * excess) / (2 * OVERDISTENSION_DOUBLING_ML * unit.compliance);
+}
+
+function unitsOf(mechanics: LungMechanics): LungCompartment[] {
+  const first = { compliance: mechanics.compliance, resistance: mechanics.resistance };
+  return mechanics.secondCompartment ? [first, mechanics.secondCompartment] : [first];
+}
+
+// =============================================================================
+// Engine
+// =============================================================================
+
+/**
+ * Pulmón simulado de uno o dos compartimentos ventilado por el comando dado.
+ *
+ * - Control de volumen: flujo impuesto que entrega Vt en Ti — escalón (Vt/Ti) o
+ *   rampa descendente (pico 2·Vt/Ti que cae linealmente a 0); la presión en vía
+ *   aérea resulta de la ecuación de movimiento.
+ * - Control de flujo: el mismo perfil con el pico fijado por flowRate (L/min);
+ *   el volumen entregado es la consecuencia.
+ * - Control de presión: Paw = pressureLimit; el flujo decae exponencialmente
+ *   con τ = R·C.
+ * - Pausas inspiratoria y espiratoria con válvulas cerradas: el flujo en la vía
+ *   aérea es 0 y Paw se iguala a la presión alveolar (plateau / PEEP total).
+ * - Espiración pasiva contra PEEP.
+ * - Con una fuente de esfuerzo, Pmus resta a la presión alveolar en todas las
+ *   fases. Si `sensitivity` > 0, un flujo inspiratorio ≥ sensitivity durante la
+ *   espiración (o una caída de Paw en la pausa espiratoria) dispara un ciclo
+ *   asistido. Cada lectura puede llevar el evento detectado en esa muestra.
+ *
+ * Los cambios de comando se aplican al inicio del siguiente ciclo, como en un
+ * ventilador real; los cambios de mecánica se aplican de inmediato.
+ */
+export class LungModel {
+  private command: SimulatedCommand;
+  private pendingCommand: SimulatedCommand | null = null;
+  private mechanics: LungMechanics;
+  private timing: BreathTiming;
+
+  private readonly sampleIntervalS: number;
+  private readonly deviceId: string;
+  private readonly modelIntrinsicPeep: boolean;
+  /** Se adelanta cuando advanceTo descarta un atraso mayor a MAX_CATCH_UP_MS. */
+  private startTimestamp: number;
+
+  /** Volumen por unidad por encima del volumen de relajación a PEEP (ml). */
+  private volumes: number[];
+  /** Tiempo transcurrido del modelo (s). */
+  private elapsed = 0;
+  /** Tiempo dentro del ciclo actual (s). */
+  private cycleElapsed = 0;
+  private breathStartVolume = 0;
+  private endExpiratoryVolume = 0;
+  private breathCount = 0;
+
+  /** Reloj de integración (s), avanza en cada sub-paso. */
+  private clock = 0;
+  private effort: PatientEffortSource | null = null;
+  /** Ciclos entregados durante el esfuerzo en curso (null = sin esfuerzo). */
+  private effortBreaths: number | null = null;
+  private triggerRequested = false;
+  private starvationFlagged = false;
+  private pendingEvents: VentilatorEventType[] = [];
+
+  /** Pausa pedida que aún no empieza; `breath` = ciclo en que se pidió. */
+  private pendingHold: { kind: HoldKind; duration: number; breath: number; duringInspiration: boolean } | null = null;
+  /** Pausa en curso y tiempo restante (s). */
+  private activeHold: { kind: HoldKind; remaining: number } | null = null;
+
+  constructor(command: SimulatedCommand, mechanics: LungMechanics = BASELINE_MECHANICS, options: LungModelOptions = {}) {
+    this.command = command;
+    this.mechanics = mechanics;
+    this.timing = resolveBreathTiming(command);
+    this.sampleIntervalS = 1 / (options.sampleRateHz ?? DEFAULT_SAMPLE_RATE_HZ);
+    this.deviceId = options.deviceId ?? DEFAULT_DEVICE_ID;
+    this.modelIntrinsicPeep = options.modelIntrinsicPeep ?? true;
+    this.startTimestamp = options.startTimestamp ?? 0;
+    this.volumes = unitsOf(mechanics).map(() => 0);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Configuración
+  // ---------------------------------------------------------------------------
+
+  /** Programa un nuevo comando; entra en vigor en el próximo ciclo. */
+  setCommand(command: SimulatedCommand): void {
+    this.pendingCommand = command;
+  }
+
+  /** Actualiza la mecánica del paciente (efecto inmediato). */
+  setMechanics(mechanics: LungMechanics): void {
+    const units = unitsOf(mechanics);
+    if (units.length !== this.volumes.length) {
+      // Al pasar de 1 a 2 unidades (o viceversa) se reparte el volumen actual
+      // en proporción a las compliances para conservar la presión alveolar.
+      const total = this.volumes.reduce((a, b) => a + b, 0);
+      const totalC = units.reduce((a, u) => a + u.compliance, 0);
+      this.volumes = units.map((u) => (total * u.compliance) / totalC);
+    }
+    this.mechanics = mechanics;
+  }
+
+  /**
+   * Conecta (o retira con null) el esfuerzo del paciente. Efecto inmediato;
+   * la fuente se consulta con el reloj interno del modelo.
+   */
+  setPatientEffort(effort: PatientEffortSource | null): void {
+    this.effort = effort;
+    this.effortBreaths = null;
+  }
+
+  /**
+   * Pide una pausa de `durationS` segundos. La inspiratoria cierra las válvulas
+   * al terminar el flujo inspiratorio (de este ciclo si aún está en
+   * inspiración, si no del siguiente); la espiratoria, al final de la
+   * espiración en lugar de iniciar el próximo ciclo. Reemplaza a una pausa
+   * pedida que no haya empezado.
+   */
+  requestHold(kind: HoldKind, durationS: number): void {
+    if (durationS <= 0) return;
+    this.pendingHold = {
+      kind,
+      duration: durationS,
+      breath: this.breathCount,
+      duringInspiration: this.phase === 'inspiration',
+    };
+  }
+
+  /** Cancela la pausa pedida o en curso; el ciclo continúa donde quedó. */
+  cancelHold(): void {
+    this.pendingHold = null;
+    this.activeHold = null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Lectura de estado
+  // ---------------------------------------------------------------------------
+
+  /** Timestamp (ms) de la próxima muestra a emitir. */
+  get nextTimestamp(): number {
+    return this.startTimestamp + Math.round(this.elapsed * 1000);
+  }
+
+  get phase(): BreathPhase {
+    if (this.activeHold) return this.activeHold.kind === 'inspiratory' ? 'inspiratoryPause' : 'expiratoryPause';
+    const { inspiratoryTime, inspiratoryPause, expiratoryTime } = this.timing;
+    const t = this.cycleElapsed;
+    if (t < inspiratoryTime) return 'inspiration';
+    if (t < inspiratoryTime + inspiratoryPause) return 'inspiratoryPause';
+    if (t < inspiratoryTime + inspiratoryPause + expiratoryTime) return 'expiration';
+    return 'expiratoryPause';
+  }
+
+  /** Pausa a demanda en curso, o null. */
+  get hold(): HoldKind | null {
+    return this.activeHold?.kind ?? null;
+  }
+
+  /** Ciclos iniciados desde la creación del modelo. */
+  get breaths(): number {
+    return this.breathCount;
+  }
+
+  /**
+   * PEEP intrínseca (cmH₂O) del último fin de espiración: presión de equilibrio
+   * del volumen atrapado sobre la compliance total.
+   */
+  get intrinsicPeep(): number {
+    const totalC = unitsOf(this.mechanics).reduce((a, u) => a + u.compliance, 0);
+    return totalC > 0 ? this.endExpiratoryVolume / totalC : 0;
+  }
+
+  getCommand(): SimulatedCommand {
+    return this.command;
+  }
+
+  getTiming(): BreathTiming {
+    return this.timing;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Integración
+  // ---------------------------------------------------------------------------
+
+  private startBreath(): void {
+    if (this.triggerRequested || this.breathCount === 0) {
+      this.cycleElapsed = 0;
+    } else {
+      // Ciclo por tiempo: conserva el sobrante para que el reloj no derive. Si
+      // coincide con un esfuerzo, ese esfuerzo queda atendido.
+      this.cycleElapsed = Math.max(0, this.cycleElapsed - this.timing.cycleTime);
+      if (this.effortBreaths !== null) this.effortBreaths += 1;
+    }
+    this.triggerRequested = false;
+    this.starvationFlagged = false;
+    if (this.pendingCommand) {
+      this.command = this.pendingCommand;
+      this.timing = resolveBreathTiming(this.command);
+      this.pendingCommand = null;
+    }
+    this.endExpiratoryVolume = this.volumes.reduce((a, b) => a + b, 0);
+    if (!this.modelIntrinsicPeep) {
+      this.volumes = this.volumes.map(() => 0);
+      this.endExpiratoryVolume = 0;
+    }
+    this.breathStartVolume = this.volumes.reduce((a, b) => a + b, 0);
+    this.breathCount += 1;
+  }
+
+  /**
+   * Flujo inspiratorio impuesto (L/s) en el instante actual para los controles
+   * de volumen y flujo. La rampa descendente parte del doble del flujo medio
+   * (volumen) o de flowRate (flujo) y cae linealmente a 0 al final de Ti.
+   */
+  private setInspiratoryFlow(): number {
+    const { inspiratoryTime } = this.timing;
+    const decelerating = this.command.flowPattern === 'decelerating';
+    const peak = controlOf(this.command) === 'flow'
+      ? (this.command.flowRate ?? DEFAULT_FLOW_RATE) / 60
+      : (this.command.tidalVolume / 1000 / inspiratoryTime) * (decelerating ? 2 : 1);
+    if (!decelerating) return peak;
+    return peak * Math.max(0, 1 - this.cycleElapsed / inspiratoryTime);
+  }
+
+  /**
+   * Sigue los esfuerzos del paciente: al terminar uno que no recibió ningún
+   * ciclo, lo registra como esfuerzo ineficaz.
+   */
+  private trackEffort(pmus: number): void {
+    const active = pmus > EFFORT_THRESHOLD;
+    if (active && this.effortBreaths === null) {
+      // Un esfuerzo que arranca con la inspiración en curso ya tiene ciclo
+      const phase = this.phase;
+      this.effortBreaths = phase === 'inspiration' || phase === 'inspiratoryPause' ? 1 : 0;
+    } else if (!active && this.effortBreaths !== null) {
+      if (this.effortBreaths === 0) this.pendingEvents.push('INEFFECTIVE_EFFORT');
+      this.effortBreaths = null;
+    }
+  }
+
+  /**
+   * Evalúa el trigger durante la espiración y clasifica el disparo: por el
+   * paciente, doble disparo (el mismo esfuerzo ya recibió un ciclo) o
+   * autodisparo (sin esfuerzo).
+   */
+  private evaluateTrigger(phase: BreathPhase, paw: number, measuredFlow: number): void {
+    const sensitivity = this.command.sensitivity ?? 0;
+    if (sensitivity <= 0 || this.triggerRequested || this.activeHold) return;
+    if (phase !== 'expiration' && phase !== 'expiratoryPause') return;
+
+    const { inspiratoryTime, inspiratoryPause } = this.timing;
+    if (this.cycleElapsed - inspiratoryTime - inspiratoryPause < TRIGGER_REFRACTORY_S) return;
+
+    const triggered = phase === 'expiration'
+      ? measuredFlow >= sensitivity
+      : paw <= this.command.peep - TRIGGER_PRESSURE_DROP;
+    if (!triggered) return;
+
+    this.triggerRequested = true;
+    if (this.effortBreaths === null) {
+      this.pendingEvents.push('AUTO_TRIGGER');
+    } else {
+      this.pendingEvents.push(this.effortBreaths > 0 ? 'DOUBLE_TRIGGER' : 'PATIENT_TRIGGER');
+      this.effortBreaths += 1;
+    }
+  }
+
+  /**
+   * Avanza un paso de integración y devuelve presión en vía aérea (cmH₂O),
+   * flujo total (L/s), presión muscular y artefacto al inicio del paso.
+   */
+  private integrate(dt: number): { paw: number; flow: number; pmus: number; artifact: number } {
+    const units = unitsOf(this.mechanics);
+    const { peep } = this.command;
+    const pmus = this.effort?.muscularPressure(this.clock) ?? 0;
+    const artifact = this.effort?.flowArtifact?.(this.clock) ?? 0;
+    this.trackEffort(pmus);
+    const { overdistensionVolume } = this.mechanics;
+    const alveolar = units.map(
+      (u, i) => peep + elasticPressure(u, this.volumes[i] ?? 0, overdistensionVolume) - pmus,
+    );
+    const conductance = units.reduce((a, u) => a + 1 / u.resistance, 0);
+    const weighted = units.reduce((a, u, i) => a + (alveolar[i] ?? peep) / u.resistance, 0);
+    const phase = this.phase;
+
+    let paw: number;
+    let flows: number[];
+
+    if (phase === 'inspiration') {
+      if (controlOf(this.command) === 'pressure') {
+        paw = this.command.pressureLimit ?? peep + DEFAULT_DRIVING_PRESSURE;
+      } else {
+        // Flujo total impuesto; Paw se despeja de Q = Σ (Paw − Palv_i) / R_i
+        paw = (this.setInspiratoryFlow() + weighted) / conductance;
+      }
+      flows = units.map((u, i) => (paw - (alveolar[i] ?? peep)) / u.resistance);
+    } else if (phase === 'inspiratoryPause' || phase === 'expiratoryPause') {
+      // Válvulas cerradas: Q total = 0. Con dos unidades queda el pendelluft
+      // entre ellas mientras sus presiones alveolares se igualan.
+      paw = weighted / conductance;
+      flows = units.map((u, i) => (paw - (alveolar[i] ?? peep)) / u.resistance);
+    } else {
+      paw = peep;
+      const factor = this.mechanics.expiratoryResistanceFactor ?? 1;
+      flows = units.map((u, i) => (paw - (alveolar[i] ?? peep)) / (u.resistance * factor));
+    }
+
+    const flow = flows.reduce((a, b) => a + b, 0);
+    this.evaluateTrigger(phase, paw, flow * 60 + artifact);
+
+    if (
+      phase === 'inspiration' &&
+      !this.starvationFlagged &&
+      controlOf(this.command) !== 'pressure' &&
+      this.cycleElapsed >= FLOW_STARVATION_DELAY_S &&
+      pmus >= FLOW_STARVATION_PMUS
+    ) {
+      this.starvationFlagged = true;
+      this.pendingEvents.push('FLOW_STARVATION');
+    }
+
+    this.volumes = this.volumes.map((v, i) => v + (flows[i] ?? 0) * 1000 * dt);
+    return { paw, flow, pmus, artifact };
+  }
+
+  /**
+   * Inicia el ciclo que corresponda o, si hay una pausa pedida y llegó su
+   * momento, la pausa en su lugar. Durante la pausa el ciclo no avanza.
+   */
+  private advanceCycle(): void {
+    if (this.activeHold) return;
+    const pending = this.pendingHold;
+    const cycleDue = this.triggerRequested || this.cycleElapsed >= this.timing.cycleTime;
+
+    if (pending?.kind === 'expiratory' && cycleDue && !this.triggerRequested && this.breathCount > 0) {
+      this.activeHold = { kind: 'expiratory', remaining: pending.duration };
+      this.pendingHold = null;
+      return;
+    }
+    if (this.breathCount === 0 || cycleDue) this.startBreath();
+
+    if (
+      pending?.kind === 'inspiratory' &&
+      this.cycleElapsed >= this.timing.inspiratoryTime &&
+      (pending.duringInspiration || this.breathCount > pending.breath)
+    ) {
+      this.activeHold = { kind: 'inspiratory', remaining: pending.duration };
+      this.pendingHold = null;
+    }
+  }
+
+  /** Genera la siguiente muestra a la frecuencia de muestreo configurada. */
+  next(): VentilatorReading {
+    this.advanceCycle();
+
+    const timestamp = this.nextTimestamp;
+    const volume = this.volumes.reduce((a, b) => a + b, 0) - this.breathStartVolume;
+    let sample: { paw: number; flow: number; pmus: number; artifact: number } | null = null;
+
+    // Sub-pasos de integración hasta cubrir el intervalo de muestreo; la
+    // muestra reporta el estado al inicio del intervalo.
+    let remaining = this.sampleIntervalS;
+    while (remaining > 1e-9) {
+      this.advanceCycle();
+      const dt = Math.min(INTEGRATION_STEP_S, remaining);
+      const step = this.integrate(dt);
+      sample ??= step;
+      remaining -= dt;
+      if (this.activeHold) {
+        this.activeHold.remaining -= dt;
+        if (this.activeHold.remaining <= 1e-9) this.activeHold = null;
+      } else {
+        this.cycleElapsed += dt;
+      }
+      this.clock += dt;
+    }
+    this.elapsed += this.sampleIntervalS;
+
+    const event = this.pendingEvents.shift();
+    return {
+      pressure: sample?.paw ?? this.command.peep,
+      flow: (sample?.flow ?? 0) * 60 + (sample?.artifact ?? 0),
+      volume,
+      timestamp,
+      deviceId: this.deviceId,
+      ...(this.effort ? { pmus: sample?.pmus ?? 0 } : {}),
+      ...(event ? { event } : {}),
+    };
+  }
+
+  /** Genera `count` muestras consecutivas. */
+  generate(count: number): VentilatorReading[] {
+    const out: VentilatorReading[] = [];
+    for (let i = 0; i < count; i++) out.push(this.next());
+    return out;
+  }
+
+  /**
+   * Genera todas las muestras con timestamp ≤ `timestamp` (ms), como mucho
+   * las de los últimos MAX_CATCH_UP_MS: el resto del atraso se salta y la
+   * simulación continúa desde el estado en que quedó.
+   */
+  advanceTo(timestamp: number): VentilatorReading[] {
+    const backlog = timestamp - this.nextTimestamp;
+    if (backlog > MAX_CATCH_UP_MS) this.startTimestamp += backlog - MAX_CATCH_UP_MS;
+    const out: VentilatorReading[] = [];
+    while (this.nextTimestamp <= timestamp) out.push(this.next());
+    return out;
+  }
+}
+
+// =============================================================================
+// Mecánica a partir de los datos del paciente
+// =============================================================================
+
+/** Condiciones respiratorias tal como las guarda PatientDataContext. */
+export interface RespiratoryConditionFlags {
+  asma?: boolean;
+  epoc?: boolean;
+  neumonia?: boolean;
+  covid19?: boolean;
+  ards?: boolean;
+}
+
+/** Mecánica típica por condición (valores docentes, paciente intubado). */
+const CONDITION_MECHANICS: Record<keyof RespiratoryConditionFlags, LungMechanics> = {
+  ards: { compliance: 25, resistance: 12, overdistensionVolume: 350 },
+  neumonia: { compliance: 35, resistance: 12 },
+  covid19: { compliance: 35, resistance: 12 },
+  epoc: { compliance: 60, resistance: 20, expiratoryResistanceFactor: 1.5 },
+  asma: { compliance: 45, resistance: 25, expiratoryResistanceFactor: 1.6 },
+};
+
+/**
+ * Combina las condiciones activas: la compliance más baja, la resistencia más
+ * alta, la mayor limitación espiratoria y el menor volumen de sobredistensión
+ * (el peor caso de cada parámetro).
+ */
+export function mechanicsFromConditions(
+  conditions: RespiratoryConditionFlags | null | undefined,
+): LungMechanics {
+  const active = (Object.keys(CONDITION_MECHANICS) as (keyof RespiratoryConditionFlags)[])
+    .filter((key) => conditions?.[key])
+    .map((key) => CONDITION_MECHANICS[key]);
+
+  if (active.length === 0) return BASELINE_MECHANICS;
+
+  const factor = Math.max(...active.map((m) => m.expiratoryResistanceFactor ?? 1));
+  const overdistension = active
+    .map((m) => m.overdistensionVolume)
+    .filter((v): v is number => v !== undefined);
+  return {
+    compliance: Math.min(...active.map((m) => m.compliance)),
+    resistance: Math.max(...active.map((m) => m.resistance)),
+    ...(factor > 1 ? { expiratoryResistanceFactor: factor } : {}),
+    ...(overdistension.length > 0 ? { overdistensionVolume: Math.min(...overdistension) } : {}),
+  };
+}
+
+/**
+ * Mecánica del paciente simulado: usa `respiratoryMechanics` cuando el backend
+ * la calculó y, si no, la deriva de las condiciones respiratorias.
+ */
+export function mechanicsFromPatientData(
+  patientData: {
+    respiratoryMechanics?: { compliance: number; resistance: number } | null;
+    respiratoryConditions?: RespiratoryConditionFlags | null;
+  } | null | undefined,
+): LungMechanics {
+  const derived = mechanicsFromConditions(patientData?.respiratoryConditions);
+  const measured = patientData?.respiratoryMechanics;
+  if (measured && measured.compliance > 0 && measured.resistance > 0) {
+    return { ...derived, compliance: measured.compliance, resistance: measured.resistance };
+  }
+  return derived;
+}
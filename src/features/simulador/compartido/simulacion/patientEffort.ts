@@ -0,0 +1,154 @@
+/*
+ * Funcionalidad: patientEffort
+ * Descripción: Esfuerzo inspiratorio del paciente para el pulmón simulado.
+ *   Genera la presión muscular (Pmus) de un paciente que respira por su cuenta
+ *   con su propia frecuencia neural, independiente de la del ventilador, y,
+ *   opcionalmente, las oscilaciones cardiogénicas que contaminan la señal de
+ *   flujo. Determinista: la variabilidad ciclo a ciclo sale de un generador
+ *   pseudoaleatorio con semilla fija, de modo que un escenario se repite igual.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+// =============================================================================
+// Types
+// =============================================================================
+
+/** Fuente de esfuerzo que consulta el pulmón en cada paso de integración. */
+export interface PatientEffortSource {
+  /** Pmus en cmH₂O (≥ 0; positivo = esfuerzo inspiratorio) en el tiempo t (s). */
+  muscularPressure(t: number): number;
+  /** Artefacto sumado al flujo medido (L/min), p. ej. oscilación cardiogénica. */
+  flowArtifact?(t: number): number;
+}
+
+export interface PatientEffortConfig {
+  /** Frecuencia neural del paciente (esfuerzos/min). */
+  rate: number;
+  /** Pmus pico en cmH₂O. */
+  amplitude: number;
+  /** Duración de la contracción inspiratoria (Ti neural) en s. */
+  inspiratoryTime: number;
+  /** Variabilidad del periodo entre esfuerzos (fracción 0–1). Default 0.1. */
+  variability?: number;
+  /** Instante del primer esfuerzo en s. Default 1. */
+  firstEffortAt?: number;
+  /** Semilla del generador pseudoaleatorio. */
+  seed?: number;
+}
+
+export interface CardiogenicOscillationConfig {
+  /** Frecuencia cardiaca (lpm). */
+  heartRate: number;
+  /** Amplitud de la oscilación sobre el flujo (L/min). */
+  amplitude: number;
+}
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** La relajación dura esta fracción del Ti neural. */
+const RELAXATION_FRACTION = 0.5;
+const DEFAULT_VARIABILITY = 0.1;
+const DEFAULT_SEED = 0x5eed;
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/** PRNG mulberry32: rápido, 32 bits y reproducible a partir de la semilla. */
+function mulberry32(seed: number): () => number {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// =============================================================================
+// Sources
+// =============================================================================
+
+/**
+ * Esfuerzo respiratorio espontáneo. Cada esfuerzo sube como medio coseno hasta
+ * `amplitude` durante el Ti neural y se relaja en la mitad de ese tiempo.
+ * Las consultas deben llegar con t no decreciente (el pulmón avanza en orden).
+ */
+export class PatientEffort implements PatientEffortSource {
+  private readonly config: Required<PatientEffortConfig>;
+  private readonly random: () => number;
+  private currentStart: number;
+  private nextStart: number;
+  private readonly oscillation: CardiogenicOscillationConfig | null;
+
+  constructor(config: PatientEffortConfig, oscillation: CardiogenicOscillationConfig | null = null) {
+    this.config = {
+      variability: DEFAULT_VARIABILITY,
+      firstEffortAt: 1,
+      seed: DEFAULT_SEED,
+      ...config,
+    };
+    this.random = mulberry32(this.config.seed);
+    this.currentStart = -Infinity;
+    this.nextStart = this.config.firstEffortAt;
+    this.oscillation = oscillation;
+  }
+
+  private nextPeriod(): number {
+    const period = 60 / Math.max(1, this.config.rate);
+    const jitter = (this.random() * 2 - 1) * this.config.variability;
+    // Nunca más corto que el propio esfuerzo: los esfuerzos no se solapan
+    const effortDuration = this.config.inspiratoryTime * (1 + RELAXATION_FRACTION);
+    return Math.max(effortDuration, period * (1 + jitter));
+  }
+
+  muscularPressure(t: number): number {
+    while (t >= this.nextStart) {
+      this.currentStart = this.nextStart;
+      this.nextStart = this.currentStart + this.nextPeriod();
+    }
+
+    const { amplitude, inspiratoryTime } = this.config;
+    const relaxation = inspiratoryTime * RELAXATION_FRACTION;
+    const s = t - this.currentStart;
+    if (s < 0) return 0;
+    if (s < inspiratoryTime) {
+      return (amplitude * (1 - Math.cos((Math.PI * s) / inspiratoryTime))) / 2;
+    }
+    if (s < inspiratoryTime + relaxation) {
+      return (amplitude * (1 + Math.cos((Math.PI * (s - inspiratoryTime)) / relaxation))) / 2;
+    }
+    return 0;
+  }
+
+  flowArtifact(t: number): number {
+    return this.oscillation ? cardiogenicFlow(this.oscillation, t) : 0;
+  }
+}
+
+/** Oscilación cardiogénica sobre el flujo medido (L/min) en el tiempo t (s). */
+export function cardiogenicFlow({ heartRate, amplitude }: CardiogenicOscillationConfig, t: number): number {
+  return amplitude * Math.sin((2 * Math.PI * heartRate * t) / 60);
+}
+
+/** Paciente pasivo (sin esfuerzo) con sólo oscilaciones cardiogénicas. */
+export class CardiogenicOscillation implements PatientEffortSource {
+  constructor(private readonly config: CardiogenicOscillationConfig) {}
+
+  muscularPressure(): number {
+    return 0;
+  }
+
+  flowArtifact(t: number): number {
+    return cardiogenicFlow(this.config, t);
+  }
+}
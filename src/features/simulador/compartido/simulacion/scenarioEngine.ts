@@ -0,0 +1,516 @@
+/*
+ * Funcionalidad: scenarioEngine
+ * Descripción: Motor de guiones de deterioro clínico del paciente simulado.
+ *   Un guion (ScenarioScript, guardado como JSON en el ClinicalCase) es una
+ *   lista de eventos con su disparador: un instante, una condición sobre el
+ *   último comando que envió el estudiante o un retardo tras otro evento. Sus
+ *   acciones cambian la mecánica respecto de la basal del caso (con rampa
+ *   lineal opcional), el esfuerzo del paciente o avisan al estudiante; los
+ *   presets (broncoespasmo, secreciones, neumotórax, lucha con el ventilador,
+ *   recuperación) se expanden a esas mismas acciones. Es puro y determinista:
+ *   no lee el reloj, el llamador le pasa los segundos transcurridos.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import type {
+  ScenarioAction,
+  ScenarioEffort,
+  ScenarioEvent,
+  ScenarioOperator,
+  ScenarioParameter,
+  ScenarioPreset,
+  ScenarioScript,
+  ScenarioTrigger,
+} from '@/contracts/patient.contracts';
+import type { VentilatorCommand } from '@/contracts/simulator.contracts';
+import type { LungMechanics } from '@/features/simulador/compartido/simulacion/lungModel';
+import {
+  ASYNCHRONY_SCENARIOS,
+  type AsynchronyScenario,
+  type AsynchronyScenarioId,
+} from '@/features/simulador/compartido/simulacion/asynchronyScenarios';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+/** Multiplicadores sobre la mecánica basal del caso. */
+export interface ScenarioFactors {
+  compliance: number;
+  resistance: number;
+  /** Limitación espiratoria absoluta; null = la de la mecánica basal. */
+  expiratoryResistanceFactor: number | null;
+}
+
+export interface ScenarioMessage {
+  text: string;
+  severity: 'info' | 'warning';
+}
+
+export interface FiredScenarioEvent {
+  event: ScenarioEvent;
+  elapsedSeconds: number;
+}
+
+/** Resultado de avanzar el motor hasta un instante. */
+export interface ScenarioStep {
+  fired: FiredScenarioEvent[];
+  messages: ScenarioMessage[];
+  /** El guion terminó en este paso (acción end o duración cumplida). */
+  ended: boolean;
+}
+
+export interface ScenarioValidation {
+  script: ScenarioScript | null;
+  errors: string[];
+}
+
+/** Cambio de mecánica ya expandido (los presets pueden volver a la basal). */
+interface MechanicsTarget {
+  complianceFactor?: number;
+  resistanceFactor?: number;
+  expiratoryResistanceFactor?: number | null;
+  rampSeconds?: number;
+}
+
+interface Ramp {
+  from: ScenarioFactors;
+  to: ScenarioFactors;
+  startSeconds: number;
+  durationSeconds: number;
+}
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+export const BASELINE_FACTORS: ScenarioFactors = {
+  compliance: 1,
+  resistance: 1,
+  expiratoryResistanceFactor: null,
+};
+
+export const SCENARIO_PRESET_LABELS: Record<ScenarioPreset, string> = {
+  bronchospasm: 'Broncoespasmo',
+  secretions: 'Secreciones',
+  pneumothorax: 'Neumotórax',
+  fighting: 'Lucha con el ventilador',
+  recovery: 'Recuperación',
+};
+
+export const SCENARIO_PARAMETER_LABELS: Record<ScenarioParameter, string> = {
+  peep: 'PEEP',
+  fio2: 'FiO₂',
+  tidalVolume: 'Volumen corriente',
+  respiratoryRate: 'Frecuencia',
+  pressureLimit: 'Presión máxima',
+  inspiratoryTime: 'Tiempo inspiratorio',
+};
+
+const OPERATOR_LABELS: Record<ScenarioOperator, string> = { gt: '>', gte: '≥', lt: '<', lte: '≤' };
+
+/** Esfuerzo intenso, rápido e irregular: el paciente no se acopla al ventilador. */
+const FIGHTING_EFFORT: ScenarioEffort = { rate: 32, amplitude: 10, inspiratoryTime: 0.8, variability: 0.3 };
+
+/** Rampa por defecto de cada preset (s); el guion puede cambiarla. */
+const PRESET_RAMP_SECONDS: Record<ScenarioPreset, number> = {
+  bronchospasm: 30,
+  secretions: 60,
+  pneumothorax: 10,
+  fighting: 0,
+  recovery: 60,
+};
+
+const TRIGGER_TYPES: ScenarioTrigger['type'][] = ['time', 'parameter', 'after'];
+const ACTION_TYPES: ScenarioAction['type'][] = ['mechanics', 'effort', 'preset', 'message', 'end'];
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+const round1 = (value: number): number => Math.round(value * 10) / 10;
+
+const isObject = (value: unknown): value is Record<string, unknown> =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const isPositive = (value: unknown): value is number =>
+  typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+const isNonNegative = (value: unknown): value is number =>
+  typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+function compare(actual: number, operator: ScenarioOperator, value: number): boolean {
+  switch (operator) {
+    case 'gt':
+      return actual > value;
+    case 'gte':
+      return actual >= value;
+    case 'lt':
+      return actual < value;
+    case 'lte':
+      return actual <= value;
+  }
+}
+
+function interpolate(from: number, to: number, fraction: number): number {
+  return from + (to - from) * fraction;
+}
+
+/** Escenario de asincronías equivalente a un esfuerzo del guion. */
+function effortScenario(effort: ScenarioEffort): AsynchronyScenario {
+  // Con el trigger del disparo por el paciente: cada esfuerzo suficiente dispara.
+  return {
+    ...ASYNCHRONY_SCENARIOS.disparoPaciente,
+    label: 'Esfuerzo del guion',
+    description: 'Esfuerzo del paciente definido por el guion del caso clínico.',
+    effort,
+  };
+}
+
+/** Acciones primitivas de un preset. */
+function expandPreset(preset: ScenarioPreset, rampSeconds?: number): (MechanicsTarget | { effort: ScenarioEffort | null })[] {
+  const ramp = rampSeconds ?? PRESET_RAMP_SECONDS[preset];
+  switch (preset) {
+    case 'bronchospasm':
+      return [{ resistanceFactor: 2.5, expiratoryResistanceFactor: 1.8, rampSeconds: ramp }];
+    case 'secretions':
+      return [{ resistanceFactor: 1.8, complianceFactor: 0.9, rampSeconds: ramp }];
+    case 'pneumothorax':
+      return [{ complianceFactor: 0.45, rampSeconds: ramp }];
+    case 'fighting':
+      return [{ effort: FIGHTING_EFFORT }];
+    case 'recovery':
+      return [
+        { complianceFactor: 1, resistanceFactor: 1, expiratoryResistanceFactor: null, rampSeconds: ramp },
+        { effort: null },
+      ];
+  }
+}
+
+/** Descripción corta de un disparador para la UI ("A los 180 s", "PEEP ≥ 10"). */
+export function describeTrigger(trigger: ScenarioTrigger): string {
+  switch (trigger.type) {
+    case 'time':
+      return `A los ${trigger.atSeconds} s`;
+    case 'parameter': {
+      const base = `${SCENARIO_PARAMETER_LABELS[trigger.parameter]} ${OPERATOR_LABELS[trigger.operator]} ${trigger.value}`;
+      return trigger.afterSeconds ? `${base} (desde los ${trigger.afterSeconds} s)` : base;
+    }
+    case 'after':
+      return `${trigger.delaySeconds} s después de "${trigger.eventId}"`;
+  }
+}
+
+/**
+ * Mecánica resultante de aplicar los factores a la basal. La segunda unidad
+ * del modelo bicompartimental, si existe, cambia en la misma proporción.
+ */
+export function applyScenarioFactors(base: LungMechanics, factors: ScenarioFactors): LungMechanics {
+  if (
+    factors.compliance === 1 &&
+    factors.resistance === 1 &&
+    factors.expiratoryResistanceFactor === null
+  ) {
+    return base;
+  }
+  const expiratory = factors.expiratoryResistanceFactor ?? base.expiratoryResistanceFactor;
+  return {
+    ...base,
+    compliance: round1(base.compliance * factors.compliance),
+    resistance: round1(base.resistance * factors.resistance),
+    ...(expiratory !== undefined ? { expiratoryResistanceFactor: expiratory } : {}),
+    ...(base.secondCompartment
+      ? {
+          secondCompartment: {
+            compliance: round1(base.secondCompartment.compliance * factors.compliance),
+            resistance: round1(base.secondCompartment.resistance * factors.resistance),
+          },
+        }
+      : {}),
+  };
+}
+
+// =============================================================================
+// Validación
+// =============================================================================
+
+function validateTrigger(trigger: unknown, where: string, ids: Set<string>, ownId: string, errors: string[]): void {
+  if (!isObject(trigger) || !TRIGGER_TYPES.includes(trigger.type as ScenarioTrigger['type'])) {
+    errors.push(`${where}: el disparador debe ser de tipo time, parameter o after.`);
+    return;
+  }
+  if (trigger.type === 'time' && !isNonNegative(trigger.atSeconds)) {
+    errors.push(`${where}: atSeconds debe ser un número ≥ 0.`);
+  }
+  if (trigger.type === 'parameter') {
+    if (!(typeof trigger.parameter === 'string' && trigger.parameter in SCENARIO_PARAMETER_LABELS)) {
+      errors.push(`${where}: parámetro desconocido "${String(trigger.parameter)}".`);
+    }
+    if (!(typeof trigger.operator === 'string' && trigger.operator in OPERATOR_LABELS)) {
+      errors.push(`${where}: el operador debe ser gt, gte, lt o lte.`);
+    }
+    if (typeof trigger.value !== 'number' || !Number.isFinite(trigger.value)) {
+      errors.push(`${where}: value debe ser un número.`);
+    }
+    if (trigger.afterSeconds !== undefined && !isNonNegative(trigger.afterSeconds)) {
+      errors.push(`${where}: afterSeconds debe ser un número ≥ 0.`);
+    }
+  }
+  if (trigger.type === 'after') {
+    if (typeof trigger.eventId !== 'string' || !ids.has(trigger.eventId)) {
+      errors.push(`${where}: eventId debe ser el id de otro evento del guion.`);
+    } else if (trigger.eventId === ownId) {
+      errors.push(`${where}: un evento no puede dispararse después de sí mismo.`);
+    }
+    if (!isNonNegative(trigger.delaySeconds)) {
+      errors.push(`${where}: delaySeconds debe ser un número ≥ 0.`);
+    }
+  }
+}
+
+function validateEffort(effort: unknown, where: string, errors: string[]): void {
+  if (effort === null || effort === undefined) return;
+  if (
+    !isObject(effort) ||
+    !isPositive(effort.rate) ||
+    !isNonNegative(effort.amplitude) ||
+    !isPositive(effort.inspiratoryTime)
+  ) {
+    errors.push(`${where}: effort necesita rate > 0, amplitude ≥ 0 e inspiratoryTime > 0.`);
+  }
+}
+
+function validateAction(action: unknown, where: string, errors: string[]): void {
+  if (!isObject(action) || !ACTION_TYPES.includes(action.type as ScenarioAction['type'])) {
+    errors.push(`${where}: tipo de acción desconocido.`);
+    return;
+  }
+  if (action.rampSeconds !== undefined && !isNonNegative(action.rampSeconds)) {
+    errors.push(`${where}: rampSeconds debe ser un número ≥ 0.`);
+  }
+  switch (action.type) {
+    case 'mechanics': {
+      const factors = ['complianceFactor', 'resistanceFactor', 'expiratoryResistanceFactor'] as const;
+      const present = factors.filter((key) => action[key] !== undefined);
+      if (present.length === 0) errors.push(`${where}: la acción mechanics no cambia ningún factor.`);
+      present.forEach((key) => {
+        if (!isPositive(action[key])) errors.push(`${where}: ${key} debe ser un número > 0.`);
+      });
+      break;
+    }
+    case 'effort':
+      if (action.asynchrony !== undefined) {
+        if (!(typeof action.asynchrony === 'string' && action.asynchrony in ASYNCHRONY_SCENARIOS)) {
+          errors.push(`${where}: escenario de asincronías desconocido "${String(action.asynchrony)}".`);
+        }
+      } else if (action.effort === undefined) {
+        errors.push(`${where}: la acción effort necesita asynchrony o effort.`);
+      }
+      validateEffort(action.effort, where, errors);
+      break;
+    case 'preset':
+      if (!(typeof action.preset === 'string' && action.preset in SCENARIO_PRESET_LABELS)) {
+        errors.push(`${where}: preset desconocido "${String(action.preset)}".`);
+      }
+      break;
+    case 'message':
+      if (typeof action.text !== 'string' || !action.text.trim()) {
+        errors.push(`${where}: el mensaje no puede estar vacío.`);
+      }
+      break;
+  }
+}
+
+/**
+ * Valida un guion recibido como JSON (del editor o del ClinicalCase). Devuelve
+ * el guion tipado sólo si no hay errores; los mensajes indican el evento y la
+ * acción con problemas.
+ */
+export function validateScenarioScript(raw: unknown): ScenarioValidation {
+  const errors: string[] = [];
+  if (!isObject(raw)) return { script: null, errors: ['El guion debe ser un objeto JSON.'] };
+  if (raw.version !== 1) errors.push('version debe ser 1.');
+  if (typeof raw.title !== 'string' || !raw.title.trim()) errors.push('El guion necesita un título.');
+  if (raw.durationSeconds !== undefined && !isPositive(raw.durationSeconds)) {
+    errors.push('durationSeconds debe ser un número > 0.');
+  }
+  if (!Array.isArray(raw.events) || raw.events.length === 0) {
+    errors.push('El guion necesita al menos un evento.');
+    return { script: null, errors };
+  }
+
+  const ids = new Set<string>();
+  raw.events.forEach((event, i) => {
+    if (isObject(event) && typeof event.id === 'string' && event.id) {
+      if (ids.has(event.id)) errors.push(`Evento ${i + 1}: el id "${event.id}" está repetido.`);
+      ids.add(event.id);
+    }
+  });
+
+  raw.events.forEach((event, i) => {
+    const where = `Evento ${i + 1}`;
+    if (!isObject(event)) {
+      errors.push(`${where}: debe ser un objeto.`);
+      return;
+    }
+    if (typeof event.id !== 'string' || !event.id) errors.push(`${where}: falta el id.`);
+    if (typeof event.label !== 'string' || !event.label.trim()) errors.push(`${where}: falta la etiqueta.`);
+    validateTrigger(event.trigger, where, ids, String(event.id), errors);
+    if (!Array.isArray(event.actions) || event.actions.length === 0) {
+      errors.push(`${where}: necesita al menos una acción.`);
+      return;
+    }
+    event.actions.forEach((action, j) => validateAction(action, `${where}, acción ${j + 1}`, errors));
+  });
+
+  return errors.length > 0 ? { script: null, errors } : { script: raw as unknown as ScenarioScript, errors };
+}
+
+// =============================================================================
+// Motor
+// =============================================================================
+
+/**
+ * Estado de una ejecución del guion. `step` dispara los eventos vencidos
+ * (en cascada, para los `after` sin retardo) y aplica sus acciones;
+ * `factorsAt` devuelve la mecánica del instante pedido, con las rampas en
+ * curso interpoladas.
+ */
+export class ScenarioEngine {
+  private readonly script: ScenarioScript;
+  private readonly fired = new Map<string, number>();
+  private ramp: Ramp | null = null;
+  private effort: AsynchronyScenario | null | undefined = undefined;
+  private ended = false;
+
+  constructor(script: ScenarioScript) {
+    this.script = script;
+  }
+
+  /** true cuando el guion terminó; step() ya no dispara nada. */
+  get finished(): boolean {
+    return this.ended;
+  }
+
+  /**
+   * Esfuerzo impuesto por el guion: null = paciente pasivo, undefined = el
+   * guion no lo tocó (manda el escenario elegido en el monitoreo).
+   */
+  get effortScenario(): AsynchronyScenario | null | undefined {
+    return this.effort;
+  }
+
+  /** Instante (s) en que se disparó cada evento. */
+  get firedEvents(): ReadonlyMap<string, number> {
+    return this.fired;
+  }
+
+  factorsAt(elapsedSeconds: number): ScenarioFactors {
+    if (!this.ramp) return BASELINE_FACTORS;
+    const { from, to, startSeconds, durationSeconds } = this.ramp;
+    if (durationSeconds <= 0 || elapsedSeconds >= startSeconds + durationSeconds) return to;
+    const fraction = Math.max(0, (elapsedSeconds - startSeconds) / durationSeconds);
+    return {
+      compliance: interpolate(from.compliance, to.compliance, fraction),
+      resistance: interpolate(from.resistance, to.resistance, fraction),
+      // La limitación espiratoria no se interpola: cambia al inicio de la rampa.
+      expiratoryResistanceFactor: to.expiratoryResistanceFactor,
+    };
+  }
+
+  /** true mientras haya una rampa de mecánica sin completar. */
+  isRamping(elapsedSeconds: number): boolean {
+    return this.ramp !== null && elapsedSeconds < this.ramp.startSeconds + this.ramp.durationSeconds;
+  }
+
+  step(elapsedSeconds: number, lastCommand: VentilatorCommand | null): ScenarioStep {
+    const result: ScenarioStep = { fired: [], messages: [], ended: false };
+    if (this.ended) return result;
+
+    let progressed = true;
+    while (progressed && !this.ended) {
+      progressed = false;
+      for (const event of this.script.events) {
+        if (this.fired.has(event.id) || !this.isDue(event.trigger, elapsedSeconds, lastCommand)) continue;
+        this.fired.set(event.id, elapsedSeconds);
+        result.fired.push({ event, elapsedSeconds });
+        event.actions.forEach((action) => this.apply(action, elapsedSeconds, result));
+        progressed = true;
+        if (this.ended) break;
+      }
+    }
+
+    const { durationSeconds } = this.script;
+    if (!this.ended && durationSeconds !== undefined && elapsedSeconds >= durationSeconds) this.ended = true;
+    result.ended = this.ended;
+    return result;
+  }
+
+  private isDue(trigger: ScenarioTrigger, elapsed: number, command: VentilatorCommand | null): boolean {
+    switch (trigger.type) {
+      case 'time':
+        return elapsed >= trigger.atSeconds;
+      case 'parameter': {
+        if (!command || elapsed < (trigger.afterSeconds ?? 0)) return false;
+        const actual = command[trigger.parameter];
+        return typeof actual === 'number' && compare(actual, trigger.operator, trigger.value);
+      }
+      case 'after': {
+        const at = this.fired.get(trigger.eventId);
+        return at !== undefined && elapsed >= at + trigger.delaySeconds;
+      }
+    }
+  }
+
+  private apply(action: ScenarioAction, elapsed: number, result: ScenarioStep): void {
+    switch (action.type) {
+      case 'mechanics':
+        this.setMechanics(action, elapsed);
+        break;
+      case 'effort':
+        this.effort = action.asynchrony
+          ? ASYNCHRONY_SCENARIOS[action.asynchrony as AsynchronyScenarioId]
+          : action.effort
+            ? effortScenario(action.effort)
+            : null;
+        break;
+      case 'preset':
+        expandPreset(action.preset, action.rampSeconds).forEach((primitive) => {
+          if ('effort' in primitive) this.effort = primitive.effort ? effortScenario(primitive.effort) : null;
+          else this.setMechanics(primitive, elapsed);
+        });
+        break;
+      case 'message':
+        result.messages.push({ text: action.text, severity: action.severity ?? 'info' });
+        break;
+      case 'end':
+        this.ended = true;
+        break;
+    }
+  }
+
+  /** Nueva rampa desde la mecánica actual; los factores omitidos conservan su destino. */
+  private setMechanics(target: MechanicsTarget, elapsed: number): void {
+    const from = this.factorsAt(elapsed);
+    const previous = this.ramp?.to ?? BASELINE_FACTORS;
+    this.ramp = {
+      from,
+      to: {
+        compliance: target.complianceFactor ?? previous.compliance,
+        resistance: target.resistanceFactor ?? previous.resistance,
+        expiratoryResistanceFactor:
+          target.expiratoryResistanceFactor !== undefined
+            ? target.expiratoryResistanceFactor
+            : previous.expiratoryResistanceFactor,
+      },
+      startSeconds: elapsed,
+      durationSeconds: target.rampSeconds ?? 0,
+    };
+  }
+}
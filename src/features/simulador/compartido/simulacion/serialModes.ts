@@ -0,0 +1,105 @@
+/*
+ * Funcionalidad: serialModes
+ * Descripción: Traduce la configuración tal como la codifica
+ *   SerialProtocol.createConfigFrame (modo V?/P?/F?, onda E?/R? y parámetros
+ *   del panel) al SimulatedCommand del pulmón local. Usa los mismos valores por
+ *   defecto que la trama, de modo que la simulación sin ventilador físico
+ *   reproduzca lo que el firmware recibiría.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import type { VentilatorData } from '@/features/simulador/compartido/tipos/simulator.types';
+import type {
+  ControlVariable,
+  FlowPattern,
+  SimulatedCommand,
+} from '@/features/simulador/compartido/simulacion/lungModel';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+/** Modos aceptados por createConfigFrame (nombre de firmware o modo UI). */
+export type SerialMode =
+  | 'Volumen control'
+  | 'Presion control'
+  | 'Flujo control'
+  | 'volume'
+  | 'pressure'
+  | 'flow';
+
+/** Tipos de onda aceptados por createConfigFrame. */
+export type SerialWaveType = 'Escalon' | 'Rampa Descendente';
+
+/** Parámetros de la trama de configuración (subconjunto de VentilatorData). */
+export type SerialConfigParameters = Partial<
+  Pick<
+    VentilatorData,
+    | 'fio2'
+    | 'volumen'
+    | 'presionMax'
+    | 'qMax'
+    | 'peep'
+    | 'frecuencia'
+    | 'tiempoInspiratorio'
+    | 'pausaInspiratoria'
+    | 'tiempoEspiratorio'
+    | 'pausaEspiratoria'
+  >
+>;
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+export const SERIAL_WAVE_TYPES: readonly SerialWaveType[] = ['Escalon', 'Rampa Descendente'];
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/** Variable de control de un modo serial. Modo desconocido → volumen. */
+export function controlFromSerialMode(mode: SerialMode | string | null | undefined): ControlVariable {
+  if (mode === 'Presion control' || mode === 'pressure') return 'pressure';
+  if (mode === 'Flujo control' || mode === 'flow') return 'flow';
+  return 'volume';
+}
+
+/** Patrón de flujo de un tipo de onda serial. Default escalón, como la trama. */
+export function flowPatternFromWaveType(waveType: SerialWaveType | string | null | undefined): FlowPattern {
+  return waveType === 'Rampa Descendente' ? 'decelerating' : 'square';
+}
+
+/**
+ * Construye el comando del pulmón local para la misma configuración que
+ * createConfigFrame(mode, waveType, parameters) enviaría al ventilador.
+ * FiO₂ pasa de % (trama) a fracción (contrato); qMax es el flujo de control de
+ * flujo en L/min.
+ */
+export function commandFromSerialConfig(
+  mode: SerialMode | string,
+  waveType: SerialWaveType | string = 'Escalon',
+  parameters: SerialConfigParameters = {},
+): SimulatedCommand {
+  const control = controlFromSerialMode(mode);
+  return {
+    mode: control === 'pressure' ? 'PCV' : 'VCV',
+    control,
+    flowPattern: flowPatternFromWaveType(waveType),
+    tidalVolume: parameters.volumen || 500,
+    respiratoryRate: parameters.frecuencia || 12,
+    peep: parameters.peep || 5,
+    fio2: (parameters.fio2 || 21) / 100,
+    pressureLimit: parameters.presionMax || 20,
+    flowRate: parameters.qMax || 60,
+    inspiratoryTime: parameters.tiempoInspiratorio || 2.5,
+    inspiratoryPause: parameters.pausaInspiratoria || 0.1,
+    expiratoryPause: parameters.pausaEspiratoria || 0.1,
+  };
+}
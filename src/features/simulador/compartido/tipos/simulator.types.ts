@@ -252,6 +252,7 @@ export type {
   VentilatorAlarm,
   VentilatorStatus,
   AlarmType,
+  VentilatorEventType,
   AlarmSeverity,
 } from '@/contracts/simulator.contracts';
 
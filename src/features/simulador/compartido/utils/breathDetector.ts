@@ -0,0 +1,251 @@
+/*
+ * Funcionalidad: breathDetector
+ * Descripción: Segmenta el stream de lecturas del ventilador en respiraciones a
+ *   partir del flujo (inicio de inspiración = flujo que cruza el umbral hacia
+ *   positivo) y resume cada una: volúmenes inspirado/espirado, presión pico,
+ *   presión y flujo de fin de espiración y frecuencia instantánea. Funciona con
+ *   cualquier fuente (pulmón simulado, socket o serial): sólo usa presión,
+ *   flujo y timestamp.
+ *   Sigue además las fases del ciclo (inspiración, pausa inspiratoria,
+ *   espiración, pausa espiratoria) y captura las presiones de meseta, PEEP
+ *   total y externa, el flujo al final de la inspiración y el trabajo
+ *   inspiratorio (∫Paw·dV) que necesita la mecánica respiratoria por ciclo.
+ *   Informa la duración de las pausas para distinguir una maniobra de pausa
+ *   (hold) de las pausas programadas.
+ * Versión: 1.2
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import type { VentilatorReading } from '@/contracts/simulator.contracts';
+import type { BreathPhase } from '@/features/simulador/compartido/simulacion/lungModel';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+export interface BreathSummary {
+  /** Inicio de la inspiración (ms). */
+  startTime: number;
+  /** Inicio de la inspiración siguiente (ms). */
+  endTime: number;
+  /** Duración total del ciclo (s). */
+  duration: number;
+  /** Duración del flujo inspiratorio (s). */
+  inspiratoryTime: number;
+  /** Frecuencia instantánea (rpm) = 60 / duración. */
+  respiratoryRate: number;
+  /** Presión pico en vía aérea (cmH₂O). */
+  peakPressure: number;
+  /** Presión de la última muestra antes de la siguiente inspiración (cmH₂O). */
+  endExpiratoryPressure: number;
+  /** Flujo de la última muestra antes de la siguiente inspiración (L/min). */
+  endExpiratoryFlow: number;
+  /** Volumen inspirado Vti (ml). */
+  inspiredVolume: number;
+  /** Volumen espirado Vte (ml, positivo). */
+  expiredVolume: number;
+  /** Flujo de la última muestra con flujo inspiratorio (L/min). */
+  endInspiratoryFlow: number;
+  /** Presión en esa misma muestra (cmH₂O). */
+  endInspiratoryPressure: number;
+  /** Presión al final de la pausa inspiratoria, o null sin pausa (cmH₂O). */
+  plateauPressure: number | null;
+  /** Presión de la última muestra con flujo espiratorio (cmH₂O). */
+  externalPeep: number;
+  /** Presión al final de la pausa espiratoria, o null sin pausa (cmH₂O). */
+  totalPeep: number | null;
+  /** ∫Paw·dV durante el flujo inspiratorio (cmH₂O·L). */
+  inspiratoryWork: number;
+  /** Duración de la pausa inspiratoria (s, 0 sin pausa). */
+  inspiratoryPauseTime: number;
+  /** Duración de la última pausa espiratoria (s, 0 sin pausa). */
+  expiratoryPauseTime: number;
+}
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** Flujo (L/min) que marca el inicio de una inspiración. */
+const INSPIRATION_FLOW_THRESHOLD = 2;
+/** Flujo (L/min) bajo el cual termina el flujo inspiratorio (incluye la pausa). */
+export const NO_FLOW_THRESHOLD = 0.5;
+/** Espiración mínima antes de aceptar una nueva inspiración (s). */
+const MIN_EXPIRATION_S = 0.15;
+/** Huecos mayores en el stream no se integran (s). */
+const MAX_GAP_S = 0.25;
+/** Duración mínima sin flujo para aceptar una pausa como meseta (s). */
+const MIN_PAUSE_S = 0.1;
+
+// =============================================================================
+// Detector
+// =============================================================================
+
+/**
+ * Detector incremental: `push` recibe las lecturas en orden y devuelve el
+ * resumen de la respiración que se cierra en esa muestra (o null). La primera
+ * respiración parcial del stream se descarta.
+ */
+export class BreathDetector {
+  private inBreath = false;
+  private phase: BreathPhase = 'expiration';
+  private phaseStart = 0;
+  private lastTimestamp: number | null = null;
+  private lastExpirationStart = 0;
+
+  private startTime = 0;
+  private inspiratoryEnd = 0;
+  private peakPressure = 0;
+  private inspiredVolume = 0;
+  private expiredVolume = 0;
+  private lastPressure = 0;
+  private lastFlow = 0;
+  private endInspiratoryFlow = 0;
+  private endInspiratoryPressure = 0;
+  private plateauPressure: number | null = null;
+  private externalPeep = 0;
+  private inspiratoryWork = 0;
+  private inspiratoryPauseTime = 0;
+
+  push(reading: VentilatorReading): BreathSummary | null {
+    const { timestamp, pressure, flow } = reading;
+    const dtS = this.lastTimestamp === null ? 0 : (timestamp - this.lastTimestamp) / 1000;
+    this.lastTimestamp = timestamp;
+
+    let completed: BreathSummary | null = null;
+    const expiredLongEnough = (timestamp - this.lastExpirationStart) / 1000 >= MIN_EXPIRATION_S;
+
+    if (this.phase !== 'inspiration' && flow > INSPIRATION_FLOW_THRESHOLD && expiredLongEnough) {
+      if (this.inBreath) completed = this.summarize(timestamp);
+      this.beginBreath(timestamp);
+    } else if (this.inBreath) {
+      this.advancePhase(timestamp, pressure, flow);
+    }
+
+    if (this.inBreath) {
+      if (dtS > 0 && dtS <= MAX_GAP_S) {
+        const volume = (flow / 60) * dtS * 1000;
+        if (volume > 0) this.inspiredVolume += volume;
+        else this.expiredVolume -= volume;
+        if (this.phase === 'inspiration' && volume > 0) this.inspiratoryWork += (pressure * volume) / 1000;
+      }
+      this.peakPressure = Math.max(this.peakPressure, pressure);
+      if (this.phase === 'inspiration') {
+        this.endInspiratoryFlow = flow;
+        this.endInspiratoryPressure = pressure;
+      } else if (this.phase === 'inspiratoryPause') {
+        this.plateauPressure = pressure;
+      } else if (this.phase === 'expiration') {
+        this.externalPeep = pressure;
+      }
+      this.lastPressure = pressure;
+      this.lastFlow = flow;
+    }
+
+    return completed;
+  }
+
+  /** Inicio (ms) de la respiración en curso, o null antes de la primera. */
+  get currentBreathStart(): number | null {
+    return this.inBreath ? this.startTime : null;
+  }
+
+  /** Fase de la respiración en curso, o null antes de la primera. */
+  get currentPhase(): BreathPhase | null {
+    return this.inBreath ? this.phase : null;
+  }
+
+  /** Descarta la respiración en curso (p. ej. al cambiar de fuente). */
+  reset(): void {
+    this.inBreath = false;
+    this.phase = 'expiration';
+    this.lastTimestamp = null;
+    this.lastExpirationStart = 0;
+  }
+
+  private beginBreath(timestamp: number): void {
+    this.inBreath = true;
+    this.setPhase('inspiration', timestamp);
+    this.startTime = timestamp;
+    this.inspiratoryEnd = timestamp;
+    this.peakPressure = -Infinity;
+    this.inspiredVolume = 0;
+    this.expiredVolume = 0;
+    this.endInspiratoryFlow = 0;
+    this.endInspiratoryPressure = 0;
+    this.plateauPressure = null;
+    this.externalPeep = 0;
+    this.inspiratoryWork = 0;
+    this.inspiratoryPauseTime = 0;
+  }
+
+  /**
+   * Transiciones dentro del ciclo. Una "pausa" es cualquier tramo sin flujo
+   * (|flujo| ≤ NO_FLOW_THRESHOLD): con válvulas cerradas la presión de vía
+   * aérea se iguala a la alveolar, que es lo que miden meseta y PEEP total.
+   */
+  private advancePhase(timestamp: number, pressure: number, flow: number): void {
+    const noFlow = Math.abs(flow) <= NO_FLOW_THRESHOLD;
+    switch (this.phase) {
+      case 'inspiration':
+        if (flow > NO_FLOW_THRESHOLD) return;
+        this.inspiratoryEnd = timestamp;
+        this.lastExpirationStart = timestamp;
+        if (noFlow) this.setPhase('inspiratoryPause', timestamp);
+        else this.beginExpiration(timestamp, pressure);
+        return;
+      case 'inspiratoryPause':
+        if (flow < -NO_FLOW_THRESHOLD) this.beginExpiration(timestamp, pressure);
+        return;
+      case 'expiration':
+        if (noFlow) this.setPhase('expiratoryPause', timestamp);
+        return;
+      case 'expiratoryPause':
+        if (flow < -NO_FLOW_THRESHOLD) this.setPhase('expiration', timestamp);
+        return;
+    }
+  }
+
+  private beginExpiration(timestamp: number, pressure: number): void {
+    this.inspiratoryPauseTime = this.phase === 'inspiratoryPause' ? (timestamp - this.phaseStart) / 1000 : 0;
+    // Una pausa demasiado corta no llega a meseta
+    if (this.inspiratoryPauseTime < MIN_PAUSE_S) this.plateauPressure = null;
+    this.externalPeep = pressure;
+    this.setPhase('expiration', timestamp);
+  }
+
+  private setPhase(phase: BreathPhase, timestamp: number): void {
+    this.phase = phase;
+    this.phaseStart = timestamp;
+  }
+
+  private summarize(endTime: number): BreathSummary {
+    const duration = (endTime - this.startTime) / 1000;
+    const expiratoryPauseTime = this.phase === 'expiratoryPause' ? (endTime - this.phaseStart) / 1000 : 0;
+    return {
+      startTime: this.startTime,
+      endTime,
+      duration,
+      inspiratoryTime: (this.inspiratoryEnd - this.startTime) / 1000,
+      respiratoryRate: duration > 0 ? 60 / duration : 0,
+      peakPressure: this.peakPressure,
+      endExpiratoryPressure: this.lastPressure,
+      endExpiratoryFlow: this.lastFlow,
+      inspiredVolume: this.inspiredVolume,
+      expiredVolume: this.expiredVolume,
+      endInspiratoryFlow: this.endInspiratoryFlow,
+      endInspiratoryPressure: this.endInspiratoryPressure,
+      plateauPressure: this.phase === 'inspiratoryPause' ? null : this.plateauPressure,
+      externalPeep: this.externalPeep,
+      totalPeep: expiratoryPauseTime >= MIN_PAUSE_S ? this.lastPressure : null,
+      inspiratoryWork: this.inspiratoryWork,
+      inspiratoryPauseTime: this.inspiratoryPauseTime,
+      expiratoryPauseTime,
+    };
+  }
+}
@@ -0,0 +1,314 @@
+/*
+ * Funcionalidad: recordingExport
+ * Descripción: Formatos estándar de exportación de una grabación del
+ *   ventilador para uso en investigación:
+ *     - JSON autodescriptivo ("ventylab-recording"): metadatos del paciente,
+ *       modo, registro de cambios de parámetros, alarmas, mecánica por
+ *       respiración, frecuencia de muestreo y las lecturas. Se vuelve a
+ *       cargar en la repetición de sesiones.
+ *     - CSV con esquema de columnas documentado (CSV_COLUMNS) y encabezado de
+ *       metadatos en líneas `#`.
+ *     - EDF (European Data Format) con presión, flujo y volumen remuestreados a
+ *       una frecuencia fija, legible por EDFbrowser, MNE o pyEDFlib.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import type { VentilatorReading } from '@/contracts/simulator.contracts';
+import type { BreathMechanics } from './respiratoryMechanics';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+/** Configuración enviada durante la grabación (useDataRecording.addSentData). */
+export interface RecordedParameterChange {
+  timestamp: number;
+  mode: string;
+  configFrame?: string;
+  parameters: Record<string, unknown>;
+}
+
+/** Evento del registro de alarmas (compatible con AlarmLogEntry). */
+export interface RecordedAlarmEvent {
+  timestamp: number;
+  event: string;
+  type: string | null;
+  severity: string | null;
+  message: string;
+  currentValue?: number;
+  thresholdValue?: number;
+}
+
+export interface RecordingBundle {
+  format: typeof RECORDING_BUNDLE_FORMAT;
+  version: typeof RECORDING_BUNDLE_VERSION;
+  /** ISO 8601. */
+  exportedAt: string;
+  /** ISO 8601 de la primera lectura (null sin lecturas). */
+  startedAt: string | null;
+  /** Frecuencia de muestreo estimada de las lecturas (Hz). */
+  sampleRateHz: number;
+  deviceId: string | null;
+  /** 'volume' | 'pressure' (modo del panel al exportar). */
+  mode: string | null;
+  /** Parámetros del panel al exportar. */
+  ventilatorSettings: object | null;
+  /** Datos del paciente simulado, si había uno. */
+  patient: object | null;
+  parametersLog: RecordedParameterChange[];
+  alarms: RecordedAlarmEvent[];
+  breaths: BreathMechanics[];
+  /** Mismo nombre que SimulatorSession.ventilatorData. */
+  ventilatorData: VentilatorReading[];
+}
+
+export interface RecordingBundleInput {
+  readings: VentilatorReading[];
+  mode?: string | null;
+  ventilatorSettings?: object | null;
+  patient?: object | null;
+  parametersLog?: RecordedParameterChange[];
+  alarms?: RecordedAlarmEvent[];
+  breaths?: BreathMechanics[];
+}
+
+interface CsvColumn {
+  key: string;
+  unit: string;
+  description: string;
+  value: (reading: VentilatorReading, t0: number) => string | number | undefined;
+}
+
+interface EdfSignal {
+  label: string;
+  unit: string;
+  value: (reading: VentilatorReading) => number;
+}
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+export const RECORDING_BUNDLE_FORMAT = 'ventylab-recording';
+export const RECORDING_BUNDLE_VERSION = 1;
+
+/**
+ * Esquema del CSV, en el orden de las columnas. Una fila por lectura; los
+ * campos opcionales quedan vacíos cuando la fuente no los entrega.
+ */
+export const CSV_COLUMNS: readonly CsvColumn[] = [
+  { key: 'time_s', unit: 's', description: 'Tiempo desde la primera lectura', value: (r, t0) => ((r.timestamp - t0) / 1000).toFixed(3) },
+  { key: 'timestamp_ms', unit: 'ms', description: 'Instante de la lectura (Unix epoch)', value: (r) => r.timestamp },
+  { key: 'pressure_cmh2o', unit: 'cmH2O', description: 'Presión de vía aérea', value: (r) => r.pressure },
+  { key: 'flow_l_min', unit: 'L/min', description: 'Flujo (positivo = inspiratorio)', value: (r) => r.flow },
+  { key: 'volume_ml', unit: 'mL', description: 'Volumen', value: (r) => r.volume },
+  { key: 'pmus_cmh2o', unit: 'cmH2O', description: 'Presión muscular del paciente (sólo simulación)', value: (r) => r.pmus },
+  { key: 'pco2_mmhg', unit: 'mmHg', description: 'CO2 espirado (sensor opcional)', value: (r) => r.pco2 },
+  { key: 'spo2_pct', unit: '%', description: 'Saturación de O2 (sensor opcional)', value: (r) => r.spo2 },
+  { key: 'event', unit: '', description: 'Evento respiratorio etiquetado (disparo, asincronía)', value: (r) => r.event },
+];
+
+const EDF_SIGNALS: readonly EdfSignal[] = [
+  { label: 'Pressure', unit: 'cmH2O', value: (r) => r.pressure },
+  { label: 'Flow', unit: 'L/min', value: (r) => r.flow },
+  { label: 'Volume', unit: 'mL', value: (r) => r.volume },
+];
+
+/** Duración de cada data record del EDF (s). */
+const EDF_RECORD_S = 1;
+const EDF_DIGITAL_MIN = -32768;
+const EDF_DIGITAL_MAX = 32767;
+const DEFAULT_SAMPLE_RATE_HZ = 50;
+const MAX_SAMPLE_RATE_HZ = 1000;
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/** Mediana del intervalo entre lecturas, como frecuencia entera (Hz). */
+export function estimateSampleRate(readings: VentilatorReading[]): number {
+  const intervals: number[] = [];
+  for (let i = 1; i < readings.length; i++) {
+    const dt = (readings[i]?.timestamp ?? 0) - (readings[i - 1]?.timestamp ?? 0);
+    if (dt > 0) intervals.push(dt);
+  }
+  if (intervals.length === 0) return DEFAULT_SAMPLE_RATE_HZ;
+  intervals.sort((a, b) => a - b);
+  const median = intervals[Math.floor(intervals.length / 2)] ?? 1000 / DEFAULT_SAMPLE_RATE_HZ;
+  return Math.min(MAX_SAMPLE_RATE_HZ, Math.max(1, Math.round(1000 / median)));
+}
+
+const csvCell = (value: string | number | undefined): string => {
+  if (value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/** Campo ASCII de ancho fijo del encabezado EDF (relleno con espacios). */
+const edfField = (value: string | number, width: number): string =>
+  String(value).replace(/[^\x20-\x7e]/g, '_').slice(0, width).padEnd(width, ' ');
+
+/** Número con tantos decimales como quepan en `width` caracteres. */
+function edfNumber(value: number, width = 8): string {
+  for (let decimals = 3; decimals > 0; decimals--) {
+    const text = value.toFixed(decimals);
+    if (text.length <= width) return text;
+  }
+  return Math.round(value).toString().slice(0, width);
+}
+
+const pad2 = (n: number): string => String(n).padStart(2, '0');
+
+/** Valor de la señal en `t` (ms) por interpolación lineal; `cursor` avanza en orden. */
+function interpolate(readings: VentilatorReading[], signal: EdfSignal, t: number, cursor: { i: number }): number {
+  while (cursor.i < readings.length - 2 && (readings[cursor.i + 1]?.timestamp ?? Infinity) <= t) cursor.i += 1;
+  const a = readings[cursor.i];
+  const b = readings[cursor.i + 1];
+  if (!a) return 0;
+  if (!b || b.timestamp <= a.timestamp || t <= a.timestamp) return signal.value(a);
+  if (t >= b.timestamp) return signal.value(b);
+  const k = (t - a.timestamp) / (b.timestamp - a.timestamp);
+  return signal.value(a) + k * (signal.value(b) - signal.value(a));
+}
+
+// =============================================================================
+// Export
+// =============================================================================
+
+export function buildRecordingBundle(input: RecordingBundleInput): RecordingBundle {
+  const readings = [...input.readings].sort((a, b) => a.timestamp - b.timestamp);
+  const first = readings[0];
+  return {
+    format: RECORDING_BUNDLE_FORMAT,
+    version: RECORDING_BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    startedAt: first ? new Date(first.timestamp).toISOString() : null,
+    sampleRateHz: estimateSampleRate(readings),
+    deviceId: first?.deviceId ?? null,
+    mode: input.mode ?? null,
+    ventilatorSettings: input.ventilatorSettings ?? null,
+    patient: input.patient ?? null,
+    parametersLog: input.parametersLog ?? [],
+    alarms: input.alarms ?? [],
+    breaths: input.breaths ?? [],
+    ventilatorData: readings,
+  };
+}
+
+export function isRecordingBundle(value: unknown): value is RecordingBundle {
+  return (
+    !!value &&
+    typeof value === 'object' &&
+    (value as { format?: unknown }).format === RECORDING_BUNDLE_FORMAT &&
+    Array.isArray((value as { ventilatorData?: unknown }).ventilatorData)
+  );
+}
+
+export function recordingToJson(bundle: RecordingBundle): string {
+  return JSON.stringify(bundle, null, 2);
+}
+
+/** CSV con encabezado `#` (metadatos y esquema) seguido de la fila de nombres. */
+export function recordingToCsv(bundle: RecordingBundle): string {
+  const readings = bundle.ventilatorData;
+  const t0 = readings[0]?.timestamp ?? 0;
+  const lines = [
+    `# format: ${RECORDING_BUNDLE_FORMAT}-csv v${RECORDING_BUNDLE_VERSION}`,
+    `# startedAt: ${bundle.startedAt ?? ''}`,
+    `# sampleRateHz: ${bundle.sampleRateHz}`,
+    `# mode: ${bundle.mode ?? ''}`,
+    `# deviceId: ${bundle.deviceId ?? ''}`,
+    ...CSV_COLUMNS.map((c) => `# column ${c.key}${c.unit ? ` [${c.unit}]` : ''}: ${c.description}`),
+    CSV_COLUMNS.map((c) => c.key).join(','),
+  ];
+  readings.forEach((reading) => {
+    lines.push(CSV_COLUMNS.map((c) => csvCell(c.value(reading, t0))).join(','));
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * EDF (no EDF+): las lecturas se remuestrean a `sampleRateHz` en data records
+ * de 1 s; el último se completa repitiendo la muestra final. Cada señal usa su
+ * propio rango físico (mín/máx de la grabación) para aprovechar los 16 bits.
+ */
+export function recordingToEdf(bundle: RecordingBundle, patientId = 'X X X X'): Uint8Array {
+  const readings = bundle.ventilatorData;
+  const fs = bundle.sampleRateHz;
+  const samplesPerRecord = fs * EDF_RECORD_S;
+  const t0 = readings[0]?.timestamp ?? 0;
+  const durationMs = (readings.at(-1)?.timestamp ?? t0) - t0;
+  const totalSamples = Math.floor((durationMs / 1000) * fs) + 1;
+  const records = Math.max(1, Math.ceil(totalSamples / samplesPerRecord));
+  const ns = EDF_SIGNALS.length;
+
+  // Remuestreo y rango físico por señal
+  const resampled = EDF_SIGNALS.map((signal) => {
+    const cursor = { i: 0 };
+    const values = new Float64Array(records * samplesPerRecord);
+    for (let n = 0; n < values.length; n++) {
+      values[n] = interpolate(readings, signal, t0 + Math.min(n, totalSamples - 1) * (1000 / fs), cursor);
+    }
+    let min = Infinity;
+    let max = -Infinity;
+    values.forEach((v) => {
+      if (v < min) min = v;
+      if (v > max) max = v;
+    });
+    if (!Number.isFinite(min) || max - min < 1) {
+      min = (Number.isFinite(min) ? min : 0) - 1;
+      max = min + 2;
+    }
+    // Redondeo hacia afuera: el rango escrito en el encabezado debe contener los datos
+    return { values, min: Math.floor(min), max: Math.ceil(max) };
+  });
+
+  const start = new Date(t0 || Date.now());
+  const headerBytes = 256 * (ns + 1);
+  let header =
+    edfField('0', 8) +
+    edfField(patientId, 80) +
+    edfField(`Startdate ${start.toISOString().slice(0, 10)} VentyLab ${bundle.deviceId ?? ''} ${bundle.mode ?? ''}`, 80) +
+    edfField(`${pad2(start.getDate())}.${pad2(start.getMonth() + 1)}.${pad2(start.getFullYear() % 100)}`, 8) +
+    edfField(`${pad2(start.getHours())}.${pad2(start.getMinutes())}.${pad2(start.getSeconds())}`, 8) +
+    edfField(headerBytes, 8) +
+    edfField('', 44) +
+    edfField(records, 8) +
+    edfField(EDF_RECORD_S, 8) +
+    edfField(ns, 4);
+  const perSignal = (fn: (signal: EdfSignal, i: number) => string) => EDF_SIGNALS.map(fn).join('');
+  header += perSignal((s) => edfField(s.label, 16));
+  header += perSignal(() => edfField('Ventilator sensor', 80));
+  header += perSignal((s) => edfField(s.unit, 8));
+  header += perSignal((_, i) => edfField(edfNumber(resampled[i]?.min ?? 0), 8));
+  header += perSignal((_, i) => edfField(edfNumber(resampled[i]?.max ?? 0), 8));
+  header += perSignal(() => edfField(EDF_DIGITAL_MIN, 8));
+  header += perSignal(() => edfField(EDF_DIGITAL_MAX, 8));
+  header += perSignal(() => edfField(`Resampled ${fs}Hz`, 80));
+  header += perSignal(() => edfField(samplesPerRecord, 8));
+  header += perSignal(() => edfField('', 32));
+
+  const bytes = new Uint8Array(headerBytes + records * ns * samplesPerRecord * 2);
+  for (let i = 0; i < header.length; i++) bytes[i] = header.charCodeAt(i);
+
+  const view = new DataView(bytes.buffer);
+  let offset = headerBytes;
+  for (let record = 0; record < records; record++) {
+    resampled.forEach(({ values, min, max }) => {
+      const scale = (EDF_DIGITAL_MAX - EDF_DIGITAL_MIN) / (max - min);
+      for (let s = 0; s < samplesPerRecord; s++) {
+        const physical = values[record * samplesPerRecord + s] ?? min;
+        const digital = Math.round((physical - min) * scale + EDF_DIGITAL_MIN);
+        view.setInt16(offset, Math.min(EDF_DIGITAL_MAX, Math.max(EDF_DIGITAL_MIN, digital)), true);
+        offset += 2;
+      }
+    });
+  }
+  return bytes;
+}
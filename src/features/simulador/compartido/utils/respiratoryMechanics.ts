@@ -0,0 +1,135 @@
+/*
+ * Funcionalidad: respiratoryMechanics
+ * Descripción: Mecánica respiratoria derivada de cada respiración que cierra el
+ *   BreathDetector: volúmenes Vti/Vte, presiones pico y meseta, presión de
+ *   distensión, compliance estática y dinámica, resistencia de vía aérea,
+ *   constante de tiempo, potencia mecánica y PEEP intrínseca. Los valores que
+ *   dependen de una maniobra (meseta → pausa inspiratoria, PEEP total → pausa
+ *   espiratoria) quedan en null cuando el ciclo no la tuvo, en lugar de
+ *   estimarse; son los mismos números que califican los ejercicios.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import type { BreathSummary } from './breathDetector';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+export interface BreathMechanics {
+  /** Inicio de la inspiración (ms, reloj de la fuente). */
+  startTime: number;
+  /** Frecuencia del ciclo (rpm). */
+  respiratoryRate: number;
+  /** Tiempo inspiratorio con flujo (s). */
+  inspiratoryTime: number;
+  /** Volumen inspirado (ml). */
+  vti: number;
+  /** Volumen espirado (ml). */
+  vte: number;
+  /** Presión pico (cmH₂O). */
+  peakPressure: number;
+  /** Presión meseta; requiere pausa inspiratoria (cmH₂O). */
+  plateauPressure: number | null;
+  /** PEEP medida al final del flujo espiratorio (cmH₂O). */
+  peep: number;
+  /** PEEP total; requiere pausa espiratoria (cmH₂O). */
+  totalPeep: number | null;
+  /** PEEP intrínseca = PEEP total − PEEP externa (cmH₂O). */
+  intrinsicPeep: number | null;
+  /** Presión de distensión ΔP = Pmeseta − PEEP total (cmH₂O). */
+  drivingPressure: number | null;
+  /** Compliance estática = Vt / ΔP (ml/cmH₂O). */
+  staticCompliance: number | null;
+  /** Compliance dinámica = Vt / (Ppico − PEEP total) (ml/cmH₂O). */
+  dynamicCompliance: number | null;
+  /** Resistencia = (Ppico − Pmeseta) / flujo al final de la inspiración (cmH₂O/L/s). */
+  resistance: number | null;
+  /** Constante de tiempo τ = R · Cest (s). */
+  timeConstant: number | null;
+  /** Potencia mecánica = 0.098 · FR · ∫Paw·dV (J/min). */
+  mechanicalPower: number;
+}
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** Conversión cmH₂O·L → J. */
+const CMH2O_L_TO_JOULE = 0.098;
+/**
+ * Flujo mínimo al final de la inspiración para calcular la resistencia
+ * (L/min): con flujo desacelerado que llega a ~0 el cociente no es fiable.
+ */
+const MIN_RESISTANCE_FLOW = 5;
+/** Diferencia mínima de presión para dividir por ella (cmH₂O). */
+const MIN_PRESSURE_DELTA = 0.5;
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+const round = (value: number, decimals: number): number => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+const roundOrNull = (value: number | null, decimals: number): number | null =>
+  value === null || !Number.isFinite(value) ? null : round(value, decimals);
+
+// =============================================================================
+// Mechanics
+// =============================================================================
+
+/**
+ * Calcula la mecánica de una respiración. El volumen corriente de referencia
+ * es el inspirado (el espirado puede quedar corto con atrapamiento o fugas).
+ * La PEEP de referencia es la total cuando hubo pausa espiratoria, de modo que
+ * ΔP y compliance reflejan la presión alveolar real al final de la espiración.
+ */
+export function computeBreathMechanics(summary: BreathSummary): BreathMechanics {
+  const vt = summary.inspiredVolume;
+  const plateau = summary.plateauPressure;
+  const peep = summary.externalPeep;
+  const basePeep = summary.totalPeep ?? peep;
+
+  const intrinsicPeep = summary.totalPeep === null ? null : Math.max(0, summary.totalPeep - peep);
+  const drivingPressure = plateau === null ? null : plateau - basePeep;
+  const staticCompliance =
+    drivingPressure !== null && drivingPressure >= MIN_PRESSURE_DELTA ? vt / drivingPressure : null;
+  const dynamicDelta = summary.peakPressure - basePeep;
+  const dynamicCompliance = dynamicDelta >= MIN_PRESSURE_DELTA ? vt / dynamicDelta : null;
+
+  const resistance =
+    plateau !== null && summary.endInspiratoryFlow >= MIN_RESISTANCE_FLOW
+      ? Math.max(0, summary.endInspiratoryPressure - plateau) / (summary.endInspiratoryFlow / 60)
+      : null;
+  // R (cmH₂O/L/s) · C (L/cmH₂O) = s
+  const timeConstant =
+    resistance !== null && staticCompliance !== null ? (resistance * staticCompliance) / 1000 : null;
+
+  return {
+    startTime: summary.startTime,
+    respiratoryRate: round(summary.respiratoryRate, 1),
+    inspiratoryTime: round(summary.inspiratoryTime, 2),
+    vti: round(vt, 0),
+    vte: round(summary.expiredVolume, 0),
+    peakPressure: round(summary.peakPressure, 1),
+    plateauPressure: roundOrNull(plateau, 1),
+    peep: round(peep, 1),
+    totalPeep: roundOrNull(summary.totalPeep, 1),
+    intrinsicPeep: roundOrNull(intrinsicPeep, 1),
+    drivingPressure: roundOrNull(drivingPressure, 1),
+    staticCompliance: roundOrNull(staticCompliance, 1),
+    dynamicCompliance: roundOrNull(dynamicCompliance, 1),
+    resistance: roundOrNull(resistance, 1),
+    timeConstant: roundOrNull(timeConstant, 2),
+    mechanicalPower: round(CMH2O_L_TO_JOULE * summary.respiratoryRate * summary.inspiratoryWork, 1),
+  };
+}
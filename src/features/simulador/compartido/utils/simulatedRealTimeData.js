@@ -1,83 +1,39 @@
-// NUEVO ARCHIVO: Generar datos en tiempo real basados en el paciente simulado
+// Generar datos en tiempo real basados en el paciente simulado.
+// Las curvas salen del pulmón simulado (ecuación de movimiento), no de formas
+// de onda fijas: Vt, PEEP, FR y la mecánica del paciente determinan el resultado.
 
-export const generateSimulatedRealTimeData = (patientData) => {
-  if (!patientData) return { pressure: [], flow: [], volume: [], time: [] };
+import { LungModel, mechanicsFromPatientData } from '@/features/simulador/compartido/simulacion/lungModel';
 
-  const { calculatedParams, clinicalData, respiratoryConditions } = patientData;
-  
-  // Generar datos basados en los parámetros calculados y condiciones del paciente
-  const timePoints = Array.from({ length: 50 }, (_, i) => i * 0.1);
-  
-  // Factores de modificación basados en condiciones respiratorias
-  let pressureModifier = 1;
-  let flowModifier = 1;
-  let volumeModifier = 1;
-  
-  if (respiratoryConditions.ards) {
-    pressureModifier = 1.3; // Mayor presión para ARDS
-    volumeModifier = 0.7;   // Menor volumen
-  }
-  
-  if (respiratoryConditions.epoc) {
-    flowModifier = 0.8;     // Flujo reducido
-    pressureModifier = 0.9; // Presión ligeramente menor
-  }
-  
-  if (respiratoryConditions.neumonia) {
-    pressureModifier = 1.1; // Presión ligeramente aumentada
-    volumeModifier = 0.9;   // Volumen ligeramente reducido
-  }
+/**
+ * @param {Object} patientData - Datos del PatientDataContext
+ * @param {Object} [options]
+ * @param {Object} [options.command] - VentilatorCommand a aplicar (por defecto, el
+ *   derivado de calculatedParams del paciente en VCV)
+ * @param {number} [options.durationS=5] - Segundos a generar
+ * @param {number} [options.sampleRateHz=50] - Frecuencia de muestreo
+ * @returns {{ pressure: number[], flow: number[], volume: number[], time: number[] }}
+ */
+export const generateSimulatedRealTimeData = (patientData, options = {}) => {
+  if (!patientData) return { pressure: [], flow: [], volume: [], time: [] };
 
-  // Generar ondas simuladas basadas en parámetros del paciente
-  const pressure = timePoints.map(t => {
-    const cycleTime = t % 4; // Ciclo de 4 segundos
-    const baseValue = calculatedParams.peepRecomendado || 5;
-    
-    if (cycleTime < 1) {
-      // Fase inspiratoria
-      return (baseValue + 15 * Math.sin(Math.PI * cycleTime)) * pressureModifier;
-    } else {
-      // Fase espiratoria
-      return baseValue * pressureModifier;
-    }
-  });
+  const { calculatedParams = {} } = patientData;
+  const { durationS = 5, sampleRateHz = 50 } = options;
 
-  const flow = timePoints.map(t => {
-    const cycleTime = t % 4;
-    const maxFlow = (calculatedParams.volumenTidal || 500) * 0.1; // Convertir a L/min
-    
-    if (cycleTime < 1) {
-      // Flujo inspiratorio positivo
-      return maxFlow * Math.sin(Math.PI * cycleTime) * flowModifier;
-    } else if (cycleTime < 2.5) {
-      // Flujo espiratorio negativo
-      return -maxFlow * 0.6 * Math.sin(Math.PI * (cycleTime - 1) / 1.5) * flowModifier;
-    } else {
-      // Pausa
-      return 0;
-    }
-  });
+  const command = options.command ?? {
+    mode: 'VCV',
+    tidalVolume: calculatedParams.volumenTidal || 500,
+    respiratoryRate: calculatedParams.frecuenciaResp || 15,
+    peep: calculatedParams.peepRecomendado || 5,
+    fio2: (calculatedParams.fio2Inicial || 21) / 100,
+  };
 
-  const volume = timePoints.map(t => {
-    const cycleTime = t % 4;
-    const maxVolume = calculatedParams.volumenTidal || 500;
-    
-    if (cycleTime < 1) {
-      // Llenado inspiratorio
-      return maxVolume * (1 - Math.cos(Math.PI * cycleTime)) / 2 * volumeModifier;
-    } else if (cycleTime < 2.5) {
-      // Vaciado espiratorio
-      return maxVolume * (1 + Math.cos(Math.PI * (cycleTime - 1) / 1.5)) / 2 * volumeModifier;
-    } else {
-      // Volumen residual
-      return 0;
-    }
-  });
+  const model = new LungModel(command, mechanicsFromPatientData(patientData), { sampleRateHz });
+  const readings = model.generate(Math.round(durationS * sampleRateHz));
 
   return {
-    pressure,
-    flow,
-    volume,
-    time: timePoints
+    pressure: readings.map((r) => r.pressure),
+    flow: readings.map((r) => r.flow),
+    volume: readings.map((r) => r.volume),
+    time: readings.map((r) => r.timestamp / 1000),
   };
-}; 
\ No newline at end of file
+};
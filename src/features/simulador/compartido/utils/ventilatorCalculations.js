@@ -93,6 +93,14 @@ export class VentilatorCalculations {
     };
   }
 
+  /**
+   * Estima la presión meseta de un volumen entregado: PEEP + Vt / C.
+   * Vt en ml, compliance en L/cmH2O (por defecto la calculada).
+   */
+  estimatePlateauPressure(tidalVolume, peep, compliance = this.compliance) {
+    return peep + (tidalVolume / 1000) / compliance;
+  }
+
   applyExponentialFilter(newValue, previousValue, alpha) {
     return (alpha * newValue) + ((1 - alpha) * previousValue);
   }
@@ -0,0 +1,64 @@
+/*
+ * Funcionalidad: ventilatorCommand
+ * Descripción: Traduce el estado del panel de control (VentilatorData + modo UI
+ *   'volume' | 'pressure') al VentilatorCommand del contrato con el backend.
+ *   Lo comparten el envío REST del dashboard y el pulmón simulado local.
+ *   La traducción inversa refleja en el panel un comando emitido por el otro
+ *   extremo de una práctica supervisada.
+ * Versión: 1.1
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import type { VentilatorCommand } from '@/contracts/simulator.contracts';
+import type { VentilatorData, VentilationMode } from '@/features/simulador/compartido/tipos/simulator.types';
+
+/**
+ * Construye el comando a partir de los parámetros del panel. FiO₂ se convierte
+ * de % (UI) a fracción 0.21–1.0 (contrato).
+ */
+export function buildVentilatorCommand(
+  mode: VentilationMode,
+  d: Partial<VentilatorData>,
+): VentilatorCommand {
+  return {
+    mode: mode === 'volume' ? 'VCV' : 'PCV',
+    tidalVolume: d.volumen || 500,
+    respiratoryRate: d.frecuencia || 12,
+    peep: d.peep || 5,
+    fio2: (d.fio2 || 21) / 100,
+    ...(d.presionMax ? { pressureLimit: d.presionMax } : {}),
+    ...(d.tiempoInspiratorio ? { inspiratoryTime: d.tiempoInspiratorio } : {}),
+    ...(d.tiempoInspiratorio && d.tiempoEspiratorio
+      ? { ieRatio: `${d.relacionIE1 ?? 1}:${d.relacionIE2 ?? 1}` }
+      : {}),
+  };
+}
+
+/**
+ * Parámetros del panel que reproducen un comando. La relación I:E vuelve al
+ * deslizador `inspiracionEspiracion` (0.5 = 1:1, cada 0.1 suma una unidad a la
+ * parte mayor); los tiempos derivados los recalcula el dashboard.
+ */
+export function ventilatorDataFromCommand(command: VentilatorCommand): {
+  mode: VentilationMode;
+  data: Partial<VentilatorData>;
+} {
+  const data: Partial<VentilatorData> = {
+    volumen: command.tidalVolume,
+    frecuencia: command.respiratoryRate,
+    peep: command.peep,
+    fio2: Math.round(command.fio2 * 100),
+    ...(command.pressureLimit ? { presionMax: command.pressureLimit } : {}),
+  };
+  const [ins, esp] = (command.ieRatio ?? '').split(':').map(Number);
+  if (ins && esp) {
+    const slider = esp >= ins ? 0.5 + (esp / ins - 1) / 10 : 0.5 - (ins / esp - 1) / 10;
+    data.inspiracionEspiracion = Math.min(1, Math.max(0, Math.round(slider * 100) / 100));
+  }
+  return { mode: command.mode === 'VCV' ? 'volume' : 'pressure', data };
+}
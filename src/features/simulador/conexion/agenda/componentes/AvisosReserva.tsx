@@ -0,0 +1,21 @@
+/*
+ * Funcionalidad: AvisosReserva
+ * Descripción: Monta useReservationNotifications una sola vez en el árbol global
+ *   (_app.js, dentro de SocketProvider y NotificationProvider). No renderiza nada.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import { useReservationNotifications } from '../hooks/useReservationNotifications';
+
+export function AvisosReserva() {
+  useReservationNotifications();
+  return null;
+}
+
+export default AvisosReserva;
@@ -0,0 +1,359 @@
+/*
+ * Funcionalidad: CalendarioTurnos
+ * Descripción: Diálogo con el calendario semanal de un ventilador en franjas de
+ *   30 minutos (horario del laboratorio). Muestra los turnos agendados y en curso
+ *   —propios, de otros usuarios y sesiones de grupo—, permite agendar una franja
+ *   libre futura dentro del cupo del rol y cancelar los turnos propios que aún no
+ *   empiezan. El backend valida solapamientos y cupos; aquí sólo se anticipan.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import { useState } from 'react';
+import {
+  Alert,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  IconButton,
+  MenuItem,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { ChevronLeft, ChevronRight } from '@mui/icons-material';
+
+import type { DeviceReservationSlot, VentilatorDevice } from '@/contracts/simulator.contracts';
+import { getUserData } from '@/shared/services/authService';
+import { useNotification } from '@/shared/contexts/NotificationContext';
+import {
+  useDeviceCalendar,
+  startOfWeek,
+} from '@/features/simulador/conexion/dispositivos/hooks/useDeviceCalendar';
+import { useReservationQuota } from '../hooks/useReservationQuota';
+import { useScheduleReservation } from '../hooks/useScheduleReservation';
+import {
+  CLOSING_HOUR,
+  OPENING_HOUR,
+  SLOT_MINUTES,
+  STATUS_LABEL,
+  fecha,
+  hora,
+  turnoEnConflicto,
+} from '../utils/agenda';
+import styles from './ui/CalendarioTurnos.module.css';
+
+interface CalendarioTurnosProps {
+  dispositivo: VentilatorDevice;
+  onClose: () => void;
+}
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const DIAS_SEMANA = 7;
+/** Semanas hacia adelante que se pueden agendar. */
+const SEMANAS_VISIBLES = 4;
+const SLOT_MS = SLOT_MINUTES * 60_000;
+/** Minutos desde medianoche de cada fila del calendario. */
+const FILAS = Array.from(
+  { length: ((CLOSING_HOUR - OPENING_HOUR) * 60) / SLOT_MINUTES },
+  (_, i) => OPENING_HOUR * 60 + i * SLOT_MINUTES,
+);
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/** Inicio de la franja `minutos` del día `dia` de la semana (respeta cambios de hora). */
+function inicioFranja(semana: number, dia: number, minutos: number): number {
+  const date = new Date(semana);
+  date.setDate(date.getDate() + dia);
+  date.setHours(0, minutos, 0, 0);
+  return date.getTime();
+}
+
+function etiquetaTurno(slot: DeviceReservationSlot): string {
+  return slot.groupName ? `Grupo ${slot.groupName}` : slot.userName ?? 'Reservado';
+}
+
+// =============================================================================
+// Component
+// =============================================================================
+
+/** Se monta al abrirse: la semana y el instante actual se fijan en ese momento. */
+export function CalendarioTurnos({ dispositivo, onClose }: CalendarioTurnosProps) {
+  const { showSuccess } = useNotification();
+  const [ahora] = useState(() => Date.now());
+  const [miId] = useState(() => (getUserData() as { id?: string } | null)?.id ?? null);
+  const semanaActual = startOfWeek(ahora);
+
+  const [semanaOffset, setSemanaOffset] = useState(0);
+  const [inicio, setInicio] = useState<number | null>(null);
+  const [duracion, setDuracion] = useState(60);
+  const [proposito, setProposito] = useState('');
+  const [grupoId, setGrupoId] = useState('');
+  const [enviando, setEnviando] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const semana = startOfWeek(inicioFranja(semanaActual, semanaOffset * DIAS_SEMANA, 12 * 60));
+  const { slots, isLoading } = useDeviceCalendar(dispositivo.deviceId, semana, DIAS_SEMANA);
+  const { quota, remaining } = useReservationQuota();
+  const { schedule, cancel } = useScheduleReservation();
+
+  // El cupo se cuenta por semana: sólo la semana en curso refleja lo ya usado.
+  const cupoAgotado = semana === quota?.weekStart && remaining === 0;
+  const maxMinutos = quota?.maxSlotMinutes ?? 60;
+
+  // Duraciones posibles desde la franja elegida: múltiplos de 30 min que no
+  // choquen con otro turno ni pasen del cierre del laboratorio.
+  const duraciones: number[] = [];
+  if (inicio !== null) {
+    const cierre = new Date(inicio).setHours(CLOSING_HOUR, 0, 0, 0);
+    for (let min = SLOT_MINUTES; min <= maxMinutos; min += SLOT_MINUTES) {
+      const fin = inicio + min * 60_000;
+      if (fin > cierre || turnoEnConflicto(slots, inicio, fin)) break;
+      duraciones.push(min);
+    }
+  }
+  const duracionEfectiva = duraciones.includes(duracion) ? duracion : duraciones[duraciones.length - 1] ?? 0;
+
+  const propios = slots.filter((s) => s.userId === miId && s.status === 'SCHEDULED');
+
+  const elegirFranja = (start: number) => {
+    setInicio(start);
+    setError(null);
+  };
+
+  const cambiarSemana = (delta: number) => {
+    setSemanaOffset((prev) => prev + delta);
+    setInicio(null);
+    setError(null);
+  };
+
+  const agendar = async () => {
+    if (inicio === null || duracionEfectiva === 0) return;
+    setEnviando(true);
+    setError(null);
+    try {
+      await schedule({
+        deviceId: dispositivo.deviceId,
+        startTime: inicio,
+        durationMinutes: duracionEfectiva,
+        ...(proposito.trim() ? { purpose: proposito.trim() } : {}),
+        ...(grupoId ? { groupId: grupoId } : {}),
+      });
+      showSuccess(`Turno agendado: ${fecha(inicio)} a las ${hora(inicio)} en ${dispositivo.name}.`);
+      setInicio(null);
+      setProposito('');
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'No se pudo agendar el turno.');
+    } finally {
+      setEnviando(false);
+    }
+  };
+
+  const cancelarTurno = async (slot: DeviceReservationSlot) => {
+    setError(null);
+    try {
+      await cancel(slot.id);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'No se pudo cancelar el turno.');
+    }
+  };
+
+  const claseCelda = (turno: DeviceReservationSlot | undefined, start: number): string => {
+    if (turno) {
+      if (turno.userId === miId) return `${styles.cell} ${styles.cellOwn}`;
+      return `${styles.cell} ${turno.groupId ? styles.cellGroup : styles.cellTaken}`;
+    }
+    if (start + SLOT_MS <= ahora) return `${styles.cell} ${styles.cellPast}`;
+    if (inicio !== null && start >= inicio && start < inicio + duracionEfectiva * 60_000) {
+      return `${styles.cell} ${styles.cellSelected}`;
+    }
+    return `${styles.cell} ${styles.cellFree}`;
+  };
+
+  return (
+    <Dialog open onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Calendario de turnos · {dispositivo.name}</DialogTitle>
+
+      <DialogContent>
+        <div className={styles.toolbar}>
+          <IconButton
+            size="small"
+            onClick={() => cambiarSemana(-1)}
+            disabled={semanaOffset === 0}
+            aria-label="Semana anterior"
+          >
+            <ChevronLeft />
+          </IconButton>
+          <span className={styles.weekLabel}>
+            Semana del {fecha(semana)} al {fecha(inicioFranja(semana, DIAS_SEMANA - 1, 0))}
+          </span>
+          <IconButton
+            size="small"
+            onClick={() => cambiarSemana(1)}
+            disabled={semanaOffset >= SEMANAS_VISIBLES - 1}
+            aria-label="Semana siguiente"
+          >
+            <ChevronRight />
+          </IconButton>
+          {isLoading && <CircularProgress size={16} />}
+          {quota && quota.maxSlotsPerWeek !== null && (
+            <span className={styles.quota}>
+              Turnos esta semana: {quota.usedThisWeek} de {quota.maxSlotsPerWeek}
+            </span>
+          )}
+        </div>
+
+        <div className={styles.grid}>
+          <span />
+          {Array.from({ length: DIAS_SEMANA }, (_, dia) => (
+            <span key={dia} className={styles.dayHeader}>
+              {fecha(inicioFranja(semana, dia, 0))}
+            </span>
+          ))}
+
+          {FILAS.map((minutos) => (
+            <div key={minutos} className={styles.gridRow}>
+              <span className={styles.hourLabel}>
+                {minutos % 60 === 0 ? hora(inicioFranja(semana, 0, minutos)) : ''}
+              </span>
+              {Array.from({ length: DIAS_SEMANA }, (_, dia) => {
+                const start = inicioFranja(semana, dia, minutos);
+                const turno = turnoEnConflicto(slots, start, start + SLOT_MS);
+                const libre = !turno && start >= ahora;
+                // El nombre va en la primera franja del turno (o la primera fila visible).
+                const esPrimera =
+                  turno !== undefined && (turno.startTime >= start || minutos === FILAS[0]);
+                return (
+                  <button
+                    key={dia}
+                    type="button"
+                    className={claseCelda(turno, start)}
+                    disabled={!libre || cupoAgotado}
+                    onClick={() => elegirFranja(start)}
+                    title={
+                      turno
+                        ? `${hora(turno.startTime)}–${hora(turno.endTime)} · ${etiquetaTurno(turno)} · ${STATUS_LABEL[turno.status]}`
+                        : `${fecha(start)} ${hora(start)}`
+                    }
+                  >
+                    {esPrimera ? etiquetaTurno(turno) : ''}
+                  </button>
+                );
+              })}
+            </div>
+          ))}
+        </div>
+
+        <div className={styles.legend}>
+          <span className={`${styles.legendSwatch} ${styles.cellOwn}`} /> Tus turnos
+          <span className={`${styles.legendSwatch} ${styles.cellTaken}`} /> Otros usuarios
+          <span className={`${styles.legendSwatch} ${styles.cellGroup}`} /> Sesiones de grupo
+        </div>
+
+        {cupoAgotado && (
+          <Alert severity="warning" className={styles.block!}>
+            Ya usaste tus {quota?.maxSlotsPerWeek} turnos de esta semana. Puedes agendar en
+            las semanas siguientes o unirte a la lista de espera cuando el equipo esté ocupado.
+          </Alert>
+        )}
+
+        {error && (
+          <Alert severity="error" className={styles.block!}>
+            {error}
+          </Alert>
+        )}
+
+        {inicio !== null && (
+          <div className={styles.form}>
+            <Typography variant="subtitle2" className={styles.formWide!}>
+              Nuevo turno: {fecha(inicio)} a las {hora(inicio)}
+            </Typography>
+            <TextField
+              select
+              size="small"
+              label="Duración"
+              value={duracionEfectiva}
+              onChange={(e) => setDuracion(Number(e.target.value))}
+            >
+              {duraciones.map((min) => (
+                <MenuItem key={min} value={min}>
+                  {min < 60 ? `${min} minutos` : `${min / 60} h`} (hasta las {hora(inicio + min * 60_000)})
+                </MenuItem>
+              ))}
+            </TextField>
+            {quota && quota.groups.length > 0 && (
+              <TextField
+                select
+                size="small"
+                label="Sesión"
+                value={grupoId}
+                onChange={(e) => setGrupoId(e.target.value)}
+              >
+                <MenuItem value="">Personal</MenuItem>
+                {quota.groups.map((g) => (
+                  <MenuItem key={g.id} value={g.id}>
+                    Grupo {g.name}
+                  </MenuItem>
+                ))}
+              </TextField>
+            )}
+            <TextField
+              size="small"
+              label="Propósito (opcional)"
+              value={proposito}
+              onChange={(e) => setProposito(e.target.value)}
+              placeholder="Ej: Práctica de modos ventilatorios para examen"
+              className={styles.formWide!}
+            />
+          </div>
+        )}
+
+        {propios.length > 0 && (
+          <div className={styles.block}>
+            <Typography variant="subtitle2">Tus turnos agendados</Typography>
+            <ul className={styles.ownList}>
+              {propios.map((slot) => (
+                <li key={slot.id} className={styles.ownItem}>
+                  <span>
+                    {fecha(slot.startTime)} · {hora(slot.startTime)}–{hora(slot.endTime)}
+                    {slot.groupName ? ` · Grupo ${slot.groupName}` : ''}
+                  </span>
+                  <Button size="small" color="warning" onClick={() => cancelarTurno(slot)}>
+                    Cancelar turno
+                  </Button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </DialogContent>
+
+      <DialogActions>
+        <Button onClick={onClose} disabled={enviando}>
+          Cerrar
+        </Button>
+        <Button
+          variant="contained"
+          onClick={agendar}
+          disabled={enviando || inicio === null || duracionEfectiva === 0 || cupoAgotado}
+        >
+          {enviando ? <CircularProgress size={20} /> : 'Agendar turno'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default CalendarioTurnos;
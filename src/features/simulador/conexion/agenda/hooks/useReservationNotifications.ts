@@ -0,0 +1,67 @@
+/*
+ * Funcionalidad: useReservationNotifications
+ * Descripción: Avisos globales de la agenda del ventilador vía NotificationContext:
+ *   el inicio de un turno agendado (reservation:starting) y la oferta del equipo
+ *   al primero de la lista de espera (waitlist:offer). Ambos eventos los emite el
+ *   backend sólo al usuario afectado. También revalida la agenda cuando cualquier
+ *   equipo se reserva o se libera, porque cambian los calendarios y la posición
+ *   en las colas. Se monta una vez en _app (AvisosReserva) para avisar aunque el
+ *   usuario no esté en el simulador.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import { useEffect } from 'react';
+
+import type { ReservationStartingEvent, WaitlistOfferEvent } from '@/contracts/simulator.contracts';
+import { useSocket } from '@/shared/hooks/useSocket';
+import { useNotification } from '@/shared/contexts/NotificationContext';
+import { hora, refrescarAgenda } from '../utils/agenda';
+
+// =============================================================================
+// Hook
+// =============================================================================
+
+export function useReservationNotifications(): void {
+  const { socket, isConnected } = useSocket();
+  const { showInfo, showWarning } = useNotification();
+
+  useEffect(() => {
+    if (!socket || !isConnected) return;
+
+    const handleStarting = (event: ReservationStartingEvent) => {
+      const equipo = event.deviceName ?? 'el ventilador';
+      showInfo(
+        `Tu turno en ${equipo} comenzó (hasta las ${hora(event.endTime)}). ` +
+          'Ya puedes conectar desde la pestaña Conexión del simulador.',
+      );
+      refrescarAgenda();
+    };
+
+    const handleOffer = (event: WaitlistOfferEvent) => {
+      const equipo = event.deviceName ?? 'El ventilador';
+      showWarning(
+        `${equipo} quedó libre y es tu turno en la lista de espera. ` +
+          `Acéptalo antes de las ${hora(event.expiresAt)} o pasará al siguiente.`,
+      );
+      refrescarAgenda();
+    };
+
+    socket.on('reservation:starting', handleStarting);
+    socket.on('waitlist:offer', handleOffer);
+    socket.on('ventilator:reserved', refrescarAgenda);
+    socket.on('ventilator:released', refrescarAgenda);
+
+    return () => {
+      socket.off('reservation:starting', handleStarting);
+      socket.off('waitlist:offer', handleOffer);
+      socket.off('ventilator:reserved', refrescarAgenda);
+      socket.off('ventilator:released', refrescarAgenda);
+    };
+  }, [socket, isConnected, showInfo, showWarning]);
+}
@@ -0,0 +1,51 @@
+/*
+ * Funcionalidad: useReservationQuota
+ * Descripción: Cupo de reservas del usuario según su rol (turnos por semana,
+ *   duración máxima y grupos para los que puede reservar) y cuánto lleva usado
+ *   en la semana. El backend aplica el límite; la UI sólo lo anticipa.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import useSWR from 'swr';
+
+import type { ReservationQuota } from '@/contracts/simulator.contracts';
+import { simulatorApi } from '@/features/simulador/compartido/api/simulator.api';
+import { RESERVATION_QUOTA_KEY } from '../utils/agenda';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+export interface UseReservationQuotaReturn {
+  /** null mientras carga o si el backend no expone cupos */
+  quota: ReservationQuota | null;
+  /** Turnos que aún puede reservar esta semana (null = sin límite) */
+  remaining: number | null;
+  isLoading: boolean;
+}
+
+// =============================================================================
+// Hook
+// =============================================================================
+
+export function useReservationQuota(): UseReservationQuotaReturn {
+  const { data, isLoading } = useSWR<ReservationQuota>(
+    RESERVATION_QUOTA_KEY,
+    () => simulatorApi.getReservationQuota(),
+    { revalidateOnFocus: true },
+  );
+
+  const quota = data ?? null;
+  const remaining =
+    quota && quota.maxSlotsPerWeek !== null
+      ? Math.max(0, quota.maxSlotsPerWeek - quota.usedThisWeek)
+      : null;
+
+  return { quota, remaining, isLoading };
+}
@@ -0,0 +1,49 @@
+/*
+ * Funcionalidad: useScheduleReservation
+ * Descripción: Acciones del calendario de turnos: agendar una franja futura y
+ *   cancelar un turno propio aún no iniciado. Tras cada una se revalidan el cupo
+ *   y los calendarios. Lanzan con el mensaje del backend (solapamiento, cupo
+ *   semanal agotado, duración mayor a la del rol).
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import { useCallback } from 'react';
+
+import type { ScheduleReservationRequest } from '@/contracts/simulator.contracts';
+import { simulatorApi } from '@/features/simulador/compartido/api/simulator.api';
+import { refrescarAgenda } from '../utils/agenda';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+export interface UseScheduleReservationReturn {
+  schedule: (request: ScheduleReservationRequest) => Promise<void>;
+  cancel: (reservationId: string) => Promise<void>;
+}
+
+// =============================================================================
+// Hook
+// =============================================================================
+
+export function useScheduleReservation(): UseScheduleReservationReturn {
+  const schedule = useCallback(async (request: ScheduleReservationRequest) => {
+    const res = await simulatorApi.scheduleReservation(request);
+    if (!res.success) throw new Error(res.message);
+    refrescarAgenda();
+  }, []);
+
+  const cancel = useCallback(async (reservationId: string) => {
+    const res = await simulatorApi.cancelScheduledReservation(reservationId);
+    if (!res.success) throw new Error(res.message);
+    refrescarAgenda();
+  }, []);
+
+  return { schedule, cancel };
+}
@@ -0,0 +1,89 @@
+/*
+ * Funcionalidad: useWaitlist
+ * Descripción: Entradas del usuario en las listas de espera de los ventiladores.
+ *   Cuando una reserva se libera o vence, el backend ofrece el equipo al primero
+ *   de la cola (los docentes que reservan para un grupo van primero) durante una
+ *   ventana corta; aceptar crea la reserva y el backend emite ventilator:reserved,
+ *   que la FSM de conexión ya reconoce como reserva propia.
+ *   Las acciones lanzan con el mensaje del backend para que la UI lo muestre.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import { useCallback } from 'react';
+import useSWR from 'swr';
+
+import type { JoinWaitlistRequest, WaitlistEntry } from '@/contracts/simulator.contracts';
+import { simulatorApi } from '@/features/simulador/compartido/api/simulator.api';
+import { WAITLIST_KEY, refrescarAgenda } from '../utils/agenda';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+export interface UseWaitlistReturn {
+  entries: WaitlistEntry[];
+  /** Entrada abierta (WAITING u OFFERED) para el equipo dado */
+  entryFor: (deviceId: string | null) => WaitlistEntry | null;
+  join: (deviceId: string, request: JoinWaitlistRequest) => Promise<void>;
+  leave: (entryId: string) => Promise<void>;
+  accept: (entryId: string) => Promise<void>;
+}
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** Respaldo por si se pierde un waitlist:offer (socket caído). */
+const REFRESH_INTERVAL_MS = 30_000;
+const NO_ENTRIES: WaitlistEntry[] = [];
+
+// =============================================================================
+// Hook
+// =============================================================================
+
+export function useWaitlist(): UseWaitlistReturn {
+  const { data, mutate } = useSWR<WaitlistEntry[]>(WAITLIST_KEY, () => simulatorApi.getWaitlist(), {
+    refreshInterval: REFRESH_INTERVAL_MS,
+    revalidateOnFocus: true,
+  });
+  const entries = data ?? NO_ENTRIES;
+
+  const entryFor = useCallback(
+    (deviceId: string | null) =>
+      entries.find(
+        (e) => e.deviceId === deviceId && (e.status === 'WAITING' || e.status === 'OFFERED'),
+      ) ?? null,
+    [entries],
+  );
+
+  const join = useCallback(
+    async (deviceId: string, request: JoinWaitlistRequest) => {
+      await simulatorApi.joinWaitlist(deviceId, request);
+      await mutate();
+    },
+    [mutate],
+  );
+
+  const leave = useCallback(
+    async (entryId: string) => {
+      await simulatorApi.leaveWaitlist(entryId);
+      await mutate();
+    },
+    [mutate],
+  );
+
+  const accept = useCallback(async (entryId: string) => {
+    const res = await simulatorApi.acceptWaitlistOffer(entryId);
+    if (!res.success) throw new Error(res.message);
+    // La reserva aceptada consume cupo y aparece en el calendario del equipo.
+    refrescarAgenda();
+  }, []);
+
+  return { entries, entryFor, join, leave, accept };
+}
@@ -0,0 +1,74 @@
+/*
+ * Funcionalidad: agenda (utilidades)
+ * Descripción: Formato y reglas compartidas por el calendario de turnos, la
+ *   lista de espera y los avisos de reserva: etiquetas de estado, rejilla de
+ *   franjas de 30 minutos, solapamiento de turnos y revalidación de las claves
+ *   SWR de la agenda tras reservar, cancelar o recibir un evento del backend.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import { mutate } from 'swr';
+
+import type { DeviceReservationSlot, ReservationStatus } from '@/contracts/simulator.contracts';
+import { DEVICE_RESERVATIONS_KEY } from '@/features/simulador/conexion/dispositivos/hooks/useDeviceCalendar';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+export const RESERVATION_QUOTA_KEY = 'simulation/reservations/quota';
+export const WAITLIST_KEY = 'simulation/waitlist';
+
+/** Franja mínima del calendario. */
+export const SLOT_MINUTES = 30;
+/** Horario del laboratorio que muestra el calendario (hora local). */
+export const OPENING_HOUR = 7;
+export const CLOSING_HOUR = 19;
+
+export const STATUS_LABEL: Record<ReservationStatus, string> = {
+  SCHEDULED: 'Agendada',
+  ACTIVE: 'En curso',
+  COMPLETED: 'Terminada',
+  CANCELLED: 'Cancelada',
+  EXPIRED: 'Vencida',
+};
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+export const hora = (timestamp: number): string =>
+  new Date(timestamp).toLocaleTimeString('es-CO', { hour: '2-digit', minute: '2-digit' });
+
+export const fecha = (timestamp: number): string =>
+  new Date(timestamp).toLocaleDateString('es-CO', { weekday: 'short', day: 'numeric', month: 'short' });
+
+/** Turnos que todavía ocupan el equipo (los cancelados o vencidos liberan la franja). */
+export function ocupaEquipo(slot: DeviceReservationSlot): boolean {
+  return slot.status === 'SCHEDULED' || slot.status === 'ACTIVE';
+}
+
+/** Primer turno vigente que se solapa con [start, end), o undefined si está libre. */
+export function turnoEnConflicto(
+  slots: DeviceReservationSlot[],
+  start: number,
+  end: number,
+): DeviceReservationSlot | undefined {
+  return slots.find((s) => ocupaEquipo(s) && s.startTime < end && start < s.endTime);
+}
+
+/**
+ * Revalida cupo, lista de espera y todos los calendarios de equipos en caché.
+ * Se llama tras una acción propia o un evento del backend que cambia la agenda.
+ */
+export function refrescarAgenda(): void {
+  void mutate(RESERVATION_QUOTA_KEY);
+  void mutate(WAITLIST_KEY);
+  void mutate((key) => Array.isArray(key) && key[0] === DEVICE_RESERVATIONS_KEY);
+}
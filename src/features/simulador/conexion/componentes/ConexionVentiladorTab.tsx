@@ -4,7 +4,16 @@
  *   (useConexionVentiladorContext) y cablea el estado/acciones a los componentes
  *   presentacionales PanelReserva y PanelConexion. No contiene lógica de negocio:
  *   reservar→conectar→desconectar→liberar viven en useConexionVentilador.
- * Versión: 1.1
+ *   PanelMqtt abre la sesión MQTT directa del contexto; salvo que el entorno lo
+ *   desactive (broker local de pruebas), exige la misma reserva.
+ *   Pasa al indicador la calidad del enlace serial (useLinkQuality).
+ *   Cablea la elección de equipo del registro y su agenda del día
+ *   (useDeviceCalendar); el panel MQTT se prellena con el id del equipo elegido.
+ *   Cablea el cupo semanal y la lista de espera del equipo (agenda/); los errores
+ *   del backend en esas acciones se muestran con NotificationContext.
+ *   A los docentes les agrega el panel para observar en vivo la práctica de un
+ *   estudiante (supervision/).
+ * Versión: 1.6
  * Autor: Marcela Mazo Castro
  * Proyecto: VentyLab
  * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
@@ -13,9 +22,22 @@
  * Contacto: marcela.mazo@correounivalle.edu.co
  */
 
+import { useCallback, useState } from 'react';
+
+import { MQTT_REQUIRES_RESERVATION } from '@/config/env';
 import { useConexionVentiladorContext } from '@/features/simulador/conexion/contexto/ConexionVentiladorContext';
+import { useLinkQuality } from '@/features/simulador/conexion/serial/hooks/useLinkQuality';
+import { useDeviceCalendar } from '@/features/simulador/conexion/dispositivos/hooks/useDeviceCalendar';
+import { useReservationQuota } from '@/features/simulador/conexion/agenda/hooks/useReservationQuota';
+import { useWaitlist } from '@/features/simulador/conexion/agenda/hooks/useWaitlist';
+import { refrescarAgenda } from '@/features/simulador/conexion/agenda/utils/agenda';
+import { useNotification } from '@/shared/contexts/NotificationContext';
+import { useAuth } from '@/shared/contexts/AuthContext';
+import { useObservableSessions } from '@/features/simulador/conexion/supervision/hooks/useObservableSessions';
+import { PanelObservacion } from '@/features/simulador/conexion/supervision/componentes/PanelObservacion';
 import { PanelReserva } from './PanelReserva';
 import { PanelConexion } from './PanelConexion';
+import { PanelMqtt } from './PanelMqtt';
 import styles from './ui/ConexionVentilador.module.css';
 
 export function ConexionVentiladorTab() {
@@ -30,26 +52,126 @@ export function ConexionVentiladorTab() {
     puedeConectar,
     puedeDesconectar,
     puedeLiberar,
+    puedeCambiarDispositivo,
     ocupado,
     acciones,
+    transporte,
+    mqtt,
+    dispositivos,
+    dispositivo,
+    seleccionarDispositivo,
+    observacion,
   } = useConexionVentiladorContext();
+  const enlace = useLinkQuality();
+  // La agenda muestra el día en que se abrió la pestaña.
+  const [hoy] = useState(() => Date.now());
+  const { slots: agenda } = useDeviceCalendar(dispositivo?.deviceId ?? null, hoy);
+  const { quota, remaining } = useReservationQuota();
+  const { entryFor, join, leave, accept } = useWaitlist();
+  const { showSuccess, showError } = useNotification();
+  const esDocente = useAuth().isTeacher();
+  const { sessions: practicas } = useObservableSessions(esDocente);
+  const espera = entryFor(dispositivo?.deviceId ?? null);
+  const { reservar } = acciones;
+
+  // Una reserva inmediata también consume cupo semanal.
+  const reservarYRefrescar = useCallback(
+    async (minutos: number, proposito?: string) => {
+      const ok = await reservar(minutos, proposito);
+      if (ok) refrescarAgenda();
+      return ok;
+    },
+    [reservar],
+  );
+
+  const unirseEspera = async (minutos: number, proposito?: string, grupoId?: string) => {
+    if (!dispositivo) return false;
+    try {
+      await join(dispositivo.deviceId, {
+        durationMinutes: minutos,
+        ...(proposito ? { purpose: proposito } : {}),
+        ...(grupoId ? { groupId: grupoId } : {}),
+      });
+      showSuccess('Te uniste a la lista de espera. Te avisaremos cuando el equipo quede libre.');
+      return true;
+    } catch (err) {
+      showError(err instanceof Error ? err.message : 'No se pudo unir a la lista de espera.');
+      return false;
+    }
+  };
+
+  const salirEspera = async () => {
+    if (!espera) return;
+    try {
+      await leave(espera.id);
+    } catch (err) {
+      showError(err instanceof Error ? err.message : 'No se pudo salir de la lista de espera.');
+    }
+  };
+
+  const aceptarOferta = async () => {
+    if (!espera) return;
+    try {
+      await accept(espera.id);
+    } catch (err) {
+      showError(err instanceof Error ? err.message : 'La oferta ya no está disponible.');
+    }
+  };
+
+  const observarPractica = async (deviceId: string) => {
+    try {
+      await observacion.observar(deviceId);
+      showSuccess('Observando la práctica. Abre la pestaña Monitoreo para seguirla.');
+    } catch (err) {
+      showError(err instanceof Error ? err.message : 'No se pudo observar esta práctica.');
+    }
+  };
+
+  const bloqueoMqtt =
+    transporte === 'websocket'
+      ? 'Ya hay una conexión activa a través del servidor.'
+      : MQTT_REQUIRES_RESERVATION && !tieneReserva
+        ? 'Reserva el ventilador para conectar por MQTT.'
+        : null;
 
   return (
     <div className={styles.tab}>
       <div className={styles.grid}>
+        {esDocente && (
+          <PanelObservacion
+            sesiones={practicas}
+            observada={observacion.observada}
+            tieneReserva={tieneReserva}
+            onObservar={observarPractica}
+            onDejarDeObservar={observacion.dejarDeObservar}
+          />
+        )}
+
         <PanelReserva
+          dispositivos={dispositivos}
+          dispositivo={dispositivo}
+          agenda={agenda}
+          puedeCambiarDispositivo={puedeCambiarDispositivo}
+          onSeleccionarDispositivo={seleccionarDispositivo}
+          cupo={quota}
+          cupoRestante={remaining}
+          espera={espera}
+          onUnirseEspera={unirseEspera}
+          onSalirEspera={salirEspera}
+          onAceptarOferta={aceptarOferta}
           tieneReserva={tieneReserva}
           reservadoPor={reservadoPor}
           minutosRestantes={minutosRestantes}
           puedeReservar={puedeReservar}
           puedeLiberar={puedeLiberar}
           ocupado={ocupado}
-          onReservar={acciones.reservar}
+          onReservar={reservarYRefrescar}
           onLiberar={acciones.liberar}
         />
 
         <PanelConexion
           estado={estado}
+          enlace={enlace}
           mensaje={mensaje}
           socketConectado={socketConectado}
           puedeConectar={puedeConectar}
@@ -57,6 +179,21 @@ export function ConexionVentiladorTab() {
           onConectar={acciones.conectar}
           onDesconectar={acciones.desconectar}
         />
+
+        <PanelMqtt
+          key={dispositivo?.deviceId ?? 'default'}
+          status={mqtt.status}
+          ventilatorStatus={mqtt.ventilatorStatus}
+          error={mqtt.error}
+          settings={
+            dispositivo && mqtt.status === 'idle'
+              ? { ...mqtt.settings, deviceId: dispositivo.deviceId }
+              : mqtt.settings
+          }
+          bloqueo={bloqueoMqtt}
+          onConectar={mqtt.connect}
+          onDesconectar={mqtt.disconnect}
+        />
       </div>
     </div>
   );
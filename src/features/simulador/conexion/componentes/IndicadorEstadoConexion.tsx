@@ -2,7 +2,9 @@
  * Funcionalidad: IndicadorEstadoConexion
  * Descripción: Componente presentacional puro. Traduce el estado de la FSM
  *   (EstadoConexion) a un punto de color + etiqueta legible. Sin lógica de negocio.
- * Versión: 1.0
+ *   Con un puerto serial abierto añade la calidad del enlace: versión del
+ *   protocolo, pérdidas, fallos de CRC y latencia de confirmación.
+ * Versión: 1.1
  * Autor: Marcela Mazo Castro
  * Proyecto: VentyLab
  * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
@@ -12,10 +14,16 @@
  */
 
 import type { EstadoConexion } from '@/features/simulador/conexion/websocket/hooks/useConexionVentilador';
+import {
+  lossRatio,
+  type LinkQualityStats,
+} from '@/features/simulador/conexion/serial/utils/linkQuality';
 import styles from './ui/ConexionVentilador.module.css';
 
 interface IndicadorEstadoConexionProps {
   estado: EstadoConexion;
+  /** Estadísticas del enlace serial; null u omitido sin puerto abierto. */
+  enlace?: LinkQualityStats | null;
 }
 
 const DOT_CLASS: Record<EstadoConexion, string> = {
@@ -38,11 +46,46 @@ const LABEL: Record<EstadoConexion, string> = {
   DESCONECTADO: 'Desconectado',
 };
 
-export function IndicadorEstadoConexion({ estado }: IndicadorEstadoConexionProps) {
+/** Por encima de este porcentaje de pérdidas el enlace se marca como degradado. */
+const DEGRADED_LOSS = 0.02;
+
+function resumenEnlace(enlace: LinkQualityStats): string {
+  if (enlace.version === 0) return 'Serial sin CRC (firmware anterior)';
+  const partes = [
+    `Serial v${enlace.version}`,
+    `pérdidas ${(lossRatio(enlace) * 100).toFixed(1)} %`,
+    `CRC ${enlace.crcErrors}`,
+  ];
+  if (enlace.latencyMs !== null) partes.push(`${Math.round(enlace.latencyMs)} ms`);
+  return partes.join(' · ');
+}
+
+function detalleEnlace(enlace: LinkQualityStats): string {
+  return [
+    `Tramas recibidas: ${enlace.framesReceived}`,
+    `Perdidas (secuencia): ${enlace.framesDropped}`,
+    `Fallos de CRC: ${enlace.crcErrors}`,
+    `Mal formadas: ${enlace.malformed}`,
+    `Reenvíos de configuración: ${enlace.retransmissions}`,
+    `Configuraciones sin confirmar: ${enlace.unacknowledged}`,
+  ].join('\n');
+}
+
+export function IndicadorEstadoConexion({ estado, enlace = null }: IndicadorEstadoConexionProps) {
+  const degradado =
+    enlace !== null && (lossRatio(enlace) > DEGRADED_LOSS || enlace.unacknowledged > 0);
   return (
     <span className={styles.indicator}>
       <span className={`${styles.dot} ${DOT_CLASS[estado]}`} />
       <span className={styles.indicatorLabel}>{LABEL[estado]}</span>
+      {enlace && (
+        <span
+          className={`${styles.linkStats} ${degradado ? styles.linkStatsDegraded : ''}`}
+          title={detalleEnlace(enlace)}
+        >
+          {resumenEnlace(enlace)}
+        </span>
+      )}
     </span>
   );
 }
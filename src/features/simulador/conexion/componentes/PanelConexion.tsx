@@ -4,7 +4,8 @@
  *   conectar/desconectar el ventilador una vez reservado. Muestra el indicador de
  *   estado en vivo, la conectividad con el backend (puerta al broker MQTT) y el
  *   mensaje actual. Delega las acciones al hook vía props. Sin lógica de negocio.
- * Versión: 1.0
+ *   El indicador recibe también la calidad del enlace serial si hay un puerto abierto.
+ * Versión: 1.1
  * Autor: Marcela Mazo Castro
  * Proyecto: VentyLab
  * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
@@ -16,11 +17,13 @@
 import { Button, Typography } from '@mui/material';
 
 import type { EstadoConexion } from '@/features/simulador/conexion/websocket/hooks/useConexionVentilador';
+import type { LinkQualityStats } from '@/features/simulador/conexion/serial/utils/linkQuality';
 import { IndicadorEstadoConexion } from './IndicadorEstadoConexion';
 import styles from './ui/ConexionVentilador.module.css';
 
 interface PanelConexionProps {
   estado: EstadoConexion;
+  enlace: LinkQualityStats | null;
   mensaje: string;
   socketConectado: boolean;
   puedeConectar: boolean;
@@ -31,6 +34,7 @@ interface PanelConexionProps {
 
 export function PanelConexion({
   estado,
+  enlace,
   mensaje,
   socketConectado,
   puedeConectar,
@@ -50,7 +54,7 @@ export function PanelConexion({
 
       <div className={styles.row}>
         <span className={styles.rowLabel}>Estado:</span>
-        <IndicadorEstadoConexion estado={estado} />
+        <IndicadorEstadoConexion estado={estado} enlace={enlace} />
       </div>
 
       <div className={styles.row}>
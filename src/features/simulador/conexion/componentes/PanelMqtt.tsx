@@ -0,0 +1,164 @@
+/*
+ * Funcionalidad: PanelMqtt
+ * Descripción: Componente presentacional para el canal MQTT directo con el
+ *   ventilador: URL del listener WebSocket del broker, id del equipo y
+ *   credenciales opcionales, con el estado de la sesión y el que publica el
+ *   equipo. Las acciones llegan por props desde ConexionVentiladorTab.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import { useState, type ChangeEvent } from 'react';
+import { Button, TextField, Typography } from '@mui/material';
+
+import type { VentilatorStatus } from '@/contracts/simulator.contracts';
+import type {
+  MqttConnectionSettings,
+  MqttConnectionStatus,
+} from '@/features/simulador/conexion/mqtt/hooks/useMqttVentilator';
+import styles from './ui/ConexionVentilador.module.css';
+
+interface PanelMqttProps {
+  status: MqttConnectionStatus;
+  ventilatorStatus: VentilatorStatus;
+  error: Error | null;
+  settings: MqttConnectionSettings;
+  /** Motivo por el que no se puede conectar (p. ej. sin reserva); null si se puede. */
+  bloqueo: string | null;
+  onConectar: (settings: MqttConnectionSettings) => Promise<void>;
+  onDesconectar: () => void;
+}
+
+const STATUS_LABEL: Record<MqttConnectionStatus, string> = {
+  idle: 'Sin conexión',
+  connecting: 'Conectando…',
+  connected: 'Conectado',
+  reconnecting: 'Reconectando…',
+  error: 'Error',
+};
+
+const DOT_CLASS: Record<MqttConnectionStatus, string> = {
+  idle: styles.dotIdle!,
+  connecting: styles.dotPending!,
+  connected: styles.dotActive!,
+  reconnecting: styles.dotPending!,
+  error: styles.dotError!,
+};
+
+export function PanelMqtt({
+  status,
+  ventilatorStatus,
+  error,
+  settings,
+  bloqueo,
+  onConectar,
+  onDesconectar,
+}: PanelMqttProps) {
+  const [form, setForm] = useState<MqttConnectionSettings>(settings);
+  const [mensaje, setMensaje] = useState('');
+
+  const activo = status !== 'idle' && status !== 'error';
+
+  const set = (field: keyof MqttConnectionSettings) => (e: ChangeEvent<HTMLInputElement>) =>
+    setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const handleConectar = async () => {
+    setMensaje('');
+    try {
+      await onConectar(form);
+    } catch (err) {
+      setMensaje(err instanceof Error ? err.message : 'No se pudo conectar al broker.');
+    }
+  };
+
+  return (
+    <section className={styles.card}>
+      <Typography className={styles.cardTitle!} component="p">
+        Conexión directa por MQTT
+      </Typography>
+      <Typography className={styles.cardDescription!} component="p">
+        Alternativa al servidor: el simulador se suscribe directamente a los tópicos
+        del equipo en un broker MQTT con listener WebSocket (p. ej. Mosquitto).
+      </Typography>
+
+      <div className={styles.form}>
+        <TextField
+          className={styles.formWide!}
+          size="small"
+          label="Broker (ws:// o wss://)"
+          value={form.brokerUrl}
+          onChange={set('brokerUrl')}
+          disabled={activo}
+        />
+        <TextField
+          className={styles.formWide!}
+          size="small"
+          label="Id del equipo"
+          value={form.deviceId}
+          onChange={set('deviceId')}
+          disabled={activo}
+        />
+        <TextField
+          size="small"
+          label="Usuario (opcional)"
+          value={form.username ?? ''}
+          onChange={set('username')}
+          disabled={activo}
+          autoComplete="off"
+        />
+        <TextField
+          size="small"
+          type="password"
+          label="Contraseña (opcional)"
+          value={form.password ?? ''}
+          onChange={set('password')}
+          disabled={activo}
+          autoComplete="new-password"
+        />
+      </div>
+
+      <div className={styles.row}>
+        <span className={styles.rowLabel}>Broker:</span>
+        <span className={styles.indicator}>
+          <span className={`${styles.dot} ${DOT_CLASS[status]}`} />
+          <span className={styles.indicatorLabel}>{STATUS_LABEL[status]}</span>
+        </span>
+      </div>
+
+      <div className={styles.row}>
+        <span className={styles.rowLabel}>Equipo:</span>
+        <span className={styles.rowValue}>
+          {ventilatorStatus === 'CONNECTED' ? 'En línea' : 'Sin señal'}
+        </span>
+      </div>
+
+      <Typography className={styles.message!} component="p">
+        {mensaje || error?.message || bloqueo || ''}
+      </Typography>
+
+      <div className={styles.actions}>
+        {activo ? (
+          <Button variant="outlined" color="warning" onClick={onDesconectar}>
+            Desconectar
+          </Button>
+        ) : (
+          <Button
+            variant="contained"
+            color="primary"
+            onClick={handleConectar}
+            disabled={bloqueo !== null}
+          >
+            Conectar por MQTT
+          </Button>
+        )}
+      </div>
+    </section>
+  );
+}
+
+export default PanelMqtt;
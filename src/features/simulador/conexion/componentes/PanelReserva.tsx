@@ -3,7 +3,13 @@
  * Descripción: Componente presentacional puro para el primer paso de la FSM:
  *   solicitar/liberar la reserva del ventilador (recurso único). Abre el
  *   ReservationDialog existente y delega la acción al hook vía props. Sin lógica.
- * Versión: 1.1
+ *   Con varios equipos en el registro permite elegir el ventilador (mientras no
+ *   haya reserva ni conexión) y muestra su ubicación, estado en línea,
+ *   capacidades y la agenda de reservas del día.
+ *   Abre el calendario semanal para agendar turnos futuros, muestra el cupo
+ *   semanal del rol y, con el equipo ocupado, la lista de espera: unirse, el
+ *   puesto en la cola y la oferta del equipo para aceptarla o rechazarla.
+ * Versión: 1.3
  * Autor: Marcela Mazo Castro
  * Proyecto: VentyLab
  * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
@@ -13,12 +19,36 @@
  */
 
 import { useState } from 'react';
-import { Button, Typography } from '@mui/material';
+import { Button, MenuItem, TextField, Typography } from '@mui/material';
 
+import type {
+  DeviceReservationSlot,
+  ReservationQuota,
+  VentilatorDevice,
+  WaitlistEntry,
+} from '@/contracts/simulator.contracts';
 import { ReservationDialog } from '@/features/simulador/compartido/componentes/ReservationDialog';
+import { CalendarioTurnos } from '@/features/simulador/conexion/agenda/componentes/CalendarioTurnos';
+import { STATUS_LABEL, hora } from '@/features/simulador/conexion/agenda/utils/agenda';
 import styles from './ui/ConexionVentilador.module.css';
 
 interface PanelReservaProps {
+  dispositivos: VentilatorDevice[];
+  /** Equipo elegido (null si el backend no expone el registro). */
+  dispositivo: VentilatorDevice | null;
+  /** Reservas del día del equipo elegido. */
+  agenda: DeviceReservationSlot[];
+  puedeCambiarDispositivo: boolean;
+  onSeleccionarDispositivo: (deviceId: string) => void;
+  /** Cupo del rol (null si el backend no lo expone). */
+  cupo: ReservationQuota | null;
+  /** Turnos que quedan esta semana (null = sin límite). */
+  cupoRestante: number | null;
+  /** Entrada propia en la lista de espera del equipo elegido. */
+  espera: WaitlistEntry | null;
+  onUnirseEspera: (minutos: number, proposito?: string, grupoId?: string) => Promise<boolean>;
+  onSalirEspera: () => void;
+  onAceptarOferta: () => void;
   tieneReserva: boolean;
   /** Nombre del usuario que ocupa el ventilador (null si está libre o es propio). */
   reservadoPor: string | null;
@@ -31,6 +61,17 @@ interface PanelReservaProps {
 }
 
 export function PanelReserva({
+  dispositivos,
+  dispositivo,
+  agenda,
+  puedeCambiarDispositivo,
+  onSeleccionarDispositivo,
+  cupo,
+  cupoRestante,
+  espera,
+  onUnirseEspera,
+  onSalirEspera,
+  onAceptarOferta,
   tieneReserva,
   reservadoPor,
   minutosRestantes,
@@ -41,6 +82,9 @@ export function PanelReserva({
   onLiberar,
 }: PanelReservaProps) {
   const [dialogoAbierto, setDialogoAbierto] = useState(false);
+  const [esperaAbierta, setEsperaAbierta] = useState(false);
+  const [calendarioAbierto, setCalendarioAbierto] = useState(false);
+  const cupoAgotado = cupoRestante === 0;
 
   return (
     <section className={styles.card}>
@@ -48,11 +92,71 @@ export function PanelReserva({
         1. Reserva del ventilador
       </Typography>
       <Typography className={styles.cardDescription!} component="p">
-        El ventilador físico es un recurso único compartido. Reserva un turno antes
+        Cada ventilador físico es un recurso compartido. Reserva un turno antes
         de conectar; recuerda liberarlo al terminar para que otros estudiantes puedan
         usarlo.
       </Typography>
 
+      {dispositivos.length > 1 && (
+        <TextField
+          select
+          size="small"
+          label="Ventilador"
+          value={dispositivo?.deviceId ?? ''}
+          onChange={(e) => onSeleccionarDispositivo(e.target.value)}
+          disabled={!puedeCambiarDispositivo}
+        >
+          {dispositivos.map((d) => (
+            <MenuItem key={d.deviceId} value={d.deviceId}>
+              {d.location ? `${d.name} · ${d.location}` : d.name}
+              {d.isOnline ? '' : ' (sin señal)'}
+            </MenuItem>
+          ))}
+        </TextField>
+      )}
+
+      {dispositivo && (
+        <>
+          <div className={styles.row}>
+            <span className={styles.rowLabel}>Equipo:</span>
+            <span className={styles.indicator}>
+              <span className={`${styles.dot} ${dispositivo.isOnline ? styles.dotActive : styles.dotIdle}`} />
+              <span className={styles.indicatorLabel}>
+                {dispositivo.name}
+                {dispositivo.location ? ` · ${dispositivo.location}` : ''}
+                {dispositivo.isOnline ? '' : ' · sin señal'}
+              </span>
+            </span>
+          </div>
+
+          {dispositivo.capabilities.length > 0 && (
+            <div className={styles.row}>
+              <span className={styles.rowLabel}>Capacidades:</span>
+              <span className={styles.rowValue}>{dispositivo.capabilities.join(' · ')}</span>
+            </div>
+          )}
+
+          <div className={styles.agenda}>
+            <span className={styles.rowLabel}>Reservas de hoy:</span>
+            {agenda.length === 0 ? (
+              <span className={styles.agendaEmpty}>Sin reservas</span>
+            ) : (
+              <ul className={styles.agendaList}>
+                {agenda.map((slot) => (
+                  <li key={slot.id} className={styles.agendaItem}>
+                    <span className={styles.agendaTime}>
+                      {hora(slot.startTime)}–{hora(slot.endTime)}
+                    </span>
+                    <span>{slot.userName ?? 'Usuario'}</span>
+                    <span className={styles.agendaStatus}>{STATUS_LABEL[slot.status]}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </>
+      )}
+
       <div className={styles.row}>
         <span className={styles.rowLabel}>Reserva:</span>
         <span className={styles.rowValue}>
@@ -64,16 +168,66 @@ export function PanelReserva({
         </span>
       </div>
 
+      {cupo && cupo.maxSlotsPerWeek !== null && (
+        <div className={styles.row}>
+          <span className={styles.rowLabel}>Cupo semanal:</span>
+          <span className={styles.rowValue}>
+            {cupoAgotado
+              ? `Agotado (${cupo.maxSlotsPerWeek} de ${cupo.maxSlotsPerWeek} turnos)`
+              : `${cupoRestante} de ${cupo.maxSlotsPerWeek} turnos disponibles`}
+          </span>
+        </div>
+      )}
+
+      {espera && (
+        <div className={`${styles.row} ${espera.status === 'OFFERED' ? styles.offer : ''}`}>
+          <span className={styles.rowLabel}>Lista de espera:</span>
+          <span className={styles.rowValue}>
+            {espera.status === 'OFFERED'
+              ? `¡El equipo está libre para ti!${espera.offerExpiresAt ? ` Acepta antes de las ${hora(espera.offerExpiresAt)}` : ''}`
+              : `Puesto ${espera.position} · ${espera.durationMinutes} min`}
+          </span>
+        </div>
+      )}
+
       <div className={styles.actions}>
         <Button
           variant="contained"
           color="primary"
           onClick={() => setDialogoAbierto(true)}
-          disabled={!puedeReservar}
+          disabled={!puedeReservar || cupoAgotado}
         >
           Reservar
         </Button>
 
+        {dispositivo && (
+          <Button variant="outlined" onClick={() => setCalendarioAbierto(true)}>
+            Calendario de turnos
+          </Button>
+        )}
+
+        {espera?.status === 'OFFERED' ? (
+          <>
+            <Button variant="contained" color="success" onClick={onAceptarOferta} disabled={ocupado}>
+              Aceptar turno
+            </Button>
+            <Button variant="outlined" color="warning" onClick={onSalirEspera}>
+              Rechazar
+            </Button>
+          </>
+        ) : espera ? (
+          <Button variant="outlined" color="warning" onClick={onSalirEspera}>
+            Salir de la lista
+          </Button>
+        ) : (
+          reservadoPor &&
+          dispositivo && (
+            <Button variant="outlined" onClick={() => setEsperaAbierta(true)}>
+              Lista de espera
+            </Button>
+          )
+        )}
+
         {tieneReserva && (
           <Button
             variant="outlined"
@@ -90,7 +244,22 @@ export function PanelReserva({
         open={dialogoAbierto}
         onClose={() => setDialogoAbierto(false)}
         onConfirm={onReservar}
+        {...(dispositivo ? { deviceName: dispositivo.name } : {})}
+        {...(cupo ? { maxMinutes: cupo.maxSlotMinutes } : {})}
       />
+
+      <ReservationDialog
+        open={esperaAbierta}
+        onClose={() => setEsperaAbierta(false)}
+        onConfirm={onUnirseEspera}
+        variant="waitlist"
+        {...(dispositivo ? { deviceName: dispositivo.name } : {})}
+        {...(cupo ? { maxMinutes: cupo.maxSlotMinutes, groups: cupo.groups } : {})}
+      />
+
+      {calendarioAbierto && dispositivo && (
+        <CalendarioTurnos dispositivo={dispositivo} onClose={() => setCalendarioAbierto(false)} />
+      )}
     </section>
   );
 }
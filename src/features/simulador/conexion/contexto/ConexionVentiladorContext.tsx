@@ -4,7 +4,17 @@
  *   la comparte con todo el subárbol del simulador. Permite que la tab Conexión
  *   gobierne reservar→conectar y que la tab Monitoreo / el dashboard lean el estado
  *   de conexión sin re-implementarlo ni hacer prop-drilling.
- * Versión: 1.0
+ *   También monta la sesión MQTT directa con el equipo (MqttVentiladorProvider):
+ *   el valor expone `mqtt` y `transporte`, y `estaConectado` es verdadero con
+ *   cualquiera de los dos canales.
+ *   Lleva además el equipo elegido del registro de ventiladores: la FSM, la
+ *   telemetría del socket y la sesión MQTT operan sobre él.
+ *   Reúne la práctica supervisada: el docente que observa fija el equipo de la
+ *   sala a la que se unió y recibe su telemetría por el socket; el estudiante ve
+ *   quién observa y cede o recupera el control. `soloLectura` y `comandoRemoto`
+ *   le dicen al dashboard cuándo bloquear sus controles y qué configuración
+ *   reflejar del otro extremo.
+ * Versión: 1.3
  * Autor: Marcela Mazo Castro
  * Proyecto: VentyLab
  * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
@@ -13,29 +23,138 @@
  * Contacto: marcela.mazo@correounivalle.edu.co
  */
 
-import { createContext, useContext, type ReactNode } from 'react';
+import { createContext, useCallback, useContext, useEffect, useState, type ReactNode } from 'react';
 
+import { MQTT_REQUIRES_RESERVATION } from '@/config/env';
+import type { ParameterLogEntry, VentilatorDevice } from '@/contracts/simulator.contracts';
 import {
   useConexionVentilador,
   type UseConexionVentiladorReturn,
 } from '@/features/simulador/conexion/websocket/hooks/useConexionVentilador';
+import {
+  MqttVentiladorProvider,
+  useMqttVentiladorContext,
+} from '@/features/simulador/conexion/mqtt/contexto/MqttVentiladorContext';
+import type { UseMqttVentilatorReturn } from '@/features/simulador/conexion/mqtt/hooks/useMqttVentilator';
+import { useVentilatorDevices } from '@/features/simulador/conexion/dispositivos/hooks/useVentilatorDevices';
+import { setStreamDevice } from '@/features/simulador/conexion/websocket/stream/ventilatorStreamStore';
+import {
+  useObservacion,
+  type UseObservacionReturn,
+} from '@/features/simulador/conexion/supervision/hooks/useObservacion';
+import {
+  useSupervisionEstudiante,
+  type UseSupervisionEstudianteReturn,
+} from '@/features/simulador/conexion/supervision/hooks/useSupervisionEstudiante';
+import { useParameterRelay } from '@/features/simulador/conexion/supervision/hooks/useParameterRelay';
+
+/** Canal por el que llega la telemetría del equipo físico. */
+export type TransporteVentilador = 'websocket' | 'mqtt';
+
+export interface ConexionVentiladorContextValue extends UseConexionVentiladorReturn {
+  /** Canal activo (null sin conexión). Si ambos están abiertos, manda el socket. */
+  transporte: TransporteVentilador | null;
+  /** Sesión MQTT directa con el equipo. */
+  mqtt: UseMqttVentilatorReturn;
+  /** Registro de ventiladores (vacío si el backend no lo expone). */
+  dispositivos: VentilatorDevice[];
+  /** Equipo sobre el que operan reserva y conexión (null = equipo por defecto). */
+  dispositivo: VentilatorDevice | null;
+  /** Elige otro equipo; se ignora mientras puedeCambiarDispositivo sea falso. */
+  seleccionarDispositivo: (deviceId: string) => void;
+  /** Lado docente de la práctica supervisada. */
+  observacion: UseObservacionReturn;
+  /** Lado estudiante: observadores, indicaciones y traspaso del control. */
+  supervision: UseSupervisionEstudianteReturn;
+  /** Quien mira sin tener el control no envía comandos. */
+  soloLectura: boolean;
+  /** Último comando emitido por el otro extremo de la práctica supervisada. */
+  comandoRemoto: ParameterLogEntry | null;
+}
 
-const ConexionVentiladorContext = createContext<UseConexionVentiladorReturn | null>(null);
+const ConexionVentiladorContext = createContext<ConexionVentiladorContextValue | null>(null);
 
 interface ConexionVentiladorProviderProps {
   children: ReactNode;
 }
 
+/** Combina la FSM de reserva con la sesión MQTT del provider externo. */
+function ConexionVentiladorValue({ children }: ConexionVentiladorProviderProps) {
+  const { devices: dispositivos } = useVentilatorDevices();
+  const [elegido, setElegido] = useState<string | null>(null);
+  const observacion = useObservacion();
+  const observadoId = observacion.observada?.deviceId ?? null;
+  // Observando manda el equipo de la sala; si no, la elección o el primero del
+  // registro (el backend lo ordena por nombre).
+  const dispositivo =
+    dispositivos.find((d) => d.deviceId === (observadoId ?? elegido)) ?? dispositivos[0] ?? null;
+  const dispositivoId = observadoId ?? dispositivo?.deviceId ?? null;
+
+  const fsm = useConexionVentilador(dispositivoId);
+  const mqtt = useMqttVentiladorContext();
+  const puedeCambiarDispositivo = fsm.puedeCambiarDispositivo && observadoId === null;
+
+  const supervision = useSupervisionEstudiante(dispositivoId, fsm.tieneReserva);
+  const comandoRemoto = useParameterRelay(
+    dispositivoId,
+    fsm.tieneReserva ? 'propietario' : observadoId ? 'observador' : null,
+  );
+  const soloLectura =
+    observadoId !== null ? !observacion.enControl : supervision.controlDocente !== null;
+
+  useEffect(() => {
+    setStreamDevice(dispositivoId);
+  }, [dispositivoId]);
+
+  const seleccionarDispositivo = useCallback(
+    (deviceId: string) => {
+      if (puedeCambiarDispositivo) setElegido(deviceId);
+    },
+    [puedeCambiarDispositivo],
+  );
+  const { isConnected: mqttConectado, disconnect: desconectarMqtt } = mqtt;
+
+  // Al vencer o liberarse la reserva se cierra también el canal MQTT.
+  useEffect(() => {
+    if (MQTT_REQUIRES_RESERVATION && mqttConectado && !fsm.tieneReserva) desconectarMqtt();
+  }, [mqttConectado, fsm.tieneReserva, desconectarMqtt]);
+
+  // La telemetría del equipo observado llega por el socket, como al estudiante.
+  const transporte: TransporteVentilador | null = fsm.estaConectado || observadoId
+    ? 'websocket'
+    : mqttConectado
+      ? 'mqtt'
+      : null;
+  const value: ConexionVentiladorContextValue = {
+    ...fsm,
+    estaConectado: transporte !== null,
+    transporte,
+    mqtt,
+    dispositivos,
+    dispositivo,
+    puedeCambiarDispositivo,
+    seleccionarDispositivo,
+    observacion,
+    supervision,
+    soloLectura,
+    comandoRemoto,
+  };
+  return (
+    <ConexionVentiladorContext.Provider value={value}>
+      {children}
+    </ConexionVentiladorContext.Provider>
+  );
+}
+
 /**
  * Envuelve el contenido del simulador. Debe situarse dentro de <SocketProvider>
  * (global en _app.js) para que la FSM acceda al WebSocket del backend.
  */
 export function ConexionVentiladorProvider({ children }: ConexionVentiladorProviderProps) {
-  const value = useConexionVentilador();
   return (
-    <ConexionVentiladorContext.Provider value={value}>
-      {children}
-    </ConexionVentiladorContext.Provider>
+    <MqttVentiladorProvider>
+      <ConexionVentiladorValue>{children}</ConexionVentiladorValue>
+    </MqttVentiladorProvider>
   );
 }
 
@@ -43,7 +162,7 @@ export function ConexionVentiladorProvider({ children }: ConexionVentiladorProvi
  * Acceso tipado al estado/acciones de la FSM de conexión.
  * Lanza si se usa fuera del provider para detectar errores de cableado temprano.
  */
-export function useConexionVentiladorContext(): UseConexionVentiladorReturn {
+export function useConexionVentiladorContext(): ConexionVentiladorContextValue {
   const ctx = useContext(ConexionVentiladorContext);
   if (ctx === null) {
     throw new Error(
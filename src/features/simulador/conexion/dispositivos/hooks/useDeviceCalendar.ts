@@ -0,0 +1,91 @@
+/*
+ * Funcionalidad: useDeviceCalendar
+ * Descripción: Calendario de reservas de un ventilador para un día (las que se
+ *   solapan con [inicio del día, inicio del día siguiente)). Alimenta la agenda
+ *   del equipo en el diálogo de reserva.
+ *   Acepta un número de días para cubrir la semana del calendario de turnos.
+ * Versión: 1.1
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import { useCallback } from 'react';
+import useSWR from 'swr';
+
+import type { DeviceReservationSlot } from '@/contracts/simulator.contracts';
+import { simulatorApi } from '@/features/simulador/compartido/api/simulator.api';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+export interface UseDeviceCalendarReturn {
+  slots: DeviceReservationSlot[];
+  isLoading: boolean;
+  error: Error | undefined;
+  refresh: () => Promise<DeviceReservationSlot[] | undefined>;
+}
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+export const DEVICE_RESERVATIONS_KEY = 'simulation/device-reservations';
+export const DAY_MS = 24 * 60 * 60 * 1000;
+const NO_SLOTS: DeviceReservationSlot[] = [];
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/** Medianoche local del día que contiene `timestamp`. */
+export function startOfDay(timestamp: number): number {
+  const date = new Date(timestamp);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+}
+
+/** Lunes 00:00 (hora local) de la semana que contiene `timestamp`. */
+export function startOfWeek(timestamp: number): number {
+  const date = new Date(startOfDay(timestamp));
+  // getDay(): 0 = domingo … 6 = sábado
+  date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  return date.getTime();
+}
+
+// =============================================================================
+// Hook
+// =============================================================================
+
+/**
+ * @param deviceId - Equipo del registro; null desactiva la consulta
+ * @param day - Cualquier instante del primer día a mostrar (Unix ms)
+ * @param days - Días consecutivos a cubrir (7 para una semana)
+ */
+export function useDeviceCalendar(
+  deviceId: string | null,
+  day: number,
+  days = 1,
+): UseDeviceCalendarReturn {
+  const from = startOfDay(day);
+  // Con cambios de horario un día no mide siempre DAY_MS: se toma la medianoche real.
+  const to = startOfDay(from + days * DAY_MS + DAY_MS / 2);
+  const { data, error, isLoading, mutate } = useSWR<DeviceReservationSlot[]>(
+    deviceId ? [DEVICE_RESERVATIONS_KEY, deviceId, from, to] : null,
+    () => simulatorApi.getDeviceReservations(deviceId!, from, to),
+    { revalidateOnFocus: true },
+  );
+
+  const refresh = useCallback(() => mutate(), [mutate]);
+
+  return {
+    slots: data ?? NO_SLOTS,
+    isLoading,
+    error: error as Error | undefined,
+    refresh,
+  };
+}
@@ -0,0 +1,65 @@
+/*
+ * Funcionalidad: useVentilatorDevices
+ * Descripción: Registro de ventiladores físicos que admiten reservas (nombre,
+ *   ubicación, capacidades y estado en línea). Se refresca periódicamente para
+ *   que el indicador "en línea" siga al heartbeat de cada equipo. Si el backend
+ *   aún no expone el registro, la lista queda vacía y el flujo de reserva opera
+ *   sobre el equipo por defecto como antes.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import { useCallback } from 'react';
+import useSWR from 'swr';
+
+import type { VentilatorDevice } from '@/contracts/simulator.contracts';
+import { simulatorApi } from '@/features/simulador/compartido/api/simulator.api';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+export interface UseVentilatorDevicesReturn {
+  devices: VentilatorDevice[];
+  isLoading: boolean;
+  error: Error | undefined;
+  refresh: () => Promise<VentilatorDevice[] | undefined>;
+}
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+export const VENTILATOR_DEVICES_KEY = 'simulation/devices';
+const REFRESH_INTERVAL_MS = 30_000;
+const NO_DEVICES: VentilatorDevice[] = [];
+
+// =============================================================================
+// Hook
+// =============================================================================
+
+export function useVentilatorDevices(): UseVentilatorDevicesReturn {
+  const { data, error, isLoading, mutate } = useSWR<VentilatorDevice[]>(
+    VENTILATOR_DEVICES_KEY,
+    () => simulatorApi.getDevices(),
+    {
+      refreshInterval: REFRESH_INTERVAL_MS,
+      revalidateOnFocus: true,
+      keepPreviousData: true,
+    },
+  );
+
+  const refresh = useCallback(() => mutate(), [mutate]);
+
+  return {
+    devices: data ?? NO_DEVICES,
+    isLoading,
+    error: error as Error | undefined,
+    refresh,
+  };
+}
@@ -4,8 +4,15 @@ export * from './websocket/hooks/useRemoteVentilator';
 export * from './websocket/hooks/useVentilatorConnection';
 export * from './websocket/hooks/useConexionVentilador';
 export * from './websocket/registro/ChartRegistry';
+export * from './mqtt/hooks/useMqttVentilator';
+export {
+  MqttVentiladorProvider,
+  useMqttVentiladorContext,
+} from './mqtt/contexto/MqttVentiladorContext';
 export {
   ConexionVentiladorProvider,
   useConexionVentiladorContext,
+  type ConexionVentiladorContextValue,
+  type TransporteVentilador,
 } from './contexto/ConexionVentiladorContext';
 export { ConexionVentiladorTab } from './componentes/ConexionVentiladorTab';
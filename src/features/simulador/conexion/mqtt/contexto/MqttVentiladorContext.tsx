@@ -0,0 +1,48 @@
+/*
+ * Funcionalidad: MqttVentiladorContext
+ * Descripción: Provider que mantiene UNA sesión MQTT con el ventilador físico
+ *   para todo el simulador (useMqttVentilator). La tab Conexión la abre y
+ *   cierra; la tab Monitoreo y el dashboard la usan para saber si el equipo
+ *   está en línea y para publicar tramas. ConexionVentiladorProvider lo monta
+ *   y expone su estado junto al de la FSM de reserva.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import { createContext, useContext, type ReactNode } from 'react';
+
+import {
+  useMqttVentilator,
+  type UseMqttVentilatorReturn,
+} from '@/features/simulador/conexion/mqtt/hooks/useMqttVentilator';
+
+const MqttVentiladorContext = createContext<UseMqttVentilatorReturn | null>(null);
+
+interface MqttVentiladorProviderProps {
+  children: ReactNode;
+}
+
+export function MqttVentiladorProvider({ children }: MqttVentiladorProviderProps) {
+  const value = useMqttVentilator();
+  return (
+    <MqttVentiladorContext.Provider value={value}>
+      {children}
+    </MqttVentiladorContext.Provider>
+  );
+}
+
+/** Sesión MQTT compartida. Lanza si se usa fuera del provider. */
+export function useMqttVentiladorContext(): UseMqttVentilatorReturn {
+  const ctx = useContext(MqttVentiladorContext);
+  if (ctx === null) {
+    throw new Error('useMqttVentiladorContext debe usarse dentro de <MqttVentiladorProvider>');
+  }
+  return ctx;
+}
+
+export default MqttVentiladorProvider;
@@ -0,0 +1,250 @@
+/*
+ * Funcionalidad: useMqttVentilator
+ * Descripción: Conexión al ventilador físico por MQTT (broker sobre WebSocket,
+ *   p. ej. Mosquitto). Se suscribe a los tópicos del equipo (mqttProtocol) y
+ *   entrega lecturas y alarmas al ventilatorStreamStore con la misma prioridad
+ *   que la telemetría del socket, de modo que curvas, alarmas, mecánica y
+ *   grabación funcionan igual que con useRemoteVentilator. Las tramas de
+ *   configuración y de pausa se publican en el tópico `frames` del equipo con
+ *   la misma validación que el puerto serial. El cliente mqtt se importa bajo
+ *   demanda para no cargarlo en el bundle inicial.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import type { MqttClient } from 'mqtt';
+
+import { MQTT_BROKER_URL, MQTT_DEFAULT_DEVICE_ID } from '@/config/env';
+import type { VentilatorAlarm, VentilatorStatus } from '@/contracts/simulator.contracts';
+import { SerialProtocol } from '@/features/simulador/conexion/serial/utils/serialCommunication';
+import {
+  ingestMqttAlarm,
+  ingestMqttReading,
+} from '@/features/simulador/conexion/websocket/stream/ventilatorStreamStore';
+import {
+  decodeAlarm,
+  decodeStatus,
+  decodeTelemetry,
+  deviceTopics,
+  isValidDeviceId,
+  topicKind,
+  type MqttDeviceTopics,
+} from '../utils/mqttProtocol';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+export type MqttConnectionStatus = 'idle' | 'connecting' | 'connected' | 'reconnecting' | 'error';
+
+export interface MqttConnectionSettings {
+  /** ws:// o wss:// del listener WebSocket del broker */
+  brokerUrl: string;
+  /** Nivel de tópico del equipo (ventylab/ventilators/<deviceId>/…) */
+  deviceId: string;
+  username?: string;
+  password?: string;
+}
+
+export interface UseMqttVentilatorReturn {
+  /** Estado de la sesión con el broker */
+  status: MqttConnectionStatus;
+  /** Sesión con el broker abierta y tópicos suscritos */
+  isConnected: boolean;
+  /** Estado que publica el equipo (retenido; 'DISCONNECTED' por LWT) */
+  ventilatorStatus: VentilatorStatus;
+  alarms: VentilatorAlarm[];
+  error: Error | null;
+  /** Últimos ajustes usados (o los del entorno) para prellenar el formulario */
+  settings: MqttConnectionSettings;
+  connect: (settings: MqttConnectionSettings) => Promise<void>;
+  disconnect: () => void;
+  /** Publica una trama del protocolo serial en el tópico `frames` del equipo. */
+  sendFrame: (frame: string) => Promise<boolean>;
+}
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const RECONNECT_PERIOD_MS = 2000;
+const CONNECT_TIMEOUT_MS = 10_000;
+
+const DEFAULT_SETTINGS: MqttConnectionSettings = {
+  brokerUrl: MQTT_BROKER_URL,
+  deviceId: MQTT_DEFAULT_DEVICE_ID,
+};
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+const clientId = () => `ventylab-web-${Math.random().toString(16).slice(2, 10)}`;
+
+function mergeAlarm(prev: VentilatorAlarm[], alarm: VentilatorAlarm): VentilatorAlarm[] {
+  const idx = prev.findIndex((a) => a.type === alarm.type);
+  if (idx < 0) return [...prev, alarm];
+  const updated = [...prev];
+  updated[idx] = alarm;
+  return updated;
+}
+
+// =============================================================================
+// Hook
+// =============================================================================
+
+export function useMqttVentilator(): UseMqttVentilatorReturn {
+  const [status, setStatus] = useState<MqttConnectionStatus>('idle');
+  const [ventilatorStatus, setVentilatorStatus] = useState<VentilatorStatus>('DISCONNECTED');
+  const [alarms, setAlarms] = useState<VentilatorAlarm[]>([]);
+  const [error, setError] = useState<Error | null>(null);
+  const [settings, setSettings] = useState<MqttConnectionSettings>(DEFAULT_SETTINGS);
+
+  const clientRef = useRef<MqttClient | null>(null);
+  const topicsRef = useRef<MqttDeviceTopics | null>(null);
+  // Invalida un connect() que aún espera el import de mqtt si entretanto se
+  // desconecta o se vuelve a conectar.
+  const attemptRef = useRef(0);
+
+  const closeClient = useCallback(() => {
+    attemptRef.current += 1;
+    const client = clientRef.current;
+    clientRef.current = null;
+    topicsRef.current = null;
+    if (client) {
+      client.removeAllListeners();
+      client.end(true);
+    }
+  }, []);
+
+  // El cliente vive mientras el provider esté montado.
+  useEffect(() => closeClient, [closeClient]);
+
+  const connect = useCallback(
+    async (next: MqttConnectionSettings) => {
+      const deviceId = next.deviceId.trim();
+      const brokerUrl = next.brokerUrl.trim();
+      if (!/^wss?:\/\//.test(brokerUrl)) {
+        throw new Error('La URL del broker debe ser ws:// o wss:// (listener WebSocket).');
+      }
+      if (!isValidDeviceId(deviceId)) {
+        throw new Error('El id del equipo sólo admite letras, números, "-" y "_".');
+      }
+
+      closeClient();
+      const attempt = attemptRef.current;
+      setSettings({ ...next, brokerUrl, deviceId });
+      setStatus('connecting');
+      setError(null);
+      setAlarms([]);
+      setVentilatorStatus('DISCONNECTED');
+
+      // El build ESM de mqtt para navegador sólo expone el export por defecto.
+      const { default: mqtt } = await import('mqtt');
+      if (attempt !== attemptRef.current) return;
+      const topics = deviceTopics(deviceId);
+      const client = mqtt.connect(brokerUrl, {
+        clientId: clientId(),
+        clean: true,
+        reconnectPeriod: RECONNECT_PERIOD_MS,
+        connectTimeout: CONNECT_TIMEOUT_MS,
+        ...(next.username ? { username: next.username } : {}),
+        ...(next.password ? { password: next.password } : {}),
+      });
+      clientRef.current = client;
+      topicsRef.current = topics;
+
+      client.on('connect', () => {
+        client.subscribe([topics.telemetry, topics.alarms, topics.status], { qos: 0 }, (err) => {
+          if (err) {
+            setError(err);
+            setStatus('error');
+            return;
+          }
+          setStatus('connected');
+        });
+      });
+      client.on('reconnect', () => setStatus('reconnecting'));
+      client.on('offline', () => {
+        setStatus('reconnecting');
+        setVentilatorStatus('DISCONNECTED');
+      });
+      client.on('error', (err) => {
+        setError(err);
+        setStatus('error');
+      });
+
+      client.on('message', (topic, payload) => {
+        const text = payload.toString();
+        switch (topicKind(topics, topic)) {
+          case 'telemetry':
+            decodeTelemetry(text, deviceId).forEach(ingestMqttReading);
+            break;
+          case 'alarms': {
+            const alarm = decodeAlarm(text);
+            if (!alarm) return;
+            ingestMqttAlarm(alarm);
+            setAlarms((prev) => mergeAlarm(prev, alarm));
+            break;
+          }
+          case 'status': {
+            const incoming = decodeStatus(text);
+            if (incoming) setVentilatorStatus(incoming);
+            break;
+          }
+          default:
+            break;
+        }
+      });
+    },
+    [closeClient],
+  );
+
+  const disconnect = useCallback(() => {
+    closeClient();
+    setStatus('idle');
+    setVentilatorStatus('DISCONNECTED');
+    setAlarms([]);
+  }, [closeClient]);
+
+  const sendFrame = useCallback(async (frame: string): Promise<boolean> => {
+    const client = clientRef.current;
+    const topics = topicsRef.current;
+    if (!client?.connected || !topics) {
+      console.warn('No se puede publicar la trama: sin conexión MQTT');
+      return false;
+    }
+    const validation = SerialProtocol.validateFrame(frame);
+    if (!validation.valid) {
+      console.error('Trama inválida:', validation.error);
+      return false;
+    }
+    try {
+      await client.publishAsync(topics.frames, frame, { qos: 1 });
+      return true;
+    } catch (err) {
+      console.error('Error publicando trama MQTT:', err);
+      return false;
+    }
+  }, []);
+
+  return {
+    status,
+    isConnected: status === 'connected',
+    ventilatorStatus,
+    alarms,
+    error,
+    settings,
+    connect,
+    disconnect,
+    sendFrame,
+  };
+}
+
+export default useMqttVentilator;
@@ -0,0 +1,178 @@
+/*
+ * Funcionalidad: mqttProtocol
+ * Descripción: Contrato MQTT entre el simulador y el controlador ESP del
+ *   ventilador del laboratorio. Un árbol de tópicos por equipo:
+ *     ventylab/ventilators/<deviceId>/telemetry  equipo → app  lecturas
+ *     ventylab/ventilators/<deviceId>/alarms     equipo → app  VentilatorAlarm (JSON)
+ *     ventylab/ventilators/<deviceId>/status     equipo → app  'online' | 'offline' |
+ *                                                 VentilatorStatus (retenido + LWT)
+ *     ventylab/ventilators/<deviceId>/frames     app → equipo  tramas de configuración
+ *   La telemetría acepta JSON (lectura o arreglo de lecturas, con claves largas
+ *   o p/f/v/t) y también la trama de sensores del puerto serial (`S P..F..V..?`),
+ *   para que el firmware pueda reenviar tal cual lo que escribe por UART. Las
+ *   tramas hacia el equipo son las mismas de SerialProtocol (V?/P?/F?, i/e/l…).
+ *   Para probar con Mosquitto basta un listener WebSocket:
+ *     listener 1883
+ *     listener 9001
+ *     protocol websockets
+ *     allow_anonymous true
+ *   y publicar, p. ej.:
+ *     mosquitto_pub -t ventylab/ventilators/vent-01/status -r -m online
+ *     mosquitto_pub -t ventylab/ventilators/vent-01/telemetry -m '{"p":18.2,"f":35,"v":210}'
+ *     mosquitto_sub -t 'ventylab/ventilators/vent-01/frames'
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import type {
+  AlarmSeverity,
+  AlarmType,
+  VentilatorAlarm,
+  VentilatorReading,
+  VentilatorStatus,
+} from '@/contracts/simulator.contracts';
+import { SerialProtocol } from '@/features/simulador/conexion/serial/utils/serialCommunication';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+export interface MqttDeviceTopics {
+  telemetry: string;
+  alarms: string;
+  status: string;
+  frames: string;
+}
+
+export type MqttTopicKind = keyof MqttDeviceTopics;
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+export const MQTT_TOPIC_ROOT = 'ventylab/ventilators';
+
+const VENTILATOR_STATUSES: readonly VentilatorStatus[] = [
+  'DISCONNECTED',
+  'CONNECTING',
+  'CONNECTED',
+  'ERROR',
+  'RESERVED',
+];
+
+const ALARM_SEVERITIES: readonly AlarmSeverity[] = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+/**
+ * Por debajo de esto un timestamp no es epoch en ms (p. ej. millis() del ESP
+ * desde el arranque): la lectura se fecha con el reloj local al llegar.
+ */
+const MIN_EPOCH_MS = 1_000_000_000_000;
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+const isFiniteNumber = (value: unknown): value is number => typeof value === 'number' && Number.isFinite(value);
+
+/** Id de equipo válido como nivel de tópico (sin comodines ni separadores). */
+export function isValidDeviceId(deviceId: string): boolean {
+  return /^[A-Za-z0-9_-]{1,64}$/.test(deviceId);
+}
+
+export function deviceTopics(deviceId: string): MqttDeviceTopics {
+  const base = `${MQTT_TOPIC_ROOT}/${deviceId}`;
+  return {
+    telemetry: `${base}/telemetry`,
+    alarms: `${base}/alarms`,
+    status: `${base}/status`,
+    frames: `${base}/frames`,
+  };
+}
+
+/** Tipo de tópico de un mensaje recibido, o null si no es de este equipo. */
+export function topicKind(topics: MqttDeviceTopics, topic: string): MqttTopicKind | null {
+  const match = (Object.keys(topics) as MqttTopicKind[]).find((kind) => topics[kind] === topic);
+  return match ?? null;
+}
+
+function readingFromObject(raw: unknown, deviceId: string, now: number): VentilatorReading | null {
+  if (!raw || typeof raw !== 'object') return null;
+  const r = raw as Record<string, unknown>;
+  const pressure = r.pressure ?? r.p;
+  const flow = r.flow ?? r.f;
+  const volume = r.volume ?? r.v;
+  if (!isFiniteNumber(pressure) || !isFiniteNumber(flow) || !isFiniteNumber(volume)) return null;
+  const stamp = r.timestamp ?? r.t;
+  const reading: VentilatorReading = {
+    pressure,
+    flow,
+    volume,
+    timestamp: isFiniteNumber(stamp) && stamp >= MIN_EPOCH_MS ? stamp : now,
+    deviceId,
+  };
+  if (isFiniteNumber(r.pco2)) reading.pco2 = r.pco2;
+  if (isFiniteNumber(r.spo2)) reading.spo2 = r.spo2;
+  return reading;
+}
+
+// =============================================================================
+// Decoders
+// =============================================================================
+
+/** Lecturas de un mensaje de telemetría (vacío si no se reconoce). */
+export function decodeTelemetry(payload: string, deviceId: string, now = Date.now()): VentilatorReading[] {
+  const text = payload.trim();
+  if (text.startsWith('S')) {
+    const { data } = SerialProtocol.decodeSensorFrame(text);
+    return data ? [{ pressure: data.pressure, flow: data.flow, volume: data.volume, timestamp: now, deviceId }] : [];
+  }
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    return [];
+  }
+  const items = Array.isArray(parsed) ? parsed : [parsed];
+  // En un lote sin timestamps no se inventa la cadencia: todas llevan `now`.
+  return items
+    .map((item) => readingFromObject(item, deviceId, now))
+    .filter((reading): reading is VentilatorReading => reading !== null);
+}
+
+/** Alarma del equipo; null si el mensaje no es una VentilatorAlarm. */
+export function decodeAlarm(payload: string, now = Date.now()): VentilatorAlarm | null {
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(payload);
+  } catch {
+    return null;
+  }
+  if (!parsed || typeof parsed !== 'object') return null;
+  const a = parsed as Partial<VentilatorAlarm>;
+  if (typeof a.type !== 'string' || typeof a.message !== 'string') return null;
+  const alarm: VentilatorAlarm = {
+    type: a.type as AlarmType,
+    severity: ALARM_SEVERITIES.includes(a.severity as AlarmSeverity) ? (a.severity as AlarmSeverity) : 'MEDIUM',
+    message: a.message,
+    timestamp: isFiniteNumber(a.timestamp) && a.timestamp >= MIN_EPOCH_MS ? a.timestamp : now,
+    active: a.active ?? true,
+    acknowledged: a.acknowledged ?? false,
+  };
+  if (isFiniteNumber(a.currentValue)) alarm.currentValue = a.currentValue;
+  if (isFiniteNumber(a.thresholdValue)) alarm.thresholdValue = a.thresholdValue;
+  return alarm;
+}
+
+/** Estado publicado por el equipo (retenido; el LWT publica 'offline'). */
+export function decodeStatus(payload: string): VentilatorStatus | null {
+  const text = payload.trim();
+  if (text === 'online') return 'CONNECTED';
+  if (text === 'offline' || text === '') return 'DISCONNECTED';
+  const upper = text.toUpperCase() as VentilatorStatus;
+  return VENTILATOR_STATUSES.includes(upper) ? upper : null;
+}
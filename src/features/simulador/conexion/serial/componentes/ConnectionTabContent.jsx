@@ -2,6 +2,7 @@ import React from 'react';
 import { Box, Container, Typography, Button, TextField } from '@mui/material';
 import { styled } from '@mui/material/styles';
 import WhatsAppTransfer from './WhatsAppTransfer';
+import { VirtualSerialPort } from '../utils/virtualSerialPort';
 
 const StyledPaper = styled('div')(({ theme }) => ({
   padding: theme.spacing(3),
@@ -57,7 +58,9 @@ const ConnectionTabContent = ({
                   }}
                 />
                 <Typography variant="h6" sx={{ fontWeight: 500 }}>
-                  {serialConnection.isConnected ? 'Conectado' : 'Desconectado'}
+                  {serialConnection.isConnected
+                    ? serialConnection.isVirtual ? 'Conectado (ventilador virtual)' : 'Conectado'
+                    : 'Desconectado'}
                 </Typography>
               </Box>
               {systemStatus.lastMessage && (
@@ -122,9 +125,15 @@ const ConnectionTabContent = ({
                 />
 
                 {!serialConnection.isConnected ? (
-                  <Button variant="contained" color="success" onClick={() => handleConnection(null, 9600)} size="large" sx={{ fontWeight: 600, '&:hover': { backgroundColor: 'success.dark' } }}>
-                    Conectar
-                  </Button>
+                  <>
+                    <Button variant="contained" color="success" onClick={() => handleConnection(null, 9600)} size="large" sx={{ fontWeight: 600, '&:hover': { backgroundColor: 'success.dark' } }}>
+                      Conectar
+                    </Button>
+                    {/* Emulador del equipo con el mismo protocolo de tramas: demos y pruebas sin USB */}
+                    <Button variant="outlined" onClick={() => handleConnection(new VirtualSerialPort(), 9600)} size="small" sx={{ borderColor: 'rgba(255, 255, 255, 0.3)', color: '#e8f4fd' }}>
+                      Usar ventilador virtual
+                    </Button>
+                  </>
                 ) : (
                   <Button variant="contained" color="error" onClick={handleDisconnection} size="large" sx={{ fontWeight: 600, '&:hover': { backgroundColor: 'error.dark' } }}>
                     Desconectar
@@ -252,6 +261,7 @@ const ConnectionTabContent = ({
                   <Typography variant="caption" display="block" color="text.secondary">1. Conecta el dispositivo por USB</Typography>
                   <Typography variant="caption" display="block" color="text.secondary">2. Selecciona puerto serie</Typography>
                   <Typography variant="caption" display="block" color="text.secondary">3. Permite acceso en el navegador</Typography>
+                  <Typography variant="caption" display="block" color="text.secondary">Sin equipo: &quot;Usar ventilador virtual&quot; (cualquier navegador)</Typography>
                 </Box>
               </Box>
               <Box mt={2} p={1.5} sx={{ backgroundColor: 'serial' in navigator ? 'rgba(76, 175, 80, 0.1)' : 'rgba(244, 67, 54, 0.1)', borderRadius: 1, border: `1px solid ${'serial' in navigator ? '#4caf50' : '#f44336'}` }}>
@@ -0,0 +1,28 @@
+/*
+ * Funcionalidad: useLinkQuality
+ * Descripción: Lee las estadísticas del enlace serial (linkQuality); null
+ *   mientras no hay un puerto abierto.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import { useSyncExternalStore } from 'react';
+
+import {
+  getLinkQualitySnapshot,
+  subscribeLinkQuality,
+  type LinkQualityStats,
+} from '../utils/linkQuality';
+
+// =============================================================================
+// Hook
+// =============================================================================
+
+export function useLinkQuality(): LinkQualityStats | null {
+  return useSyncExternalStore(subscribeLinkQuality, getLinkQualitySnapshot, () => null);
+}
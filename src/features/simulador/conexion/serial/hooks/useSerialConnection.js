@@ -1,5 +1,6 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
-import { SerialProtocol, SerialMessageQueue } from '@/features/simulador/conexion/serial/utils/serialCommunication';
+import { SerialProtocol, SerialMessageQueue, SerialLink } from '@/features/simulador/conexion/serial/utils/serialCommunication';
+import { publishLinkStats, clearLinkStats } from '@/features/simulador/conexion/serial/utils/linkQuality';
 
 export const useSerialConnection = () => {
   const [port, setPort] = useState(null);
@@ -12,6 +13,10 @@ export const useSerialConnection = () => {
   // Cola de mensajes para manejar diferentes tipos de tramas
   const messageQueue = useRef(new SerialMessageQueue());
   const readerActive = useRef(false);
+  // Sobre v1 (CRC, secuencia, reintentos) negociado con el equipo; se crea
+  // una sola vez y no en cada render
+  const link = useRef(null);
+  if (!link.current) link.current = new SerialLink({ onStats: publishLinkStats });
 
   // Función para detectar puertos seriales disponibles
   const getAvailablePorts = useCallback(async () => {
@@ -123,6 +128,8 @@ export const useSerialConnection = () => {
       const writableStreamClosed = textEncoder.readable.pipeTo(selectedPort.writable);
       const writer = textEncoder.writable.getWriter();
 
+      link.current.reset();
+
       setPort(selectedPort);
       setReader(reader);
       setWriter(writer);
@@ -168,6 +175,8 @@ export const useSerialConnection = () => {
 
       // Limpiar callbacks
       messageQueue.current.clearCallbacks();
+      link.current.reset();
+      clearLinkStats();
 
     } catch (error) {
       console.error('Error desconectando:', error);
@@ -189,9 +198,8 @@ export const useSerialConnection = () => {
         return false;
       }
 
-      const message = data + '\n';
-      await writer.write(message);
-      return true;
+      // En v1 las tramas de configuración esperan confirmación del equipo
+      return await link.current.send(data, (frame) => writer.write(frame + '\n'));
     } catch (error) {
       console.error('Error enviando datos:', error);
       return false;
@@ -212,7 +220,8 @@ export const useSerialConnection = () => {
           const trimmedLine = line.trim();
           if (trimmedLine) {
             // Procesar trama usando la cola de mensajes
-            messageQueue.current.processFrame(trimmedLine);
+            const decoded = messageQueue.current.processFrame(trimmedLine);
+            link.current.observe(decoded);
           }
         }
       }
@@ -253,6 +262,10 @@ export const useSerialConnection = () => {
     messageQueue.current.onMessage('unknown', callback);
   }, []);
 
+  const onLinkMessage = useCallback((callback) => {
+    messageQueue.current.onMessage('link', callback);
+  }, []);
+
   // Función para enviar comandos específicos
   const sendCommand = useCallback(async (command, parameters = []) => {
     const frame = SerialProtocol.createCustomFrame(command, parameters);
@@ -291,6 +304,8 @@ export const useSerialConnection = () => {
     // Estado de conexión
     isConnected,
     connectionStatus,
+    // Puerto emulado (VirtualSerialPort) en lugar de un dispositivo USB
+    isVirtual: Boolean(port?.isVirtual),
 
     // Funciones de conexión
     connect,
@@ -312,6 +327,7 @@ export const useSerialConnection = () => {
     onConfigConfirm,
     onDebugMessage,
     onUnknownMessage,
+    onLinkMessage,
 
     // Acceso directo a la cola de mensajes si es necesario
     messageQueue: messageQueue.current,
@@ -1,5 +1,6 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { VentilatorCalculations } from '@/features/simulador/compartido/utils/ventilatorCalculations';
+import { ingestSerialReading } from '@/features/simulador/conexion/websocket/stream/ventilatorStreamStore';
 
 export const useVentilatorData = (serialConnection) => {
   const [ventilatorData, setVentilatorData] = useState({
@@ -169,6 +170,9 @@ export const useVentilatorData = (serialConnection) => {
       dataRecordingRef.current.addSensorData(p, f, v);
     }
 
+    // Cada muestra también al stream store (alarmas, mecánica, maniobras de pausa)
+    ingestSerialReading({ pressure: p, flow: f, volume: v, timestamp: now, deviceId: 'serial' });
+
     // Throttle: actualizar UI solo ~3 veces/seg (evita ciclo infinito y colapso)
     const nowTs = Date.now();
     if (nowTs - lastThrottleRef.current >= THROTTLE_MS) {
@@ -0,0 +1,103 @@
+/*
+ * Funcionalidad: linkQuality
+ * Descripción: Estadísticas de calidad del enlace serial con el ventilador
+ *   (singleton). SerialLink publica aquí cada cambio (tramas recibidas,
+ *   perdidas por salto de secuencia, fallos de CRC, reenvíos, latencia de la
+ *   confirmación) y la UI las lee con useLinkQuality. Las notificaciones se
+ *   agrupan: a 40 tramas/s no tiene sentido un render por trama.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+// =============================================================================
+// Types
+// =============================================================================
+
+export interface LinkQualityStats {
+  /** 0 = tramas sin sobre (firmware sin versionado); 1 = sobre con CRC y secuencia */
+  version: number;
+  framesReceived: number;
+  /** Tramas del equipo que no llegaron íntegras: saltos en la secuencia, que
+   *  incluyen las descartadas por CRC (sólo v1) */
+  framesDropped: number;
+  crcErrors: number;
+  /** Líneas que no corresponden a ningún tipo de trama */
+  malformed: number;
+  /** Reenvíos de configuración por falta de confirmación o rechazo por CRC */
+  retransmissions: number;
+  /** Configuraciones que agotaron los reintentos */
+  unacknowledged: number;
+  /** Ida y vuelta de la confirmación, suavizada (ms); null sin medidas */
+  latencyMs: number | null;
+}
+
+type Listener = () => void;
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const PUBLISH_INTERVAL_MS = 500;
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/** Fracción de tramas del equipo perdidas o corruptas (0–1). */
+export function lossRatio(stats: LinkQualityStats): number {
+  const expected = stats.framesReceived + stats.framesDropped;
+  return expected > 0 ? stats.framesDropped / expected : 0;
+}
+
+// =============================================================================
+// Estado interno del singleton
+// =============================================================================
+
+let snapshot: LinkQualityStats | null = null;
+let latest: LinkQualityStats | null = null;
+let lastPublish = 0;
+let timer: ReturnType<typeof setTimeout> | null = null;
+const listeners = new Set<Listener>();
+
+function flush(): void {
+  timer = null;
+  lastPublish = Date.now();
+  snapshot = latest;
+  listeners.forEach((fn) => fn());
+}
+
+// =============================================================================
+// API
+// =============================================================================
+
+/** Registra el último estado del enlace; se publica como mucho cada 500 ms. */
+export function publishLinkStats(stats: LinkQualityStats): void {
+  latest = { ...stats };
+  if (timer !== null) return;
+  const wait = PUBLISH_INTERVAL_MS - (Date.now() - lastPublish);
+  if (wait <= 0) flush();
+  else timer = setTimeout(flush, wait);
+}
+
+/** Sin puerto serial abierto: la UI deja de mostrar el enlace. */
+export function clearLinkStats(): void {
+  if (timer !== null) clearTimeout(timer);
+  latest = null;
+  flush();
+}
+
+export function subscribeLinkQuality(listener: Listener): () => void {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+}
+
+export function getLinkQualitySnapshot(): LinkQualityStats | null {
+  return snapshot;
+}
@@ -1,3 +1,10 @@
+// Sobre versionado (v1): #<versión>:<secuencia>:<trama>*<CRC16 en hex>
+// Las tramas sin sobre (firmware actual) siguen siendo válidas: el host sólo
+// envía sobres después de recibir uno válido del equipo.
+const ENVELOPE_VERSION = 1;
+const ENVELOPE_PATTERN = /^#(\d+):(\d+):([\s\S]*)\*([0-9A-Fa-f]{4})$/;
+const SEQUENCE_MODULO = 65536;
+
 export class SerialProtocol {
   // === ENVÍO DE TRAMAS ===
   
@@ -69,6 +76,26 @@ export class SerialProtocol {
     return 'r?E?0?0?0?0?0?0?0?0?0?0?0?0?0';
   }
 
+  /**
+   * Crea trama de maniobra de pausa (hold)
+   * Formato: i (inspiratoria) | e (espiratoria) + E? + duración en s + ceros
+   * El equipo cierra las válvulas al final de la siguiente inspiración (i) o
+   * espiración (e) y las abre al cumplirse la duración
+   * @param {string} kind - 'inspiratory' | 'expiratory'
+   * @param {number} durationS - Duración de la pausa en segundos
+   */
+  static createHoldFrame(kind, durationS) {
+    const command = kind === 'inspiratory' ? 'i' : 'e';
+    return `${command}?E?${durationS}?0?0?0?0?0?0?0?0?0?0?0?0`;
+  }
+
+  /**
+   * Crea trama para liberar una pausa en curso o pendiente
+   */
+  static createHoldReleaseFrame() {
+    return 'l?E?0?0?0?0?0?0?0?0?0?0?0?0?0';
+  }
+
   /**
    * Crea trama de desconexión
    */
@@ -88,6 +115,10 @@ export class SerialProtocol {
       return { type: 'unknown', data: null, error: 'Trama vacía' };
     }
 
+    if (this.isEnvelope(frame)) {
+      return this.decodeEnvelope(frame);
+    }
+
     const firstChar = frame[0];
 
     switch (firstChar) {
@@ -305,6 +336,91 @@ export class SerialProtocol {
     }
   }
 
+  // === SOBRE VERSIONADO (CRC + SECUENCIA) ===
+
+  /**
+   * CRC-16/CCITT-FALSE (polinomio 0x1021, valor inicial 0xFFFF) sobre los bytes UTF-8
+   * @param {string} text
+   * @returns {string} - 4 dígitos hexadecimales en mayúscula
+   */
+  static crc16(text) {
+    let crc = 0xffff;
+    for (const byte of new TextEncoder().encode(text)) {
+      crc ^= byte << 8;
+      for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+      }
+    }
+    return crc.toString(16).toUpperCase().padStart(4, '0');
+  }
+
+  static isEnvelope(frame) {
+    return typeof frame === 'string' && frame[0] === '#';
+  }
+
+  /**
+   * Envuelve una trama con versión, número de secuencia y CRC
+   * @param {string} frame - Trama del protocolo (V?/P?/F?, a?, S…, etc.)
+   * @param {number} seq - Número de secuencia (0–65535)
+   */
+  static wrapFrame(frame, seq) {
+    const body = `${ENVELOPE_VERSION}:${seq % SEQUENCE_MODULO}:${frame}`;
+    return `#${body}*${this.crc16(body)}`;
+  }
+
+  /**
+   * Abre un sobre. Si el formato es reconocible devuelve versión y secuencia
+   * aunque el CRC no coincida: el equipo (y virtualSerialPort) rechaza con un
+   * NAK ese `seq` para que el host reenvíe la configuración; el host no pide
+   * retransmisiones, sólo cuenta el fallo, porque la telemetría no se reenvía
+   * @returns {{ version: number, seq: number, payload: string, crcValid: boolean } | null}
+   */
+  static unwrapFrame(frame) {
+    const match = ENVELOPE_PATTERN.exec(frame);
+    if (!match) return null;
+    const [, version, seq, payload, crc] = match;
+    return {
+      version: Number(version),
+      seq: Number(seq),
+      payload,
+      crcValid: this.crc16(`${version}:${seq}:${payload}`) === crc.toUpperCase(),
+    };
+  }
+
+  /**
+   * Trama de enlace: confirmación (K) o rechazo por CRC (N) del sobre `seq`
+   */
+  static createLinkFrame(kind, seq) {
+    return this.wrapFrame(kind === 'ack' ? 'K' : 'N', seq);
+  }
+
+  /**
+   * Decodifica un sobre: las tramas de enlace (K/N) y los fallos de CRC o de
+   * versión se entregan como tipo 'link'; el resto se decodifica normalmente y
+   * lleva `envelope: { version, seq }`
+   */
+  static decodeEnvelope(frame) {
+    const envelope = this.unwrapFrame(frame);
+    if (!envelope) {
+      return { type: 'link', data: { kind: 'malformed', seq: null, timestamp: Date.now() }, error: 'Sobre mal formado' };
+    }
+    const { version, seq, payload, crcValid } = envelope;
+    if (!crcValid) {
+      return { type: 'link', data: { kind: 'crc_error', seq, timestamp: Date.now() }, error: 'CRC inválido' };
+    }
+    if (version !== ENVELOPE_VERSION) {
+      return {
+        type: 'link',
+        data: { kind: 'unsupported_version', seq, version, timestamp: Date.now() },
+        error: `Versión de protocolo no soportada: ${version}`
+      };
+    }
+    if (payload === 'K' || payload === 'N') {
+      return { type: 'link', data: { kind: payload === 'K' ? 'ack' : 'nak', seq, timestamp: Date.now() }, error: null };
+    }
+    return { ...this.decodeFrame(payload), envelope: { version, seq } };
+  }
+
   // === MÉTODOS AUXILIARES ===
 
   /**
@@ -321,7 +437,10 @@ export class SerialProtocol {
       '07': 'Calibración completada',
       '08': 'Conexión establecida',
       '09': 'Desconexión exitosa',
-      '10': 'Comando ejecutado'
+      '10': 'Comando ejecutado',
+      '11': 'Pausa inspiratoria programada',
+      '12': 'Pausa espiratoria programada',
+      '13': 'Pausa liberada'
     };
     
     return ackMessages[code] || `Confirmación recibida: ${code}`;
@@ -351,6 +470,13 @@ export class SerialProtocol {
       return { valid: false, error: 'Trama debe ser una cadena no vacía' };
     }
 
+    if (this.isEnvelope(frame)) {
+      const envelope = this.unwrapFrame(frame);
+      if (!envelope) return { valid: false, error: 'Sobre mal formado' };
+      if (!envelope.crcValid) return { valid: false, error: 'CRC inválido' };
+      return this.validateFrame(envelope.payload);
+    }
+
     if (frame.length < 3) {
       return { valid: false, error: 'Trama demasiado corta' };
     }
@@ -388,6 +514,7 @@ export class SerialMessageQueue {
       ack: [],
       config_confirm: [],
       debug: [],
+      link: [],
       unknown: []
     };
   }
@@ -434,3 +561,186 @@ export class SerialMessageQueue {
     }
   }
 }
+
+// === CLASE PARA LA CAPA DE ENLACE (SOBRE v1) ===
+
+const ACK_TIMEOUT_MS = 400;
+const MAX_RETRIES = 3;
+const LATENCY_SMOOTHING = 0.2;
+
+/**
+ * Capa de enlace sobre el puerto serial. Negocia el sobre v1 (se activa al
+ * recibir el primer sobre válido del equipo; con firmware antiguo las tramas
+ * salen sin sobre), numera las tramas salientes, reintenta las de
+ * configuración sin confirmación y lleva las estadísticas de calidad del enlace.
+ */
+export class SerialLink {
+  /**
+   * @param {Object} options
+   * @param {(stats: Object) => void} [options.onStats] - Se llama con cada cambio de estadísticas
+   * @param {number} [options.ackTimeoutMs]
+   * @param {number} [options.maxRetries]
+   */
+  constructor({ onStats = null, ackTimeoutMs = ACK_TIMEOUT_MS, maxRetries = MAX_RETRIES } = {}) {
+    this.onStats = onStats;
+    this.ackTimeoutMs = ackTimeoutMs;
+    this.maxRetries = maxRetries;
+    this.pending = new Map();
+    this.initState();
+  }
+
+  /**
+   * Vuelve al modo sin sobre y descarta las tramas pendientes (reconexión)
+   */
+  reset() {
+    this.pending.forEach((entry) => {
+      clearTimeout(entry.timer);
+      entry.resolve(false);
+    });
+    this.pending.clear();
+    this.initState();
+    this.emitStats();
+  }
+
+  /**
+   * Envía una trama por `write`. En v1 la envuelve; si es de configuración
+   * espera la confirmación (K) y la reintenta hasta `maxRetries` veces
+   * @param {string} frame - Trama del protocolo sin sobre
+   * @param {(raw: string) => Promise<void>} write - Escribe una línea en el puerto
+   * @returns {Promise<boolean>} - En v1, false si la configuración no se confirmó
+   */
+  async send(frame, write) {
+    if (this.version === 0) {
+      await write(frame);
+      return true;
+    }
+
+    const seq = this.txSeq;
+    this.txSeq = (this.txSeq + 1) % SEQUENCE_MODULO;
+    const raw = SerialProtocol.wrapFrame(frame, seq);
+
+    if (!/^[VPF]\?/.test(frame)) {
+      await write(raw);
+      return true;
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = { raw, write, attempts: 1, sentAt: Date.now(), timer: null, resolve };
+      this.pending.set(seq, entry);
+      write(raw).then(
+        () => this.armTimer(seq),
+        (error) => {
+          this.pending.delete(seq);
+          reject(error);
+        }
+      );
+    });
+  }
+
+  /**
+   * Actualiza el estado del enlace con una trama ya decodificada
+   * (SerialMessageQueue.processFrame)
+   */
+  observe(decoded) {
+    this.stats.framesReceived += 1;
+
+    if (decoded.type === 'link') {
+      const { kind, seq } = decoded.data;
+      if (kind === 'ack') this.handleAck(seq);
+      else if (kind === 'nak') this.retransmit(seq);
+      else if (kind === 'crc_error') this.stats.crcErrors += 1;
+      else this.stats.malformed += 1;
+    } else if (decoded.type === 'unknown') {
+      this.stats.malformed += 1;
+    }
+
+    if (decoded.envelope) {
+      this.version = decoded.envelope.version;
+      this.trackSequence(decoded.envelope.seq);
+    }
+    this.emitStats();
+  }
+
+  getStats() {
+    return { ...this.stats, version: this.version };
+  }
+
+  // --- privados ---
+
+  initState() {
+    this.version = 0;
+    this.txSeq = 0;
+    this.lastRxSeq = null;
+    this.stats = {
+      framesReceived: 0,
+      framesDropped: 0,
+      crcErrors: 0,
+      malformed: 0,
+      retransmissions: 0,
+      unacknowledged: 0,
+      latencyMs: null
+    };
+  }
+
+  trackSequence(seq) {
+    if (this.lastRxSeq !== null) {
+      const gap = (seq - this.lastRxSeq - 1 + SEQUENCE_MODULO) % SEQUENCE_MODULO;
+      // Un salto "hacia atrás" es un duplicado o un reinicio del equipo, no una pérdida
+      if (gap >= SEQUENCE_MODULO / 2) return;
+      this.stats.framesDropped += gap;
+    }
+    this.lastRxSeq = seq;
+  }
+
+  handleAck(seq) {
+    const entry = this.pending.get(seq);
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    this.pending.delete(seq);
+    // Sólo se mide la latencia de tramas no reenviadas (ida y vuelta sin ambigüedad)
+    if (entry.attempts === 1) {
+      const sample = Date.now() - entry.sentAt;
+      this.stats.latencyMs = this.stats.latencyMs === null
+        ? sample
+        : this.stats.latencyMs + LATENCY_SMOOTHING * (sample - this.stats.latencyMs);
+    }
+    entry.resolve(true);
+  }
+
+  armTimer(seq) {
+    const entry = this.pending.get(seq);
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => this.retransmit(seq), this.ackTimeoutMs);
+  }
+
+  retransmit(seq) {
+    const entry = this.pending.get(seq);
+    if (!entry) return;
+    clearTimeout(entry.timer);
+
+    if (entry.attempts > this.maxRetries) {
+      this.pending.delete(seq);
+      this.stats.unacknowledged += 1;
+      this.emitStats();
+      entry.resolve(false);
+      return;
+    }
+
+    entry.attempts += 1;
+    this.stats.retransmissions += 1;
+    this.emitStats();
+    entry.write(entry.raw).then(
+      () => this.armTimer(seq),
+      (error) => {
+        console.error('Error reenviando trama:', error);
+        this.pending.delete(seq);
+        entry.resolve(false);
+      }
+    );
+  }
+
+  emitStats() {
+    if (this.onStats) this.onStats(this.getStats());
+  }
+}
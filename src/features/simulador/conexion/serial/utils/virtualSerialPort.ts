@@ -0,0 +1,382 @@
+/*
+ * Funcionalidad: virtualSerialPort
+ * Descripción: Ventilador virtual que habla el protocolo serial del equipo
+ *   (SerialProtocol) sin hardware. VirtualVentilatorDevice es el firmware:
+ *   acepta las tramas de configuración V?/P?/F?, las de control a/f/r/b y las
+ *   de pausa i/e/l, y responde con tramas A (ack), C (confirmación de
+ *   configuración), E (error), L (estado) y D (debug); mientras ventila emite
+ *   tramas S de sensores a partir del pulmón simulado (lungModel).
+ *   VirtualSerialPort lo envuelve con la interfaz de un SerialPort de Web
+ *   Serial (open/close, readable/writable en bytes), de modo que
+ *   useSerialConnection.connect(port) lo usa como un puerto real y todo el
+ *   camino serial (decodeFrame, cola de mensajes, curvas) se ejerce en demos y
+ *   pruebas automatizadas. Funciona igual en Node 18+ (streams web globales).
+ *   Por defecto habla el sobre v1 (CRC, secuencia y confirmación K/N) y con
+ *   protocolVersion 0 se comporta como el firmware anterior; lineNoise pierde o
+ *   corrompe tramas en ambos sentidos para ejercitar reintentos y estadísticas.
+ * Versión: 1.1
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import {
+  LungModel,
+  BASELINE_MECHANICS,
+  resolveBreathTiming,
+  type LungMechanics,
+  type SimulatedCommand,
+} from '@/features/simulador/compartido/simulacion/lungModel';
+import {
+  commandFromSerialConfig,
+  type SerialConfigParameters,
+  type SerialMode,
+  type SerialWaveType,
+} from '@/features/simulador/compartido/simulacion/serialModes';
+import { SerialProtocol } from './serialCommunication';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+export interface VirtualDeviceOptions {
+  /** Mecánica del pulmón conectado al equipo virtual. */
+  mechanics?: LungMechanics;
+  /** Frecuencia de las tramas S (Hz). */
+  sensorRateHz?: number;
+  /** 1 = sobre con CRC y secuencia; 0 = tramas sin sobre (firmware anterior). */
+  protocolVersion?: 0 | 1;
+}
+
+export interface VirtualPortOptions extends VirtualDeviceOptions {
+  /** Probabilidad (0–1) de que una trama se pierda o llegue corrupta. */
+  lineNoise?: number;
+}
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/**
+ * A 9600 baudios (~960 bytes/s) una trama S en sobre v1 ocupa ~36 bytes y deja
+ * ~26 tramas/s: el equipo virtual no emite más rápido de lo que el enlace real
+ * permitiría.
+ */
+const DEFAULT_SENSOR_HZ = 25;
+/** Periodo del temporizador del puerto; cada tick emite las tramas vencidas. */
+const TICK_MS = 50;
+
+/** Campos de la trama de configuración tras modo y onda (createConfigFrame). */
+const CONFIG_FIELDS = [
+  'fio2',
+  'volumen',
+  'presionMax',
+  'qMax',
+  'peep',
+  'frecuencia',
+  'tiempoInspiratorio',
+  'pausaInspiratoria',
+  'tiempoEspiratorio',
+  'pausaEspiratoria',
+  'air',
+  'o2',
+  'presionTanque',
+] as const;
+
+const MODE_BY_LETTER: Record<string, SerialMode> = {
+  V: 'Volumen control',
+  P: 'Presion control',
+  F: 'Flujo control',
+};
+
+const WAVE_BY_LETTER: Record<string, SerialWaveType> = {
+  E: 'Escalon',
+  R: 'Rampa Descendente',
+};
+
+/** Códigos ACK de SerialProtocol.getAckMessage. */
+const ACK = {
+  CONFIG: '01',
+  STARTED: '02',
+  STOPPED: '03',
+  RESET: '04',
+  MODE_CHANGED: '06',
+  CONNECTED: '08',
+  DISCONNECTED: '09',
+  INSPIRATORY_HOLD: '11',
+  EXPIRATORY_HOLD: '12',
+  HOLD_RELEASED: '13',
+} as const;
+
+/**
+ * Códigos de error; la trama es 'E' + código (E004–E006 son advertencias en
+ * getErrorSeverity).
+ */
+const ERROR = {
+  INVALID_CONFIG: 'E004',
+  NOT_RUNNING: 'E005',
+  UNKNOWN_COMMAND: 'E006',
+} as const;
+
+const DEFAULT_COMMAND: SimulatedCommand = commandFromSerialConfig('Volumen control', 'Escalon');
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+const fixed = (value: number, digits: number) => (Object.is(value, -0) ? 0 : value).toFixed(digits);
+
+/** Trama S en el formato que decodifica SerialProtocol.decodeSensorFrame. */
+export function encodeSensorFrame(pressure: number, flow: number, volume: number): string {
+  return `SP${fixed(pressure, 2)}F${fixed(flow, 2)}V${fixed(volume, 1)}?`;
+}
+
+interface ParsedConfig {
+  mode: SerialMode;
+  waveType: SerialWaveType;
+  parameters: SerialConfigParameters;
+}
+
+/** Trama de configuración de createConfigFrame; null si no cumple el formato. */
+export function parseConfigFrame(frame: string): ParsedConfig | null {
+  const [modeLetter = '', waveLetter = '', ...values] = frame.split('?');
+  const mode = MODE_BY_LETTER[modeLetter];
+  const waveType = WAVE_BY_LETTER[waveLetter];
+  if (!mode || !waveType || values.length !== CONFIG_FIELDS.length) return null;
+  const numbers = values.map(Number);
+  if (!numbers.every(Number.isFinite)) return null;
+  const parameters: Record<string, number> = {};
+  CONFIG_FIELDS.forEach((field, i) => {
+    parameters[field] = numbers[i] ?? 0;
+  });
+  return { mode, waveType, parameters: parameters as SerialConfigParameters };
+}
+
+// =============================================================================
+// Device (firmware)
+// =============================================================================
+
+/**
+ * Firmware del ventilador virtual. Recibe tramas con receive() y produce las
+ * respuestas; tick(now) devuelve las tramas S vencidas hasta `now` (ms). No
+ * tiene temporizadores propios: quien lo aloja decide el reloj.
+ */
+export class VirtualVentilatorDevice {
+  private command: SimulatedCommand = DEFAULT_COMMAND;
+  private mode: SerialMode = 'Volumen control';
+  private model: LungModel | null = null;
+  private txSeq = 0;
+  private readonly mechanics: LungMechanics;
+  private readonly sensorRateHz: number;
+  private readonly protocolVersion: 0 | 1;
+
+  constructor(options: VirtualDeviceOptions = {}) {
+    this.mechanics = options.mechanics ?? BASELINE_MECHANICS;
+    this.sensorRateHz = options.sensorRateHz ?? DEFAULT_SENSOR_HZ;
+    this.protocolVersion = options.protocolVersion ?? 1;
+  }
+
+  get running(): boolean {
+    return this.model !== null;
+  }
+
+  /** Saludo al abrir el puerto (como el firmware tras el reset por DTR). */
+  greeting(): string[] {
+    return this.outgoing(['LVentyLab virtual listo', `A${ACK.CONNECTED}`]);
+  }
+
+  /**
+   * Procesa una línea del host y devuelve las respuestas, en orden. En v1 un
+   * sobre se confirma (K) antes de ejecutarse o se rechaza (N) si falla el CRC.
+   */
+  receive(line: string, now: number): string[] {
+    const frame = line.trim();
+    if (this.protocolVersion === 0 || !SerialProtocol.isEnvelope(frame)) {
+      return this.outgoing(this.execute(frame, now));
+    }
+    const envelope = SerialProtocol.unwrapFrame(frame);
+    if (!envelope) return this.outgoing([`E${ERROR.UNKNOWN_COMMAND}?Sobre mal formado`]);
+    if (!envelope.crcValid) return [SerialProtocol.createLinkFrame('nak', envelope.seq)];
+    return [
+      SerialProtocol.createLinkFrame('ack', envelope.seq),
+      ...this.outgoing(this.execute(envelope.payload, now)),
+    ];
+  }
+
+  /** Tramas S pendientes hasta `now` (vacío si no está ventilando). */
+  tick(now: number): string[] {
+    if (!this.model) return [];
+    return this.outgoing(
+      this.model
+        .advanceTo(now)
+        .map((reading) => encodeSensorFrame(reading.pressure, reading.flow, reading.volume)),
+    );
+  }
+
+  /** En v1 cada trama saliente lleva el siguiente número de secuencia. */
+  private outgoing(frames: string[]): string[] {
+    if (this.protocolVersion === 0) return frames;
+    return frames.map((frame) => {
+      const wrapped = SerialProtocol.wrapFrame(frame, this.txSeq);
+      this.txSeq = (this.txSeq + 1) % 65536;
+      return wrapped;
+    });
+  }
+
+  private execute(command: string, now: number): string[] {
+    switch (command[0]) {
+      case 'V':
+      case 'P':
+      case 'F':
+        return this.configure(command);
+      case 'a':
+        return this.start(now);
+      case 'f':
+        this.model = null;
+        return [`A${ACK.STOPPED}`, 'LDetenido'];
+      case 'r':
+        this.model = null;
+        this.command = DEFAULT_COMMAND;
+        this.mode = 'Volumen control';
+        return [`A${ACK.RESET}`, 'LReiniciado'];
+      case 'b':
+        this.model = null;
+        return [`A${ACK.DISCONNECTED}`];
+      case 'i':
+      case 'e':
+        return this.hold(command);
+      case 'l':
+        this.model?.cancelHold();
+        return [`A${ACK.HOLD_RELEASED}`];
+      default:
+        return [`E${ERROR.UNKNOWN_COMMAND}?Comando desconocido: ${command[0] ?? ''}`];
+    }
+  }
+
+  private configure(frame: string): string[] {
+    const parsed = parseConfigFrame(frame);
+    if (!parsed) return [`E${ERROR.INVALID_CONFIG}?Trama de configuración inválida`];
+    const modeChanged = parsed.mode !== this.mode;
+    this.mode = parsed.mode;
+    this.command = commandFromSerialConfig(parsed.mode, parsed.waveType, parsed.parameters);
+    // Como el equipo real, el cambio entra en vigor en el próximo ciclo.
+    this.model?.setCommand(this.command);
+
+    const { tidalVolume, respiratoryRate, peep } = this.command;
+    const responses = [`A${ACK.CONFIG}`];
+    if (modeChanged) responses.push(`A${ACK.MODE_CHANGED}`);
+    responses.push(`COK ${parsed.mode} · ${parsed.waveType} · Vt ${tidalVolume} · FR ${respiratoryRate} · PEEP ${peep}`);
+    const timing = resolveBreathTiming(this.command);
+    responses.push(`DTi=${timing.inspiratoryTime.toFixed(2)}s Te=${timing.expiratoryTime.toFixed(2)}s`);
+    return responses;
+  }
+
+  private start(now: number): string[] {
+    if (!this.model) {
+      this.model = new LungModel(this.command, this.mechanics, {
+        sampleRateHz: this.sensorRateHz,
+        startTimestamp: now,
+        deviceId: 'virtual-serial',
+      });
+    }
+    return [`A${ACK.STARTED}`, 'LVentilando'];
+  }
+
+  private hold(frame: string): string[] {
+    const kind = frame[0] === 'i' ? 'inspiratory' : 'expiratory';
+    const duration = Number(frame.split('?')[2]);
+    if (!this.model) return [`E${ERROR.NOT_RUNNING}?El equipo no está ventilando`];
+    if (!Number.isFinite(duration) || duration <= 0) {
+      return [`E${ERROR.INVALID_CONFIG}?Duración de pausa inválida`];
+    }
+    this.model.requestHold(kind, duration);
+    return [`A${kind === 'inspiratory' ? ACK.INSPIRATORY_HOLD : ACK.EXPIRATORY_HOLD}`];
+  }
+}
+
+// =============================================================================
+// Port (Web Serial)
+// =============================================================================
+
+/**
+ * Puerto serial virtual con la forma de un SerialPort de Web Serial: el host
+ * escribe bytes en `writable` y lee líneas terminadas en '\n' de `readable`.
+ */
+export class VirtualSerialPort {
+  readonly isVirtual = true;
+  readable: ReadableStream<Uint8Array> | null = null;
+  writable: WritableStream<Uint8Array> | null = null;
+
+  private readonly device: VirtualVentilatorDevice;
+  private controller: ReadableStreamDefaultController<Uint8Array> | null = null;
+  private timer: ReturnType<typeof setInterval> | null = null;
+  private readonly encoder = new TextEncoder();
+  private readonly lineNoise: number;
+
+  constructor(options: VirtualPortOptions = {}) {
+    this.device = new VirtualVentilatorDevice(options);
+    this.lineNoise = options.lineNoise ?? 0;
+  }
+
+  getInfo(): { usbVendorId?: number; usbProductId?: number } {
+    return {};
+  }
+
+  /** Acepta las opciones de SerialPort.open; la velocidad no afecta al equipo virtual. */
+  async open(): Promise<void> {
+    if (this.readable) throw new DOMException('El puerto ya está abierto', 'InvalidStateError');
+
+    this.readable = new ReadableStream<Uint8Array>({
+      start: (controller) => {
+        this.controller = controller;
+      },
+    });
+
+    const decoder = new TextDecoder();
+    let pending = '';
+    this.writable = new WritableStream<Uint8Array>({
+      write: (chunk) => {
+        pending += decoder.decode(chunk, { stream: true });
+        const lines = pending.split('\n');
+        pending = lines.pop() ?? '';
+        this.degrade(lines).forEach((line) => {
+          if (line.trim()) this.emit(this.device.receive(line, Date.now()));
+        });
+      },
+    });
+
+    this.emit(this.device.greeting());
+    this.timer = setInterval(() => this.emit(this.device.tick(Date.now())), TICK_MS);
+  }
+
+  async close(): Promise<void> {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.controller?.close();
+    this.controller = null;
+    this.readable = null;
+    this.writable = null;
+  }
+
+  private emit(frames: string[]): void {
+    const delivered = this.degrade(frames);
+    if (!this.controller || delivered.length === 0) return;
+    this.controller.enqueue(this.encoder.encode(delivered.map((frame) => `${frame}\n`).join('')));
+  }
+
+  /** Ruido de línea: la mitad de las tramas afectadas se pierde, la otra llega con un byte cambiado. */
+  private degrade(frames: string[]): string[] {
+    if (this.lineNoise <= 0) return frames;
+    return frames.flatMap((frame) => {
+      if (Math.random() >= this.lineNoise) return [frame];
+      if (Math.random() < 0.5 || frame.length < 2) return [];
+      const i = 1 + Math.floor(Math.random() * (frame.length - 1));
+      return [`${frame.slice(0, i)}${frame[i] === '0' ? '1' : '0'}${frame.slice(i + 1)}`];
+    });
+  }
+}
@@ -0,0 +1,188 @@
+/*
+ * Funcionalidad: BarraSupervision
+ * Descripción: Franja sobre el dashboard durante una práctica supervisada.
+ *   Al docente le indica a quién observa y si tiene el control, y le deja
+ *   enviar indicaciones, pedir o devolver el control y dejar de observar. Al
+ *   estudiante le muestra quién lo observa, las indicaciones recibidas y quién
+ *   maneja el equipo, y le pide consentimiento cuando un docente solicita el
+ *   control. Lee todo del contexto de conexión; sin práctica supervisada no
+ *   renderiza nada.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import { useState, type FormEvent } from 'react';
+import {
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  IconButton,
+  TextField,
+} from '@mui/material';
+import CloseIcon from '@mui/icons-material/Close';
+
+import { useConexionVentiladorContext } from '@/features/simulador/conexion/contexto/ConexionVentiladorContext';
+import { hora } from '@/features/simulador/conexion/agenda/utils/agenda';
+import type { UseObservacionReturn } from '../hooks/useObservacion';
+import type { UseSupervisionEstudianteReturn } from '../hooks/useSupervisionEstudiante';
+import { MAX_HINT_LENGTH } from '../utils/supervision';
+import styles from './ui/Supervision.module.css';
+
+// =============================================================================
+// Docente
+// =============================================================================
+
+function BarraDocente({ observacion }: { observacion: UseObservacionReturn }) {
+  const [texto, setTexto] = useState('');
+  const { observada, enControl, solicitando } = observacion;
+  if (!observada) return null;
+
+  const enviar = (e: FormEvent) => {
+    e.preventDefault();
+    observacion.enviarIndicacion(texto);
+    setTexto('');
+  };
+
+  return (
+    <section className={styles.bar} aria-label="Observación de la práctica">
+      <div className={styles.header}>
+        <span className={styles.title}>
+          Observando a {observada.studentName}
+          {observada.deviceName ? ` · ${observada.deviceName}` : ''}
+          {` · hasta las ${hora(observada.endTime)}`}
+        </span>
+        <span className={`${styles.badge} ${enControl ? styles.badgeControl : ''}`}>
+          {enControl ? 'Tienes el control' : 'Solo lectura'}
+        </span>
+      </div>
+
+      <form className={styles.hintForm} onSubmit={enviar}>
+        <TextField
+          size="small"
+          fullWidth
+          placeholder="Escribe una indicación para el estudiante"
+          value={texto}
+          onChange={(e) => setTexto(e.target.value)}
+          slotProps={{ htmlInput: { maxLength: MAX_HINT_LENGTH } }}
+        />
+        <Button type="submit" variant="contained" disabled={!texto.trim()}>
+          Enviar
+        </Button>
+      </form>
+
+      <div className={styles.actions}>
+        {enControl ? (
+          <Button variant="outlined" color="warning" onClick={observacion.devolverControl}>
+            Devolver el control
+          </Button>
+        ) : (
+          <Button variant="outlined" onClick={observacion.solicitarControl} disabled={solicitando}>
+            {solicitando ? 'Esperando respuesta…' : 'Tomar el control'}
+          </Button>
+        )}
+        <Button variant="text" color="inherit" onClick={observacion.dejarDeObservar}>
+          Dejar de observar
+        </Button>
+      </div>
+    </section>
+  );
+}
+
+// =============================================================================
+// Estudiante
+// =============================================================================
+
+function BarraEstudiante({ supervision }: { supervision: UseSupervisionEstudianteReturn }) {
+  const { observadores, indicaciones, solicitud, controlDocente } = supervision;
+  const visible = observadores.length > 0 || indicaciones.length > 0 || controlDocente !== null;
+
+  return (
+    <>
+      {visible && (
+        <section className={styles.bar} aria-label="Práctica supervisada">
+          <div className={styles.header}>
+            <span className={styles.title}>
+              {observadores.length > 0
+                ? `Observado por ${observadores.map((o) => o.name).join(', ')}`
+                : 'Práctica supervisada'}
+            </span>
+            {controlDocente && (
+              <span className={`${styles.badge} ${styles.badgeControl}`}>
+                {controlDocente.teacherName} controla el ventilador
+              </span>
+            )}
+          </div>
+
+          {controlDocente && (
+            <div className={styles.actions}>
+              <span className={styles.note}>Tus controles están en solo lectura.</span>
+              <Button variant="outlined" color="warning" onClick={supervision.recuperarControl}>
+                Recuperar el control
+              </Button>
+            </div>
+          )}
+
+          {indicaciones.length > 0 && (
+            <ul className={styles.hints}>
+              {indicaciones.map((h) => (
+                <li key={h.id} className={styles.hint}>
+                  <span className={styles.hintMeta}>
+                    {hora(h.timestamp)} · {h.from}
+                  </span>
+                  <span className={styles.hintText}>{h.text}</span>
+                  <IconButton
+                    size="small"
+                    aria-label="Descartar indicación"
+                    onClick={() => supervision.descartarIndicacion(h.id)}
+                  >
+                    <CloseIcon fontSize="small" />
+                  </IconButton>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+      )}
+
+      <Dialog open={solicitud !== null} onClose={() => supervision.responderSolicitud(false)}>
+        <DialogTitle>Solicitud de control</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            {solicitud?.teacherName ?? 'Un docente'} quiere tomar el control del ventilador.
+            Mientras lo tenga, tus controles quedarán en solo lectura; podrás recuperarlo
+            en cualquier momento.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => supervision.responderSolicitud(false)}>Rechazar</Button>
+          <Button variant="contained" onClick={() => supervision.responderSolicitud(true)}>
+            Ceder el control
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+}
+
+// =============================================================================
+// Component
+// =============================================================================
+
+export function BarraSupervision() {
+  const { observacion, supervision } = useConexionVentiladorContext();
+  return observacion.observada ? (
+    <BarraDocente observacion={observacion} />
+  ) : (
+    <BarraEstudiante supervision={supervision} />
+  );
+}
+
+export default BarraSupervision;
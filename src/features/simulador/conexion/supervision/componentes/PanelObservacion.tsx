@@ -0,0 +1,107 @@
+/*
+ * Funcionalidad: PanelObservacion
+ * Descripción: Panel presentacional de la tab Conexión, sólo para docentes:
+ *   lista las prácticas en curso de sus estudiantes y abre o cierra la
+ *   observación en vivo. Las indicaciones y el traspaso del control se manejan
+ *   desde la franja del dashboard (BarraSupervision).
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import { useState } from 'react';
+import { Button, Typography } from '@mui/material';
+
+import type { ObservableSession } from '@/contracts/simulator.contracts';
+import { hora } from '@/features/simulador/conexion/agenda/utils/agenda';
+import { CONTROLLER_LABEL } from '../utils/supervision';
+import cardStyles from '@/features/simulador/conexion/componentes/ui/ConexionVentilador.module.css';
+import styles from './ui/Supervision.module.css';
+
+interface PanelObservacionProps {
+  sesiones: ObservableSession[];
+  /** Práctica que se observa ahora (null si ninguna). */
+  observada: ObservableSession | null;
+  /** Con reserva propia no se puede observar otro equipo. */
+  tieneReserva: boolean;
+  onObservar: (deviceId: string) => Promise<void>;
+  onDejarDeObservar: () => void;
+}
+
+export function PanelObservacion({
+  sesiones,
+  observada,
+  tieneReserva,
+  onObservar,
+  onDejarDeObservar,
+}: PanelObservacionProps) {
+  const [uniendo, setUniendo] = useState<string | null>(null);
+
+  const observar = async (deviceId: string) => {
+    setUniendo(deviceId);
+    try {
+      await onObservar(deviceId);
+    } finally {
+      setUniendo(null);
+    }
+  };
+
+  return (
+    <section className={cardStyles.card}>
+      <Typography className={cardStyles.cardTitle!} component="p">
+        Observar una práctica
+      </Typography>
+      <Typography className={cardStyles.cardDescription!} component="p">
+        Sigue en vivo las curvas, alarmas y cambios de parámetros de un estudiante
+        que tiene el ventilador reservado. Desde el monitoreo puedes enviarle
+        indicaciones o pedirle el control.
+      </Typography>
+
+      {sesiones.length === 0 ? (
+        <p className={styles.empty}>No hay prácticas en curso de tus estudiantes.</p>
+      ) : (
+        <ul className={styles.sessions}>
+          {sesiones.map((s) => {
+            const esLaObservada = observada?.deviceId === s.deviceId;
+            return (
+              <li key={s.reservationId} className={styles.session}>
+                <span className={styles.sessionInfo}>
+                  <span>{s.studentName}</span>
+                  <span className={styles.sessionMeta}>
+                    {s.deviceName ?? s.deviceId} · {hora(s.startTime)}–{hora(s.endTime)} · Control:{' '}
+                    {CONTROLLER_LABEL[s.controller]}
+                    {s.observerCount > 0 ? ` · ${s.observerCount} observando` : ''}
+                  </span>
+                </span>
+                {esLaObservada ? (
+                  <Button variant="outlined" color="warning" size="small" onClick={onDejarDeObservar}>
+                    Dejar de observar
+                  </Button>
+                ) : (
+                  <Button
+                    variant="contained"
+                    size="small"
+                    onClick={() => observar(s.deviceId)}
+                    disabled={tieneReserva || uniendo !== null}
+                  >
+                    {uniendo === s.deviceId ? 'Uniendo…' : 'Observar'}
+                  </Button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {tieneReserva && (
+        <p className={styles.empty}>Libera tu reserva para observar la práctica de un estudiante.</p>
+      )}
+    </section>
+  );
+}
+
+export default PanelObservacion;
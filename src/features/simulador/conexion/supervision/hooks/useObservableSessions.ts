@@ -0,0 +1,50 @@
+/*
+ * Funcionalidad: useObservableSessions
+ * Descripción: Prácticas en curso de los estudiantes del docente que pueden
+ *   observarse en vivo. Sólo consulta para docentes (el backend responde 403 al
+ *   resto) y se refresca periódicamente porque las reservas empiezan y terminan
+ *   sin que el docente haga nada.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import useSWR from 'swr';
+
+import type { ObservableSession } from '@/contracts/simulator.contracts';
+import { simulatorApi } from '@/features/simulador/compartido/api/simulator.api';
+import { OBSERVABLE_SESSIONS_KEY } from '../utils/supervision';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+export interface UseObservableSessionsReturn {
+  sessions: ObservableSession[];
+  isLoading: boolean;
+}
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const REFRESH_INTERVAL_MS = 30_000;
+const NO_SESSIONS: ObservableSession[] = [];
+
+// =============================================================================
+// Hook
+// =============================================================================
+
+export function useObservableSessions(enabled: boolean): UseObservableSessionsReturn {
+  const { data, isLoading } = useSWR<ObservableSession[]>(
+    enabled ? OBSERVABLE_SESSIONS_KEY : null,
+    () => simulatorApi.getObservableSessions(),
+    { refreshInterval: REFRESH_INTERVAL_MS, revalidateOnFocus: true },
+  );
+
+  return { sessions: data ?? NO_SESSIONS, isLoading };
+}
@@ -0,0 +1,185 @@
+/*
+ * Funcionalidad: useObservacion
+ * Descripción: Lado docente de la práctica supervisada. observe:join une el
+ *   socket a la sala del equipo que usa el estudiante: desde ese momento la
+ *   telemetría, las alarmas y los cambios de parámetros llegan como al dueño de
+ *   la reserva y el dashboard se muestra en solo lectura. Permite enviar
+ *   indicaciones de texto y pedir el control del equipo, que el estudiante debe
+ *   consentir; el backend avisa con observe:control quién manda y con
+ *   observe:ended cuando la reserva termina.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+import type {
+  ControlChangedEvent,
+  ObservableSession,
+  ObservationEndedEvent,
+  ObserveJoinAck,
+} from '@/contracts/simulator.contracts';
+import { useSocket } from '@/shared/hooks/useSocket';
+import { useNotification } from '@/shared/contexts/NotificationContext';
+import { clearParameterTimeline } from '@/features/simulador/simuladorVentilador/panelControl/utils/parameterTimeline';
+import { MAX_HINT_LENGTH } from '../utils/supervision';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+export interface UseObservacionReturn {
+  /** Práctica observada (null si no se observa ninguna). */
+  observada: ObservableSession | null;
+  /** El docente maneja el equipo con el consentimiento del estudiante. */
+  enControl: boolean;
+  /** Solicitud de control a la espera de respuesta. */
+  solicitando: boolean;
+  /** Lanza con el mensaje del backend si no se puede observar. */
+  observar: (deviceId: string) => Promise<void>;
+  dejarDeObservar: () => void;
+  enviarIndicacion: (texto: string) => void;
+  solicitarControl: () => void;
+  devolverControl: () => void;
+}
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const ACK_TIMEOUT_MS = 5_000;
+
+const FIN_LABEL: Record<ObservationEndedEvent['reason'], string> = {
+  released: 'el estudiante liberó el equipo',
+  expired: 'venció el turno',
+};
+
+// =============================================================================
+// Hook
+// =============================================================================
+
+export function useObservacion(): UseObservacionReturn {
+  const { socket, isConnected } = useSocket();
+  const { showSuccess, showInfo, showWarning } = useNotification();
+  const [observada, setObservada] = useState<ObservableSession | null>(null);
+  const [enControl, setEnControl] = useState(false);
+  const [solicitando, setSolicitando] = useState(false);
+  // Id del docente según el backend: distingue sus propias concesiones.
+  const observadorIdRef = useRef<string | null>(null);
+  const deviceId = observada?.deviceId ?? null;
+
+  const reiniciar = useCallback(() => {
+    setObservada(null);
+    setEnControl(false);
+    setSolicitando(false);
+    observadorIdRef.current = null;
+    clearParameterTimeline();
+  }, []);
+
+  useEffect(() => {
+    if (!socket || !deviceId) return;
+
+    const handleControl = (event: ControlChangedEvent) => {
+      if (event.deviceId !== deviceId) return;
+      const propio = event.teacherId !== null && event.teacherId === observadorIdRef.current;
+      if (!propio) {
+        // Otro docente tomó el control: la solicitud propia ya no procede.
+        if (event.controller === 'TEACHER') {
+          setEnControl(false);
+          setSolicitando(false);
+        }
+        return;
+      }
+      setEnControl(event.controller === 'TEACHER');
+      setSolicitando(false);
+      if (event.reason === 'granted') showSuccess('El estudiante te cedió el control del ventilador.');
+      if (event.reason === 'denied') showWarning('El estudiante rechazó la solicitud de control.');
+      if (event.reason === 'revoked') showWarning('El estudiante recuperó el control del ventilador.');
+    };
+
+    const handleEnded = (event: ObservationEndedEvent) => {
+      if (event.deviceId !== deviceId) return;
+      reiniciar();
+      showInfo(`La práctica observada terminó: ${FIN_LABEL[event.reason]}.`);
+    };
+
+    // El backend saca de la sala al socket que se cae; hay que volver a unirse.
+    const handleDisconnect = () => {
+      reiniciar();
+      showWarning('Se perdió la conexión con el servidor. Vuelve a observar la práctica.');
+    };
+
+    socket.on('observe:control', handleControl);
+    socket.on('observe:ended', handleEnded);
+    socket.on('disconnect', handleDisconnect);
+
+    return () => {
+      socket.off('observe:control', handleControl);
+      socket.off('observe:ended', handleEnded);
+      socket.off('disconnect', handleDisconnect);
+    };
+  }, [socket, deviceId, reiniciar, showSuccess, showInfo, showWarning]);
+
+  const observar = useCallback(
+    async (id: string) => {
+      if (!socket || !isConnected) throw new Error('Sin conexión con el servidor.');
+      if (deviceId) socket.emit('observe:leave', { deviceId });
+      // La línea de tiempo pasa a ser la del estudiante (llega con observe:sync).
+      reiniciar();
+      let ack: ObserveJoinAck;
+      try {
+        ack = await socket.timeout(ACK_TIMEOUT_MS).emitWithAck('observe:join', { deviceId: id });
+      } catch {
+        throw new Error('El servidor no respondió a la solicitud de observación.');
+      }
+      if (!ack.success || !ack.session) {
+        throw new Error(ack.message ?? 'No se pudo observar esta práctica.');
+      }
+      observadorIdRef.current = ack.observerId ?? null;
+      setObservada(ack.session);
+    },
+    [socket, isConnected, deviceId, reiniciar],
+  );
+
+  const dejarDeObservar = useCallback(() => {
+    // El backend devuelve el control al estudiante si el docente lo tenía.
+    if (socket && deviceId) socket.emit('observe:leave', { deviceId });
+    reiniciar();
+  }, [socket, deviceId, reiniciar]);
+
+  const enviarIndicacion = useCallback(
+    (texto: string) => {
+      const text = texto.trim().slice(0, MAX_HINT_LENGTH);
+      if (!socket || !deviceId || !text) return;
+      socket.emit('observe:hint', { deviceId, text });
+    },
+    [socket, deviceId],
+  );
+
+  const solicitarControl = useCallback(() => {
+    if (!socket || !deviceId) return;
+    socket.emit('observe:control-request', { deviceId });
+    setSolicitando(true);
+  }, [socket, deviceId]);
+
+  const devolverControl = useCallback(() => {
+    if (!socket || !deviceId) return;
+    socket.emit('observe:control-release', { deviceId });
+  }, [socket, deviceId]);
+
+  return {
+    observada,
+    enControl,
+    solicitando,
+    observar,
+    dejarDeObservar,
+    enviarIndicacion,
+    solicitarControl,
+    devolverControl,
+  };
+}
@@ -0,0 +1,115 @@
+/*
+ * Funcionalidad: useParameterRelay
+ * Descripción: Comparte por el socket la línea de tiempo de cambios de
+ *   parámetros entre el estudiante y los docentes que observan su práctica.
+ *   Toda entrada registrada localmente, o cuyo motivo cambia, sale como
+ *   observe:parameter; las que llegan del otro extremo se incorporan al store
+ *   (marcadores y lista de cambios iguales en ambos lados) y la última nueva se
+ *   devuelve para que el panel de control la refleje. El propietario responde a
+ *   observe:sync-request con su registro completo, que el observador adopta.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import { useEffect, useState } from 'react';
+
+import type {
+  ObservedParameterEvent,
+  ParameterLogEntry,
+  ParameterSyncEvent,
+  SyncRequestEvent,
+} from '@/contracts/simulator.contracts';
+import { useSocket } from '@/shared/hooks/useSocket';
+import {
+  getParameterLog,
+  getParameterTimelineSnapshot,
+  mergeParameterEntry,
+  replaceParameterTimeline,
+  subscribeParameterTimeline,
+} from '@/features/simulador/simuladorVentilador/panelControl/utils/parameterTimeline';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+/** Dueño de la reserva u observador (docente) de la práctica. */
+export type RolRelay = 'propietario' | 'observador';
+
+// =============================================================================
+// Hook
+// =============================================================================
+
+/**
+ * Activo mientras haya equipo y rol. Devuelve el último comando recibido del
+ * otro extremo (null hasta que llegue uno).
+ */
+export function useParameterRelay(
+  deviceId: string | null,
+  rol: RolRelay | null,
+): ParameterLogEntry | null {
+  const { socket, isConnected } = useSocket();
+  const [comandoRemoto, setComandoRemoto] = useState<ParameterLogEntry | null>(null);
+
+  useEffect(() => {
+    if (!socket || !isConnected || !deviceId || !rol) return;
+
+    // Último motivo conocido de cada entrada: lo ya emitido o recibido no se
+    // reenvía (evita el eco entre ambos extremos).
+    const conocidas = new Map<string, string>();
+    const marcar = (entry: ParameterLogEntry) => {
+      if (entry.id) conocidas.set(entry.id, entry.rationale ?? '');
+    };
+    getParameterTimelineSnapshot().forEach(marcar);
+
+    const unsubscribe = subscribeParameterTimeline(() => {
+      getParameterTimelineSnapshot().forEach((entry) => {
+        if (conocidas.get(entry.id) === (entry.rationale ?? '')) return;
+        marcar(entry);
+        const event: ObservedParameterEvent = { deviceId, entry };
+        socket.emit('observe:parameter', event);
+      });
+    });
+
+    const handleParameter = (event: ObservedParameterEvent) => {
+      if (event.deviceId !== deviceId || !event.entry.id) return;
+      const nueva = !conocidas.has(event.entry.id);
+      marcar(event.entry);
+      mergeParameterEntry(event.entry);
+      // Un motivo editado no cambia la configuración del panel.
+      if (nueva) setComandoRemoto(event.entry);
+    };
+
+    const handleSyncRequest = (event: SyncRequestEvent) => {
+      if (event.deviceId !== deviceId) return;
+      const sync: ParameterSyncEvent = { deviceId, entries: getParameterLog() };
+      socket.emit('observe:sync', sync);
+    };
+
+    const handleSync = (event: ParameterSyncEvent) => {
+      if (event.deviceId !== deviceId) return;
+      event.entries.forEach(marcar);
+      replaceParameterTimeline(event.entries);
+      const ultima = event.entries.at(-1);
+      if (ultima) setComandoRemoto(ultima);
+    };
+
+    const sincronizacion = rol === 'propietario' ? 'observe:sync-request' : 'observe:sync';
+    const handleSincronizacion = rol === 'propietario' ? handleSyncRequest : handleSync;
+
+    socket.on('observe:parameter', handleParameter);
+    socket.on(sincronizacion, handleSincronizacion);
+
+    return () => {
+      unsubscribe();
+      socket.off('observe:parameter', handleParameter);
+      socket.off(sincronizacion, handleSincronizacion);
+    };
+  }, [socket, isConnected, deviceId, rol]);
+
+  return comandoRemoto;
+}
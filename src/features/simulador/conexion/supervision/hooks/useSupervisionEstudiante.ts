@@ -0,0 +1,159 @@
+/*
+ * Funcionalidad: useSupervisionEstudiante
+ * Descripción: Lado del estudiante de la práctica supervisada, activo mientras
+ *   tiene la reserva. Muestra quién observa (observe:observers), guarda las
+ *   indicaciones de texto del docente (observe:hint) y gestiona el traspaso del
+ *   control: la solicitud queda pendiente hasta que el estudiante la acepta o la
+ *   rechaza, y con el control cedido puede recuperarlo en cualquier momento.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+
+import type {
+  ControlChangedEvent,
+  ControlRequestEvent,
+  ObserversChangedEvent,
+  SessionObserver,
+  SupervisionHintEvent,
+} from '@/contracts/simulator.contracts';
+import { useSocket } from '@/shared/hooks/useSocket';
+import { useNotification } from '@/shared/contexts/NotificationContext';
+import { MAX_HINTS } from '../utils/supervision';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+/** Docente que maneja el equipo de la práctica. */
+export interface ControlDocente {
+  deviceId: string;
+  teacherName: string;
+}
+
+export interface UseSupervisionEstudianteReturn {
+  observadores: SessionObserver[];
+  /** Indicaciones recibidas, la más reciente primero. */
+  indicaciones: SupervisionHintEvent[];
+  /** Solicitud de control pendiente de respuesta. */
+  solicitud: ControlRequestEvent | null;
+  controlDocente: ControlDocente | null;
+  responderSolicitud: (aceptar: boolean) => void;
+  recuperarControl: () => void;
+  descartarIndicacion: (id: string) => void;
+}
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const SIN_OBSERVADORES: SessionObserver[] = [];
+const SIN_INDICACIONES: SupervisionHintEvent[] = [];
+
+// =============================================================================
+// Hook
+// =============================================================================
+
+export function useSupervisionEstudiante(
+  deviceId: string | null,
+  tieneReserva: boolean,
+): UseSupervisionEstudianteReturn {
+  const { socket, isConnected } = useSocket();
+  const { showInfo } = useNotification();
+  const [observadores, setObservadores] = useState<SessionObserver[]>(SIN_OBSERVADORES);
+  const [indicaciones, setIndicaciones] = useState<SupervisionHintEvent[]>(SIN_INDICACIONES);
+  const [solicitud, setSolicitud] = useState<ControlRequestEvent | null>(null);
+  const [controlDocente, setControlDocente] = useState<ControlDocente | null>(null);
+
+  // Al terminar la reserva se descarta lo recibido (ajuste durante el render).
+  const [reservaPrevia, setReservaPrevia] = useState(tieneReserva);
+  if (reservaPrevia !== tieneReserva) {
+    setReservaPrevia(tieneReserva);
+    if (!tieneReserva) {
+      setObservadores(SIN_OBSERVADORES);
+      setIndicaciones(SIN_INDICACIONES);
+      setSolicitud(null);
+      setControlDocente(null);
+    }
+  }
+
+  useEffect(() => {
+    if (!socket || !isConnected || !tieneReserva) return;
+
+    // Sin registro de equipos (deviceId null) se aceptan los eventos de cualquiera.
+    const esDeEsteEquipo = (id: string) => !deviceId || id === deviceId;
+
+    const handleObservers = (event: ObserversChangedEvent) => {
+      if (esDeEsteEquipo(event.deviceId)) setObservadores(event.observers);
+    };
+
+    const handleHint = (event: SupervisionHintEvent) => {
+      if (!esDeEsteEquipo(event.deviceId)) return;
+      setIndicaciones((prev) => [event, ...prev].slice(0, MAX_HINTS));
+      showInfo(`Indicación de ${event.from}: ${event.text}`);
+    };
+
+    const handleRequest = (event: ControlRequestEvent) => {
+      if (esDeEsteEquipo(event.deviceId)) setSolicitud(event);
+    };
+
+    const handleControl = (event: ControlChangedEvent) => {
+      if (!esDeEsteEquipo(event.deviceId)) return;
+      setSolicitud(null);
+      if (event.controller === 'TEACHER') {
+        setControlDocente({ deviceId: event.deviceId, teacherName: event.teacherName ?? 'El docente' });
+        return;
+      }
+      setControlDocente(null);
+      if (event.reason === 'released') {
+        showInfo(`${event.teacherName ?? 'El docente'} te devolvió el control del ventilador.`);
+      }
+    };
+
+    socket.on('observe:observers', handleObservers);
+    socket.on('observe:hint', handleHint);
+    socket.on('observe:control-request', handleRequest);
+    socket.on('observe:control', handleControl);
+
+    return () => {
+      socket.off('observe:observers', handleObservers);
+      socket.off('observe:hint', handleHint);
+      socket.off('observe:control-request', handleRequest);
+      socket.off('observe:control', handleControl);
+    };
+  }, [socket, isConnected, tieneReserva, deviceId, showInfo]);
+
+  const responderSolicitud = useCallback(
+    (aceptar: boolean) => {
+      if (!socket || !solicitud) return;
+      socket.emit('observe:control-response', { deviceId: solicitud.deviceId, accepted: aceptar });
+      setSolicitud(null);
+    },
+    [socket, solicitud],
+  );
+
+  const recuperarControl = useCallback(() => {
+    if (!socket || !controlDocente) return;
+    socket.emit('observe:control-release', { deviceId: controlDocente.deviceId });
+  }, [socket, controlDocente]);
+
+  const descartarIndicacion = useCallback((id: string) => {
+    setIndicaciones((prev) => prev.filter((h) => h.id !== id));
+  }, []);
+
+  return {
+    observadores,
+    indicaciones,
+    solicitud,
+    controlDocente,
+    responderSolicitud,
+    recuperarControl,
+    descartarIndicacion,
+  };
+}
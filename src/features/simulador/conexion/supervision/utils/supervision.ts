@@ -0,0 +1,31 @@
+/*
+ * Funcionalidad: supervision (utilidades)
+ * Descripción: Constantes compartidas por la observación en vivo de prácticas
+ *   supervisadas: clave SWR de las sesiones observables, límites de las
+ *   indicaciones del docente y etiquetas de quién controla el ventilador.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import type { SessionController } from '@/contracts/simulator.contracts';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+export const OBSERVABLE_SESSIONS_KEY = 'simulation/observe/sessions';
+
+/** Mismo tope que aplica el backend a observe:hint. */
+export const MAX_HINT_LENGTH = 280;
+/** Indicaciones que conserva la barra del estudiante. */
+export const MAX_HINTS = 20;
+
+export const CONTROLLER_LABEL: Record<SessionController, string> = {
+  STUDENT: 'Estudiante',
+  TEACHER: 'Docente',
+};
@@ -7,7 +7,11 @@
  *   la carga observada sea fiel (N hooks re-renderizando) sin multiplicar la
  *   generación de datos. Aislado bajo flag de dev: si la flag está apagada,
  *   subscribe() es un no-op y no se crea ningún temporizador.
- * Versión: 1.0
+ *   Las curvas salen del pulmón simulado con el modo y tipo de onda de la trama
+ *   serial (NEXT_PUBLIC_DEV_VENT_EMITTER_MODE / _WAVE o configureSyntheticEmitter)
+ *   y, con NEXT_PUBLIC_DEV_VENT_EMITTER_SCENARIO o setSyntheticScenario, con un
+ *   escenario de asincronías (esfuerzo del paciente + eventos en las lecturas).
+ * Versión: 1.2
  * Autor: Marcela Mazo Castro
  * Proyecto: VentyLab
  * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
@@ -17,6 +21,18 @@
  */
 
 import type { VentilatorReading } from '@/contracts/simulator.contracts';
+import { LungModel, BASELINE_MECHANICS } from '@/features/simulador/compartido/simulacion/lungModel';
+import {
+  commandFromSerialConfig,
+  type SerialConfigParameters,
+} from '@/features/simulador/compartido/simulacion/serialModes';
+import {
+  ASYNCHRONY_SCENARIOS,
+  applyScenarioToCommand,
+  createEffortSource,
+  type AsynchronyScenario,
+  type AsynchronyScenarioId,
+} from '@/features/simulador/compartido/simulacion/asynchronyScenarios';
 
 type Listener = (reading: VentilatorReading) => void;
 
@@ -27,53 +43,44 @@ export const DEV_EMITTER_ENABLED =
 /** Frecuencia de emisión en Hz (default 60 para reproducir el peor caso). */
 const EMITTER_HZ = Number(process.env.NEXT_PUBLIC_DEV_VENT_EMITTER_HZ) || 60;
 
+/** Modo y onda iniciales, con los nombres de SerialProtocol.createConfigFrame. */
+const EMITTER_MODE = process.env.NEXT_PUBLIC_DEV_VENT_EMITTER_MODE || 'Volumen control';
+const EMITTER_WAVE = process.env.NEXT_PUBLIC_DEV_VENT_EMITTER_WAVE || 'Escalon';
+/** Escenario de asincronías inicial (id de ASYNCHRONY_SCENARIOS). */
+const EMITTER_SCENARIO = process.env.NEXT_PUBLIC_DEV_VENT_EMITTER_SCENARIO as AsynchronyScenarioId | undefined;
+
 const listeners = new Set<Listener>();
 let timer: ReturnType<typeof setInterval> | null = null;
+let model: LungModel | null = null;
+let command = commandFromSerialConfig(EMITTER_MODE, EMITTER_WAVE);
+let scenario: AsynchronyScenario | null = (EMITTER_SCENARIO && ASYNCHRONY_SCENARIOS[EMITTER_SCENARIO]) || null;
 
 /**
- * Genera una lectura sintética basada en un ciclo respiratorio de 4 s.
- * Reusa la forma de onda del modo simulado (presión/flujo/volumen) + ruido.
- * NO altera la lógica de simulación de producción; es sólo carga de dev.
+ * Avanza el pulmón simulado hasta `now` y añade la SpO₂ con algo de ruido
+ * (el resto de la carga es determinista). NO altera la lógica de simulación de
+ * producción; es sólo carga de dev.
  */
-function generateReading(now: number): VentilatorReading {
-  const cycleProgress = (now % 4000) / 4000;
-
-  let pressure: number;
-  let flow: number;
-  let volume: number;
-
-  if (cycleProgress < 0.3) {
-    const p = cycleProgress / 0.3;
-    pressure = 5 + 20 * Math.sin((p * Math.PI) / 2);
-    flow = 60 * Math.sin(p * Math.PI);
-    volume = 500 * Math.sin((p * Math.PI) / 2);
-  } else if (cycleProgress < 0.4) {
-    pressure = 25;
-    flow = 0;
-    volume = 500;
-  } else {
-    const p = (cycleProgress - 0.4) / 0.6;
-    pressure = 25 - 20 * Math.sin((p * Math.PI) / 2);
-    flow = -40 * Math.sin(p * Math.PI);
-    volume = 500 * Math.cos((p * Math.PI) / 2);
-  }
-
-  return {
-    pressure: Math.max(0, pressure + (Math.random() - 0.5) * 2),
-    flow: flow + (Math.random() - 0.5) * 5,
-    volume: Math.max(0, volume + (Math.random() - 0.5) * 20),
+function generateReadings(now: number): VentilatorReading[] {
+  if (!model) return [];
+  return model.advanceTo(now).map((reading) => ({
+    ...reading,
     spo2: 97 + (Math.random() - 0.5),
-    timestamp: now,
-    deviceId: 'dev-synthetic',
-  };
+  }));
 }
 
 function start(): void {
   if (timer) return;
   const periodMs = Math.max(1, Math.round(1000 / EMITTER_HZ));
+  model = new LungModel(applyScenarioToCommand(command, scenario), BASELINE_MECHANICS, {
+    sampleRateHz: EMITTER_HZ,
+    deviceId: 'dev-synthetic',
+    startTimestamp: Date.now(),
+  });
+  model.setPatientEffort(createEffortSource(scenario));
   timer = setInterval(() => {
-    const reading = generateReading(Date.now());
-    listeners.forEach((fn) => fn(reading));
+    generateReadings(Date.now()).forEach((reading) => {
+      listeners.forEach((fn) => fn(reading));
+    });
   }, periodMs);
 }
 
@@ -82,6 +89,27 @@ function stop(): void {
     clearInterval(timer);
     timer = null;
   }
+  model = null;
+}
+
+/**
+ * Reconfigura el emisor con los mismos argumentos que
+ * SerialProtocol.createConfigFrame; aplica en el próximo ciclo.
+ */
+export function configureSyntheticEmitter(
+  mode: string,
+  waveType: string,
+  parameters: SerialConfigParameters = {},
+): void {
+  command = commandFromSerialConfig(mode, waveType, parameters);
+  model?.setCommand(applyScenarioToCommand(command, scenario));
+}
+
+/** Cambia el escenario de asincronías del emisor (null = paciente pasivo). */
+export function setSyntheticScenario(id: AsynchronyScenarioId | null): void {
+  scenario = id ? ASYNCHRONY_SCENARIOS[id] : null;
+  model?.setCommand(applyScenarioToCommand(command, scenario));
+  model?.setPatientEffort(createEffortSource(scenario));
 }
 
 /**
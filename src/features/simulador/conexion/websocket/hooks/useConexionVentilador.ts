@@ -6,7 +6,11 @@
  *   Reusa useRemoteVentilator (reserva vía simulatorApi.reserve/release y telemetría
  *   WebSocket); NO duplica lógica de backend ni de MQTT. El hook concentra el estado
  *   y las acciones con guardas; el render vive en componentes presentacionales (UI/).
- * Versión: 1.1
+ *   Recibe el equipo del registro sobre el que opera; cambiar de equipo sólo se
+ *   permite sin reserva propia ni canal abierto (puedeCambiarDispositivo).
+ *   Una reserva que llega sin pedirla desde la FSM (turno agendado que empieza,
+ *   oferta aceptada de la lista de espera) lleva el estado a RESERVADO.
+ * Versión: 1.3
  * Autor: Marcela Mazo Castro
  * Proyecto: VentyLab
  * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
@@ -55,6 +59,8 @@ export interface UseConexionVentiladorReturn {
   puedeConectar: boolean;
   puedeDesconectar: boolean;
   puedeLiberar: boolean;
+  /** Sin reserva propia ni canal abierto: se puede elegir otro equipo. */
+  puedeCambiarDispositivo: boolean;
   /** True mientras una acción asíncrona está en vuelo. */
   ocupado: boolean;
   acciones: {
@@ -73,9 +79,11 @@ export interface UseConexionVentiladorReturn {
  * FSM de conexión al ventilador. Debe usarse dentro de <SocketProvider> (global
  * en _app.js) y normalmente a través de <ConexionVentiladorProvider> para que un
  * único estado sea compartido por la tab Conexión y la tab Monitoreo.
+ *
+ * @param dispositivoId - Equipo del registro (null = equipo por defecto del backend)
  */
-export function useConexionVentilador(): UseConexionVentiladorReturn {
-  const remote = useRemoteVentilator();
+export function useConexionVentilador(dispositivoId: string | null = null): UseConexionVentiladorReturn {
+  const remote = useRemoteVentilator(dispositivoId);
 
   // Desestructurar valores/callbacks estables para usarlos en dep arrays.
   const {
@@ -103,9 +111,20 @@ export function useConexionVentilador(): UseConexionVentiladorReturn {
   const reservaPerdida =
     !hasReservation &&
     (estado === 'RESERVADO' || estado === 'CONECTANDO' || estado === 'CONECTADO');
-
-  const estadoEfectivo: EstadoConexion = reservaPerdida ? 'SIN_RESERVA' : estado;
-  const mensajeEfectivo = reservaPerdida ? 'La reserva finalizó o fue liberada.' : mensaje;
+  // A la inversa, el backend puede activar una reserva propia que la FSM no pidió:
+  // un turno agendado que empieza o una oferta aceptada de la lista de espera.
+  const reservaRecibida = hasReservation && estado === 'SIN_RESERVA';
+
+  const estadoEfectivo: EstadoConexion = reservaPerdida
+    ? 'SIN_RESERVA'
+    : reservaRecibida
+      ? 'RESERVADO'
+      : estado;
+  const mensajeEfectivo = reservaPerdida
+    ? 'La reserva finalizó o fue liberada.'
+    : reservaRecibida
+      ? 'Tu turno está activo. Ya puedes conectar.'
+      : mensaje;
 
   // ---------------------------------------------------------------------------
   // Acciones con guardas (evaluadas contra el estado efectivo)
@@ -190,6 +209,8 @@ export function useConexionVentilador(): UseConexionVentiladorReturn {
       puedeConectar: !ocupado && estadoEfectivo === 'RESERVADO',
       puedeDesconectar: estadoEfectivo === 'CONECTADO' || estadoEfectivo === 'CONECTANDO',
       puedeLiberar: !ocupado && hasReservation,
+      // !ocupado ya descarta CONECTANDO.
+      puedeCambiarDispositivo: !ocupado && !hasReservation && estadoEfectivo !== 'CONECTADO',
     }),
     [estadoEfectivo, ocupado, hasReservation, occupiedBy],
   );
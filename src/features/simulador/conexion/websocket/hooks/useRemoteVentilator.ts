@@ -5,7 +5,10 @@
  *   baja frecuencia por WebSocket, envío de comandos y liberación. Distingue la
  *   reserva propia (hasReservation) de la ocupación por otro usuario (occupiedBy)
  *   para que la UI refleje "Reservado por X / Disponible".
- * Versión: 1.1
+ *   Opera sobre el equipo del registro que recibe (deviceId): estado, reserva,
+ *   liberación y comandos van dirigidos a él y los eventos de reserva de otros
+ *   equipos se ignoran. Sin deviceId se usa el equipo por defecto del backend.
+ * Versión: 1.2
  * Autor: Marcela Mazo Castro
  * Proyecto: VentyLab
  * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
@@ -57,6 +60,8 @@ export interface RemoteVentilatorState {
 }
 
 export interface UseRemoteVentilatorReturn extends RemoteVentilatorState {
+  /** Equipo sobre el que opera el hook (null = equipo por defecto del backend) */
+  deviceId: string | null;
   connect: () => Promise<void>;
   disconnect: () => void;
   requestReservation: (durationMinutes: number, purpose?: string) => Promise<boolean>;
@@ -69,6 +74,8 @@ export interface UseRemoteVentilatorReturn extends RemoteVentilatorState {
 // Payloads emitted by the backend simulation service
 interface ReservedPayload {
   userId: string;
+  /** Equipo reservado — ausente en backends de un solo equipo */
+  deviceId?: string;
   /** Nombre visible (o email) del usuario que reservó — lo emite el backend */
   userName?: string | null;
   reservationId: string;
@@ -77,6 +84,7 @@ interface ReservedPayload {
 
 interface ReleasedPayload {
   userId: string;
+  deviceId?: string;
 }
 
 // =============================================================================
@@ -88,8 +96,10 @@ interface ReleasedPayload {
  *   reservation → WebSocket telemetry → command sending → release
  *
  * Must be used within a <SocketProvider> tree (already global in _app.js).
+ *
+ * @param deviceId - Registered device to operate on; null → backend default device
  */
-export function useRemoteVentilator(): UseRemoteVentilatorReturn {
+export function useRemoteVentilator(deviceId: string | null = null): UseRemoteVentilatorReturn {
   const { socket, isConnected: isSocketConnected } = useSocket();
 
   const [ventilatorStatus, setVentilatorStatus] = useState<VentilatorStatus>('DISCONNECTED');
@@ -101,6 +111,20 @@ export function useRemoteVentilator(): UseRemoteVentilatorReturn {
   const [error, setError] = useState<Error | null>(null);
   const [isLoading, setIsLoading] = useState(false);
 
+  // Al cambiar de equipo se descarta el estado del anterior (ajuste durante el
+  // render, sin efecto) antes de que checkStatus hidrate el nuevo.
+  const [stateDeviceId, setStateDeviceId] = useState(deviceId);
+  if (stateDeviceId !== deviceId) {
+    setStateDeviceId(deviceId);
+    setVentilatorStatus('DISCONNECTED');
+    setHasReservation(false);
+    setReservation(null);
+    setOccupiedBy(null);
+    setData([]);
+    setAlarms([]);
+    setError(null);
+  }
+
   const timerRef = useRef<ReturnType<typeof setInterval> | null>(null);
   // Espejo de hasReservation para leerlo en callbacks estables (deps vacías)
   // sin recrearlos en cada cambio. Evita que checkStatus borre por error una
@@ -124,6 +148,10 @@ export function useRemoteVentilator(): UseRemoteVentilatorReturn {
   useEffect(() => {
     if (!socket || !isSocketConnected) return;
 
+    // Los backends de un solo equipo no envían deviceId: el evento es nuestro.
+    const isForThisDevice = (payload: { deviceId?: string }) =>
+      !payload.deviceId || payload.deviceId === deviceId;
+
     const handleAlarm = (alarm: VentilatorAlarm) => {
       setAlarms((prev) => {
         const idx = prev.findIndex((a) => a.type === alarm.type);
@@ -145,6 +173,7 @@ export function useRemoteVentilator(): UseRemoteVentilatorReturn {
     // logueado la tratamos como reserva PROPIA; si no, el recurso único quedó
     // ocupado por otro usuario (occupiedBy) y este cliente NO tiene reserva.
     const handleReserved = (payload: ReservedPayload) => {
+      if (!isForThisDevice(payload)) return;
       const currentUserId = (getUserData() as { id?: string } | null)?.id;
       const now = Date.now();
 
@@ -170,7 +199,8 @@ export function useRemoteVentilator(): UseRemoteVentilatorReturn {
       });
     };
 
-    const handleReleased = (_payload: ReleasedPayload) => {
+    const handleReleased = (payload: ReleasedPayload) => {
+      if (!isForThisDevice(payload)) return;
       setHasReservation(false);
       setReservation(null);
       setOccupiedBy(null);
@@ -187,7 +217,7 @@ export function useRemoteVentilator(): UseRemoteVentilatorReturn {
       socket.off('ventilator:reserved', handleReserved);
       socket.off('ventilator:released', handleReleased);
     };
-  }, [socket, isSocketConnected]);
+  }, [socket, isSocketConnected, deviceId]);
 
   // ---------------------------------------------------------------------------
   // Reservation countdown timer
@@ -227,7 +257,7 @@ export function useRemoteVentilator(): UseRemoteVentilatorReturn {
     setIsLoading(true);
     setError(null);
     try {
-      const status = await simulatorApi.getStatus();
+      const status = await simulatorApi.getStatus(deviceId ?? undefined);
       setVentilatorStatus(status.status);
 
       // Sync alarms from status
@@ -290,7 +320,7 @@ export function useRemoteVentilator(): UseRemoteVentilatorReturn {
     } finally {
       setIsLoading(false);
     }
-  }, []);
+  }, [deviceId]);
 
   // ---------------------------------------------------------------------------
   // Hidratación inicial: al montar se consulta el estado para reflejar una
@@ -342,6 +372,7 @@ export function useRemoteVentilator(): UseRemoteVentilatorReturn {
           // Omit `purpose` entirely when undefined: exactOptionalPropertyTypes
           // forbids passing an explicit `undefined` to an optional field.
           ...(purpose !== undefined ? { purpose } : {}),
+          ...(deviceId ? { deviceId } : {}),
         });
         if (result.success && result.reservationId && result.endTime) {
           setHasReservation(true);
@@ -366,13 +397,13 @@ export function useRemoteVentilator(): UseRemoteVentilatorReturn {
         setIsLoading(false);
       }
     },
-    [checkStatus]
+    [checkStatus, deviceId]
   );
 
   const releaseReservation = useCallback(async () => {
     setIsLoading(true);
     try {
-      await simulatorApi.release();
+      await simulatorApi.release(deviceId ?? undefined);
       setHasReservation(false);
       setReservation(null);
       disconnect();
@@ -381,7 +412,7 @@ export function useRemoteVentilator(): UseRemoteVentilatorReturn {
     } finally {
       setIsLoading(false);
     }
-  }, [disconnect]);
+  }, [disconnect, deviceId]);
 
   const sendCommand = useCallback(
     async (command: VentilatorCommand) => {
@@ -396,14 +427,14 @@ export function useRemoteVentilator(): UseRemoteVentilatorReturn {
           ...(token ? { Authorization: `Bearer ${token}` } : {}),
         },
         credentials: 'include',
-        body: JSON.stringify({ command }),
+        body: JSON.stringify({ command, ...(deviceId ? { deviceId } : {}) }),
       });
       const json = await response.json();
       if (!response.ok || !json.success) {
         throw new Error(json.message ?? 'Error al enviar comando');
       }
     },
-    [hasReservation]
+    [hasReservation, deviceId]
   );
 
   const clearData = useCallback(() => {
@@ -415,6 +446,7 @@ export function useRemoteVentilator(): UseRemoteVentilatorReturn {
   // ---------------------------------------------------------------------------
 
   return {
+    deviceId,
     isSocketConnected,
     ventilatorStatus,
     hasReservation,
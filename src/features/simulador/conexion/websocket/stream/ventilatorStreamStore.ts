@@ -10,7 +10,21 @@
  *   Una sola suscripción al socket y un solo bucle de flush sirven a todos los
  *   consumidores vía useSyncExternalStore, eliminando las 3 instancias previas
  *   que mantenían 3 buffers y 3 ciclos de re-render independientes.
- * Versión: 1.0
+ *   Las muestras del pulmón simulado local sólo se ingieren mientras no llega
+ *   telemetría remota: si el backend transmite, su stream tiene prioridad.
+ *   Los consumidores que necesitan cada muestra (motor de alarmas) se suscriben
+ *   con subscribeReadings, fuera del ciclo de render.
+ *   Las muestras del dispositivo serial también se ingieren (las curvas del
+ *   path serial siguen saliendo de sus propios arrays), para que alarmas,
+ *   mecánica y maniobras de pausa funcionen igual con el equipo físico.
+ *   En modo repetición el store recibe sólo la sesión grabada: las fuentes en
+ *   vivo se descartan y un salto en la línea de tiempo avisa a los consumidores
+ *   por muestra (subscribeStreamReset) para que no unan respiraciones.
+ *   La telemetría y las alarmas que llegan por MQTT cuentan como stream remoto,
+ *   igual que las del socket.
+ *   Con varios ventiladores registrados, las muestras del socket de un equipo
+ *   distinto al seleccionado (setStreamDevice) se descartan.
+ * Versión: 1.6
  * Autor: Marcela Mazo Castro
  * Proyecto: VentyLab
  * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
@@ -36,6 +50,8 @@ const STALE_THRESHOLD_MS = 2000;
 const FPS_WINDOW_MS = 1000;
 
 type Listener = () => void;
+type ReadingListener = (reading: VentilatorReading) => void;
+type ResetListener = () => void;
 
 // =============================================================================
 // Estado interno del singleton
@@ -45,6 +61,10 @@ const buffer: VentilatorReading[] = [];
 const frameTimestamps: number[] = [];
 let frameCount = 0;
 let lastFrameAt = 0;
+let lastRemoteFrameAt = 0;
+let replayActive = false;
+/** Equipo cuyo stream del socket se ingiere; null = cualquiera (un solo equipo). */
+let streamDeviceId: string | null = null;
 
 let isConnected = false;
 let status: VentilatorStatus = 'DISCONNECTED';
@@ -56,6 +76,8 @@ let socketBindCount = 0;
 let emitterUnsub: (() => void) | null = null;
 
 const listeners = new Set<Listener>();
+const readingListeners = new Set<ReadingListener>();
+const resetListeners = new Set<ResetListener>();
 let rafId: number | null = null;
 let lastFlush = 0;
 
@@ -159,6 +181,99 @@ function pushReading(reading: VentilatorReading): void {
   if (frameTimestamps.length > 200) frameTimestamps.splice(0, frameTimestamps.length - 200);
 
   dataDirty = true;
+  readingListeners.forEach((fn) => fn(reading));
+}
+
+/** Muestra del socket: marca el stream remoto como activo. */
+function pushRemoteReading(reading: VentilatorReading): void {
+  if (replayActive) return;
+  lastRemoteFrameAt = Date.now();
+  pushReading(reading);
+}
+
+/** Muestra del socket: se descarta si pertenece a otro equipo. */
+function handleSocketReading(reading: VentilatorReading): void {
+  if (streamDeviceId !== null && reading.deviceId && reading.deviceId !== streamDeviceId) return;
+  pushRemoteReading(reading);
+}
+
+/** Muestra del emisor sintético de dev. */
+function pushSyntheticReading(reading: VentilatorReading): void {
+  if (replayActive) return;
+  pushReading(reading);
+}
+
+/**
+ * Ingesta de una muestra del pulmón simulado local (lungModel). Se descarta si
+ * el stream remoto entregó datos recientemente, para no mezclar dos fuentes en
+ * el mismo buffer.
+ */
+export function ingestLocalReading(reading: VentilatorReading): void {
+  if (replayActive || Date.now() - lastRemoteFrameAt < STALE_THRESHOLD_MS) return;
+  pushReading(reading);
+}
+
+/**
+ * Ingesta de una muestra del dispositivo serial (Web Serial). Mismo criterio
+ * que el pulmón local: el stream remoto tiene prioridad.
+ */
+export function ingestSerialReading(reading: VentilatorReading): void {
+  if (replayActive || Date.now() - lastRemoteFrameAt < STALE_THRESHOLD_MS) return;
+  pushReading(reading);
+}
+
+/** Selecciona el equipo cuyo stream del socket se ingiere (null = cualquiera). */
+export function setStreamDevice(deviceId: string | null): void {
+  streamDeviceId = deviceId;
+}
+
+/** Muestra del equipo físico recibida por MQTT: misma prioridad que el socket. */
+export function ingestMqttReading(reading: VentilatorReading): void {
+  pushRemoteReading(reading);
+}
+
+/** Alarma publicada por el equipo en su tópico MQTT. */
+export function ingestMqttAlarm(alarm: VentilatorAlarm): void {
+  if (replayActive) return;
+  handleAlarm(alarm);
+}
+
+// =============================================================================
+// Repetición de sesiones grabadas
+// =============================================================================
+
+function resetStream(readings: VentilatorReading[]): void {
+  buffer.length = 0;
+  buffer.push(...readings.slice(-BUFFER_SIZE));
+  dataDirty = true;
+  resetListeners.forEach((fn) => fn());
+  if (listeners.size === 0) snapshot = buildSnapshot();
+}
+
+/** Entra en modo repetición: vacía el buffer y silencia las fuentes en vivo. */
+export function beginReplay(): void {
+  replayActive = true;
+  resetStream([]);
+}
+
+/** Sale del modo repetición; las fuentes en vivo vuelven a ingerirse. */
+export function endReplay(): void {
+  if (!replayActive) return;
+  replayActive = false;
+  resetStream([]);
+}
+
+/** Muestra de la sesión en repetición, en orden de reproducción. */
+export function ingestReplayReading(reading: VentilatorReading): void {
+  if (replayActive) pushReading(reading);
+}
+
+/**
+ * Salto en la línea de tiempo de la repetición: el buffer pasa a ser la
+ * ventana que precede a la nueva posición, sin entregarla muestra a muestra.
+ */
+export function seekReplay(readings: VentilatorReading[]): void {
+  if (replayActive) resetStream(readings);
 }
 
 // =============================================================================
@@ -217,7 +332,7 @@ export function subscribe(listener: Listener): () => void {
     startLoop();
     // El emisor sintético de dev sólo corre mientras hay consumidores montados
     // (p. ej. la tab Monitoreo); se pausa en tabs inactivas.
-    emitterUnsub = subscribeSyntheticEmitter(pushReading);
+    emitterUnsub = subscribeSyntheticEmitter(pushSyntheticReading);
   }
 
   return () => {
@@ -230,6 +345,28 @@ export function subscribe(listener: Listener): () => void {
   };
 }
 
+/**
+ * Suscripción a cada muestra ingerida, sin pasar por el flush. No cuenta como
+ * consumidor: no arranca el bucle ni el emisor sintético.
+ */
+export function subscribeReadings(listener: ReadingListener): () => void {
+  readingListeners.add(listener);
+  return () => {
+    readingListeners.delete(listener);
+  };
+}
+
+/**
+ * Aviso de discontinuidad del stream (entrada/salida de la repetición o salto
+ * de posición): quien segmenta respiraciones debe descartar la que lleva.
+ */
+export function subscribeStreamReset(listener: ResetListener): () => void {
+  resetListeners.add(listener);
+  return () => {
+    resetListeners.delete(listener);
+  };
+}
+
 export function getSnapshot(): UseVentilatorDataReturn {
   return snapshot;
 }
@@ -245,7 +382,7 @@ export function bindSocket(socket: Socket | null): () => void {
   if (socketBindCount === 1) {
     boundSocket = socket;
 
-    socket.on('ventilator:data', pushReading);
+    socket.on('ventilator:data', handleSocketReading);
     socket.on('ventilator:alarm', handleAlarm);
     socket.on('ventilator:status', handleStatus);
     socket.on('connect_error', handleConnectError);
@@ -254,7 +391,7 @@ export function bindSocket(socket: Socket | null): () => void {
   return () => {
     socketBindCount -= 1;
     if (socketBindCount === 0) {
-      socket.off('ventilator:data', pushReading);
+      socket.off('ventilator:data', handleSocketReading);
       socket.off('ventilator:alarm', handleAlarm);
       socket.off('ventilator:status', handleStatus);
       socket.off('connect_error', handleConnectError);
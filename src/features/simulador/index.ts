@@ -6,6 +6,7 @@ export * from './compartido/hooks/useNotifications';
 export * from './compartido/hooks/useDataExport';
 export * from './compartido/hooks/useDataRecording';
 export * from './compartido/hooks/useMockData';
+export * from './compartido/hooks/useLocalLungSimulation';
 export * from './compartido/hooks/useQRBridge';
 export * from './conexion';
 export * from './simuladorPaciente';
@@ -1,5 +1,5 @@
 import { useState, useCallback, useMemo } from 'react';
-import { PatientCondition } from '@/contracts/patient.contracts';
+import { PatientCondition, type RespiratoryMechanics } from '@/contracts/patient.contracts';
 
 // =============================================================================
 // Types
@@ -76,6 +76,8 @@ export interface PatientDataPayload {
     fio2Inicial: number;
     frecuenciaResp: number;
   };
+  /** Mecánica calculada por el backend; alimenta el pulmón simulado local. */
+  respiratoryMechanics?: RespiratoryMechanics;
   timestamp: Date;
   source: string;
 }
@@ -102,7 +102,8 @@ const PatientSimulator: React.FC<PatientSimulatorProps> = ({ onPatientConfigured
     await simulation.actions.startSimulation(initialCommand as VentilatorCommand);
 
     // 3. Update legacy PatientDataContext for other components that depend on it
-    receivePatientData(payload);
+    // (la mecánica del backend también alimenta el pulmón simulado local)
+    receivePatientData({ ...payload, respiratoryMechanics: patientModel.respiratoryMechanics });
 
     setSuccessMsg('Paciente configurado. Las señales fisiológicas se están generando en tiempo real.');
     setTimeout(() => setSuccessMsg(''), 7000);
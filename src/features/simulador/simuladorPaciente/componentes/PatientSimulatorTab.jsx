@@ -1,5 +1,6 @@
 import React, { Suspense } from 'react';
-import { Box, Typography } from '@mui/material';
+import { Box, Container, Typography } from '@mui/material';
+import ScenarioPanel from '@/features/simulador/simuladorPaciente/escenarios/componentes/ScenarioPanel';
 
 const PatientSimulator = React.lazy(() => import('@/features/simulador/simuladorPaciente/FormularioPaciente'));
 
@@ -11,6 +12,9 @@ const PatientSimulatorTab = () => {
       </Box>}>
         <PatientSimulator />
       </Suspense>
+      <Container maxWidth="lg">
+        <ScenarioPanel />
+      </Container>
     </Box>
   );
 };
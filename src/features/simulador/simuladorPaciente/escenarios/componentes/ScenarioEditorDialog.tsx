@@ -0,0 +1,166 @@
+/*
+ * Funcionalidad: ScenarioEditorDialog
+ * Descripción: Editor del guion de deterioro para docentes. El guion se
+ *   escribe como JSON (el mismo que se guarda en el ClinicalCase) y se valida
+ *   mientras se escribe con el motor de guiones; los botones de presets
+ *   insertan un evento modelo. Se puede probar en el simulador sin guardarlo.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import { useMemo, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  TextField,
+  Typography,
+} from '@mui/material';
+
+import type { ScenarioPreset, ScenarioScript } from '@/contracts/patient.contracts';
+import {
+  SCENARIO_PRESET_LABELS,
+  validateScenarioScript,
+  type ScenarioValidation,
+} from '@/features/simulador/compartido/simulacion/scenarioEngine';
+import { presetEventTemplate } from '../utils/scenarioTemplates';
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+const toJson = (script: ScenarioScript): string => JSON.stringify(script, null, 2);
+
+function parse(text: string): ScenarioValidation {
+  try {
+    return validateScenarioScript(JSON.parse(text));
+  } catch (err) {
+    return { script: null, errors: [`JSON inválido: ${err instanceof Error ? err.message : String(err)}`] };
+  }
+}
+
+// =============================================================================
+// Component
+// =============================================================================
+
+interface ScenarioEditorDialogProps {
+  open: boolean;
+  /** Guion de partida; se relee cada vez que el diálogo se abre. */
+  initial: ScenarioScript;
+  /** Título del caso donde se guardará; null si no hay caso elegido. */
+  caseTitle: string | null;
+  onClose: () => void;
+  onTry: (script: ScenarioScript) => void;
+  onSave: (script: ScenarioScript) => Promise<void>;
+}
+
+export function ScenarioEditorDialog({ open, initial, caseTitle, onClose, onTry, onSave }: ScenarioEditorDialogProps) {
+  const [text, setText] = useState(() => toJson(initial));
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState<string | null>(null);
+
+  // Al abrir se parte del guion recibido (ajuste durante el render).
+  const [wasOpen, setWasOpen] = useState(open);
+  if (wasOpen !== open) {
+    setWasOpen(open);
+    if (open) {
+      setText(toJson(initial));
+      setSaveError(null);
+    }
+  }
+
+  const { script, errors } = useMemo(() => parse(text), [text]);
+
+  const insertPreset = (preset: ScenarioPreset) => {
+    try {
+      const draft = JSON.parse(text) as Partial<ScenarioScript>;
+      const events = Array.isArray(draft.events) ? draft.events : [];
+      const event = presetEventTemplate(preset, SCENARIO_PRESET_LABELS[preset], events.length + 1);
+      setText(JSON.stringify({ ...draft, events: [...events, event] }, null, 2));
+    } catch {
+      // Con JSON inválido no hay dónde insertar; el error ya se muestra.
+    }
+  };
+
+  const save = async () => {
+    if (!script) return;
+    setSaving(true);
+    setSaveError(null);
+    try {
+      await onSave(script);
+      onClose();
+    } catch (err) {
+      setSaveError(err instanceof Error ? err.message : 'No se pudo guardar el guion.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={() => !saving && onClose()} maxWidth="md" fullWidth>
+      <DialogTitle>Guion de deterioro{caseTitle ? ` · ${caseTitle}` : ''}</DialogTitle>
+      <DialogContent dividers>
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 2, alignItems: 'center' }}>
+          <Typography variant="body2" sx={{ mr: 1 }}>
+            Insertar evento:
+          </Typography>
+          {(Object.keys(SCENARIO_PRESET_LABELS) as ScenarioPreset[]).map((preset) => (
+            <Chip key={preset} label={SCENARIO_PRESET_LABELS[preset]} onClick={() => insertPreset(preset)} size="small" />
+          ))}
+        </Box>
+
+        <TextField
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          multiline
+          minRows={16}
+          maxRows={28}
+          fullWidth
+          spellCheck={false}
+          slotProps={{ htmlInput: { style: { fontFamily: 'monospace', fontSize: 13 } } }}
+        />
+
+        {errors.length > 0 ? (
+          <Alert severity="error" sx={{ mt: 2 }}>
+            {errors.slice(0, 8).map((e) => (
+              <div key={e}>{e}</div>
+            ))}
+            {errors.length > 8 && <div>… y {errors.length - 8} errores más.</div>}
+          </Alert>
+        ) : (
+          <Alert severity="success" sx={{ mt: 2 }}>
+            Guion válido: {script?.events.length} eventos.
+          </Alert>
+        )}
+        {saveError && (
+          <Alert severity="error" sx={{ mt: 2 }}>
+            {saveError}
+          </Alert>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>
+          Cancelar
+        </Button>
+        <Button onClick={() => script && onTry(script)} disabled={!script || saving}>
+          Probar en el simulador
+        </Button>
+        <Button variant="contained" onClick={save} disabled={!script || !caseTitle || saving}>
+          {saving ? 'Guardando…' : 'Guardar en el caso'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default ScenarioEditorDialog;
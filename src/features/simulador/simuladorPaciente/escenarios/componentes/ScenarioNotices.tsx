@@ -0,0 +1,37 @@
+/*
+ * Funcionalidad: ScenarioNotices
+ * Descripción: Avisos del guion de deterioro en curso sobre el tab Monitoreo
+ *   ("El paciente desatura"…), con el nombre del guion mientras corre. El
+ *   estudiante los descarta uno a uno.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import { Alert, Box, Chip } from '@mui/material';
+
+import { useScenarioRunner } from '../hooks/useScenarioRunner';
+
+export function ScenarioNotices() {
+  const { script, status, notices, actions } = useScenarioRunner();
+  if (!script || (status !== 'running' && notices.length === 0)) return null;
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1, mb: 1 }}>
+      {status === 'running' && (
+        <Chip size="small" color="warning" label={`Guion en curso: ${script.title}`} sx={{ alignSelf: 'flex-start' }} />
+      )}
+      {notices.map((n) => (
+        <Alert key={n.id} severity={n.severity} onClose={() => actions.dismissNotice(n.id)}>
+          {n.text}
+        </Alert>
+      ))}
+    </Box>
+  );
+}
+
+export default ScenarioNotices;
@@ -0,0 +1,215 @@
+/*
+ * Funcionalidad: ScenarioPanel
+ * Descripción: Tarjeta de guiones de deterioro en la tab Simular Paciente.
+ *   Carga un guion de ejemplo o el del caso clínico elegido, lo inicia, detiene
+ *   o reinicia y muestra sus eventos con el instante en que se dispararon. El
+ *   guion actúa sobre el pulmón simulado local del tab Monitoreo. Los docentes
+ *   pueden escribir o editar el guion del caso desde aquí.
+ * Versión: 1.1
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import { useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  CardContent,
+  Chip,
+  FormControl,
+  InputLabel,
+  MenuItem,
+  Select,
+  Typography,
+} from '@mui/material';
+import PlayArrowIcon from '@mui/icons-material/PlayArrow';
+import StopIcon from '@mui/icons-material/Stop';
+import ReplayIcon from '@mui/icons-material/Replay';
+import EditIcon from '@mui/icons-material/Edit';
+
+import type { ScenarioScript } from '@/contracts/patient.contracts';
+import { useAuth } from '@/shared/contexts/AuthContext';
+import { describeTrigger } from '@/features/simulador/compartido/simulacion/scenarioEngine';
+import { StyledCard } from '../../FormularioPaciente/componentes/PatientForm.styles';
+import { useCaseScenarios } from '../hooks/useCaseScenarios';
+import { useScenarioRunner } from '../hooks/useScenarioRunner';
+import { EMPTY_SCENARIO, SCENARIO_TEMPLATES } from '../utils/scenarioTemplates';
+import { ScenarioEditorDialog } from './ScenarioEditorDialog';
+import styles from './ui/ScenarioPanel.module.css';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const STATUS_LABELS = {
+  idle: 'Sin guion',
+  ready: 'Listo',
+  running: 'En curso',
+  finished: 'Terminado',
+} as const;
+
+/** Valor del selector: "plantilla:<índice>" o "caso:<id>". */
+type SourceValue = '' | `plantilla:${number}` | `caso:${string}`;
+
+// =============================================================================
+// Component
+// =============================================================================
+
+export function ScenarioPanel() {
+  const esDocente = useAuth().isTeacher();
+  const runner = useScenarioRunner();
+  const [source, setSource] = useState<SourceValue>('');
+  const [editing, setEditing] = useState(false);
+
+  const caseId = source.startsWith('caso:') ? source.slice('caso:'.length) : null;
+  const { cases, scenario: caseScenario, error, save } = useCaseScenarios(caseId);
+  const caseTitle = caseId ? (cases.find((c) => c.id === caseId)?.title ?? null) : null;
+
+  const selected: ScenarioScript | null = source.startsWith('plantilla:')
+    ? (SCENARIO_TEMPLATES[Number(source.slice('plantilla:'.length))] ?? null)
+    : (caseScenario ?? null);
+
+  const load = () => {
+    if (selected) runner.actions.load(selected, caseId);
+  };
+
+  const tryScript = (script: ScenarioScript) => {
+    runner.actions.load(script, caseId);
+    setEditing(false);
+  };
+
+  const { script, status, fired } = runner;
+
+  return (
+    <StyledCard className={styles.panel!}>
+      <CardContent className={styles.content!}>
+        <Typography variant="h6" className={styles.title!}>
+          Guion de deterioro
+        </Typography>
+        <Typography variant="body2" className={styles.intro!}>
+          Cambia el estado del paciente durante la práctica: por tiempo o según los parámetros que
+          envíe el estudiante. Actúa sobre el pulmón simulado (Simular Gráficas en el monitoreo).
+        </Typography>
+
+        <Box className={styles.picker!}>
+          <FormControl className={styles.select!}>
+            <InputLabel>Guion</InputLabel>
+            <Select
+              value={source}
+              label="Guion"
+              onChange={(e) => setSource(e.target.value as SourceValue)}
+              MenuProps={{ slotProps: { paper: { className: styles.menuPaper! } } }}
+            >
+              <MenuItem value="">
+                <em>Seleccionar guion…</em>
+              </MenuItem>
+              {SCENARIO_TEMPLATES.map((t, i) => (
+                <MenuItem key={t.title} value={`plantilla:${i}`}>
+                  Ejemplo · {t.title}
+                </MenuItem>
+              ))}
+              {cases.map((c) => (
+                <MenuItem key={c.id} value={`caso:${c.id}`}>
+                  Caso · {c.title}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+
+          <Button variant="contained" onClick={load} disabled={!selected || status === 'running'}>
+            Cargar
+          </Button>
+          {esDocente && (
+            <Button variant="outlined" startIcon={<EditIcon />} onClick={() => setEditing(true)}>
+              {caseId && !caseScenario ? 'Escribir guion' : 'Editar guion'}
+            </Button>
+          )}
+        </Box>
+
+        {caseId && caseScenario === null && (
+          <Typography variant="caption" className={styles.note!}>
+            Este caso todavía no tiene guion.
+          </Typography>
+        )}
+        {error && (
+          <Alert severity="error" className={styles.error!}>
+            {error}
+          </Alert>
+        )}
+
+        {script && (
+          <Box className={styles.script!}>
+            <Box className={styles.scriptHeader!}>
+              <Typography variant="subtitle1" className={styles.scriptTitle!}>
+                {script.title}
+              </Typography>
+              <Chip
+                size="small"
+                label={STATUS_LABELS[status]}
+                color={status === 'running' ? 'warning' : 'default'}
+              />
+              <Box className={styles.spacer!} />
+              {status === 'running' ? (
+                <Button size="small" color="warning" startIcon={<StopIcon />} onClick={runner.actions.stop}>
+                  Detener
+                </Button>
+              ) : (
+                <Button
+                  size="small"
+                  startIcon={<PlayArrowIcon />}
+                  onClick={runner.actions.start}
+                  disabled={status === 'finished'}
+                >
+                  Iniciar
+                </Button>
+              )}
+              <Button size="small" startIcon={<ReplayIcon />} onClick={runner.actions.reset} disabled={status === 'running'}>
+                Reiniciar
+              </Button>
+              <Button size="small" onClick={runner.actions.unload} disabled={status === 'running'}>
+                Quitar
+              </Button>
+            </Box>
+            {script.description && (
+              <Typography variant="body2" className={styles.description!}>
+                {script.description}
+              </Typography>
+            )}
+
+            <Box component="ol" className={styles.events!}>
+              {script.events.map((event) => {
+                const at = fired[event.id];
+                return (
+                  <li key={event.id}>
+                    <Typography variant="body2" className={at === undefined ? styles.event! : styles.eventFired!}>
+                      <strong>{event.label}</strong> · {describeTrigger(event.trigger)}
+                      {at !== undefined && ` · disparado a los ${Math.round(at)} s`}
+                    </Typography>
+                  </li>
+                );
+              })}
+            </Box>
+          </Box>
+        )}
+      </CardContent>
+
+      {esDocente && (
+        <ScenarioEditorDialog
+          open={editing}
+          initial={selected ?? script ?? EMPTY_SCENARIO}
+          caseTitle={caseTitle}
+          onClose={() => setEditing(false)}
+          onTry={tryScript}
+          onSave={save}
+        />
+      )}
+    </StyledCard>
+  );
+}
+
+export default ScenarioPanel;
@@ -0,0 +1,95 @@
+/*
+ * Funcionalidad: useCaseScenarios
+ * Descripción: Casos clínicos del backend y el guion de deterioro del caso
+ *   elegido (GET /cases/:id/scenario). El docente guarda el guion editado con
+ *   `save`, que revalida la caché del caso. La lista de casos también la usa
+ *   la calificación del simulador (useCaseList).
+ * Versión: 1.1
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import { useCallback } from 'react';
+import useSWR from 'swr';
+
+import type { ScenarioScript } from '@/contracts/patient.contracts';
+import { getCases, getCaseScenario, saveCaseScenario } from '@/features/evaluation/services/evaluationService';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+export interface CaseSummary {
+  id: string;
+  title: string;
+}
+
+export interface UseCaseScenariosReturn {
+  cases: CaseSummary[];
+  /** Guion del caso elegido; null si no tiene, undefined mientras carga. */
+  scenario: ScenarioScript | null | undefined;
+  error: string | null;
+  save: (script: ScenarioScript | null) => Promise<void>;
+}
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+export const CASES_KEY = 'cases/scenario-list';
+const CASE_SCENARIO_KEY = 'cases/scenario';
+const MAX_CASES = 100;
+const NO_CASES: CaseSummary[] = [];
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/** El servicio no lanza: devuelve { success, data, error }. */
+function unwrap<T>(result: { success: boolean; data: T | null; error?: string }): T | null {
+  if (!result.success) throw new Error(result.error ?? 'Error al consultar el caso clínico');
+  return result.data;
+}
+
+// =============================================================================
+// Hook
+// =============================================================================
+
+/** Casos clínicos del backend (id y título), compartidos en la caché de SWR. */
+export function useCaseList(): { cases: CaseSummary[]; error: unknown } {
+  const { data: cases, error } = useSWR<CaseSummary[]>(CASES_KEY, async () => {
+    const data = unwrap(await getCases({ limit: MAX_CASES }));
+    return (data?.cases ?? []) as CaseSummary[];
+  });
+  return { cases: cases ?? NO_CASES, error };
+}
+
+export function useCaseScenarios(caseId: string | null): UseCaseScenariosReturn {
+  const { cases, error: casesError } = useCaseList();
+
+  const { data: scenario, error: scenarioError, mutate } = useSWR<ScenarioScript | null>(
+    caseId ? [CASE_SCENARIO_KEY, caseId] : null,
+    async ([, id]: [string, string]) => unwrap(await getCaseScenario(id)),
+  );
+
+  const save = useCallback(
+    async (script: ScenarioScript | null) => {
+      if (!caseId) return;
+      const saved = unwrap(await saveCaseScenario(caseId, script));
+      await mutate(saved ?? script, { revalidate: false });
+    },
+    [caseId, mutate],
+  );
+
+  const error = casesError ?? scenarioError;
+  return {
+    cases,
+    scenario: caseId ? scenario : null,
+    error: error instanceof Error ? error.message : null,
+    save,
+  };
+}
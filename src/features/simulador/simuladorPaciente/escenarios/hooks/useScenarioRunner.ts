@@ -0,0 +1,64 @@
+/*
+ * Funcionalidad: useScenarioRunner
+ * Descripción: Lee la ejecución del guion de deterioro (scenarioRunner) y
+ *   expone sus acciones. Lo usan el panel de guiones de la tab Simular
+ *   Paciente y el pulmón local del tab Monitoreo.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import { useSyncExternalStore } from 'react';
+
+import {
+  dismissScenarioNotice,
+  getScenarioSnapshot,
+  loadScenario,
+  resetScenario,
+  startScenario,
+  stopScenario,
+  subscribeScenario,
+  unloadScenario,
+  type ScenarioRunnerSnapshot,
+} from '../utils/scenarioRunner';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+export interface UseScenarioRunnerReturn extends ScenarioRunnerSnapshot {
+  actions: {
+    load: typeof loadScenario;
+    start: () => void;
+    stop: () => void;
+    reset: typeof resetScenario;
+    unload: typeof unloadScenario;
+    dismissNotice: typeof dismissScenarioNotice;
+  };
+}
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const ACTIONS: UseScenarioRunnerReturn['actions'] = {
+  load: loadScenario,
+  start: () => startScenario(),
+  stop: () => stopScenario(),
+  reset: resetScenario,
+  unload: unloadScenario,
+  dismissNotice: dismissScenarioNotice,
+};
+
+// =============================================================================
+// Hook
+// =============================================================================
+
+export function useScenarioRunner(): UseScenarioRunnerReturn {
+  const snapshot = useSyncExternalStore(subscribeScenario, getScenarioSnapshot, getScenarioSnapshot);
+  return { ...snapshot, actions: ACTIONS };
+}
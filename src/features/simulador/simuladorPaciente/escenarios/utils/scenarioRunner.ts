@@ -0,0 +1,228 @@
+/*
+ * Funcionalidad: scenarioRunner
+ * Descripción: Ejecución en curso del guion de deterioro (SINGLETON, como la
+ *   línea de tiempo de parámetros). Se carga en la tab Simular Paciente y la
+ *   consume el pulmón local del tab Monitoreo, así que vive fuera del árbol de
+ *   React. Un temporizador avanza el ScenarioEngine con el reloj de pared y el
+ *   último comando enviado por el estudiante, publica la mecánica y el
+ *   esfuerzo resultantes y registra cada evento disparado (scenarioLog) para
+ *   que la sesión guardada pueda calificarse.
+ *   Las gasometrías que el estudiante ordena con el guion en curso también se
+ *   anotan en el registro, para ver si revisó los gases tras cada evento.
+ * Versión: 1.1
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import type { ScenarioLogEntry, ScenarioScript } from '@/contracts/patient.contracts';
+import type { AsynchronyScenario } from '@/features/simulador/compartido/simulacion/asynchronyScenarios';
+import {
+  BASELINE_FACTORS,
+  ScenarioEngine,
+  type ScenarioFactors,
+  type ScenarioMessage,
+} from '@/features/simulador/compartido/simulacion/scenarioEngine';
+import { getParameterTimelineSnapshot } from '@/features/simulador/simuladorVentilador/panelControl/utils/parameterTimeline';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+export type ScenarioRunStatus = 'idle' | 'ready' | 'running' | 'finished';
+
+export interface ScenarioNotice extends ScenarioMessage {
+  id: string;
+  timestamp: number;
+}
+
+export interface ScenarioRunnerSnapshot {
+  script: ScenarioScript | null;
+  /** Caso del que se cargó el guion (null para las plantillas). */
+  clinicalCaseId: string | null;
+  status: ScenarioRunStatus;
+  /** Unix ms del inicio */
+  startedAt: number | null;
+  factors: ScenarioFactors;
+  /** Ver ScenarioEngine.effortScenario */
+  effort: AsynchronyScenario | null | undefined;
+  /** Instante (s) en que se disparó cada evento, por id. */
+  fired: Record<string, number>;
+  log: ScenarioLogEntry[];
+  /** Avisos del guion pendientes de descartar, el más reciente primero. */
+  notices: ScenarioNotice[];
+}
+
+type Listener = () => void;
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const TICK_MS = 500;
+const MAX_NOTICES = 5;
+
+const IDLE: ScenarioRunnerSnapshot = {
+  script: null,
+  clinicalCaseId: null,
+  status: 'idle',
+  startedAt: null,
+  factors: BASELINE_FACTORS,
+  effort: undefined,
+  fired: {},
+  log: [],
+  notices: [],
+};
+
+// =============================================================================
+// Estado interno del singleton
+// =============================================================================
+
+let snapshot: ScenarioRunnerSnapshot = IDLE;
+let engine: ScenarioEngine | null = null;
+let timer: ReturnType<typeof setInterval> | null = null;
+let nextNoticeId = 1;
+const listeners = new Set<Listener>();
+
+function publish(next: ScenarioRunnerSnapshot): void {
+  snapshot = next;
+  listeners.forEach((fn) => fn());
+}
+
+function stopTimer(): void {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+const sameFactors = (a: ScenarioFactors, b: ScenarioFactors): boolean =>
+  a.compliance === b.compliance &&
+  a.resistance === b.resistance &&
+  a.expiratoryResistanceFactor === b.expiratoryResistanceFactor;
+
+function logEntry(kind: ScenarioLogEntry['kind'], label: string, now: number): ScenarioLogEntry {
+  const elapsedSeconds = snapshot.startedAt === null ? 0 : Math.round((now - snapshot.startedAt) / 100) / 10;
+  return { kind, label, elapsedSeconds, timestamp: now };
+}
+
+function tick(): void {
+  if (!engine || snapshot.status !== 'running' || snapshot.startedAt === null) return;
+  const now = Date.now();
+  const elapsed = (now - snapshot.startedAt) / 1000;
+  const step = engine.step(elapsed, getParameterTimelineSnapshot().at(-1) ?? null);
+  const factors = engine.factorsAt(elapsed);
+
+  const changed =
+    step.fired.length > 0 ||
+    step.messages.length > 0 ||
+    step.ended ||
+    engine.effortScenario !== snapshot.effort ||
+    !sameFactors(factors, snapshot.factors);
+  if (!changed) return;
+
+  const events: ScenarioLogEntry[] = step.fired.map(({ event }) => ({
+    ...logEntry('event', event.label, now),
+    eventId: event.id,
+    cause: event.trigger.type,
+  }));
+  const notices: ScenarioNotice[] = step.messages.map((m) => ({ ...m, id: `aviso-${nextNoticeId++}`, timestamp: now }));
+  const finished = step.ended;
+  if (finished) stopTimer();
+
+  publish({
+    ...snapshot,
+    status: finished ? 'finished' : 'running',
+    factors,
+    effort: engine.effortScenario,
+    fired: Object.fromEntries(engine.firedEvents),
+    log: [...snapshot.log, ...events, ...(finished ? [logEntry('end', 'Fin del guion', now)] : [])],
+    notices: [...notices.reverse(), ...snapshot.notices].slice(0, MAX_NOTICES),
+  });
+}
+
+// =============================================================================
+// API
+// =============================================================================
+
+/** Deja un guion listo para empezar (descarta la ejecución anterior). */
+export function loadScenario(script: ScenarioScript, clinicalCaseId: string | null = null): void {
+  stopTimer();
+  engine = null;
+  publish({ ...IDLE, script, clinicalCaseId, status: 'ready' });
+}
+
+/** Arranca el guion cargado; el reloj del guion empieza ahora. */
+export function startScenario(now = Date.now()): void {
+  if (!snapshot.script || snapshot.status === 'running') return;
+  engine = new ScenarioEngine(snapshot.script);
+  publish({
+    ...IDLE,
+    script: snapshot.script,
+    clinicalCaseId: snapshot.clinicalCaseId,
+    status: 'running',
+    startedAt: now,
+    log: [{ kind: 'start', label: snapshot.script.title, elapsedSeconds: 0, timestamp: now }],
+  });
+  timer = setInterval(tick, TICK_MS);
+  tick();
+}
+
+/**
+ * Detiene el guion. El paciente conserva el estado alcanzado (el deterioro no
+ * se revierte al detener); resetScenario lo devuelve a la mecánica basal.
+ */
+export function stopScenario(now = Date.now()): void {
+  if (snapshot.status !== 'running') return;
+  stopTimer();
+  publish({ ...snapshot, status: 'finished', log: [...snapshot.log, logEntry('stop', 'Detenido', now)] });
+}
+
+/** Vuelve el guion cargado a su inicio, con el paciente en su mecánica basal. */
+export function resetScenario(): void {
+  stopTimer();
+  engine = null;
+  publish(snapshot.script ? { ...IDLE, script: snapshot.script, clinicalCaseId: snapshot.clinicalCaseId, status: 'ready' } : IDLE);
+}
+
+/** Quita el guion: el simulador vuelve al paciente estático. */
+export function unloadScenario(): void {
+  stopTimer();
+  engine = null;
+  if (snapshot !== IDLE) publish(IDLE);
+}
+
+/**
+ * Anota una gasometría ordenada con el guion en curso. Devuelve los segundos
+ * del guion en que se tomó, o null si no hay guion corriendo.
+ */
+export function logScenarioBloodGas(now = Date.now()): number | null {
+  if (snapshot.status !== 'running') return null;
+  const entry = logEntry('abg', 'Gasometría arterial', now);
+  publish({ ...snapshot, log: [...snapshot.log, entry] });
+  return entry.elapsedSeconds;
+}
+
+export function dismissScenarioNotice(id: string): void {
+  publish({ ...snapshot, notices: snapshot.notices.filter((n) => n.id !== id) });
+}
+
+/** scenarioLog y caso para SimulatorSession (null si no corrió ningún guion). */
+export function getScenarioSessionData(): { scenarioLog: ScenarioLogEntry[]; clinicalCaseId: string | null } | null {
+  if (snapshot.log.length === 0) return null;
+  return { scenarioLog: snapshot.log, clinicalCaseId: snapshot.clinicalCaseId };
+}
+
+export function subscribeScenario(listener: Listener): () => void {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+}
+
+export function getScenarioSnapshot(): ScenarioRunnerSnapshot {
+  return snapshot;
+}
@@ -0,0 +1,110 @@
+/*
+ * Funcionalidad: scenarioTemplates
+ * Descripción: Guiones de ejemplo del simulador de paciente y eventos modelo
+ *   que el editor de guiones inserta con un clic. Sirven de punto de partida
+ *   para que el docente escriba el guion de su caso clínico.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import type { ScenarioEvent, ScenarioPreset, ScenarioScript } from '@/contracts/patient.contracts';
+
+// =============================================================================
+// Guiones de ejemplo
+// =============================================================================
+
+export const SCENARIO_TEMPLATES: ScenarioScript[] = [
+  {
+    version: 1,
+    title: 'SDRA que progresa a neumotórax',
+    description:
+      'La compliance cae al minuto 3. Si el estudiante sube la PEEP por encima de 16 cmH₂O, el paciente hace un neumotórax.',
+    durationSeconds: 900,
+    events: [
+      {
+        id: 'caida-compliance',
+        label: 'Caída de la compliance',
+        trigger: { type: 'time', atSeconds: 180 },
+        actions: [
+          { type: 'mechanics', complianceFactor: 0.6, rampSeconds: 60 },
+          { type: 'message', text: 'La SpO₂ baja a 86 %. Revise la mecánica.', severity: 'warning' },
+        ],
+      },
+      {
+        id: 'neumotorax',
+        label: 'Neumotórax',
+        trigger: { type: 'parameter', parameter: 'peep', operator: 'gt', value: 16, afterSeconds: 180 },
+        actions: [
+          { type: 'preset', preset: 'pneumothorax' },
+          { type: 'message', text: 'Hipotensión súbita y asimetría en la auscultación.', severity: 'warning' },
+        ],
+      },
+    ],
+  },
+  {
+    version: 1,
+    title: 'Asma: broncoespasmo y lucha con el ventilador',
+    description:
+      'Broncoespasmo al minuto 1 y lucha al minuto 2. El paciente se acopla si el estudiante baja la frecuencia a 14 rpm o menos.',
+    durationSeconds: 600,
+    events: [
+      {
+        id: 'broncoespasmo',
+        label: 'Broncoespasmo',
+        trigger: { type: 'time', atSeconds: 60 },
+        actions: [{ type: 'preset', preset: 'bronchospasm' }],
+      },
+      {
+        id: 'lucha',
+        label: 'Lucha con el ventilador',
+        trigger: { type: 'after', eventId: 'broncoespasmo', delaySeconds: 60 },
+        actions: [
+          { type: 'preset', preset: 'fighting' },
+          { type: 'message', text: 'El paciente está agitado y desadaptado.', severity: 'warning' },
+        ],
+      },
+      {
+        id: 'acople',
+        label: 'Acople tras bajar la frecuencia',
+        trigger: { type: 'parameter', parameter: 'respiratoryRate', operator: 'lte', value: 14, afterSeconds: 120 },
+        actions: [
+          { type: 'effort', effort: null },
+          { type: 'message', text: 'El paciente se acopla al ventilador.', severity: 'info' },
+        ],
+      },
+    ],
+  },
+];
+
+// =============================================================================
+// Eventos modelo para el editor
+// =============================================================================
+
+/** Evento con un preset a los `atSeconds`; el id lleva un sufijo para no repetirse. */
+export function presetEventTemplate(preset: ScenarioPreset, label: string, suffix: number): ScenarioEvent {
+  return {
+    id: `${preset}-${suffix}`,
+    label,
+    trigger: { type: 'time', atSeconds: 120 },
+    actions: [{ type: 'preset', preset }],
+  };
+}
+
+/** Guion vacío con un solo evento, para empezar desde cero. */
+export const EMPTY_SCENARIO: ScenarioScript = {
+  version: 1,
+  title: 'Nuevo guion',
+  events: [
+    {
+      id: 'evento-1',
+      label: 'Primer evento',
+      trigger: { type: 'time', atSeconds: 60 },
+      actions: [{ type: 'message', text: 'Describa aquí lo que observa el estudiante.' }],
+    },
+  ],
+};
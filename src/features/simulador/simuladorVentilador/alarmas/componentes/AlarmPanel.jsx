@@ -0,0 +1,164 @@
+/*
+ * Funcionalidad: AlarmPanel
+ * Descripción: Barra de alarmas del tab Monitoreo. Muestra las alarmas activas
+ *   y enclavadas ordenadas por prioridad (parpadean mientras no se reconocen),
+ *   y da acceso a reconocer, silenciar el audio 2 minutos, retirar las
+ *   enclavadas y configurar límites / consultar el registro.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Box, Chip, IconButton, Paper, Tooltip, Typography } from '@mui/material';
+import VolumeOffIcon from '@mui/icons-material/VolumeOff';
+import DoneAllIcon from '@mui/icons-material/DoneAll';
+import RestartAltIcon from '@mui/icons-material/RestartAlt';
+import TuneIcon from '@mui/icons-material/Tune';
+import NotificationsActiveIcon from '@mui/icons-material/NotificationsActive';
+
+import { ALARM_DEFINITIONS } from '../utils/alarmEngine';
+import AlarmSettingsDialog from './AlarmSettingsDialog';
+import styles from './ui/Alarms.module.css';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** Clase con el color de cada prioridad (variable --alarm-color). */
+const SEVERITY_CLASSES = {
+  CRITICAL: 'critical',
+  HIGH: 'high',
+  MEDIUM: 'medium',
+  LOW: 'low',
+};
+
+const cx = (...names) => names.filter(Boolean).map((n) => styles[n]).join(' ');
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/** Segundos restantes de silencio, refrescados cada segundo. */
+function useSilenceCountdown(silencedUntil) {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (!silencedUntil) return;
+    const id = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, [silencedUntil]);
+
+  return silencedUntil ? Math.max(0, Math.ceil((silencedUntil - now) / 1000)) : 0;
+}
+
+// =============================================================================
+// Component
+// =============================================================================
+
+/**
+ * Props:
+ * - alarmEngine: retorno de useAlarmEngine
+ * - limits / onLimitsChange: límites de alarma configurados
+ * - enabled: si el motor está vigilando el stream
+ */
+function AlarmPanel({ alarmEngine, limits, onLimitsChange, enabled }) {
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const { alarms, log, silencedUntil, acknowledge, acknowledgeAll, silence, reset, clearLog } = alarmEngine;
+  const silenceLeft = useSilenceCountdown(silencedUntil);
+  const topActive = alarms.find((a) => a.active);
+  const hasLatched = alarms.some((a) => !a.active);
+  const hasUnacknowledged = alarms.some((a) => !a.acknowledged);
+
+  return (
+    <Paper elevation={0} className={styles.panel}>
+      <NotificationsActiveIcon
+        fontSize="small"
+        className={topActive ? cx('severityIcon', SEVERITY_CLASSES[topActive.severity]) : styles.idle}
+      />
+
+      <Box className={styles.alarms}>
+        {!enabled && (
+          <Typography variant="caption" className={styles.waiting}>
+            Alarmas en espera: sin curvas activas
+          </Typography>
+        )}
+        {enabled && alarms.length === 0 && (
+          <Typography variant="caption" className={styles.clear}>
+            Sin alarmas
+          </Typography>
+        )}
+        {alarms.map((alarm) => {
+          const label = alarm.active
+            ? alarm.message
+            : `${ALARM_DEFINITIONS[alarm.type]?.label ?? alarm.type} (enclavada)`;
+          return (
+            <Tooltip
+              key={alarm.type}
+              title={alarm.acknowledged ? 'Reconocida' : 'Clic para reconocer'}
+            >
+              <Chip
+                size="small"
+                label={label}
+                onClick={() => acknowledge(alarm.type)}
+                variant={alarm.active ? 'filled' : 'outlined'}
+                className={cx(
+                  'alarm',
+                  SEVERITY_CLASSES[alarm.severity],
+                  alarm.active && 'alarmActive',
+                  alarm.acknowledged && 'alarmAcknowledged',
+                  alarm.active && !alarm.acknowledged && 'alarmBlinking',
+                )}
+              />
+            </Tooltip>
+          );
+        })}
+      </Box>
+
+      <Tooltip title={silenceLeft > 0 ? `Audio en pausa (${silenceLeft} s)` : 'Silenciar audio 2 min'}>
+        <IconButton size="small" onClick={silence} className={silenceLeft > 0 ? styles.silenced : styles.action}>
+          <VolumeOffIcon fontSize="small" />
+        </IconButton>
+      </Tooltip>
+      {silenceLeft > 0 && (
+        <Typography variant="caption" className={styles.countdown}>
+          {silenceLeft}s
+        </Typography>
+      )}
+      <Tooltip title="Reconocer todas">
+        <span>
+          <IconButton size="small" onClick={acknowledgeAll} disabled={!hasUnacknowledged} className={styles.action}>
+            <DoneAllIcon fontSize="small" />
+          </IconButton>
+        </span>
+      </Tooltip>
+      <Tooltip title="Retirar alarmas enclavadas">
+        <span>
+          <IconButton size="small" onClick={reset} disabled={!hasLatched} className={styles.action}>
+            <RestartAltIcon fontSize="small" />
+          </IconButton>
+        </span>
+      </Tooltip>
+      <Tooltip title="Límites y registro de alarmas">
+        <IconButton size="small" onClick={() => setSettingsOpen(true)} className={styles.action}>
+          <TuneIcon fontSize="small" />
+        </IconButton>
+      </Tooltip>
+
+      <AlarmSettingsDialog
+        open={settingsOpen}
+        onClose={() => setSettingsOpen(false)}
+        limits={limits}
+        onLimitsChange={onLimitsChange}
+        log={log}
+        onClearLog={clearLog}
+      />
+    </Paper>
+  );
+}
+
+export default React.memo(AlarmPanel);
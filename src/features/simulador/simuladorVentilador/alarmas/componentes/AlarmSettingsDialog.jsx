@@ -0,0 +1,187 @@
+/*
+ * Funcionalidad: AlarmSettingsDialog
+ * Descripción: Diálogo de alarmas con dos pestañas: límites (editables; se
+ *   aplican al guardar, y un límite bajo no puede superar al alto
+ *   correspondiente) y registro cronológico de activaciones, despejes,
+ *   reconocimientos y silencios.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Tab,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Tabs,
+  TextField,
+  Typography,
+} from '@mui/material';
+
+import {
+  ALARM_LIMIT_RANGES,
+  DEFAULT_ALARM_LIMITS,
+} from '@/features/simulador/compartido/constantes/ventilator-limits';
+import styles from './ui/Alarms.module.css';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const LOG_EVENT_LABELS = {
+  ACTIVATED: 'Activada',
+  CLEARED: 'Despejada',
+  ACKNOWLEDGED: 'Reconocida',
+  ACK_EXPIRED: 'Reconocimiento vencido',
+  SILENCED: 'Audio en pausa',
+  RESET: 'Enclavadas retiradas',
+};
+
+/** Pares bajo/alto que deben quedar ordenados. */
+const LIMIT_PAIRS = [
+  ['lowPeakPressure', 'highPeakPressure'],
+  ['lowRespiratoryRate', 'highRespiratoryRate'],
+];
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+function validateLimits(draft) {
+  const errors = {};
+  Object.entries(ALARM_LIMIT_RANGES).forEach(([key, { min, max }]) => {
+    const value = Number(draft[key]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      errors[key] = `Entre ${min} y ${max}`;
+    }
+  });
+  LIMIT_PAIRS.forEach(([low, high]) => {
+    if (!errors[low] && !errors[high] && Number(draft[low]) >= Number(draft[high])) {
+      errors[low] = 'Debe ser menor que el límite alto';
+    }
+  });
+  return errors;
+}
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString();
+
+// =============================================================================
+// Component
+// =============================================================================
+
+function AlarmSettingsDialog({ open, onClose, limits, onLimitsChange, log, onClearLog }) {
+  const [tab, setTab] = useState(0);
+  const [draft, setDraft] = useState(limits);
+
+  // Cada apertura parte de los límites vigentes
+  const handleEnter = () => setDraft(limits);
+
+  const errors = validateLimits(draft);
+  const isValid = Object.keys(errors).length === 0;
+
+  const handleSave = () => {
+    onLimitsChange(
+      Object.fromEntries(Object.keys(ALARM_LIMIT_RANGES).map((key) => [key, Number(draft[key])])),
+    );
+    onClose();
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onClose={onClose}
+      maxWidth="sm"
+      fullWidth
+      className={styles.dialog}
+      slotProps={{ transition: { onEnter: handleEnter } }}
+    >
+      <DialogTitle>Alarmas</DialogTitle>
+      <Tabs value={tab} onChange={(_, value) => setTab(value)} className={styles.tabs}>
+        <Tab label="Límites" />
+        <Tab label={`Registro (${log.length})`} />
+      </Tabs>
+
+      <DialogContent dividers className={styles.content}>
+        {tab === 0 && (
+          <Box className={styles.limits}>
+            {Object.entries(ALARM_LIMIT_RANGES).map(([key, { label, min, max, step, unit }]) => (
+              <TextField
+                key={key}
+                label={`${label} (${unit})`}
+                type="number"
+                size="small"
+                value={draft[key]}
+                onChange={(e) => setDraft((prev) => ({ ...prev, [key]: e.target.value }))}
+                error={Boolean(errors[key])}
+                helperText={errors[key] ?? ' '}
+                slotProps={{ htmlInput: { min, max, step } }}
+              />
+            ))}
+          </Box>
+        )}
+
+        {tab === 1 && (
+          log.length === 0 ? (
+            <Typography variant="body2" color="text.secondary">
+              Aún no hay eventos de alarma.
+            </Typography>
+          ) : (
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Hora</TableCell>
+                  <TableCell>Evento</TableCell>
+                  <TableCell>Detalle</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {[...log].reverse().map((entry) => (
+                  <TableRow key={entry.id}>
+                    <TableCell>{formatTime(entry.timestamp)}</TableCell>
+                    <TableCell>{LOG_EVENT_LABELS[entry.event]}</TableCell>
+                    <TableCell>{entry.message}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )
+        )}
+      </DialogContent>
+
+      <DialogActions>
+        {tab === 0 ? (
+          <>
+            <Button onClick={() => setDraft(DEFAULT_ALARM_LIMITS)}>Valores por defecto</Button>
+            <Box className={styles.spacer} />
+            <Button onClick={onClose}>Cancelar</Button>
+            <Button variant="contained" onClick={handleSave} disabled={!isValid}>
+              Guardar
+            </Button>
+          </>
+        ) : (
+          <>
+            <Button onClick={onClearLog} disabled={log.length === 0}>Limpiar registro</Button>
+            <Box className={styles.spacer} />
+            <Button onClick={onClose}>Cerrar</Button>
+          </>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default AlarmSettingsDialog;
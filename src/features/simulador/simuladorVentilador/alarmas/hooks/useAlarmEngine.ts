@@ -0,0 +1,164 @@
+/*
+ * Funcionalidad: useAlarmEngine
+ * Descripción: Conecta el motor de alarmas al stream del ventilador mientras
+ *   `enabled` sea true: cada muestra del ventilatorStreamStore pasa por el
+ *   motor y un tick periódico evalúa apnea, desconexión y vencimientos. Expone
+ *   el snapshot (alarmas, registro, silencio), las acciones de reconocer,
+ *   silenciar y reiniciar, y emite el tono de la alarma de mayor prioridad no
+ *   reconocida. Un salto del stream desarma el motor hasta la muestra siguiente.
+ * Versión: 1.1
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import { useEffect, useMemo, useRef, useState, useSyncExternalStore } from 'react';
+
+import type { AlarmSeverity } from '@/contracts/simulator.contracts';
+import type { AlarmLimits } from '@/features/simulador/compartido/constantes/ventilator-limits';
+import {
+  subscribeReadings,
+  subscribeStreamReset,
+} from '@/features/simulador/conexion/websocket/stream/ventilatorStreamStore';
+import {
+  AlarmEngine,
+  type AlarmEngineSnapshot,
+  type AlarmLogEntry,
+  type ClientAlarmType,
+} from '../utils/alarmEngine';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+interface UseAlarmEngineProps {
+  /** Vigila el stream (curvas activas: ventilador real o "Simular Gráficas"). */
+  enabled: boolean;
+  limits: AlarmLimits;
+  /** PEEP programada en el panel (referencia de la auto-PEEP). */
+  referencePeep: number;
+  /** Recibe cada entrada nueva del registro (p. ej. la grabación de datos). */
+  onLogEntry?: (entry: AlarmLogEntry) => void;
+}
+
+export interface UseAlarmEngineReturn extends AlarmEngineSnapshot {
+  acknowledge: (type: ClientAlarmType) => void;
+  acknowledgeAll: () => void;
+  silence: () => void;
+  reset: () => void;
+  clearLog: () => void;
+}
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const TICK_MS = 500;
+
+/** Cadencia y tono por prioridad: más urgente = más frecuente y más agudo. */
+const TONE_BY_SEVERITY: Record<AlarmSeverity, { periodMs: number; frequency: number }> = {
+  CRITICAL: { periodMs: 1000, frequency: 988 },
+  HIGH: { periodMs: 2000, frequency: 880 },
+  MEDIUM: { periodMs: 5000, frequency: 660 },
+  LOW: { periodMs: 15000, frequency: 440 },
+};
+const TONE_DURATION_S = 0.18;
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+function beep(context: AudioContext, frequency: number): void {
+  const oscillator = context.createOscillator();
+  const gain = context.createGain();
+  oscillator.frequency.value = frequency;
+  gain.gain.value = 0.08;
+  oscillator.connect(gain).connect(context.destination);
+  oscillator.start();
+  oscillator.stop(context.currentTime + TONE_DURATION_S);
+}
+
+/** Tono repetido mientras haya una alarma audible; silencio con severity null. */
+function useAlarmTone(severity: AlarmSeverity | null): void {
+  const contextRef = useRef<AudioContext | null>(null);
+
+  useEffect(() => {
+    if (!severity || typeof window === 'undefined' || !('AudioContext' in window)) return;
+    contextRef.current ??= new AudioContext();
+    const context = contextRef.current;
+    const { periodMs, frequency } = TONE_BY_SEVERITY[severity];
+
+    // El navegador puede bloquear el audio hasta la primera interacción
+    const play = () => {
+      if (context.state === 'suspended') void context.resume();
+      beep(context, frequency);
+    };
+    play();
+    const id = setInterval(play, periodMs);
+    return () => clearInterval(id);
+  }, [severity]);
+
+  useEffect(() => () => {
+    void contextRef.current?.close();
+    contextRef.current = null;
+  }, []);
+}
+
+// =============================================================================
+// Hook
+// =============================================================================
+
+export function useAlarmEngine({
+  enabled,
+  limits,
+  referencePeep,
+  onLogEntry,
+}: UseAlarmEngineProps): UseAlarmEngineReturn {
+  const [engine] = useState(() => new AlarmEngine(limits));
+  const snapshot = useSyncExternalStore(engine.subscribe, engine.getSnapshot, engine.getSnapshot);
+
+  useEffect(() => {
+    engine.setLimits(limits);
+  }, [engine, limits]);
+
+  useEffect(() => {
+    engine.setReferencePeep(referencePeep);
+  }, [engine, referencePeep]);
+
+  useEffect(() => {
+    if (!onLogEntry) return;
+    return engine.onLogEntry(onLogEntry);
+  }, [engine, onLogEntry]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    const unsubscribe = subscribeReadings((reading) => engine.push(reading));
+    // Tras un salto del stream se vuelve a armar con la muestra siguiente
+    const unsubscribeReset = subscribeStreamReset(() => engine.disarm(Date.now()));
+    const id = setInterval(() => engine.tick(Date.now()), TICK_MS);
+    return () => {
+      unsubscribe();
+      unsubscribeReset();
+      clearInterval(id);
+      engine.disarm(Date.now());
+    };
+  }, [engine, enabled]);
+
+  useAlarmTone(snapshot.audibleSeverity);
+
+  const actions = useMemo(
+    () => ({
+      acknowledge: (type: ClientAlarmType) => engine.acknowledge(type),
+      acknowledgeAll: () => engine.acknowledgeAll(),
+      silence: () => engine.silence(),
+      reset: () => engine.reset(),
+      clearLog: () => engine.clearLog(),
+    }),
+    [engine],
+  );
+
+  return useMemo(() => ({ ...snapshot, ...actions }), [snapshot, actions]);
+}
@@ -0,0 +1,456 @@
+/*
+ * Funcionalidad: alarmEngine
+ * Descripción: Motor de alarmas clínicas del lado del cliente. Evalúa cada
+ *   lectura del stream (y cada respiración detectada) contra los límites que
+ *   fija el usuario: presión pico alta/baja, Vte bajo, frecuencia alta/baja,
+ *   apnea, desconexión y auto-PEEP alta. Cada alarma tiene una prioridad fija;
+ *   las de prioridad alta quedan enclavadas (latching) hasta que se reconocen
+ *   aunque la condición desaparezca. El reconocimiento y el silencio de audio
+ *   vencen a los 2 minutos si la condición persiste. Todos los cambios quedan
+ *   en un registro de alarmas.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import type {
+  AlarmSeverity,
+  AlarmType,
+  VentilatorAlarm,
+  VentilatorReading,
+} from '@/contracts/simulator.contracts';
+import {
+  DEFAULT_ALARM_LIMITS,
+  type AlarmLimits,
+} from '@/features/simulador/compartido/constantes/ventilator-limits';
+import { BreathDetector, type BreathSummary } from '@/features/simulador/compartido/utils/breathDetector';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+export type ClientAlarmType = Extract<
+  AlarmType,
+  | 'HIGH_PRESSURE'
+  | 'LOW_PRESSURE'
+  | 'LOW_VOLUME'
+  | 'HIGH_RESPIRATORY_RATE'
+  | 'LOW_RESPIRATORY_RATE'
+  | 'APNEA'
+  | 'DISCONNECTION'
+  | 'HIGH_AUTO_PEEP'
+>;
+
+export interface AlarmDefinition {
+  label: string;
+  severity: AlarmSeverity;
+  /** Permanece visible tras desaparecer la condición hasta reconocerla. */
+  latching: boolean;
+  unit: string;
+}
+
+export type AlarmLogEvent =
+  | 'ACTIVATED'
+  | 'CLEARED'
+  | 'ACKNOWLEDGED'
+  | 'ACK_EXPIRED'
+  | 'SILENCED'
+  | 'RESET';
+
+export interface AlarmLogEntry {
+  id: number;
+  timestamp: number;
+  event: AlarmLogEvent;
+  /** null en eventos globales (silencio, reinicio). */
+  type: ClientAlarmType | null;
+  severity: AlarmSeverity | null;
+  message: string;
+  currentValue?: number;
+  thresholdValue?: number;
+}
+
+export interface AlarmEngineSnapshot {
+  /** Alarmas activas o enclavadas, de mayor a menor prioridad. */
+  alarms: VentilatorAlarm[];
+  log: AlarmLogEntry[];
+  /** Fin del silencio de audio (ms) o null. */
+  silencedUntil: number | null;
+  /** Prioridad de la alarma que debe sonar, o null si nada debe sonar. */
+  audibleSeverity: AlarmSeverity | null;
+}
+
+type Listener = () => void;
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+export const ALARM_DEFINITIONS: Record<ClientAlarmType, AlarmDefinition> = {
+  DISCONNECTION: { label: 'Desconexión', severity: 'CRITICAL', latching: true, unit: 's' },
+  APNEA: { label: 'Apnea', severity: 'HIGH', latching: true, unit: 's' },
+  HIGH_PRESSURE: { label: 'Presión pico alta', severity: 'HIGH', latching: true, unit: 'cmH₂O' },
+  LOW_PRESSURE: { label: 'Presión pico baja', severity: 'MEDIUM', latching: false, unit: 'cmH₂O' },
+  LOW_VOLUME: { label: 'Vte bajo', severity: 'MEDIUM', latching: false, unit: 'mL' },
+  HIGH_RESPIRATORY_RATE: { label: 'Frecuencia alta', severity: 'MEDIUM', latching: false, unit: 'resp/min' },
+  LOW_RESPIRATORY_RATE: { label: 'Frecuencia baja', severity: 'MEDIUM', latching: false, unit: 'resp/min' },
+  HIGH_AUTO_PEEP: { label: 'Auto-PEEP alta', severity: 'LOW', latching: false, unit: 'cmH₂O' },
+};
+
+export const SEVERITY_RANK: Record<AlarmSeverity, number> = {
+  CRITICAL: 3,
+  HIGH: 2,
+  MEDIUM: 1,
+  LOW: 0,
+};
+
+/** Duración del reconocimiento y del silencio de audio (ms). */
+export const ACKNOWLEDGE_TIMEOUT_MS = 120_000;
+export const AUDIO_PAUSE_MS = 120_000;
+
+/** Presión (cmH₂O) por debajo de la cual se considera el circuito sin presurizar. */
+const DISCONNECTION_PRESSURE = 2;
+/** Respiraciones promediadas para la frecuencia. */
+const RATE_WINDOW = 4;
+/** Flujo de fin de espiración (L/min) bajo el cual la presión equivale a PEEP total. */
+const NO_FLOW_THRESHOLD = 1;
+const MAX_LOG_ENTRIES = 500;
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+const round1 = (n: number): number => Math.round(n * 10) / 10;
+
+/**
+ * Auto-PEEP medida sólo cuando el flujo de fin de espiración es ~0 (pausa
+ * espiratoria o espiración completa): entonces la presión en vía aérea es la
+ * PEEP total. Con flujo residual no se puede leer desde la presión.
+ */
+function measureAutoPeep(breath: BreathSummary, referencePeep: number): number | null {
+  if (Math.abs(breath.endExpiratoryFlow) > NO_FLOW_THRESHOLD) return null;
+  return Math.max(0, breath.endExpiratoryPressure - referencePeep);
+}
+
+// =============================================================================
+// Engine
+// =============================================================================
+
+/**
+ * Motor incremental. `push` recibe cada lectura en orden y `tick` evalúa las
+ * condiciones que dependen del tiempo (apnea, desconexión, vencimientos). El
+ * estado se publica como snapshot inmutable para useSyncExternalStore.
+ */
+export class AlarmEngine {
+  private limits: AlarmLimits;
+  private referencePeep = 5;
+  private readonly detector = new BreathDetector();
+  private readonly alarms = new Map<ClientAlarmType, VentilatorAlarm>();
+  private readonly acknowledgedUntil = new Map<ClientAlarmType, number>();
+  private log: AlarmLogEntry[] = [];
+  private nextLogId = 1;
+  private silencedUntil: number | null = null;
+
+  private armedAt: number | null = null;
+  private lastBreathAt: number | null = null;
+  private lastPressurizedAt: number | null = null;
+  private recentRates: number[] = [];
+
+  private readonly listeners = new Set<Listener>();
+  private readonly logListeners = new Set<(entry: AlarmLogEntry) => void>();
+  private snapshot: AlarmEngineSnapshot;
+
+  constructor(limits: AlarmLimits = DEFAULT_ALARM_LIMITS) {
+    this.limits = limits;
+    this.snapshot = this.buildSnapshot(Date.now());
+  }
+
+  // ---------------------------------------------------------------------------
+  // Configuración
+  // ---------------------------------------------------------------------------
+
+  setLimits(limits: AlarmLimits): void {
+    this.limits = limits;
+  }
+
+  /** PEEP programada, referencia para la auto-PEEP. */
+  setReferencePeep(peep: number): void {
+    this.referencePeep = peep;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Evaluación
+  // ---------------------------------------------------------------------------
+
+  /**
+   * `now` es el reloj local: los timestamps del equipo sólo se usan para
+   * segmentar respiraciones, nunca se comparan con Date.now().
+   */
+  push(reading: VentilatorReading, now: number = Date.now()): void {
+    let changed = false;
+    if (this.armedAt === null) {
+      this.armedAt = now;
+      this.lastBreathAt = now;
+      this.lastPressurizedAt = now;
+    }
+
+    if (reading.pressure >= DISCONNECTION_PRESSURE) this.lastPressurizedAt = now;
+
+    // La presión alta se anuncia en la misma muestra; se despeja por respiración
+    const { highPeakPressure } = this.limits;
+    if (reading.pressure > highPeakPressure) {
+      changed = this.raise('HIGH_PRESSURE', reading.pressure, highPeakPressure, now) || changed;
+    }
+
+    const breath = this.detector.push(reading);
+    if (breath) changed = this.evaluateBreath(breath, now) || changed;
+
+    changed = this.evaluateTimers(now) || changed;
+    if (changed) this.publish(now);
+  }
+
+  /** Evaluación periódica: detecta apnea/desconexión aunque no lleguen muestras. */
+  tick(now: number): void {
+    if (this.evaluateTimers(now)) this.publish(now);
+  }
+
+  /** Detiene la vigilancia: despeja las condiciones y descarta la respiración en curso. */
+  disarm(now: number): void {
+    this.detector.reset();
+    this.armedAt = null;
+    this.lastBreathAt = null;
+    this.lastPressurizedAt = null;
+    this.recentRates = [];
+    let changed = false;
+    for (const type of [...this.alarms.keys()]) {
+      changed = this.clear(type, now) || changed;
+    }
+    if (changed) this.publish(now);
+  }
+
+  private evaluateBreath(breath: BreathSummary, now: number): boolean {
+    const { limits } = this;
+    let changed = false;
+    this.lastBreathAt = now;
+
+    this.recentRates.push(breath.respiratoryRate);
+    if (this.recentRates.length > RATE_WINDOW) this.recentRates.shift();
+    const rate = this.recentRates.reduce((a, b) => a + b, 0) / this.recentRates.length;
+    const autoPeep = measureAutoPeep(breath, this.referencePeep);
+
+    const checks: [ClientAlarmType, boolean, number, number][] = [
+      ['HIGH_PRESSURE', breath.peakPressure > limits.highPeakPressure, breath.peakPressure, limits.highPeakPressure],
+      ['LOW_PRESSURE', breath.peakPressure < limits.lowPeakPressure, breath.peakPressure, limits.lowPeakPressure],
+      ['LOW_VOLUME', breath.expiredVolume < limits.lowExpiredVolume, breath.expiredVolume, limits.lowExpiredVolume],
+      ['HIGH_RESPIRATORY_RATE', rate > limits.highRespiratoryRate, rate, limits.highRespiratoryRate],
+      ['LOW_RESPIRATORY_RATE', rate < limits.lowRespiratoryRate, rate, limits.lowRespiratoryRate],
+    ];
+    if (autoPeep !== null) {
+      checks.push(['HIGH_AUTO_PEEP', autoPeep > limits.highAutoPeep, autoPeep, limits.highAutoPeep]);
+    }
+
+    for (const [type, present, value, threshold] of checks) {
+      changed = (present ? this.raise(type, value, threshold, now) : this.clear(type, now)) || changed;
+    }
+    return changed;
+  }
+
+  private evaluateTimers(now: number): boolean {
+    if (this.armedAt === null) return this.expire(now);
+    const { apneaTime, disconnectionTime } = this.limits;
+    let changed = false;
+
+    const sinceBreath = (now - (this.lastBreathAt ?? now)) / 1000;
+    changed = (sinceBreath > apneaTime
+      ? this.raise('APNEA', sinceBreath, apneaTime, now)
+      : this.clear('APNEA', now)) || changed;
+
+    const sincePressure = (now - (this.lastPressurizedAt ?? now)) / 1000;
+    changed = (sincePressure > disconnectionTime
+      ? this.raise('DISCONNECTION', sincePressure, disconnectionTime, now)
+      : this.clear('DISCONNECTION', now)) || changed;
+
+    return this.expire(now) || changed;
+  }
+
+  /** Vencimiento de reconocimientos y del silencio de audio. */
+  private expire(now: number): boolean {
+    let changed = false;
+    for (const [type, until] of this.acknowledgedUntil) {
+      if (now < until) continue;
+      this.acknowledgedUntil.delete(type);
+      const alarm = this.alarms.get(type);
+      if (alarm?.active && alarm.acknowledged) {
+        this.alarms.set(type, { ...alarm, acknowledged: false });
+        this.appendLog('ACK_EXPIRED', type, now, alarm);
+        changed = true;
+      }
+    }
+    if (this.silencedUntil !== null && now >= this.silencedUntil) {
+      this.silencedUntil = null;
+      changed = true;
+    }
+    return changed;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Transiciones
+  // ---------------------------------------------------------------------------
+
+  private raise(type: ClientAlarmType, value: number, threshold: number, now: number): boolean {
+    const current = this.alarms.get(type);
+    const definition = ALARM_DEFINITIONS[type];
+    const message = `${definition.label}: ${round1(value)} ${definition.unit} (límite ${threshold})`;
+
+    if (current?.active) {
+      // Actualiza el valor sin registrar un evento nuevo
+      this.alarms.set(type, { ...current, currentValue: round1(value), message });
+      return Math.round(current.currentValue ?? 0) !== Math.round(value);
+    }
+
+    const alarm: VentilatorAlarm = {
+      type,
+      severity: definition.severity,
+      message,
+      currentValue: round1(value),
+      thresholdValue: threshold,
+      timestamp: now,
+      active: true,
+      acknowledged: false,
+    };
+    this.alarms.set(type, alarm);
+    this.acknowledgedUntil.delete(type);
+    this.appendLog('ACTIVATED', type, now, alarm);
+    return true;
+  }
+
+  private clear(type: ClientAlarmType, now: number): boolean {
+    const current = this.alarms.get(type);
+    if (!current?.active) return false;
+
+    this.appendLog('CLEARED', type, now, current);
+    if (ALARM_DEFINITIONS[type].latching && !current.acknowledged) {
+      this.alarms.set(type, { ...current, active: false });
+    } else {
+      this.alarms.delete(type);
+      this.acknowledgedUntil.delete(type);
+    }
+    return true;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Acciones del usuario
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Reconoce una alarma: si la condición ya no está presente se retira (reset
+   * del enclavamiento); si persiste, deja de anunciarse durante
+   * ACKNOWLEDGE_TIMEOUT_MS.
+   */
+  acknowledge(type: ClientAlarmType, now: number = Date.now()): void {
+    const current = this.alarms.get(type);
+    if (!current || current.acknowledged) return;
+
+    this.appendLog('ACKNOWLEDGED', type, now, current);
+    if (current.active) {
+      this.alarms.set(type, { ...current, acknowledged: true });
+      this.acknowledgedUntil.set(type, now + ACKNOWLEDGE_TIMEOUT_MS);
+    } else {
+      this.alarms.delete(type);
+    }
+    this.publish(now);
+  }
+
+  acknowledgeAll(now: number = Date.now()): void {
+    for (const type of [...this.alarms.keys()]) this.acknowledge(type, now);
+  }
+
+  /** Pausa de audio global; las alarmas siguen visibles. */
+  silence(now: number = Date.now(), durationMs: number = AUDIO_PAUSE_MS): void {
+    this.silencedUntil = now + durationMs;
+    this.appendLog('SILENCED', null, now);
+    this.publish(now);
+  }
+
+  /** Retira todas las alarmas enclavadas cuya condición ya no está presente. */
+  reset(now: number = Date.now()): void {
+    let removed = false;
+    for (const [type, alarm] of this.alarms) {
+      if (!alarm.active) {
+        this.alarms.delete(type);
+        removed = true;
+      }
+    }
+    if (!removed) return;
+    this.appendLog('RESET', null, now);
+    this.publish(now);
+  }
+
+  clearLog(): void {
+    this.log = [];
+    this.publish(Date.now());
+  }
+
+  // ---------------------------------------------------------------------------
+  // Suscripción (useSyncExternalStore)
+  // ---------------------------------------------------------------------------
+
+  subscribe = (listener: Listener): (() => void) => {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  };
+
+  getSnapshot = (): AlarmEngineSnapshot => this.snapshot;
+
+  /** Cada entrada nueva del registro (p. ej. para la grabación de datos). */
+  onLogEntry(listener: (entry: AlarmLogEntry) => void): () => void {
+    this.logListeners.add(listener);
+    return () => {
+      this.logListeners.delete(listener);
+    };
+  }
+
+  private appendLog(
+    event: AlarmLogEvent,
+    type: ClientAlarmType | null,
+    now: number,
+    alarm?: VentilatorAlarm,
+  ): void {
+    const entry: AlarmLogEntry = {
+      id: this.nextLogId++,
+      timestamp: now,
+      event,
+      type,
+      severity: alarm?.severity ?? null,
+      message: alarm?.message ?? (event === 'SILENCED' ? 'Audio en pausa' : 'Alarmas enclavadas retiradas'),
+      ...(alarm?.currentValue !== undefined && { currentValue: alarm.currentValue }),
+      ...(alarm?.thresholdValue !== undefined && { thresholdValue: alarm.thresholdValue }),
+    };
+    this.log = [...this.log, entry].slice(-MAX_LOG_ENTRIES);
+    this.logListeners.forEach((fn) => fn(entry));
+  }
+
+  private buildSnapshot(now: number): AlarmEngineSnapshot {
+    const alarms = [...this.alarms.values()].sort(
+      (a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity] || a.timestamp - b.timestamp,
+    );
+    const silenced = this.silencedUntil !== null && now < this.silencedUntil;
+    const audible = silenced ? undefined : alarms.find((a) => a.active && !a.acknowledged);
+    return {
+      alarms,
+      log: this.log,
+      silencedUntil: silenced ? this.silencedUntil : null,
+      audibleSeverity: audible?.severity ?? null,
+    };
+  }
+
+  private publish(now: number): void {
+    this.snapshot = this.buildSnapshot(now);
+    this.listeners.forEach((fn) => fn());
+  }
+}
@@ -0,0 +1,164 @@
+/*
+ * Funcionalidad: SimulationGradeView
+ * Descripción: Resultado de la calificación de una corrida del simulador:
+ *   puntaje global con el de la configuración final y el de la ponderada en el
+ *   tiempo, tabla de diferencias por parámetro con su prioridad y rango
+ *   esperado, y la retroalimentación de IA cuando se pidió.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import {
+  Alert,
+  Box,
+  Chip,
+  LinearProgress,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography,
+} from '@mui/material';
+
+import type {
+  ParameterDifference,
+  ParameterPriority,
+  SubmitSimulationAttemptResponse,
+} from '@/contracts/simulator.contracts';
+import {
+  GRADED_PARAMETER_LABELS,
+  PRIORITY_LABELS,
+  formatConfigurationValue,
+} from '../utils/simulationSubmission';
+import styles from './ui/SimulationGradeView.module.css';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const PRIORITY_COLORS: Record<ParameterPriority, 'error' | 'warning' | 'default'> = {
+  CRITICO: 'error',
+  IMPORTANTE: 'warning',
+  OPCIONAL: 'default',
+};
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/** Verde en rango, ámbar cerca, rojo lejos. */
+const scoreClass = (score: number): string => (score >= 1 ? styles.inRange! : score >= 0.5 ? styles.near! : styles.far!);
+
+function expectedText(diff: ParameterDifference): string {
+  if (diff.range) {
+    const { unit } = GRADED_PARAMETER_LABELS[diff.parameter];
+    return `${diff.range.min} – ${diff.range.max}${unit ? ` ${unit}` : ''}`;
+  }
+  return formatConfigurationValue(diff.parameter, diff.expected);
+}
+
+// =============================================================================
+// Component
+// =============================================================================
+
+interface SimulationGradeViewProps {
+  result: SubmitSimulationAttemptResponse;
+  /** Si el estudiante pidió retroalimentación de IA. */
+  aiRequested: boolean;
+}
+
+export function SimulationGradeView({ result, aiRequested }: SimulationGradeViewProps) {
+  const { grade, aiFeedback } = result;
+
+  return (
+    <Box className={styles.grade!}>
+      <Box className={styles.summary!}>
+        <Typography variant="h3" className={styles.score!}>
+          {Math.round(grade.score)}
+          <Typography component="span" variant="h6" className={styles.secondary!}>
+            {' '}
+            / 100
+          </Typography>
+        </Typography>
+        <Chip
+          label={grade.isSuccessful ? 'Aprobado' : 'No aprobado'}
+          color={grade.isSuccessful ? 'success' : 'error'}
+        />
+        <Typography variant="body2" className={styles.secondary!}>
+          Configuración final {Math.round(grade.finalScore)} · Ponderada en el tiempo{' '}
+          {Math.round(grade.timeWeightedScore)}
+        </Typography>
+      </Box>
+      <LinearProgress
+        variant="determinate"
+        value={Math.min(Math.max(grade.score, 0), 100)}
+        color={grade.isSuccessful ? 'success' : 'error'}
+        className={styles.progress!}
+      />
+
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Parámetro</TableCell>
+            <TableCell>Prioridad</TableCell>
+            <TableCell>Esperado</TableCell>
+            <TableCell align="right">Final</TableCell>
+            <TableCell align="right">Ponderado</TableCell>
+            <TableCell align="right">Puntos</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {grade.differences.map((diff) => (
+            <TableRow key={diff.parameter}>
+              <TableCell className={styles.parameter!}>{GRADED_PARAMETER_LABELS[diff.parameter].label}</TableCell>
+              <TableCell>
+                <Chip
+                  size="small"
+                  label={`${PRIORITY_LABELS[diff.priority]} ×${diff.weight}`}
+                  color={PRIORITY_COLORS[diff.priority]}
+                  variant="outlined"
+                />
+              </TableCell>
+              <TableCell className={styles.expected!}>{expectedText(diff)}</TableCell>
+              <TableCell align="right" className={`${styles.final} ${scoreClass(diff.finalScore)}`}>
+                {formatConfigurationValue(diff.parameter, diff.final)}
+              </TableCell>
+              <TableCell align="right" className={scoreClass(diff.timeWeightedScore)}>
+                {formatConfigurationValue(diff.parameter, diff.timeWeighted)}
+              </TableCell>
+              <TableCell align="right">
+                {diff.points.toFixed(1)} / {diff.weight}
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+
+      {aiFeedback ? (
+        <Paper variant="outlined" className={styles.feedback!}>
+          <Typography variant="subtitle2" className={styles.feedbackTitle!}>
+            Retroalimentación de IA
+          </Typography>
+          <Typography variant="body2" className={styles.feedbackText!}>
+            {aiFeedback}
+          </Typography>
+        </Paper>
+      ) : (
+        aiRequested && (
+          <Alert severity="info" className={styles.unavailable!}>
+            La retroalimentación de IA no está disponible en este momento; la calificación quedó guardada.
+          </Alert>
+        )
+      )}
+    </Box>
+  );
+}
+
+export default SimulationGradeView;
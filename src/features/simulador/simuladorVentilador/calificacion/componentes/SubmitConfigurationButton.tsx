@@ -0,0 +1,75 @@
+/*
+ * Funcionalidad: SubmitConfigurationButton
+ * Descripción: Botón "Calificar configuración" del panel de controles. Al
+ *   abrir toma la línea de tiempo de parámetros en ese instante (configuración
+ *   final y ponderada en el tiempo) y propone el caso del guion cargado.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import { useState } from 'react';
+import { Box, Button, Tooltip } from '@mui/material';
+import AssignmentTurnedInIcon from '@mui/icons-material/AssignmentTurnedIn';
+
+import { useScenarioRunner } from '@/features/simulador/simuladorPaciente/escenarios/hooks/useScenarioRunner';
+import { useParameterTimeline } from '@/features/simulador/simuladorVentilador/panelControl/hooks/useParameterTimeline';
+import { getParameterTimelineSnapshot } from '@/features/simulador/simuladorVentilador/panelControl/utils/parameterTimeline';
+import { buildSimulationSubmission, type SimulationSubmissionDraft } from '../utils/simulationSubmission';
+import { SubmitConfigurationDialog } from './SubmitConfigurationDialog';
+
+// =============================================================================
+// Component
+// =============================================================================
+
+export function SubmitConfigurationButton() {
+  const { entries } = useParameterTimeline();
+  const { clinicalCaseId } = useScenarioRunner();
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState<SimulationSubmissionDraft | null>(null);
+
+  const openDialog = () => {
+    setDraft(buildSimulationSubmission(getParameterTimelineSnapshot(), Date.now()));
+    setOpen(true);
+  };
+
+  const noCommands = entries.length === 0;
+
+  return (
+    <>
+      <Tooltip
+        title={
+          noCommands
+            ? 'Envíe al menos una configuración al ventilador'
+            : 'Calificar la configuración contra la del experto del caso'
+        }
+        arrow
+      >
+        <Box>
+          <Button
+            fullWidth
+            variant="outlined"
+            size="small"
+            startIcon={<AssignmentTurnedInIcon />}
+            onClick={openDialog}
+            disabled={noCommands}
+          >
+            Calificar configuración
+          </Button>
+        </Box>
+      </Tooltip>
+      <SubmitConfigurationDialog
+        open={open}
+        onClose={() => setOpen(false)}
+        draft={draft}
+        defaultCaseId={clinicalCaseId}
+      />
+    </>
+  );
+}
+
+export default SubmitConfigurationButton;
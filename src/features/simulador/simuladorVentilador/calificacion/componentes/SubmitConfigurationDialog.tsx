@@ -0,0 +1,176 @@
+/*
+ * Funcionalidad: SubmitConfigurationDialog
+ * Descripción: Envío de la corrida del simulador a calificar contra la
+ *   configuración experta de un caso clínico. Muestra la configuración final y
+ *   la ponderada en el tiempo que se van a enviar, deja elegir el caso (por
+ *   defecto el del guion cargado) y pedir retroalimentación de IA; al
+ *   responder el backend muestra el resultado estructurado.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import { useState } from 'react';
+import {
+  Alert,
+  Button,
+  Checkbox,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  MenuItem,
+  Select,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography,
+} from '@mui/material';
+
+import type { GradedParameter } from '@/contracts/simulator.contracts';
+import { useSimulationGrading } from '../hooks/useSimulationGrading';
+import {
+  GRADED_PARAMETER_LABELS,
+  formatConfigurationValue,
+  type SimulationSubmissionDraft,
+} from '../utils/simulationSubmission';
+import { SimulationGradeView } from './SimulationGradeView';
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+const durationText = (seconds: number): string =>
+  seconds < 60 ? `${seconds} s` : `${Math.floor(seconds / 60)} min ${seconds % 60} s`;
+
+// =============================================================================
+// Component
+// =============================================================================
+
+interface SubmitConfigurationDialogProps {
+  open: boolean;
+  onClose: () => void;
+  /** Lo que se enviará, tomado al abrir el diálogo. */
+  draft: SimulationSubmissionDraft | null;
+  /** Caso del guion cargado, elegido por defecto. */
+  defaultCaseId: string | null;
+}
+
+/** Contenido con estado propio: el Dialog lo monta de nuevo en cada apertura. */
+function SubmitConfigurationContent({ onClose, draft, defaultCaseId }: Omit<SubmitConfigurationDialogProps, 'open'>) {
+  const grading = useSimulationGrading();
+  const [caseId, setCaseId] = useState(defaultCaseId ?? '');
+  const [requestAi, setRequestAi] = useState(true);
+
+  const send = () => {
+    if (draft && caseId) void grading.submit(caseId, draft, requestAi);
+  };
+
+  if (grading.result) {
+    return (
+      <>
+        <DialogContent dividers>
+          <SimulationGradeView result={grading.result} aiRequested={requestAi} />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={onClose} variant="contained">
+            Cerrar
+          </Button>
+        </DialogActions>
+      </>
+    );
+  }
+
+  const parameters = draft
+    ? (Object.keys(GRADED_PARAMETER_LABELS) as GradedParameter[]).filter(
+        (p) => draft.finalConfiguration[p] !== undefined || draft.timeWeightedConfiguration[p] !== undefined,
+      )
+    : [];
+
+  return (
+    <>
+      <DialogContent dividers>
+        {!draft ? (
+          <Alert severity="info">Envíe al menos una configuración al ventilador antes de calificar.</Alert>
+        ) : (
+          <>
+            <FormControl fullWidth sx={{ mb: 2 }}>
+              <InputLabel>Caso clínico</InputLabel>
+              <Select value={caseId} label="Caso clínico" onChange={(e) => setCaseId(e.target.value)}>
+                {grading.cases.map((c) => (
+                  <MenuItem key={c.id} value={c.id}>
+                    {c.title}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Parámetro</TableCell>
+                  <TableCell align="right">Final</TableCell>
+                  <TableCell align="right">Ponderado en el tiempo</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {parameters.map((p) => (
+                  <TableRow key={p}>
+                    <TableCell>{GRADED_PARAMETER_LABELS[p].label}</TableCell>
+                    <TableCell align="right">{formatConfigurationValue(p, draft.finalConfiguration[p])}</TableCell>
+                    <TableCell align="right">
+                      {formatConfigurationValue(p, draft.timeWeightedConfiguration[p])}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+            <Typography variant="caption" sx={{ display: 'block', mt: 1, color: 'text.secondary' }}>
+              {draft.parametersLog.length} comandos enviados en {durationText(draft.completionTime)}. Los parámetros
+              críticos pesan el triple que los opcionales y los importantes el doble.
+            </Typography>
+
+            <FormControlLabel
+              sx={{ mt: 1 }}
+              control={<Checkbox checked={requestAi} onChange={(e) => setRequestAi(e.target.checked)} />}
+              label="Pedir retroalimentación de IA"
+            />
+          </>
+        )}
+        {grading.error && (
+          <Alert severity="error" sx={{ mt: 2 }}>
+            {grading.error}
+          </Alert>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={grading.submitting}>
+          Cancelar
+        </Button>
+        <Button variant="contained" onClick={send} disabled={!draft || !caseId || grading.submitting}>
+          {grading.submitting ? 'Calificando…' : 'Enviar configuración'}
+        </Button>
+      </DialogActions>
+    </>
+  );
+}
+
+export function SubmitConfigurationDialog({ open, onClose, draft, defaultCaseId }: SubmitConfigurationDialogProps) {
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Calificar configuración</DialogTitle>
+      <SubmitConfigurationContent onClose={onClose} draft={draft} defaultCaseId={defaultCaseId} />
+    </Dialog>
+  );
+}
+
+export default SubmitConfigurationDialog;
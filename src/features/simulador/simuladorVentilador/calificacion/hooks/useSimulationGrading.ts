@@ -0,0 +1,74 @@
+/*
+ * Funcionalidad: useSimulationGrading
+ * Descripción: Envío de la corrida del simulador a calificar. Expone los casos
+ *   clínicos disponibles, el estado del envío y el resultado que devuelve el
+ *   backend (puntaje, diferencias por parámetro y retroalimentación de IA).
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import { useCallback, useState } from 'react';
+
+import type { SubmitSimulationAttemptResponse } from '@/contracts/simulator.contracts';
+import { submitSimulationAttempt } from '@/features/evaluation/services/evaluationService';
+import {
+  useCaseList,
+  type CaseSummary,
+} from '@/features/simulador/simuladorPaciente/escenarios/hooks/useCaseScenarios';
+import type { SimulationSubmissionDraft } from '../utils/simulationSubmission';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+export interface UseSimulationGradingReturn {
+  cases: CaseSummary[];
+  submitting: boolean;
+  result: SubmitSimulationAttemptResponse | null;
+  error: string | null;
+  submit: (caseId: string, draft: SimulationSubmissionDraft, requestAiFeedback: boolean) => Promise<void>;
+  /** Vuelve al formulario (nuevo envío). */
+  reset: () => void;
+}
+
+// =============================================================================
+// Hook
+// =============================================================================
+
+export function useSimulationGrading(): UseSimulationGradingReturn {
+  const { cases, error: casesError } = useCaseList();
+  const [submitting, setSubmitting] = useState(false);
+  const [result, setResult] = useState<SubmitSimulationAttemptResponse | null>(null);
+  const [submitError, setSubmitError] = useState<string | null>(null);
+
+  const submit = useCallback(
+    async (caseId: string, draft: SimulationSubmissionDraft, requestAiFeedback: boolean) => {
+      setSubmitting(true);
+      setSubmitError(null);
+      const response = await submitSimulationAttempt(caseId, { ...draft, requestAiFeedback });
+      setSubmitting(false);
+      if (response.success && response.data) setResult(response.data);
+      else setSubmitError(('error' in response && response.error) || 'El backend no devolvió la calificación.');
+    },
+    [],
+  );
+
+  const reset = useCallback(() => {
+    setResult(null);
+    setSubmitError(null);
+  }, []);
+
+  return {
+    cases,
+    submitting,
+    result,
+    error: submitError ?? (casesError instanceof Error ? casesError.message : null),
+    submit,
+    reset,
+  };
+}
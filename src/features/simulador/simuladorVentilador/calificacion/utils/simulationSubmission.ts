@@ -0,0 +1,151 @@
+/*
+ * Funcionalidad: simulationSubmission
+ * Descripción: Arma lo que el estudiante envía a calificar desde el simulador:
+ *   la configuración final (último comando enviado) y la ponderada en el tiempo
+ *   (cada ajuste promediado por los segundos que estuvo aplicado, el modo que
+ *   más duró), ambas en las unidades de ExpertConfiguration. Así no basta con
+ *   acertar en el último cambio: también cuenta cuánto tiempo estuvo el
+ *   paciente bien ventilado.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import type {
+  GradedParameter,
+  ParameterPriority,
+  SimulationConfiguration,
+  SubmitSimulationAttemptRequest,
+  VentilationMode,
+  VentilatorCommand,
+} from '@/contracts/simulator.contracts';
+import type { TimelineEntry } from '@/features/simulador/simuladorVentilador/panelControl/utils/parameterTimeline';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+/** Envío sin la elección de retroalimentación, que se hace en el diálogo. */
+export type SimulationSubmissionDraft = Omit<SubmitSimulationAttemptRequest, 'requestAiFeedback'>;
+
+type NumericParameter = Exclude<GradedParameter, 'ventilationMode'>;
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** Modo del contrato → nombre usado en ExpertConfiguration.ventilationMode. */
+const EXPERT_MODE_NAMES: Record<VentilationMode, string> = {
+  VCV: 'volume',
+  PCV: 'pressure',
+  SIMV: 'simv',
+  PSV: 'psv',
+};
+
+const NUMERIC_PARAMETERS: NumericParameter[] = ['tidalVolume', 'respiratoryRate', 'peep', 'fio2', 'maxPressure'];
+
+export const GRADED_PARAMETER_LABELS: Record<GradedParameter, { label: string; unit: string }> = {
+  ventilationMode: { label: 'Modo', unit: '' },
+  tidalVolume: { label: 'Volumen corriente', unit: 'ml' },
+  respiratoryRate: { label: 'Frecuencia', unit: 'rpm' },
+  peep: { label: 'PEEP', unit: 'cmH₂O' },
+  fio2: { label: 'FiO₂', unit: '%' },
+  maxPressure: { label: 'Presión máxima', unit: 'cmH₂O' },
+};
+
+export const EXPERT_MODE_LABELS: Record<string, string> = {
+  volume: 'Volumen control',
+  pressure: 'Presión control',
+  simv: 'SIMV',
+  psv: 'Presión soporte',
+};
+
+export const PRIORITY_LABELS: Record<ParameterPriority, string> = {
+  CRITICO: 'Crítico',
+  IMPORTANTE: 'Importante',
+  OPCIONAL: 'Opcional',
+};
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/** Comando del ventilador en las unidades de ExpertConfiguration. */
+export function configurationFromCommand(command: VentilatorCommand): SimulationConfiguration {
+  return {
+    ventilationMode: EXPERT_MODE_NAMES[command.mode] ?? String(command.mode).toLowerCase(),
+    tidalVolume: command.tidalVolume,
+    respiratoryRate: command.respiratoryRate,
+    peep: command.peep,
+    fio2: Math.round(command.fio2 * 100),
+    ...(command.pressureLimit !== undefined ? { maxPressure: command.pressureLimit } : {}),
+    ...(command.ieRatio ? { iERatio: command.ieRatio } : {}),
+  };
+}
+
+/**
+ * Promedio de cada ajuste ponderado por el tiempo que estuvo aplicado: cada
+ * comando rige desde su timestamp hasta el siguiente (el último, hasta `now`).
+ * Si todo ocurrió en el mismo instante se devuelve el último comando.
+ */
+export function timeWeightedConfiguration(entries: TimelineEntry[], now: number): SimulationConfiguration | null {
+  const last = entries.at(-1);
+  if (!last) return null;
+
+  const totals = new Map<NumericParameter, { sum: number; seconds: number }>();
+  const modeSeconds = new Map<string, number>();
+  entries.forEach((entry, i) => {
+    const end = entries[i + 1]?.timestamp ?? now;
+    const seconds = Math.max(end - entry.timestamp, 0) / 1000;
+    const config = configurationFromCommand(entry);
+    modeSeconds.set(config.ventilationMode, (modeSeconds.get(config.ventilationMode) ?? 0) + seconds);
+    for (const key of NUMERIC_PARAMETERS) {
+      const value = config[key];
+      if (value === undefined) continue;
+      const acc = totals.get(key) ?? { sum: 0, seconds: 0 };
+      totals.set(key, { sum: acc.sum + value * seconds, seconds: acc.seconds + seconds });
+    }
+  });
+
+  const finalConfig = configurationFromCommand(last);
+  const longestMode = [...modeSeconds.entries()].reduce<[string, number] | null>(
+    (best, current) => (!best || current[1] > best[1] ? current : best),
+    null,
+  );
+  const averaged: SimulationConfiguration = {
+    ventilationMode: longestMode && longestMode[1] > 0 ? longestMode[0] : finalConfig.ventilationMode,
+  };
+  for (const key of NUMERIC_PARAMETERS) {
+    const acc = totals.get(key);
+    if (acc && acc.seconds > 0) averaged[key] = Math.round((acc.sum / acc.seconds) * 10) / 10;
+    else if (finalConfig[key] !== undefined) averaged[key] = finalConfig[key];
+  }
+  return averaged;
+}
+
+/** Envío a partir de la línea de tiempo de parámetros; null sin comandos. */
+export function buildSimulationSubmission(entries: TimelineEntry[], now: number): SimulationSubmissionDraft | null {
+  const first = entries[0];
+  const last = entries.at(-1);
+  const timeWeighted = timeWeightedConfiguration(entries, now);
+  if (!first || !last || !timeWeighted) return null;
+  return {
+    finalConfiguration: configurationFromCommand(last),
+    timeWeightedConfiguration: timeWeighted,
+    parametersLog: entries,
+    completionTime: Math.max(0, Math.round((now - first.timestamp) / 1000)),
+  };
+}
+
+/** Valor de la configuración para mostrar, con su unidad. */
+export function formatConfigurationValue(parameter: GradedParameter, value: number | string | null | undefined): string {
+  if (value === null || value === undefined) return '—';
+  if (parameter === 'ventilationMode') return EXPERT_MODE_LABELS[String(value)] ?? String(value);
+  const { unit } = GRADED_PARAMETER_LABELS[parameter];
+  const text = typeof value === 'number' ? String(Math.round(value * 10) / 10) : value;
+  return unit ? `${text} ${unit}` : text;
+}
@@ -2,8 +2,17 @@
  * Funcionalidad: ChartsColumn
  * Descripción: Columna central del dashboard: gráficas de presión, flujo y
  *   volumen en tiempo real (Chart.js). Selecciona la fuente de datos (WebSocket
- *   o serial legacy) y renderiza las curvas.
- * Versión: 1.1
+ *   o serial legacy) y renderiza las curvas. Con el pulmón simulado permite
+ *   revelar los eventos etiquetados (asincronías) y la Pmus del paciente.
+ *   La vista "Bucles" muestra los bucles P–V y F–V por respiración con una
+ *   referencia congelable y las señales de sobredistensión y atrapamiento.
+ *   Durante una maniobra de pausa las curvas muestran el cuadro congelado que
+ *   entrega la maniobra, también con el equipo serial.
+ *   En la repetición de una sesión las curvas salen de la grabación, con el
+ *   eje de tiempo contado desde su inicio.
+ *   Los cambios de parámetros y las alarmas se marcan sobre el eje de tiempo;
+ *   bajo las curvas, la lista de cambios abre el motivo de cada uno.
+ * Versión: 1.6
  * Autor: Marcela Mazo Castro
  * Proyecto: VentyLab
  * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
@@ -12,81 +21,52 @@
  * Contacto: marcela.mazo@correounivalle.edu.co
  */
 
-import React, { useMemo } from 'react';
-import { Box, Paper, Typography, ButtonGroup, Button, Stack, Chip } from '@mui/material';
-import { Line } from 'react-chartjs-2';
+import React, { useMemo, useState } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  ButtonGroup,
+  Button,
+  Stack,
+  Chip,
+  FormControlLabel,
+  Switch,
+  ToggleButton,
+  ToggleButtonGroup,
+} from '@mui/material';
 import ZoomInIcon from '@mui/icons-material/ZoomIn';
 import ZoomOutIcon from '@mui/icons-material/ZoomOut';
 import RestoreIcon from '@mui/icons-material/Restore';
-
-// Chart.js registration — must import before any react-chartjs-2 usage
-import '@/features/simulador/conexion/websocket/registro/ChartRegistry';
+import PushPinIcon from '@mui/icons-material/PushPin';
+import LayersClearIcon from '@mui/icons-material/LayersClear';
 
 import { useVentilatorData } from '@/features/simulador/conexion/websocket/hooks/useVentilatorData';
 import { useChartCalculations } from '@/features/simulador/simuladorVentilador/graficasMonitor/hooks/useChartCalculations';
+import { useBreathLoops } from '@/features/simulador/simuladorVentilador/graficasMonitor/hooks/useBreathLoops';
+import { OVERDISTENSION_RATIO } from '@/features/simulador/simuladorVentilador/graficasMonitor/utils/breathLoops';
+import { buildChartAnnotations } from '@/features/simulador/simuladorVentilador/graficasMonitor/utils/chartAnnotations';
+import ParameterTimelinePanel from '@/features/simulador/simuladorVentilador/panelControl/componentes/ParameterTimelinePanel';
+import { VENTILATOR_EVENT_LABELS } from '@/features/simulador/compartido/simulacion/asynchronyScenarios';
 import { useRenderCount } from '@/shared/dev/perfInstrumentation';
 
+import RealTimeCharts, { LoopChart } from './RealTimeCharts';
+import styles from './ui/ChartsColumn.module.css';
+
 // =============================================================================
-// Chart helpers (mirrored from VentilatorCharts)
+// Constants
 // =============================================================================
 
-// Opciones estables por color (identidad constante entre renders → Chart.js no
-// reconstruye escalas en cada update). animation:false + decimation LTTB +
-// parsing:false/normalized:true optimizan el redibujado en tiempo real.
-const buildChartOptions = (color) => ({
-  responsive: true,
-  animation: false,
-  maintainAspectRatio: false,
-  parsing: false,
-  normalized: true,
-  plugins: {
-    legend: { display: false },
-    decimation: { enabled: true, algorithm: 'lttb', samples: 120 },
-    tooltip: {
-      mode: 'index',
-      intersect: false,
-      backgroundColor: 'rgba(20,20,20,0.95)',
-      titleColor: '#e0e0e0',
-      bodyColor: color,
-    },
-  },
-  scales: {
-    x: {
-      type: 'linear',
-      ticks: { color: '#757575', maxTicksLimit: 8, font: { size: 10 } },
-      grid: { color: 'rgba(255,255,255,0.05)' },
-      title: {
-        display: false,
-      },
-    },
-    y: {
-      ticks: { color: '#9e9e9e', font: { size: 10 } },
-      grid: { color: 'rgba(255,255,255,0.07)' },
-    },
-  },
-  elements: {
-    point: { radius: 0 },
-    line: { borderWidth: 1.8, tension: 0.15 },
-  },
-});
+const EMPTY = [];
 
-// Instancias únicas de opciones (no recrear por render).
-const PRESSURE_OPTIONS = buildChartOptions('#ef5350');
-const FLOW_OPTIONS = buildChartOptions('#42a5f5');
-const VOLUME_OPTIONS = buildChartOptions('#66bb6a');
-
-// Decimation requiere parsing:false → los puntos ya vienen como {x,y} ordenados.
-const buildDataset = (points, color, label) => ({
-  datasets: [
-    {
-      label,
-      data: points,
-      borderColor: color,
-      backgroundColor: color + '18',
-      fill: true,
-    },
-  ],
-});
+/** Clase de color por tipo de evento; los tonos replican EVENT_COLORS de RealTimeCharts. */
+const EVENT_CLASSES = {
+  PATIENT_TRIGGER: styles.patientTrigger,
+  INEFFECTIVE_EFFORT: styles.ineffectiveEffort,
+  DOUBLE_TRIGGER: styles.doubleTrigger,
+  AUTO_TRIGGER: styles.autoTrigger,
+  FLOW_STARVATION: styles.flowStarvation,
+};
 
 // =============================================================================
 // Component
@@ -97,18 +77,37 @@ const ChartsColumn = ({
   serialConnection,
   chartsEnabled,
   isRealVentilatorConnected, // conectada al ventilador físico vía WebSocket/MQTT (FSM)
+  frozenData, // curvas congeladas por una maniobra de pausa (null = en vivo)
+  replayOrigin = null, // inicio de la sesión en repetición (ms); null = en vivo
+  parameterEntries = EMPTY, // TimelineEntry[] de los cambios de parámetros
+  alarmLog = EMPTY, // AlarmLogEntry[] del motor de alarmas
+  onRationaleChange = null, // (id, texto) => void; null = sólo lectura
 }) => {
   useRenderCount('ChartsColumn');
+  // Cambio de parámetros con el diálogo de motivo abierto
+  const [selectedChangeId, setSelectedChangeId] = useState(null);
+  const annotations = useMemo(
+    () => buildChartAnnotations(parameterEntries, alarmLog, Boolean(onRationaleChange)),
+    [parameterEntries, alarmLog, onRationaleChange],
+  );
   // ── WebSocket path (simulation + real remote) ─────────────────────────────
   const wsData = useVentilatorData();
-  const { pressurePoints, flowPoints, volumePoints, actions } = useChartCalculations({
-    data: wsData.data,
+  const { pressurePoints, flowPoints, volumePoints, pmusPoints, eventMarkers, annotationMarkers, actions } = useChartCalculations({
+    data: frozenData ?? wsData.data,
     defaultTimeWindow: 10,
+    timeOrigin: replayOrigin,
+    annotations,
   });
+  const isReplaying = replayOrigin !== null;
+  // Eventos ocultos por defecto: el estudiante primero intenta reconocerlos.
+  const [showEvents, setShowEvents] = useState(false);
+  // 'curves' = curvas en el tiempo, 'loops' = bucles P–V / F–V
+  const [view, setView] = useState('curves');
 
   // ── Legacy serial path: convert arrays → {x,y}[] ─────────────────────────
+  // (el cuadro congelado de una pausa sale del store, que también recibe el serial)
   const legacyPoints = useMemo(() => {
-    if (!displayData || !displayData.pressure?.length) return null;
+    if (frozenData || isReplaying || !displayData || !displayData.pressure?.length) return null;
     const t0 = displayData.time?.[0] ?? 0;
     const toSec = (ms) => (ms - t0) / 1000;
 
@@ -117,7 +116,7 @@ const ChartsColumn = ({
       flow:     displayData.flow.map((y, i)     => ({ x: toSec(displayData.time?.[i] ?? i * 33), y })),
       volume:   displayData.volume.map((y, i)   => ({ x: toSec(displayData.time?.[i] ?? i * 33), y })),
     };
-  }, [displayData]);
+  }, [displayData, frozenData, isReplaying]);
 
   // ── Choose active data source ─────────────────────────────────────────────
   const activePoints = legacyPoints ?? {
@@ -133,25 +132,33 @@ const ChartsColumn = ({
   // datos, sin exigir el toggle "Simular Gráficas" (que es sólo para el simulado).
   const isRealVentilator = Boolean(serialConnection?.isConnected) || Boolean(isRealVentilatorConnected);
 
-  // Datasets memoizados: sólo se reconstruyen cuando cambian sus puntos.
-  const pressureData = useMemo(
-    () => buildDataset(activePoints.pressure, '#ef5350', 'Presión'),
-    [activePoints.pressure],
-  );
-  const flowData = useMemo(
-    () => buildDataset(activePoints.flow, '#42a5f5', 'Flujo'),
-    [activePoints.flow],
-  );
-  const volumeData = useMemo(
-    () => buildDataset(activePoints.volume, '#66bb6a', 'Volumen'),
-    [activePoints.volume],
-  );
+  // Eventos y Pmus sólo existen en el stream del pulmón simulado
+  const hasSimulationDetail = !legacyPoints && (eventMarkers.length > 0 || pmusPoints.length > 0);
+  const visibleEvents = showEvents && !legacyPoints ? eventMarkers : undefined;
+  const visiblePmus = showEvents && !legacyPoints ? pmusPoints : undefined;
+  // El path serial legacy tiene su propio origen de tiempo: sin marcadores
+  const visibleAnnotations = legacyPoints ? undefined : annotationMarkers;
+
+  // Conteo de asincronías en la ventana visible (el disparo normal no cuenta).
+  const eventCounts = useMemo(() => {
+    const counts = {};
+    eventMarkers.forEach(({ type }) => {
+      if (type !== 'PATIENT_TRIGGER') counts[type] = (counts[type] ?? 0) + 1;
+    });
+    return Object.entries(counts);
+  }, [eventMarkers]);
 
   // Solo mostrar gráficos activos dependiendo del modo y estado de chartsEnabled
-  const showCharts = isRealVentilator 
+  const showCharts = isRealVentilator || isReplaying
     ? hasData 
     : (hasData && chartsEnabled);
 
+  // Los bucles se arman del stream del store; el path serial legacy no los tiene
+  const loopsAvailable = !legacyPoints;
+  const showLoops = showCharts && loopsAvailable && view === 'loops';
+  const loops = useBreathLoops({ enabled: showLoops });
+  const overdistension = loops.last?.overdistension;
+
   return (
     <Box display="flex" flexDirection="column" gap={1.5} sx={{ maxWidth: 600, mx: 'auto', width: '100%' }}>
       
@@ -164,18 +171,55 @@ const ChartsColumn = ({
       >
         <Chip
           label={
-            hasData
-              ? isRealVentilator
-                ? 'Conectado (Físico)'
-                : 'Simulando'
-              : 'Sin señal'
+            isReplaying
+              ? 'Repetición'
+              : hasData
+                ? isRealVentilator
+                  ? 'Conectado (Físico)'
+                  : 'Simulando'
+                : 'Sin señal'
           }
           size="small"
-          color={hasData ? 'success' : 'default'}
+          color={isReplaying ? 'info' : hasData ? 'success' : 'default'}
           sx={{ fontSize: '10px', height: 22 }}
         />
 
-        {zoomActions && (
+        {loopsAvailable && (
+          <ToggleButtonGroup
+            size="small"
+            exclusive
+            value={view}
+            onChange={(_, value) => value && setView(value)}
+            className={styles.viewToggle}
+          >
+            <ToggleButton value="curves">Curvas</ToggleButton>
+            <ToggleButton value="loops">Bucles</ToggleButton>
+          </ToggleButtonGroup>
+        )}
+
+        {frozenData && view === 'curves' && (
+          <Chip label="Curvas congeladas" size="small" color="info" className={styles.frozenChip} />
+        )}
+
+        {hasSimulationDetail && view === 'curves' && (
+          <FormControlLabel
+            control={
+              <Switch
+                checked={showEvents}
+                onChange={(e) => setShowEvents(e.target.checked)}
+                size="small"
+              />
+            }
+            label={
+              <Typography variant="caption" className={styles.eventsLabel}>
+                Mostrar eventos
+              </Typography>
+            }
+            className={styles.eventsSwitch}
+          />
+        )}
+
+        {zoomActions && view === 'curves' && (
           <ButtonGroup
             size="small"
             variant="outlined"
@@ -207,81 +251,111 @@ const ChartsColumn = ({
           }}
         >
           <Typography sx={{ color: 'text.secondary', textAlign: 'center', maxWidth: 380, px: 2, fontSize: '0.9rem' }}>
-            {isRealVentilator
-              ? 'Esperando datos del ventilador físico...'
-              : (hasData && !chartsEnabled)
-                ? 'Activa "Simular Gráficas" en el panel izquierdo para ver las curvas.'
-                : 'Configura o inicia un paciente en la pestaña "Simular Paciente" para ver las curvas en tiempo real.'}
+            {isReplaying
+              ? 'Inicie la reproducción o avance una respiración para ver las curvas grabadas.'
+              : isRealVentilator
+                ? 'Esperando datos del ventilador físico...'
+                : (hasData && !chartsEnabled)
+                  ? 'Activa "Simular Gráficas" en el panel izquierdo para ver las curvas.'
+                  : 'Configura o inicia un paciente en la pestaña "Simular Paciente" para ver las curvas en tiempo real.'}
           </Typography>
         </Paper>
       )}
 
-      {showCharts && (
+      {showLoops && (
         <>
-          {/* Pressure */}
-          <Paper
-            elevation={0}
-            sx={{
-              width: '100%',
-              minHeight: 180,
-              height: { xs: 190, md: 220 },
-              display: 'flex',
-              flexDirection: 'column',
-              p: 1,
-              backgroundColor: 'rgba(141, 138, 138, 0.2)',
-            }}
-          >
-            <Typography variant="subtitle2" sx={{ mb: 0.5, color: '#e0e0e0', fontWeight: 'bold' }}>
-              Presión (cmH₂O)
-            </Typography>
-            <Box flex={1} minHeight={0} sx={{ position: 'relative' }}>
-              <Line data={pressureData} options={PRESSURE_OPTIONS} />
-            </Box>
-          </Paper>
+          <Box className={styles.loopBar}>
+            <Button
+              size="small"
+              variant="outlined"
+              startIcon={<PushPinIcon />}
+              onClick={loops.actions.freezeReference}
+              disabled={!loops.last}
+              className={styles.loopButton}
+            >
+              Fijar referencia
+            </Button>
+            {loops.reference && (
+              <Button
+                size="small"
+                startIcon={<LayersClearIcon />}
+                onClick={loops.actions.clearReference}
+                className={styles.loopButton}
+              >
+                Quitar referencia
+              </Button>
+            )}
+            <Box className={styles.spacer} />
+            {overdistension && (
+              <Chip
+                size="small"
+                label={`C20/C ${overdistension.ratio.toFixed(2)}${overdistension.overdistended ? ' · sobredistensión' : ''}`}
+                color={overdistension.overdistended ? 'error' : 'default'}
+                title={`C20/C < ${OVERDISTENSION_RATIO} indica sobredistensión al final de la inspiración`}
+                className={styles.loopChip}
+              />
+            )}
+            {loops.last?.airTrapping && (
+              <Chip
+                size="small"
+                label="Flujo espiratorio no llega a cero · atrapamiento"
+                color="warning"
+                className={styles.loopChip}
+              />
+            )}
+          </Box>
 
-          {/* Flow */}
-          <Paper
-            elevation={0}
-            sx={{
-              width: '100%',
-              minHeight: 180,
-              height: { xs: 190, md: 220 },
-              display: 'flex',
-              flexDirection: 'column',
-              p: 1,
-              backgroundColor: 'rgba(141, 138, 138, 0.2)',
-            }}
-          >
-            <Typography variant="subtitle2" sx={{ mb: 0.5, color: '#e0e0e0', fontWeight: 'bold' }}>
-              Flujo (L/min)
-            </Typography>
-            <Box flex={1} minHeight={0} sx={{ position: 'relative' }}>
-              <Line data={flowData} options={FLOW_OPTIONS} />
-            </Box>
-          </Paper>
+          <LoopChart type="pv" current={loops.current} last={loops.last} reference={loops.reference} />
+          <LoopChart type="fv" current={loops.current} last={loops.last} reference={loops.reference} />
+        </>
+      )}
 
-          {/* Volume */}
-          <Paper
-            elevation={0}
-            sx={{
-              width: '100%',
-              minHeight: 180,
-              height: { xs: 190, md: 220 },
-              display: 'flex',
-              flexDirection: 'column',
-              p: 1,
-              backgroundColor: 'rgba(141, 138, 138, 0.2)',
-            }}
-          >
-            <Typography variant="subtitle2" sx={{ mb: 0.5, color: '#e0e0e0', fontWeight: 'bold' }}>
-              Volumen (mL)
-            </Typography>
-            <Box flex={1} minHeight={0} sx={{ position: 'relative' }}>
-              <Line data={volumeData} options={VOLUME_OPTIONS} />
+      {showCharts && !showLoops && (
+        <>
+          {showEvents && eventCounts.length > 0 && (
+            <Box className={styles.eventBar}>
+              {eventCounts.map(([type, count]) => (
+                <Chip
+                  key={type}
+                  label={`${VENTILATOR_EVENT_LABELS[type]}: ${count}`}
+                  size="small"
+                  variant="outlined"
+                  className={`${styles.eventChip} ${EVENT_CLASSES[type]}`}
+                />
+              ))}
             </Box>
-          </Paper>
+          )}
+
+          <RealTimeCharts
+            type="pressure"
+            data={activePoints.pressure}
+            events={visibleEvents}
+            overlay={visiblePmus}
+            annotations={visibleAnnotations}
+            onAnnotationClick={setSelectedChangeId}
+          />
+          <RealTimeCharts
+            type="flow"
+            data={activePoints.flow}
+            events={visibleEvents}
+            annotations={visibleAnnotations}
+            onAnnotationClick={setSelectedChangeId}
+          />
+          <RealTimeCharts
+            type="volume"
+            data={activePoints.volume}
+            annotations={visibleAnnotations}
+            onAnnotationClick={setSelectedChangeId}
+          />
         </>
       )}
+
+      <ParameterTimelinePanel
+        entries={parameterEntries}
+        selectedId={selectedChangeId}
+        onSelect={setSelectedChangeId}
+        onRationaleChange={onRationaleChange}
+      />
     </Box>
   );
 };
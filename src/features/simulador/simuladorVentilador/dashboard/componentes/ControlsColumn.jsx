@@ -2,7 +2,12 @@
  * Funcionalidad: ControlsColumn
  * Descripción: Columna derecha del dashboard: sliders e inputs de parámetros de
  *   ventilación (I:E, pausas, frecuencia), estado de compliance y alertas.
- * Versión: 1.1
+ *   Incluye el selector de onda de flujo (escalón / rampa descendente) de la
+ *   trama de configuración serial.
+ *   Incluye las maniobras de pausa inspiratoria/espiratoria con su resultado.
+ *   Con `canSubmitConfiguration`, el botón para calificar la configuración
+ *   contra la del experto del caso.
+ * Versión: 1.4
  * Autor: Marcela Mazo Castro
  * Proyecto: VentyLab
  * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
@@ -18,6 +23,7 @@ import {
   Slider,
   TextField,
   Button,
+  MenuItem,
 } from '@mui/material';
 import VisibilityIcon from '@mui/icons-material/Visibility';
 import VisibilityOffIcon from '@mui/icons-material/VisibilityOff';
@@ -29,6 +35,8 @@ import ModeToggle from '@/features/simulador/compartido/componentes/ModeToggle';
 import AIAnalysisButton from '@/features/simulador/compartido/componentes/AIAnalysisButton';
 import ComplianceStatus from '@/features/simulador/simuladorVentilador/panelControl/componentes/ComplianceStatus';
 import ValidationAlerts from '@/features/simulador/simuladorVentilador/panelControl/componentes/ValidationAlerts';
+import HoldManeuverPanel from '@/features/simulador/simuladorVentilador/panelControl/componentes/HoldManeuverPanel';
+import SubmitConfigurationButton from '@/features/simulador/simuladorVentilador/calificacion/componentes/SubmitConfigurationButton';
 import { useRenderCount } from '@/shared/dev/perfInstrumentation';
 
 const ControlsColumn = ({
@@ -43,8 +51,13 @@ const ControlsColumn = ({
   showValidationAlerts,
   setShowValidationAlerts,
   handleModeChange,
+  waveType,
+  setWaveType,
   isAnalyzing,
   handleAIAnalysis,
+  holdManeuver,
+  holdUnavailableReason,
+  canSubmitConfiguration = false,
 }) => {
   useRenderCount('ControlsColumn');
   return (
@@ -118,6 +131,25 @@ const ControlsColumn = ({
           </Box>
         </Box>
 
+        {/* Flow waveform (E? / R? in the config frame); PCV flow is always exponential */}
+        <Box>
+          <Typography variant="subtitle1" sx={{ fontSize: '13px', fontWeight: 200, textAlign: 'center' }}>
+            Onda de Flujo
+          </Typography>
+          <TextField
+            select
+            variant="outlined"
+            size="small"
+            fullWidth
+            value={waveType}
+            disabled={ventilationMode === 'pressure'}
+            onChange={(e) => setWaveType(e.target.value)}
+          >
+            <MenuItem value="Escalon">Escalón</MenuItem>
+            <MenuItem value="Rampa Descendente">Rampa descendente</MenuItem>
+          </TextField>
+        </Box>
+
         {/* Inspiratory pause */}
         <Box>
           <Typography variant="subtitle1" sx={{ fontSize: '13px', fontWeight: 200, textAlign: 'center' }}>
@@ -176,6 +208,14 @@ const ControlsColumn = ({
           />
         </Box>
 
+        {/* Maniobras de pausa */}
+        {holdManeuver && (
+          <HoldManeuverPanel holdManeuver={holdManeuver} unavailableReason={holdUnavailableReason} />
+        )}
+
+        {/* Calificación contra la configuración experta del caso */}
+        {canSubmitConfiguration && <SubmitConfigurationButton />}
+
         {/* Compliance status */}
         {complianceData && errorDetection && (
           <ComplianceStatus
@@ -1,8 +1,9 @@
 /*
  * Funcionalidad: MetricColumn
  * Descripción: Columna izquierda del dashboard: logos, toggles de fuente de datos
- *   y gráficas, botones de acción y tarjetas de métricas del ventilador.
- * Versión: 1.1
+ *   y gráficas, botones de acción y tarjetas de métricas del ventilador. Con
+ *   "Simular Gráficas" activo ofrece el selector de escenario de asincronías.
+ * Versión: 1.2
  * Autor: Marcela Mazo Castro
  * Proyecto: VentyLab
  * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
@@ -21,6 +22,8 @@ import {
   Button,
   IconButton,
   Collapse,
+  TextField,
+  MenuItem,
 } from '@mui/material';
 import PersonIcon from '@mui/icons-material/Person';
 import CheckCircleIcon from '@mui/icons-material/CheckCircle';
@@ -34,7 +37,9 @@ import ShowChartIcon from '@mui/icons-material/ShowChart';
 
 import EditableCard, { EditControls } from './EditableCard';
 import AIAnalysisButton from '@/features/simulador/compartido/componentes/AIAnalysisButton';
+import { ASYNCHRONY_SCENARIO_LIST } from '@/features/simulador/compartido/simulacion/asynchronyScenarios';
 import { useRenderCount } from '@/shared/dev/perfInstrumentation';
+import styles from './ui/MetricColumn.module.css';
 
 const MetricColumn = ({
   patientData,
@@ -43,6 +48,8 @@ const MetricColumn = ({
   setDataSource,
   chartsEnabled,
   setChartsEnabled,
+  asynchronyScenarioId,
+  setAsynchronyScenarioId,
   serialConnection,
   handleSendConfiguration,
   handleStopVentilator,
@@ -156,6 +163,30 @@ const MetricColumn = ({
           </Tooltip>
         )}
 
+        {/* Escenario de asincronías (pulmón simulado) */}
+        {dataSource === 'simulated' && chartsEnabled && (
+          <Tooltip
+            title={ASYNCHRONY_SCENARIO_LIST.find((s) => s.id === asynchronyScenarioId)?.description ?? ''}
+            placement="bottom"
+            arrow
+          >
+            <TextField
+              select
+              size="small"
+              label="Escenario"
+              value={asynchronyScenarioId}
+              onChange={(e) => setAsynchronyScenarioId(e.target.value)}
+              className={styles.scenario}
+            >
+              {ASYNCHRONY_SCENARIO_LIST.map((scenario) => (
+                <MenuItem key={scenario.id} value={scenario.id} className={styles.scenarioOption}>
+                  {scenario.label}
+                </MenuItem>
+              ))}
+            </TextField>
+          </Tooltip>
+        )}
+
         {/* Patient indicator */}
         {isDataPersisted && patientData && (
           <Box
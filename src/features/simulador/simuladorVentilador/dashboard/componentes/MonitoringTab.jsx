@@ -1,8 +1,33 @@
 /*
  * Funcionalidad: MonitoringTab
  * Descripción: Tab de monitoreo del simulador. Compone las tres columnas
- *   (métricas, gráficas, controles) del dashboard de ventilación.
- * Versión: 1.1
+ *   (métricas, gráficas, controles) del dashboard de ventilación y, en modo
+ *   simulado, alimenta el stream con el pulmón local.
+ *   El pulmón local recibe el modo y la onda de flujo como la trama serial y,
+ *   opcionalmente, un escenario de asincronías (esfuerzo del paciente).
+ *   Con curvas activas, el motor de alarmas vigila el stream contra los límites
+ *   del usuario y sus eventos pasan a la grabación de datos.
+ *   La mecánica de cada respiración (Vti/Vte, meseta, ΔP, compliance, Raw, τ,
+ *   potencia mecánica, PEEPi) se inyecta en sus tarjetas y se graba.
+ *   Las pausas inspiratoria/espiratoria se piden al pulmón local o al equipo
+ *   serial; mientras duran, las curvas se muestran congeladas.
+ *   La repetición de una sesión grabada sustituye a las fuentes en vivo: las
+ *   curvas, tarjetas, bucles y alarmas se alimentan de la grabación, sin
+ *   pasar a la grabación de datos en curso.
+ *   Los cambios de parámetros de la sesión (o los de la grabación, en la
+ *   repetición) y las alarmas se marcan sobre las curvas.
+ *   Con el equipo conectado por MQTT, las tramas de pausa se publican en su
+ *   tópico igual que por el puerto serial.
+ *   En solo lectura (práctica supervisada sin el control) los motivos de los
+ *   cambios no se editan.
+ *   Un guion de deterioro en curso modifica la mecánica del pulmón local y,
+ *   si lo indica, el esfuerzo del paciente; sus avisos se muestran arriba.
+ *   Los gases arteriales se estiman con los ajustes del panel, la última
+ *   respiración medida y la patología (la del caso del guion si lo hay); la
+ *   barra de laboratorio muestra la SpO₂ y permite ordenar gasometrías.
+ *   Fuera de la repetición y del solo lectura, el estudiante puede enviar su
+ *   configuración a calificar contra la del experto del caso.
+ * Versión: 2.4
  * Autor: Marcela Mazo Castro
  * Proyecto: VentyLab
  * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
@@ -11,11 +36,31 @@
  * Contacto: marcela.mazo@correounivalle.edu.co
  */
 
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useCallback } from 'react';
 import { Box } from '@mui/material';
 
 import { useVentilatorData } from '@/features/simulador/conexion/websocket/hooks/useVentilatorData';
 import { useConexionVentiladorContext } from '@/features/simulador/conexion/contexto/ConexionVentiladorContext';
+import { useLocalLungSimulation } from '@/features/simulador/compartido/hooks/useLocalLungSimulation';
+import { mechanicsFromPatientData } from '@/features/simulador/compartido/simulacion/lungModel';
+import { commandFromSerialConfig } from '@/features/simulador/compartido/simulacion/serialModes';
+import { ASYNCHRONY_SCENARIOS } from '@/features/simulador/compartido/simulacion/asynchronyScenarios';
+import { applyScenarioFactors } from '@/features/simulador/compartido/simulacion/scenarioEngine';
+import { useScenarioRunner } from '@/features/simulador/simuladorPaciente/escenarios/hooks/useScenarioRunner';
+import ScenarioNotices from '@/features/simulador/simuladorPaciente/escenarios/componentes/ScenarioNotices';
+import { cancelLocalLungHold, requestLocalLungHold } from '@/features/simulador/compartido/simulacion/localLungEmitter';
+import { SerialProtocol } from '@/features/simulador/conexion/serial/utils/serialCommunication';
+import { DEFAULT_ALARM_LIMITS } from '@/features/simulador/compartido/constantes/ventilator-limits';
+import { useAlarmEngine } from '@/features/simulador/simuladorVentilador/alarmas/hooks/useAlarmEngine';
+import AlarmPanel from '@/features/simulador/simuladorVentilador/alarmas/componentes/AlarmPanel';
+import { useBreathMechanics } from '@/features/simulador/simuladorVentilador/graficasMonitor/hooks/useBreathMechanics';
+import { useHoldManeuver } from '@/features/simulador/simuladorVentilador/panelControl/hooks/useHoldManeuver';
+import { useSessionReplay } from '@/features/simulador/simuladorVentilador/reproduccion/hooks/useSessionReplay';
+import SessionReplayPanel from '@/features/simulador/simuladorVentilador/reproduccion/componentes/SessionReplayPanel';
+import { useBloodGas } from '@/features/simulador/simuladorVentilador/gasometria/hooks/useBloodGas';
+import BloodGasPanel from '@/features/simulador/simuladorVentilador/gasometria/componentes/BloodGasPanel';
+import { useParameterTimeline } from '@/features/simulador/simuladorVentilador/panelControl/hooks/useParameterTimeline';
+import { BREATH_MECHANICS_CARDS } from '../utils/cardDataBuilder';
 import { useRenderCount } from '@/shared/dev/perfInstrumentation';
 
 import MetricColumn from './MetricColumn';
@@ -95,6 +140,20 @@ function injectLiveCardValue(card, s, ventilationMode, forceMeasured) {
   }
 }
 
+/**
+ * Igual que injectLiveCardValue para las tarjetas de mecánica por respiración:
+ * toma el campo de la última respiración medida. Un valor null (p. ej. meseta
+ * sin pausa inspiratoria) deja la tarjeta en '--'.
+ */
+function injectBreathMechanicsValue(card, mechanics) {
+  const spec = BREATH_MECHANICS_CARDS[card.id];
+  if (!spec) return card;
+  const n = mechanics[spec.field];
+  return Number.isFinite(n)
+    ? { ...card, value: n.toFixed(spec.decimals), rawValue: n, isConfigured: false }
+    : card;
+}
+
 const MonitoringTab = ({
   // datos de paciente / fuente
   patientData,
@@ -132,6 +191,7 @@ const MonitoringTab = ({
   ventilatorData,
   parameterValidation,
   handleParameterChange,
+  readOnly = false,
   complianceData,
   errorDetection,
   autoAdjustmentEnabled,
@@ -141,14 +201,107 @@ const MonitoringTab = ({
   isAnalyzing,
   handleAIAnalysis,
   handleModeChange,
+  waveType,
+  setWaveType,
+  onAlarmLogEntry,
+  onBreathMeasured,
 }) => {
   useRenderCount('MonitoringTab');
   const [chartsEnabled, setChartsEnabled] = useState(false);
+  const [asynchronyScenarioId, setAsynchronyScenarioId] = useState('pasivo');
+  const [alarmLimits, setAlarmLimits] = useState(DEFAULT_ALARM_LIMITS);
   const { data: streamData } = useVentilatorData();
   // ¿Conectada al ventilador físico por WebSocket/MQTT? (FSM de conexión).
   // Cuando es así, las curvas deben pintarse con los datos reales sin exigir el
   // toggle "Simular Gráficas" (ese opt-in es sólo para el modo simulado).
-  const { estaConectado } = useConexionVentiladorContext();
+  const { estaConectado, mqtt } = useConexionVentiladorContext();
+  // Repetición de una sesión grabada: mientras está cargada el store sólo
+  // recibe la grabación.
+  const replay = useSessionReplay();
+  const replayActive = replay.active;
+  // Cambios de parámetros enviados en esta sesión (con su motivo)
+  const parameterTimeline = useParameterTimeline();
+
+  // Pulmón simulado local: con "Simular Gráficas" activo y sin ventilador físico,
+  // el modelo de ecuación de movimiento genera las curvas a partir del panel de
+  // control y la mecánica del paciente. El store prioriza el stream del backend
+  // si éste transmite. El comando es el mismo que codificaría la trama serial
+  // (modo, onda de flujo y pausas), para que las curvas coincidan con el equipo.
+  const lungCommand = useMemo(
+    () => commandFromSerialConfig(ventilationMode, waveType, ventilatorData),
+    [ventilationMode, waveType, ventilatorData],
+  );
+  // Guion de deterioro: escala la mecánica basal del paciente y puede imponer
+  // un esfuerzo (undefined = manda el escenario de asincronías elegido).
+  const scenarioRun = useScenarioRunner();
+  const baseMechanics = useMemo(() => mechanicsFromPatientData(patientData), [patientData]);
+  const lungMechanics = useMemo(
+    () => applyScenarioFactors(baseMechanics, scenarioRun.factors),
+    [baseMechanics, scenarioRun.factors],
+  );
+  const localLungActive =
+    chartsEnabled && dataSource === 'simulated' && !serialConnection?.isConnected && !estaConectado && !replayActive;
+  useLocalLungSimulation({
+    enabled: localLungActive,
+    command: lungCommand,
+    mechanics: lungMechanics,
+    scenario: scenarioRun.effort !== undefined ? scenarioRun.effort : ASYNCHRONY_SCENARIOS[asynchronyScenarioId],
+  });
+
+  // Alarmas: se vigila el stream sólo cuando se pintan curvas (mismo gate que
+  // ChartsColumn), para no anunciar apnea/desconexión sin fuente de datos.
+  // En la repetición sólo mientras avanza: en pausa no llegan muestras.
+  const curvesActive = Boolean(serialConnection?.isConnected) || estaConectado || chartsEnabled || replayActive;
+  const alarmEngine = useAlarmEngine({
+    enabled: curvesActive && (!replayActive || replay.status === 'playing'),
+    limits: alarmLimits,
+    referencePeep: Number(ventilatorData?.peep) || 5,
+    onLogEntry: replayActive ? undefined : onAlarmLogEntry,
+  });
+
+  // Pausas inspiratoria/espiratoria: al equipo por trama (serial o MQTT), o al
+  // pulmón local. El ventilador remoto (WebSocket) no las admite desde aquí.
+  const frameSendData = serialConnection?.isConnected
+    ? serialConnection.sendData
+    : mqtt.isConnected
+      ? mqtt.sendFrame
+      : null;
+  const sendHold = useMemo(() => {
+    if (replayActive) return null;
+    if (frameSendData) return (kind, durationS) => frameSendData(SerialProtocol.createHoldFrame(kind, durationS));
+    if (localLungActive) return requestLocalLungHold;
+    return null;
+  }, [frameSendData, localLungActive, replayActive]);
+  const releaseHold = useCallback(() => {
+    if (frameSendData) frameSendData(SerialProtocol.createHoldReleaseFrame());
+    else cancelLocalLungHold();
+  }, [frameSendData]);
+  const holdManeuver = useHoldManeuver({ enabled: curvesActive, sendHold, releaseHold });
+  const holdUnavailableReason = replayActive
+    ? 'No disponible durante la repetición de una sesión'
+    : estaConectado
+      ? 'El ventilador remoto no admite pausas desde el simulador'
+      : 'Active "Simular Gráficas" o conecte el ventilador por serial';
+
+  // Mecánica por respiración: mismo gate que las alarmas. Cada respiración
+  // completa pasa también a la grabación de datos.
+  const breathMechanics = useBreathMechanics({
+    enabled: curvesActive,
+    onBreath: replayActive ? undefined : onBreathMeasured,
+  });
+
+  // Gasometría: el paciente sigue intercambiando gases con o sin curvas; la
+  // respiración medida (si la hay) da el Vt y la frecuencia reales. En la
+  // repetición los gases no avanzan.
+  const bloodGas = useBloodGas({
+    enabled: !replayActive,
+    command: lungCommand,
+    mechanics: lungMechanics,
+    lastBreath: curvesActive && !replayActive ? breathMechanics.last : null,
+    patientData,
+    complianceFactor: scenarioRun.factors.compliance,
+    clinicalCaseId: scenarioRun.clinicalCaseId,
+  });
 
   // Estadísticas medidas del stream WS (memoizadas por buffer): pico/media/PEEP,
   // máx/mín/actual de flujo y volumen.
@@ -164,15 +317,22 @@ const MonitoringTab = ({
   // medido por el equipo; con "Simular Gráficas" los setpoints configurados (PIP
   // en presión, VT en volumen) siguen mandando. Memoizado: sin inyección conserva
   // la identidad de `cardData` para que MetricColumn (React.memo) no se re-renderice.
+  // La mecánica de la última respiración se inyecta con el mismo gate. La
+  // repetición se trata como el equipo real: todo lo que se ve es lo medido.
+  const lastBreath = breathMechanics.last;
   const displayCardData = useMemo(() => {
-    const realVent = Boolean(serialConnection?.isConnected) || estaConectado;
+    const realVent = Boolean(serialConnection?.isConnected) || estaConectado || replayActive;
     const injectLive = realVent || chartsEnabled;
     if (!injectLive || !liveStats) return cardData;
-    return cardData.map((card) => injectLiveCardValue(card, liveStats, ventilationMode, realVent));
-  }, [cardData, serialConnection?.isConnected, estaConectado, chartsEnabled, liveStats, ventilationMode]);
+    return cardData.map((card) => {
+      const live = injectLiveCardValue(card, liveStats, ventilationMode, realVent);
+      return lastBreath ? injectBreathMechanicsValue(live, lastBreath) : live;
+    });
+  }, [cardData, serialConnection?.isConnected, estaConectado, replayActive, chartsEnabled, liveStats, ventilationMode, lastBreath]);
 
   return (
     <Box sx={{ px: { xs: 1, sm: 2 }, pt: 1, pb: 10 }}>
+      <ScenarioNotices />
       <Box sx={{ display: 'flex', flexDirection: { xs: 'column', sm: 'row' }, alignItems: 'flex-start', gap: 1.5 }}>
         
         {/* ── Column 1: Logos + action buttons + metric cards ── */}
@@ -183,6 +343,8 @@ const MonitoringTab = ({
           setDataSource={setDataSource}
           chartsEnabled={chartsEnabled}
           setChartsEnabled={setChartsEnabled}
+          asynchronyScenarioId={asynchronyScenarioId}
+          setAsynchronyScenarioId={setAsynchronyScenarioId}
           serialConnection={serialConnection}
           handleSendConfiguration={handleSendConfiguration}
           handleStopVentilator={handleStopVentilator}
@@ -214,6 +376,17 @@ const MonitoringTab = ({
             handleParameterChange={handleParameterChange}
           />
 
+          <AlarmPanel
+            alarmEngine={alarmEngine}
+            limits={alarmLimits}
+            onLimitsChange={setAlarmLimits}
+            enabled={curvesActive}
+          />
+
+          <BloodGasPanel bloodGas={bloodGas} enabled={!replayActive} />
+
+          <SessionReplayPanel replay={replay} />
+
           {/* Charts */}
           <ChartsColumn
             dataSource={dataSource}
@@ -221,6 +394,11 @@ const MonitoringTab = ({
             serialConnection={serialConnection}
             chartsEnabled={chartsEnabled}
             isRealVentilatorConnected={estaConectado}
+            frozenData={holdManeuver.frozenData}
+            replayOrigin={replayActive ? replay.origin : null}
+            parameterEntries={replayActive ? replay.parameterLog : parameterTimeline.entries}
+            alarmLog={alarmEngine.log}
+            onRationaleChange={replayActive || readOnly ? null : parameterTimeline.setRationale}
           />
         </Box>
 
@@ -237,8 +415,13 @@ const MonitoringTab = ({
           showValidationAlerts={showValidationAlerts}
           setShowValidationAlerts={setShowValidationAlerts}
           handleModeChange={handleModeChange}
+          waveType={waveType}
+          setWaveType={setWaveType}
           isAnalyzing={isAnalyzing}
           handleAIAnalysis={handleAIAnalysis}
+          holdManeuver={holdManeuver}
+          holdUnavailableReason={holdUnavailableReason}
+          canSubmitConfiguration={!readOnly && !replayActive}
         />
 
       </Box>
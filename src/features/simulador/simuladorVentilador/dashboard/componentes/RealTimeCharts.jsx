@@ -1,18 +1,407 @@
-import React from 'react';
-import { Box, Typography } from '@mui/material';
+/*
+ * Funcionalidad: RealTimeCharts
+ * Descripción: Gráfica en tiempo real de una curva del ventilador (presión,
+ *   flujo o volumen) con Chart.js. Sobre la curva marca los eventos que el
+ *   pulmón simulado etiqueta en las lecturas (disparos del paciente y
+ *   asincronías) y, en presión, puede superponer la presión muscular (Pmus).
+ *   LoopChart dibuja los bucles P–V y F–V por respiración: la respiración en
+ *   curso, la última completa, una referencia congelada y, en P–V, resalta el
+ *   tramo final de la inspiración cuando el índice C20/C indica sobredistensión.
+ *   Los cambios de parámetros y las alarmas se marcan con una línea vertical en
+ *   el eje de tiempo; el marcador muestra la diferencia al pasar el cursor y el
+ *   de un cambio de parámetros abre su motivo con un clic.
+ * Versión: 2.2
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import React, { useMemo } from 'react';
+import { Box, Paper, Typography } from '@mui/material';
+import { Line } from 'react-chartjs-2';
+
+// Chart.js registration — must import before any react-chartjs-2 usage
+import '@/features/simulador/conexion/websocket/registro/ChartRegistry';
+
+import { VENTILATOR_EVENT_LABELS } from '@/features/simulador/compartido/simulacion/asynchronyScenarios';
+
+import styles from './ui/RealTimeCharts.module.css';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/**
+ * Color por tipo de evento (el disparo normal del paciente, discreto).
+ * Los chips de conteo de ChartsColumn repiten estos tonos en su CSS Module.
+ */
+export const EVENT_COLORS = {
+  PATIENT_TRIGGER: '#bdbdbd',
+  INEFFECTIVE_EFFORT: '#ffb300',
+  DOUBLE_TRIGGER: '#ab47bc',
+  AUTO_TRIGGER: '#26c6da',
+  FLOW_STARVATION: '#ff7043',
+};
+
+const PMUS_COLOR = '#ffa726';
+
+/** Marcadores del eje de tiempo por tipo de anotación. */
+const ANNOTATION_STYLES = {
+  parameter: { label: 'Cambio de parámetros', color: '#ffd54f', pointStyle: 'rectRot' },
+  alarm: { label: 'Alarma', color: '#ff5252', pointStyle: 'crossRot' },
+};
+
+/** Dataset de anotaciones bajo el puntero, si lo hay. */
+const findAnnotationHit = (chart, elements) => {
+  for (const { datasetIndex, index } of elements) {
+    const dataset = chart.data.datasets[datasetIndex];
+    if (dataset?.annotationKind) return { dataset, point: dataset.data[index] };
+  }
+  return null;
+};
+
+// Línea vertical de cada anotación, de borde a borde del área del gráfico.
+const ANNOTATION_LINES_PLUGIN = {
+  id: 'annotationLines',
+  afterDatasetsDraw(chart) {
+    const { ctx, chartArea, scales } = chart;
+    chart.data.datasets.forEach((dataset) => {
+      if (!dataset.annotationKind || !dataset.data.length) return;
+      ctx.save();
+      ctx.strokeStyle = dataset.borderColor;
+      ctx.lineWidth = 1;
+      ctx.setLineDash([3, 3]);
+      ctx.beginPath();
+      dataset.data.forEach(({ x }) => {
+        const px = scales.x.getPixelForValue(x);
+        if (px < chartArea.left || px > chartArea.right) return;
+        ctx.moveTo(px, chartArea.top);
+        ctx.lineTo(px, chartArea.bottom);
+      });
+      ctx.stroke();
+      ctx.restore();
+    });
+  },
+};
+const CHART_PLUGINS = [ANNOTATION_LINES_PLUGIN];
+
+// Opciones estables por color (identidad constante entre renders → Chart.js no
+// reconstruye escalas en cada update). animation:false + decimation LTTB +
+// parsing:false/normalized:true optimizan el redibujado en tiempo real.
+const buildChartOptions = (color) => ({
+  responsive: true,
+  animation: false,
+  maintainAspectRatio: false,
+  parsing: false,
+  normalized: true,
+  onClick: (_event, elements, chart) => {
+    const hit = findAnnotationHit(chart, elements);
+    hit?.dataset.onAnnotationClick?.(hit.point.annotation.id);
+  },
+  onHover: (_event, elements, chart) => {
+    const clickable = Boolean(findAnnotationHit(chart, elements)?.dataset.onAnnotationClick);
+    chart.canvas.style.cursor = clickable ? 'pointer' : 'default';
+  },
+  plugins: {
+    legend: { display: false },
+    decimation: { enabled: true, algorithm: 'lttb', samples: 120 },
+    tooltip: {
+      // 'nearest' sobre x: con marcadores, 'index' mezclaría puntos de series
+      // de distinto largo
+      mode: 'nearest',
+      axis: 'x',
+      intersect: false,
+      backgroundColor: 'rgba(20,20,20,0.95)',
+      titleColor: '#e0e0e0',
+      bodyColor: color,
+      callbacks: {
+        label: (ctx) => {
+          if (ctx.raw?.annotation) return ctx.raw.annotation.lines;
+          return ctx.raw?.event
+            ? VENTILATOR_EVENT_LABELS[ctx.raw.event]
+            : `${ctx.dataset.label}: ${ctx.parsed.y.toFixed(1)}`;
+        },
+      },
+    },
+  },
+  scales: {
+    x: {
+      type: 'linear',
+      ticks: { color: '#757575', maxTicksLimit: 8, font: { size: 10 } },
+      grid: { color: 'rgba(255,255,255,0.05)' },
+      title: {
+        display: false,
+      },
+    },
+    y: {
+      ticks: { color: '#9e9e9e', font: { size: 10 } },
+      grid: { color: 'rgba(255,255,255,0.07)' },
+    },
+  },
+  elements: {
+    point: { radius: 0 },
+    line: { borderWidth: 1.8, tension: 0.15 },
+  },
+});
+
+const CHART_TYPES = {
+  pressure: { title: 'Presión (cmH₂O)', label: 'Presión', color: '#ef5350' },
+  flow: { title: 'Flujo (L/min)', label: 'Flujo', color: '#42a5f5' },
+  volume: { title: 'Volumen (mL)', label: 'Volumen', color: '#66bb6a' },
+};
+
+// Instancias únicas de opciones (no recrear por render).
+const CHART_OPTIONS = Object.fromEntries(
+  Object.entries(CHART_TYPES).map(([type, { color }]) => [type, buildChartOptions(color)]),
+);
+
+const REFERENCE_COLOR = '#9e9e9e';
+const BEAK_COLOR = '#ff1744';
+
+// Ejes de cada bucle: P–V con volumen en y; F–V con volumen en x (convención
+// de los monitores, inspiración hacia arriba).
+const LOOP_TYPES = {
+  pv: {
+    title: 'Bucle Presión–Volumen',
+    xTitle: 'Presión (cmH₂O)',
+    yTitle: 'Volumen (mL)',
+    color: '#ab47bc',
+    toPoint: (p) => ({ x: p.pressure, y: p.volume }),
+  },
+  fv: {
+    title: 'Bucle Flujo–Volumen',
+    xTitle: 'Volumen (mL)',
+    yTitle: 'Flujo (L/min)',
+    color: '#26a69a',
+    toPoint: (p) => ({ x: p.volume, y: p.flow }),
+  },
+};
+
+// Sin decimación: LTTB exige x ordenada y un bucle vuelve sobre sí mismo.
+const buildLoopOptions = ({ xTitle, yTitle }) => ({
+  responsive: true,
+  animation: false,
+  maintainAspectRatio: false,
+  parsing: false,
+  normalized: true,
+  plugins: {
+    legend: {
+      display: true,
+      position: 'top',
+      align: 'end',
+      labels: { color: '#bdbdbd', boxWidth: 10, font: { size: 10 } },
+    },
+    tooltip: { enabled: false },
+  },
+  scales: {
+    x: {
+      type: 'linear',
+      ticks: { color: '#757575', maxTicksLimit: 6, font: { size: 10 } },
+      grid: { color: 'rgba(255,255,255,0.05)' },
+      title: { display: true, text: xTitle, color: '#9e9e9e', font: { size: 10 } },
+    },
+    y: {
+      ticks: { color: '#9e9e9e', font: { size: 10 } },
+      grid: { color: 'rgba(255,255,255,0.07)' },
+      title: { display: true, text: yTitle, color: '#9e9e9e', font: { size: 10 } },
+    },
+  },
+  elements: {
+    point: { radius: 0 },
+    line: { borderWidth: 1.8, tension: 0 },
+  },
+});
+
+const LOOP_OPTIONS = Object.fromEntries(
+  Object.entries(LOOP_TYPES).map(([type, config]) => [type, buildLoopOptions(config)]),
+);
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/** Valor de la curva en el punto más cercano a x (los puntos vienen ordenados). */
+const valueAt = (points, x) => {
+  let lo = 0;
+  let hi = points.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (points[mid].x < x) lo = mid + 1;
+    else hi = mid;
+  }
+  return points[lo]?.y ?? 0;
+};
+
+// Decimation requiere parsing:false → los puntos ya vienen como {x,y} ordenados.
+const buildDatasets = (points, { color, label }, events, overlay, annotations, onAnnotationClick) => {
+  const datasets = [
+    {
+      label,
+      data: points,
+      borderColor: color,
+      backgroundColor: color + '18',
+      fill: true,
+    },
+  ];
+
+  if (overlay?.length) {
+    datasets.push({
+      label: 'Pmus',
+      data: overlay,
+      borderColor: PMUS_COLOR,
+      borderDash: [4, 3],
+      borderWidth: 1.2,
+      fill: false,
+    });
+  }
+
+  if (events?.length) {
+    datasets.push({
+      label: 'Eventos',
+      data: events.map((e) => ({ x: e.x, y: valueAt(points, e.x), event: e.type })),
+      showLine: false,
+      pointStyle: 'triangle',
+      pointRadius: 6,
+      pointHoverRadius: 8,
+      pointBackgroundColor: events.map((e) => EVENT_COLORS[e.type]),
+      pointBorderColor: events.map((e) => EVENT_COLORS[e.type]),
+    });
+  }
+
+  Object.entries(ANNOTATION_STYLES).forEach(([kind, style]) => {
+    const marks = annotations?.filter((a) => a.kind === kind);
+    if (!marks?.length) return;
+    datasets.push({
+      label: style.label,
+      data: marks.map((a) => ({ x: a.x, y: valueAt(points, a.x), annotation: a })),
+      showLine: false,
+      pointStyle: style.pointStyle,
+      pointRadius: 6,
+      pointHoverRadius: 8,
+      pointHitRadius: 8,
+      pointBorderWidth: 2,
+      pointBackgroundColor: style.color,
+      borderColor: style.color,
+      annotationKind: kind,
+      // Sólo el cambio de parámetros tiene motivo que escribir
+      onAnnotationClick: kind === 'parameter' ? onAnnotationClick : undefined,
+    });
+  });
+
+  return { datasets };
+};
+
+const buildLoopDatasets = (type, { toPoint, color }, current, last, reference) => {
+  const datasets = [];
+
+  if (reference) {
+    datasets.push({
+      label: 'Referencia',
+      data: reference.points.map(toPoint),
+      borderColor: REFERENCE_COLOR,
+      borderDash: [5, 4],
+      borderWidth: 1.4,
+    });
+  }
+
+  if (last) {
+    datasets.push({
+      label: 'Última',
+      data: last.points.map(toPoint),
+      borderColor: color,
+      backgroundColor: color,
+    });
+  }
+
+  if (current?.length) {
+    datasets.push({
+      label: 'En curso',
+      data: current.map(toPoint),
+      borderColor: color + '66',
+      backgroundColor: color + '66',
+      borderWidth: 1.2,
+    });
+  }
+
+  // "Pico de pato": tramo final de la rama inspiratoria con C20/C bajo
+  if (type === 'pv' && last?.overdistension?.overdistended) {
+    const [from, to] = last.overdistension.range;
+    datasets.push({
+      label: 'Sobredistensión',
+      data: last.points.slice(from, to + 1).map(toPoint),
+      borderColor: BEAK_COLOR,
+      backgroundColor: BEAK_COLOR,
+      borderWidth: 3.5,
+    });
+  }
+
+  return { datasets };
+};
+
+// =============================================================================
+// Component
+// =============================================================================
+
+/**
+ * Props:
+ * - type: 'pressure' | 'flow' | 'volume'
+ * - data: ChartDataPoint[] de la curva
+ * - events: ChartEventMarker[] a marcar (opcional)
+ * - overlay: ChartDataPoint[] de Pmus a superponer (opcional)
+ * - annotations: ChartAnnotationMarker[] de cambios de parámetros y alarmas (opcional)
+ * - onAnnotationClick: (id) => void al hacer clic en un cambio de parámetros (opcional)
+ */
+function RealTimeCharts({ type, data, events, overlay, annotations, onAnnotationClick }) {
+  const config = CHART_TYPES[type];
+
+  // Datasets memoizados: sólo se reconstruyen cuando cambian sus puntos.
+  const chartData = useMemo(
+    () => buildDatasets(data, config, events, overlay, annotations, onAnnotationClick),
+    [data, config, events, overlay, annotations, onAnnotationClick],
+  );
+
+  return (
+    <Paper elevation={0} className={`${styles.card} ${styles.curve}`}>
+      <Typography variant="subtitle2" className={styles.title}>
+        {config.title}
+      </Typography>
+      <Box className={styles.canvas}>
+        <Line data={chartData} options={CHART_OPTIONS[type]} plugins={CHART_PLUGINS} />
+      </Box>
+    </Paper>
+  );
+}
 
 /**
- * Placeholder para gráficas en tiempo real (presión, flujo, volumen).
- * Props: type, data, isConnected
+ * Props:
+ * - type: 'pv' | 'fv'
+ * - current: LoopPoint[] de la respiración en curso
+ * - last: BreathLoop | null (última respiración completa)
+ * - reference: BreathLoop | null (referencia congelada)
  */
-function RealTimeCharts({ type, data, isConnected }) {
+function LoopChartComponent({ type, current, last, reference }) {
+  const config = LOOP_TYPES[type];
+
+  const chartData = useMemo(
+    () => buildLoopDatasets(type, config, current, last, reference),
+    [type, config, current, last, reference],
+  );
+
   return (
-    <Box sx={{ width: '100%', height: '100%', display: 'flex', alignItems: 'center', justifyContent: 'center', p: 2 }}>
-      <Typography variant="body2" color="text.secondary">
-        Gráfica {type} {isConnected ? '(conectado)' : '(sin conexión)'}
+    <Paper elevation={0} className={`${styles.card} ${styles.loop}`}>
+      <Typography variant="subtitle2" className={styles.title}>
+        {config.title}
       </Typography>
-    </Box>
+      <Box className={styles.canvas}>
+        <Line data={chartData} options={LOOP_OPTIONS[type]} />
+      </Box>
+    </Paper>
   );
 }
 
-export default RealTimeCharts;
+export const LoopChart = React.memo(LoopChartComponent);
+
+export default React.memo(RealTimeCharts);
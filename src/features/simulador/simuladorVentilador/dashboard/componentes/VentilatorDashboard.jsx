@@ -2,7 +2,19 @@
  * Funcionalidad: VentilatorDashboard
  * Descripción: Dashboard del simulador de ventilador. Orquesta SimuladorTabs con
  *   las tabs Simular Paciente, Monitoreo y Conexión.
- * Versión: 1.1
+ *   Los botones superiores graban la sesión y la descargan en TXT/PDF o en los
+ *   formatos de investigación (CSV, EDF y paquete JSON).
+ *   Cada comando enviado (configuración o cambio de modo) queda en la línea de
+ *   tiempo de cambios de parámetros de la sesión.
+ *   Si el equipo está conectado por MQTT, la trama de configuración se publica
+ *   en su tópico en lugar del puerto serial.
+ *   En una práctica supervisada, quien no tiene el control (el docente que
+ *   observa o el estudiante que lo cedió) ve los controles en solo lectura, y
+ *   el panel refleja los comandos que emite el otro extremo.
+ *   Con un equipo físico (serial, MQTT o WebSocket) cada comando pasa antes por
+ *   el diálogo de confirmación con los interlocks de seguridad del rol, y se
+ *   envía con el confirmationId del preflight para que el backend lo audite.
+ * Versión: 1.6
  * Autor: Marcela Mazo Castro
  * Proyecto: VentyLab
  * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
@@ -19,15 +31,25 @@ import {
   ThemeProvider,
   Menu,
   MenuItem,
+  Divider,
+  IconButton,
+  Tooltip,
 } from '@mui/material';
 import { muiTheme } from '@/styles/mui-overrides';
 import DownloadIcon from '@mui/icons-material/Download';
+import FiberManualRecordIcon from '@mui/icons-material/FiberManualRecord';
+import StopIcon from '@mui/icons-material/Stop';
 
 // Chart.js registration — must be imported before any react-chartjs-2 usage
 import '@/features/simulador/conexion/websocket/registro/ChartRegistry';
 
 // Centralized value color/trend functions
 import { getValueColor, getTrend } from '@/features/simulador/compartido/constantes/ventilator-limits';
+import {
+  buildVentilatorCommand,
+  ventilatorDataFromCommand,
+} from '@/features/simulador/compartido/utils/ventilatorCommand';
+import { recordParameterCommand } from '@/features/simulador/simuladorVentilador/panelControl/utils/parameterTimeline';
 
 // DEV: instrumentación de rendimiento (no-op sin flag NEXT_PUBLIC_DEV_PERF_HUD)
 import { useRenderCount, useHeapLogging } from '@/shared/dev/perfInstrumentation';
@@ -37,6 +59,7 @@ import SimuladorTabs from '@/features/simulador/compartido/navegacion/SimuladorT
 import MonitoringTab from '@/features/simulador/simuladorVentilador/dashboard/componentes/MonitoringTab';
 import { buildCardData } from '../utils/cardDataBuilder';
 import { ConexionVentiladorTab } from '@/features/simulador/conexion/componentes/ConexionVentiladorTab';
+import { useConexionVentiladorContext } from '@/features/simulador/conexion/contexto/ConexionVentiladorContext';
 
 // Hooks
 import { useSerialConnection } from '@/features/simulador/conexion/serial/hooks/useSerialConnection';
@@ -50,6 +73,8 @@ import { usePatientData } from '@/features/simulador/simuladorPaciente/hooks/use
 import { useQRBridge } from '@/features/simulador/compartido/hooks/useQRBridge';
 import { useAIAnalysis } from '@/features/simulador/simuladorVentilador/IAMonitor/hooks/useAIAnalysis';
 import { useVentilatorControls } from '@/features/simulador/simuladorVentilador/panelControl/hooks/useVentilatorControls';
+import { useCommandInterlock } from '@/features/simulador/simuladorVentilador/panelControl/hooks/useCommandInterlock';
+import CommandConfirmationDialog from '@/features/simulador/simuladorVentilador/panelControl/componentes/CommandConfirmationDialog';
 import useDashboardState from '@/features/simulador/simuladorVentilador/dashboard/hooks/useDashboardState';
 // La UI de reserva/conexión del ventilador físico vive en ConexionVentiladorTab (FSM)
 import AIAnalysisPanel from '@/features/simulador/simuladorVentilador/IAMonitor/componentes/AIAnalysisPanel';
@@ -58,6 +83,9 @@ import { useSidebar } from '@/shared/contexts/SidebarContext';
 // Usar el tema centralizado desde mui-overrides.js
 const ventilatorTheme = muiTheme;
 
+// Sustituye a las acciones de los controles en modo solo lectura.
+const ignorar = () => {};
+
 const VentilatorDashboard = ({
   externalVentilatorData,
   externalRealTimeData,
@@ -74,6 +102,7 @@ const VentilatorDashboard = ({
 
   // Hooks principales
   const serialConnection = useSerialConnection();
+  const { mqtt, soloLectura, comandoRemoto, transporte, dispositivo } = useConexionVentiladorContext();
   const {
     ventilatorData: _ventilatorData,
     realTimeData: _realTimeData,
@@ -125,6 +154,7 @@ const VentilatorDashboard = ({
   const dashboardState = useDashboardState({
     // Dependencias externas
     serialConnection,
+    sendMqttFrame: mqtt.isConnected ? mqtt.sendFrame : null,
     ventilatorData,
     setVentilatorData,
     realTimeData,
@@ -150,6 +180,27 @@ const VentilatorDashboard = ({
   // ─── Ventilator controls (REST → backend simulation) ───────────────────────
   const { sendCommand } = useVentilatorControls();
 
+  // ─── Interlocks: sólo los comandos al equipo físico piden confirmación ─────
+  const hardwareTransport = serialConnection.isConnected ? 'serial' : transporte;
+  const deviceId = dispositivo?.deviceId ?? null;
+  const interlock = useCommandInterlock({
+    transport: hardwareTransport,
+    deviceId,
+    compliance: state.complianceData.compliance,
+  });
+
+  /**
+   * Resolves the send options for a command: `{}` in simulation, the
+   * preflight confirmation on real hardware, or null if the user cancelled
+   * (or the interlocks rejected it) and nothing must be sent.
+   */
+  const confirmCommand = useCallback(async (command) => {
+    if (!interlock.active) return {};
+    const confirmationId = await interlock.requestConfirmation(command);
+    if (!confirmationId) return null;
+    return deviceId ? { confirmationId, deviceId } : { confirmationId };
+  }, [interlock.active, interlock.requestConfirmation, deviceId]); // eslint-disable-line react-hooks/exhaustive-deps
+
   // Stable ref so handleModeChange doesn't stale-close over ventilatorData
   const _ventilatorDataRef = useRef(ventilatorData);
   useEffect(() => { _ventilatorDataRef.current = ventilatorData; }, [ventilatorData]);
@@ -158,28 +209,21 @@ const VentilatorDashboard = ({
    * Composed mode-change handler:
    *   1. Updates local dashboard state (ventilationMode + card visibility)
    *   2. Sends a VentilatorCommand to the backend simulation endpoint
+   *   3. Records the command on the session's parameter timeline
    *
-   * sendCommand is a stable useCallback (no deps), so this callback is
-   * created once and never re-created, preventing unnecessary child re-renders.
+   * On real hardware the switch waits for the interlock confirmation and is
+   * dropped entirely if the user cancels.
    */
-  const handleModeChange = useCallback((newMode) => {
+  const handleModeChange = useCallback(async (newMode) => {
+    const command = buildVentilatorCommand(newMode, _ventilatorDataRef.current);
+    const options = await confirmCommand(command);
+    if (!options) return;
     actions.handleModeChange(newMode);
-    const d = _ventilatorDataRef.current;
-    sendCommand({
-      mode: newMode === 'volume' ? 'VCV' : 'PCV',
-      tidalVolume: d.volumen || 500,
-      respiratoryRate: d.frecuencia || 12,
-      peep: d.peep || 5,
-      fio2: (d.fio2 || 21) / 100, // contract: fraction 0.21–1.0
-      ...(d.presionMax ? { pressureLimit: d.presionMax } : {}),
-      ...(d.tiempoInspiratorio ? { inspiratoryTime: d.tiempoInspiratorio } : {}),
-      ...(d.tiempoInspiratorio && d.tiempoEspiratorio
-        ? { ieRatio: `${d.relacionIE1 ?? 1}:${d.relacionIE2 ?? 1}` }
-        : {}),
-    }).catch(() => {
+    recordParameterCommand(command);
+    sendCommand(command, options).catch(() => {
       // Mode switch is local-first; backend errors are non-blocking.
     });
-  }, [actions.handleModeChange, sendCommand]); // eslint-disable-line react-hooks/exhaustive-deps
+  }, [actions.handleModeChange, sendCommand, confirmCommand]); // eslint-disable-line react-hooks/exhaustive-deps
 
   /**
    * Wrapped configuration sender.
@@ -189,30 +233,38 @@ const VentilatorDashboard = ({
    *    - If a synthetic patient is running  → `patientSim.updateCommand()` is called server-side.
    *    - If no patient configured           → backend falls through to MQTT (physical mode).
    *    Either way the call is non-blocking and non-critical from the UI's perspective.
+   * 3. Records the command on the parameter timeline (what changed and when).
+   *
+   * On real hardware nothing leaves the browser (serial/MQTT frame included)
+   * until the interlock confirmation succeeds.
    */
   const handleSendConfigWrapped = useCallback(async () => {
+    const command = buildVentilatorCommand(state.ventilationMode, _ventilatorDataRef.current);
+    const options = await confirmCommand(command);
+    if (!options) return;
+
     await actions.handleSendConfiguration();
 
-    const d = _ventilatorDataRef.current;
-    sendCommand({
-      mode: state.ventilationMode === 'volume' ? 'VCV' : 'PCV',
-      tidalVolume: d.volumen || 500,
-      respiratoryRate: d.frecuencia || 12,
-      peep: d.peep || 5,
-      fio2: (d.fio2 || 21) / 100,
-      ...(d.presionMax ? { pressureLimit: d.presionMax } : {}),
-      ...(d.tiempoInspiratorio ? { inspiratoryTime: d.tiempoInspiratorio } : {}),
-      ...(d.tiempoInspiratorio && d.tiempoEspiratorio
-        ? { ieRatio: `${d.relacionIE1 ?? 1}:${d.relacionIE2 ?? 1}` }
-        : {}),
-    }).catch(() => {
+    recordParameterCommand(command);
+    sendCommand(command, options).catch(() => {
       // Non-blocking: serial flow already notified the user if there was a validation error.
     });
-  }, [actions, sendCommand, state.ventilationMode]);
+  }, [actions, sendCommand, state.ventilationMode, confirmCommand]);
 
   // Hook para códigos QR y compartir
   useQRBridge();
 
+  // ─── Práctica supervisada: reflejar el comando del otro extremo ─────────────
+  // El modo se cambia sólo en local (el comando ya llegó al equipo) y los
+  // parámetros derivados los recalculan los efectos de más abajo.
+  useEffect(() => {
+    if (!comandoRemoto) return;
+    const { mode: remoteMode, data } = ventilatorDataFromCommand(comandoRemoto);
+    if (remoteMode !== state.ventilationMode) actions.handleModeChange(remoteMode);
+    setVentilatorData((prev) => ({ ...prev, ...data }));
+    // eslint-disable-next-line react-hooks/exhaustive-deps -- sólo al llegar un comando nuevo
+  }, [comandoRemoto]);
+
   // ─── Auto-recalculate derived parameters when user inputs change ────────────
   // IMPORTANT: Two separate effects (one per mode) prevent the infinite loop.
   //
@@ -336,16 +388,30 @@ const VentilatorDashboard = ({
         }}
       >
         {/* Botón de grabación */}
-        {/* Eliminado - reemplazado por botón Enviar */}
+        <Tooltip
+          title={dataRecording.isRecording ? 'Detener grabación' : 'Grabar sesión (curvas, cambios, alarmas)'}
+          placement="bottom"
+          arrow
+        >
+          <IconButton
+            onClick={actions.handleToggleRecording}
+            sx={{
+              backgroundColor: 'rgba(255, 255, 255, 0.1)',
+              color: dataRecording.isRecording ? 'error.main' : 'text.secondary',
+            }}
+          >
+            {dataRecording.isRecording ? <StopIcon /> : <FiberManualRecordIcon />}
+          </IconButton>
+        </Tooltip>
 
-        {/* Botón de descarga - OCULTO TEMPORALMENTE */}
-        {/* <Tooltip
-          title="Descargar configuraciones enviadas"
+        {/* Botón de descarga */}
+        <Tooltip
+          title="Descargar grabación"
           placement="bottom"
           arrow
         >
           <IconButton
-            onClick={handleDownloadMenuOpen}
+            onClick={actions.handleDownloadMenuOpen}
             disabled={!dataRecording.hasData}
             sx={{
               backgroundColor: dataRecording.hasData ? 'primary.main' : 'rgba(255, 255, 255, 0.1)',
@@ -357,7 +423,7 @@ const VentilatorDashboard = ({
           >
             <DownloadIcon />
           </IconButton>
-        </Tooltip> */}
+        </Tooltip>
 
         {/* Menú de descarga */}
         <Menu
@@ -381,6 +447,19 @@ const VentilatorDashboard = ({
             <DownloadIcon sx={{ mr: 1 }} />
             Descargar como PDF
           </MenuItem>
+          <Divider />
+          <MenuItem onClick={actions.handleDownloadCsv} disabled={!dataRecording.hasReadings}>
+            <DownloadIcon sx={{ mr: 1 }} />
+            Curvas en CSV
+          </MenuItem>
+          <MenuItem onClick={actions.handleDownloadEdf} disabled={!dataRecording.hasReadings}>
+            <DownloadIcon sx={{ mr: 1 }} />
+            Curvas en EDF
+          </MenuItem>
+          <MenuItem onClick={actions.handleDownloadJson} disabled={!dataRecording.hasReadings}>
+            <DownloadIcon sx={{ mr: 1 }} />
+            Sesión completa (JSON)
+          </MenuItem>
         </Menu>
 
         {/* Indicador de estado de grabación */}
@@ -412,7 +491,7 @@ const VentilatorDashboard = ({
               }}
             />
             <Typography variant="caption" sx={{ fontSize: '10px', color: 'text.secondary' }}>
-              Grabando configuraciones ({dataRecording.recordedData.length} enviadas)
+              Grabando sesión ({dataRecording.recordedData.length} configuraciones enviadas)
             </Typography>
           </Box>
         )}
@@ -456,8 +535,8 @@ const VentilatorDashboard = ({
             dataSource={state.dataSource}
             setDataSource={actions.setDataSource}
             serialConnection={serialConnection}
-            handleSendConfiguration={handleSendConfigWrapped}
-            handleStopVentilator={actions.handleStopVentilator}
+            handleSendConfiguration={soloLectura ? ignorar : handleSendConfigWrapped}
+            handleStopVentilator={soloLectura ? ignorar : actions.handleStopVentilator}
             configSent={state.configSent}
             isAdjustMode={state.isAdjustMode}
             toggleAdjustMode={actions.toggleAdjustMode}
@@ -472,13 +551,16 @@ const VentilatorDashboard = ({
             complianceCardExpanded={state.complianceCardExpanded}
             setComplianceCardExpanded={actions.setComplianceCardExpanded}
             ventilationMode={state.ventilationMode}
-            handleModeChange={handleModeChange}
+            handleModeChange={soloLectura ? ignorar : handleModeChange}
+            waveType={state.waveType}
+            setWaveType={actions.setWaveType}
             getValueColor={getValueColor}
             getTrend={getTrend}
             displayData={state.displayData}
             ventilatorData={ventilatorData}
             parameterValidation={parameterValidation}
-            handleParameterChange={actions.handleParameterChange}
+            handleParameterChange={soloLectura ? ignorar : actions.handleParameterChange}
+            readOnly={soloLectura}
             complianceData={state.complianceData}
             errorDetection={state.errorDetection}
             autoAdjustmentEnabled={state.autoAdjustmentEnabled}
@@ -487,12 +569,16 @@ const VentilatorDashboard = ({
             setShowValidationAlerts={actions.setShowValidationAlerts}
             isAnalyzing={state.isAnalyzing}
             handleAIAnalysis={actions.handleAIAnalysis}
+            onAlarmLogEntry={dataRecording.addAlarmEvent}
+            onBreathMeasured={dataRecording.addBreathMechanics}
           />
         }
 
         connectionContent={<ConexionVentiladorTab />}
       />
 
+      <CommandConfirmationDialog interlock={interlock} transport={hardwareTransport} />
+
       {/* Panel de análisis de IA */}
       <AIAnalysisPanel
         open={state.showAIPanel}
@@ -7,8 +7,20 @@ import {
   useBindVentilatorStream,
 } from '@/features/simulador/conexion/websocket/hooks/useVentilatorData';
 import { getSnapshot } from '@/features/simulador/conexion/websocket/stream/ventilatorStreamStore';
-import { useVentilatorControls } from '@/features/simulador/simuladorVentilador/panelControl/hooks/useVentilatorControls';
+import {
+  clearParameterTimeline,
+  getParameterLog,
+} from '@/features/simulador/simuladorVentilador/panelControl/utils/parameterTimeline';
+import {
+  getScenarioSessionData,
+  unloadScenario,
+} from '@/features/simulador/simuladorPaciente/escenarios/utils/scenarioRunner';
+import {
+  getBloodGasOrders,
+  resetBloodGas,
+} from '@/features/simulador/simuladorVentilador/gasometria/utils/bloodGasStore';
 import { simulatorApi } from '@/features/simulador/compartido/api/simulator.api';
+import { BarraSupervision } from '@/features/simulador/conexion/supervision/componentes/BarraSupervision';
 
 // =============================================================================
 // Types
@@ -29,6 +41,12 @@ interface VentilatorDashboardWrapperProps {
    * This value is persisted to SimulatorSession on unmount.
    */
   isRealVentilator?: boolean;
+
+  /**
+   * A teacher is watching a student's live session. The stream and the
+   * parameter timeline belong to the student, so nothing is persisted.
+   */
+  isObserving?: boolean;
 }
 
 // =============================================================================
@@ -60,37 +78,51 @@ function NoSignalGate() {
  * curvas y tarjetas obtienen los datos directamente del store (ChartsColumn /
  * MonitoringTab), por lo que el wrapper NO recibe ni propaga datos en vivo: así
  * el dashboard deja de re-renderizarse a la cadencia del stream (desacople
- * ingesta → render). La persistencia de sesión lee el buffer del store al
- * desmontar, sin suscribirse por muestra.
+ * ingesta → render). La persistencia de sesión lee el buffer del store y la
+ * línea de tiempo de cambios de parámetros al desmontar, sin suscribirse.
  */
 export function VentilatorDashboardWrapper({
   connectionMode = 'websocket',
   isRealVentilator = false,
+  isObserving = false,
 }: VentilatorDashboardWrapperProps) {
   // Enlaza el socket del contexto al store (no-op en modo serial más abajo).
   // bindSocket NO registra un consumidor del store: el bucle de flush sólo corre
   // cuando hay componentes suscritos (tab Monitoreo).
   useBindVentilatorStream();
-  const controls = useVentilatorControls();
+
+  // Leído al desmontar: la observación puede empezar o terminar con el
+  // dashboard montado.
+  const isObservingRef = useRef(isObserving);
+  useEffect(() => {
+    isObservingRef.current = isObserving;
+  }, [isObserving]);
 
   // -------------------------------------------------------------------------
   // Persistencia de sesión al desmontar.
-  // Refs para que el cleanup vea el último valor sin re-ejecutar el efecto.
-  // Las lecturas se leen del store en el momento del desmontaje (no se rastrean
-  // por muestra, evitando renders del wrapper).
+  // Las lecturas y el parametersLog (cambios con su instante y motivo) se leen
+  // de sus stores en el momento del desmontaje (no se rastrean por muestra,
+  // evitando renders del wrapper). Si corrió un guion de deterioro, su
+  // registro de eventos y el caso clínico se guardan con la sesión.
   // -------------------------------------------------------------------------
-  const historyRef = useRef(controls.commandHistory);
-  useEffect(() => { historyRef.current = controls.commandHistory; }, [controls.commandHistory]);
-
   useEffect(() => {
     return () => {
       const readings = getSnapshot().data;
-      const commands = historyRef.current;
+      const parametersLog = getParameterLog();
+      const scenario = getScenarioSessionData();
+      const bloodGases = getBloodGasOrders();
+      clearParameterTimeline();
+      unloadScenario();
+      resetBloodGas();
+      if (isObservingRef.current) return; // the student's session, not ours
       if (readings.length === 0) return; // nothing to save
       simulatorApi.saveSession({
         isRealVentilator,
-        parametersLog: commands,
+        parametersLog,
         ventilatorData: readings,
+        ...(scenario ? { scenarioLog: scenario.scenarioLog } : {}),
+        ...(scenario?.clinicalCaseId ? { clinicalCaseId: scenario.clinicalCaseId } : {}),
+        ...(bloodGases ? { bloodGases } : {}),
       }).catch((err) => {
         console.error('[VentilatorDashboardWrapper] Session save failed:', err);
       });
@@ -105,7 +137,8 @@ export function VentilatorDashboardWrapper({
 
   return (
     <>
-      {isRealVentilator && <NoSignalGate />}
+      {(isRealVentilator || isObserving) && <NoSignalGate />}
+      <BarraSupervision />
       <VentilatorDashboard />
     </>
   );
@@ -3,6 +3,8 @@ import { SerialProtocol } from '@/features/simulador/conexion/serial/utils/seria
 import { useCardConfig } from './useCardConfig';
 import { useNotifications } from '@/features/simulador/compartido/hooks/useNotifications';
 import { useDataExport } from '@/features/simulador/compartido/hooks/useDataExport';
+import { configureSyntheticEmitter } from '@/features/simulador/conexion/websocket/dev/syntheticVentilatorEmitter';
+import type { SerialWaveType } from '@/features/simulador/compartido/simulacion/serialModes';
 import type { VentilatorData, VentilationMode, RealTimeData } from '@/features/simulador/compartido/tipos/simulator.types';
 
 /**
@@ -66,6 +68,8 @@ interface ErrorDetectionResult {
 
 interface DashboardDeps {
   serialConnection: SerialConnectionHook;
+  /** Publica tramas por MQTT cuando el equipo está conectado por ese canal. */
+  sendMqttFrame: ((frame: string) => Promise<boolean>) | null;
   ventilatorData: VentilatorData;
   setVentilatorData: React.Dispatch<React.SetStateAction<VentilatorData>>;
   realTimeData: RealTimeData;
@@ -93,6 +97,7 @@ interface DashboardDeps {
 
 const useDashboardState = ({
   serialConnection,
+  sendMqttFrame,
   ventilatorData,
   setVentilatorData,
   realTimeData,
@@ -114,6 +119,7 @@ const useDashboardState = ({
 
   // ==================== CORE STATE ====================
   const [ventilationMode, setVentilationMode] = useState<VentilationMode>('volume');
+  const [waveType, setWaveType] = useState<SerialWaveType>('Escalon');
   const [configSent, setConfigSent] = useState(false);
   const [dataSource, setDataSource] = useState<'real' | 'simulated'>('real');
   const [realDataBackup, setRealDataBackup] = useState<VentilatorData | null>(null);
@@ -129,7 +135,11 @@ const useDashboardState = ({
   // ==================== SUB-HOOKS ====================
   const { notification, notify, setNotification } = useNotifications();
   const cardConfig = useCardConfig();
-  const dataExport = useDataExport(dataRecording, notify);
+  const exportContext = useMemo(
+    () => ({ ventilationMode, ventilatorData, patientData }),
+    [ventilationMode, ventilatorData, patientData],
+  );
+  const dataExport = useDataExport(dataRecording, notify, exportContext);
 
   // ==================== REFS (stable references for effects) ====================
   const ventilatorDataRef = useRef(ventilatorData);
@@ -394,8 +404,12 @@ const useDashboardState = ({
     }
 
     const mode = ventilationMode === 'volume' ? 'Volumen control' : 'Presion control';
-    const configFrame = SerialProtocol.createConfigFrame(mode, ventilatorData);
-    await serialConnection.sendData(configFrame);
+    const configFrame = SerialProtocol.createConfigFrame(mode, waveType, ventilatorData);
+    // La trama va al equipo por el canal abierto: serial o MQTT.
+    if (!serialConnection.isConnected && sendMqttFrame) await sendMqttFrame(configFrame);
+    else await serialConnection.sendData(configFrame);
+    // Sin ventilador físico, el emisor de dev replica la misma configuración
+    configureSyntheticEmitter(mode, waveType, ventilatorData);
     setConfigSent(true);
 
     dataExport.recordSentConfig(ventilationMode, ventilatorData, configFrame);
@@ -410,7 +424,7 @@ const useDashboardState = ({
     }
 
     setTimeout(() => setConfigSent(false), 3000);
-  }, [ventilatorData, ventilationMode, parameterValidation, serialConnection, dataRecording, complianceDataCalculated, notify, dataExport]);
+  }, [ventilatorData, ventilationMode, waveType, parameterValidation, serialConnection, sendMqttFrame, dataRecording, complianceDataCalculated, notify, dataExport]);
 
   const handleParameterChange = useCallback((parameter: string, value: number) => {
     setVentilatorData((prev) => ({ ...prev, [parameter]: value }));
@@ -459,6 +473,7 @@ const useDashboardState = ({
   return {
     state: {
       ventilationMode,
+      waveType,
       configSent,
       dataSource,
       isAdjustMode: cardConfig.isAdjustMode,
@@ -483,6 +498,7 @@ const useDashboardState = ({
     },
     actions: {
       setVentilationMode,
+      setWaveType,
       setDataSource,
       setShowAIPanel,
       setAutoAdjustmentEnabled,
@@ -510,6 +526,9 @@ const useDashboardState = ({
       handleDownloadMenuClose: dataExport.handleDownloadMenuClose,
       handleDownloadTxt: dataExport.handleDownloadTxt,
       handleDownloadPdf: dataExport.handleDownloadPdf,
+      handleDownloadCsv: dataExport.handleDownloadCsv,
+      handleDownloadEdf: dataExport.handleDownloadEdf,
+      handleDownloadJson: dataExport.handleDownloadJson,
       handleToggleRecording: dataExport.handleToggleRecording,
       downloadSentConfigData: dataExport.downloadSentConfigData,
 
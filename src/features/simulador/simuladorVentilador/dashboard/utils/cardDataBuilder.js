@@ -4,6 +4,20 @@ const getMin = arr => arr.length ? Math.min(...arr).toFixed(1) : '--';
 const getAvg = arr => arr.length ? (arr.reduce((a, b) => a + b, 0) / arr.length).toFixed(1) : '--';
 const getLast = arr => arr.length ? arr[arr.length - 1].toFixed(1) : '--';
 
+// Tarjetas de mecánica por respiración: campo de BreathMechanics, unidad y decimales
+export const BREATH_MECHANICS_CARDS = {
+  vti: { label: 'Vti', field: 'vti', unit: 'mL', decimals: 0 },
+  vte: { label: 'Vte', field: 'vte', unit: 'mL', decimals: 0 },
+  presionDistension: { label: 'Presión Distensión', field: 'drivingPressure', unit: 'cmH₂O', decimals: 1 },
+  complianceEstatica: { label: 'Cest', field: 'staticCompliance', unit: 'mL/cmH₂O', decimals: 1 },
+  complianceDinamica: { label: 'Cdin', field: 'dynamicCompliance', unit: 'mL/cmH₂O', decimals: 1 },
+  resistencia: { label: 'Raw', field: 'resistance', unit: 'cmH₂O/L/s', decimals: 1 },
+  constanteTiempo: { label: 'Constante τ', field: 'timeConstant', unit: 's', decimals: 2 },
+  potenciaMecanica: { label: 'Potencia Mecánica', field: 'mechanicalPower', unit: 'J/min', decimals: 1 },
+  peepIntrinseca: { label: 'PEEPi', field: 'intrinsicPeep', unit: 'cmH₂O', decimals: 1 },
+  presionPlaton: { label: 'Presión Platón', field: 'plateauPressure', unit: 'cmH₂O', decimals: 1 },
+};
+
 export const buildCardData = (state, ventilatorData, integratedVolume, resetIntegratedVolume) => {
   const cardDataMap = {
     presionPico: {
@@ -105,14 +119,15 @@ export const buildCardData = (state, ventilatorData, integratedVolume, resetInte
       rawValue: ventilatorData.presionTanque || 0,
       isConfigured: !!ventilatorData.presionTanque
     },
-    presionPlaton: {
-      label: 'Presión Platón',
-      // Placeholder para presión plateau cuando esté implementado
-      value: '--',
-      unit: 'cmH₂O',
-      rawValue: 0,
-      isConfigured: false
-    },
+    // Mecánica por respiración (incluye Presión Platón, que requiere pausa
+    // inspiratoria): '--' hasta que MonitoringTab inyecta la última respiración
+    // medida (useBreathMechanics)
+    ...Object.fromEntries(
+      Object.entries(BREATH_MECHANICS_CARDS).map(([id, { label, unit }]) => [
+        id,
+        { label, value: '--', unit, rawValue: 0, isConfigured: false },
+      ])
+    ),
   };
 
   return state.cardConfig
@@ -0,0 +1,110 @@
+/*
+ * Funcionalidad: BloodGasPanel
+ * Descripción: Barra de laboratorio del tab Monitoreo. Muestra la SpO₂ del
+ *   pulsioxímetro en vivo y el resumen de la última gasometría, y permite
+ *   ordenar una nueva: la muestra se toma con los gases del modelo en ese
+ *   instante y se abre la hoja de resultados. Con un guion de deterioro en
+ *   curso la orden queda anotada en su registro.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import { useState } from 'react';
+import { Badge, Box, Button, Chip, IconButton, Paper, Tooltip, Typography } from '@mui/material';
+import ScienceIcon from '@mui/icons-material/Science';
+import ListAltIcon from '@mui/icons-material/ListAlt';
+
+import type { UseBloodGasReturn } from '../hooks/useBloodGas';
+import { BLOOD_GAS_FIELDS, flagOf, formatGasValue } from '../utils/bloodGasFields';
+import { BloodGasResultsDialog } from './BloodGasResultsDialog';
+import styles from './ui/BloodGas.module.css';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** Campos del resumen de la última muestra. */
+const SUMMARY_KEYS = new Set(['ph', 'pao2', 'paco2', 'pfRatio']);
+const SUMMARY_FIELDS = BLOOD_GAS_FIELDS.filter((f) => SUMMARY_KEYS.has(f.key));
+const SPO2_FIELD = BLOOD_GAS_FIELDS.find((f) => f.key === 'spo2')!;
+
+// =============================================================================
+// Component
+// =============================================================================
+
+interface BloodGasPanelProps {
+  bloodGas: UseBloodGasReturn;
+  /** Falso durante la repetición: no se ordenan muestras. */
+  enabled: boolean;
+}
+
+export function BloodGasPanel({ bloodGas, enabled }: BloodGasPanelProps) {
+  const [resultsOpen, setResultsOpen] = useState(false);
+  const { current, orders, order } = bloodGas;
+  const latest = orders.at(-1);
+  const spo2Low = current ? flagOf(SPO2_FIELD, current.spo2) !== null : false;
+
+  const handleOrder = () => {
+    if (order()) setResultsOpen(true);
+  };
+
+  return (
+    <Paper elevation={0} className={styles.panel!}>
+      <ScienceIcon fontSize="small" className={styles.icon!} />
+
+      <Tooltip title="Pulsioximetría continua">
+        <Chip
+          size="small"
+          label={current ? `SpO₂ ${formatGasValue(SPO2_FIELD, current.spo2)} %` : 'SpO₂ --'}
+          className={spo2Low ? `${styles.spo2} ${styles.spo2Low}` : styles.spo2!}
+        />
+      </Tooltip>
+
+      <Box className={styles.summary!}>
+        {latest ? (
+          <>
+            <Typography variant="caption" className={styles.muted!}>
+              Última gasometría:
+            </Typography>
+            {SUMMARY_FIELDS.map((field) => {
+              const value = latest[field.key];
+              return (
+                <Typography
+                  key={field.key}
+                  variant="caption"
+                  className={flagOf(field, value) ? `${styles.value} ${styles.valueFlagged}` : styles.value!}
+                >
+                  {field.label} {formatGasValue(field, value)}
+                </Typography>
+              );
+            })}
+          </>
+        ) : (
+          <Typography variant="caption" className={styles.muted!}>
+            Sin gasometrías en esta sesión
+          </Typography>
+        )}
+      </Box>
+
+      <Button size="small" variant="outlined" onClick={handleOrder} disabled={!enabled || !current}>
+        Ordenar gasometría
+      </Button>
+      <Tooltip title="Resultados de laboratorio">
+        <IconButton size="small" onClick={() => setResultsOpen(true)} className={styles.icon!}>
+          <Badge badgeContent={orders.length} color="primary">
+            <ListAltIcon fontSize="small" />
+          </Badge>
+        </IconButton>
+      </Tooltip>
+
+      <BloodGasResultsDialog open={resultsOpen} onClose={() => setResultsOpen(false)} orders={orders} />
+    </Paper>
+  );
+}
+
+export default BloodGasPanel;
@@ -0,0 +1,153 @@
+/*
+ * Funcionalidad: BloodGasResultsDialog
+ * Descripción: Hoja de laboratorio con las gasometrías ordenadas en la sesión:
+ *   una columna por muestra (la más reciente primero) con los ajustes del
+ *   ventilador en que se tomó, los valores fuera de rango resaltados y la
+ *   lectura ácido-base de la última muestra.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import {
+  Alert,
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Typography,
+} from '@mui/material';
+
+import type { BloodGasOrder } from '@/contracts/patient.contracts';
+import { BLOOD_GAS_FIELDS, flagOf, formatGasValue, interpretBloodGas } from '../utils/bloodGasFields';
+import styles from './ui/BloodGas.module.css';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const FLAG_CLASSES = { low: styles.flagLow!, high: styles.flagHigh! } as const;
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+const timeOf = (timestamp: number): string =>
+  new Date(timestamp).toLocaleTimeString('es-CO', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+
+function scenarioClock(seconds: number): string {
+  const s = Math.round(seconds);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+const settingsOf = ({ settings }: BloodGasOrder): string =>
+  `FiO₂ ${Math.round(settings.fio2 * 100)} % · PEEP ${settings.peep} · VE ${settings.minuteVentilation.toFixed(1)} L/min`;
+
+// =============================================================================
+// Component
+// =============================================================================
+
+interface BloodGasResultsDialogProps {
+  open: boolean;
+  onClose: () => void;
+  orders: BloodGasOrder[];
+}
+
+export function BloodGasResultsDialog({ open, onClose, orders }: BloodGasResultsDialogProps) {
+  const recentFirst = [...orders].reverse();
+  const latest = recentFirst[0];
+  const findings = latest ? interpretBloodGas(latest) : [];
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="lg" fullWidth className={styles.dialog!}>
+      <DialogTitle>Gasometrías arteriales</DialogTitle>
+      <DialogContent dividers>
+        {!latest ? (
+          <Typography variant="body2" className={styles.secondary!}>
+            Todavía no se ha ordenado ninguna gasometría en esta sesión.
+          </Typography>
+        ) : (
+          <>
+            <Alert severity={findings.length > 0 ? 'warning' : 'success'} className={styles.reading!}>
+              <strong>Última muestra ({timeOf(latest.timestamp)}):</strong>{' '}
+              {findings.length > 0 ? findings.join(' · ') : 'Gases dentro de rango.'}
+            </Alert>
+
+            <TableContainer className={styles.table!}>
+              <Table size="small" stickyHeader>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Parámetro</TableCell>
+                    <TableCell>Referencia</TableCell>
+                    {recentFirst.map((o) => (
+                      <TableCell key={o.id} align="right">
+                        <Box className={styles.sampleTime!}>{timeOf(o.timestamp)}</Box>
+                        {o.scenarioElapsedSeconds !== undefined && (
+                          <Box className={styles.sampleMeta!}>
+                            guion {scenarioClock(o.scenarioElapsedSeconds)}
+                          </Box>
+                        )}
+                        <Box className={`${styles.sampleMeta} ${styles.sampleSettings}`}>{settingsOf(o)}</Box>
+                      </TableCell>
+                    ))}
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {BLOOD_GAS_FIELDS.map((field) => (
+                    <TableRow key={field.key}>
+                      <TableCell className={styles.field!}>
+                        {field.label}
+                        {field.unit && (
+                          <Typography component="span" variant="caption" className={styles.unit!}>
+                            {field.unit}
+                          </Typography>
+                        )}
+                      </TableCell>
+                      <TableCell className={styles.range!}>
+                        {field.high === null ? `≥ ${field.low}` : `${field.low} – ${field.high}`}
+                      </TableCell>
+                      {recentFirst.map((o) => {
+                        const value = o[field.key];
+                        const flag = flagOf(field, value);
+                        return (
+                          <TableCell
+                            key={o.id}
+                            align="right"
+                            {...(flag && { className: FLAG_CLASSES[flag] })}
+                          >
+                            {formatGasValue(field, value)}
+                            {flag === 'low' ? ' ↓' : flag === 'high' ? ' ↑' : ''}
+                          </TableCell>
+                        );
+                      })}
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+            <Typography variant="caption" className={styles.footnote!}>
+              Valores estimados por el modelo de intercambio gaseoso del simulador con los ajustes del momento.
+            </Typography>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cerrar</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default BloodGasResultsDialog;
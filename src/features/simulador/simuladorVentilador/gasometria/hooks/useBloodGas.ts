@@ -0,0 +1,164 @@
+/*
+ * Funcionalidad: useBloodGas
+ * Descripción: Conecta el modelo de intercambio gaseoso con el simulador.
+ *   Arma sus entradas con los ajustes del panel, la última respiración medida
+ *   (Vt y frecuencia reales) y la patología: la del caso clínico cuyo guion está
+ *   cargado o, sin caso, las condiciones del paciente. Con un caso, el paciente
+ *   parte de la gasometría de ingreso guardada en ClinicalCase.labData.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import { useEffect, useMemo, useSyncExternalStore } from 'react';
+import useSWR from 'swr';
+
+import type { BloodGasOrder } from '@/contracts/patient.contracts';
+import { getCaseById } from '@/features/evaluation/services/evaluationService';
+import {
+  bloodGasFromLabData,
+  deliveredTidalVolume,
+  gasProfileFromConditions,
+  gasProfileFromPathology,
+  type GasExchangeInputs,
+} from '@/features/simulador/compartido/simulacion/gasExchangeModel';
+import type {
+  LungMechanics,
+  RespiratoryConditionFlags,
+  SimulatedCommand,
+} from '@/features/simulador/compartido/simulacion/lungModel';
+import type { BreathMechanics } from '@/features/simulador/compartido/utils/respiratoryMechanics';
+import {
+  advanceBloodGas,
+  getBloodGasSnapshot,
+  orderBloodGas,
+  seedBloodGas,
+  subscribeBloodGas,
+  type BloodGasSnapshot,
+} from '../utils/bloodGasStore';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+/** Lo que el hook lee de PatientDataContext. */
+interface PatientDataLike {
+  respiratoryConditions?: RespiratoryConditionFlags | null;
+  patientBasicData?: { pesoCorporalIdeal?: string | number; pesoActual?: string | number } | null;
+}
+
+/** Campos del ClinicalCase que usa el modelo. */
+interface CaseGasData {
+  pathology: string | null;
+  patientWeight: number | null;
+  labData: unknown;
+}
+
+export interface UseBloodGasOptions {
+  /** Falso durante la repetición de una sesión: los gases no avanzan. */
+  enabled: boolean;
+  /** Ajustes del panel (el mismo comando que recibe el pulmón local). */
+  command: SimulatedCommand;
+  /** Mecánica actual del pulmón, para el Vt en presión control. */
+  mechanics: LungMechanics;
+  /** Última respiración medida; null si no hay curvas. */
+  lastBreath: Pick<BreathMechanics, 'vte' | 'respiratoryRate'> | null;
+  patientData: PatientDataLike | null | undefined;
+  /** Factor de compliance del guion en curso (1 = basal). */
+  complianceFactor: number;
+  /** Caso del guion cargado (null sin caso). */
+  clinicalCaseId: string | null;
+}
+
+export interface UseBloodGasReturn extends BloodGasSnapshot {
+  order: () => BloodGasOrder | null;
+}
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const CASE_GAS_KEY = 'cases/blood-gas';
+const TICK_MS = 2000;
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+function patientWeight(patientData: PatientDataLike | null | undefined): number | null {
+  const basic = patientData?.patientBasicData;
+  const weight = Number(basic?.pesoCorporalIdeal || basic?.pesoActual);
+  return Number.isFinite(weight) && weight > 0 ? weight : null;
+}
+
+async function fetchCaseGasData([, id]: [string, string]): Promise<CaseGasData> {
+  const result = await getCaseById(id);
+  if (!result.success) {
+    throw new Error(('error' in result && result.error) || 'Error al consultar el caso clínico');
+  }
+  const clinicalCase = result.data?.case ?? {};
+  return {
+    pathology: clinicalCase.pathology ?? null,
+    patientWeight: Number(clinicalCase.patientWeight) || null,
+    labData: clinicalCase.labData ?? null,
+  };
+}
+
+const order = () => orderBloodGas();
+
+// =============================================================================
+// Hook
+// =============================================================================
+
+export function useBloodGas({
+  enabled,
+  command,
+  mechanics,
+  lastBreath,
+  patientData,
+  complianceFactor,
+  clinicalCaseId,
+}: UseBloodGasOptions): UseBloodGasReturn {
+  const { data: caseData } = useSWR<CaseGasData>(
+    clinicalCaseId ? [CASE_GAS_KEY, clinicalCaseId] : null,
+    fetchCaseGasData,
+  );
+
+  // Con un caso, el paciente se siembra cuando llega su gasometría de ingreso.
+  const caseReady = !clinicalCaseId || caseData !== undefined;
+  const baseline = useMemo(() => bloodGasFromLabData(caseData?.labData), [caseData]);
+  useEffect(() => {
+    if (caseReady) seedBloodGas(clinicalCaseId, clinicalCaseId ? baseline : null);
+  }, [caseReady, clinicalCaseId, baseline]);
+
+  const measuredVt = lastBreath && lastBreath.vte > 0 ? lastBreath.vte : null;
+  const measuredRate = lastBreath && lastBreath.respiratoryRate > 0 ? lastBreath.respiratoryRate : null;
+  const inputs = useMemo<GasExchangeInputs>(() => {
+    const weightKg = caseData?.patientWeight ?? patientWeight(patientData);
+    return {
+      fio2: command.fio2,
+      peep: command.peep,
+      tidalVolume: measuredVt ?? deliveredTidalVolume(command, mechanics.compliance),
+      respiratoryRate: measuredRate ?? command.respiratoryRate,
+      profile: caseData
+        ? gasProfileFromPathology(caseData.pathology)
+        : gasProfileFromConditions(patientData?.respiratoryConditions),
+      complianceFactor,
+      ...(weightKg ? { weightKg } : {}),
+    };
+  }, [command, mechanics.compliance, measuredVt, measuredRate, caseData, patientData, complianceFactor]);
+
+  useEffect(() => {
+    if (!enabled || !caseReady) return;
+    advanceBloodGas(inputs);
+    const timer = setInterval(() => advanceBloodGas(inputs), TICK_MS);
+    return () => clearInterval(timer);
+  }, [enabled, caseReady, inputs]);
+
+  const snapshot = useSyncExternalStore(subscribeBloodGas, getBloodGasSnapshot, getBloodGasSnapshot);
+  return { ...snapshot, order };
+}
@@ -0,0 +1,85 @@
+/*
+ * Funcionalidad: bloodGasFields
+ * Descripción: Campos de la gasometría con su unidad y rango de referencia, y
+ *   una lectura básica del trastorno ácido-base y de la oxigenación para que el
+ *   estudiante relacione los gases con los ajustes que acaba de hacer.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import type { SimulatedBloodGas } from '@/contracts/patient.contracts';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+export interface BloodGasField {
+  key: keyof SimulatedBloodGas;
+  label: string;
+  unit: string;
+  decimals: number;
+  /** Rango de referencia; sin límite superior para la relación P/F. */
+  low: number;
+  high: number | null;
+}
+
+export type BloodGasFlag = 'low' | 'high' | null;
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+export const BLOOD_GAS_FIELDS: BloodGasField[] = [
+  { key: 'ph', label: 'pH', unit: '', decimals: 2, low: 7.35, high: 7.45 },
+  { key: 'pao2', label: 'PaO₂', unit: 'mmHg', decimals: 0, low: 80, high: 100 },
+  { key: 'paco2', label: 'PaCO₂', unit: 'mmHg', decimals: 0, low: 35, high: 45 },
+  { key: 'hco3', label: 'HCO₃⁻', unit: 'mEq/L', decimals: 1, low: 22, high: 26 },
+  { key: 'baseExcess', label: 'EB', unit: 'mEq/L', decimals: 1, low: -2, high: 2 },
+  { key: 'spo2', label: 'SpO₂', unit: '%', decimals: 0, low: 92, high: null },
+  { key: 'pfRatio', label: 'PaO₂/FiO₂', unit: 'mmHg', decimals: 0, low: 300, high: null },
+];
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+export function flagOf(field: BloodGasField, value: number): BloodGasFlag {
+  if (value < field.low) return 'low';
+  if (field.high !== null && value > field.high) return 'high';
+  return null;
+}
+
+export function formatGasValue(field: BloodGasField, value: number): string {
+  return value.toFixed(field.decimals);
+}
+
+/** Trastorno ácido-base y grado de hipoxemia, en frases cortas. */
+export function interpretBloodGas(gas: SimulatedBloodGas): string[] {
+  const out: string[] = [];
+  const { ph, paco2, hco3, pao2, pfRatio } = gas;
+
+  if (ph < 7.35) {
+    if (paco2 > 45) out.push(hco3 > 26 ? 'Acidosis respiratoria parcialmente compensada' : 'Acidosis respiratoria');
+    if (hco3 < 22) out.push('Acidosis metabólica');
+  } else if (ph > 7.45) {
+    if (paco2 < 35) out.push('Alcalosis respiratoria');
+    if (hco3 > 26) out.push('Alcalosis metabólica');
+  } else if (paco2 > 45 && hco3 > 26) {
+    out.push('Acidosis respiratoria compensada');
+  } else if (paco2 < 35) {
+    out.push('Hipocapnia');
+  }
+
+  if (pao2 < 60) out.push('Hipoxemia');
+  else if (pao2 > 150) out.push('Hiperoxemia: considere bajar la FiO₂');
+  if (pfRatio < 100) out.push('PaO₂/FiO₂ < 100 (rango de SDRA grave)');
+  else if (pfRatio < 200) out.push('PaO₂/FiO₂ 100–200 (rango de SDRA moderado)');
+  else if (pfRatio < 300) out.push('PaO₂/FiO₂ 200–300 (rango de SDRA leve)');
+
+  return out;
+}
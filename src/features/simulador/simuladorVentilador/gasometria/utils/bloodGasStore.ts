@@ -0,0 +1,148 @@
+/*
+ * Funcionalidad: bloodGasStore
+ * Descripción: Gases arteriales del paciente simulado (SINGLETON, como la línea
+ *   de tiempo de parámetros). El modelo de intercambio gaseoso sigue vivo
+ *   aunque el tab Monitoreo se desmonte: al volver se avanza el tiempo
+ *   transcurrido, como le pasaría al paciente real. Guarda también las
+ *   gasometrías que el estudiante ordenó, que van a la sesión guardada.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import type {
+  ArterialBloodGas,
+  BloodGasOrder,
+  BloodGasSettings,
+  SimulatedBloodGas,
+} from '@/contracts/patient.contracts';
+import {
+  GasExchangeModel,
+  type GasExchangeInputs,
+} from '@/features/simulador/compartido/simulacion/gasExchangeModel';
+import { logScenarioBloodGas } from '@/features/simulador/simuladorPaciente/escenarios/utils/scenarioRunner';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+export interface BloodGasSnapshot {
+  /** Gases en este momento; null hasta el primer paso del modelo. */
+  current: SimulatedBloodGas | null;
+  /** Ajustes del último paso (los de la próxima muestra). */
+  settings: BloodGasSettings | null;
+  /** Gasometrías ordenadas en la sesión, en orden de toma. */
+  orders: BloodGasOrder[];
+}
+
+type Listener = () => void;
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** Tiempo máximo que se recupera al volver al tab (s). */
+const MAX_CATCH_UP_S = 600;
+
+const EMPTY: BloodGasSnapshot = { current: null, settings: null, orders: [] };
+
+// =============================================================================
+// Estado interno del singleton
+// =============================================================================
+
+let snapshot: BloodGasSnapshot = EMPTY;
+let model: GasExchangeModel | null = null;
+let lastTick: number | null = null;
+/** Caso con cuya gasometría de ingreso se sembró el modelo. */
+let seededCaseId: string | null = null;
+let pendingBaseline: Partial<ArterialBloodGas> | null = null;
+let nextOrderId = 1;
+const listeners = new Set<Listener>();
+
+function publish(next: BloodGasSnapshot): void {
+  snapshot = next;
+  listeners.forEach((fn) => fn());
+}
+
+// =============================================================================
+// API
+// =============================================================================
+
+/**
+ * Hace que el paciente parta de la gasometría de ingreso del caso. Sólo
+ * reinicia el modelo cuando cambia el caso, no al volver a montar el tab.
+ */
+export function seedBloodGas(clinicalCaseId: string | null, baseline: Partial<ArterialBloodGas> | null): void {
+  if (clinicalCaseId === seededCaseId) return;
+  seededCaseId = clinicalCaseId;
+  pendingBaseline = baseline;
+  model = null;
+  lastTick = null;
+}
+
+/** Avanza el modelo hasta `now` con los ajustes actuales. */
+export function advanceBloodGas(inputs: GasExchangeInputs, now = Date.now()): void {
+  if (!model) {
+    model = pendingBaseline
+      ? GasExchangeModel.fromBloodGas(pendingBaseline, inputs)
+      : GasExchangeModel.atSteadyState(inputs);
+    pendingBaseline = null;
+    lastTick = now;
+  }
+  const dt = lastTick === null ? 0 : Math.min((now - lastTick) / 1000, MAX_CATCH_UP_S);
+  lastTick = now;
+  publish({
+    ...snapshot,
+    current: model.advance(dt, inputs),
+    settings: {
+      fio2: inputs.fio2,
+      peep: inputs.peep,
+      minuteVentilation: (inputs.tidalVolume * inputs.respiratoryRate) / 1000,
+    },
+  });
+}
+
+/** Toma una gasometría con los gases actuales (null si el modelo no arrancó). */
+export function orderBloodGas(now = Date.now()): BloodGasOrder | null {
+  const { current, settings } = snapshot;
+  if (!current || !settings) return null;
+  const scenarioElapsedSeconds = logScenarioBloodGas(now);
+  const order: BloodGasOrder = {
+    ...current,
+    id: `gasometria-${nextOrderId++}`,
+    timestamp: now,
+    settings,
+    ...(scenarioElapsedSeconds !== null ? { scenarioElapsedSeconds } : {}),
+  };
+  publish({ ...snapshot, orders: [...snapshot.orders, order] });
+  return order;
+}
+
+/** Gasometrías para SimulatorSession.bloodGases (null si no se ordenó ninguna). */
+export function getBloodGasOrders(): BloodGasOrder[] | null {
+  return snapshot.orders.length > 0 ? snapshot.orders : null;
+}
+
+/** Olvida el paciente y las gasometrías (al cerrar la sesión del simulador). */
+export function resetBloodGas(): void {
+  model = null;
+  lastTick = null;
+  seededCaseId = null;
+  pendingBaseline = null;
+  if (snapshot !== EMPTY) publish(EMPTY);
+}
+
+export function subscribeBloodGas(listener: Listener): () => void {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+}
+
+export function getBloodGasSnapshot(): BloodGasSnapshot {
+  return snapshot;
+}
@@ -0,0 +1,68 @@
+/*
+ * Funcionalidad: useBreathLoops
+ * Descripción: Alimenta un BreathLoopRecorder con las muestras del
+ *   ventilatorStreamStore mientras `enabled` sea true y expone los bucles
+ *   (respiración en curso, última completa y referencia congelada) con las
+ *   acciones para fijar o quitar la referencia. Si el stream salta (p. ej. al
+ *   mover la posición de una repetición) el bucle en curso se descarta.
+ * Versión: 1.1
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import { useEffect, useMemo, useState, useSyncExternalStore } from 'react';
+
+import {
+  subscribeReadings,
+  subscribeStreamReset,
+} from '@/features/simulador/conexion/websocket/stream/ventilatorStreamStore';
+import {
+  BreathLoopRecorder,
+  type BreathLoopsSnapshot,
+} from '@/features/simulador/simuladorVentilador/graficasMonitor/utils/breathLoops';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+interface UseBreathLoopsReturn extends BreathLoopsSnapshot {
+  actions: {
+    freezeReference: () => void;
+    clearReference: () => void;
+  };
+}
+
+// =============================================================================
+// Hook
+// =============================================================================
+
+export function useBreathLoops({ enabled }: { enabled: boolean }): UseBreathLoopsReturn {
+  const [recorder] = useState(() => new BreathLoopRecorder());
+  const snapshot = useSyncExternalStore(recorder.subscribe, recorder.getSnapshot, recorder.getSnapshot);
+
+  useEffect(() => {
+    if (!enabled) return;
+    const unsubscribe = subscribeReadings((reading) => recorder.push(reading));
+    const unsubscribeReset = subscribeStreamReset(() => recorder.reset());
+    return () => {
+      unsubscribe();
+      unsubscribeReset();
+      // Al volver a activarse no se une con respiraciones de antes de la pausa
+      recorder.reset();
+    };
+  }, [recorder, enabled]);
+
+  const actions = useMemo(
+    () => ({
+      freezeReference: () => recorder.freezeReference(),
+      clearReference: () => recorder.clearReference(),
+    }),
+    [recorder],
+  );
+
+  return { ...snapshot, actions };
+}
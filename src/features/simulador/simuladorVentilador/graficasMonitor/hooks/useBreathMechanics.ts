@@ -0,0 +1,85 @@
+/*
+ * Funcionalidad: useBreathMechanics
+ * Descripción: Segmenta el stream del ventilatorStreamStore en respiraciones
+ *   mientras `enabled` sea true y calcula la mecánica de cada una (Vti/Vte,
+ *   meseta, ΔP, compliance, resistencia, τ, potencia mecánica, PEEPi). Expone
+ *   la última respiración y un historial corto, y entrega cada resultado a
+ *   `onBreath` (p. ej. la grabación de datos). Un salto del stream (repetición)
+ *   descarta la respiración en curso.
+ * Versión: 1.1
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import { useEffect, useRef, useState } from 'react';
+
+import {
+  subscribeReadings,
+  subscribeStreamReset,
+} from '@/features/simulador/conexion/websocket/stream/ventilatorStreamStore';
+import { BreathDetector } from '@/features/simulador/compartido/utils/breathDetector';
+import {
+  computeBreathMechanics,
+  type BreathMechanics,
+} from '@/features/simulador/compartido/utils/respiratoryMechanics';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+interface UseBreathMechanicsProps {
+  enabled: boolean;
+  /** Recibe la mecánica de cada respiración completa. */
+  onBreath?: (mechanics: BreathMechanics) => void;
+}
+
+interface UseBreathMechanicsReturn {
+  last: BreathMechanics | null;
+  /** Respiraciones recientes, la más nueva al final. */
+  history: BreathMechanics[];
+}
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const HISTORY_SIZE = 20;
+
+// =============================================================================
+// Hook
+// =============================================================================
+
+export function useBreathMechanics({ enabled, onBreath }: UseBreathMechanicsProps): UseBreathMechanicsReturn {
+  const [detector] = useState(() => new BreathDetector());
+  const [history, setHistory] = useState<BreathMechanics[]>([]);
+  const onBreathRef = useRef(onBreath);
+
+  useEffect(() => {
+    onBreathRef.current = onBreath;
+  }, [onBreath]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    const unsubscribe = subscribeReadings((reading) => {
+      const summary = detector.push(reading);
+      if (!summary) return;
+      const mechanics = computeBreathMechanics(summary);
+      setHistory((prev) => [...prev.slice(-(HISTORY_SIZE - 1)), mechanics]);
+      onBreathRef.current?.(mechanics);
+    });
+    const unsubscribeReset = subscribeStreamReset(() => detector.reset());
+    return () => {
+      unsubscribe();
+      unsubscribeReset();
+      // Al reactivarse no se mezcla con la respiración interrumpida
+      detector.reset();
+      setHistory([]);
+    };
+  }, [detector, enabled]);
+
+  return { last: history[history.length - 1] ?? null, history };
+}
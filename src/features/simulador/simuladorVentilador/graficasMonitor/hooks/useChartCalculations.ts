@@ -1,6 +1,6 @@
 import { useMemo, useState, useCallback, useRef, useEffect } from 'react';
 
-import type { VentilatorReading } from '@/contracts/simulator.contracts';
+import type { VentilatorEventType, VentilatorReading } from '@/contracts/simulator.contracts';
 
 // =============================================================================
 // Types
@@ -11,6 +11,23 @@ export interface ChartDataPoint {
   y: number;
 }
 
+export interface ChartEventMarker {
+  x: number; // seconds elapsed since session start
+  type: VentilatorEventType;
+}
+
+/** Instant marked on the time axis (parameter change, alarm). */
+export interface ChartAnnotation {
+  id: string;
+  timestamp: number; // ms, same clock as the readings
+  kind: 'parameter' | 'alarm';
+  lines: string[]; // tooltip text
+}
+
+export interface ChartAnnotationMarker extends ChartAnnotation {
+  x: number; // seconds elapsed since session start
+}
+
 export interface ChartTimeRange {
   start: number;
   end: number;
@@ -20,6 +37,13 @@ export interface ChartTimeRange {
 interface UseChartCalculationsProps {
   data: VentilatorReading[];
   defaultTimeWindow?: number; // seconds visible in chart
+  /**
+   * Fixed t=0 (ms) for the x-axis, e.g. the first reading of a replayed
+   * recording. Defaults to the first reading ever received.
+   */
+  timeOrigin?: number | null;
+  /** Marked instants; only those inside the visible window become markers. */
+  annotations?: ChartAnnotation[];
 }
 
 interface UseChartCalculationsReturn {
@@ -27,6 +51,9 @@ interface UseChartCalculationsReturn {
   flowPoints: ChartDataPoint[];
   volumePoints: ChartDataPoint[];
   pco2Points: ChartDataPoint[];
+  pmusPoints: ChartDataPoint[];
+  eventMarkers: ChartEventMarker[];
+  annotationMarkers: ChartAnnotationMarker[];
   timeRange: ChartTimeRange;
   isCalculating: boolean;
   actions: {
@@ -59,6 +86,8 @@ const MAX_WINDOW_S = 60;
 export function useChartCalculations({
   data,
   defaultTimeWindow = 10,
+  timeOrigin = null,
+  annotations,
 }: UseChartCalculationsProps): UseChartCalculationsReturn {
   const [timeWindow, setTimeWindowState] = useState(defaultTimeWindow);
 
@@ -67,13 +96,13 @@ export function useChartCalculations({
   const sessionStartRef = useRef<number | null>(null);
 
   useEffect(() => {
-    if (sessionStartRef.current === null && data.length > 0) {
+    if (timeOrigin === null && sessionStartRef.current === null && data.length > 0) {
       sessionStartRef.current = data[0].timestamp;
     }
-  }, [data]);
+  }, [data, timeOrigin]);
 
   // Derive a stable start time for memos (null while buffer is empty)
-  const startTime: number = sessionStartRef.current ?? Date.now();
+  const startTime: number = timeOrigin ?? sessionStartRef.current ?? Date.now();
 
   // ---------------------------------------------------------------------------
   // Sliding window filter
@@ -129,6 +158,42 @@ export function useChartCalculations({
     [windowedData, startTime]
   );
 
+  // Patient effort (Pmus) and tagged events: only present in the simulated lung
+  const pmusPoints = useMemo(
+    () =>
+      windowedData
+        .filter((d): d is VentilatorReading & { pmus: number } =>
+          d.pmus !== undefined
+        )
+        .map((d) => ({
+          x: (d.timestamp - startTime) / 1000,
+          y: d.pmus,
+        })),
+    [windowedData, startTime]
+  );
+
+  const eventMarkers = useMemo(
+    () =>
+      windowedData
+        .filter((d): d is VentilatorReading & { event: VentilatorEventType } =>
+          d.event !== undefined
+        )
+        .map((d) => ({
+          x: (d.timestamp - startTime) / 1000,
+          type: d.event,
+        })),
+    [windowedData, startTime]
+  );
+
+  const annotationMarkers = useMemo(() => {
+    const first = windowedData[0];
+    const last = windowedData[windowedData.length - 1];
+    if (!annotations?.length || !first || !last) return [];
+    return annotations
+      .filter((a) => a.timestamp >= first.timestamp && a.timestamp <= last.timestamp)
+      .map((a) => ({ ...a, x: (a.timestamp - startTime) / 1000 }));
+  }, [annotations, windowedData, startTime]);
+
   // ---------------------------------------------------------------------------
   // Time range (for x-axis domain)
   // ---------------------------------------------------------------------------
@@ -171,6 +236,9 @@ export function useChartCalculations({
     flowPoints,
     volumePoints,
     pco2Points,
+    pmusPoints,
+    eventMarkers,
+    annotationMarkers,
     timeRange,
     isCalculating: false, // reserved for future async transforms
     actions: { setTimeWindow, zoomIn, zoomOut, resetZoom },
@@ -0,0 +1,211 @@
+/*
+ * Funcionalidad: breathLoops
+ * Descripción: Bucles presión–volumen y flujo–volumen por respiración. El
+ *   BreathLoopRecorder recibe las mismas muestras que ingiere el
+ *   ventilatorStreamStore, las agrupa por respiración con el BreathDetector
+ *   (el volumen se referencia al inicio de cada respiración) y conserva la
+ *   respiración en curso, la última completa y un bucle de referencia
+ *   congelado por el usuario. Sobre la rama inspiratoria evalúa el índice
+ *   C20/C para señalar la sobredistensión ("pico de pato") y, sobre la rama
+ *   espiratoria, si el flujo se corta antes de volver a cero (atrapamiento).
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import type { VentilatorReading } from '@/contracts/simulator.contracts';
+import {
+  BreathDetector,
+  NO_FLOW_THRESHOLD,
+  type BreathSummary,
+} from '@/features/simulador/compartido/utils/breathDetector';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+export interface LoopPoint {
+  pressure: number;
+  flow: number;
+  /** Volumen desde el inicio de la respiración (ml). */
+  volume: number;
+}
+
+export interface OverdistensionResult {
+  /** C20/C: compliance del último 20 % del volumen sobre la de toda la rama. */
+  ratio: number;
+  overdistended: boolean;
+  /** Índices [desde, hasta] de la rama inspiratoria en el último 20 % del volumen. */
+  range: [number, number];
+}
+
+export interface BreathLoop {
+  startTime: number;
+  points: LoopPoint[];
+  summary: BreathSummary;
+  overdistension: OverdistensionResult | null;
+  /** El flujo espiratorio no había vuelto a ~0 al iniciar la siguiente fase. */
+  airTrapping: boolean;
+}
+
+export interface BreathLoopsSnapshot {
+  /** Respiración en curso (se dibuja mientras avanza). */
+  current: LoopPoint[];
+  last: BreathLoop | null;
+  reference: BreathLoop | null;
+}
+
+type Listener = () => void;
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** Umbral clásico: C20/C < 0.8 indica sobredistensión al final de la inspiración. */
+export const OVERDISTENSION_RATIO = 0.8;
+const LAST_FRACTION = 0.2;
+/** Ganancia mínima de presión en el último 20 % para evaluar el índice (cmH₂O). */
+const MIN_PRESSURE_RISE = 0.2;
+/** Volumen inspiratorio mínimo para evaluar el índice (ml). */
+const MIN_INSPIRED_VOLUME = 50;
+/** Flujo espiratorio residual (L/min) que se considera vaciado incompleto. */
+const AIR_TRAPPING_FLOW = 5;
+/** Muestras entre publicaciones de la respiración en curso (~10 Hz a 50 Hz). */
+const PUBLISH_EVERY = 5;
+/** Tope de muestras por respiración (evita crecer sin límite en apnea). */
+const MAX_POINTS = 1500;
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/**
+ * Índice C20/C sobre la rama inspiratoria (desde el inicio hasta que cesa el
+ * flujo inspiratorio). En presión control la presión no sube al final de la
+ * rama y el índice no aplica (null).
+ */
+export function detectOverdistension(points: LoopPoint[]): OverdistensionResult | null {
+  const endIndex = points.findIndex((p, i) => i > 0 && p.flow <= NO_FLOW_THRESHOLD);
+  const inspEnd = (endIndex === -1 ? points.length : endIndex) - 1;
+  const first = points[0];
+  const end = points[inspEnd];
+  if (!first || !end || inspEnd < 4) return null;
+
+  const tidal = end.volume - first.volume;
+  const totalRise = end.pressure - first.pressure;
+  if (tidal < MIN_INSPIRED_VOLUME || totalRise <= 0) return null;
+
+  const startIndex = points.findIndex((p) => p.volume - first.volume >= tidal * (1 - LAST_FRACTION));
+  const start = points[startIndex];
+  if (!start || startIndex >= inspEnd) return null;
+
+  const lastRise = end.pressure - start.pressure;
+  if (lastRise < MIN_PRESSURE_RISE) return null;
+
+  const compliance = tidal / totalRise;
+  const lastCompliance = (end.volume - start.volume) / lastRise;
+  const ratio = lastCompliance / compliance;
+  return { ratio, overdistended: ratio < OVERDISTENSION_RATIO, range: [startIndex, inspEnd] };
+}
+
+/**
+ * Flujo espiratorio en el instante en que se interrumpe la espiración: la
+ * última muestra con flujo antes de la pausa espiratoria o del siguiente ciclo.
+ */
+export function endExpiratoryFlow(points: LoopPoint[]): number {
+  for (let i = points.length - 1; i >= 0; i--) {
+    const flow = points[i]?.flow ?? 0;
+    if (Math.abs(flow) > NO_FLOW_THRESHOLD) return Math.min(0, flow);
+  }
+  return 0;
+}
+
+// =============================================================================
+// Recorder
+// =============================================================================
+
+export class BreathLoopRecorder {
+  private readonly detector = new BreathDetector();
+  private current: LoopPoint[] = [];
+  private currentStart: number | null = null;
+  private startVolume = 0;
+  private last: BreathLoop | null = null;
+  private reference: BreathLoop | null = null;
+  private sincePublish = 0;
+
+  private readonly listeners = new Set<Listener>();
+  private snapshot: BreathLoopsSnapshot = { current: [], last: null, reference: null };
+
+  push(reading: VentilatorReading): void {
+    const summary = this.detector.push(reading);
+    const start = this.detector.currentBreathStart;
+
+    if (start !== this.currentStart) {
+      // Nueva respiración: la anterior (si era completa) pasa a ser la última
+      if (summary && this.currentStart !== null) {
+        this.last = {
+          startTime: this.currentStart,
+          points: this.current,
+          summary,
+          overdistension: detectOverdistension(this.current),
+          airTrapping: endExpiratoryFlow(this.current) < -AIR_TRAPPING_FLOW,
+        };
+      }
+      this.currentStart = start;
+      this.startVolume = reading.volume;
+      this.current = [];
+      this.sincePublish = PUBLISH_EVERY;
+    }
+
+    if (this.currentStart !== null && this.current.length < MAX_POINTS) {
+      this.current.push({
+        pressure: reading.pressure,
+        flow: reading.flow,
+        volume: reading.volume - this.startVolume,
+      });
+    }
+
+    this.sincePublish += 1;
+    if (this.sincePublish >= PUBLISH_EVERY) this.publish();
+  }
+
+  /** Congela la última respiración completa como referencia. */
+  freezeReference(): void {
+    if (!this.last) return;
+    this.reference = this.last;
+    this.publish();
+  }
+
+  clearReference(): void {
+    this.reference = null;
+    this.publish();
+  }
+
+  /** Descarta la respiración en curso y la última (la referencia se conserva). */
+  reset(): void {
+    this.detector.reset();
+    this.current = [];
+    this.currentStart = null;
+    this.last = null;
+    this.publish();
+  }
+
+  subscribe = (listener: Listener): (() => void) => {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  };
+
+  getSnapshot = (): BreathLoopsSnapshot => this.snapshot;
+
+  private publish(): void {
+    this.sincePublish = 0;
+    this.snapshot = { current: this.current.slice(), last: this.last, reference: this.reference };
+    this.listeners.forEach((fn) => fn());
+  }
+}
@@ -0,0 +1,61 @@
+/*
+ * Funcionalidad: chartAnnotations
+ * Descripción: Convierte la línea de tiempo de cambios de parámetros y el
+ *   registro de alarmas en las anotaciones que las curvas marcan sobre el eje
+ *   de tiempo, con el texto que muestra cada marcador al pasar el cursor: la
+ *   diferencia de parámetros y el motivo, o el mensaje de la alarma.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import type { AlarmLogEntry } from '@/features/simulador/simuladorVentilador/alarmas/utils/alarmEngine';
+import {
+  describeChanges,
+  type TimelineEntry,
+} from '@/features/simulador/simuladorVentilador/panelControl/utils/parameterTimeline';
+import type { ChartAnnotation } from '../hooks/useChartCalculations';
+
+// =============================================================================
+// Builder
+// =============================================================================
+
+/**
+ * Un marcador por cambio de parámetros y uno por cada activación de alarma
+ * (los reconocimientos y silencios no se marcan). `editable` agrega la
+ * indicación de que el marcador abre el motivo.
+ */
+export function buildChartAnnotations(
+  entries: TimelineEntry[],
+  alarmLog: AlarmLogEntry[],
+  editable: boolean,
+): ChartAnnotation[] {
+  const parameterAnnotations = entries.map<ChartAnnotation>((entry) => {
+    const rationale = entry.rationale
+      ? `Motivo: ${entry.rationale}`
+      : editable
+        ? 'Sin motivo · clic para escribirlo'
+        : 'Sin motivo';
+    return {
+      id: entry.id,
+      timestamp: entry.timestamp,
+      kind: 'parameter',
+      lines: ['Cambio de parámetros', ...describeChanges(entry.changes), rationale],
+    };
+  });
+
+  const alarmAnnotations = alarmLog
+    .filter((entry) => entry.event === 'ACTIVATED')
+    .map<ChartAnnotation>((entry) => ({
+      id: `alarm-${entry.id}`,
+      timestamp: entry.timestamp,
+      kind: 'alarm',
+      lines: [`Alarma: ${entry.message}`],
+    }));
+
+  return [...parameterAnnotations, ...alarmAnnotations];
+}
@@ -5,8 +5,12 @@ export { default as AIAnalysisPanel } from './IAMonitor/componentes/AIAnalysisPa
 export { useAIAnalysis } from './IAMonitor/hooks/useAIAnalysis';
 export { useComplianceCalculation } from './graficasMonitor/hooks/useComplianceCalculation';
 export { useSignalProcessing } from './graficasMonitor/hooks/useSignalProcessing';
+export { useBreathLoops } from './graficasMonitor/hooks/useBreathLoops';
+export { useBreathMechanics } from './graficasMonitor/hooks/useBreathMechanics';
 export { useErrorDetection } from './panelControl/hooks/useErrorDetection';
 export { useVentilatorControls } from './panelControl/hooks/useVentilatorControls';
+export { useParameterTimeline } from './panelControl/hooks/useParameterTimeline';
 export { useParameterValidation } from './panelControl/hooks/useParameterValidation';
 export { useCardConfig } from './dashboard/hooks/useCardConfig';
 export { default as useDashboardState } from './dashboard/hooks/useDashboardState';
+export { useAlarmEngine } from './alarmas/hooks/useAlarmEngine';
@@ -0,0 +1,169 @@
+/*
+ * Funcionalidad: CommandConfirmationDialog
+ * Descripción: Diálogo obligatorio antes de enviar un comando al ventilador
+ *   físico. Muestra qué cambia respecto del último comando, los valores
+ *   derivados (presión meseta estimada, presión de distensión, relación I:E) y
+ *   los interlocks cruzados: un límite BLOCK impide el envío y cada límite
+ *   CONFIRM debe reconocerse explícitamente. Las violaciones que devuelve el
+ *   backend reemplazan a las calculadas en el navegador.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import { useState } from 'react';
+import {
+  Alert,
+  Button,
+  Checkbox,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControlLabel,
+  Typography,
+} from '@mui/material';
+
+import type { InterlockParameter } from '@/contracts/simulator.contracts';
+import type { HardwareTransport, UseCommandInterlockReturn } from '../hooks/useCommandInterlock';
+import { describeChanges } from '../utils/parameterTimeline';
+import { INTERLOCK_LABELS, formatInterlockValue, type DerivedCommandValues } from '../utils/safetyInterlocks';
+import styles from './ui/CommandConfirmationDialog.module.css';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const TRANSPORT_LABELS: Record<HardwareTransport, string> = {
+  serial: 'puerto serial',
+  mqtt: 'MQTT',
+  websocket: 'el servidor',
+};
+
+const DERIVED_FIELDS: (keyof DerivedCommandValues)[] = ['plateauPressure', 'drivingPressure', 'ieRatio'];
+
+// =============================================================================
+// Component
+// =============================================================================
+
+interface CommandConfirmationDialogProps {
+  interlock: UseCommandInterlockReturn;
+  transport: HardwareTransport | null;
+}
+
+export function CommandConfirmationDialog({ interlock, transport }: CommandConfirmationDialogProps) {
+  const { pending } = interlock;
+  const checking = pending?.checking ?? false;
+  const [acknowledged, setAcknowledged] = useState<InterlockParameter[]>([]);
+
+  // Cada comando nuevo empieza sin reconocimientos (ajuste durante el render).
+  const [command, setCommand] = useState(pending?.command ?? null);
+  if ((pending?.command ?? null) !== command) {
+    setCommand(pending?.command ?? null);
+    setAcknowledged([]);
+  }
+
+  const violations = pending?.serverViolations ?? pending?.evaluation.violations ?? [];
+  const blocked = violations.some((v) => v.action === 'BLOCK');
+  const pendingAcks = violations.filter((v) => v.action === 'CONFIRM' && !acknowledged.includes(v.parameter));
+  const changes = pending ? describeChanges(pending.changes) : [];
+
+  const toggle = (parameter: InterlockParameter, checked: boolean) =>
+    setAcknowledged((prev) => (checked ? [...prev, parameter] : prev.filter((p) => p !== parameter)));
+
+  return (
+    <Dialog open={pending !== null} onClose={() => !checking && interlock.cancel()} maxWidth="sm" fullWidth className={styles.dialog!}>
+      <DialogTitle>Confirmar envío al ventilador</DialogTitle>
+      <DialogContent dividers>
+        <Typography variant="body2" gutterBottom>
+          El comando se enviará al equipo físico{transport ? ` por ${TRANSPORT_LABELS[transport]}` : ''} y
+          quedará registrado en la auditoría.
+        </Typography>
+
+        <Typography variant="subtitle2" className={styles.heading!}>
+          Cambios
+        </Typography>
+        {changes.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            Sin cambios respecto del último comando enviado.
+          </Typography>
+        ) : (
+          <ul>
+            {changes.map((line) => (
+              <li key={line}>
+                <Typography variant="body2">{line}</Typography>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <Typography variant="subtitle2" className={styles.heading!}>
+          Valores estimados
+        </Typography>
+        <ul>
+          {DERIVED_FIELDS.map((field) => {
+            const value = pending?.evaluation.derived[field] ?? null;
+            return (
+              <li key={field}>
+                <Typography variant="body2">
+                  {INTERLOCK_LABELS[field].label}: {value === null ? '—' : formatInterlockValue(field, value)}
+                </Typography>
+              </li>
+            );
+          })}
+        </ul>
+
+        {violations.map((v) =>
+          v.action === 'BLOCK' ? (
+            <Alert key={v.parameter} severity="error" className={styles.violation!}>
+              {v.message}
+            </Alert>
+          ) : (
+            <Alert key={v.parameter} severity="warning" className={styles.violation!}>
+              <FormControlLabel
+                control={
+                  <Checkbox
+                    size="small"
+                    checked={acknowledged.includes(v.parameter)}
+                    onChange={(e) => toggle(v.parameter, e.target.checked)}
+                  />
+                }
+                label={`${v.message}. Confirmo que es intencional.`}
+              />
+            </Alert>
+          ),
+        )}
+
+        {blocked && (
+          <Typography variant="body2" color="error" className={styles.blocked!}>
+            Tu rol no permite enviar este comando. Ajusta los parámetros marcados.
+          </Typography>
+        )}
+        {pending?.error && (
+          <Alert severity="error" className={styles.error!}>
+            {pending.error}
+          </Alert>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={interlock.cancel} disabled={checking}>
+          Cancelar
+        </Button>
+        <Button
+          variant="contained"
+          color="warning"
+          onClick={() => interlock.confirm(acknowledged)}
+          disabled={!pending || checking || blocked || pendingAcks.length > 0}
+        >
+          {checking ? 'Validando…' : 'Enviar al ventilador'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default CommandConfirmationDialog;
@@ -0,0 +1,144 @@
+/*
+ * Funcionalidad: HoldManeuverPanel
+ * Descripción: Botones de pausa inspiratoria y espiratoria del panel de
+ *   control, estado de la maniobra en curso y tarjeta de resultado con la
+ *   presión meseta, la PEEP total y la mecánica derivada de la respiración
+ *   medida. Al cerrar la tarjeta se reanudan las curvas.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import React from 'react';
+import { Alert, Box, Button, CircularProgress, IconButton, Paper, Tooltip, Typography } from '@mui/material';
+import PauseCircleOutlineIcon from '@mui/icons-material/PauseCircleOutline';
+import CloseIcon from '@mui/icons-material/Close';
+
+import { HOLD_DURATIONS_S, HOLD_LABELS } from '../utils/holdManeuver';
+import styles from './ui/HoldManeuverPanel.module.css';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const STATUS_TEXT = {
+  armed: 'Esperando el final de la fase…',
+  holding: 'Pausa en curso · curvas congeladas',
+  measuring: 'Midiendo la respiración…',
+};
+
+/** Filas de la tarjeta por maniobra: [etiqueta, campo de BreathMechanics, unidad]. */
+const RESULT_ROWS = {
+  inspiratory: [
+    ['Presión meseta', 'plateauPressure', 'cmH₂O'],
+    ['Presión pico', 'peakPressure', 'cmH₂O'],
+    ['Presión distensión', 'drivingPressure', 'cmH₂O'],
+    ['Compliance estática', 'staticCompliance', 'mL/cmH₂O'],
+    ['Resistencia', 'resistance', 'cmH₂O/L/s'],
+    ['Constante τ', 'timeConstant', 's'],
+    ['Vti', 'vti', 'mL'],
+  ],
+  expiratory: [
+    ['PEEP total', 'totalPeep', 'cmH₂O'],
+    ['PEEP externa', 'peep', 'cmH₂O'],
+    ['PEEP intrínseca', 'intrinsicPeep', 'cmH₂O'],
+    ['Compliance dinámica', 'dynamicCompliance', 'mL/cmH₂O'],
+    ['Vte', 'vte', 'mL'],
+  ],
+};
+
+// =============================================================================
+// Component
+// =============================================================================
+
+/**
+ * Props:
+ * - holdManeuver: retorno de useHoldManeuver
+ * - unavailableReason: texto del tooltip cuando no hay destino para la pausa
+ */
+function HoldManeuverPanel({ holdManeuver, unavailableReason }) {
+  const { available, busy, status, kind, result, error, start, cancel, dismiss } = holdManeuver;
+  const disabled = !available || busy;
+
+  const renderButton = (holdKind) => (
+    <Tooltip
+      title={available ? `${HOLD_LABELS[holdKind]} de ${HOLD_DURATIONS_S[holdKind]} s` : unavailableReason}
+      arrow
+    >
+      <span className={styles.buttonSlot}>
+        <Button
+          fullWidth
+          size="small"
+          variant={kind === holdKind && busy ? 'contained' : 'outlined'}
+          startIcon={<PauseCircleOutlineIcon />}
+          disabled={disabled}
+          onClick={() => start(holdKind)}
+          className={styles.holdButton}
+        >
+          {holdKind === 'inspiratory' ? 'Pausa insp.' : 'Pausa esp.'}
+        </Button>
+      </span>
+    </Tooltip>
+  );
+
+  return (
+    <Box className={styles.holds}>
+      <Box className={styles.buttons}>
+        {renderButton('inspiratory')}
+        {renderButton('expiratory')}
+      </Box>
+
+      {busy && (
+        <Box className={styles.status}>
+          <CircularProgress size={14} />
+          <Typography variant="caption" className={styles.statusText}>
+            {STATUS_TEXT[status]}
+          </Typography>
+          <Button size="small" onClick={cancel} className={styles.cancelButton}>
+            Cancelar
+          </Button>
+        </Box>
+      )}
+
+      {status === 'failed' && (
+        <Alert severity="warning" onClose={dismiss} className={styles.error}>
+          {error}
+        </Alert>
+      )}
+
+      {status === 'done' && result && (
+        <Paper elevation={3} className={styles.result}>
+          <Tooltip title="Cerrar y reanudar curvas" arrow>
+            <IconButton size="small" onClick={dismiss} className={styles.close}>
+              <CloseIcon fontSize="small" />
+            </IconButton>
+          </Tooltip>
+          <Typography variant="subtitle2" className={styles.resultTitle}>
+            {HOLD_LABELS[result.kind]}
+          </Typography>
+          <Typography variant="caption" color="text.secondary">
+            Duración {result.holdTime.toFixed(1)} s
+          </Typography>
+          <Box component="dl" className={styles.mechanics}>
+            {RESULT_ROWS[result.kind].map(([label, field, unit]) => (
+              <React.Fragment key={field}>
+                <Typography component="dt" variant="caption" color="text.secondary">
+                  {label}
+                </Typography>
+                <Typography component="dd" variant="caption" className={styles.value}>
+                  {result.mechanics[field] ?? '--'} {unit}
+                </Typography>
+              </React.Fragment>
+            ))}
+          </Box>
+        </Paper>
+      )}
+    </Box>
+  );
+}
+
+export default React.memo(HoldManeuverPanel);
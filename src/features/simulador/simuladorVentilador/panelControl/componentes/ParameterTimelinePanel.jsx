@@ -0,0 +1,179 @@
+/*
+ * Funcionalidad: ParameterTimelinePanel
+ * Descripción: Lista plegable de los cambios de parámetros de la sesión bajo
+ *   las curvas y diálogo de cada cambio: la diferencia campo a campo
+ *   (DiffViewer) y el motivo que escribe el estudiante, que se guarda con el
+ *   parametersLog de la sesión. El diálogo se abre desde la lista o desde el
+ *   marcador del cambio en las curvas; en la repetición es de sólo lectura.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  Collapse,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  List,
+  ListItemButton,
+  ListItemText,
+  Paper,
+  TextField,
+  Typography,
+} from '@mui/material';
+import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
+import ExpandLessIcon from '@mui/icons-material/ExpandLess';
+import TimelineIcon from '@mui/icons-material/Timeline';
+
+import DiffViewer from '@/features/simulador/compartido/componentes/DiffViewer';
+import {
+  MAX_RATIONALE_LENGTH,
+  PARAMETER_LABELS,
+  describeChanges,
+  formatParameterValue,
+} from '../utils/parameterTimeline';
+import styles from './ui/ParameterTimelinePanel.module.css';
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+const formatClock = (timestamp) => new Date(timestamp).toLocaleTimeString();
+
+/** Cambios en el formato de DiffViewer, con etiquetas y unidades de la UI. */
+const toDiffs = (changes) =>
+  changes.map(({ field, before, after }) => ({
+    field: PARAMETER_LABELS[field] ?? field,
+    before: before === null ? null : formatParameterValue(field, before),
+    after: after === null ? null : formatParameterValue(field, after),
+  }));
+
+// =============================================================================
+// Component
+// =============================================================================
+
+/** Diálogo de un cambio; se monta por entrada para partir del motivo guardado. */
+function RationaleDialog({ entry, onClose, onRationaleChange }) {
+  const [draft, setDraft] = useState(entry.rationale ?? '');
+  const editable = Boolean(onRationaleChange);
+
+  const handleSave = () => {
+    onRationaleChange(entry.id, draft);
+    onClose();
+  };
+
+  return (
+    <Dialog open onClose={onClose} maxWidth="xs" fullWidth className={styles.dialog}>
+      <DialogTitle className={styles.title}>
+        Cambio de parámetros · {formatClock(entry.timestamp)}
+      </DialogTitle>
+      <DialogContent dividers>
+        <DiffViewer diffs={toDiffs(entry.changes)} dense />
+        <Box className={styles.rationale}>
+          {editable ? (
+            <TextField
+              autoFocus
+              fullWidth
+              multiline
+              minRows={3}
+              label="Motivo del cambio"
+              placeholder="¿Por qué hizo este cambio? (p. ej. hipoxemia persistente, subir PEEP)"
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              slotProps={{ htmlInput: { maxLength: MAX_RATIONALE_LENGTH } }}
+              helperText={`${draft.length}/${MAX_RATIONALE_LENGTH}`}
+            />
+          ) : (
+            <>
+              <Typography variant="caption" color="text.secondary">
+                Motivo del cambio
+              </Typography>
+              <Typography variant="body2" className={styles.rationaleText}>
+                {entry.rationale || 'El estudiante no registró un motivo.'}
+              </Typography>
+            </>
+          )}
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>{editable ? 'Cancelar' : 'Cerrar'}</Button>
+        {editable && (
+          <Button variant="contained" onClick={handleSave}>
+            Guardar motivo
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+/**
+ * Props:
+ * - entries: TimelineEntry[] (orden cronológico)
+ * - selectedId: id del cambio con el diálogo abierto, o null
+ * - onSelect: (id | null) => void
+ * - onRationaleChange: (id, texto) => void; null = sólo lectura (repetición)
+ */
+function ParameterTimelinePanel({ entries, selectedId, onSelect, onRationaleChange }) {
+  const [expanded, setExpanded] = useState(false);
+  const selected = entries.find((entry) => entry.id === selectedId) ?? null;
+
+  if (entries.length === 0) return null;
+
+  const pending = entries.filter((entry) => !entry.rationale).length;
+
+  return (
+    <Paper variant="outlined" className={styles.panel}>
+      <Button
+        fullWidth
+        size="small"
+        startIcon={<TimelineIcon />}
+        endIcon={expanded ? <ExpandLessIcon /> : <ExpandMoreIcon />}
+        onClick={() => setExpanded((prev) => !prev)}
+        className={styles.toggle}
+      >
+        <Box component="span" className={styles.toggleLabel}>
+          Cambios de parámetros ({entries.length})
+          {onRationaleChange && pending > 0 && ` · ${pending} sin motivo`}
+        </Box>
+      </Button>
+
+      <Collapse in={expanded} unmountOnExit>
+        <List dense disablePadding className={styles.list}>
+          {[...entries].reverse().map((entry) => (
+            <ListItemButton key={entry.id} onClick={() => onSelect(entry.id)}>
+              <ListItemText
+                primary={describeChanges(entry.changes).join(' · ')}
+                secondary={`${formatClock(entry.timestamp)} · ${entry.rationale || 'Sin motivo'}`}
+                slotProps={{
+                  primary: { className: styles.change },
+                  secondary: { className: styles.changeMeta, noWrap: true },
+                }}
+              />
+            </ListItemButton>
+          ))}
+        </List>
+      </Collapse>
+
+      {selected && (
+        <RationaleDialog
+          key={selected.id}
+          entry={selected}
+          onClose={() => onSelect(null)}
+          onRationaleChange={onRationaleChange}
+        />
+      )}
+    </Paper>
+  );
+}
+
+export default React.memo(ParameterTimelinePanel);
@@ -0,0 +1,134 @@
+/*
+ * Funcionalidad: useCommandInterlock
+ * Descripción: Confirmación obligatoria de los comandos que llegan al
+ *   ventilador físico. `requestConfirmation` deja el comando pendiente con su
+ *   diferencia respecto del último enviado y la evaluación local de los
+ *   interlocks, y resuelve cuando el usuario decide: con el confirmationId del
+ *   preflight del backend si éste lo acepta, o con null si el usuario cancela.
+ *   Un rechazo del backend deja el diálogo abierto con sus violaciones.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+import type {
+  CommandPreflightRequest,
+  InterlockParameter,
+  InterlockViolation,
+  ParameterChange,
+  VentilatorCommand,
+} from '@/contracts/simulator.contracts';
+import { simulatorApi } from '@/features/simulador/compartido/api/simulator.api';
+import { diffCommands, getParameterTimelineSnapshot } from '../utils/parameterTimeline';
+import { evaluateInterlocks, type InterlockEvaluation } from '../utils/safetyInterlocks';
+import { useSafetyLimits } from './useSafetyLimits';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+export type HardwareTransport = CommandPreflightRequest['transport'];
+
+export interface PendingCommand {
+  command: VentilatorCommand;
+  changes: ParameterChange[];
+  evaluation: InterlockEvaluation;
+  /** Violaciones con que el backend rechazó el último intento. */
+  serverViolations: InterlockViolation[] | null;
+  error: string | null;
+  checking: boolean;
+}
+
+export interface UseCommandInterlockReturn {
+  /** true cuando los comandos van a un equipo físico y requieren confirmación. */
+  active: boolean;
+  pending: PendingCommand | null;
+  requestConfirmation: (command: VentilatorCommand) => Promise<string | null>;
+  confirm: (acknowledged: InterlockParameter[]) => Promise<void>;
+  cancel: () => void;
+}
+
+interface UseCommandInterlockOptions {
+  /** null si no hay equipo físico (simulación). */
+  transport: HardwareTransport | null;
+  deviceId: string | null;
+  /** L/cmH₂O medida; estima la presión meseta en VCV. */
+  compliance: number;
+}
+
+// =============================================================================
+// Hook
+// =============================================================================
+
+export function useCommandInterlock({
+  transport,
+  deviceId,
+  compliance,
+}: UseCommandInterlockOptions): UseCommandInterlockReturn {
+  const { limits } = useSafetyLimits(transport !== null);
+  const [pending, setPending] = useState<PendingCommand | null>(null);
+  const resolverRef = useRef<((confirmationId: string | null) => void) | null>(null);
+
+  const settle = useCallback((confirmationId: string | null) => {
+    resolverRef.current?.(confirmationId);
+    resolverRef.current = null;
+    setPending(null);
+  }, []);
+
+  // Al desmontar, el comando pendiente se da por cancelado.
+  useEffect(() => () => resolverRef.current?.(null), []);
+
+  const requestConfirmation = useCallback(
+    (command: VentilatorCommand) => {
+      // Un comando nuevo reemplaza al que seguía sin confirmar.
+      resolverRef.current?.(null);
+      return new Promise<string | null>((resolve) => {
+        resolverRef.current = resolve;
+        setPending({
+          command,
+          changes: diffCommands(getParameterTimelineSnapshot().at(-1) ?? null, command),
+          evaluation: evaluateInterlocks(command, limits, compliance),
+          serverViolations: null,
+          error: null,
+          checking: false,
+        });
+      });
+    },
+    [limits, compliance],
+  );
+
+  const confirm = useCallback(
+    async (acknowledged: InterlockParameter[]) => {
+      if (!pending || !transport) return;
+      setPending((prev) => prev && { ...prev, checking: true, error: null });
+      try {
+        const preflight = await simulatorApi.preflightCommand({
+          command: pending.command,
+          ...(deviceId ? { deviceId } : {}),
+          transport,
+          compliance,
+          acknowledged,
+        });
+        if (preflight.allowed && preflight.confirmationId) {
+          settle(preflight.confirmationId);
+          return;
+        }
+        setPending((prev) => prev && { ...prev, checking: false, serverViolations: preflight.violations });
+      } catch (err) {
+        const message = err instanceof Error ? err.message : 'No se pudo validar el comando.';
+        setPending((prev) => prev && { ...prev, checking: false, error: message });
+      }
+    },
+    [pending, transport, deviceId, compliance, settle],
+  );
+
+  const cancel = useCallback(() => settle(null), [settle]);
+
+  return { active: transport !== null, pending, requestConfirmation, confirm, cancel };
+}
@@ -0,0 +1,118 @@
+/*
+ * Funcionalidad: useHoldManeuver
+ * Descripción: Maniobras de pausa inspiratoria y espiratoria del panel de
+ *   control. Envía la pausa al destino activo (`sendHold`: pulmón simulado o
+ *   trama serial) y sigue la maniobra sobre el ventilatorStreamStore mientras
+ *   `enabled` sea true; expone estado, resultado y las curvas congeladas. La
+ *   maniobra se abandona si el stream salta.
+ * Versión: 1.1
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import { useCallback, useEffect, useMemo, useState, useSyncExternalStore } from 'react';
+
+import type { HoldKind } from '@/features/simulador/compartido/simulacion/lungModel';
+import {
+  subscribeReadings,
+  subscribeStreamReset,
+} from '@/features/simulador/conexion/websocket/stream/ventilatorStreamStore';
+import {
+  HOLD_DURATIONS_S,
+  HoldManeuver,
+  type HoldManeuverSnapshot,
+} from '../utils/holdManeuver';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+interface UseHoldManeuverProps {
+  /** Sigue el stream (curvas activas). */
+  enabled: boolean;
+  /**
+   * Pide la pausa al destino activo; null si ninguno la admite (p. ej. el
+   * ventilador remoto). Devuelve false si no se pudo enviar.
+   */
+  sendHold: ((kind: HoldKind, durationS: number) => boolean | Promise<boolean>) | null;
+  /** Libera una pausa pedida o en curso en el destino. */
+  releaseHold?: () => void;
+}
+
+export interface UseHoldManeuverReturn extends HoldManeuverSnapshot {
+  /** Hay destino y curvas activas: los botones pueden usarse. */
+  available: boolean;
+  /** Maniobra pedida y aún sin resultado. */
+  busy: boolean;
+  start: (kind: HoldKind) => Promise<void>;
+  cancel: () => void;
+  dismiss: () => void;
+}
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const TICK_MS = 500;
+
+// =============================================================================
+// Hook
+// =============================================================================
+
+export function useHoldManeuver({ enabled, sendHold, releaseHold }: UseHoldManeuverProps): UseHoldManeuverReturn {
+  const [maneuver] = useState(() => new HoldManeuver());
+  const snapshot = useSyncExternalStore(maneuver.subscribe, maneuver.getSnapshot, maneuver.getSnapshot);
+
+  useEffect(() => {
+    if (!enabled) return;
+    const unsubscribe = subscribeReadings((reading) => maneuver.push(reading));
+    const unsubscribeReset = subscribeStreamReset(() => maneuver.reset());
+    const id = setInterval(() => maneuver.tick(Date.now()), TICK_MS);
+    return () => {
+      unsubscribe();
+      unsubscribeReset();
+      clearInterval(id);
+      maneuver.reset();
+    };
+  }, [maneuver, enabled]);
+
+  const start = useCallback(
+    async (kind: HoldKind) => {
+      if (!sendHold) return;
+      maneuver.start(kind, Date.now());
+      try {
+        const sent = await sendHold(kind, HOLD_DURATIONS_S[kind]);
+        if (!sent) maneuver.fail('No se pudo enviar la pausa al ventilador.');
+      } catch (err) {
+        maneuver.fail(err instanceof Error ? err.message : String(err));
+      }
+    },
+    [maneuver, sendHold],
+  );
+
+  const cancel = useCallback(() => {
+    releaseHold?.();
+    maneuver.dismiss();
+  }, [maneuver, releaseHold]);
+
+  const dismiss = useCallback(() => maneuver.dismiss(), [maneuver]);
+
+  const { status } = snapshot;
+  const busy = status === 'armed' || status === 'holding' || status === 'measuring';
+
+  return useMemo(
+    () => ({
+      ...snapshot,
+      available: enabled && sendHold !== null,
+      busy,
+      start,
+      cancel,
+      dismiss,
+    }),
+    [snapshot, enabled, sendHold, busy, start, cancel, dismiss],
+  );
+}
@@ -0,0 +1,43 @@
+/*
+ * Funcionalidad: useParameterTimeline
+ * Descripción: Lee la línea de tiempo de cambios de parámetros de la sesión
+ *   (parameterTimeline) y expone la acción de guardar el motivo de un cambio.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import { useSyncExternalStore } from 'react';
+
+import {
+  getParameterTimelineSnapshot,
+  setParameterRationale,
+  subscribeParameterTimeline,
+  type TimelineEntry,
+} from '../utils/parameterTimeline';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+export interface UseParameterTimelineReturn {
+  entries: TimelineEntry[];
+  setRationale: (id: string, rationale: string) => void;
+}
+
+// =============================================================================
+// Hook
+// =============================================================================
+
+export function useParameterTimeline(): UseParameterTimelineReturn {
+  const entries = useSyncExternalStore(
+    subscribeParameterTimeline,
+    getParameterTimelineSnapshot,
+    getParameterTimelineSnapshot,
+  );
+  return { entries, setRationale: setParameterRationale };
+}
@@ -0,0 +1,43 @@
+/*
+ * Funcionalidad: useSafetyLimits
+ * Descripción: Límites de seguridad del rol del usuario para los comandos al
+ *   ventilador físico (GET /simulation/safety-limits). Mientras cargan, o si la
+ *   petición falla, devuelve los del rol estudiante.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import useSWR from 'swr';
+
+import type { SafetyLimit } from '@/contracts/simulator.contracts';
+import { simulatorApi } from '@/features/simulador/compartido/api/simulator.api';
+import { FALLBACK_SAFETY_LIMITS, SAFETY_LIMITS_KEY } from '../utils/safetyInterlocks';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+export interface UseSafetyLimitsReturn {
+  limits: SafetyLimit[];
+  /** false mientras se usan los límites de respaldo */
+  fromServer: boolean;
+}
+
+// =============================================================================
+// Hook
+// =============================================================================
+
+export function useSafetyLimits(enabled: boolean): UseSafetyLimitsReturn {
+  const { data } = useSWR<SafetyLimit[]>(
+    enabled ? SAFETY_LIMITS_KEY : null,
+    () => simulatorApi.getSafetyLimits(),
+    { revalidateOnFocus: false },
+  );
+
+  return data ? { limits: data, fromServer: true } : { limits: FALLBACK_SAFETY_LIMITS, fromServer: false };
+}
@@ -4,6 +4,7 @@ import { BACKEND_API_URL } from '@/config/env';
 import { getAuthToken } from '@/shared/services/authService';
 import type {
   VentilatorCommand,
+  SendCommandOptions,
   SendCommandResponse,
 } from '@/contracts/simulator.contracts';
 
@@ -14,7 +15,7 @@ import type {
 const MAX_HISTORY = 20;
 
 interface UseVentilatorControlsReturn {
-  sendCommand: (command: VentilatorCommand) => Promise<void>;
+  sendCommand: (command: VentilatorCommand, options?: SendCommandOptions) => Promise<void>;
   isSending: boolean;
   error: Error | null;
   lastCommand: VentilatorCommand | null;
@@ -35,6 +36,7 @@ interface UseVentilatorControlsReturn {
  * - Cancels in-flight requests when a new command is issued
  * - Attaches JWT auth header from localStorage
  * - Keeps a capped history of the last 20 commands for retry
+ * - Forwards the preflight confirmationId required for real hardware
  */
 export function useVentilatorControls(): UseVentilatorControlsReturn {
   const [isSending, setIsSending] = useState(false);
@@ -55,7 +57,10 @@ export function useVentilatorControls(): UseVentilatorControlsReturn {
   // Core send
   // ---------------------------------------------------------------------------
 
-  const sendCommand = useCallback(async (command: VentilatorCommand): Promise<void> => {
+  const sendCommand = useCallback(async (
+    command: VentilatorCommand,
+    options: SendCommandOptions = {},
+  ): Promise<void> => {
     // Cancel any pending request before issuing a new one
     abortControllerRef.current?.abort();
     abortControllerRef.current = new AbortController();
@@ -76,7 +81,7 @@ export function useVentilatorControls(): UseVentilatorControlsReturn {
         method: 'POST',
         headers,
         credentials: 'include',
-        body: JSON.stringify({ command }),
+        body: JSON.stringify({ command, ...options }),
         signal: abortControllerRef.current.signal,
       });
 
@@ -0,0 +1,197 @@
+/*
+ * Funcionalidad: holdManeuver
+ * Descripción: Seguimiento de una maniobra de pausa inspiratoria o espiratoria
+ *   sobre el stream de lecturas, independiente de la fuente (pulmón simulado o
+ *   dispositivo serial): tras pedirla, espera el tramo sin flujo que la
+ *   confirma, congela una copia de las curvas mientras dura y, al cerrarse la
+ *   respiración, reporta la presión meseta o la PEEP total junto con la
+ *   mecánica derivada de esa respiración.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import type { VentilatorReading } from '@/contracts/simulator.contracts';
+import type { HoldKind } from '@/features/simulador/compartido/simulacion/lungModel';
+import { BreathDetector, type BreathSummary } from '@/features/simulador/compartido/utils/breathDetector';
+import {
+  computeBreathMechanics,
+  type BreathMechanics,
+} from '@/features/simulador/compartido/utils/respiratoryMechanics';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+/**
+ * idle → armed (pedida) → holding (pausa detectada) → measuring (pausa
+ * terminada, esperando el cierre de la respiración) → done | failed.
+ */
+export type HoldStatus = 'idle' | 'armed' | 'holding' | 'measuring' | 'done' | 'failed';
+
+export interface HoldResult {
+  kind: HoldKind;
+  /** Duración medida del tramo sin flujo (s). */
+  holdTime: number;
+  /** Mecánica de la respiración que contuvo la pausa. */
+  mechanics: BreathMechanics;
+}
+
+export interface HoldManeuverSnapshot {
+  status: HoldStatus;
+  kind: HoldKind | null;
+  result: HoldResult | null;
+  error: string | null;
+  /** Curvas congeladas durante y después de la pausa (null = en vivo). */
+  frozenData: VentilatorReading[] | null;
+}
+
+type Listener = () => void;
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** Duración pedida por tipo de pausa (s). */
+export const HOLD_DURATIONS_S: Record<HoldKind, number> = {
+  inspiratory: 1.5,
+  expiratory: 3,
+};
+
+export const HOLD_LABELS: Record<HoldKind, string> = {
+  inspiratory: 'Pausa inspiratoria',
+  expiratory: 'Pausa espiratoria',
+};
+
+/**
+ * Fracción de la duración pedida que debe durar el tramo sin flujo para
+ * tomarlo como la maniobra (las pausas programadas son más cortas).
+ */
+const HOLD_DETECT_FRACTION = 0.5;
+/** Sin resultado pasado este tiempo desde la petición, la maniobra falla (ms). */
+const MANEUVER_TIMEOUT_MS = 30000;
+/** Muestras que se conservan para congelar las curvas (~10 s a 50 Hz). */
+const FREEZE_WINDOW = 500;
+
+const PAUSE_PHASE = {
+  inspiratory: 'inspiratoryPause',
+  expiratory: 'expiratoryPause',
+} as const;
+
+// =============================================================================
+// Maneuver
+// =============================================================================
+
+export class HoldManeuver {
+  private readonly detector = new BreathDetector();
+  private recent: VentilatorReading[] = [];
+  private startedAt = 0;
+  private pauseStart: number | null = null;
+  private holdTime = 0;
+
+  private readonly listeners = new Set<Listener>();
+  private snapshot: HoldManeuverSnapshot = {
+    status: 'idle',
+    kind: null,
+    result: null,
+    error: null,
+    frozenData: null,
+  };
+
+  push(reading: VentilatorReading): void {
+    this.recent.push(reading);
+    if (this.recent.length > FREEZE_WINDOW) this.recent.splice(0, this.recent.length - FREEZE_WINDOW);
+
+    const summary = this.detector.push(reading);
+    const { status, kind } = this.snapshot;
+    if (!kind) return;
+
+    const inPause = this.detector.currentPhase === PAUSE_PHASE[kind];
+    if (inPause && this.pauseStart === null) this.pauseStart = reading.timestamp;
+    const pauseTime = this.pauseStart === null ? 0 : (reading.timestamp - this.pauseStart) / 1000;
+
+    if (status === 'armed') {
+      if (!inPause) {
+        this.pauseStart = null;
+      } else if (pauseTime >= HOLD_DURATIONS_S[kind] * HOLD_DETECT_FRACTION) {
+        this.update({ status: 'holding', frozenData: this.recent.slice() });
+      }
+      return;
+    }
+
+    if (status === 'holding' && !inPause) {
+      // Fin de la pausa: el cuadro congelado pasa a incluirla completa
+      this.holdTime = pauseTime;
+      this.update({ status: 'measuring', frozenData: this.recent.slice() });
+    }
+
+    if ((this.snapshot.status === 'holding' || this.snapshot.status === 'measuring') && summary) {
+      this.finish(kind, summary);
+    }
+  }
+
+  /** Marca la maniobra como pedida; `now` es el reloj de pared (timeout). */
+  start(kind: HoldKind, now: number): void {
+    this.startedAt = now;
+    this.pauseStart = null;
+    this.holdTime = 0;
+    this.update({ status: 'armed', kind, result: null, error: null, frozenData: null });
+  }
+
+  /** Falla la maniobra si no se completó a tiempo. */
+  tick(now: number): void {
+    const { status } = this.snapshot;
+    const pending = status === 'armed' || status === 'holding' || status === 'measuring';
+    if (pending && now - this.startedAt > MANEUVER_TIMEOUT_MS) {
+      this.fail('El ventilador no completó la pausa. Verifique la conexión e intente de nuevo.');
+    }
+  }
+
+  fail(error: string): void {
+    this.update({ status: 'failed', error, frozenData: null });
+  }
+
+  /** Vuelve a reposo: descarta el resultado y reanuda las curvas. */
+  dismiss(): void {
+    this.update({ status: 'idle', kind: null, result: null, error: null, frozenData: null });
+  }
+
+  /** Descarta la respiración en curso (p. ej. al cambiar de fuente). */
+  reset(): void {
+    this.detector.reset();
+    this.recent = [];
+    this.dismiss();
+  }
+
+  subscribe = (listener: Listener): (() => void) => {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  };
+
+  getSnapshot = (): HoldManeuverSnapshot => this.snapshot;
+
+  private finish(kind: HoldKind, summary: BreathSummary): void {
+    const holdTime = this.holdTime || (kind === 'inspiratory' ? summary.inspiratoryPauseTime : summary.expiratoryPauseTime);
+    const measured = kind === 'inspiratory' ? summary.plateauPressure : summary.totalPeep;
+    if (measured === null) {
+      this.fail('No se alcanzó un tramo sin flujo estable durante la pausa (¿fuga o esfuerzo del paciente?).');
+      return;
+    }
+    this.update({
+      status: 'done',
+      result: { kind, holdTime, mechanics: computeBreathMechanics(summary) },
+      frozenData: this.snapshot.frozenData ?? this.recent.slice(),
+    });
+  }
+
+  private update(patch: Partial<HoldManeuverSnapshot>): void {
+    this.snapshot = { ...this.snapshot, ...patch };
+    this.listeners.forEach((fn) => fn());
+  }
+}
@@ -0,0 +1,200 @@
+/*
+ * Funcionalidad: parameterTimeline
+ * Descripción: Línea de tiempo de los cambios de parámetros de la sesión
+ *   (singleton). Cada comando que el dashboard envía al ventilador se registra
+ *   con su instante, la diferencia campo a campo con el comando anterior y el
+ *   motivo que escribe el estudiante. Es la fuente del parametersLog que se
+ *   guarda en SimulatorSession, de los marcadores sobre las curvas y de la
+ *   lista de cambios; timelineFromLog reconstruye la línea de una sesión
+ *   guardada para la repetición.
+ *   En una práctica supervisada la línea se comparte con el docente: las
+ *   entradas del otro extremo se incorporan con mergeParameterEntry y la copia
+ *   completa del estudiante con replaceParameterTimeline.
+ * Versión: 1.1
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import type {
+  ParameterChange,
+  ParameterLogEntry,
+  VentilatorCommand,
+} from '@/contracts/simulator.contracts';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+/** Entrada del registro con los campos que la línea de tiempo siempre llena. */
+export interface TimelineEntry extends ParameterLogEntry {
+  id: string;
+  timestamp: number;
+  changes: ParameterChange[];
+}
+
+type Listener = () => void;
+type CommandField = Exclude<keyof VentilatorCommand, 'timestamp'>;
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** Campos comparados, en el orden en que se muestran. */
+export const PARAMETER_LABELS: Record<CommandField, string> = {
+  mode: 'Modo',
+  peep: 'PEEP (cmH₂O)',
+  fio2: 'FiO₂ (%)',
+  tidalVolume: 'Volumen corriente (mL)',
+  respiratoryRate: 'Frecuencia (rpm)',
+  pressureLimit: 'Presión máxima (cmH₂O)',
+  inspiratoryTime: 'Tiempo inspiratorio (s)',
+  ieRatio: 'Relación I:E',
+  sensitivity: 'Sensibilidad',
+  flowRate: 'Flujo (L/min)',
+};
+
+const COMMAND_FIELDS = Object.keys(PARAMETER_LABELS) as CommandField[];
+
+/** Tope de la línea de tiempo: una sesión larga no crece sin límite. */
+const MAX_ENTRIES = 500;
+export const MAX_RATIONALE_LENGTH = 500;
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/** Cambios campo a campo; sin comando previo, todos los campos definidos. */
+export function diffCommands(
+  previous: VentilatorCommand | null,
+  next: VentilatorCommand,
+): ParameterChange[] {
+  const changes: ParameterChange[] = [];
+  COMMAND_FIELDS.forEach((field) => {
+    const before = previous?.[field] ?? null;
+    const after = next[field] ?? null;
+    if (before !== after) changes.push({ field, before, after });
+  });
+  return changes;
+}
+
+/** Valor legible de un campo (FiO₂ como porcentaje). */
+export function formatParameterValue(field: keyof VentilatorCommand, value: unknown): string {
+  if (value === null || value === undefined) return '—';
+  if (field === 'fio2' && typeof value === 'number') return String(Math.round(value * 100));
+  return String(value);
+}
+
+/** Una línea por cambio: "PEEP (cmH₂O): 5 → 8". */
+export function describeChanges(changes: ParameterChange[]): string[] {
+  return changes.map(
+    ({ field, before, after }) =>
+      `${PARAMETER_LABELS[field as CommandField] ?? field}: ${formatParameterValue(field, before)} → ${formatParameterValue(field, after)}`,
+  );
+}
+
+const isCommand = (value: unknown): value is ParameterLogEntry => {
+  if (!value || typeof value !== 'object') return false;
+  const c = value as Partial<ParameterLogEntry>;
+  return typeof c.mode === 'string' && typeof c.peep === 'number';
+};
+
+/**
+ * Línea de tiempo de un parametersLog guardado. Las entradas sin instante no
+ * pueden ubicarse en el eje y se descartan; las sesiones anteriores a este
+ * registro no traen `changes`, que se recalculan en orden.
+ */
+export function timelineFromLog(log: unknown): TimelineEntry[] {
+  if (!Array.isArray(log)) return [];
+  let previous: VentilatorCommand | null = null;
+  const entries: TimelineEntry[] = [];
+  log.filter(isCommand).forEach((command, index) => {
+    const changes = command.changes ?? diffCommands(previous, command);
+    previous = command;
+    if (typeof command.timestamp !== 'number' || !Number.isFinite(command.timestamp)) return;
+    entries.push({ ...command, id: command.id ?? `log-${index}`, timestamp: command.timestamp, changes });
+  });
+  return entries.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// =============================================================================
+// Estado interno del singleton
+// =============================================================================
+
+let entries: TimelineEntry[] = [];
+let nextId = 1;
+const listeners = new Set<Listener>();
+
+function publish(next: TimelineEntry[]): void {
+  entries = next;
+  listeners.forEach((fn) => fn());
+}
+
+// =============================================================================
+// API
+// =============================================================================
+
+/**
+ * Registra un comando enviado. Un reenvío sin cambios no agrega entrada.
+ * Devuelve la entrada creada o null.
+ */
+export function recordParameterCommand(command: VentilatorCommand, now = Date.now()): TimelineEntry | null {
+  const changes = diffCommands(entries.at(-1) ?? null, command);
+  if (changes.length === 0) return null;
+  const entry: TimelineEntry = { ...command, id: `cmd-${now}-${nextId++}`, timestamp: now, changes };
+  publish([...entries.slice(-(MAX_ENTRIES - 1)), entry]);
+  return entry;
+}
+
+/** Motivo del cambio escrito por el estudiante (vacío = sin motivo). */
+export function setParameterRationale(id: string, rationale: string): void {
+  const text = rationale.trim().slice(0, MAX_RATIONALE_LENGTH);
+  publish(entries.map((entry) => (entry.id === id ? { ...entry, rationale: text } : entry)));
+}
+
+/**
+ * Incorpora una entrada recibida de otro cliente (nueva o con el motivo
+ * actualizado), conservando su id e instante.
+ */
+export function mergeParameterEntry(entry: ParameterLogEntry): void {
+  if (!entry.id || typeof entry.timestamp !== 'number') return;
+  const incoming: TimelineEntry = {
+    ...entry,
+    id: entry.id,
+    timestamp: entry.timestamp,
+    changes: entry.changes ?? diffCommands(entries.at(-1) ?? null, entry),
+  };
+  const exists = entries.some((e) => e.id === incoming.id);
+  const next = exists
+    ? entries.map((e) => (e.id === incoming.id ? incoming : e))
+    : [...entries.slice(-(MAX_ENTRIES - 1)), incoming].sort((a, b) => a.timestamp - b.timestamp);
+  publish(next);
+}
+
+/** Sustituye la línea completa (copia del estudiante al empezar a observar). */
+export function replaceParameterTimeline(log: ParameterLogEntry[]): void {
+  publish(timelineFromLog(log).slice(-MAX_ENTRIES));
+}
+
+/** parametersLog para SimulatorSession. */
+export function getParameterLog(): ParameterLogEntry[] {
+  return entries;
+}
+
+export function clearParameterTimeline(): void {
+  if (entries.length > 0) publish([]);
+}
+
+export function subscribeParameterTimeline(listener: Listener): () => void {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+}
+
+export function getParameterTimelineSnapshot(): TimelineEntry[] {
+  return entries;
+}
@@ -0,0 +1,175 @@
+/*
+ * Funcionalidad: safetyInterlocks
+ * Descripción: Interlocks de seguridad de los comandos al ventilador físico.
+ *   A diferencia de PARAMETER_SAFE_RANGES (rangos del panel), se evalúan sobre
+ *   el comando completo con los límites del rol que entrega el backend, e
+ *   incluyen valores derivados: presión meseta estimada (VentilatorCalculations,
+ *   con la compliance medida), presión de distensión y relación I:E invertida.
+ *   La evaluación local sólo anticipa el resultado en la confirmación; el
+ *   backend repite las mismas comprobaciones antes de aceptar el comando.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import type {
+  InterlockParameter,
+  InterlockViolation,
+  SafetyLimit,
+  VentilatorCommand,
+} from '@/contracts/simulator.contracts';
+import { ventilatorCalculations } from '@/features/simulador/compartido/utils/ventilatorCalculations';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+/** Valores que no trae el comando y se estiman a partir de él. */
+export interface DerivedCommandValues {
+  /** cmH₂O; null si no puede estimarse (PCV sin presión límite) */
+  plateauPressure: number | null;
+  /** Meseta − PEEP, cmH₂O */
+  drivingPressure: number | null;
+  /** Ti/Te; mayor que 1 es relación invertida */
+  ieRatio: number | null;
+}
+
+export interface InterlockEvaluation {
+  derived: DerivedCommandValues;
+  violations: InterlockViolation[];
+  /** Algún límite BLOCK cruzado: el backend rechazará el comando. */
+  blocked: boolean;
+}
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+export const SAFETY_LIMITS_KEY = 'simulation/safety-limits';
+
+export const INTERLOCK_LABELS: Record<InterlockParameter, { label: string; unit: string }> = {
+  tidalVolume: { label: 'Volumen corriente', unit: 'mL' },
+  respiratoryRate: { label: 'Frecuencia', unit: 'rpm' },
+  peep: { label: 'PEEP', unit: 'cmH₂O' },
+  fio2: { label: 'FiO₂', unit: '%' },
+  pressureLimit: { label: 'Presión máxima', unit: 'cmH₂O' },
+  inspiratoryTime: { label: 'Tiempo inspiratorio', unit: 's' },
+  drivingPressure: { label: 'Presión de distensión', unit: 'cmH₂O' },
+  plateauPressure: { label: 'Presión meseta estimada', unit: 'cmH₂O' },
+  ieRatio: { label: 'Relación I:E', unit: '' },
+};
+
+/**
+ * Límites del rol estudiante (los más estrictos). Se aplican mientras no
+ * llegan los del backend para no subestimar el riesgo.
+ */
+export const FALLBACK_SAFETY_LIMITS: SafetyLimit[] = [
+  { parameter: 'tidalVolume', min: 200, max: 800, action: 'BLOCK' },
+  { parameter: 'respiratoryRate', min: 8, max: 35, action: 'BLOCK' },
+  { parameter: 'peep', min: 3, max: 15, action: 'BLOCK' },
+  { parameter: 'fio2', min: 0.21, max: 0.8, action: 'CONFIRM' },
+  { parameter: 'pressureLimit', min: 10, max: 35, action: 'BLOCK' },
+  { parameter: 'inspiratoryTime', min: 0.3, max: 2, action: 'BLOCK' },
+  { parameter: 'drivingPressure', min: null, max: 25, action: 'BLOCK' },
+  { parameter: 'plateauPressure', min: null, max: 35, action: 'BLOCK' },
+  { parameter: 'ieRatio', min: null, max: 1, action: 'BLOCK' },
+];
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+const round1 = (value: number): number => Math.round(value * 10) / 10;
+
+/** I:E del comando: de `ieRatio` ("1:2") o, si falta, del tiempo inspiratorio. */
+function commandIERatio(command: VentilatorCommand): number | null {
+  const [ins, esp] = (command.ieRatio ?? '').split(':').map(Number);
+  if (ins && esp) return ins / esp;
+  if (!command.inspiratoryTime) return null;
+  const te = ventilatorCalculations.calculateExpiratoryTime(
+    command.respiratoryRate,
+    command.inspiratoryTime,
+  );
+  // Sin tiempo espiratorio el ciclo entero es inspiración.
+  return te > 0 ? ventilatorCalculations.calculateIERatio(command.inspiratoryTime, te).decimal : Infinity;
+}
+
+export function deriveCommandValues(
+  command: VentilatorCommand,
+  compliance: number = ventilatorCalculations.compliance,
+): DerivedCommandValues {
+  const plateau =
+    command.mode === 'PCV'
+      ? (command.pressureLimit ?? null)
+      : ventilatorCalculations.estimatePlateauPressure(command.tidalVolume, command.peep, compliance);
+  return {
+    plateauPressure: plateau === null ? null : round1(plateau),
+    drivingPressure: plateau === null ? null : round1(plateau - command.peep),
+    ieRatio: commandIERatio(command),
+  };
+}
+
+/** Valor legible en las unidades de la UI (FiO₂ en %, I:E como "1:2"). */
+export function formatInterlockValue(parameter: InterlockParameter, value: number): string {
+  if (parameter === 'fio2') return `${Math.round(value * 100)} %`;
+  if (parameter === 'ieRatio') {
+    if (!Number.isFinite(value)) return 'sin espiración';
+    return value > 1 ? `${round1(value)}:1` : `1:${round1(1 / value)}`;
+  }
+  const { unit } = INTERLOCK_LABELS[parameter];
+  return unit ? `${round1(value)} ${unit}` : String(round1(value));
+}
+
+function valueOf(
+  parameter: InterlockParameter,
+  command: VentilatorCommand,
+  derived: DerivedCommandValues,
+): number | null {
+  switch (parameter) {
+    case 'drivingPressure':
+    case 'plateauPressure':
+    case 'ieRatio':
+      return derived[parameter];
+    default:
+      return command[parameter] ?? null;
+  }
+}
+
+function describeViolation(limit: SafetyLimit, value: number, below: boolean): string {
+  const { label } = INTERLOCK_LABELS[limit.parameter];
+  const shown = formatInterlockValue(limit.parameter, value);
+  if (limit.parameter === 'ieRatio' && !below && limit.max === 1) {
+    return `Relación I:E invertida (${shown})`;
+  }
+  const bound = below ? limit.min : limit.max;
+  const boundText = bound === null ? '' : formatInterlockValue(limit.parameter, bound);
+  return below
+    ? `${label} ${shown} por debajo del mínimo permitido (${boundText})`
+    : `${label} ${shown} por encima del máximo permitido (${boundText})`;
+}
+
+// =============================================================================
+// API
+// =============================================================================
+
+export function evaluateInterlocks(
+  command: VentilatorCommand,
+  limits: SafetyLimit[],
+  compliance?: number,
+): InterlockEvaluation {
+  const derived = deriveCommandValues(command, compliance);
+  const violations: InterlockViolation[] = [];
+  limits.forEach((limit) => {
+    const value = valueOf(limit.parameter, command, derived);
+    if (value === null) return;
+    const below = limit.min !== null && value < limit.min;
+    const above = limit.max !== null && value > limit.max;
+    if (!below && !above) return;
+    violations.push({ ...limit, value, message: describeViolation(limit, value, below) });
+  });
+  return { derived, violations, blocked: violations.some((v) => v.action === 'BLOCK') };
+}
@@ -0,0 +1,265 @@
+/*
+ * Funcionalidad: SessionReplayPanel
+ * Descripción: Controles de la repetición de sesiones del monitor. Sin
+ *   grabación cargada muestra el botón que abre el diálogo de carga (archivo
+ *   exportado, sesiones guardadas o id de la sesión de un estudiante); con
+ *   grabación, la barra de reproducción: play/pausa, paso por respiración,
+ *   barra de desplazamiento, velocidad y salida al monitor en vivo.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import React, { useRef, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Divider,
+  IconButton,
+  List,
+  ListItemButton,
+  ListItemText,
+  Paper,
+  Slider,
+  Stack,
+  TextField,
+  ToggleButton,
+  ToggleButtonGroup,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import PlayArrowIcon from '@mui/icons-material/PlayArrow';
+import PauseIcon from '@mui/icons-material/Pause';
+import SkipNextIcon from '@mui/icons-material/SkipNext';
+import SkipPreviousIcon from '@mui/icons-material/SkipPrevious';
+import ReplayIcon from '@mui/icons-material/Replay';
+import CloseIcon from '@mui/icons-material/Close';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import HistoryIcon from '@mui/icons-material/History';
+
+import { REPLAY_SPEEDS } from '../utils/sessionReplay';
+import styles from './ui/SessionReplay.module.css';
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+const formatTime = (seconds) => {
+  const total = Math.max(0, Math.floor(seconds));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
+
+// =============================================================================
+// Component
+// =============================================================================
+
+/**
+ * Diálogo de carga: archivo, sesiones propias o id de sesión. Se cierra solo
+ * cuando la grabación queda cargada.
+ */
+function ReplaySourceDialog({ open, onClose, replay }) {
+  const { loading, error, sessions, fetchSessions, loadSession, loadSessionById, loadFile } = replay;
+  const [sessionId, setSessionId] = useState('');
+  const fileInputRef = useRef(null);
+
+  const handleEnter = () => {
+    void fetchSessions();
+  };
+
+  const handleFile = (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (file) void loadFile(file);
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onClose={onClose}
+      maxWidth="xs"
+      fullWidth
+      className={styles.dialog}
+      slotProps={{ transition: { onEnter: handleEnter } }}
+    >
+      <DialogTitle className={styles.title}>Reproducir sesión grabada</DialogTitle>
+      <DialogContent dividers>
+        <Stack spacing={1.5}>
+          {error && <Alert severity="error" className={styles.error}>{error}</Alert>}
+
+          <Box>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".json,.txt,application/json,text/plain"
+              hidden
+              onChange={handleFile}
+            />
+            <Button
+              fullWidth
+              variant="outlined"
+              startIcon={<UploadFileIcon />}
+              disabled={loading}
+              onClick={() => fileInputRef.current?.click()}
+            >
+              Cargar archivo exportado
+            </Button>
+            <Typography variant="caption" color="text.secondary">
+              JSON de sesión o TXT de datos de sensores.
+            </Typography>
+          </Box>
+
+          <Divider />
+
+          <Box className={styles.idRow}>
+            <TextField
+              size="small"
+              label="ID de sesión"
+              value={sessionId}
+              onChange={(e) => setSessionId(e.target.value)}
+              className={styles.idField}
+            />
+            <Button
+              variant="contained"
+              disabled={loading || !sessionId.trim()}
+              onClick={() => void loadSessionById(sessionId)}
+            >
+              Cargar
+            </Button>
+          </Box>
+
+          <Box>
+            <Typography variant="subtitle2" className={styles.sessionsTitle}>
+              <HistoryIcon fontSize="small" /> Mis sesiones
+              {loading && <CircularProgress size={14} className={styles.sessionsLoading} />}
+            </Typography>
+            {sessions.length === 0 ? (
+              <Typography variant="caption" color="text.secondary">
+                No hay sesiones guardadas.
+              </Typography>
+            ) : (
+              <List dense disablePadding className={styles.sessions}>
+                {sessions.map((session) => (
+                  <ListItemButton key={session.id} disabled={loading} onClick={() => loadSession(session)}>
+                    <ListItemText
+                      primary={new Date(session.startedAt).toLocaleString()}
+                      secondary={`${session.isRealVentilator ? 'Ventilador físico' : 'Simulación'} · ${session.ventilatorData?.length ?? 0} lecturas`}
+                    />
+                  </ListItemButton>
+                ))}
+              </List>
+            )}
+          </Box>
+        </Stack>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancelar</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+/**
+ * Props:
+ * - replay: retorno de useSessionReplay
+ */
+function SessionReplayPanel({ replay }) {
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const { active, status, label, speed, position, duration, breathIndex, breathCount } = replay;
+
+  // La grabación quedó cargada: el diálogo ya no hace falta
+  const showDialog = dialogOpen && !active;
+
+  if (!active) {
+    return (
+      <Box className={styles.launcher}>
+        <Button
+          size="small"
+          startIcon={<ReplayIcon />}
+          onClick={() => setDialogOpen(true)}
+          className={styles.launch}
+        >
+          Reproducir sesión grabada
+        </Button>
+        <ReplaySourceDialog open={showDialog} onClose={() => setDialogOpen(false)} replay={replay} />
+      </Box>
+    );
+  }
+
+  const playing = status === 'playing';
+
+  return (
+    <Paper variant="outlined" className={styles.panel}>
+      <Stack direction="row" alignItems="center" spacing={1}>
+        <Typography variant="caption" className={styles.label} noWrap title={label ?? ''}>
+          Repetición · {label}
+        </Typography>
+        <Typography variant="caption" color="text.secondary">
+          Resp. {breathIndex}/{breathCount}
+        </Typography>
+        <Tooltip title="Volver al monitor en vivo" arrow>
+          <IconButton size="small" onClick={() => { setDialogOpen(false); replay.close(); }}>
+            <CloseIcon fontSize="small" />
+          </IconButton>
+        </Tooltip>
+      </Stack>
+
+      <Stack direction="row" alignItems="center" spacing={1}>
+        <Tooltip title="Respiración anterior" arrow>
+          <IconButton size="small" onClick={() => replay.stepBreath(-1)}>
+            <SkipPreviousIcon fontSize="small" />
+          </IconButton>
+        </Tooltip>
+        <IconButton size="small" color="primary" onClick={playing ? replay.pause : replay.play}>
+          {playing ? <PauseIcon /> : <PlayArrowIcon />}
+        </IconButton>
+        <Tooltip title="Respiración siguiente" arrow>
+          <IconButton size="small" onClick={() => replay.stepBreath(1)}>
+            <SkipNextIcon fontSize="small" />
+          </IconButton>
+        </Tooltip>
+
+        <Slider
+          size="small"
+          min={0}
+          max={Math.max(duration, 0.1)}
+          step={0.1}
+          value={Math.min(position, duration)}
+          onChange={(_, value) => replay.seek(value)}
+          valueLabelDisplay="auto"
+          valueLabelFormat={formatTime}
+          aria-label="Posición de la repetición"
+          className={styles.slider}
+        />
+        <Typography variant="caption" className={styles.clock}>
+          {formatTime(position)} / {formatTime(duration)}
+        </Typography>
+
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={speed}
+          onChange={(_, value) => value && replay.setSpeed(value)}
+          className={styles.speeds}
+        >
+          {REPLAY_SPEEDS.map((s) => (
+            <ToggleButton key={s} value={s}>
+              {s}×
+            </ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+      </Stack>
+    </Paper>
+  );
+}
+
+export default React.memo(SessionReplayPanel);
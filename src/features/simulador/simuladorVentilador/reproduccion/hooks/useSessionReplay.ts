@@ -0,0 +1,165 @@
+/*
+ * Funcionalidad: useSessionReplay
+ * Descripción: Repetición de una sesión grabada en el monitor. Carga la
+ *   grabación desde la base de datos (sesiones propias o por id, para el
+ *   docente) o desde un archivo exportado, pone el ventilatorStreamStore en
+ *   modo repetición y avanza el motor con el reloj mientras se reproduce.
+ *   Al cerrar (o desmontar) las fuentes en vivo vuelven al store.
+ * Versión: 1.0
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import { useCallback, useEffect, useMemo, useState, useSyncExternalStore } from 'react';
+
+import type { SimulatorSession } from '@/contracts/simulator.contracts';
+import { simulatorApi } from '@/features/simulador/compartido/api/simulator.api';
+import {
+  beginReplay,
+  endReplay,
+  ingestReplayReading,
+  seekReplay,
+} from '@/features/simulador/conexion/websocket/stream/ventilatorStreamStore';
+import { parseRecordingFile, recordingFromSession, type ReplayRecording } from '../utils/recordingParser';
+import { SessionReplay, type ReplaySnapshot, type ReplaySpeed } from '../utils/sessionReplay';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+export interface UseSessionReplayReturn extends ReplaySnapshot {
+  /** Hay una grabación cargada: el monitor muestra la repetición. */
+  active: boolean;
+  loading: boolean;
+  error: string | null;
+  /** Sesiones guardadas del usuario (tras fetchSessions). */
+  sessions: SimulatorSession[];
+  fetchSessions: () => Promise<void>;
+  loadSession: (session: SimulatorSession) => void;
+  loadSessionById: (sessionId: string) => Promise<void>;
+  loadFile: (file: File) => Promise<void>;
+  play: () => void;
+  pause: () => void;
+  setSpeed: (speed: ReplaySpeed) => void;
+  seek: (seconds: number) => void;
+  stepBreath: (direction: 1 | -1) => void;
+  close: () => void;
+}
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** Cadencia de avance del motor (~25 fps). */
+const TICK_MS = 40;
+const SESSION_LIST_LIMIT = 20;
+
+// =============================================================================
+// Hook
+// =============================================================================
+
+export function useSessionReplay(): UseSessionReplayReturn {
+  const [replay] = useState(() => new SessionReplay({ ingest: ingestReplayReading, seek: seekReplay }));
+  const snapshot = useSyncExternalStore(replay.subscribe, replay.getSnapshot, replay.getSnapshot);
+  const [sessions, setSessions] = useState<SimulatorSession[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const playing = snapshot.status === 'playing';
+  useEffect(() => {
+    if (!playing) return;
+    const id = setInterval(() => replay.tick(Date.now()), TICK_MS);
+    return () => clearInterval(id);
+  }, [replay, playing]);
+
+  // Al salir del monitor el store vuelve a las fuentes en vivo
+  useEffect(() => () => endReplay(), []);
+
+  const open = useCallback(
+    (recording: ReplayRecording) => {
+      beginReplay();
+      replay.load(recording);
+    },
+    [replay],
+  );
+
+  /** Ejecuta una carga y deja su error en `error`. */
+  const runLoad = useCallback(async (load: () => Promise<void> | void) => {
+    setLoading(true);
+    setError(null);
+    try {
+      await load();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : String(err));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const fetchSessions = useCallback(
+    () =>
+      runLoad(async () => {
+        const { sessions: list } = await simulatorApi.getSessions(SESSION_LIST_LIMIT);
+        setSessions(list);
+      }),
+    [runLoad],
+  );
+
+  const loadSession = useCallback(
+    (session: SimulatorSession) => void runLoad(() => open(recordingFromSession(session))),
+    [runLoad, open],
+  );
+
+  const loadSessionById = useCallback(
+    (sessionId: string) =>
+      runLoad(async () => {
+        open(recordingFromSession(await simulatorApi.getSession(sessionId.trim())));
+      }),
+    [runLoad, open],
+  );
+
+  const loadFile = useCallback(
+    (file: File) =>
+      runLoad(async () => {
+        open(parseRecordingFile(await file.text(), file.name));
+      }),
+    [runLoad, open],
+  );
+
+  const close = useCallback(() => {
+    replay.unload();
+    endReplay();
+  }, [replay]);
+
+  const actions = useMemo(
+    () => ({
+      play: () => replay.play(Date.now()),
+      pause: () => replay.pause(),
+      setSpeed: (speed: ReplaySpeed) => replay.setSpeed(speed),
+      seek: (seconds: number) => replay.seek(seconds),
+      stepBreath: (direction: 1 | -1) => replay.stepBreath(direction),
+    }),
+    [replay],
+  );
+
+  return useMemo(
+    () => ({
+      ...snapshot,
+      ...actions,
+      active: snapshot.status !== 'idle',
+      loading,
+      error,
+      sessions,
+      fetchSessions,
+      loadSession,
+      loadSessionById,
+      loadFile,
+      close,
+    }),
+    [snapshot, actions, loading, error, sessions, fetchSessions, loadSession, loadSessionById, loadFile, close],
+  );
+}
@@ -0,0 +1,129 @@
+/*
+ * Funcionalidad: recordingParser
+ * Descripción: Convierte una sesión grabada en la lista de lecturas que
+ *   reproduce la repetición. Acepta el `ventilatorData` de un SimulatorSession
+ *   guardado en la base de datos y los archivos exportados por el simulador:
+ *   JSON (arreglo de lecturas u objeto con `ventilatorData`) y el TXT de
+ *   sensores de useDataRecording (`presión=flujo=volumen=tiempo_s` por línea).
+ *   El paquete JSON de recordingExport entra por la misma vía. Del
+ *   parametersLog de la sesión sale la línea de tiempo de cambios de
+ *   parámetros que se marca sobre las curvas.
+ * Versión: 1.2
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import type { SimulatorSession, VentilatorReading } from '@/contracts/simulator.contracts';
+import { isRecordingBundle } from '@/features/simulador/compartido/utils/recordingExport';
+import {
+  timelineFromLog,
+  type TimelineEntry,
+} from '@/features/simulador/simuladorVentilador/panelControl/utils/parameterTimeline';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+export interface ReplayRecording {
+  /** Texto que identifica la grabación en los controles. */
+  label: string;
+  /** Lecturas ordenadas por timestamp (ms, reloj de la grabación). */
+  readings: VentilatorReading[];
+  /** Cambios de parámetros con instante (vacío si la fuente no los trae). */
+  parameterLog: TimelineEntry[];
+}
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const REPLAY_DEVICE_ID = 'replay';
+/** Menos muestras que esto no alcanzan para una respiración. */
+const MIN_READINGS = 2;
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+const isFiniteNumber = (value: unknown): value is number => typeof value === 'number' && Number.isFinite(value);
+
+const sessionLabel = (startedAt: string | null, fallback: string): string => {
+  const started = new Date(startedAt ?? '');
+  return Number.isNaN(started.getTime()) ? fallback : `Sesión del ${started.toLocaleString()}`;
+};
+
+/** Valida y normaliza lecturas de origen desconocido (JSON de la BD o de un archivo). */
+function normalizeReadings(raw: unknown[]): VentilatorReading[] {
+  const readings: VentilatorReading[] = [];
+  raw.forEach((item) => {
+    if (!item || typeof item !== 'object') return;
+    const r = item as Partial<VentilatorReading>;
+    if (!isFiniteNumber(r.pressure) || !isFiniteNumber(r.flow) || !isFiniteNumber(r.volume)) return;
+    if (!isFiniteNumber(r.timestamp)) return;
+    readings.push({ ...r, deviceId: r.deviceId ?? REPLAY_DEVICE_ID } as VentilatorReading);
+  });
+  return readings.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/** TXT de sensores: `presión=flujo=volumen=tiempo_s`; otras líneas se ignoran. */
+function parseSensorLines(text: string): VentilatorReading[] {
+  const readings: VentilatorReading[] = [];
+  text.split(/\r?\n/).forEach((line) => {
+    const parts = line.trim().split('=').map(Number);
+    if (parts.length !== 4 || !parts.every(Number.isFinite)) return;
+    const [pressure, flow, volume, seconds] = parts as [number, number, number, number];
+    readings.push({ pressure, flow, volume, timestamp: Math.round(seconds * 1000), deviceId: REPLAY_DEVICE_ID });
+  });
+  return readings.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+function ensurePlayable(
+  readings: VentilatorReading[],
+  label: string,
+  parameterLog: TimelineEntry[] = [],
+): ReplayRecording {
+  if (readings.length < MIN_READINGS) {
+    throw new Error('La grabación no contiene lecturas del ventilador para reproducir.');
+  }
+  return { label, readings, parameterLog };
+}
+
+// =============================================================================
+// Parser
+// =============================================================================
+
+/** Sesión guardada en la base de datos (SimulatorSession.ventilatorData). */
+export function recordingFromSession(session: SimulatorSession): ReplayRecording {
+  const raw: unknown = session.ventilatorData;
+  const label = sessionLabel(session.startedAt, `Sesión ${session.id}`);
+  return ensurePlayable(Array.isArray(raw) ? normalizeReadings(raw) : [], label, timelineFromLog(session.parametersLog));
+}
+
+/** Archivo exportado (JSON o TXT de sensores). */
+export function parseRecordingFile(text: string, fileName: string): ReplayRecording {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    let parsed: unknown;
+    try {
+      parsed = JSON.parse(trimmed);
+    } catch {
+      throw new Error('El archivo JSON no es válido.');
+    }
+    if (isRecordingBundle(parsed)) {
+      return ensurePlayable(normalizeReadings(parsed.ventilatorData), sessionLabel(parsed.startedAt, fileName));
+    }
+    if (Array.isArray(parsed)) return ensurePlayable(normalizeReadings(parsed), fileName);
+    const session = parsed as { ventilatorData?: unknown; parametersLog?: unknown } | null;
+    const raw = session?.ventilatorData;
+    return ensurePlayable(
+      Array.isArray(raw) ? normalizeReadings(raw) : [],
+      fileName,
+      timelineFromLog(session?.parametersLog),
+    );
+  }
+  return ensurePlayable(parseSensorLines(trimmed), fileName);
+}
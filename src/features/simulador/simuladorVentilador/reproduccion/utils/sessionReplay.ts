@@ -0,0 +1,277 @@
+/*
+ * Funcionalidad: sessionReplay
+ * Descripción: Motor de repetición de una sesión grabada. Entrega las lecturas
+ *   a un destino (el ventilatorStreamStore) al ritmo de la grabación escalado
+ *   por la velocidad (0.5×–4×), con pausa, salto a una posición y avance o
+ *   retroceso por respiración. Los límites de respiración se calculan una vez
+ *   al cargar con el mismo BreathDetector del monitor, de modo que un paso
+ *   deja en pantalla exactamente la respiración que el estudiante vio.
+ *   El snapshot lleva la línea de tiempo de cambios de parámetros grabada.
+ * Versión: 1.1
+ * Autor: Marcela Mazo Castro
+ * Proyecto: VentyLab
+ * Tesis: Desarrollo de una aplicación web para la enseñanza de mecánica ventilatoria
+ *        que integre un sistema de retroalimentación usando modelos de lenguaje
+ * Institución: Universidad del Valle
+ * Contacto: marcela.mazo@correounivalle.edu.co
+ */
+
+import type { VentilatorReading } from '@/contracts/simulator.contracts';
+import { BreathDetector } from '@/features/simulador/compartido/utils/breathDetector';
+import type { TimelineEntry } from '@/features/simulador/simuladorVentilador/panelControl/utils/parameterTimeline';
+import type { ReplayRecording } from './recordingParser';
+
+// =============================================================================
+// Types
+// =============================================================================
+
+/** idle (sin grabación) → paused ⇄ playing → ended. */
+export type ReplayStatus = 'idle' | 'playing' | 'paused' | 'ended';
+
+export const REPLAY_SPEEDS = [0.5, 1, 2, 4] as const;
+export type ReplaySpeed = (typeof REPLAY_SPEEDS)[number];
+
+export interface ReplaySnapshot {
+  status: ReplayStatus;
+  label: string | null;
+  speed: ReplaySpeed;
+  /** Posición de reproducción (s desde el inicio de la grabación). */
+  position: number;
+  /** Duración de la grabación (s). */
+  duration: number;
+  /** Respiraciones completas reproducidas hasta la posición actual. */
+  breathIndex: number;
+  breathCount: number;
+  /** Timestamp de la primera lectura (ms): origen del eje de tiempo. */
+  origin: number | null;
+  /** Cambios de parámetros de la grabación (sólo lectura). */
+  parameterLog: TimelineEntry[];
+}
+
+/** Destino de las lecturas reproducidas. */
+export interface ReplaySink {
+  /** Lectura en orden de reproducción. */
+  ingest: (reading: VentilatorReading) => void;
+  /** Salto: ventana de lecturas que precede a la nueva posición. */
+  seek: (window: VentilatorReading[]) => void;
+}
+
+type Listener = () => void;
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** Avance mínimo de la posición que justifica publicar un snapshot (s). */
+const POSITION_STEP_S = 0.25;
+/**
+ * Tope del avance por tick (ms de reloj): si la pestaña estuvo en segundo
+ * plano no se vuelca de golpe todo lo pendiente.
+ */
+const MAX_TICK_MS = 1000;
+/** Lecturas que se cargan al saltar (las que caben en el buffer del store). */
+const SEEK_WINDOW = 300;
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/** Primer índice cuyo timestamp es mayor que `timestamp`. */
+function upperBound(readings: VentilatorReading[], timestamp: number): number {
+  let lo = 0;
+  let hi = readings.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if ((readings[mid]?.timestamp ?? Infinity) <= timestamp) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/** Índices de las lecturas con que empieza cada respiración completa. */
+function findBreathStarts(readings: VentilatorReading[]): number[] {
+  const detector = new BreathDetector();
+  const starts: number[] = [];
+  readings.forEach((reading, index) => {
+    // La respiración anterior se cierra con la primera muestra de la siguiente
+    if (detector.push(reading)) starts.push(index);
+  });
+  return starts;
+}
+
+// =============================================================================
+// Engine
+// =============================================================================
+
+export class SessionReplay {
+  private readings: VentilatorReading[] = [];
+  private breathStarts: number[] = [];
+  /** Lecturas ya entregadas (índice de la próxima). */
+  private cursor = 0;
+  /** Posición en ms desde la primera lectura. */
+  private playhead = 0;
+  private lastTickAt: number | null = null;
+
+  private readonly listeners = new Set<Listener>();
+  private snapshot: ReplaySnapshot = {
+    status: 'idle',
+    label: null,
+    speed: 1,
+    position: 0,
+    duration: 0,
+    breathIndex: 0,
+    breathCount: 0,
+    origin: null,
+    parameterLog: [],
+  };
+
+  constructor(private readonly sink: ReplaySink) {}
+
+  /** Carga una grabación en pausa al inicio. */
+  load(recording: ReplayRecording): void {
+    this.readings = recording.readings;
+    this.breathStarts = findBreathStarts(recording.readings);
+    const first = this.readings[0]?.timestamp ?? 0;
+    const last = this.readings.at(-1)?.timestamp ?? first;
+    this.update({
+      status: 'paused',
+      label: recording.label,
+      duration: (last - first) / 1000,
+      breathCount: this.breathStarts.length,
+      origin: first,
+      parameterLog: recording.parameterLog,
+    });
+    this.seekToIndex(0);
+  }
+
+  unload(): void {
+    this.readings = [];
+    this.breathStarts = [];
+    this.cursor = 0;
+    this.playhead = 0;
+    this.lastTickAt = null;
+    this.update({
+      status: 'idle',
+      label: null,
+      position: 0,
+      duration: 0,
+      breathIndex: 0,
+      breathCount: 0,
+      origin: null,
+      parameterLog: [],
+    });
+  }
+
+  /** `now` es el reloj de pared; al terminar, vuelve a empezar. */
+  play(now: number): void {
+    const { status } = this.snapshot;
+    if (status === 'idle' || status === 'playing') return;
+    if (status === 'ended') this.seekToIndex(0);
+    this.lastTickAt = now;
+    this.update({ status: 'playing', ...this.position() });
+  }
+
+  pause(): void {
+    if (this.snapshot.status !== 'playing') return;
+    this.lastTickAt = null;
+    this.update({ status: 'paused' });
+  }
+
+  setSpeed(speed: ReplaySpeed): void {
+    this.update({ speed });
+  }
+
+  /** Avanza la reproducción según el reloj de pared transcurrido. */
+  tick(now: number): void {
+    if (this.snapshot.status !== 'playing' || this.lastTickAt === null) return;
+    const elapsed = Math.min(MAX_TICK_MS, Math.max(0, now - this.lastTickAt));
+    this.lastTickAt = now;
+    this.playhead += elapsed * this.snapshot.speed;
+    this.emitUntil(this.timestampAt(this.playhead));
+    if (this.cursor >= this.readings.length) {
+      this.lastTickAt = null;
+      this.playhead = this.snapshot.duration * 1000;
+      this.update({ status: 'ended', ...this.position() });
+    } else if (Math.abs(this.playhead / 1000 - this.snapshot.position) >= POSITION_STEP_S) {
+      this.update(this.position());
+    }
+  }
+
+  /** Salta a `seconds` desde el inicio (barra de desplazamiento). */
+  seek(seconds: number): void {
+    if (this.snapshot.status === 'idle') return;
+    const target = Math.min(this.snapshot.duration, Math.max(0, seconds)) * 1000;
+    this.seekToIndex(upperBound(this.readings, this.timestampAt(target)));
+    this.playhead = target;
+    this.update(this.position());
+  }
+
+  /**
+   * Paso de una respiración. Hacia adelante reproduce de inmediato hasta el
+   * cierre de la siguiente (los consumidores la miden como en vivo); hacia
+   * atrás salta al cierre de la anterior.
+   */
+  stepBreath(direction: 1 | -1): void {
+    if (this.snapshot.status === 'idle') return;
+    this.pause();
+    if (direction === 1) {
+      const next = this.breathStarts.find((index) => index >= this.cursor);
+      this.emitThrough(next ?? this.readings.length - 1);
+    } else {
+      const previous = this.breathStarts.filter((index) => index + 1 < this.cursor).at(-1);
+      this.seekToIndex(previous === undefined ? 0 : previous + 1);
+    }
+    const ended = this.cursor >= this.readings.length;
+    this.update({ status: ended ? 'ended' : 'paused', ...this.position() });
+  }
+
+  subscribe = (listener: Listener): (() => void) => {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  };
+
+  getSnapshot = (): ReplaySnapshot => this.snapshot;
+
+  private timestampAt(playhead: number): number {
+    return (this.snapshot.origin ?? 0) + playhead;
+  }
+
+  private emitUntil(timestamp: number): void {
+    while (this.cursor < this.readings.length) {
+      const reading = this.readings[this.cursor];
+      if (!reading || reading.timestamp > timestamp) break;
+      this.sink.ingest(reading);
+      this.cursor += 1;
+    }
+  }
+
+  private emitThrough(index: number): void {
+    const reading = this.readings[index];
+    if (!reading) return;
+    this.emitUntil(reading.timestamp);
+    this.playhead = reading.timestamp - (this.snapshot.origin ?? 0);
+  }
+
+  private seekToIndex(index: number): void {
+    this.cursor = index;
+    const last = this.readings[index - 1];
+    this.playhead = last ? last.timestamp - (this.snapshot.origin ?? 0) : 0;
+    this.sink.seek(this.readings.slice(Math.max(0, index - SEEK_WINDOW), index));
+    if (this.snapshot.status === 'ended' && index < this.readings.length) this.update({ status: 'paused' });
+  }
+
+  private position(): Pick<ReplaySnapshot, 'position' | 'breathIndex'> {
+    let breathIndex = 0;
+    while (breathIndex < this.breathStarts.length && (this.breathStarts[breathIndex] ?? Infinity) < this.cursor) {
+      breathIndex += 1;
+    }
+    return { position: this.playhead / 1000, breathIndex };
+  }
+
+  private update(patch: Partial<ReplaySnapshot>): void {
+    this.snapshot = { ...this.snapshot, ...patch };
+    this.listeners.forEach((fn) => fn());
+  }
+}
@@ -6,6 +6,22 @@ import { getServerSession } from 'next-auth/next';
 import { authOptions } from '@/lib/auth';
 import { isTeacherOrAbove } from '@/lib/roles';
 
+/**
+ * Valida que la request tenga sesión (cualquier rol).
+ * @returns {{ session, user }}
+ * @throws Escribe la respuesta HTTP y lanza para cortar la ejecución
+ */
+export async function requireUser(req, res) {
+  const session = await getServerSession(req, res, authOptions);
+
+  if (!session?.user) {
+    res.status(401).json({ error: 'No autenticado' });
+    throw new Error('UNAUTHORIZED');
+  }
+
+  return { session, user: session.user };
+}
+
 /**
  * Valida que la request tenga sesión y que el usuario sea TEACHER o superior.
  * @returns {{ session, user }} — user incluye id, email, role, name
@@ -6,8 +6,18 @@
  *   - Module se identifica por su `slug` (= JSON moduleId).
  *   - Lesson se identifica por (moduleId DB, slug = JSON lessonId).
  *   - Si no existen, se crean ("upsert") la primera vez que se editan.
+ *
+ * Historial: cada escritura del editor deja una LessonRevision con la foto
+ * completa de los Steps de la lección; restaurar una revisión deja los Steps
+ * exactamente como en esa foto. Las escrituras pasan por withLessonRevision,
+ * que las serializa por lección para que los números de versión no choquen.
+ *
+ * Publicación: los Steps son el borrador de los profesores. Los estudiantes
+ * ven la revisión apuntada por Lesson.publishedRevisionId, que solo cambia al
+ * publicar una LessonReview aprobada (en el momento o en la fecha programada).
  */
 import { prisma } from '@/lib/prisma';
+import { isAdminOrAbove } from '@/lib/roles';
 
 /**
  * Resuelve (o crea) el registro Module dado su JSON id.
@@ -56,10 +66,11 @@ export async function resolveLesson(lessonJsonId, moduleDbId, editorUserId) {
 }
 
 /**
- * Registra un cambio en ChangeLog.
+ * Registra un cambio en ChangeLog. `db` permite hacerlo dentro de una
+ * transacción.
  */
-export async function logChange({ entityType, entityId, action, changedBy, diff, metadata }) {
-  return prisma.changeLog.create({
+export async function logChange({ entityType, entityId, action, changedBy, diff, metadata }, db = prisma) {
+  return db.changeLog.create({
     data: {
       entityType,
       entityId,
@@ -70,3 +81,305 @@ export async function logChange({ entityType, entityId, action, changedBy, diff,
     },
   });
 }
+
+// ─── Historial de la lección (LessonRevision) ────────────────────────────────
+
+const STEP_SNAPSHOT_SELECT = {
+  id:              true,
+  order:           true,
+  title:           true,
+  content:         true,
+  contentType:     true,
+  sectionSourceId: true,
+  isActive:        true,
+};
+
+/** Foto de todos los Steps de la lección, activos e inactivos. */
+export async function snapshotLessonSteps(lessonDbId, db = prisma) {
+  return db.step.findMany({
+    where:   { lessonId: lessonDbId },
+    select:  STEP_SNAPSHOT_SELECT,
+    orderBy: { order: 'asc' },
+  });
+}
+
+/**
+ * Crea la revisión 0 ("baseline") con el estado previo a la primera edición
+ * de la lección. Se llama ANTES de escribir; no hace nada si ya hay historial.
+ * Sin ella no se podría volver al contenido original del JSON.
+ */
+async function ensureBaselineRevision(tx, lesson, editorUserId) {
+  const existing = await tx.lessonRevision.findFirst({
+    where:  { lessonId: lesson.id },
+    select: { id: true },
+  });
+  if (existing) return null;
+
+  return tx.lessonRevision.create({
+    data: {
+      lessonId:      lesson.id,
+      version:       0,
+      title:         lesson.title,
+      stepsSnapshot: await snapshotLessonSteps(lesson.id, tx),
+      action:        'baseline',
+      summary:       'Estado antes de la primera edición',
+      changedBy:     editorUserId,
+    },
+  });
+}
+
+/**
+ * Registra una revisión con el estado actual de la lección. Se llama DESPUÉS
+ * de escribir y de logChange (su id queda enlazado en changeLogId).
+ */
+async function recordLessonRevision(tx, { lessonDbId, action, summary, changedBy, changeLogId }) {
+  const [lesson, last, steps] = await Promise.all([
+    tx.lesson.findUnique({ where: { id: lessonDbId }, select: { title: true } }),
+    tx.lessonRevision.findFirst({
+      where:   { lessonId: lessonDbId },
+      orderBy: { version: 'desc' },
+      select:  { version: true },
+    }),
+    snapshotLessonSteps(lessonDbId, tx),
+  ]);
+
+  return tx.lessonRevision.create({
+    data: {
+      lessonId:      lessonDbId,
+      version:       (last?.version ?? -1) + 1,
+      title:         lesson?.title ?? '',
+      stepsSnapshot: steps,
+      action,
+      summary:       summary ?? null,
+      changeLogId:   changeLogId ?? null,
+      changedBy,
+    },
+  });
+}
+
+/**
+ * Ejecuta una escritura del editor sobre la lección y registra su revisión en
+ * la misma transacción. La fila Lesson queda bloqueada (SELECT … FOR UPDATE)
+ * mientras tanto: dos guardados simultáneos se hacen uno detrás de otro, así
+ * que no compiten por el siguiente `version` y ningún cambio queda sin
+ * revisión.
+ *
+ * `write(tx)` hace los cambios y su logChange con `tx` y devuelve
+ * `{ revision: { action, summary, changeLogId }, ...resto }`. Si devuelve
+ * `revision: null` (p. ej. un conflicto detectado dentro) no se registra nada.
+ *
+ * @returns {Promise<object>} el resto de lo devuelto por `write`, con
+ *   `revision` = la LessonRevision creada (o null).
+ */
+export async function withLessonRevision(lesson, editorUserId, write) {
+  return prisma.$transaction(async (tx) => {
+    await tx.$queryRaw`SELECT id FROM "lessons" WHERE id = ${lesson.id} FOR UPDATE`;
+    await ensureBaselineRevision(tx, lesson, editorUserId);
+
+    const { revision, ...outcome } = await write(tx);
+    if (!revision) return { ...outcome, revision: null };
+
+    return {
+      ...outcome,
+      revision: await recordLessonRevision(tx, { lessonDbId: lesson.id, changedBy: editorUserId, ...revision }),
+    };
+  });
+}
+
+/**
+ * Deja los Steps y el título de la lección como en `revision`: actualiza los
+ * Steps que están en la foto, recrea los que ya no existen y borra los que no
+ * estaban (su sección vuelve a mostrarse desde el JSON). Pensado para usarse
+ * dentro de withLessonRevision.
+ *
+ * @returns {Promise<{ updated: number, created: number, removed: number }>}
+ */
+export async function applyLessonRevision(tx, lessonDbId, revision, editorUserId) {
+  const snapshot = Array.isArray(revision.stepsSnapshot) ? revision.stepsSnapshot : [];
+  const now = new Date();
+
+  const current = await tx.step.findMany({ where: { lessonId: lessonDbId }, select: { id: true } });
+  const currentIds = new Set(current.map((s) => s.id));
+  const snapshotIds = new Set(snapshot.map((s) => s.id));
+  const counts = { updated: 0, created: 0, removed: 0 };
+
+  for (const step of snapshot) {
+    const data = {
+      order:           step.order,
+      title:           step.title ?? null,
+      content:         step.content ?? '',
+      contentType:     step.contentType ?? 'rich-text',
+      sectionSourceId: step.sectionSourceId ?? null,
+      isActive:        step.isActive !== false,
+      lastModifiedBy:  editorUserId,
+      lastModifiedAt:  now,
+    };
+    if (currentIds.has(step.id)) {
+      await tx.step.update({ where: { id: step.id }, data });
+      counts.updated += 1;
+    } else {
+      await tx.step.create({ data: { id: step.id, lessonId: lessonDbId, ...data } });
+      counts.created += 1;
+    }
+  }
+
+  const stale = current.filter((s) => !snapshotIds.has(s.id)).map((s) => s.id);
+  if (stale.length > 0) {
+    await tx.step.deleteMany({ where: { id: { in: stale } } });
+    counts.removed = stale.length;
+  }
+
+  await tx.lesson.update({
+    where: { id: lessonDbId },
+    data:  { title: revision.title, lastModifiedBy: editorUserId, lastModifiedAt: now },
+  });
+
+  return counts;
+}
+
+// ─── Publicación (LessonReview) ──────────────────────────────────────────────
+
+const PERSON_SELECT = { select: { id: true, name: true, email: true } };
+
+/** include de Prisma con lo que el editor muestra de cada LessonReview. */
+export const LESSON_REVIEW_INCLUDE = {
+  revision:  { select: { id: true, version: true, changedAt: true } },
+  requester: PERSON_SELECT,
+  reviewer:  PERSON_SELECT,
+  decider:   PERSON_SELECT,
+  comments: {
+    include: { author: PERSON_SELECT },
+    orderBy: { createdAt: 'asc' },
+  },
+};
+
+/** Estados en los que una solicitud sigue abierta (admite comentarios). */
+export const OPEN_REVIEW_STATUSES = ['PENDING', 'CHANGES_REQUESTED', 'APPROVED'];
+
+/**
+ * Qué puede hacer `user` con una LessonReview. Decide (aprobar / pedir
+ * cambios) el revisor asignado —o cualquier profesor si no hay— o un admin,
+ * nunca el autor; retira la solicitud el autor o un admin.
+ */
+export function lessonReviewPermissions(review, user) {
+  const isAdmin = isAdminOrAbove(user.role);
+  const isRequester = review.requestedBy === user.id;
+  const isReviewer = review.reviewerId ? review.reviewerId === user.id : true;
+
+  return {
+    canDecide:  review.status === 'PENDING' && !isRequester && (isReviewer || isAdmin),
+    canCancel:  OPEN_REVIEW_STATUSES.includes(review.status) && (isRequester || isAdmin),
+    canComment: OPEN_REVIEW_STATUSES.includes(review.status),
+  };
+}
+
+/**
+ * Publica la revisión de una LessonReview: pasa a ser la versión que ven los
+ * estudiantes y la solicitud queda PUBLISHED. Registra el cambio en ChangeLog.
+ *
+ * El paso a PUBLISHED es condicional (solo desde APPROVED), así que si dos
+ * peticiones publican la misma solicitud a la vez solo una escribe. Una
+ * revisión más antigua que la ya publicada no se publica: la solicitud queda
+ * CANCELLED.
+ *
+ * @returns {Promise<Date|null>} fecha de publicación, o null si no se publicó.
+ */
+export async function publishLessonReview(review, publishedBy) {
+  const now = new Date();
+
+  return prisma.$transaction(async (tx) => {
+    const [lesson, revision] = await Promise.all([
+      tx.lesson.findUnique({
+        where:  { id: review.lessonId },
+        select: { id: true, slug: true, publishedRevision: { select: { version: true } } },
+      }),
+      tx.lessonRevision.findUnique({ where: { id: review.revisionId }, select: { version: true } }),
+    ]);
+
+    if (lesson.publishedRevision && revision.version < lesson.publishedRevision.version) {
+      await tx.lessonReview.updateMany({
+        where: { id: review.id, status: 'APPROVED' },
+        data:  { status: 'CANCELLED' },
+      });
+      return null;
+    }
+
+    const { count } = await tx.lessonReview.updateMany({
+      where: { id: review.id, status: 'APPROVED' },
+      data:  { status: 'PUBLISHED', publishedAt: now },
+    });
+    if (count === 0) return null;
+
+    await tx.lesson.update({
+      where: { id: lesson.id },
+      data:  { publishedRevisionId: review.revisionId, publishedAt: now },
+    });
+
+    await logChange({
+      entityType: 'Lesson',
+      entityId:   lesson.id,
+      action:     'publish',
+      changedBy:  publishedBy,
+      diff:       { publishedRevisionId: { after: review.revisionId } },
+      metadata:   { lessonJsonId: lesson.slug, reviewId: review.id, scheduled: !!review.scheduledPublishAt },
+    }, tx);
+
+    return now;
+  });
+}
+
+const dueReviewsWhere = (lessonDbId) => ({
+  lessonId:           lessonDbId,
+  status:             'APPROVED',
+  scheduledPublishAt: { lte: new Date() },
+});
+
+/**
+ * Publica las revisiones aprobadas cuya fecha programada ya pasó. No hay cron:
+ * lo llaman las rutas de profesores (estado de revisión), nunca las lecturas
+ * de los estudiantes; mientras tanto resolvePublishedRevision ya sirve la
+ * revisión que corresponde.
+ *
+ * @returns {Promise<number>} cuántas se publicaron.
+ */
+export async function publishDueLessonReviews(lessonDbId) {
+  const due = await prisma.lessonReview.findMany({
+    where:   dueReviewsWhere(lessonDbId),
+    orderBy: { scheduledPublishAt: 'asc' },
+  });
+
+  // En orden: la última programada es la que queda publicada
+  let published = 0;
+  for (const review of due) {
+    if (await publishLessonReview(review, review.decidedBy ?? review.requestedBy)) published += 1;
+  }
+  return published;
+}
+
+const PUBLISHED_REVISION_SELECT = { id: true, version: true, title: true, stepsSnapshot: true };
+
+/**
+ * Revisión que ven hoy los estudiantes, sin escribir nada: la publicada o, si
+ * una aprobada ya cumplió su fecha programada y aún no se registró, esa.
+ *
+ * @returns {Promise<{ revision: object, publishedAt: Date } | null>}
+ */
+export async function resolvePublishedRevision(lessonDbId) {
+  const [lesson, due] = await Promise.all([
+    prisma.lesson.findUnique({
+      where:  { id: lessonDbId },
+      select: { publishedAt: true, publishedRevision: { select: PUBLISHED_REVISION_SELECT } },
+    }),
+    prisma.lessonReview.findFirst({
+      where:   dueReviewsWhere(lessonDbId),
+      orderBy: { scheduledPublishAt: 'desc' },
+      select:  { scheduledPublishAt: true, revision: { select: PUBLISHED_REVISION_SELECT } },
+    }),
+  ]);
+
+  const current = lesson?.publishedRevision;
+  if (due && (!current || due.revision.version > current.version)) {
+    return { revision: due.revision, publishedAt: due.scheduledPublishAt };
+  }
+  return current ? { revision: current, publishedAt: lesson.publishedAt } : null;
+}
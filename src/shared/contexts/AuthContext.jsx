@@ -59,29 +59,32 @@ export const AuthProvider = React.memo(function AuthProvider({ children }) {
 // =============================================================================
 
 /**
- * Custom hook to consume authentication context
- *
- * @throws {Error} If used outside of AuthProvider
- * @returns {Object} Authentication context value
- *
+ * @typedef {Object} AuthApi
  * @property {Object|null} user - Current user object from backend
  * @property {string|null} role - User's role (student|teacher|admin|superuser)
  * @property {boolean} isAuthenticated - True if user is logged in
  * @property {boolean} isLoading - True if checking authentication status
  * @property {Object|null} error - Error object if authentication fails
- * @property {Function} isStudent - Check if user is student: () => boolean
- * @property {Function} isTeacher - Check if user is teacher/admin/superuser: () => boolean
- * @property {Function} isAdmin - Check if user is admin/superuser: () => boolean
- * @property {Function} isSuperuser - Check if user is superuser: () => boolean
- * @property {Function} hasRole - Check specific role: (role) => boolean
- * @property {Function} hasAnyRole - Check any of roles: (roles[]) => boolean
- * @property {Function} canAccess - Check route access: (requiredRoles) => boolean
- * @property {Function} hasPermission - Check permission: (permission) => boolean
- * @property {Function} hasAnyPermission - Check any permission: (permissions[]) => boolean
- * @property {Function} login - Login: (email, password) => Promise<boolean>
- * @property {Function} register - Register: (name, email, password) => Promise<boolean>
- * @property {Function} logout - Logout: () => Promise<boolean>
- * @property {Function} refreshUser - Refresh user data: () => Promise<boolean>
+ * @property {() => boolean} isStudent - Check if user is student
+ * @property {() => boolean} isTeacher - Check if user is teacher/admin/superuser
+ * @property {() => boolean} isAdmin - Check if user is admin/superuser
+ * @property {() => boolean} isSuperuser - Check if user is superuser
+ * @property {(role: string) => boolean} hasRole - Check specific role
+ * @property {(roles: string[]) => boolean} hasAnyRole - Check any of roles
+ * @property {(requiredRoles: string[]) => boolean} canAccess - Check route access
+ * @property {(permission: string) => boolean} hasPermission - Check permission
+ * @property {(permissions: string[]) => boolean} hasAnyPermission - Check any permission
+ * @property {(email: string, password: string) => Promise<boolean>} login - Login
+ * @property {(name: string, email: string, password: string) => Promise<boolean>} register - Register
+ * @property {() => Promise<boolean>} logout - Logout
+ * @property {() => Promise<boolean>} refreshUser - Refresh user data
+ */
+
+/**
+ * Custom hook to consume authentication context
+ *
+ * @throws {Error} If used outside of AuthProvider
+ * @returns {AuthApi} Authentication context value
  *
  * @example
  * const { user, role, isTeacher, hasPermission } = useAuth();
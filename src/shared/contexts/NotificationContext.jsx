@@ -149,17 +149,20 @@ export function NotificationProvider({ children }) {
 // useNotification Hook
 // =============================================================================
 
+/**
+ * @typedef {Object} NotificationApi
+ * @property {(message: string, severity?: 'success' | 'error' | 'warning' | 'info', duration?: number) => void} showNotification - Show notification with custom settings
+ * @property {(message: string) => void} showSuccess - Show success notification
+ * @property {(message: string) => void} showError - Show error notification
+ * @property {(message: string) => void} showWarning - Show warning notification
+ * @property {(message: string) => void} showInfo - Show info notification
+ */
+
 /**
  * Custom hook to use notification context
  *
  * @throws {Error} If used outside of NotificationProvider
- * @returns {Object} Notification functions
- *
- * @property {Function} showNotification - Show notification with custom settings
- * @property {Function} showSuccess - Show success notification
- * @property {Function} showError - Show error notification
- * @property {Function} showWarning - Show warning notification
- * @property {Function} showInfo - Show info notification
+ * @returns {NotificationApi} Notification functions
  *
  * @example
  * const { showSuccess, showError } = useNotification();